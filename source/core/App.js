@@ -215,61 +215,92 @@ App.prototype.loadProgram = function(fname)
 		var loader = new ObjectLoader();
 		var data = FileSystem.readFileArrayBuffer(fname);
 		var pson = new StaticPair();
+		this.program = loader.parse(pson.decode(data));
 	}
-	this.program = loader.parse(pson.decode(data));
+
+	this.program.path = App.getBasePath(fname);
 };
 
 /**
  * Load program from file, asynchronously.
  *
+ * If the program is streamed (scenes stored in separate chunks) the chunk of the default scene is also loaded before the onLoad callback is called. Other scenes are loaded when they are used.
+ *
  * @method loadProgramAsync
  * @param {string} fname Name of the file to load
  * @param {Function} onLoad onLoad callback. Receives as argument the loaded application.
- * @param {Function} onProgress onProgress callback, receives progress (percentage) and the xhr onprogress event as parameters.
+ * @param {Function} onProgress onProgress callback, receives progress (percentage) and the xhr onprogress event as parameters. Called for the program file and then for the default scene chunk.
  */
 App.prototype.loadProgramAsync = function(fname, onLoad, onProgress)
 {
 	var self = this;
 
-	// JSON project
-	if (fname.endsWith(".isp"))
+	function load(data)
 	{
-		FileSystem.readFile(fname, false, function(data)
-		{
-			var loader = new ObjectLoader();
-			self.program = loader.parse(JSON.parse(data));
+		var loader = new ObjectLoader();
+		self.program = loader.parse(data);
+		self.program.path = App.getBasePath(fname);
 
+		function ready()
+		{
 			if (onLoad !== undefined)
 			{
 				onLoad(self);
 			}
-		}, function(event)
+		}
+
+		var scene = self.program.getDefaultScene();
+		if (scene !== null && !self.program.isSceneLoaded(scene))
+		{
+			self.program.preloadScene(scene, ready, onProgress);
+		}
+		else
+		{
+			ready();
+		}
+	}
+
+	function progress(event)
+	{
+		if (onProgress !== undefined)
 		{
 			var progress = event.lengthComputable ? event.loaded / event.total * 100 : 0;
 			onProgress(progress, event);
-		});
+		}
+	}
+
+	// JSON project
+	if (fname.endsWith(".isp"))
+	{
+		FileSystem.readFile(fname, false, function(data)
+		{
+			load(JSON.parse(data));
+		}, progress);
 	}
 	// Binary project
 	else if (fname.endsWith(".nsp"))
 	{
 		FileSystem.readFileArrayBuffer(fname, false, function(data)
 		{
-			var loader = new ObjectLoader();
 			var pson = new StaticPair();
-
-			self.program = loader.parse(pson.decode(data));
-			if (onLoad !== undefined)
-			{
-				onLoad(self);
-			}
-		}, function(event)
-		{
-			var progress = event.lengthComputable ? event.loaded / event.total * 100 : 0;
-			onProgress(progress, event);
-		});
+			load(pson.decode(data));
+		}, progress);
 	}
 };
 
+/**
+ * Get the base path of a file, used to resolve files relative to the project file.
+ *
+ * @static
+ * @method getBasePath
+ * @param {string} fname Path or URL of the file.
+ * @return {string} Path of the directory that contains the file, including the last separator.
+ */
+App.getBasePath = function(fname)
+{
+	return fname.substring(0, Math.max(fname.lastIndexOf("/"), fname.lastIndexOf("\\")) + 1);
+};
+
 /**
  * Update program state and render to the canvas.
  *
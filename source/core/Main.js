@@ -7,6 +7,8 @@ export {VRHandler} from "./xr/VRHandler.js";
 export {TargetConfig} from "./platform/TargetConfig.js";
 
 export {AnimationMixer} from "./animation/AnimationMixer.js";
+export {AnimationStateMachinePlayer} from "./animation/AnimationStateMachinePlayer.js";
+export {AnimationRootMotion} from "./animation/AnimationRootMotion.js";
 
 export {Key} from "./input/Key.js";
 export {Keyboard} from "./input/Keyboard.js";
@@ -17,6 +19,7 @@ export {Gyroscope} from "./input/Gyroscope.js";
 
 export {RendererState} from "./renderer/RendererState.js";
 export {RendererConfiguration} from "./renderer/RendererConfiguration.js";
+export {SceneTransition} from "./renderer/SceneTransition.js";
 export {CSS3DRenderer} from "./renderer/css/CSS3DRenderer.js";
 export {CSS3DObject} from "./renderer/css/CSS3DObject.js";
 export {CSS3DSprite} from "./renderer/css/CSS3DSprite.js";
@@ -51,6 +54,9 @@ export {Audio} from "./resources/Audio.js";
 export {Image} from "./resources/Image.js";
 export {Model} from "./resources/Model.js";
 export {TextFile} from "./resources/TextFile.js";
+export {AnimationStateMachine} from "./resources/AnimationStateMachine.js";
+export {ParticlePreset} from "./resources/ParticlePreset.js";
+export {Prefab} from "./resources/Prefab.js";
 export {ResourceContainer} from "./resources/ResourceContainer.js";
 export {ResourceManager} from "./resources/ResourceManager.js";
 export {VideoStream} from "./resources/VideoStream.js";
@@ -91,11 +97,13 @@ export {Sprite} from "./objects/sprite/Sprite.js";
 export {TextMesh} from "./objects/text/TextMesh.js";
 export {TextBitmap} from "./objects/text/TextBitmap.js";
 export {TextSprite} from "./objects/text/TextSprite.js";
+export {TextSDF} from "./objects/text/TextSDF.js";
 
 export {PointLight} from "./objects/lights/PointLight.js";
 export {SpotLight} from "./objects/lights/SpotLight.js";
 export {AmbientLight} from "./objects/lights/AmbientLight.js";
 export {DirectionalLight} from "./objects/lights/DirectionalLight.js";
+export {DirectionalLightCSM} from "./objects/lights/DirectionalLightCSM.js";
 export {HemisphereLight} from "./objects/lights/HemisphereLight.js";
 export {RectAreaLight} from "./objects/lights/RectAreaLight.js";
 export {LightProbe} from "./objects/lights/LightProbe.js";
@@ -110,14 +118,38 @@ export {PositionalAudio} from "./objects/audio/PositionalAudio.js";
 
 export {Script} from "./objects/script/Script.js";
 export {NodeScript} from "./objects/script/NodeScript.js";
+export {AnimationNode} from "./objects/script/nodes/AnimationNode.js";
+export {AudioEmitterNode} from "./objects/script/nodes/AudioEmitterNode.js";
+export {BaseNode} from "./objects/script/nodes/BaseNode.js";
+export {BranchNode} from "./objects/script/nodes/BranchNode.js";
+export {CompareNode} from "./objects/script/nodes/CompareNode.js";
+export {EventNode} from "./objects/script/nodes/EventNode.js";
+export {FindObjectNode} from "./objects/script/nodes/FindObjectNode.js";
+export {GamepadEventNode} from "./objects/script/nodes/GamepadEventNode.js";
+export {InputEventNode} from "./objects/script/nodes/InputEventNode.js";
+export {KeyboardEventNode} from "./objects/script/nodes/KeyboardEventNode.js";
+export {MathNode} from "./objects/script/nodes/MathNode.js";
+export {MouseEventNode} from "./objects/script/nodes/MouseEventNode.js";
+export {OperationNode} from "./objects/script/nodes/OperationNode.js";
+export {PropertyNode} from "./objects/script/nodes/PropertyNode.js";
+export {SetPropertyNode} from "./objects/script/nodes/SetPropertyNode.js";
+export {SetTransformNode} from "./objects/script/nodes/SetTransformNode.js";
+export {SplitVectorNode} from "./objects/script/nodes/SplitVectorNode.js";
+export {TimerNode} from "./objects/script/nodes/TimerNode.js";
+export {TransformNode} from "./objects/script/nodes/TransformNode.js";
+export {ValueNode} from "./objects/script/nodes/ValueNode.js";
+export {VectorNode} from "./objects/script/nodes/VectorNode.js";
+export {VectorOperationNode} from "./objects/script/nodes/VectorOperationNode.js";
 
 export {PhysicsObject} from "./objects/physics/PhysicsObject.js";
+export {PhysicsConstraint} from "./objects/physics/PhysicsConstraint.js";
 
 export {SpineAnimation} from "./objects/spine/SpineAnimation.js";
 export {SpineTexture} from "./objects/spine/SpineTexture.js";
 
 export {ParticleEmitterControl} from "./objects/particle/core/ParticleEmitterControl.js";
 export {ParticleGroup} from "./objects/particle/core/ParticleGroup.js";
+export {ParticleTrail} from "./objects/particle/core/ParticleTrail.js";
 export {ShaderUtils} from "./objects/particle/core/ShaderUtils.js";
 export {ShaderAttribute} from "./objects/particle/helpers/ShaderAttribute.js";
 export {TypedArrayHelper} from "./objects/particle/helpers/TypedArrayHelper.js";
@@ -131,6 +163,7 @@ export {HTMLView} from "./objects/misc/HTMLView.js";
 
 export {OrbitControls} from "./objects/controls/OrbitControls.js";
 export {FirstPersonControls} from "./objects/controls/FirstPersonControls.js";
+export {CharacterController} from "./objects/controls/CharacterController.js";
 
 export {Program} from "./objects/Program.js";
 export {Scene} from "./objects/Scene.js";
@@ -144,6 +177,7 @@ export {BufferUtils} from "./utils/binary/BufferUtils.js";
 
 export {Timer} from "./utils/timer/Timer.js";
 export {AnimationTimer} from "./utils/timer/AnimationTimer.js";
+export {Profiler} from "./utils/timer/Profiler.js";
 
 export {LocalStorage} from "./utils/LocalStorage.js";
 export {EventManager} from "./utils/EventManager.js";
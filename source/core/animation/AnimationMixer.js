@@ -1,4 +1,6 @@
-import {AnimationMixer as TAnimationMixer} from "three";
+import {AnimationMixer as TAnimationMixer, LoopPingPong} from "three";
+import {AnimationStateMachinePlayer} from "./AnimationStateMachinePlayer.js";
+import {AnimationRootMotion} from "./AnimationRootMotion.js";
 
 /**
  * The AnimationMixer is a player for animations on a particular object in the scene.
@@ -7,6 +9,12 @@ import {AnimationMixer as TAnimationMixer} from "three";
  *
  * The object stores animations in its animations attribute, which is an array an of animation clips.
  *
+ * If the object has an animation state machine the clips are played by the state machine, otherwise all clips are played at the same time.
+ *
+ * Events of the animation clips crossed while updating the mixer are dispatched to the scripts of the root object (calling their animationEvent method) and as "animationEvent" events of the mixer.
+ *
+ * Clips with root motion enabled have the motion of their root bone applied to the root object by an AnimationRootMotion.
+ *
  * @class AnimationMixer
  * @module Animation
  * @extends {AnimationMixer}
@@ -17,6 +25,30 @@ function AnimationMixer(root)
 	TAnimationMixer.call(this, root);
 
 	this.playing = false;
+
+	/**
+	 * Player of the animation state machine attached to the mixer, null if the mixer is not using a state machine.
+	 *
+	 * @property player
+	 * @type {AnimationStateMachinePlayer}
+	 */
+	this.player = null;
+
+	/**
+	 * Time and loop count of each action before the update, used to detect the animation events crossed and the root motion.
+	 *
+	 * @property actionStates
+	 * @type {Array}
+	 */
+	this.actionStates = [];
+
+	/**
+	 * Root motion extraction of the clips played by the mixer.
+	 *
+	 * @property rootMotion
+	 * @type {AnimationRootMotion}
+	 */
+	this.rootMotion = new AnimationRootMotion(this);
 }
 
 AnimationMixer.prototype = Object.create(TAnimationMixer.prototype);
@@ -42,6 +74,83 @@ AnimationMixer.prototype.createActions = function(animations)
 	return this._actions;
 };
 
+/**
+ * Use an animation state machine to play the animations of the root object.
+ *
+ * Actions previously created in the mixer are stopped.
+ *
+ * @method setStateMachine
+ * @param {AnimationStateMachine} machine State machine resource, if null the state machine player is removed.
+ */
+AnimationMixer.prototype.setStateMachine = function(machine)
+{
+	if (this.player !== null)
+	{
+		this.player.dispose();
+		this.player = null;
+	}
+
+	this.stopAllAction();
+
+	if (machine !== null)
+	{
+		this.player = new AnimationStateMachinePlayer(this, machine);
+	}
+};
+
+/**
+ * Set the value of a parameter of the animation state machine.
+ *
+ * @method setParameter
+ * @param {string} name Name of the parameter.
+ * @param {number | boolean} value Value of the parameter.
+ */
+AnimationMixer.prototype.setParameter = function(name, value)
+{
+	if (this.player !== null)
+	{
+		this.player.setParameter(name, value);
+	}
+};
+
+/**
+ * Get the value of a parameter of the animation state machine.
+ *
+ * @method getParameter
+ * @param {string} name Name of the parameter.
+ * @return {number | boolean} Value of the parameter.
+ */
+AnimationMixer.prototype.getParameter = function(name)
+{
+	return this.player !== null ? this.player.getParameter(name) : undefined;
+};
+
+/**
+ * Activate a trigger parameter of the animation state machine.
+ *
+ * @method setTrigger
+ * @param {string} name Name of the trigger parameter.
+ */
+AnimationMixer.prototype.setTrigger = function(name)
+{
+	if (this.player !== null)
+	{
+		this.player.setTrigger(name);
+	}
+};
+
+/**
+ * Get the name of the current state of a layer of the animation state machine.
+ *
+ * @method getCurrentState
+ * @param {number} layer Index of the layer, the first layer is used by default.
+ * @return {string} Name of the current state.
+ */
+AnimationMixer.prototype.getCurrentState = function(layer)
+{
+	return this.player !== null ? this.player.getCurrentState(layer) : null;
+};
+
 /**
  * Set animation mixer time.
  *
@@ -77,6 +186,11 @@ AnimationMixer.prototype.play = function()
  */
 AnimationMixer.prototype.stop = function()
 {
+	if (this.player !== null)
+	{
+		this.player.reset();
+	}
+
 	this.setTime(0);
 	this.playing = false;
 };
@@ -93,10 +207,200 @@ AnimationMixer.prototype.pause = function()
 
 AnimationMixer.prototype.dispose = function()
 {
+	if (this.player !== null)
+	{
+		this.player.dispose();
+	}
+
+	this.rootMotion.dispose();
 	this.stopAllAction();
 	this.uncacheRoot(this._root);
 };
 
+/**
+ * Check if any of the actions of the mixer plays a clip with events.
+ *
+ * @method hasEvents
+ * @return {boolean} True if there are events.
+ */
+AnimationMixer.prototype.hasEvents = function()
+{
+	for (var i = 0; i < this._actions.length; i++)
+	{
+		var events = this._actions[i].getClip().events;
+
+		if (events !== null && events.length > 0)
+		{
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Store the time and loop count of the actions before updating them.
+ *
+ * @method storeActionStates
+ */
+AnimationMixer.prototype.storeActionStates = function()
+{
+	this.actionStates.length = this._actions.length;
+
+	for (var i = 0; i < this._actions.length; i++)
+	{
+		var action = this._actions[i];
+
+		this.actionStates[i] = {time: action.time, loop: action._loopCount, enabled: action.enabled, weight: action.getEffectiveWeight()};
+	}
+};
+
+/**
+ * Dispatch the events of the clips crossed by the actions since the times were stored.
+ *
+ * Actions that were disabled or have no weight do not dispatch events, events at the start of the clip are dispatched when the action starts playing.
+ *
+ * @method updateEvents
+ * @param {number} delta Time since last update.
+ */
+AnimationMixer.prototype.updateEvents = function(delta)
+{
+	for (var i = 0; i < this._actions.length; i++)
+	{
+		var action = this._actions[i];
+		var clip = action.getClip();
+		var previous = this.actionStates[i];
+		var weight = action.getEffectiveWeight();
+
+		// Actions that finish in this update are disabled after crossing their last events
+		if (clip.events === null || clip.events.length === 0 || !previous.enabled || previous.weight <= 0 && weight <= 0)
+		{
+			continue;
+		}
+
+		var duration = clip.duration;
+
+		// Loop count is -1 until the action wraps for the first time
+		var previousLoop = Math.max(previous.loop, 0);
+		var loop = Math.max(action._loopCount, 0);
+		var loops = loop - previousLoop;
+
+		if (loops === 0 && action.time === previous.time)
+		{
+			continue;
+		}
+
+		// Events at the current time are included if the action just started playing
+		var start = previous.loop === -1 && previous.time === 0 || previous.weight <= 0;
+
+		// Actions controlled by the state machine have their time set directly
+		var forward = delta * (action.timeScale !== 0 ? action.timeScale : 1) > 0;
+
+		if (action.loop === LoopPingPong)
+		{
+			// Time of the clip is inverted in odd loops
+			var from = (previousLoop & 1) === 1 ? duration - previous.time : previous.time;
+			var to = (loop & 1) === 1 ? duration - action.time : action.time;
+			var end = (previousLoop & 1) === (forward ? 0 : 1) ? duration : 0;
+
+			if (loops === 0)
+			{
+				this.dispatchEvents(action, from, to, start);
+			}
+			else
+			{
+				this.dispatchEvents(action, from, end, start);
+				this.dispatchEvents(action, end, to, false);
+			}
+		}
+		else if (forward)
+		{
+			if (loops > 0 || action.time < previous.time)
+			{
+				this.dispatchEvents(action, previous.time, duration, start);
+				this.dispatchEvents(action, 0, action.time, true);
+			}
+			else
+			{
+				this.dispatchEvents(action, previous.time, action.time, start);
+			}
+		}
+		else
+		{
+			if (loops > 0 || action.time > previous.time)
+			{
+				this.dispatchEvents(action, previous.time, 0, start);
+				this.dispatchEvents(action, duration, action.time, true);
+			}
+			else
+			{
+				this.dispatchEvents(action, previous.time, action.time, start);
+			}
+		}
+	}
+};
+
+/**
+ * Dispatch the events of the action clip between two times.
+ *
+ * The events are dispatched in the order they are crossed, events placed at the origin time are only dispatched if inclusive is true.
+ *
+ * @method dispatchEvents
+ * @param {AnimationAction} action Action crossing the events.
+ * @param {number} from Origin time.
+ * @param {number} to Destination time.
+ * @param {boolean} inclusive If true events at the origin time are dispatched.
+ */
+AnimationMixer.prototype.dispatchEvents = function(action, from, to, inclusive)
+{
+	var events = action.getClip().events;
+
+	if (from <= to)
+	{
+		for (var i = 0; i < events.length; i++)
+		{
+			if ((events[i].time > from || inclusive && events[i].time === from) && events[i].time <= to)
+			{
+				this.dispatchAnimationEvent(events[i], action);
+			}
+		}
+	}
+	else
+	{
+		for (var i = events.length - 1; i >= 0; i--)
+		{
+			if ((events[i].time < from || inclusive && events[i].time === from) && events[i].time >= to)
+			{
+				this.dispatchAnimationEvent(events[i], action);
+			}
+		}
+	}
+};
+
+/**
+ * Dispatch a animation event.
+ *
+ * The animationEvent method is called on all the parents of the root object that implement it (e.g. scripts), the event is also dispatched by the mixer as a "animationEvent" event.
+ *
+ * @method dispatchAnimationEvent
+ * @param {Object} event Event of the animation clip.
+ * @param {AnimationAction} action Action that crossed the event.
+ */
+AnimationMixer.prototype.dispatchAnimationEvent = function(event, action)
+{
+	var node = this._root.parent;
+	while (node !== undefined && node !== null)
+	{
+		if (node.animationEvent !== undefined)
+		{
+			node.animationEvent(event.name, event.data);
+		}
+		node = node.parent;
+	}
+
+	this.dispatchEvent({type: "animationEvent", name: event.name, data: event.data, time: event.time, action: action});
+};
+
 /**
  * Update animation state.
  *
@@ -112,17 +416,41 @@ AnimationMixer.prototype.update = function(delta, forceUpdate)
 
 		var direction = Math.sign(delta);
 
+		// Store action times to detect the events crossed and the root motion
+		var events = delta !== 0 && this.hasEvents();
+		var rootMotion = this.rootMotion.hasRootMotion();
+		if (events || rootMotion && delta !== 0)
+		{
+			this.storeActionStates();
+		}
+
+		// State machine controls the time and weight of the actions
+		if (this.player !== null)
+		{
+			this.player.update(delta);
+		}
+
 		// Run active actions
 		for (var i = 0; i < this._actions.length; i++)
 		{
 			this._actions[i]._update(this.time, delta, direction, this._accuIndex);
 		}
 
+		if (events)
+		{
+			this.updateEvents(delta);
+		}
+
 		// Update scene graph
 		for (var i = 0; i < this._bindings.length; i++)
 		{
 			this._bindings[i].apply(this._accuIndex);
 		}
+
+		if (rootMotion)
+		{
+			this.rootMotion.update(delta, delta !== 0 ? this.actionStates : null);
+		}
 	}
 
 	return this;
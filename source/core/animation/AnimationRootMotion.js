@@ -0,0 +1,441 @@
+import {Vector3, Quaternion, Matrix3, Matrix4, PropertyBinding, LoopPingPong} from "three";
+import {PhysicsObject} from "../objects/physics/PhysicsObject.js";
+
+/**
+ * Animation root motion extracts the motion of the root bone from the clips played by an AnimationMixer.
+ *
+ * The horizontal translation and the rotation around the vertical axis of the root bone are removed from the pose and applied to the animated object instead, so that walk cycles move the object without sliding. The vertical translation and the remaining rotation stay in the pose.
+ *
+ * If the animated object is (or is inside of) a PhysicsObject the motion is applied to the physics body.
+ *
+ * Root motion is enabled per animation clip using the rootMotion attribute, the root bone is selected using the rootBone attribute of the clip.
+ *
+ * @class AnimationRootMotion
+ * @module Animation
+ * @param {AnimationMixer} mixer Mixer that plays the animations.
+ */
+function AnimationRootMotion(mixer)
+{
+	/**
+	 * Mixer that plays the animations.
+	 *
+	 * @property mixer
+	 * @type {AnimationMixer}
+	 */
+	this.mixer = mixer;
+
+	/**
+	 * If false the root motion is removed from the pose but not applied to the object.
+	 *
+	 * Used by the editor to preview animations without moving the objects.
+	 *
+	 * @property applyMotion
+	 * @type {boolean}
+	 */
+	this.applyMotion = true;
+
+	/**
+	 * Samplers of the root bone tracks of each clip, indexed by the clip uuid.
+	 *
+	 * @property samplers
+	 * @type {Map}
+	 */
+	this.samplers = new Map();
+}
+
+AnimationRootMotion.position = new Vector3();
+AnimationRootMotion.offset = new Vector3();
+AnimationRootMotion.motion = new Vector3();
+AnimationRootMotion.quaternion = new Quaternion();
+AnimationRootMotion.rotation = new Quaternion();
+AnimationRootMotion.yaw = new Quaternion();
+AnimationRootMotion.yawStart = new Quaternion();
+AnimationRootMotion.yawOffset = new Quaternion();
+AnimationRootMotion.yawMotion = new Quaternion();
+AnimationRootMotion.yawWeighted = new Quaternion();
+AnimationRootMotion.conjugate = new Quaternion();
+AnimationRootMotion.translation = new Vector3();
+AnimationRootMotion.bones = [];
+AnimationRootMotion.offsets = [];
+AnimationRootMotion.yaws = [];
+AnimationRootMotion.matrix = new Matrix4();
+AnimationRootMotion.inverse = new Matrix4();
+AnimationRootMotion.normal = new Matrix3();
+
+/**
+ * Check if any of the actions of the mixer plays a clip with root motion.
+ *
+ * @method hasRootMotion
+ * @return {boolean} True if there is root motion.
+ */
+AnimationRootMotion.prototype.hasRootMotion = function()
+{
+	var actions = this.mixer._actions;
+
+	for (var i = 0; i < actions.length; i++)
+	{
+		if (actions[i].getClip().rootMotion)
+		{
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Get the sampler of the root bone tracks of a clip.
+ *
+ * The sampler contains the root bone object and the interpolants used to read the root bone position and rotation, if the clip has no tracks for the root bone null is returned.
+ *
+ * @method getSampler
+ * @param {AnimationClip} clip Animation clip.
+ * @return {Object} Sampler of the clip.
+ */
+AnimationRootMotion.prototype.getSampler = function(clip)
+{
+	if (this.samplers.has(clip.uuid))
+	{
+		return this.samplers.get(clip.uuid);
+	}
+
+	var root = this.mixer.getRoot();
+	var sampler = null;
+	var name = clip.rootBone;
+
+	// Select the first bone with position keyframes whose parent is not a bone
+	if (name === "")
+	{
+		for (var i = 0; i < clip.tracks.length; i++)
+		{
+			var parsed = PropertyBinding.parseTrackName(clip.tracks[i].name);
+			var node = PropertyBinding.findNode(root, parsed.nodeName);
+
+			if (parsed.propertyName === "position" && node !== undefined && node !== null && node.isBone && (node.parent === null || !node.parent.isBone))
+			{
+				name = parsed.nodeName;
+				break;
+			}
+		}
+	}
+
+	var bone = name !== "" ? PropertyBinding.findNode(root, name) : null;
+
+	if (bone !== undefined && bone !== null && bone !== root)
+	{
+		sampler = {bone: bone, position: null, quaternion: null};
+
+		for (var i = 0; i < clip.tracks.length; i++)
+		{
+			var parsed = PropertyBinding.parseTrackName(clip.tracks[i].name);
+
+			if (parsed.nodeName === name && parsed.propertyIndex === undefined)
+			{
+				if (parsed.propertyName === "position")
+				{
+					sampler.position = clip.tracks[i].createInterpolant(new Float32Array(3));
+				}
+				else if (parsed.propertyName === "quaternion")
+				{
+					sampler.quaternion = clip.tracks[i].createInterpolant(new Float32Array(4));
+				}
+			}
+		}
+
+		if (sampler.position === null && sampler.quaternion === null)
+		{
+			sampler = null;
+		}
+	}
+
+	this.samplers.set(clip.uuid, sampler);
+
+	return sampler;
+};
+
+/**
+ * Read the position of the root bone from the sampler at a time of the clip.
+ *
+ * @method samplePosition
+ * @param {Object} sampler Sampler of the clip.
+ * @param {number} time Time of the clip.
+ * @param {Vector3} target Vector to store the position.
+ * @return {Vector3} Position of the root bone.
+ */
+AnimationRootMotion.prototype.samplePosition = function(sampler, time, target)
+{
+	if (sampler.position === null)
+	{
+		return target.set(0, 0, 0);
+	}
+
+	return target.fromArray(sampler.position.evaluate(time));
+};
+
+/**
+ * Read the rotation of the root bone around the vertical axis of the object from the sampler at a time of the clip.
+ *
+ * @method sampleYaw
+ * @param {Object} sampler Sampler of the clip.
+ * @param {number} time Time of the clip.
+ * @param {Quaternion} rotation Rotation of the root bone parent space relative to the object.
+ * @param {Quaternion} target Quaternion to store the rotation.
+ * @return {Quaternion} Rotation of the root bone around the vertical axis in object space.
+ */
+AnimationRootMotion.prototype.sampleYaw = function(sampler, time, rotation, target)
+{
+	if (sampler.quaternion === null)
+	{
+		return target.set(0, 0, 0, 1);
+	}
+
+	target.fromArray(sampler.quaternion.evaluate(time));
+	target.premultiply(rotation);
+
+	// Twist component around the vertical axis
+	var length = Math.sqrt(target.y * target.y + target.w * target.w);
+
+	return length > 0 ? target.set(0, target.y / length, 0, target.w / length) : target.set(0, 0, 0, 1);
+};
+
+/**
+ * Get the motion (horizontal translation and yaw in object space) of the root bone between two times of the clip.
+ *
+ * @method sampleMotion
+ * @param {Object} sampler Sampler of the clip.
+ * @param {number} from Origin time.
+ * @param {number} to Destination time.
+ * @param {Matrix3} normal Transformation from the root bone parent space to the object space.
+ * @param {Quaternion} rotation Rotation of the root bone parent space relative to the object.
+ * @param {Vector3} translation Vector where the translation is added.
+ * @param {Quaternion} yaw Quaternion where the rotation is multiplied.
+ */
+AnimationRootMotion.prototype.sampleMotion = function(sampler, from, to, normal, rotation, translation, yaw)
+{
+	var position = AnimationRootMotion.position;
+	var quaternion = AnimationRootMotion.quaternion;
+	var offset = AnimationRootMotion.offset;
+
+	// Rotation of the root bone since the start of the clip is already applied to the object, translation is relative to it
+	this.sampleYaw(sampler, from, rotation, quaternion).conjugate();
+
+	this.samplePosition(sampler, to, offset);
+	offset.sub(this.samplePosition(sampler, from, position));
+	offset.applyMatrix3(normal);
+	offset.applyQuaternion(quaternion);
+	offset.applyQuaternion(this.sampleYaw(sampler, 0, rotation, AnimationRootMotion.yawStart));
+	offset.y = 0;
+
+	translation.add(offset.applyQuaternion(yaw));
+
+	yaw.multiply(quaternion);
+	yaw.multiply(this.sampleYaw(sampler, to, rotation, quaternion));
+};
+
+/**
+ * Update the root motion, should be called by the mixer after the pose was applied to the objects.
+ *
+ * Removes the motion of the root bone from the pose and moves the animated object by the motion since the last update.
+ *
+ * @method update
+ * @param {number} delta Time since last update.
+ * @param {Array} states State of the actions before the update, null if the time did not change.
+ */
+AnimationRootMotion.prototype.update = function(delta, states)
+{
+	var root = this.mixer.getRoot();
+	var actions = this.mixer._actions;
+
+	var offset = AnimationRootMotion.offset;
+	var motion = AnimationRootMotion.motion.set(0, 0, 0);
+	var yawOffset = AnimationRootMotion.yawOffset;
+	var yawMotion = AnimationRootMotion.yawMotion.set(0, 0, 0, 1);
+	var yaw = AnimationRootMotion.yaw;
+
+	// Total weight of the root motion actions, weights are normalized if above one
+	var total = 0;
+	for (var i = 0; i < actions.length; i++)
+	{
+		if (actions[i].getClip().rootMotion)
+		{
+			total += actions[i].getEffectiveWeight();
+		}
+	}
+
+	total = Math.max(total, 1);
+
+	// Root bones and the motion removed from their pose
+	var bones = AnimationRootMotion.bones;
+	var offsets = AnimationRootMotion.offsets;
+	var yaws = AnimationRootMotion.yaws;
+	bones.length = 0;
+
+	for (var i = 0; i < actions.length; i++)
+	{
+		var action = actions[i];
+		var clip = action.getClip();
+		var weight = action.getEffectiveWeight() / total;
+
+		if (!clip.rootMotion || weight <= 0)
+		{
+			continue;
+		}
+
+		var sampler = this.getSampler(clip);
+		if (sampler === null || sampler.bone.parent === null)
+		{
+			continue;
+		}
+
+		var bone = sampler.bone;
+		var duration = clip.duration;
+
+		// Transformation from the bone parent space to the object space
+		var matrix = AnimationRootMotion.matrix.getInverse(root.matrixWorld).multiply(bone.parent.matrixWorld);
+		var normal = AnimationRootMotion.normal.setFromMatrix4(matrix);
+		var rotation = AnimationRootMotion.rotation;
+		matrix.decompose(AnimationRootMotion.position, rotation, AnimationRootMotion.offset);
+
+		var index = bones.indexOf(bone);
+		if (index === -1)
+		{
+			index = bones.length;
+			bones.push(bone);
+
+			if (index === offsets.length)
+			{
+				offsets.push(new Vector3());
+				yaws.push(new Quaternion());
+			}
+
+			offsets[index].set(0, 0, 0);
+			yaws[index].set(0, 0, 0, 1);
+		}
+
+		// Motion accumulated since the start of the clip is removed from the pose
+		var loop = Math.max(action._loopCount, 0);
+		var time = action.loop === LoopPingPong && (loop & 1) === 1 ? duration - action.time : action.time;
+
+		this.samplePosition(sampler, time, offset);
+		offset.sub(this.samplePosition(sampler, 0, AnimationRootMotion.position));
+		offset.applyMatrix3(normal);
+		offset.y = 0;
+		offsets[index].addScaledVector(offset, weight);
+
+		this.sampleYaw(sampler, time, rotation, yawOffset);
+		yawOffset.multiply(this.sampleYaw(sampler, 0, rotation, yaw).conjugate());
+		yaws[index].multiply(AnimationRootMotion.yawWeighted.set(0, 0, 0, 1).slerp(yawOffset, weight));
+
+		// Motion since the last update is applied to the object
+		var previous = states !== null ? states[i] : undefined;
+		if (!this.applyMotion || previous === undefined || !previous.enabled)
+		{
+			continue;
+		}
+
+		var previousLoop = Math.max(previous.loop, 0);
+		var loops = loop - previousLoop;
+		var translation = AnimationRootMotion.translation.set(0, 0, 0);
+		yaw.set(0, 0, 0, 1);
+
+		// Actions controlled by the state machine have their time set directly
+		var forward = delta * (action.timeScale !== 0 ? action.timeScale : 1) > 0;
+
+		if (action.loop === LoopPingPong)
+		{
+			var from = (previousLoop & 1) === 1 ? duration - previous.time : previous.time;
+			this.sampleMotion(sampler, from, time, normal, rotation, translation, yaw);
+		}
+		// Clip wrapped, motion until the end of the clip is added to the motion from the start
+		else if (forward && (loops > 0 || action.time < previous.time))
+		{
+			this.sampleMotion(sampler, previous.time, duration, normal, rotation, translation, yaw);
+			this.sampleMotion(sampler, 0, action.time, normal, rotation, translation, yaw);
+		}
+		else if (!forward && (loops > 0 || action.time > previous.time))
+		{
+			this.sampleMotion(sampler, previous.time, 0, normal, rotation, translation, yaw);
+			this.sampleMotion(sampler, duration, action.time, normal, rotation, translation, yaw);
+		}
+		else
+		{
+			this.sampleMotion(sampler, previous.time, action.time, normal, rotation, translation, yaw);
+		}
+
+		motion.addScaledVector(translation, weight);
+		yawMotion.multiply(AnimationRootMotion.yawWeighted.set(0, 0, 0, 1).slerp(yaw, weight));
+	}
+
+	// Remove the motion from the pose of the root bones
+	for (var i = 0; i < bones.length; i++)
+	{
+		var bone = bones[i];
+		var matrix = AnimationRootMotion.matrix.getInverse(root.matrixWorld).multiply(bone.parent.matrixWorld);
+		var rotation = AnimationRootMotion.rotation;
+		matrix.decompose(AnimationRootMotion.position, rotation, AnimationRootMotion.offset);
+
+		var inverse = AnimationRootMotion.normal.setFromMatrix4(AnimationRootMotion.inverse.getInverse(matrix));
+		bone.position.sub(offsets[i].applyMatrix3(inverse));
+
+		// Yaw in object space converted to the bone parent space
+		var quaternion = yaws[i].conjugate().premultiply(AnimationRootMotion.conjugate.copy(rotation).conjugate()).multiply(rotation);
+		bone.quaternion.premultiply(quaternion);
+	}
+
+	if (motion.lengthSq() > 0 || yawMotion.w < 1)
+	{
+		this.applyRootMotion(motion, yawMotion);
+	}
+};
+
+/**
+ * Move the animated object, if the object is inside of a physics object the physics body is moved instead.
+ *
+ * @method applyRootMotion
+ * @param {Vector3} translation Translation in the object space.
+ * @param {Quaternion} yaw Rotation in the object space.
+ */
+AnimationRootMotion.prototype.applyRootMotion = function(translation, yaw)
+{
+	var root = this.mixer.getRoot();
+
+	var node = root;
+	while (node !== null && !(node instanceof PhysicsObject))
+	{
+		node = node.parent;
+	}
+
+	if (node !== null && node.body !== undefined)
+	{
+		var quaternion = AnimationRootMotion.quaternion;
+		root.getWorldQuaternion(quaternion);
+
+		// Translation and rotation in world space
+		translation.applyMatrix3(AnimationRootMotion.normal.setFromMatrix4(root.matrixWorld));
+		yaw.premultiply(quaternion).multiply(quaternion.conjugate());
+
+		var body = node.body;
+		body.position.set(body.position.x + translation.x, body.position.y + translation.y, body.position.z + translation.z);
+
+		quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w).premultiply(yaw);
+		body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+		body.wakeUp();
+	}
+	else
+	{
+		root.position.add(translation.applyMatrix3(AnimationRootMotion.normal.setFromMatrix4(root.matrix)));
+		root.quaternion.multiply(yaw);
+	}
+};
+
+/**
+ * Clear the samplers of the clips, should be called when the clips of the object are changed.
+ *
+ * @method dispose
+ */
+AnimationRootMotion.prototype.dispose = function()
+{
+	this.samplers.clear();
+};
+
+export {AnimationRootMotion};
@@ -0,0 +1,701 @@
+import {AnimationClip, AnimationUtils, PropertyBinding, AdditiveAnimationBlendMode, NormalAnimationBlendMode} from "three";
+import {AnimationStateMachine} from "../resources/AnimationStateMachine.js";
+
+/**
+ * Animation state machine player plays an AnimationStateMachine resource using the actions of an AnimationMixer.
+ *
+ * The player keeps the runtime values of the parameters and the current state of each layer. The time of the actions is controlled by the player, clips of blend trees are synchronized using the normalized time of the state.
+ *
+ * The player is created by the mixer when a state machine is attached to it, scripts should change the parameters using the mixer (e.g. mixer.setParameter("speed", 2)).
+ *
+ * @class AnimationStateMachinePlayer
+ * @module Animation
+ * @param {AnimationMixer} mixer Mixer used to play the animations.
+ * @param {AnimationStateMachine} machine State machine to be played.
+ */
+function AnimationStateMachinePlayer(mixer, machine)
+{
+	/**
+	 * Mixer used to play the animations.
+	 *
+	 * @property mixer
+	 * @type {AnimationMixer}
+	 */
+	this.mixer = mixer;
+
+	/**
+	 * State machine being played.
+	 *
+	 * @property machine
+	 * @type {AnimationStateMachine}
+	 */
+	this.machine = machine;
+
+	/**
+	 * Runtime values of the parameters indexed by their name.
+	 *
+	 * @property parameters
+	 * @type {Object}
+	 */
+	this.parameters = {};
+
+	/**
+	 * Runtime status of each layer of the state machine.
+	 *
+	 * Stores the current state, the previous state (while a transition is running), the transition progress and the actions created for the layer.
+	 *
+	 * @property layers
+	 * @type {Array}
+	 */
+	this.layers = [];
+
+	this.reset();
+}
+
+/**
+ * Reset the parameters to their initial values and the layers to their default state.
+ *
+ * @method reset
+ */
+AnimationStateMachinePlayer.prototype.reset = function()
+{
+	this.parameters = {};
+
+	var parameters = this.machine.parameters;
+	for (var i = 0; i < parameters.length; i++)
+	{
+		this.parameters[parameters[i].name] = parameters[i].value;
+	}
+
+	this.dispose();
+
+	for (var i = 0; i < this.machine.layers.length; i++)
+	{
+		var layer = this.machine.layers[i];
+
+		var status =
+		{
+			layer: layer,
+			weight: layer.weight,
+			current: null,
+			previous: null,
+			transition: null,
+			elapsed: 0,
+			actions: {},
+			mask: this.getMaskNodes(layer.mask)
+		};
+
+		var state = this.machine.getState(layer, layer.defaultState);
+		if (state !== null)
+		{
+			status.current = {state: state, time: 0};
+		}
+
+		this.layers.push(status);
+	}
+};
+
+/**
+ * Get the names of all the nodes included in a mask, children of the bones in the mask are included.
+ *
+ * @method getMaskNodes
+ * @param {Array} mask Names of the bones in the mask.
+ * @return {Array} Names of the nodes in the mask, null if the mask is empty (all nodes).
+ */
+AnimationStateMachinePlayer.prototype.getMaskNodes = function(mask)
+{
+	if (mask.length === 0)
+	{
+		return null;
+	}
+
+	var root = this.mixer.getRoot();
+	var nodes = [];
+
+	for (var i = 0; i < mask.length; i++)
+	{
+		var node = root.getObjectByName(mask[i]);
+		if (node === undefined && root.skeleton !== undefined)
+		{
+			node = root.skeleton.getBoneByName(mask[i]);
+		}
+
+		if (node !== undefined)
+		{
+			node.traverse(function(child)
+			{
+				nodes.push(child.name);
+			});
+		}
+		else
+		{
+			nodes.push(mask[i]);
+		}
+	}
+
+	return nodes;
+};
+
+/**
+ * Set the value of a parameter.
+ *
+ * @method setParameter
+ * @param {string} name Name of the parameter.
+ * @param {number | boolean} value Value of the parameter.
+ */
+AnimationStateMachinePlayer.prototype.setParameter = function(name, value)
+{
+	if (this.parameters[name] === undefined)
+	{
+		console.warn("nunuStudio: AnimationStateMachinePlayer, unknown parameter " + name + ".");
+	}
+
+	this.parameters[name] = value;
+};
+
+/**
+ * Activate a trigger parameter, the trigger is reset when it is used by a transition.
+ *
+ * @method setTrigger
+ * @param {string} name Name of the trigger parameter.
+ */
+AnimationStateMachinePlayer.prototype.setTrigger = function(name)
+{
+	this.setParameter(name, true);
+};
+
+/**
+ * Get the value of a parameter.
+ *
+ * @method getParameter
+ * @param {string} name Name of the parameter.
+ * @return {number | boolean} Value of the parameter.
+ */
+AnimationStateMachinePlayer.prototype.getParameter = function(name)
+{
+	return this.parameters[name];
+};
+
+/**
+ * Get the name of the current state of a layer.
+ *
+ * @method getCurrentState
+ * @param {number} layer Index of the layer, the first layer is used by default.
+ * @return {string} Name of the current state, null if the layer has no states.
+ */
+AnimationStateMachinePlayer.prototype.getCurrentState = function(layer)
+{
+	var status = this.layers[layer !== undefined ? layer : 0];
+
+	return status !== undefined && status.current !== null ? status.current.state.name : null;
+};
+
+/**
+ * Crossfade to a state, ignoring the transitions defined in the state machine.
+ *
+ * Nothing is done if the state is already the current state, the state actions cannot be blended with themselves.
+ *
+ * @method crossFade
+ * @param {string} name Name of the destination state.
+ * @param {number} duration Crossfade duration in seconds.
+ * @param {number} layer Index of the layer, the first layer is used by default.
+ */
+AnimationStateMachinePlayer.prototype.crossFade = function(name, duration, layer)
+{
+	var status = this.layers[layer !== undefined ? layer : 0];
+	var state = this.machine.getState(status.layer, name);
+
+	if (state === null)
+	{
+		console.warn("nunuStudio: AnimationStateMachinePlayer, unknown state " + name + ".");
+		return;
+	}
+
+	if (status.current !== null && status.current.state === state)
+	{
+		return;
+	}
+
+	this.startTransition(status, state, duration !== undefined ? duration : 0);
+};
+
+/**
+ * Set the runtime weight of a layer.
+ *
+ * @method setLayerWeight
+ * @param {number} layer Index of the layer.
+ * @param {number} weight Weight of the layer.
+ */
+AnimationStateMachinePlayer.prototype.setLayerWeight = function(layer, weight)
+{
+	this.layers[layer].weight = weight;
+};
+
+/**
+ * Start a transition from the current state of a layer to another state.
+ *
+ * If a transition is already running the previous state is replaced by the current state.
+ *
+ * @method startTransition
+ * @param {Object} status Runtime status of the layer.
+ * @param {Object} state Destination state.
+ * @param {number} duration Crossfade duration in seconds.
+ */
+AnimationStateMachinePlayer.prototype.startTransition = function(status, state, duration)
+{
+	status.previous = duration > 0 ? status.current : null;
+	status.current = {state: state, time: 0};
+	status.transition = duration > 0 ? duration : null;
+	status.elapsed = 0;
+};
+
+/**
+ * Check if the conditions of a transition are verified.
+ *
+ * @method checkTransition
+ * @param {Object} transition Transition to check.
+ * @param {Object} current Current state and its normalized time.
+ * @return {boolean} True if the transition should be triggered.
+ */
+AnimationStateMachinePlayer.prototype.checkTransition = function(transition, current)
+{
+	// Exit time, transitions without conditions leave the state when it ends
+	var exitTime = transition.exitTime !== null ? transition.exitTime : transition.conditions.length === 0 ? 1 : null;
+	if (exitTime !== null)
+	{
+		var time = current.time;
+		if (current.state.loop && exitTime < 1)
+		{
+			time -= Math.floor(time);
+		}
+
+		if (time < exitTime)
+		{
+			return false;
+		}
+	}
+
+	for (var i = 0; i < transition.conditions.length; i++)
+	{
+		var condition = transition.conditions[i];
+		var value = this.parameters[condition.parameter];
+
+		if (condition.mode === AnimationStateMachine.GREATER && !(value > condition.value) ||
+			condition.mode === AnimationStateMachine.LESS && !(value < condition.value) ||
+			condition.mode === AnimationStateMachine.EQUALS && value !== condition.value ||
+			condition.mode === AnimationStateMachine.NOT_EQUALS && value === condition.value ||
+			condition.mode === AnimationStateMachine.IF && value !== true ||
+			condition.mode === AnimationStateMachine.IF_NOT && value !== false)
+		{
+			return false;
+		}
+	}
+
+	return true;
+};
+
+/**
+ * Reset the trigger parameters used by the conditions of a transition.
+ *
+ * @method consumeTriggers
+ * @param {Object} transition Transition that was triggered.
+ */
+AnimationStateMachinePlayer.prototype.consumeTriggers = function(transition)
+{
+	for (var i = 0; i < transition.conditions.length; i++)
+	{
+		var parameter = this.machine.getParameter(transition.conditions[i].parameter);
+		if (parameter !== null && parameter.type === AnimationStateMachine.TRIGGER)
+		{
+			this.parameters[parameter.name] = false;
+		}
+	}
+};
+
+/**
+ * Get the clips played by a state and their weights.
+ *
+ * 1D blend trees interpolate between the two clips closest to the parameter value, 2D blend trees weight the clips using the inverse of their squared distance to the parameters position.
+ *
+ * @method getStateWeights
+ * @param {Object} state State of the state machine.
+ * @return {Array} Clips of the state as {clip, weight}.
+ */
+AnimationStateMachinePlayer.prototype.getStateWeights = function(state)
+{
+	if (state.type === AnimationStateMachine.CLIP)
+	{
+		return [{clip: state.clip, weight: 1}];
+	}
+
+	var children = state.children;
+	var weights = [];
+
+	if (children.length === 0)
+	{
+		return weights;
+	}
+
+	if (state.type === AnimationStateMachine.BLEND_1D)
+	{
+		var value = this.parameters[state.parameterX] || 0;
+		var sorted = children.slice().sort(function(a, b)
+		{
+			return a.x - b.x;
+		});
+
+		if (value <= sorted[0].x)
+		{
+			weights.push({clip: sorted[0].clip, weight: 1});
+		}
+		else if (value >= sorted[sorted.length - 1].x)
+		{
+			weights.push({clip: sorted[sorted.length - 1].clip, weight: 1});
+		}
+		else
+		{
+			for (var i = 0; i < sorted.length - 1; i++)
+			{
+				var a = sorted[i];
+				var b = sorted[i + 1];
+
+				if (value >= a.x && value <= b.x)
+				{
+					var t = b.x > a.x ? (value - a.x) / (b.x - a.x) : 0;
+					weights.push({clip: a.clip, weight: 1 - t});
+					weights.push({clip: b.clip, weight: t});
+					break;
+				}
+			}
+		}
+	}
+	else if (state.type === AnimationStateMachine.BLEND_2D)
+	{
+		var x = this.parameters[state.parameterX] || 0;
+		var y = this.parameters[state.parameterY] || 0;
+		var total = 0;
+
+		for (var i = 0; i < children.length; i++)
+		{
+			var dx = children[i].x - x;
+			var dy = children[i].y - y;
+			var distance = dx * dx + dy * dy;
+
+			// Parameters over a clip position
+			if (distance < 1e-6)
+			{
+				return [{clip: children[i].clip, weight: 1}];
+			}
+
+			weights.push({clip: children[i].clip, weight: 1 / distance});
+			total += 1 / distance;
+		}
+
+		for (var i = 0; i < weights.length; i++)
+		{
+			weights[i].weight /= total;
+		}
+	}
+
+	return weights;
+};
+
+/**
+ * Get an animation clip of the mixer root object by its name.
+ *
+ * @method getClip
+ * @param {string} name Name of the clip.
+ * @return {AnimationClip} The clip, null if not found.
+ */
+AnimationStateMachinePlayer.prototype.getClip = function(name)
+{
+	var animations = this.mixer.getRoot().animations;
+
+	if (animations !== undefined)
+	{
+		for (var i = 0; i < animations.length; i++)
+		{
+			if (animations[i].name === name)
+			{
+				return animations[i];
+			}
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Get the actions used to play a clip in a state of a layer, the actions are created on the first use.
+ *
+ * The tracks of the clip are filtered by the layer mask and split into parts by the override layers above that also animate them, each part has its own action so that it can be attenuated by the weight of these layers.
+ *
+ * @method getActions
+ * @param {number} index Index of the layer.
+ * @param {Object} state State of the layer.
+ * @param {AnimationClip} clip Clip played by the state.
+ * @return {Array} Actions as {action, layers}, where layers are the indexes of the override layers above that animate the tracks of the action.
+ */
+AnimationStateMachinePlayer.prototype.getActions = function(index, state, clip)
+{
+	var status = this.layers[index];
+	var key = state.name + "/" + clip.name;
+
+	if (status.actions[key] !== undefined)
+	{
+		return status.actions[key];
+	}
+
+	var parts = {};
+
+	for (var i = 0; i < clip.tracks.length; i++)
+	{
+		var track = clip.tracks[i];
+		var parsed = PropertyBinding.parseTrackName(track.name);
+		var node = parsed.objectName === "bones" ? parsed.objectIndex : parsed.nodeName;
+
+		if (status.mask !== null && status.mask.indexOf(node) === -1)
+		{
+			continue;
+		}
+
+		var layers = [];
+		for (var j = index + 1; j < this.layers.length; j++)
+		{
+			if (this.layers[j].layer.blending === AnimationStateMachine.OVERRIDE && (this.layers[j].mask === null || this.layers[j].mask.indexOf(node) !== -1))
+			{
+				layers.push(j);
+			}
+		}
+
+		var part = layers.join(",");
+		if (parts[part] === undefined)
+		{
+			parts[part] = {layers: layers, tracks: []};
+		}
+		parts[part].tracks.push(track);
+	}
+
+	var additive = status.layer.blending === AnimationStateMachine.ADDITIVE;
+	var actions = [];
+
+	for (var part in parts)
+	{
+		var subclip = new AnimationClip(clip.name + "/" + index + "/" + part, clip.duration, parts[part].tracks);
+		if (additive)
+		{
+			subclip = AnimationUtils.makeClipAdditive(subclip.clone());
+		}
+
+		if (!additive)
+		{
+			subclip.rootMotion = clip.rootMotion;
+			subclip.rootBone = clip.rootBone;
+		}
+
+		// Events are dispatched only by the first part of the clip
+		if (actions.length === 0 && clip.events !== null)
+		{
+			subclip.events = clip.events;
+		}
+
+		var action = this.mixer.clipAction(subclip, undefined, additive ? AdditiveAnimationBlendMode : NormalAnimationBlendMode);
+		action.timeScale = 0;
+		action.weight = 0;
+		action.play();
+
+		actions.push({action: action, layers: parts[part].layers});
+	}
+
+	status.actions[key] = actions;
+
+	return actions;
+};
+
+/**
+ * Get the duration of a state, for blend trees the duration is the weighted average of the clips durations.
+ *
+ * @method getStateDuration
+ * @param {Array} weights Clips of the state and their weights.
+ * @return {number} Duration of the state in seconds.
+ */
+AnimationStateMachinePlayer.prototype.getStateDuration = function(weights)
+{
+	var duration = 0;
+
+	for (var i = 0; i < weights.length; i++)
+	{
+		var clip = this.getClip(weights[i].clip);
+		if (clip !== null)
+		{
+			duration += clip.duration * weights[i].weight;
+		}
+	}
+
+	return duration;
+};
+
+/**
+ * Advance the normalized time of a state, the time stops at the end of states that do not loop.
+ *
+ * @method advanceState
+ * @param {Object} current State and its normalized time.
+ * @param {Array} weights Clips of the state and their weights.
+ * @param {number} delta Time since the last update.
+ */
+AnimationStateMachinePlayer.prototype.advanceState = function(current, weights, delta)
+{
+	var duration = this.getStateDuration(weights);
+	if (duration > 0)
+	{
+		current.time += delta * current.state.speed / duration;
+	}
+
+	if (!current.state.loop)
+	{
+		current.time = Math.min(current.time, 1);
+	}
+};
+
+/**
+ * Set the time and weight of the actions used to play a state.
+ *
+ * @method applyState
+ * @param {number} index Index of the layer.
+ * @param {Object} current State and its normalized time.
+ * @param {Array} weights Clips of the state and their weights.
+ * @param {number} weight Weight of the state in the layer.
+ */
+AnimationStateMachinePlayer.prototype.applyState = function(index, current, weights, weight)
+{
+	var time = current.state.loop ? current.time - Math.floor(current.time) : current.time;
+
+	for (var i = 0; i < weights.length; i++)
+	{
+		var clip = this.getClip(weights[i].clip);
+		if (clip === null)
+		{
+			continue;
+		}
+
+		var actions = this.getActions(index, current.state, clip);
+		for (var j = 0; j < actions.length; j++)
+		{
+			// Attenuate by the override layers above
+			var factor = this.layers[index].weight;
+			for (var k = 0; k < actions[j].layers.length; k++)
+			{
+				factor *= 1 - Math.min(Math.max(this.layers[actions[j].layers[k]].weight, 0), 1);
+			}
+
+			actions[j].action.time = time * clip.duration;
+			actions[j].action.weight = weights[i].weight * weight * factor;
+		}
+	}
+};
+
+/**
+ * Update the state machine, checks the transitions of each layer and sets the time and weight of the actions.
+ *
+ * Should be called by the mixer before updating the actions.
+ *
+ * @method update
+ * @param {number} delta Time since the last update.
+ */
+AnimationStateMachinePlayer.prototype.update = function(delta)
+{
+	for (var i = 0; i < this.layers.length; i++)
+	{
+		var status = this.layers[i];
+
+		// Actions that are not used in this frame are disabled
+		for (var key in status.actions)
+		{
+			for (var j = 0; j < status.actions[key].length; j++)
+			{
+				status.actions[key][j].action.weight = 0;
+			}
+		}
+
+		if (status.current === null)
+		{
+			continue;
+		}
+
+		// Transitions, transitions into the current state are skipped
+		var transitions = status.layer.transitions;
+		for (var j = 0; j < transitions.length; j++)
+		{
+			var transition = transitions[j];
+
+			if ((transition.from === status.current.state.name || transition.from === AnimationStateMachine.ANY) && transition.to !== status.current.state.name && this.checkTransition(transition, status.current))
+			{
+				var state = this.machine.getState(status.layer, transition.to);
+				if (state !== null)
+				{
+					this.consumeTriggers(transition);
+					this.startTransition(status, state, transition.duration);
+					break;
+				}
+			}
+		}
+
+		// Crossfade
+		var fade = 1;
+		if (status.transition !== null)
+		{
+			status.elapsed += delta;
+			fade = Math.min(status.elapsed / status.transition, 1);
+
+			if (fade >= 1)
+			{
+				status.previous = null;
+				status.transition = null;
+			}
+		}
+
+		var weights = this.getStateWeights(status.current.state);
+		this.advanceState(status.current, weights, delta);
+		this.applyState(i, status.current, weights, fade);
+
+		if (status.previous !== null)
+		{
+			var previous = this.getStateWeights(status.previous.state);
+			this.advanceState(status.previous, previous, delta);
+			this.applyState(i, status.previous, previous, 1 - fade);
+		}
+	}
+};
+
+/**
+ * Stop and remove the actions created by the player from the mixer.
+ *
+ * @method dispose
+ */
+AnimationStateMachinePlayer.prototype.dispose = function()
+{
+	var clips = [];
+
+	for (var i = 0; i < this.layers.length; i++)
+	{
+		var actions = this.layers[i].actions;
+		for (var key in actions)
+		{
+			for (var j = 0; j < actions[key].length; j++)
+			{
+				actions[key][j].action.stop();
+				clips.push(actions[key][j].action.getClip());
+			}
+		}
+	}
+
+	// Clips are only uncached after all actions are stopped, bindings shared with active actions cannot be removed
+	for (var i = 0; i < clips.length; i++)
+	{
+		this.mixer.uncacheClip(clips[i]);
+	}
+
+	this.layers = [];
+};
+
+export {AnimationStateMachinePlayer};
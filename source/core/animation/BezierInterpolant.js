@@ -0,0 +1,208 @@
+import {Interpolant} from "three";
+
+/**
+ * Bezier interpolant evaluates animation curves where each keyframe has a in and out tangent.
+ *
+ * Tangents are stored as slopes (value variation per second) for each component of the keyframe value, the curve between two keyframes is a cubic hermite spline (equivalent to a cubic bezier curve with the control points placed at one third of the interval).
+ *
+ * Each keyframe has a tangent mode that defines how its tangents are calculated, only BEZIER tangents are edited by the user, the others are recalculated by computeTangents.
+ *
+ * It is created by keyframe tracks using the InterpolateBezier interpolation mode.
+ *
+ * @class BezierInterpolant
+ * @extends {Interpolant}
+ * @module Animation
+ * @param {Float32Array} parameterPositions Keyframe times.
+ * @param {Float32Array} sampleValues Keyframe values.
+ * @param {number} sampleSize Size of each keyframe value.
+ * @param {Float32Array} resultBuffer Buffer where the result is written.
+ * @param {Array} tangentModes Tangent mode of each keyframe.
+ * @param {Float32Array} inTangents Slope of the curve arriving at each keyframe value.
+ * @param {Float32Array} outTangents Slope of the curve leaving each keyframe value.
+ */
+function BezierInterpolant(parameterPositions, sampleValues, sampleSize, resultBuffer, tangentModes, inTangents, outTangents)
+{
+	Interpolant.call(this, parameterPositions, sampleValues, sampleSize, resultBuffer);
+
+	/**
+	 * Tangent mode of each keyframe.
+	 *
+	 * @property tangentModes
+	 * @type {Array}
+	 */
+	this.tangentModes = tangentModes;
+
+	/**
+	 * Slope of the curve arriving at each keyframe value.
+	 *
+	 * @property inTangents
+	 * @type {Float32Array}
+	 */
+	this.inTangents = inTangents;
+
+	/**
+	 * Slope of the curve leaving each keyframe value.
+	 *
+	 * @property outTangents
+	 * @type {Float32Array}
+	 */
+	this.outTangents = outTangents;
+
+	/**
+	 * If true the result is normalized in groups of four values, used for quaternion tracks.
+	 *
+	 * @property normalize
+	 * @type {boolean}
+	 */
+	this.normalize = false;
+}
+
+BezierInterpolant.prototype = Object.create(Interpolant.prototype);
+BezierInterpolant.prototype.constructor = BezierInterpolant;
+
+/**
+ * Interpolation mode used by keyframe tracks to create bezier interpolants.
+ *
+ * Extends the interpolation modes provided by three.js (InterpolateDiscrete, InterpolateLinear and InterpolateSmooth).
+ *
+ * @static
+ * @attribute InterpolateBezier
+ * @type {number}
+ */
+BezierInterpolant.InterpolateBezier = 2310;
+
+/**
+ * Tangents are calculated automatically from the neighbour keyframes, they are flattened on local minimum and maximum values to avoid overshooting.
+ *
+ * @static
+ * @attribute AUTO
+ * @type {number}
+ */
+BezierInterpolant.AUTO = 0;
+
+/**
+ * Tangents are edited by the user.
+ *
+ * @static
+ * @attribute BEZIER
+ * @type {number}
+ */
+BezierInterpolant.BEZIER = 1;
+
+/**
+ * Tangents are horizontal, the curve eases in and out of the keyframe.
+ *
+ * @static
+ * @attribute FLAT
+ * @type {number}
+ */
+BezierInterpolant.FLAT = 2;
+
+/**
+ * The value of the keyframe is kept until the next keyframe.
+ *
+ * @static
+ * @attribute STEPPED
+ * @type {number}
+ */
+BezierInterpolant.STEPPED = 3;
+
+/**
+ * Calculate the tangents of all keyframes that are not in BEZIER mode.
+ *
+ * @static
+ * @method computeTangents
+ * @param {Float32Array} times Keyframe times.
+ * @param {Float32Array} values Keyframe values.
+ * @param {number} stride Size of each keyframe value.
+ * @param {Array} tangentModes Tangent mode of each keyframe.
+ * @param {Float32Array} inTangents Slopes arriving at the keyframes.
+ * @param {Float32Array} outTangents Slopes leaving the keyframes.
+ */
+BezierInterpolant.computeTangents = function(times, values, stride, tangentModes, inTangents, outTangents)
+{
+	var last = times.length - 1;
+
+	for (var i = 0; i <= last; i++)
+	{
+		var mode = tangentModes[i];
+
+		if (mode === BezierInterpolant.BEZIER)
+		{
+			continue;
+		}
+
+		for (var j = 0; j < stride; j++)
+		{
+			var slope = 0;
+
+			// First and last keyframes are kept flat
+			if (mode === BezierInterpolant.AUTO && i > 0 && i < last)
+			{
+				var previous = values[(i - 1) * stride + j];
+				var value = values[i * stride + j];
+				var next = values[(i + 1) * stride + j];
+
+				if ((value - previous) * (next - value) > 0 && times[i + 1] > times[i - 1])
+				{
+					slope = (next - previous) / (times[i + 1] - times[i - 1]);
+				}
+			}
+
+			inTangents[i * stride + j] = slope;
+			outTangents[i * stride + j] = slope;
+		}
+	}
+};
+
+BezierInterpolant.prototype.interpolate_ = function(i1, t0, t, t1)
+{
+	var result = this.resultBuffer;
+	var values = this.sampleValues;
+	var stride = this.valueSize;
+
+	var i0 = i1 - 1;
+	var offset0 = i0 * stride;
+	var offset1 = i1 * stride;
+
+	if (this.tangentModes[i0] === BezierInterpolant.STEPPED)
+	{
+		return this.copySampleValue_(i0);
+	}
+
+	var dt = t1 - t0;
+	var p = (t - t0) / dt;
+	var pp = p * p;
+	var ppp = pp * p;
+
+	// Hermite basis functions
+	var h00 = 2 * ppp - 3 * pp + 1;
+	var h10 = (ppp - 2 * pp + p) * dt;
+	var h01 = -2 * ppp + 3 * pp;
+	var h11 = (ppp - pp) * dt;
+
+	for (var i = 0; i < stride; i++)
+	{
+		result[i] = h00 * values[offset0 + i] + h10 * this.outTangents[offset0 + i] + h01 * values[offset1 + i] + h11 * this.inTangents[offset1 + i];
+	}
+
+	if (this.normalize)
+	{
+		for (var i = 0; i < stride; i += 4)
+		{
+			var length = Math.sqrt(result[i] * result[i] + result[i + 1] * result[i + 1] + result[i + 2] * result[i + 2] + result[i + 3] * result[i + 3]);
+
+			if (length > 0)
+			{
+				result[i] /= length;
+				result[i + 1] /= length;
+				result[i + 2] /= length;
+				result[i + 3] /= length;
+			}
+		}
+	}
+
+	return result;
+};
+
+export {BezierInterpolant};
@@ -3,8 +3,10 @@ import {AmbientLight} from "../objects/lights/AmbientLight.js";
 import {AudioEmitter} from "../objects/audio/AudioEmitter.js";
 import {CubeCamera} from "../objects/cameras/CubeCamera.js";
 import {DirectionalLight} from "../objects/lights/DirectionalLight.js";
+import {DirectionalLightCSM} from "../objects/lights/DirectionalLightCSM.js";
 import {EffectComposer} from "../postprocessing/EffectComposer.js";
 import {FirstPersonControls} from "../objects/controls/FirstPersonControls.js";
+import {CharacterController} from "../objects/controls/CharacterController.js";
 import {Group} from "../objects/misc/Group.js";
 import {HTMLView} from "../objects/misc/HTMLView.js";
 import {HemisphereLight} from "../objects/lights/HemisphereLight.js";
@@ -17,6 +19,7 @@ import {OrthographicCamera} from "../objects/cameras/OrthographicCamera.js";
 import {ParticleEmitter} from "../objects/particle/ParticleEmitter.js";
 import {PerspectiveCamera} from "../objects/cameras/PerspectiveCamera.js";
 import {PhysicsObject} from "../objects/physics/PhysicsObject.js";
+import {PhysicsConstraint} from "../objects/physics/PhysicsConstraint.js";
 import {PointLight} from "../objects/lights/PointLight.js";
 import {PositionalAudio} from "../objects/audio/PositionalAudio.js";
 import {Program} from "../objects/Program.js";
@@ -32,8 +35,12 @@ import {Sprite} from "../objects/sprite/Sprite.js";
 import {PythonScript} from "../objects/script/PythonScript.js";
 import {TextBitmap} from "../objects/text/TextBitmap.js";
 import {TextFile} from "../resources/TextFile.js";
+import {AnimationStateMachine} from "../resources/AnimationStateMachine.js";
+import {ParticlePreset} from "../resources/ParticlePreset.js";
+import {Prefab} from "../resources/Prefab.js";
 import {TextMesh} from "../objects/text/TextMesh.js";
 import {TextSprite} from "../objects/text/TextSprite.js";
+import {TextSDF} from "../objects/text/TextSDF.js";
 import {BillboardGroup} from "../objects/misc/BillboardGroup";
 import {MaterialLoader} from "./MaterialLoader.js";
 import {ImageLoader} from "./ImageLoader.js";
@@ -64,6 +71,19 @@ function ObjectLoader(manager)
 
 ObjectLoader.prototype = Object.create(ResourceContainer.prototype);
 
+/**
+ * Parsers for object types that are not part of the runtime (e.g. registered by editor plugins), indexed by object type.
+ *
+ * Parsers receive the object data and the loader, and should return the object created. The other attributes of the object (transform, children, etc) are parsed as usual.
+ *
+ * Objects of an unknown type cannot be loaded, the parse fails with an error instead of loading the object without its behavior.
+ *
+ * @static
+ * @attribute types
+ * @type {Object}
+ */
+ObjectLoader.types = {};
+
 /**
  * Load object file from URL.
  *
@@ -166,10 +186,27 @@ ObjectLoader.prototype.parseResources = function(json)
 	{
 		for (var i in json)
 		{
-			var resource = new TextFile(json[i].data, json[i].encoding);
-			resource.format = json[i].format;
-			resource.name = json[i].name;
-			resource.uuid = json[i].uuid;
+			var resource;
+
+			if (json[i].type === "AnimationStateMachine")
+			{
+				resource = AnimationStateMachine.fromJSON(json[i]);
+			}
+			else if (json[i].type === "ParticlePreset")
+			{
+				resource = ParticlePreset.fromJSON(json[i]);
+			}
+			else if (json[i].type === "Prefab")
+			{
+				resource = Prefab.fromJSON(json[i]);
+			}
+			else
+			{
+				resource = new TextFile(json[i].data, json[i].encoding);
+				resource.format = json[i].format;
+				resource.name = json[i].name;
+				resource.uuid = json[i].uuid;
+			}
 
 			this.resources[resource.uuid] = resource;
 		}
@@ -467,6 +504,10 @@ ObjectLoader.prototype.parseObject = function(data)
 			object = PhysicsObject.fromJSON(data);
 			break;
 
+		case "PhysicsConstraint":
+			object = PhysicsConstraint.fromJSON(data);
+			break;
+
 		case "ParticleEmiter":
 			object = ParticleEmitter.fromJSON(data, this);
 			break;
@@ -531,6 +572,21 @@ ObjectLoader.prototype.parseObject = function(data)
 				object.handlePixelRatio = data.handlePixelRatio;
 			}
 
+			if (data.chunks !== undefined)
+			{
+				object.chunks = data.chunks;
+			}
+
+			if (data.assetFolders !== undefined)
+			{
+				object.assetFolders = data.assetFolders;
+			}
+
+			if (data.assetMetadata !== undefined)
+			{
+				object.assetMetadata = data.assetMetadata;
+			}
+
 			break;
 
 		case "Sky":
@@ -591,6 +647,24 @@ ObjectLoader.prototype.parseObject = function(data)
 			object.moveKeys = data.moveKeys;
 			break;
 
+		case "CharacterController":
+			object = new CharacterController();
+			object.radius = data.radius;
+			object.height = data.height;
+			object.stepHeight = data.stepHeight;
+			object.maxSlope = data.maxSlope;
+			object.moveSpeed = data.moveSpeed;
+			object.jumpSpeed = data.jumpSpeed;
+			object.gravityScale = data.gravityScale;
+			object.sensitivity = data.sensitivity;
+			object.needsButtonPressed = data.needsButtonPressed;
+			object.useGamepad = data.useGamepad;
+			object.gamepadSensitivity = data.gamepadSensitivity;
+			object.moveKeys = data.moveKeys;
+			object.jumpKey = data.jumpKey;
+			object.collisionFilterMask = data.collisionFilterMask;
+			break;
+
 		case "OrbitControls":
 			object = new OrbitControls();
 			object.distance = data.distance;
@@ -665,6 +739,12 @@ ObjectLoader.prototype.parseObject = function(data)
 				object.usePhysics = data.usePhysics;
 			}
 
+			if (data.physicsStep !== undefined)
+			{
+				object.physicsStep = data.physicsStep;
+				object.physicsMaxSubSteps = data.physicsMaxSubSteps;
+			}
+
 			if (data.world !== undefined)
 			{
 				object.world.gravity.set(data.world.gravity.x, data.world.gravity.y, data.world.gravity.z);
@@ -808,6 +888,17 @@ ObjectLoader.prototype.parseObject = function(data)
 			object = new DirectionalLight(data.color, data.intensity);
 			break;
 
+		case "DirectionalLightCSM":
+			object = new DirectionalLightCSM(data.color, data.intensity);
+			object.cascades = data.cascades;
+			object.mode = data.mode;
+			object.maxFar = data.maxFar;
+			object.fade = data.fade;
+			object.shadowMapSize = data.shadowMapSize;
+			object.shadowBias = data.shadowBias;
+			object.updateCSM();
+			break;
+
 		case "PointLight":
 			object = new PointLight(data.color, data.intensity, data.distance, data.decay);
 			break;
@@ -859,6 +950,10 @@ ObjectLoader.prototype.parseObject = function(data)
 			object = TextSprite.fromJSON(data);
 			break;
 
+		case "TextSDF":
+			object = TextSDF.fromJSON(data, data.font !== null ? this.getFont(data.font) : null);
+			break;
+
 		case "LOD":
 			object = new LOD();
 			break;
@@ -884,6 +979,11 @@ ObjectLoader.prototype.parseObject = function(data)
 			object = new Sprite(this.getMaterial(data.material));
 			break;
 
+		// Base types are loaded as groups
+		case "Object3D":
+		case "Camera":
+		case "Light":
+		case "CanvasSprite":
 		case "Group":
 			object = new Group();
 			break;
@@ -897,7 +997,10 @@ ObjectLoader.prototype.parseObject = function(data)
 			break;
 
 		default:
-			object = new Group();
+			if (ObjectLoader.types[data.type] !== undefined)
+			{
+				object = ObjectLoader.types[data.type](data, this);
+			}
 		}
 	}
 	catch (e)
@@ -906,6 +1009,11 @@ ObjectLoader.prototype.parseObject = function(data)
 		object = new Group();
 	}
 
+	if (object === undefined)
+	{
+		throw new Error("nunuStudio: Unknown object type \"" + data.type + "\" (" + data.name + "), it may be registered by a plugin that is not loaded.");
+	}
+
 	object.uuid = data.uuid;
 	object.name = data.name;
 
@@ -940,6 +1048,24 @@ ObjectLoader.prototype.parseObject = function(data)
 		}
 	}
 
+	// Animation state machine
+	if (data.stateMachine !== undefined)
+	{
+		object.stateMachine = this.resources[data.stateMachine] !== undefined ? this.resources[data.stateMachine] : null;
+	}
+
+	// Prefab
+	if (data.prefab !== undefined)
+	{
+		object.prefab = this.resources[data.prefab] !== undefined ? this.resources[data.prefab] : null;
+		object.prefabOverrides = data.prefabOverrides !== undefined ? data.prefabOverrides : [];
+	}
+
+	if (data.prefabId !== undefined)
+	{
+		object.prefabId = data.prefabId;
+	}
+
 	// Get or generate tranformation matrix if necessary
 	if (data.matrix !== undefined)
 	{
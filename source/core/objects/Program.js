@@ -1,4 +1,5 @@
 import {Scene, Camera, Clock, Object3D} from "three";
+import {StaticPair} from "@as-com/pson";
 import {EventManager} from "../utils/EventManager.js";
 import {ResourceManager} from "../resources/ResourceManager.js";
 import {ResourceContainer} from "../resources/ResourceContainer.js";
@@ -8,9 +9,13 @@ import {App} from "../App.js";
 import {VRHandler} from "../xr/VRHandler.js";
 import {ARHandler} from "../xr/ARHandler.js";
 import {ObjectLoader} from "../loaders/ObjectLoader.js";
+import {FileSystem} from "../FileSystem.js";
 import {Mouse} from "../input/Mouse.js";
 import {Keyboard} from "../input/Keyboard.js";
+import {Profiler} from "../utils/timer/Profiler.js";
 import {Script} from "./script/Script.js";
+import {NodeScript} from "./script/NodeScript.js";
+import {PhysicsObject} from "./physics/PhysicsObject.js";
 
 /**
  * Program class contains all the data of a app.
@@ -229,6 +234,16 @@ function Program()
 	 */
 	this.clock = new Clock();
 
+	/**
+	 * Profiler used to measure the time spent in each phase of the update and render of the program.
+	 *
+	 * Disabled by default, can be enabled to inspect the performance of the program (e.g. in the editor profiling tab).
+	 *
+	 * @property profiler
+	 * @type {Profiler}
+	 */
+	this.profiler = new Profiler();
+
 	/**
 	 * WebX runtime control, true when the app is running in an XR environment.
 	 *
@@ -246,6 +261,92 @@ function Program()
 	 * @type {number}
 	 */
 	this.xrMode = Program.XR_NONE;
+
+	/**
+	 * Base path of the project file, used to resolve the path of the scene chunks.
+	 *
+	 * Automatically set by the app when the program is loaded from a file.
+	 *
+	 * @property path
+	 * @type {string}
+	 */
+	this.path = "";
+
+	/**
+	 * Path of the chunk files of the scenes that were not loaded yet, indexed by scene uuid.
+	 *
+	 * When a program is exported for streaming each scene and the resources used only by that scene are stored in a separate chunk file. Until the chunk is loaded the scene is an empty placeholder.
+	 *
+	 * @property chunks
+	 * @type {Object}
+	 */
+	this.chunks = {};
+
+	/**
+	 * Callbacks of the scene chunks being loaded, indexed by scene uuid, runtime variable.
+	 *
+	 * @property loading
+	 * @type {Object}
+	 */
+	this.loading = {};
+
+	/**
+	 * Scene waiting for its chunk to be loaded to be set as the current scene, runtime variable.
+	 *
+	 * @property loadingScene
+	 * @type {Scene}
+	 */
+	this.loadingScene = null;
+
+	/**
+	 * Scenes loaded additively, these are updated and rendered together with the current scene, runtime variable.
+	 *
+	 * The order used to render the scenes is defined by their renderOrder, can be used for HUD or manager scenes that should be kept between scenes.
+	 *
+	 * @property additiveScenes
+	 * @type {Array}
+	 */
+	this.additiveScenes = [];
+
+	/**
+	 * Objects that survive scene changes, runtime variable.
+	 *
+	 * When the scene changes these objects are moved from the previous scene into the new scene.
+	 *
+	 * @property persistent
+	 * @type {Array}
+	 */
+	this.persistent = [];
+
+	/**
+	 * Scene transition running, null if there is no transition running, runtime variable.
+	 *
+	 * @property transition
+	 * @type {SceneTransition}
+	 */
+	this.transition = null;
+
+	/**
+	 * Folders used to organize the resources in the editor asset explorer.
+	 *
+	 * Folders are virtual, each one is stored as a path with the folder names separated by "/" (e.g. "textures/terrain").
+	 *
+	 * @property assetFolders
+	 * @type {Array}
+	 */
+	this.assetFolders = [];
+
+	/**
+	 * Editor metadata of the resources indexed by resource uuid.
+	 *
+	 * Each entry stores the folder where the resource is placed, the tags of the resource and the date when it was added to the program.
+	 *
+	 * Resources imported from files in the desktop editor also store the path of the source file, used to reload the resource when the file changes.
+	 *
+	 * @property assetMetadata
+	 * @type {Object}
+	 */
+	this.assetMetadata = {};
 }
 
 /**
@@ -303,29 +404,45 @@ Program.prototype.initialize = function()
 	this.manager.create();
 
 	// Get default scene from children
+	var scene = this.getDefaultScene();
+	if (scene !== null)
+	{
+		this.setScene(scene);
+	}
+
+	// Lock mouse pointer
+	if (this.lockPointer && this.mouse !== null)
+	{
+		this.mouse.setLock(true);
+	}
+
+	this.clock.start();
+};
+
+/**
+ * Get the scene that should be used when the program starts.
+ *
+ * @method getDefaultScene
+ * @return {Scene} Default scene, or the first scene if there is no default scene defined. Null if the program has no scenes.
+ */
+Program.prototype.getDefaultScene = function()
+{
 	if (this.defaultScene !== null)
 	{
 		for (var i = 0; i < this.children.length; i++)
 		{
 			if (this.children[i].uuid === this.defaultScene)
 			{
-				this.setScene(this.children[i]);
-				break;
+				return this.children[i];
 			}
 		}
 	}
 	else if (this.children.length > 0)
 	{
-		this.setScene(this.children[0]);
-	}
-
-	// Lock mouse pointer
-	if (this.lockPointer && this.mouse !== null)
-	{
-		this.mouse.setLock(true);
+		return this.children[0];
 	}
 
-	this.clock.start();
+	return null;
 };
 
 /**
@@ -392,10 +509,24 @@ Program.prototype.update = function()
 {
 	var delta = this.clock.getDelta();
 
+	this.profiler.frame();
+	this.profiler.begin(Profiler.UPDATE);
+
 	this.mouse.update();
 	this.keyboard.update();
 
-	this.scene.update(delta);
+	if (this.transition !== null)
+	{
+		this.transition.update(delta);
+	}
+
+	var scenes = this.getActiveScenes();
+	for (var i = 0; i < scenes.length; i++)
+	{
+		scenes[i].update(delta);
+	}
+
+	this.profiler.end(Profiler.UPDATE);
 };
 
 /**
@@ -410,7 +541,53 @@ Program.prototype.update = function()
  */
 Program.prototype.render = function(renderer)
 {
-	this.scene.render(renderer);
+	this.profiler.begin(Profiler.RENDER);
+
+	if (this.transition !== null)
+	{
+		this.transition.render(renderer);
+	}
+	else
+	{
+		this.renderScenes(renderer);
+	}
+
+	this.profiler.end(Profiler.RENDER);
+};
+
+/**
+ * Render the current scene and the additive scenes sorted by their render order.
+ *
+ * Scenes rendered on top of other scenes should use cameras (and render passes) that do not clear the color buffer.
+ *
+ * @method renderScenes
+ * @param {Renderer} renderer
+ */
+Program.prototype.renderScenes = function(renderer)
+{
+	var scenes = this.getActiveScenes();
+	for (var i = 0; i < scenes.length; i++)
+	{
+		scenes[i].render(renderer);
+	}
+};
+
+/**
+ * Get the scenes currently active in the program (the current scene and additive scenes).
+ *
+ * @method getActiveScenes
+ * @return {Array} Scenes sorted by render order, for the same render order the current scene comes first.
+ */
+Program.prototype.getActiveScenes = function()
+{
+	var scenes = this.scene !== null ? [this.scene] : [];
+	scenes = scenes.concat(this.additiveScenes);
+	scenes.sort(function(a, b)
+	{
+		return a.renderOrder - b.renderOrder;
+	});
+
+	return scenes;
 };
 
 /**
@@ -428,7 +605,11 @@ Program.prototype.resize = function(x, y)
 		this.defaultCamera.resize(x, y);
 	}
 
-	this.scene.resize(x, y);
+	var scenes = this.getActiveScenes();
+	for (var i = 0; i < scenes.length; i++)
+	{
+		scenes[i].resize(x, y);
+	}
 };
 
 /**
@@ -540,10 +721,17 @@ Program.prototype.exitVR = function()
  *
  * This method should be used inside of script objects during runtime.
  *
+ * If the scene data was not loaded yet (streaming) the chunk of the scene is loaded first, the current scene keeps running until the new scene is ready.
+ *
+ * Objects marked as persistent are moved into the new scene, additive scenes are kept.
+ *
  * @method setScene
  * @param {Scene | string} scene Scene object or name of the scene to be used.
+ * @param {Function} onLoad Callback called after the scene is set, receives the scene as argument. If a transition is used it is called when the transition ends.
+ * @param {Function} onProgress Callback called while the scene chunk is loaded, receives the progress (percentage) and the progress event as arguments.
+ * @param {SceneTransition} transition Transition effect used to change the scene, optional.
  */
-Program.prototype.setScene = function(scene)
+Program.prototype.setScene = function(scene, onLoad, onProgress, transition)
 {
 	// Try to get scene by UUID
 	if (typeof scene === "string")
@@ -551,10 +739,85 @@ Program.prototype.setScene = function(scene)
 		scene = this.getObjectByName(scene);
 	}
 
+	if (scene === undefined)
+	{
+		scene = null;
+	}
+
+	// Load the scene chunk before using the scene
+	if (scene !== null && this.chunks[scene.uuid] !== undefined)
+	{
+		var self = this;
+
+		this.loadingScene = scene;
+		this.preloadScene(scene, function(loaded)
+		{
+			// Ignore if another scene was set meanwhile
+			if (self.loadingScene === scene)
+			{
+				self.setScene(loaded, onLoad, undefined, transition);
+			}
+		}, onProgress);
+		return;
+	}
+
+	this.loadingScene = null;
+
+	// Finish the transition running
+	if (this.transition !== null)
+	{
+		this.transition.end();
+	}
+
+	// Change scene using a transition
+	if (transition !== undefined && transition !== null && scene !== null && this.scene !== null && this.renderer !== null && !this.xrEnabled)
+	{
+		this.transition = transition;
+		this.transition.start(this, scene, onLoad);
+		return;
+	}
+
 	// Dispose old scene to free up resources
-	if (this.scene !== null)
+	var previous = this.replaceScene(scene);
+	if (previous !== null)
 	{
-		this.scene.dispose();
+		previous.dispose();
+	}
+
+	if (onLoad !== undefined)
+	{
+		onLoad(this.scene);
+	}
+};
+
+/**
+ * Replace the current scene and initialize the new scene, persistent objects are moved from the previous scene into the new scene keeping their world transform.
+ *
+ * A scene loaded additively is removed from the additive scenes and used without being initialized again.
+ *
+ * The previous scene is not disposed, it should be disposed after calling this method. Scripts should use setScene instead.
+ *
+ * @method replaceScene
+ * @param {Scene} scene Scene to be used.
+ * @return {Scene} The previous scene.
+ */
+Program.prototype.replaceScene = function(scene)
+{
+	var previous = this.scene;
+
+	// Detach persistent objects before the previous scene is disposed
+	var persistent = [];
+	for (var i = 0; i < this.persistent.length; i++)
+	{
+		var object = this.persistent[i];
+		if (previous !== null && object.getScene() === previous)
+		{
+			// Store the world transform before the object is detached from its parent
+			object.updateWorldMatrix(true, false);
+			object.matrixWorld.decompose(object.position, object.quaternion, object.scale);
+			object.parent.remove(object);
+			persistent.push(object);
+		}
 	}
 
 	// Set new scene and inialize its resources
@@ -562,22 +825,319 @@ Program.prototype.setScene = function(scene)
 
 	if (this.scene !== null)
 	{
-		if (this.scene.defaultCamera === null)
+		var additive = this.additiveScenes.indexOf(this.scene);
+		if (additive !== -1)
 		{
-			this.scene.defaultCamera = this.defaultCamera;
+			this.additiveScenes.splice(additive, 1);
+		}
+		else
+		{
+			this.initializeScene(this.scene);
 		}
 
-		this.scene.initialize();
-
-		if (this.canvas !== null)
+		for (var i = 0; i < persistent.length; i++)
 		{
-			this.scene.resize(this.canvas.width, this.canvas.height);
+			this.scene.attach(persistent[i]);
+			this.bindPhysics(persistent[i], this.scene);
 		}
 	}
 	else
 	{
 		console.warn("nunuStudio: Program setScene scene is null.");
 	}
+
+	return previous;
+};
+
+/**
+ * Initialize a scene to be used in the program.
+ *
+ * @method initializeScene
+ * @param {Scene} scene Scene to be initialized.
+ */
+Program.prototype.initializeScene = function(scene)
+{
+	if (scene.defaultCamera === null)
+	{
+		scene.defaultCamera = this.defaultCamera;
+	}
+
+	scene.initialize();
+
+	if (this.canvas !== null)
+	{
+		scene.resize(this.canvas.width, this.canvas.height);
+	}
+};
+
+/**
+ * Move the physics bodies of an object (and its children) to the physics world of a scene.
+ *
+ * @method bindPhysics
+ * @param {Object3D} object Object moved to the scene.
+ * @param {Scene} scene Scene where the object is now placed.
+ */
+Program.prototype.bindPhysics = function(object, scene)
+{
+	object.traverse(function(child)
+	{
+		if (child instanceof PhysicsObject)
+		{
+			if (child.world !== null)
+			{
+				child.world.removeBody(child.body);
+			}
+
+			if (child.scene !== null)
+			{
+				child.scene.physicsObjects.delete(child.body.id);
+			}
+
+			child.scene = scene;
+			child.world = scene.world;
+			child.world.addBody(child.body);
+			scene.physicsObjects.set(child.body.id, child);
+		}
+	});
+};
+
+/**
+ * Set an object as persistent, persistent objects are kept when the scene is changed.
+ *
+ * The object is moved into the new scene keeping its world transform.
+ *
+ * @method setPersistent
+ * @param {Object3D} object Object to keep between scenes.
+ * @param {boolean} persistent If false the object is no longer persistent, true by default.
+ */
+Program.prototype.setPersistent = function(object, persistent)
+{
+	var index = this.persistent.indexOf(object);
+
+	if (persistent !== false)
+	{
+		if (index === -1)
+		{
+			this.persistent.push(object);
+		}
+	}
+	else if (index !== -1)
+	{
+		this.persistent.splice(index, 1);
+	}
+};
+
+/**
+ * Load a scene additively, the scene is kept active with the current scene until it is unloaded.
+ *
+ * If the scene data was not loaded yet (streaming) the chunk of the scene is loaded first.
+ *
+ * @method loadSceneAdditive
+ * @param {Scene | string} scene Scene object or name of the scene to be loaded.
+ * @param {Function} onLoad Callback called after the scene is loaded, receives the scene as argument.
+ * @param {Function} onProgress Callback called while the scene chunk is loaded, receives the progress (percentage) and the progress event as arguments.
+ */
+Program.prototype.loadSceneAdditive = function(scene, onLoad, onProgress)
+{
+	var self = this;
+
+	this.preloadScene(scene, function(loaded)
+	{
+		if (loaded !== self.scene && self.additiveScenes.indexOf(loaded) === -1)
+		{
+			self.initializeScene(loaded);
+			self.additiveScenes.push(loaded);
+		}
+
+		if (onLoad !== undefined)
+		{
+			onLoad(loaded);
+		}
+	}, onProgress);
+};
+
+/**
+ * Unload a scene that was loaded additively, the scene is disposed.
+ *
+ * @method unloadScene
+ * @param {Scene | string} scene Scene object or name of the scene to be unloaded.
+ */
+Program.prototype.unloadScene = function(scene)
+{
+	if (typeof scene === "string")
+	{
+		scene = this.getObjectByName(scene);
+	}
+
+	var index = this.additiveScenes.indexOf(scene);
+	if (index !== -1)
+	{
+		this.additiveScenes.splice(index, 1);
+		scene.dispose();
+	}
+};
+
+/**
+ * Check if the data of a scene is loaded.
+ *
+ * Scenes of programs that are not streamed are always loaded.
+ *
+ * @method isSceneLoaded
+ * @param {Scene | string} scene Scene object or name of the scene.
+ * @return {boolean} True if the scene is loaded and can be used, false if the scene does not exist.
+ */
+Program.prototype.isSceneLoaded = function(scene)
+{
+	if (typeof scene === "string")
+	{
+		scene = this.getObjectByName(scene);
+	}
+
+	if (!(scene instanceof Scene))
+	{
+		return false;
+	}
+
+	return this.chunks[scene.uuid] === undefined;
+};
+
+/**
+ * Load the chunk of a scene in background, can be used by scripts to prepare the next level while the current one is running.
+ *
+ * Resources stored in the chunk are added to the program. After loading, the scene placeholder is replaced in the program by the loaded scene.
+ *
+ * If the scene is already loaded the onLoad callback is called immediately. If the scene does not exist the onError callback is called with an error.
+ *
+ * @method preloadScene
+ * @param {Scene | string} scene Scene object or name of the scene to be loaded.
+ * @param {Function} onLoad Callback called after the scene is loaded, receives the loaded scene as argument.
+ * @param {Function} onProgress Callback called while the scene chunk is loaded, receives the progress (percentage) and the progress event as arguments.
+ * @param {Function} onError Callback called if the scene does not exist or the scene chunk could not be loaded.
+ */
+Program.prototype.preloadScene = function(scene, onLoad, onProgress, onError)
+{
+	var name = scene;
+
+	if (typeof scene === "string")
+	{
+		scene = this.getObjectByName(scene);
+	}
+
+	if (!(scene instanceof Scene))
+	{
+		var unknown = new Error("nunuStudio: Unknown scene \"" + name + "\".");
+		console.warn(unknown.message);
+
+		if (onError !== undefined)
+		{
+			onError(unknown);
+		}
+		return;
+	}
+
+	var uuid = scene.uuid;
+	var chunk = this.chunks[uuid];
+
+	// Scene already loaded
+	if (chunk === undefined)
+	{
+		if (onLoad !== undefined)
+		{
+			onLoad(scene);
+		}
+		return;
+	}
+
+	var request = {onLoad: onLoad, onProgress: onProgress, onError: onError};
+
+	// Scene already being loaded
+	if (this.loading[uuid] !== undefined)
+	{
+		this.loading[uuid].push(request);
+		return;
+	}
+
+	this.loading[uuid] = [request];
+
+	var self = this;
+
+	function load(data)
+	{
+		// Resources parsed are stored directly in the program
+		var loader = new ObjectLoader();
+		loader.copyResources(self);
+
+		var loaded = loader.parse(data);
+
+		// Replace the placeholder scene
+		var index = self.children.indexOf(scene);
+		if (index > -1)
+		{
+			self.children[index] = loaded;
+			loaded.parent = self;
+			scene.parent = null;
+		}
+
+		var requests = self.loading[uuid];
+		delete self.chunks[uuid];
+		delete self.loading[uuid];
+
+		for (var i = 0; i < requests.length; i++)
+		{
+			if (requests[i].onLoad !== undefined)
+			{
+				requests[i].onLoad(loaded);
+			}
+		}
+	}
+
+	function progress(event)
+	{
+		var value = event.lengthComputable ? event.loaded / event.total * 100 : 0;
+		var requests = self.loading[uuid];
+
+		for (var i = 0; i < requests.length; i++)
+		{
+			if (requests[i].onProgress !== undefined)
+			{
+				requests[i].onProgress(value, event);
+			}
+		}
+	}
+
+	function error(event)
+	{
+		console.warn("nunuStudio: Failed to load scene chunk.", chunk, event);
+
+		var requests = self.loading[uuid];
+		delete self.loading[uuid];
+
+		for (var i = 0; i < requests.length; i++)
+		{
+			if (requests[i].onError !== undefined)
+			{
+				requests[i].onError(event);
+			}
+		}
+	}
+
+	// JSON chunk
+	if (chunk.endsWith(".isp"))
+	{
+		FileSystem.readFile(this.path + chunk, false, function(data)
+		{
+			load(JSON.parse(data));
+		}, progress, error);
+	}
+	// Binary chunk
+	else
+	{
+		FileSystem.readFileArrayBuffer(this.path + chunk, false, function(data)
+		{
+			var pson = new StaticPair();
+			load(pson.decode(data));
+		}, progress, error);
+	}
 };
 
 /**
@@ -604,6 +1164,10 @@ Program.prototype.remove = function(scene)
 			this.scene.dispose();
 			this.scene = null;
 		}
+		else
+		{
+			this.unloadScene(scene);
+		}
 
 		// If there are no scenes on program set actual scene to null
 		if (this.children.length === 0)
@@ -638,6 +1202,51 @@ Program.prototype.add = function(scene)
 	}
 };
 
+/**
+ * Create a new instance of a prefab and add it to the program.
+ *
+ * If the program is running the objects of the instance are initialized after being added.
+ *
+ * @method instantiate
+ * @param {Prefab | string} prefab Prefab resource or name of the prefab.
+ * @param {Object3D} parent Parent object of the instance, if not specified the current scene is used.
+ * @return {Object3D} Instance of the prefab, null if the prefab was not found.
+ */
+Program.prototype.instantiate = function(prefab, parent)
+{
+	if (typeof prefab === "string")
+	{
+		prefab = this.getResourceByName(prefab);
+	}
+
+	if (prefab === null || prefab.type !== "Prefab")
+	{
+		return null;
+	}
+
+	var object = prefab.instantiate(this);
+
+	if (parent === undefined)
+	{
+		parent = this.scene;
+	}
+
+	if (parent !== null)
+	{
+		parent.add(object);
+
+		if (this.scene !== null)
+		{
+			object.traverse(function(child)
+			{
+				child.initialize();
+			});
+		}
+	}
+
+	return object;
+};
+
 /**
  * Clone program, keeping uuids and every identification attribute.
  *
@@ -664,6 +1273,23 @@ Program.prototype.setInitialScene = function(scene)
 	this.defaultScene = scene.uuid;
 };
 
+/**
+ * Get the editor metadata of a resource, if the resource has no metadata yet a new entry is created.
+ *
+ * @method getAssetMetadata
+ * @param {Resource} resource Resource to get the metadata for.
+ * @return {Object} Metadata of the resource with the folder, tags and date attributes.
+ */
+Program.prototype.getAssetMetadata = function(resource)
+{
+	if (this.assetMetadata[resource.uuid] === undefined)
+	{
+		this.assetMetadata[resource.uuid] = {folder: "", tags: [], date: 0};
+	}
+
+	return this.assetMetadata[resource.uuid];
+};
+
 /**
  * Dispose program data to avoid memory leaks.
  *
@@ -690,6 +1316,11 @@ Program.prototype.dispose = function()
 
 	this.manager.destroy();
 
+	if (this.transition !== null)
+	{
+		this.transition.cancel();
+	}
+
 	if (this.scene !== null)
 	{
 		this.scene.dispose();
@@ -699,6 +1330,12 @@ Program.prototype.dispose = function()
 		console.warn("nunuStudio: Program dispose() scene is null.", this);
 	}
 
+	for (var i = 0; i < this.additiveScenes.length; i++)
+	{
+		this.additiveScenes[i].dispose();
+	}
+	this.additiveScenes = [];
+
 	ResourceManager.prototype.dispose.call(this);
 	Object3D.prototype.dispose.call(this);
 };
@@ -716,7 +1353,7 @@ Program.prototype.receiveDataApp = function(data)
 	// Check if there is a script with onAppData method available
 	this.traverse(function(child)
 	{
-		if (child instanceof Script)
+		if (child instanceof Script || child instanceof NodeScript)
 		{
 			child.appData(data);
 			found = true;
@@ -811,6 +1448,138 @@ Program.prototype.toJSON = function(meta, exportResources)
 	// Rendering
 	data.object.rendererConfig = this.rendererConfig.toJSON();
 
+	// Scenes not loaded yet
+	if (Object.keys(this.chunks).length > 0)
+	{
+		data.object.chunks = Object.assign({}, this.chunks);
+	}
+
+	// Asset folders
+	if (this.assetFolders.length > 0)
+	{
+		data.object.assetFolders = this.assetFolders.slice();
+	}
+
+	// Metadata of the resources still in the program
+	var metadata = {};
+	for (var k = 0; k < ResourceContainer.libraries.length; k++)
+	{
+		var lib = this[ResourceContainer.libraries[k]];
+		for (var i in lib)
+		{
+			if (this.assetMetadata[i] !== undefined)
+			{
+				metadata[i] = this.assetMetadata[i];
+			}
+		}
+	}
+
+	if (Object.keys(metadata).length > 0)
+	{
+		data.object.assetMetadata = metadata;
+	}
+
 	return data;
 };
+
+/**
+ * Serialize the program to be loaded progressively.
+ *
+ * Each scene is stored in a separate chunk with the resources used only by that scene, resources shared by multiple scenes or not used by any scene are kept in the program data.
+ *
+ * The chunks paths should be written into the "chunks" attribute of the program data, indexed by scene uuid. Scenes that are not loaded are kept as references to their current chunk.
+ *
+ * @method toStreamingJSON
+ * @return {Object} Object with the program data and the data of each scene chunk indexed by scene uuid.
+ */
+Program.prototype.toStreamingJSON = function()
+{
+	var data = this.toJSON();
+	var scenes = {};
+
+	// Number of scenes using each resource
+	var usage = {};
+
+	for (var i = 0; i < this.children.length; i++)
+	{
+		var scene = this.children[i];
+		if (this.chunks[scene.uuid] !== undefined)
+		{
+			continue;
+		}
+
+		var chunk = scene.toJSON();
+		for (var k = 0; k < ResourceContainer.libraries.length; k++)
+		{
+			var resources = chunk[ResourceContainer.libraries[k]];
+			for (var j = 0; j < resources.length; j++)
+			{
+				usage[resources[j].uuid] = usage[resources[j].uuid] !== undefined ? usage[resources[j].uuid] + 1 : 1;
+			}
+		}
+
+		scenes[scene.uuid] = chunk;
+	}
+
+	// Prefabs and the resources they reference stay in the program, prefabs can be instantiated in any scene
+	for (var uuid in this.resources)
+	{
+		if (this.resources[uuid].type === "Prefab")
+		{
+			var references = this.resources[uuid].getReferences();
+
+			usage[uuid] = Infinity;
+
+			for (var library in references)
+			{
+				for (var i = 0; i < references[library].length; i++)
+				{
+					usage[references[library][i]] = Infinity;
+				}
+			}
+		}
+	}
+
+	function isUnique(resource)
+	{
+		return usage[resource.uuid] === 1;
+	}
+
+	function isShared(resource)
+	{
+		return usage[resource.uuid] !== 1;
+	}
+
+	// Shared resources stay in the program, unique resources move into the scene chunk
+	for (var k = 0; k < ResourceContainer.libraries.length; k++)
+	{
+		var library = ResourceContainer.libraries[k];
+
+		data[library] = data[library].filter(isShared);
+		for (var uuid in scenes)
+		{
+			scenes[uuid][library] = scenes[uuid][library].filter(isUnique);
+		}
+	}
+
+	// Replace the scenes with placeholders
+	var children = data.object.children;
+	for (var i = 0; i < children.length; i++)
+	{
+		if (scenes[children[i].uuid] !== undefined)
+		{
+			children[i] = {
+				uuid: children[i].uuid,
+				type: children[i].type,
+				name: children[i].name,
+				visible: children[i].visible
+			};
+		}
+	}
+
+	return {
+		program: data,
+		scenes: scenes
+	};
+};
 export {Program};
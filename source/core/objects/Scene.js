@@ -1,7 +1,9 @@
-import {World, NaiveBroadphase, SplitSolver, GSSolver} from "cannon-es";
+import {World, NaiveBroadphase, SplitSolver, GSSolver, Narrowphase, RaycastResult, Body, Sphere, Box, Vec3} from "cannon-es";
 import {Color, Texture, Camera, Raycaster, Vector2, Scene as TScene, Object3D, Fog, FogExp2, Vector3, Quaternion} from "three";
 import {PointOctree} from "sparse-octree";
+import {Profiler} from "../utils/timer/Profiler.js";
 import {Program} from "./Program.js";
+import {PhysicsConstraint} from "./physics/PhysicsConstraint.js";
 
 /**
  * Scenes allow you to set up what and where is to be rendered by the engine.
@@ -46,6 +48,86 @@ function Scene()
 	this.world.solver.tolerance = 0.05;
 	this.world.solver.iterations = 7;
 
+	/**
+	 * Fixed time step (in seconds) used to simulate the physics world.
+	 *
+	 * The frame time is accumulated and the world is stepped using this fixed value, making the simulation independent of the frame rate.
+	 *
+	 * @property physicsStep
+	 * @type {number}
+	 */
+	this.physicsStep = 1 / 60;
+
+	/**
+	 * Maximum number of physics steps performed in a single frame.
+	 *
+	 * If the frame takes longer than the time covered by these steps the remaining time is discarded to avoid the simulation falling behind.
+	 *
+	 * @property physicsMaxSubSteps
+	 * @type {number}
+	 */
+	this.physicsMaxSubSteps = 10;
+
+	/**
+	 * Frame time accumulated that was not yet simulated by the physics world, runtime variable.
+	 *
+	 * @property physicsAccumulator
+	 * @type {number}
+	 */
+	this.physicsAccumulator = 0;
+
+	/**
+	 * Interpolation factor between the last two physics states, runtime variable.
+	 *
+	 * Used by physics objects to interpolate their transform between the previous and the current body state.
+	 *
+	 * @property physicsAlpha
+	 * @type {number}
+	 */
+	this.physicsAlpha = 1.0;
+
+	/**
+	 * Physics objects in the scene indexed by the id of their body, runtime variable.
+	 *
+	 * Used to get the physics objects involved in collision events.
+	 *
+	 * @property physicsObjects
+	 * @type {Map}
+	 */
+	this.physicsObjects = new Map();
+
+	/**
+	 * Collisions currently active indexed by the pair of body ids, runtime variable.
+	 *
+	 * Each entry stores the pair of physics objects colliding.
+	 *
+	 * @property collisions
+	 * @type {Map}
+	 */
+	this.collisions = new Map();
+
+	var self = this;
+
+	this.world.addEventListener("beginContact", function(event)
+	{
+		self.beginCollision(event.bodyA, event.bodyB);
+	});
+
+	this.world.addEventListener("endContact", function(event)
+	{
+		self.endCollision(event.bodyA, event.bodyB);
+	});
+
+	/**
+	 * Narrowphase used to test shapes against the physics world in overlap and sweep queries.
+	 *
+	 * Separated from the world narrowphase to avoid changing the simulation state.
+	 *
+	 * @property narrowphase
+	 * @type {Narrowphase}
+	 */
+	this.narrowphase = new Narrowphase(this.world);
+
 	/**
 	 * Background of the scene.
 	 *
@@ -173,6 +255,8 @@ Scene.prototype.initialize = function()
 {
 	this.program = this.parent;
 	this.canvas = this.parent.canvas;
+	this.physicsAccumulator = 0;
+	this.physicsAlpha = 1.0;
 
 	Object3D.prototype.initialize.call(this);
 
@@ -183,6 +267,16 @@ Scene.prototype.initialize = function()
 			children.initialize();
 		});
 	}
+
+	// Physics constraints are created after all physics bodies are initialized
+	var self = this;
+	this.traverse(function(child)
+	{
+		if (child instanceof PhysicsConstraint)
+		{
+			child.createConstraint(self);
+		}
+	});
 };
 
 /**
@@ -206,20 +300,503 @@ Scene.prototype.update = function(delta)
 		this.raycaster.setFromCamera(this.mouse, this.defaultCamera);
 	}
 
+	var profiler = this.program.profiler;
+
 	if (this.usePhysics)
 	{
-		this.world.step(delta < 0.05 ? delta : 0.05);
+		profiler.begin(Profiler.PHYSICS);
+
+		this.updatePhysics(delta);
+
+		this.collisions.forEach(function(pair)
+		{
+			Scene.dispatchCollision("collisionStay", pair[0], pair[1]);
+			Scene.dispatchCollision("collisionStay", pair[1], pair[0]);
+		});
+
+		profiler.end(Profiler.PHYSICS);
 	}
 
 	for (var i = 0; i < this.children.length; i++)
 	{
 		this.children[i].traverse(function(children)
 		{
-			children.update(delta);
+			var phase = profiler.enabled ? Profiler.getObjectPhase(children) : null;
+			if (phase !== null)
+			{
+				profiler.begin(phase);
+				children.update(delta);
+				profiler.end(phase);
+			}
+			else
+			{
+				children.update(delta);
+			}
 		});
 	}
 };
 
+/**
+ * Step the physics world using a fixed time step.
+ *
+ * The frame time is accumulated and the world is stepped as many times as needed (up to physicsMaxSubSteps) to catch up.
+ *
+ * After stepping the physicsAlpha value is updated to be used for interpolation by physics objects.
+ *
+ * @method updatePhysics
+ * @param {number} delta The time since the last frame.
+ */
+Scene.prototype.updatePhysics = function(delta)
+{
+	this.physicsAccumulator += delta;
+
+	var steps = 0;
+	while (this.physicsAccumulator >= this.physicsStep && steps < this.physicsMaxSubSteps)
+	{
+		this.world.step(this.physicsStep);
+		this.physicsAccumulator -= this.physicsStep;
+		steps++;
+	}
+
+	// Discard the time that could not be simulated
+	if (this.physicsAccumulator >= this.physicsStep)
+	{
+		this.physicsAccumulator = this.physicsAccumulator % this.physicsStep;
+	}
+
+	this.physicsAlpha = this.physicsAccumulator / this.physicsStep;
+};
+
+/**
+ * Called when two physics bodies start touching, triggers the collision enter event in the scripts of both objects.
+ *
+ * Bodies that do not belong to a physics object of the scene are ignored.
+ *
+ * @method beginCollision
+ * @param {Body} bodyA First body.
+ * @param {Body} bodyB Second body.
+ */
+Scene.prototype.beginCollision = function(bodyA, bodyB)
+{
+	var objectA = this.physicsObjects.get(bodyA.id);
+	var objectB = this.physicsObjects.get(bodyB.id);
+
+	if (objectA === undefined || objectB === undefined)
+	{
+		return;
+	}
+
+	this.collisions.set(Scene.getCollisionKey(bodyA, bodyB), [objectA, objectB]);
+
+	Scene.dispatchCollision("collisionEnter", objectA, objectB);
+	Scene.dispatchCollision("collisionEnter", objectB, objectA);
+};
+
+/**
+ * Called when two physics bodies stop touching, triggers the collision exit event in the scripts of both objects.
+ *
+ * @method endCollision
+ * @param {Body} bodyA First body.
+ * @param {Body} bodyB Second body.
+ */
+Scene.prototype.endCollision = function(bodyA, bodyB)
+{
+	var key = Scene.getCollisionKey(bodyA, bodyB);
+	var pair = this.collisions.get(key);
+
+	if (pair === undefined)
+	{
+		return;
+	}
+
+	this.collisions.delete(key);
+
+	Scene.dispatchCollision("collisionExit", pair[0], pair[1]);
+	Scene.dispatchCollision("collisionExit", pair[1], pair[0]);
+};
+
+/**
+ * Get the key used to identify a collision between two bodies, independent of the order of the bodies.
+ *
+ * @static
+ * @method getCollisionKey
+ * @param {Body} bodyA First body.
+ * @param {Body} bodyB Second body.
+ * @return {string} Key of the collision.
+ */
+Scene.getCollisionKey = function(bodyA, bodyB)
+{
+	return bodyA.id < bodyB.id ? bodyA.id + "," + bodyB.id : bodyB.id + "," + bodyA.id;
+};
+
+/**
+ * Call a collision method on all the parents of a physics object that implement it (e.g. scripts).
+ *
+ * @static
+ * @method dispatchCollision
+ * @param {string} method Name of the method to call.
+ * @param {PhysicsObject} object Physics object that collided.
+ * @param {PhysicsObject} other Other physics object involved in the collision.
+ */
+Scene.dispatchCollision = function(method, object, other)
+{
+	var node = object.parent;
+	while (node !== null)
+	{
+		if (node[method] !== undefined)
+		{
+			node[method](object, other);
+		}
+		node = node.parent;
+	}
+};
+
+/**
+ * Cast a ray against the physics world and get the closest hit.
+ *
+ * Query results are objects with the following attributes:
+ *  - object PhysicsObject hit (null if the body does not belong to a physics object)
+ *  - body cannon.js body hit
+ *  - point Vector3 hit point in world coordinates
+ *  - normal Vector3 surface normal in world coordinates
+ *  - distance Number distance from the query origin
+ *
+ * Query options are the same used by the cannon.js world raycast methods:
+ *  - collisionFilterGroup Number group of the query, tested against the body collisionFilterMask (default -1)
+ *  - collisionFilterMask Number mask of the query, tested against the body collisionFilterGroup (default -1)
+ *  - skipBackfaces Boolean ignore hits on the back faces of trimeshes (default false)
+ *  - checkCollisionResponse Boolean ignore bodies without collision response (e.g. triggers) (default true)
+ *
+ * @method raycastClosest
+ * @param {Vector3} from Origin of the ray in world coordinates.
+ * @param {Vector3} to End of the ray in world coordinates.
+ * @param {Object} options Query options.
+ * @return {Object} Closest hit or null if nothing was hit.
+ */
+Scene.prototype.raycastClosest = function(from, to, options)
+{
+	var result = new RaycastResult();
+
+	this.world.raycastClosest(new Vec3(from.x, from.y, from.z), new Vec3(to.x, to.y, to.z), Scene.getQueryOptions(options), result);
+
+	return result.hasHit ? this.createHit(result.body, result.hitPointWorld, result.hitNormalWorld, result.distance) : null;
+};
+
+/**
+ * Cast a ray against the physics world and get all the hits sorted by distance.
+ *
+ * @method raycastAll
+ * @param {Vector3} from Origin of the ray in world coordinates.
+ * @param {Vector3} to End of the ray in world coordinates.
+ * @param {Object} options Query options.
+ * @return {Array} Hits sorted by distance.
+ */
+Scene.prototype.raycastAll = function(from, to, options)
+{
+	var self = this;
+	var hits = [];
+
+	this.world.raycastAll(new Vec3(from.x, from.y, from.z), new Vec3(to.x, to.y, to.z), Scene.getQueryOptions(options), function(result)
+	{
+		hits.push(self.createHit(result.body, result.hitPointWorld, result.hitNormalWorld, result.distance));
+	});
+
+	return Scene.sortHits(hits);
+};
+
+/**
+ * Get all the physics bodies overlapping a sphere.
+ *
+ * @method overlapSphere
+ * @param {Vector3} center Center of the sphere in world coordinates.
+ * @param {number} radius Radius of the sphere.
+ * @param {Object} options Query options.
+ * @return {Array} Hits sorted by distance to the center.
+ */
+Scene.prototype.overlapSphere = function(center, radius, options)
+{
+	return this.overlapShape(new Sphere(radius), center, new Quaternion(), options);
+};
+
+/**
+ * Get all the physics bodies overlapping a box.
+ *
+ * @method overlapBox
+ * @param {Vector3} center Center of the box in world coordinates.
+ * @param {Vector3} halfExtents Half size of the box in each axis.
+ * @param {Quaternion} quaternion Rotation of the box, optional.
+ * @param {Object} options Query options.
+ * @return {Array} Hits sorted by distance to the center.
+ */
+Scene.prototype.overlapBox = function(center, halfExtents, quaternion, options)
+{
+	return this.overlapShape(new Box(new Vec3(halfExtents.x, halfExtents.y, halfExtents.z)), center, quaternion !== undefined ? quaternion : new Quaternion(), options);
+};
+
+/**
+ * Move a sphere from a point to another and get the first physics body hit.
+ *
+ * @method sweepSphere
+ * @param {Vector3} from Initial position of the sphere.
+ * @param {Vector3} to Final position of the sphere.
+ * @param {number} radius Radius of the sphere.
+ * @param {Object} options Query options.
+ * @return {Object} Hit with the distance travelled by the sphere or null if nothing was hit.
+ */
+Scene.prototype.sweepSphere = function(from, to, radius, options)
+{
+	return this.sweepShape(new Sphere(radius), from, to, new Quaternion(), options);
+};
+
+/**
+ * Move a box from a point to another and get the first physics body hit.
+ *
+ * @method sweepBox
+ * @param {Vector3} from Initial position of the box.
+ * @param {Vector3} to Final position of the box.
+ * @param {Vector3} halfExtents Half size of the box in each axis.
+ * @param {Quaternion} quaternion Rotation of the box, optional.
+ * @param {Object} options Query options.
+ * @return {Object} Hit with the distance travelled by the box or null if nothing was hit.
+ */
+Scene.prototype.sweepBox = function(from, to, halfExtents, quaternion, options)
+{
+	return this.sweepShape(new Box(new Vec3(halfExtents.x, halfExtents.y, halfExtents.z)), from, to, quaternion !== undefined ? quaternion : new Quaternion(), options);
+};
+
+/**
+ * Get all the physics bodies overlapping a cannon.js shape.
+ *
+ * The shape is tested against the bodies of the world using a separate narrowphase, the simulation is not affected.
+ *
+ * @method overlapShape
+ * @param {Shape} shape Shape to test, cannot be attached to other body.
+ * @param {Vector3} position Position of the shape in world coordinates.
+ * @param {Quaternion} quaternion Rotation of the shape in world coordinates.
+ * @param {Object} options Query options.
+ * @return {Array} Hits sorted by distance to the position.
+ */
+Scene.prototype.overlapShape = function(shape, position, quaternion, options)
+{
+	options = Scene.getQueryOptions(options);
+
+	var query = new Body({mass: 0});
+	query.addShape(shape);
+	query.position.set(position.x, position.y, position.z);
+	query.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+
+	var narrowphase = this.narrowphase;
+	narrowphase.currentContactMaterial = this.world.defaultContactMaterial;
+
+	var origin = new Vector3(position.x, position.y, position.z);
+	var shapePosition = new Vec3();
+	var shapeQuaternion;
+	var hits = [];
+
+	var bodies = this.world.bodies;
+	for (var i = 0; i < bodies.length; i++)
+	{
+		var body = bodies[i];
+
+		if ((options.collisionFilterGroup & body.collisionFilterMask) === 0 || (body.collisionFilterGroup & options.collisionFilterMask) === 0)
+		{
+			continue;
+		}
+
+		if (options.checkCollisionResponse && !body.collisionResponse)
+		{
+			continue;
+		}
+
+		if (query.position.distanceTo(body.position) > query.boundingRadius + body.boundingRadius)
+		{
+			continue;
+		}
+
+		for (var j = 0; j < body.shapes.length; j++)
+		{
+			var other = body.shapes[j];
+			var resolver = narrowphase[shape.type | other.type];
+			if (resolver === undefined)
+			{
+				continue;
+			}
+
+			body.quaternion.vmult(body.shapeOffsets[j], shapePosition);
+			shapePosition.vadd(body.position, shapePosition);
+			shapeQuaternion = body.quaternion.mult(body.shapeOrientations[j]);
+
+			narrowphase.result = [];
+			narrowphase.frictionResult = [];
+
+			// Resolvers expect the shapes to be sorted by type
+			if (shape.type < other.type)
+			{
+				resolver.call(narrowphase, shape, other, query.position, shapePosition, query.quaternion, shapeQuaternion, query, body, shape, other, false);
+			}
+			else
+			{
+				resolver.call(narrowphase, other, shape, shapePosition, query.position, shapeQuaternion, query.quaternion, body, query, shape, other, false);
+			}
+
+			if (narrowphase.result.length > 0)
+			{
+				var contact = narrowphase.result[0];
+				var point = new Vec3();
+				var normal = new Vec3();
+
+				if (contact.bi === query)
+				{
+					body.position.vadd(contact.rj, point);
+					contact.ni.negate(normal);
+				}
+				else
+				{
+					body.position.vadd(contact.ri, point);
+					normal.copy(contact.ni);
+				}
+
+				hits.push(this.createHit(body, point, normal, origin.distanceTo(point)));
+				break;
+			}
+		}
+	}
+
+	return Scene.sortHits(hits);
+};
+
+/**
+ * Move a cannon.js shape from a point to another and get the first physics body hit.
+ *
+ * The path is sampled using overlap queries and the first contact is refined using a binary search.
+ *
+ * @method sweepShape
+ * @param {Shape} shape Shape to test, cannot be attached to other body.
+ * @param {Vector3} from Initial position of the shape.
+ * @param {Vector3} to Final position of the shape.
+ * @param {Quaternion} quaternion Rotation of the shape in world coordinates.
+ * @param {Object} options Query options.
+ * @return {Object} Hit with the distance travelled by the shape or null if nothing was hit.
+ */
+Scene.prototype.sweepShape = function(shape, from, to, quaternion, options)
+{
+	var origin = new Vector3(from.x, from.y, from.z);
+	var direction = new Vector3(to.x - from.x, to.y - from.y, to.z - from.z);
+	var length = direction.length();
+	direction.normalize();
+
+	shape.updateBoundingSphereRadius();
+
+	var step = Math.max(shape.boundingSphereRadius, 1e-3);
+	var position = new Vector3();
+	var free = 0;
+	var blocked = 0;
+	var hits = [];
+
+	while (hits.length === 0)
+	{
+		position.copy(origin).addScaledVector(direction, blocked);
+		hits = this.overlapShape(shape, position, quaternion, options);
+
+		if (hits.length === 0)
+		{
+			if (blocked >= length)
+			{
+				return null;
+			}
+
+			free = blocked;
+			blocked = Math.min(blocked + step, length);
+		}
+	}
+
+	// Refine the first contact position between the last free and the colliding positions
+	if (blocked > 0)
+	{
+		for (var i = 0; i < 10; i++)
+		{
+			var middle = (free + blocked) / 2;
+			position.copy(origin).addScaledVector(direction, middle);
+
+			var result = this.overlapShape(shape, position, quaternion, options);
+			if (result.length > 0)
+			{
+				hits = result;
+				blocked = middle;
+			}
+			else
+			{
+				free = middle;
+			}
+		}
+	}
+
+	var hit = hits[0];
+	hit.distance = blocked;
+	return hit;
+};
+
+/**
+ * Create a query hit result object.
+ *
+ * @method createHit
+ * @param {Body} body Body hit.
+ * @param {Vec3} point Hit point in world coordinates.
+ * @param {Vec3} normal Surface normal in world coordinates.
+ * @param {number} distance Distance from the query origin.
+ * @return {Object} Hit result.
+ */
+Scene.prototype.createHit = function(body, point, normal, distance)
+{
+	var object = this.physicsObjects.get(body.id);
+
+	return {
+		object: object !== undefined ? object : null,
+		body: body,
+		point: new Vector3(point.x, point.y, point.z),
+		normal: new Vector3(normal.x, normal.y, normal.z),
+		distance: distance
+	};
+};
+
+/**
+ * Fill the query options with the default values.
+ *
+ * A new object is always created because the cannon.js raycast methods change the options object.
+ *
+ * @static
+ * @method getQueryOptions
+ * @param {Object} options Query options.
+ * @return {Object} Query options with default values.
+ */
+Scene.getQueryOptions = function(options)
+{
+	options = options !== undefined ? options : {};
+
+	return {
+		collisionFilterGroup: options.collisionFilterGroup !== undefined ? options.collisionFilterGroup : -1,
+		collisionFilterMask: options.collisionFilterMask !== undefined ? options.collisionFilterMask : -1,
+		skipBackfaces: options.skipBackfaces !== undefined ? options.skipBackfaces : false,
+		checkCollisionResponse: options.checkCollisionResponse !== undefined ? options.checkCollisionResponse : true
+	};
+};
+
+/**
+ * Sort query hits by distance.
+ *
+ * @static
+ * @method sortHits
+ * @param {Array} hits Hits to sort.
+ * @return {Array} The hits array sorted.
+ */
+Scene.sortHits = function(hits)
+{
+	return hits.sort(function(a, b)
+	{
+		return a.distance - b.distance;
+	});
+};
+
 Scene.prototype.resize = function(x, y)
 {
 	if (this.defaultCamera !== null)
@@ -243,6 +820,9 @@ Scene.prototype.resize = function(x, y)
 
 Scene.prototype.dispose = function()
 {
+	this.physicsObjects.clear();
+	this.collisions.clear();
+
 	for (var i = 0; i < this.children.length; i++)
 	{
 		this.children[i].traverse(function(children)
@@ -479,6 +1059,8 @@ Scene.prototype.toJSON = function(meta)
 	}
 
 	data.object.usePhysics = this.usePhysics;
+	data.object.physicsStep = this.physicsStep;
+	data.object.physicsMaxSubSteps = this.physicsMaxSubSteps;
 
 	data.object.cameras = [];
 	for (var i = 0; i < this.cameras.length; i++)
@@ -0,0 +1,527 @@
+import {Group, Vector2, Vector3, Object3D, Camera} from "three";
+import {Program} from "../Program.js";
+import {Scene} from "../Scene.js";
+import {Mouse} from "../../input/Mouse.js";
+import {Keyboard} from "../../input/Keyboard.js";
+import {Gamepad} from "../../input/Gamepad.js";
+
+/**
+ * Character controller moves a capsule over the physics objects of the scene.
+ *
+ * Handles walking, slopes, steps, jumping and gravity using the scene physics queries, the character is kinematic and does not push other physics objects.
+ *
+ * The position of the controller is the bottom of the capsule (the feet of the character). The movement is calculated in world coordinates, the controller can be placed inside of other objects.
+ *
+ * The controller can be moved using the keyboard and mouse or a gamepad, cameras placed inside the controller are rotated vertically when looking around.
+ *
+ * @class CharacterController
+ * @extends {Group}
+ * @module Controls
+ */
+function CharacterController()
+{
+	Group.call(this);
+
+	this.name = "character";
+	this.type = "CharacterController";
+
+	/**
+	 * Radius of the character capsule.
+	 *
+	 * @property radius
+	 * @type {number}
+	 */
+	this.radius = 0.4;
+
+	/**
+	 * Total height of the character capsule.
+	 *
+	 * @property height
+	 * @type {number}
+	 */
+	this.height = 1.8;
+
+	/**
+	 * Maximum height of the steps that the character can climb.
+	 *
+	 * @property stepHeight
+	 * @type {number}
+	 */
+	this.stepHeight = 0.3;
+
+	/**
+	 * Maximum slope angle (in radians) the character can walk on.
+	 *
+	 * @property maxSlope
+	 * @type {number}
+	 */
+	this.maxSlope = Math.PI / 4;
+
+	/**
+	 * Movement speed in units per second.
+	 *
+	 * @property moveSpeed
+	 * @type {number}
+	 */
+	this.moveSpeed = 4.0;
+
+	/**
+	 * Vertical speed applied when the character jumps.
+	 *
+	 * @property jumpSpeed
+	 * @type {number}
+	 */
+	this.jumpSpeed = 5.0;
+
+	/**
+	 * Multiplier applied to the gravity of the scene physics world.
+	 *
+	 * @property gravityScale
+	 * @type {number}
+	 */
+	this.gravityScale = 1.0;
+
+	/**
+	 * Mouse sensitivity.
+	 *
+	 * @property sensitivity
+	 * @type {number}
+	 */
+	this.sensitivity = 0.005;
+
+	/**
+	 * Flag to indicate if the left mouse button needs to be pressed to look around.
+	 *
+	 * @property needsButtonPressed
+	 * @type {boolean}
+	 */
+	this.needsButtonPressed = true;
+
+	/**
+	 * If true the character can also be controlled using a gamepad.
+	 *
+	 * The left analogue moves the character, the right analogue is used to look around and the A button to jump.
+	 *
+	 * @property useGamepad
+	 * @type {boolean}
+	 */
+	this.useGamepad = false;
+
+	/**
+	 * Gamepad look speed in radians per second.
+	 *
+	 * @property gamepadSensitivity
+	 * @type {number}
+	 */
+	this.gamepadSensitivity = 2.0;
+
+	/**
+	 * Array with keys to be used to move the character.
+	 *  - Forward
+	 *  - Backward
+	 *  - Left
+	 *  - Right
+	 *
+	 * @property moveKeys
+	 * @type {Array}
+	 */
+	this.moveKeys = [Keyboard.W, Keyboard.S, Keyboard.A, Keyboard.D];
+
+	/**
+	 * Key used to jump.
+	 *
+	 * @property jumpKey
+	 * @type {number}
+	 */
+	this.jumpKey = Keyboard.SPACEBAR;
+
+	/**
+	 * Collision filter mask used to test the physics objects, tested against their collisionFilterGroup.
+	 *
+	 * @property collisionFilterMask
+	 * @type {number}
+	 */
+	this.collisionFilterMask = -1;
+
+	/**
+	 * Orientation of the character.
+	 *
+	 * X is the horizontal orientation and Y the vertical orientation.
+	 *
+	 * @property vector
+	 * @type {Vector2}
+	 */
+	this.vector = new Vector2(0, 0);
+
+	/**
+	 * Velocity of the character, runtime variable.
+	 *
+	 * @attribute velocity
+	 * @type {Vector3}
+	 */
+	this.velocity = new Vector3();
+
+	/**
+	 * Indicates if the character is standing on walkable ground, runtime variable.
+	 *
+	 * @attribute grounded
+	 * @type {boolean}
+	 */
+	this.grounded = false;
+
+	this.scene = null;
+	this.mouse = null;
+	this.keyboard = null;
+	this.gamepad = null;
+}
+
+CharacterController.prototype = Object.create(Group.prototype);
+
+/**
+ * Distance kept between the character and the physics objects to avoid getting stuck.
+ *
+ * @static
+ * @attribute SKIN
+ * @type {number}
+ */
+CharacterController.SKIN = 0.02;
+
+CharacterController.prototype.initialize = function()
+{
+	var node = this;
+	while (node.parent !== null)
+	{
+		node = node.parent;
+
+		if (node instanceof Scene)
+		{
+			this.scene = node;
+		}
+		else if (node instanceof Program)
+		{
+			this.mouse = node.mouse;
+			this.keyboard = node.keyboard;
+		}
+	}
+
+	if (this.useGamepad)
+	{
+		this.gamepad = new Gamepad();
+	}
+
+	this.velocity.set(0, 0, 0);
+	this.grounded = false;
+	this.vector.x = this.rotation.y;
+	this.updateControls();
+
+	Group.prototype.initialize.call(this);
+};
+
+CharacterController.prototype.update = function(delta)
+{
+	if (this.gamepad !== null)
+	{
+		this.gamepad.update(delta);
+	}
+
+	this.updateLook(delta);
+
+	if (this.scene === null)
+	{
+		Object3D.prototype.update.call(this, delta);
+		return;
+	}
+
+	var input = this.getMovementInput();
+	var forward = new Vector3(-Math.sin(this.vector.x), 0, -Math.cos(this.vector.x));
+	var right = new Vector3(Math.cos(this.vector.x), 0, -Math.sin(this.vector.x));
+
+	this.velocity.x = (forward.x * input.y + right.x * input.x) * this.moveSpeed;
+	this.velocity.z = (forward.z * input.y + right.z * input.x) * this.moveSpeed;
+
+	if (this.grounded && this.getJumpInput())
+	{
+		this.velocity.y = this.jumpSpeed;
+		this.grounded = false;
+	}
+	else if (this.grounded)
+	{
+		this.velocity.y = 0;
+	}
+	else
+	{
+		this.velocity.y += this.scene.world.gravity.y * this.gravityScale * delta;
+	}
+
+	// Physics queries use world coordinates
+	this.parent.updateWorldMatrix(true, false);
+	var position = this.parent.localToWorld(this.position.clone());
+
+	this.moveHorizontal(position, new Vector3(this.velocity.x * delta, 0, this.velocity.z * delta));
+	this.moveVertical(position, this.velocity.y * delta);
+
+	this.position.copy(this.parent.worldToLocal(position));
+
+	Object3D.prototype.update.call(this, delta);
+};
+
+/**
+ * Update the orientation of the character from the mouse and gamepad input.
+ *
+ * @method updateLook
+ * @param {number} delta Time since the last frame.
+ */
+CharacterController.prototype.updateLook = function(delta)
+{
+	if (!this.needsButtonPressed || this.mouse.buttonPressed(Mouse.LEFT))
+	{
+		this.vector.x -= this.sensitivity * this.mouse.delta.x;
+		this.vector.y -= this.sensitivity * this.mouse.delta.y;
+	}
+
+	if (this.isGamepadConnected())
+	{
+		this.vector.x -= this.gamepad.getAxis(Gamepad.RIGHT_ANALOGUE_HOR) * this.gamepadSensitivity * delta;
+		this.vector.y -= this.gamepad.getAxis(Gamepad.RIGHT_ANALOGUE_VERT) * this.gamepadSensitivity * delta;
+	}
+
+	if (this.vector.y < -1.57)
+	{
+		this.vector.y = -1.57;
+	}
+	else if (this.vector.y > 1.57)
+	{
+		this.vector.y = 1.57;
+	}
+
+	this.updateControls();
+};
+
+/**
+ * Update the character rotation and the rotation of the cameras inside of it.
+ *
+ * Should be called if the orientation vector is changed manually.
+ *
+ * @method updateControls
+ */
+CharacterController.prototype.updateControls = function()
+{
+	this.rotation.set(0, this.vector.x, 0);
+
+	for (var i = 0; i < this.children.length; i++)
+	{
+		if (this.children[i] instanceof Camera)
+		{
+			this.children[i].rotation.set(this.vector.y, 0, 0);
+		}
+	}
+};
+
+/**
+ * Get the movement input from the keyboard and gamepad.
+ *
+ * @method getMovementInput
+ * @return {Vector2} Movement input, X is the lateral movement and Y the forward movement.
+ */
+CharacterController.prototype.getMovementInput = function()
+{
+	var input = new Vector2(0, 0);
+
+	if (this.keyboard.keyPressed(this.moveKeys[0]))
+	{
+		input.y += 1;
+	}
+	if (this.keyboard.keyPressed(this.moveKeys[1]))
+	{
+		input.y -= 1;
+	}
+	if (this.keyboard.keyPressed(this.moveKeys[2]))
+	{
+		input.x -= 1;
+	}
+	if (this.keyboard.keyPressed(this.moveKeys[3]))
+	{
+		input.x += 1;
+	}
+
+	if (this.isGamepadConnected())
+	{
+		input.x += this.gamepad.getAxis(Gamepad.LEFT_ANALOGUE_HOR);
+		input.y -= this.gamepad.getAxis(Gamepad.LEFT_ANALOGUE_VERT);
+	}
+
+	if (input.length() > 1)
+	{
+		input.normalize();
+	}
+
+	return input;
+};
+
+/**
+ * Check if the jump input was pressed in this frame.
+ *
+ * @method getJumpInput
+ * @return {boolean} True if the character should jump.
+ */
+CharacterController.prototype.getJumpInput = function()
+{
+	return this.keyboard.keyJustPressed(this.jumpKey) || this.isGamepadConnected() && this.gamepad.buttonJustPressed(Gamepad.A);
+};
+
+/**
+ * Check if there is a gamepad connected to be used by the character.
+ *
+ * @method isGamepadConnected
+ * @return {boolean} True if a gamepad can be used.
+ */
+CharacterController.prototype.isGamepadConnected = function()
+{
+	return this.gamepad !== null && this.gamepad.gamepad !== null && this.gamepad.gamepad !== undefined;
+};
+
+/**
+ * Move the character horizontally, sliding along the obstacles found.
+ *
+ * Walkable slopes and steps are ignored here, the character is placed on top of them when moving vertically.
+ *
+ * @method moveHorizontal
+ * @param {Vector3} position World position of the character, updated with the motion applied.
+ * @param {Vector3} motion Horizontal motion to apply.
+ */
+CharacterController.prototype.moveHorizontal = function(position, motion)
+{
+	var minNormal = Math.cos(this.maxSlope);
+
+	for (var i = 0; i < 3 && motion.lengthSq() > 1e-10; i++)
+	{
+		var hit = this.sweepBody(position, motion);
+		if (hit === null || hit.normal.y >= minNormal)
+		{
+			position.add(motion);
+			return;
+		}
+
+		var length = motion.length();
+		var travel = Math.max(hit.distance - CharacterController.SKIN, 0);
+		position.addScaledVector(motion, travel / length);
+		motion.multiplyScalar(1 - travel / length);
+
+		// Slide along the obstacle
+		var normal = new Vector3(hit.normal.x, 0, hit.normal.z);
+		if (normal.lengthSq() < 1e-10)
+		{
+			return;
+		}
+		normal.normalize();
+
+		var dot = motion.dot(normal);
+		if (dot < 0)
+		{
+			motion.addScaledVector(normal, -dot);
+		}
+	}
+};
+
+/**
+ * Sweep the character body horizontally and get the closest obstacle.
+ *
+ * The body is tested using a sphere above the step height and a sphere at the top of the capsule.
+ *
+ * @method sweepBody
+ * @param {Vector3} position World position of the character.
+ * @param {Vector3} motion Horizontal motion to test.
+ * @return {Object} Closest hit or null if there are no obstacles.
+ */
+CharacterController.prototype.sweepBody = function(position, motion)
+{
+	var options = {collisionFilterMask: this.collisionFilterMask};
+	var closest = null;
+
+	var heights = [this.stepHeight + this.radius, Math.max(this.height - this.radius, this.stepHeight + this.radius)];
+	for (var i = 0; i < heights.length; i++)
+	{
+		var from = new Vector3(position.x, position.y + heights[i], position.z);
+		var to = from.clone().add(motion);
+
+		var hit = this.scene.sweepSphere(from, to, this.radius, options);
+		if (hit !== null && (closest === null || hit.distance < closest.distance))
+		{
+			closest = hit;
+		}
+	}
+
+	return closest;
+};
+
+/**
+ * Move the character vertically, checking for ceilings when moving up and placing the character on the ground when moving down.
+ *
+ * When grounded the character is snapped to the ground to walk down steps and slopes.
+ *
+ * @method moveVertical
+ * @param {Vector3} position World position of the character, updated with the motion applied.
+ * @param {number} motion Vertical motion to apply.
+ */
+CharacterController.prototype.moveVertical = function(position, motion)
+{
+	var options = {collisionFilterMask: this.collisionFilterMask};
+
+	if (motion > 0)
+	{
+		var head = new Vector3(position.x, position.y + Math.max(this.height - this.radius, this.radius), position.z);
+		var hit = this.scene.sweepSphere(head, new Vector3(head.x, head.y + motion, head.z), this.radius, options);
+		if (hit !== null)
+		{
+			motion = Math.max(hit.distance - CharacterController.SKIN, 0);
+			this.velocity.y = 0;
+		}
+
+		position.y += motion;
+		this.grounded = false;
+		return;
+	}
+
+	// Probe the ground from the step height, using a smaller radius to ignore walls
+	var radius = this.radius * 0.9;
+	var snap = this.grounded ? this.stepHeight : 0;
+	var from = new Vector3(position.x, position.y + this.stepHeight + radius, position.z);
+	var length = this.stepHeight - motion + snap;
+
+	var hit = this.scene.sweepSphere(from, new Vector3(from.x, from.y - length, from.z), radius, options);
+	if (hit !== null && hit.normal.y >= Math.cos(this.maxSlope))
+	{
+		position.y = from.y - hit.distance - radius;
+		this.velocity.y = 0;
+		this.grounded = true;
+	}
+	else
+	{
+		position.y += motion;
+		this.grounded = false;
+	}
+};
+
+CharacterController.prototype.toJSON = function(meta)
+{
+	var data = Object3D.prototype.toJSON.call(this, meta);
+
+	data.object.radius = this.radius;
+	data.object.height = this.height;
+	data.object.stepHeight = this.stepHeight;
+	data.object.maxSlope = this.maxSlope;
+	data.object.moveSpeed = this.moveSpeed;
+	data.object.jumpSpeed = this.jumpSpeed;
+	data.object.gravityScale = this.gravityScale;
+	data.object.sensitivity = this.sensitivity;
+	data.object.needsButtonPressed = this.needsButtonPressed;
+	data.object.useGamepad = this.useGamepad;
+	data.object.gamepadSensitivity = this.gamepadSensitivity;
+	data.object.moveKeys = this.moveKeys;
+	data.object.jumpKey = this.jumpKey;
+	data.object.collisionFilterMask = this.collisionFilterMask;
+
+	return data;
+};
+
+export {CharacterController};
@@ -1,56 +1,372 @@
 import {CSM} from "three/examples/jsm/csm/CSM";
-import {Object3D} from "three";
+import {Group, PerspectiveCamera, Color, Vector3, Matrix4} from "three";
 
 /**
  * A light that gets emitted in a specific direction and has a cascaded shadow map set.
  *
  * Allows to project shadows over large distances by splitting the shadow frustum sections into multiple shadow maps with diferent resolution.
  *
+ * The light is emitted from the object position towards the origin of the world (same as the DirectionalLight), the cascades follow the first camera of the scene and are updated with the scene before rendering.
+ *
+ * Internally the object contains one directional light per cascade, these are locked and recreated when the number of cascades or the shadow map size changes.
+ *
+ * Materials of the meshes in the scene are patched to use the cascaded shadows when the light is initialized, objects added to the scene later should be passed to updateMaterials().
+ *
+ * @param {number} hex Light color in hex RGB
+ * @param {number} intensity Light intensity
  * @class DirectionalLightCSM
- * @extends {Object3D}
+ * @extends {Group}
  * @module Lights
  */
-function DirectionalLightCSM()
+function DirectionalLightCSM(hex, intensity)
 {
-	Object3D.call(globalThis);
+	Group.call(this);
+
+	var self = this;
 
 	this.name = "directional";
 	this.type = "DirectionalLightCSM";
 
-	this.shadowMapSize = 1024;
+	this.position.set(0, 1, 0);
+	this.castShadow = true;
 
-	this.lightDirection = new THREE.Vector3(1, 1, 1).normalize();
+	/**
+	 * Color of the light.
+	 *
+	 * @property color
+	 * @type {Color}
+	 */
+	this.color = new Color(hex !== undefined ? hex : 0xFFFFFF);
 
-	this.mode = "pratical";
+	/**
+	 * Intensity of the light.
+	 *
+	 * @property intensity
+	 * @type {number}
+	 */
+	this.intensity = intensity !== undefined ? intensity : 1;
 
+	/**
+	 * Number of shadow cascades.
+	 *
+	 * @property cascades
+	 * @type {number}
+	 */
 	this.cascades = 4;
 
+	/**
+	 * Mode used to split the camera frustum into cascades.
+	 *
+	 * Can be "uniform", "logarithmic" or "practical".
+	 *
+	 * @property mode
+	 * @type {string}
+	 */
+	this.mode = DirectionalLightCSM.PRACTICAL;
+
+	/**
+	 * Maximum distance from the camera where shadows are rendered.
+	 *
+	 * @property maxFar
+	 * @type {number}
+	 */
 	this.maxFar = 1000;
 
+	/**
+	 * If true the transition between cascades is smoothed.
+	 *
+	 * @property fade
+	 * @type {boolean}
+	 */
 	this.fade = false;
 
+	/**
+	 * Resolution of the shadow map of each cascade.
+	 *
+	 * @property shadowMapSize
+	 * @type {number}
+	 */
+	this.shadowMapSize = 1024;
+
+	/**
+	 * Shadow map bias used for all cascades.
+	 *
+	 * @property shadowBias
+	 * @type {number}
+	 */
+	this.shadowBias = 0.000001;
+
+	/**
+	 * Direction of the light in world space, calculated from the object position.
+	 *
+	 * @property direction
+	 * @type {Vector3}
+	 */
+	this.direction = new Vector3(0, -1, 0);
+
+	/**
+	 * Cascaded shadow map object that manages the directional lights of each cascade.
+	 *
+	 * @property csm
+	 * @type {CSM}
+	 */
+	this.csm = null;
+
+	/**
+	 * Projection matrix of the camera used in the last frame, used to check if the cascades frustums need to be updated.
+	 *
+	 * @property projection
+	 * @type {Matrix4}
+	 */
+	this.projection = new Matrix4();
+
+	/**
+	 * Scene where the light is placed, runtime variable.
+	 *
+	 * @property scene
+	 * @type {Scene}
+	 */
+	this.scene = null;
+
+	this.updateCSM();
+
+	// Restore the materials patched by the light when it is removed from the scene
+	this.addEventListener("removed", function()
+	{
+		self.csm.dispose();
+	});
+}
+
+DirectionalLightCSM.prototype = Object.create(Group.prototype);
+
+/**
+ * Frustum is split into cascades of the same size.
+ *
+ * @static
+ * @attribute UNIFORM
+ * @type {string}
+ */
+DirectionalLightCSM.UNIFORM = "uniform";
+
+/**
+ * Cascades size grows logarithmically with the distance to the camera.
+ *
+ * @static
+ * @attribute LOGARITHMIC
+ * @type {string}
+ */
+DirectionalLightCSM.LOGARITHMIC = "logarithmic";
+
+/**
+ * Mix between the uniform and logarithmic split modes.
+ *
+ * @static
+ * @attribute PRACTICAL
+ * @type {string}
+ */
+DirectionalLightCSM.PRACTICAL = "practical";
+
+/**
+ * Create the cascaded shadow map and the directional lights of each cascade.
+ *
+ * Should be called after changing the number of cascades or the shadow map size, it is also called automatically before rendering if these values changed.
+ *
+ * @method updateCSM
+ */
+DirectionalLightCSM.prototype.updateCSM = function()
+{
+	var camera = null;
+	var materials = [];
+
+	if (this.csm !== null)
+	{
+		camera = this.csm.camera;
+
+		this.csm.shaders.forEach(function(shader, material)
+		{
+			materials.push(material);
+		});
+
+		for (var i = 0; i < this.csm.lights.length; i++)
+		{
+			this.remove(this.csm.lights[i].target);
+		}
+
+		this.csm.remove();
+		this.csm.dispose();
+	}
+
 	this.csm = new CSM({
-		fade: this.fade,
-		maxFar: this.maxFar,
+		camera: camera !== null ? camera : new PerspectiveCamera(),
+		parent: this,
 		cascades: this.cascades,
+		maxFar: this.maxFar,
 		mode: this.mode,
-		parent: this,
 		shadowMapSize: this.shadowMapSize,
-		lightDirection: this.lightDirection
+		shadowBias: this.shadowBias,
+		lightDirection: this.direction,
+		lightIntensity: this.intensity
 	});
-}
+	this.csm.fade = this.fade;
 
-DirectionalLightCSM.prototype = Object.create(Object3D.prototype);
+	for (var i = 0; i < this.csm.lights.length; i++)
+	{
+		var light = this.csm.lights[i];
+		light.locked = true;
+		light.target.locked = true;
+		light.color.copy(this.color);
+	}
+
+	// Patch again the materials used with the previous cascades
+	for (var i = 0; i < materials.length; i++)
+	{
+		this.csm.setupMaterial(materials[i]);
+		materials[i].needsUpdate = true;
+	}
 
-DirectionalLightCSM.prototype.onBeforeRender = function(renderer, scene, camera, geometry, material, group)
+	// Force the frustums to be recalculated in the next frame
+	this.projection.identity();
+};
+
+DirectionalLightCSM.prototype.initialize = function()
+{
+	this.scene = this.getScene();
+
+	if (this.scene !== null)
+	{
+		this.updateMaterials(this.scene);
+	}
+
+	Group.prototype.initialize.call(this);
+};
+
+DirectionalLightCSM.prototype.update = function(delta)
 {
-	if (this.csm.camera !== camera)
+	if (this.scene !== null && this.scene.cameras.length > 0)
 	{
-		this.csm.camera = camera;
-		this.csm.updateFrustums();
+		this.updateCascades(this.scene.cameras[0]);
 	}
 
-	this.csm.update();
+	Group.prototype.update.call(this, delta);
+};
+
+/**
+ * Patch the materials of an object and its children to use the cascaded shadows.
+ *
+ * Materials already patched are ignored.
+ *
+ * @method updateMaterials
+ * @param {Object3D} object Object to patch the materials of.
+ */
+DirectionalLightCSM.prototype.updateMaterials = function(object)
+{
+	var csm = this.csm;
+
+	object.traverse(function(child)
+	{
+		if (child.material === undefined)
+		{
+			return;
+		}
+
+		var materials = Array.isArray(child.material) ? child.material : [child.material];
+		for (var i = 0; i < materials.length; i++)
+		{
+			var material = materials[i];
+			if ((material.isMeshStandardMaterial || material.isMeshPhongMaterial) && !csm.shaders.has(material))
+			{
+				csm.setupMaterial(material);
+				material.needsUpdate = true;
+			}
+		}
+	});
+};
+
+/**
+ * Update the cascades for the camera used to render the scene.
+ *
+ * Should be called before rendering the scene, it is called automatically by update() using the first camera of the scene.
+ *
+ * @method updateCascades
+ * @param {Camera} camera Camera used to render the scene.
+ */
+DirectionalLightCSM.prototype.updateCascades = function(camera)
+{
+	var csm = this.csm;
+
+	if (csm.cascades !== this.cascades || csm.shadowMapSize !== this.shadowMapSize)
+	{
+		this.updateCSM();
+		csm = this.csm;
+	}
+
+	camera.updateWorldMatrix(true, false);
+	this.updateWorldMatrix(true, false);
+
+	// Frustums
+	if (csm.camera !== camera || csm.maxFar !== this.maxFar || csm.mode !== this.mode || csm.fade !== this.fade || !this.projection.equals(camera.projectionMatrix))
+	{
+		csm.camera = camera;
+		csm.maxFar = this.maxFar;
+		csm.mode = this.mode;
+		csm.fade = this.fade;
+		csm.updateFrustums();
+
+		this.projection.copy(camera.projectionMatrix);
+	}
+
+	// Lights
+	csm.shadowBias = this.shadowBias;
+	for (var i = 0; i < csm.lights.length; i++)
+	{
+		var light = csm.lights[i];
+		light.color.copy(this.color);
+		light.intensity = this.intensity;
+		light.castShadow = this.castShadow;
+		light.shadow.bias = this.shadowBias;
+	}
+
+	// Direction from the light position towards the origin
+	this.getWorldPosition(this.direction).negate();
+	if (this.direction.lengthSq() === 0)
+	{
+		this.direction.set(0, -1, 0);
+	}
+	this.direction.normalize();
+
+	csm.update();
+
+	// Cascades are positioned in world space, transform them to the object space
+	var inverse = new Matrix4().getInverse(this.matrixWorld);
+	for (var i = 0; i < csm.lights.length; i++)
+	{
+		csm.lights[i].position.applyMatrix4(inverse);
+		csm.lights[i].target.position.applyMatrix4(inverse);
+	}
+};
+
+DirectionalLightCSM.prototype.dispose = function()
+{
+	this.csm.remove();
+	this.csm.dispose();
+
+	Group.prototype.dispose.call(this);
+};
+
+DirectionalLightCSM.prototype.toJSON = function(meta)
+{
+	var data = Group.prototype.toJSON.call(this, meta);
+
+	data.object.color = this.color.getHex();
+	data.object.intensity = this.intensity;
+	data.object.cascades = this.cascades;
+	data.object.mode = this.mode;
+	data.object.maxFar = this.maxFar;
+	data.object.fade = this.fade;
+	data.object.shadowMapSize = this.shadowMapSize;
+	data.object.shadowBias = this.shadowBias;
+
+	return data;
 };
 
 export {DirectionalLightCSM};
@@ -1,8 +1,9 @@
-import {Points, Clock, Vector4, Vector3, AdditiveBlending, Object3D, Vector2, Color} from "three";
+import {Points, Clock, Vector4, Vector3, AdditiveBlending, Object3D, Vector2, Color, Matrix4} from "three";
 import {Texture} from "../../texture/Texture.js";
 import {ObjectLoader} from "../../loaders/ObjectLoader.js";
 import {ParticleGroup} from "./core/ParticleGroup.js";
 import {ParticleEmitterControl} from "./core/ParticleEmitterControl.js";
+import {ParticleTrail} from "./core/ParticleTrail.js";
 
 /**
  * Particle emitter is a wrapper for SPE particle system.
@@ -10,6 +11,8 @@ import {ParticleEmitterControl} from "./core/ParticleEmitterControl.js";
  * SPE is a threejs based particle emitter engine.
  * 
  * Documentation for SPE particle engine can be found here https:// squarefeet.github.io/ShaderParticleEngine/docs/api/index.html
+ *
+ * Particle emitters placed inside of another particle emitter can be used as sub emitters, emitting a burst of particles when the particles of the parent are born or die.
  * 
  * @class ParticleEmitter
  * @extends {Points}
@@ -50,6 +53,64 @@ function ParticleEmitter(group, emitter)
 	 */
 	this.dynamicEmitter = false;
 
+	/**
+	 * Sub emitter mode, if set the emitter is only triggered by the particles of the parent particle emitter.
+	 *
+	 * @property subEmitter
+	 * @type {number}
+	 */
+	this.subEmitter = ParticleEmitter.SUB_EMITTER_NONE;
+
+	/**
+	 * Number of particles emitted each time the sub emitter is triggered.
+	 *
+	 * @property subEmitterCount
+	 * @type {number}
+	 */
+	this.subEmitterCount = 10;
+
+	/**
+	 * Render mode of the particles, the trail mode draws the path of each particle as a ribbon.
+	 *
+	 * Changing the render mode requires the particle emitter to be reloaded.
+	 *
+	 * @property renderMode
+	 * @type {number}
+	 */
+	this.renderMode = ParticleEmitter.POINTS;
+
+	/**
+	 * Duration in seconds of the path drawn by each trail.
+	 *
+	 * @property trailLength
+	 * @type {number}
+	 */
+	this.trailLength = 0.5;
+
+	/**
+	 * Number of segments of each trail.
+	 *
+	 * @property trailSegments
+	 * @type {number}
+	 */
+	this.trailSegments = 8;
+
+	/**
+	 * Width of the trails.
+	 *
+	 * @property trailWidth
+	 * @type {number}
+	 */
+	this.trailWidth = 0.1;
+
+	/**
+	 * Trail used to draw the particles in trail mode.
+	 *
+	 * @property trail
+	 * @type {ParticleTrail}
+	 */
+	this.trail = null;
+
 	this.clock = new Clock();
 	this.temp = new Vector4();
 
@@ -87,6 +148,54 @@ ParticleEmitter.valueOverLifetimeLength = 4;
 
 ParticleEmitter.prototype = Object.create(Points.prototype);
 
+/**
+ * Particles are drawn as points.
+ *
+ * @static
+ * @attribute POINTS
+ * @type {number}
+ */
+ParticleEmitter.POINTS = 0;
+
+/**
+ * Particles are drawn as trails.
+ *
+ * @static
+ * @attribute TRAIL
+ * @type {number}
+ */
+ParticleEmitter.TRAIL = 1;
+
+/**
+ * The particle emitter is not a sub emitter.
+ *
+ * @static
+ * @attribute SUB_EMITTER_NONE
+ * @type {number}
+ */
+ParticleEmitter.SUB_EMITTER_NONE = 0;
+
+/**
+ * The sub emitter is triggered when particles of the parent are born.
+ *
+ * @static
+ * @attribute SUB_EMITTER_BIRTH
+ * @type {number}
+ */
+ParticleEmitter.SUB_EMITTER_BIRTH = 1;
+
+/**
+ * The sub emitter is triggered when particles of the parent die (or are killed by a collision).
+ *
+ * @static
+ * @attribute SUB_EMITTER_DEATH
+ * @type {number}
+ */
+ParticleEmitter.SUB_EMITTER_DEATH = 2;
+
+ParticleEmitter.inverse = new Matrix4();
+ParticleEmitter.point = new Vector3();
+
 /**
  * Default particle emitter configuration.
  *
@@ -147,8 +256,90 @@ ParticleEmitter.prototype.reload = function()
 
 	this.group = particle.group;
 	this.emitter = particle.emitter;
-	this.geometry = this.group.geometry;
-	this.material = this.group.material;
+	this.updateRenderMode();
+};
+
+/**
+ * Update the geometry and material used to draw the particles from the render mode.
+ *
+ * Creates the trail used in trail mode.
+ * 
+ * @method updateRenderMode
+ */
+ParticleEmitter.prototype.updateRenderMode = function()
+{
+	if (this.trail !== null)
+	{
+		this.trail.dispose();
+		this.trail = null;
+	}
+
+	if (this.renderMode === ParticleEmitter.TRAIL)
+	{
+		this.trail = new ParticleTrail(this.group, this.trailSegments);
+		this.geometry = this.trail.geometry;
+		this.material = this.trail.material;
+		this.isPoints = false;
+		this.isMesh = true;
+	}
+	else
+	{
+		this.geometry = this.group.geometry;
+		this.material = this.group.material;
+		this.isPoints = true;
+		this.isMesh = false;
+	}
+};
+
+/**
+ * Check if this particle emitter is used as a sub emitter by its parent.
+ * 
+ * @method isSubEmitter
+ * @return {boolean} True if the particle emitter is a sub emitter.
+ */
+ParticleEmitter.prototype.isSubEmitter = function()
+{
+	return this.subEmitter !== ParticleEmitter.SUB_EMITTER_NONE && this.parent instanceof ParticleEmitter;
+};
+
+/**
+ * Trigger the sub emitters of this particle emitter from the particles born and killed in the last update.
+ * 
+ * @method updateSubEmitters
+ */
+ParticleEmitter.prototype.updateSubEmitters = function()
+{
+	var inverse = ParticleEmitter.inverse;
+	var point = ParticleEmitter.point;
+	var emitters = this.group.emitters;
+
+	for (var i = 0; i < this.children.length; i++)
+	{
+		var child = this.children[i];
+
+		if (child instanceof ParticleEmitter && child.subEmitter !== ParticleEmitter.SUB_EMITTER_NONE)
+		{
+			// Particle positions are converted to the space of the sub emitter
+			inverse.getInverse(child.matrix);
+
+			for (var j = 0; j < emitters.length; j++)
+			{
+				var positions = child.subEmitter === ParticleEmitter.SUB_EMITTER_BIRTH ? emitters[j].births : emitters[j].deaths;
+
+				for (var k = 0; k < positions.length; k += 3)
+				{
+					point.fromArray(positions, k).applyMatrix4(inverse);
+
+					if (!child.dynamicEmitter)
+					{
+						point.add(child.emitter.position.value);
+					}
+
+					child.emitter.emit(child.subEmitterCount, point);
+				}
+			}
+		}
+	}
 };
 
 /**
@@ -181,8 +372,50 @@ ParticleEmitter.prototype.updateMatrix = function()
 ParticleEmitter.prototype.onBeforeRender = function(renderer, scene, camera, renderTarget)
 {
 	this.group.uniforms.scale.value = renderer.getCurrentViewport(this.temp).w;
+
+	// Sub emitters only emit the bursts triggered by the parent
+	if (this.isSubEmitter())
+	{
+		this.emitter.disable();
+	}
+
+	var births = false;
+	var deaths = false;
+
+	for (var i = 0; i < this.children.length; i++)
+	{
+		var child = this.children[i];
+		if (child instanceof ParticleEmitter)
+		{
+			births = births || child.subEmitter === ParticleEmitter.SUB_EMITTER_BIRTH;
+			deaths = deaths || child.subEmitter === ParticleEmitter.SUB_EMITTER_DEATH;
+		}
+	}
+
+	var emitters = this.group.emitters;
+	for (var i = 0; i < emitters.length; i++)
+	{
+		emitters[i].trackBirths = births;
+		emitters[i].trackDeaths = deaths;
+
+		if (emitters[i].collision.mode !== ParticleEmitterControl.COLLISION_NONE)
+		{
+			emitters[i].setCollisionMatrix(this.matrixWorld);
+		}
+	}
+
 	this.group.tick(this.clock.getDelta());
 
+	if (births || deaths)
+	{
+		this.updateSubEmitters();
+	}
+
+	if (this.trail !== null)
+	{
+		this.trail.update(this.trailLength, this.trailWidth);
+	}
+
 	if (this.dynamicEmitter === true)
 	{
 		this.emitter.position.value = this.position;	
@@ -200,6 +433,11 @@ ParticleEmitter.prototype.dispose = function()
 {
 	this.group.dispose();
 
+	if (this.trail !== null)
+	{
+		this.trail.dispose();
+	}
+
 	Object3D.prototype.dispose.call(this);
 };
 
@@ -225,16 +463,82 @@ ParticleEmitter.prototype.toJSON = function(meta)
 	// Emitter
 	data.object.emitter = this.emitter.toJSON(meta);
 
+	// Sub emitter
+	if (this.subEmitter !== ParticleEmitter.SUB_EMITTER_NONE)
+	{
+		data.object.subEmitter = this.subEmitter;
+		data.object.subEmitterCount = this.subEmitterCount;
+	}
+
+	// Trail
+	if (this.renderMode !== ParticleEmitter.POINTS)
+	{
+		data.object.renderMode = this.renderMode;
+		data.object.trailLength = this.trailLength;
+		data.object.trailSegments = this.trailSegments;
+		data.object.trailWidth = this.trailWidth;
+	}
+
 	return data;
 };
 
-ParticleEmitter.fromJSON = function(data, resources)
+/**
+ * Convert the vectors and colors of serialized emitter data into the objects used by the emitter options.
+ *
+ * Attributes missing from the data are ignored. The data object is modified and returned.
+ *
+ * @static
+ * @method parseEmitter
+ * @param {Object} emitter Serialized emitter data.
+ * @return {Object} Emitter options.
+ */
+ParticleEmitter.parseEmitter = function(emitter)
 {
 	function loadVector3(data)
 	{
 		return Array.isArray(data) ? new Vector3().fromArray(data) : new Vector3(data.x, data.y, data.z);
 	}
 
+	var vectors = ["position", "velocity", "acceleration"];
+	for (var i = 0; i < vectors.length; i++)
+	{
+		var attribute = emitter[vectors[i]];
+		if (attribute !== undefined)
+		{
+			if (attribute.value !== undefined)
+			{
+				attribute.value = loadVector3(attribute.value);
+			}
+			if (attribute.spread !== undefined)
+			{
+				attribute.spread = loadVector3(attribute.spread);
+			}
+		}
+	}
+
+	if (emitter.color !== undefined)
+	{
+		for (var i = 0; i < emitter.color.value.length; i++)
+		{
+			emitter.color.value[i] = new Color(emitter.color.value[i]);
+
+			if (emitter.color.spread !== undefined)
+			{
+				emitter.color.spread[i] = loadVector3(emitter.color.spread[i]);
+			}
+		}
+	}
+
+	if (emitter.collision !== undefined && emitter.collision.normal !== undefined)
+	{
+		emitter.collision.normal = loadVector3(emitter.collision.normal);
+	}
+
+	return emitter;
+};
+
+ParticleEmitter.fromJSON = function(data, resources)
+{
 	if (data.group !== undefined)
 	{
 		var group = data.group;
@@ -244,21 +548,26 @@ ParticleEmitter.fromJSON = function(data, resources)
 
 	if (data.emitter !== undefined)
 	{
-		var emitter = data.emitter;
-		emitter.position.value = loadVector3(emitter.position.value);
-		emitter.position.spread = loadVector3(emitter.position.spread);
-		emitter.velocity.value = loadVector3(emitter.velocity.value);
-		emitter.velocity.spread = loadVector3(emitter.velocity.spread);
-		emitter.acceleration.value = loadVector3(emitter.acceleration.value);
-		emitter.acceleration.spread = loadVector3(emitter.acceleration.spread);
-		
-		for (var i = 0; i < emitter.color.value.length; i++)
-		{
-			emitter.color.value[i] = new Color(emitter.color.value[i]);
-			emitter.color.spread[i] = loadVector3(emitter.color.spread[i]);
-		}
+		ParticleEmitter.parseEmitter(data.emitter);
+	}
+
+	var particle = new ParticleEmitter(data.group, data.emitter);
+
+	if (data.subEmitter !== undefined)
+	{
+		particle.subEmitter = data.subEmitter;
+		particle.subEmitterCount = data.subEmitterCount;
+	}
+
+	if (data.renderMode !== undefined)
+	{
+		particle.renderMode = data.renderMode;
+		particle.trailLength = data.trailLength;
+		particle.trailSegments = data.trailSegments;
+		particle.trailWidth = data.trailWidth;
+		particle.updateRenderMode();
 	}
 
-	return new ParticleEmitter(data.group, data.emitter);
+	return particle;
 };
 export {ParticleEmitter};
@@ -1,4 +1,4 @@
-import {Vector3, Color, Math as TMath} from "three";
+import {Vector3, Color, Plane, Matrix4, Math as TMath} from "three";
 import {ParticleEmitter} from "../ParticleEmitter.js";
 import {ParticleDistributions} from "../ParticleDistributions.js";
 import {ShaderUtils} from "./ShaderUtils.js";
@@ -65,6 +65,12 @@ import {ShaderUtils} from "./ShaderUtils.js";
  * @property {number} [angle.value=0] Either a single number, or an array of numbers to describe the angle of a particle over it's lifetime.
  * @property {number} [angle.spread=0] Either a single number, or an array of numbers to describe the angle variance of a particle over it's lifetime.
  * @property {boolean} [angle.randomise=false] When a particle is re-spawned, whether it's angle should be re-randomised or not. Can incur a performance hit.
+ * @property {Object} [collision={}] An object describing how particles collide with a plane. Collisions are calculated on the CPU from the same equations used by the vertex shader, rotation is not considered.
+ * @property {number} [collision.mode=COLLISION_NONE] Collision mode, must be a ParticleEmitterControl.COLLISION_* value.
+ * @property {number} [collision.response=BOUNCE] What happens to a particle after colliding, ParticleEmitterControl.BOUNCE or ParticleEmitterControl.KILL.
+ * @property {Object} [collision.normal=new Vector3(0, 1, 0)] Normal of the collision plane in world space.
+ * @property {number} [collision.constant=0] Signed distance from the origin to the collision plane in world space.
+ * @property {number} [collision.bounce=0.5] Fraction of the velocity along the plane normal kept after bouncing.
  */
 
 /**
@@ -90,6 +96,7 @@ function ParticleEmitterControl(options)
 	options.angle = ShaderUtils.ensureTypedArg(options.angle, ShaderUtils.types.OBJECT, {});
 	options.wiggle = ShaderUtils.ensureTypedArg(options.wiggle, ShaderUtils.types.OBJECT, {});
 	options.maxAge = ShaderUtils.ensureTypedArg(options.maxAge, ShaderUtils.types.OBJECT, {});
+	options.collision = ShaderUtils.ensureTypedArg(options.collision, ShaderUtils.types.OBJECT, {});
 
 	if (options.onParticleSpawn)
 	{
@@ -158,6 +165,15 @@ function ParticleEmitterControl(options)
 		_spread: ShaderUtils.ensureTypedArg(options.maxAge.spread, ShaderUtils.types.NUMBER, 0)
 	};
 
+	this.collision =
+	{
+		mode: ShaderUtils.ensureTypedArg(options.collision.mode, ShaderUtils.types.NUMBER, ParticleEmitterControl.COLLISION_NONE),
+		response: ShaderUtils.ensureTypedArg(options.collision.response, ShaderUtils.types.NUMBER, ParticleEmitterControl.BOUNCE),
+		normal: ShaderUtils.ensureInstanceOf(options.collision.normal, Vector3, new Vector3(0, 1, 0)),
+		constant: ShaderUtils.ensureTypedArg(options.collision.constant, ShaderUtils.types.NUMBER, 0),
+		bounce: ShaderUtils.ensureTypedArg(options.collision.bounce, ShaderUtils.types.NUMBER, 0.5)
+	};
+
 	// The following properties can support either single values, or an array of values that change the property over a particle"s lifetime (value over lifetime).
 	this.color =
 	{
@@ -227,6 +243,20 @@ function ParticleEmitterControl(options)
 	// for quicker access.
 	this.paramsArray = null;
 
+	// Collision plane in the local space of the particles, updated by setCollisionMatrix().
+	this.collisionPlane = new Plane(this.collision.normal.clone().normalize(), this.collision.constant);
+
+	// If set the position of the particles born or killed in the last tick is stored in the births and deaths arrays as (x, y, z) triplets.
+	//
+	// Used to trigger sub emitters.
+	this.trackBirths = false;
+	this.trackDeaths = false;
+	this.births = [];
+	this.deaths = [];
+
+	// Bursts requested using emit() stored as (count, x, y, z) until the next tick.
+	this.bursts = [];
+
 	// A set of flags to determine whether particular properties should be re-randomised when a particle is reset.
 	//
 	// If a randomise property is given, this is preferred. Otherwise, it looks at whether a spread value has been given.
@@ -290,6 +320,47 @@ function ParticleEmitterControl(options)
 
 ParticleEmitterControl.constructor = ParticleEmitterControl;
 
+/**
+ * Particles do not collide.
+ *
+ * @static
+ * @attribute COLLISION_NONE
+ * @type {number}
+ */
+ParticleEmitterControl.COLLISION_NONE = 0;
+
+/**
+ * Particles collide with a infinite plane.
+ *
+ * @static
+ * @attribute COLLISION_PLANE
+ * @type {number}
+ */
+ParticleEmitterControl.COLLISION_PLANE = 1;
+
+/**
+ * Particles bounce when they collide.
+ *
+ * @static
+ * @attribute BOUNCE
+ * @type {number}
+ */
+ParticleEmitterControl.BOUNCE = 0;
+
+/**
+ * Particles are killed when they collide.
+ *
+ * @static
+ * @attribute KILL
+ * @type {number}
+ */
+ParticleEmitterControl.KILL = 1;
+
+ParticleEmitterControl._position = new Vector3();
+ParticleEmitterControl._velocity = new Vector3();
+ParticleEmitterControl._wiggle = new Vector3();
+ParticleEmitterControl._inverse = new Matrix4();
+
 ParticleEmitterControl.prototype._createGetterSetters = function(propObj, propName)
 {
 	var self = this;
@@ -680,6 +751,11 @@ ParticleEmitterControl.prototype._checkParticleAges = function(start, end, param
 
 			if (age >= maxAge)
 			{
+				if (this.trackDeaths)
+				{
+					this._storeParticlePosition(this.deaths, i, maxAge);
+				}
+
 				age = 0.0;
 				alive = 0.0;
 				this._decrementParticleCount();
@@ -691,6 +767,11 @@ ParticleEmitterControl.prototype._checkParticleAges = function(start, end, param
 
 			if (age <= 0.0)
 			{
+				if (this.trackDeaths)
+				{
+					this._storeParticlePosition(this.deaths, i, 0.0);
+				}
+
 				age = maxAge;
 				alive = 0.0;
 				this._decrementParticleCount();
@@ -727,6 +808,12 @@ ParticleEmitterControl.prototype._activateParticles = function(activationStart,
 		// Reset the particle
 		this._resetParticle(i);
 
+		// Particles that bounced had their position and velocity changed.
+		if (this.attributes.collision.typedArray.array[i] !== 0.0)
+		{
+			this._resetCollision(i);
+		}
+
 		// Move each particle being activated to its actual position in time.
 		//
 		// This stops particles being "clumped" together when frame rates are on the lower side of 60fps or not constant (a very real possibility!)
@@ -734,6 +821,275 @@ ParticleEmitterControl.prototype._activateParticles = function(activationStart,
 		params[index + 1] = direction === -1 ? params[index + 2] - dtValue : dtValue;
 
 		this._updateAttributeUpdateRange("params", i);
+
+		if (this.trackBirths)
+		{
+			this._storeParticlePosition(this.births, i, params[index + 1]);
+		}
+	}
+};
+
+ParticleEmitterControl.prototype._activateBursts = function(start, end, params)
+{
+	var bursts = this.bursts;
+	var value = this.position._value;
+	var x = value.x, y = value.y, z = value.z;
+	var i = start;
+
+	for (var j = 0; j < bursts.length && i < end; j += 4)
+	{
+		// Particles are spawned around the burst position
+		value.set(bursts[j + 1], bursts[j + 2], bursts[j + 3]);
+
+		for (var k = 0; k < bursts[j]; k++)
+		{
+			// Look for a dead particle
+			while (i < end && params[i * 4] !== 0.0)
+			{
+				i++;
+			}
+
+			if (i >= end)
+			{
+				break;
+			}
+
+			this._incrementParticleCount();
+			this._resetParticle(i);
+			this._resetCollision(i);
+
+			params[i * 4] = 1.0;
+			params[i * 4 + 1] = this.direction === -1 ? params[i * 4 + 2] : 0.0;
+			this._updateAttributeUpdateRange("params", i);
+
+			if (this.trackBirths)
+			{
+				this._storeParticlePosition(this.births, i, params[i * 4 + 1]);
+			}
+		}
+	}
+
+	value.set(x, y, z);
+	bursts.length = 0;
+};
+
+ParticleEmitterControl.prototype._resetCollision = function(index)
+{
+	this._assignPositionValue(index);
+	this._assignForceValue(index, "velocity");
+	this.attributes.collision.typedArray.array[index] = 0.0;
+
+	this._updateAttributeUpdateRange("position", index);
+	this._updateAttributeUpdateRange("velocity", index);
+	this._updateAttributeUpdateRange("collision", index);
+};
+
+ParticleEmitterControl.prototype._storeParticlePosition = function(array, index, age)
+{
+	var position = this.getParticlePosition(index, age, ParticleEmitterControl._position);
+	array.push(position.x, position.y, position.z);
+};
+
+ParticleEmitterControl.prototype._checkParticleCollisions = function(start, end, params)
+{
+	var plane = this.collisionPlane;
+	var normal = plane.normal;
+	var position = ParticleEmitterControl._position;
+	var velocity = ParticleEmitterControl._velocity;
+	var wiggle = ParticleEmitterControl._wiggle;
+	var positions = this.attributes.position.typedArray;
+	var velocities = this.attributes.velocity.typedArray;
+	var collisions = this.attributes.collision.typedArray.array;
+	var accelerations = this.attributes.acceleration.typedArray.array;
+
+	for (var i = end - 1, index, age, maxAge, distance; i >= start; --i)
+	{
+		index = i * 4;
+
+		if (params[index] === 0.0)
+		{
+			continue;
+		}
+
+		age = params[index + 1];
+		distance = plane.distanceToPoint(this.getParticlePosition(i, age, position));
+
+		if (distance >= 0)
+		{
+			continue;
+		}
+
+		if (this.collision.response === ParticleEmitterControl.KILL)
+		{
+			if (this.trackDeaths)
+			{
+				this.deaths.push(position.x, position.y, position.z);
+			}
+
+			params[index] = 0.0;
+			params[index + 1] = 0.0;
+			this._decrementParticleCount();
+			this._updateAttributeUpdateRange("params", i);
+			continue;
+		}
+
+		// Velocity at the collision is the derivative of the position equation used in the vertex shader
+		maxAge = params[index + 2];
+		var forceAge = Math.max(age - collisions[i], 0.0);
+		var dragAmount = accelerations[index + 3];
+		var drag = 1.0 - age / maxAge * 0.5 * dragAmount;
+		var dragVariation = drag - forceAge * 0.5 * dragAmount / maxAge;
+
+		velocity.set(velocities.array[i * 3], velocities.array[i * 3 + 1], velocities.array[i * 3 + 2]).multiplyScalar(dragVariation);
+		velocity.x += 2.0 * accelerations[index] * forceAge;
+		velocity.y += 2.0 * accelerations[index + 1] * forceAge;
+		velocity.z += 2.0 * accelerations[index + 2] * forceAge;
+
+		// Reflect the velocity on the plane
+		var dot = velocity.dot(normal);
+		if (dot < 0.0)
+		{
+			velocity.addScaledVector(normal, -dot * (1.0 + this.collision.bounce));
+		}
+
+		// Move the particle back to the plane surface
+		position.addScaledVector(normal, -distance);
+		this._getParticleWiggle(i, age, wiggle);
+		position.sub(wiggle);
+
+		// Forces restart from the collision point, the vertex shader applies drag to the velocity
+		if (drag > 0.0)
+		{
+			velocity.divideScalar(drag);
+		}
+
+		positions.setVec3(i, position);
+		velocities.setVec3(i, velocity);
+		collisions[i] = age;
+
+		this._updateAttributeUpdateRange("position", i);
+		this._updateAttributeUpdateRange("velocity", i);
+		this._updateAttributeUpdateRange("collision", i);
+	}
+};
+
+ParticleEmitterControl.prototype._getParticleWiggle = function(index, age, target)
+{
+	target.set(0, 0, 0);
+
+	if (this.group !== null && this.group.defines.SHOULD_WIGGLE_PARTICLES)
+	{
+		var params = this.attributes.params.typedArray.array;
+		var amount = age / params[index * 4 + 2] * params[index * 4 + 3];
+
+		target.set(Math.sin(amount), Math.cos(amount), Math.sin(amount));
+	}
+
+	return target;
+};
+
+/**
+ * Calculate the position of a particle at a age, using the same equations used in the vertex shader.
+ *
+ * The position is in the local space of the particle emitter, rotation is not considered.
+ *
+ * @method getParticlePosition
+ * @param {number} index Index of the particle in the group attributes.
+ * @param {number} age Age of the particle in seconds.
+ * @param {Vector3} target Vector where the result is stored.
+ * @return {Vector3} The position of the particle.
+ */
+ParticleEmitterControl.prototype.getParticlePosition = function(index, age, target)
+{
+	var position = this.attributes.position.typedArray.array;
+	var velocity = this.attributes.velocity.typedArray.array;
+	var acceleration = this.attributes.acceleration.typedArray.array;
+	var params = this.attributes.params.typedArray.array;
+	var collision = this.attributes.collision.typedArray.array;
+
+	var i3 = index * 3;
+	var i4 = index * 4;
+	var forceAge = Math.max(age - collision[index], 0.0);
+	var drag = 1.0 - age / params[i4 + 2] * 0.5 * acceleration[i4 + 3];
+
+	target.set(
+		position[i3] + (velocity[i3] * drag + acceleration[i4] * forceAge) * forceAge,
+		position[i3 + 1] + (velocity[i3 + 1] * drag + acceleration[i4 + 1] * forceAge) * forceAge,
+		position[i3 + 2] + (velocity[i3 + 2] * drag + acceleration[i4 + 2] * forceAge) * forceAge
+	);
+
+	return target.add(this._getParticleWiggle(index, age, ParticleEmitterControl._wiggle));
+};
+
+/**
+ * Calculate the color (x, y, z) and opacity (w) of a particle at a age, interpolating the value-over-lifetime attributes like the vertex shader.
+ *
+ * @method getParticleColor
+ * @param {number} index Index of the particle in the group attributes.
+ * @param {number} age Age of the particle in seconds.
+ * @param {Vector4} target Vector where the result is stored.
+ * @return {Vector4} The color of the particle.
+ */
+ParticleEmitterControl.prototype.getParticleColor = function(index, age, target)
+{
+	var color = this.attributes.color.typedArray.array;
+	var opacity = this.attributes.opacity.typedArray.array;
+	var params = this.attributes.params.typedArray.array;
+
+	var i4 = index * 4;
+	var length = ParticleEmitter.valueOverLifetimeLength;
+	var delta = Math.min(Math.max(age / params[i4 + 2], 0.0), 1.0) * (length - 1);
+	var a = Math.min(Math.floor(delta), length - 2);
+	var b = a + 1;
+	var t = delta - a;
+
+	target.w = opacity[i4 + a] + (opacity[i4 + b] - opacity[i4 + a]) * t;
+
+	if (this.group !== null && this.group.colorize === false)
+	{
+		target.x = target.y = target.z = 1.0;
+		return target;
+	}
+
+	var from = color[i4 + a];
+	var to = color[i4 + b];
+	target.x = ((from >> 16 & 255) + ((to >> 16 & 255) - (from >> 16 & 255)) * t) / 255;
+	target.y = ((from >> 8 & 255) + ((to >> 8 & 255) - (from >> 8 & 255)) * t) / 255;
+	target.z = ((from & 255) + ((to & 255) - (from & 255)) * t) / 255;
+
+	return target;
+};
+
+/**
+ * Update the collision plane from the world matrix of the object that displays the particles.
+ *
+ * The collision normal and constant are defined in world space and the collisions are calculated in the local space of the particles.
+ *
+ * @method setCollisionMatrix
+ * @param {Matrix4} matrix World matrix of the particles.
+ */
+ParticleEmitterControl.prototype.setCollisionMatrix = function(matrix)
+{
+	this.collisionPlane.normal.copy(this.collision.normal).normalize();
+	this.collisionPlane.constant = this.collision.constant;
+	this.collisionPlane.applyMatrix4(ParticleEmitterControl._inverse.getInverse(matrix));
+};
+
+/**
+ * Emit a burst of particles around a position, on the next tick.
+ *
+ * Used by sub emitters, only particles that are dead are emitted. The position replaces the position value of the emitter for the particles of the burst.
+ *
+ * @method emit
+ * @param {number} count Number of particles to emit.
+ * @param {Vector3} position Position where the particles are emitted.
+ */
+ParticleEmitterControl.prototype.emit = function(count, position)
+{
+	// Bursts are dropped if the emitter is not updated
+	if (this.bursts.length < this.particleCount * 4)
+	{
+		this.bursts.push(count, position.x, position.y, position.z);
 	}
 };
 
@@ -766,9 +1122,24 @@ ParticleEmitterControl.prototype.tick = function(dt)
 	// Reset the buffer update indices.
 	this._resetBufferRanges();
 
+	this.births.length = 0;
+	this.deaths.length = 0;
+
 	// Increment age for those particles that are alive, and kill off any particles whose age is over the limit.
 	this._checkParticleAges(start, end, params, dt);
 
+	// Collide the particles that are alive, collisions are ignored if particles are running backwards.
+	if (this.collision.mode === ParticleEmitterControl.COLLISION_PLANE && this.direction === 1)
+	{
+		this._checkParticleCollisions(start, end, params);
+	}
+
+	// Emit the bursts requested since the last tick, even if the emitter is not alive.
+	if (this.bursts.length > 0)
+	{
+		this._activateBursts(start, end, params);
+	}
+
 	// If the emitter is dead, reset the age of the emitter to zero, ready to go again if required
 	if (this.alive === false)
 	{
@@ -956,6 +1327,17 @@ ParticleEmitterControl.prototype.toJSON = function(meta)
 		data.color.spread.push(this.color.spread[i].toArray());
 	}
 
+	// Collision
+	if (this.collision.mode !== ParticleEmitterControl.COLLISION_NONE)
+	{
+		data.collision = {};
+		data.collision.mode = this.collision.mode;
+		data.collision.response = this.collision.response;
+		data.collision.normal = this.collision.normal.toArray();
+		data.collision.constant = this.collision.constant;
+		data.collision.bounce = this.collision.bounce;
+	}
+
 	return data;
 };
 export {ParticleEmitterControl};
@@ -162,7 +162,8 @@ function ParticleGroup(options)
 		size: new ShaderAttribute("v4", true),
 		angle: new ShaderAttribute("v4", true),
 		color: new ShaderAttribute("v4", true),
-		opacity: new ShaderAttribute("v4", true)
+		opacity: new ShaderAttribute("v4", true),
+		collision: new ShaderAttribute("f", true) // Age of the particle in the last collision
 	};
 
 	this.attributeKeys = Object.keys(this.attributes);
@@ -0,0 +1,257 @@
+import {BufferGeometry, BufferAttribute, ShaderMaterial, DynamicDrawUsage, DoubleSide, Vector3, Vector4} from "three";
+import {ParticleShaders} from "../shaders/ParticleShaders.js";
+
+/**
+ * Particle trail renders the path of the particles of a group as ribbons facing the camera.
+ *
+ * The path is sampled from the equations used by the particle vertex shader, the trail of a particle starts at its last collision. Trails become thinner and transparent towards the end.
+ *
+ * The geometry is updated on the CPU after the group is updated, and uses the texture and blending of the group.
+ *
+ * @class ParticleTrail
+ * @module Particles
+ * @param {ParticleGroup} group Particle group used to draw the trails.
+ * @param {number} segments Number of segments of each trail.
+ */
+function ParticleTrail(group, segments)
+{
+	/**
+	 * Particle group used to draw the trails.
+	 *
+	 * @property group
+	 * @type {ParticleGroup}
+	 */
+	this.group = group;
+
+	/**
+	 * Number of segments of each trail.
+	 *
+	 * @property segments
+	 * @type {number}
+	 */
+	this.segments = Math.max(Math.floor(segments), 1);
+
+	/**
+	 * Maximum number of trails, equal to the size of the group attributes.
+	 *
+	 * @property capacity
+	 * @type {number}
+	 */
+	this.capacity = group.attributes.params.getLength() / 4;
+
+	/**
+	 * Number of trails written in the geometry.
+	 *
+	 * @property count
+	 * @type {number}
+	 */
+	this.count = 0;
+
+	/**
+	 * Ribbon geometry, each trail has two vertices per point.
+	 *
+	 * @property geometry
+	 * @type {BufferGeometry}
+	 */
+	this.geometry = new BufferGeometry();
+
+	/**
+	 * Trail material, shares the texture uniform with the group.
+	 *
+	 * @property material
+	 * @type {ShaderMaterial}
+	 */
+	this.material = new ShaderMaterial(
+		{
+			uniforms:
+			{
+				textureSampler: group.uniforms.textureSampler,
+				width: {value: 1.0}
+			},
+			vertexShader: ParticleShaders.trailVertex,
+			fragmentShader: ParticleShaders.trailFragment,
+			blending: group.blending,
+			transparent: group.transparent,
+			depthWrite: group.depthWrite,
+			depthTest: group.depthTest,
+			side: DoubleSide
+		});
+
+	this.createGeometry();
+}
+
+ParticleTrail.point = new Vector3();
+ParticleTrail.color = new Vector4();
+
+/**
+ * Create the attributes and index of the geometry for the capacity of the group.
+ *
+ * Trails are written in order, the index and side attributes are static.
+ *
+ * @method createGeometry
+ */
+ParticleTrail.prototype.createGeometry = function()
+{
+	var points = this.segments + 1;
+	var vertices = this.capacity * points * 2;
+
+	var position = new BufferAttribute(new Float32Array(vertices * 3), 3);
+	var direction = new BufferAttribute(new Float32Array(vertices * 3), 3);
+	var color = new BufferAttribute(new Float32Array(vertices * 4), 4);
+	position.usage = DynamicDrawUsage;
+	direction.usage = DynamicDrawUsage;
+	color.usage = DynamicDrawUsage;
+
+	var side = new Float32Array(vertices);
+	var uv = new Float32Array(vertices * 2);
+	var index = vertices > 65535 ? new Uint32Array(this.capacity * this.segments * 6) : new Uint16Array(this.capacity * this.segments * 6);
+
+	for (var i = 0, v = 0, f = 0; i < this.capacity; i++)
+	{
+		for (var j = 0; j < points; j++, v += 2)
+		{
+			var along = j / this.segments;
+
+			side[v] = -(1.0 - along);
+			side[v + 1] = 1.0 - along;
+
+			uv[v * 2] = along;
+			uv[v * 2 + 1] = 0.0;
+			uv[v * 2 + 2] = along;
+			uv[v * 2 + 3] = 1.0;
+
+			if (j < this.segments)
+			{
+				index[f++] = v;
+				index[f++] = v + 1;
+				index[f++] = v + 2;
+				index[f++] = v + 1;
+				index[f++] = v + 3;
+				index[f++] = v + 2;
+			}
+		}
+	}
+
+	this.geometry.setAttribute("position", position);
+	this.geometry.setAttribute("direction", direction);
+	this.geometry.setAttribute("trailColor", color);
+	this.geometry.setAttribute("side", new BufferAttribute(side, 1));
+	this.geometry.setAttribute("uv", new BufferAttribute(uv, 2));
+	this.geometry.setIndex(new BufferAttribute(index, 1));
+	this.geometry.setDrawRange(0, 0);
+};
+
+/**
+ * Update the trails from the particles of the group, should be called after the group is updated.
+ *
+ * Attributes are uploaded before the object is rendered, so the draw range is set to the trails written on the previous update.
+ *
+ * @method update
+ * @param {number} length Duration in seconds of the path drawn by each trail.
+ * @param {number} width Width of the trails.
+ */
+ParticleTrail.prototype.update = function(length, width)
+{
+	this.geometry.setDrawRange(0, this.count * this.segments * 6);
+	this.material.uniforms.width.value = width;
+
+	var emitters = this.group.emitters;
+	var params = this.group.attributes.params.typedArray.array;
+	var count = 0;
+
+	for (var i = 0; i < emitters.length; i++)
+	{
+		var emitter = emitters[i];
+		var end = Math.min(emitter.attributeOffset + emitter.particleCount, this.capacity);
+
+		for (var j = emitter.attributeOffset; j < end && count < this.capacity; j++)
+		{
+			if (params[j * 4] !== 0.0)
+			{
+				this.updateTrail(emitter, j, count, length);
+				count++;
+			}
+		}
+	}
+
+	this.count = count;
+
+	var attributes = this.geometry.attributes;
+	var vertices = count * (this.segments + 1) * 2;
+
+	attributes.position.updateRange.count = vertices * 3;
+	attributes.position.needsUpdate = true;
+	attributes.direction.updateRange.count = vertices * 3;
+	attributes.direction.needsUpdate = true;
+	attributes.trailColor.updateRange.count = vertices * 4;
+	attributes.trailColor.needsUpdate = true;
+};
+
+/**
+ * Write the trail of a particle into the geometry.
+ *
+ * @method updateTrail
+ * @param {ParticleEmitterControl} emitter Emitter of the particle.
+ * @param {number} index Index of the particle in the group attributes.
+ * @param {number} trail Index of the trail in the geometry.
+ * @param {number} length Duration in seconds of the path drawn by the trail.
+ */
+ParticleTrail.prototype.updateTrail = function(emitter, index, trail, length)
+{
+	var params = this.group.attributes.params.typedArray.array;
+	var collision = this.group.attributes.collision.typedArray.array;
+	var attributes = this.geometry.attributes;
+	var position = attributes.position.array;
+	var direction = attributes.direction.array;
+	var color = attributes.trailColor.array;
+
+	var point = ParticleTrail.point;
+	var pointColor = ParticleTrail.color;
+
+	var age = params[index * 4 + 1];
+	var end = emitter.direction === -1 ? Math.min(age + length, params[index * 4 + 2]) : Math.max(age - length, collision[index], 0.0);
+	var points = this.segments + 1;
+	var offset = trail * points * 2;
+
+	for (var i = 0; i < points; i++)
+	{
+		var along = i / this.segments;
+		var sample = age + (end - age) * along;
+		var v = offset + i * 2;
+
+		emitter.getParticlePosition(index, sample, point);
+		point.toArray(position, v * 3);
+		point.toArray(position, v * 3 + 3);
+
+		emitter.getParticleColor(index, sample, pointColor);
+		pointColor.w *= 1.0 - along;
+		pointColor.toArray(color, v * 4);
+		pointColor.toArray(color, v * 4 + 4);
+	}
+
+	// Direction of each point from the previous and next points
+	for (var i = 0; i < points; i++)
+	{
+		var a = (offset + Math.max(i - 1, 0) * 2) * 3;
+		var b = (offset + Math.min(i + 1, this.segments) * 2) * 3;
+		var v = (offset + i * 2) * 3;
+
+		for (var j = 0; j < 3; j++)
+		{
+			direction[v + j] = direction[v + 3 + j] = position[a + j] - position[b + j];
+		}
+	}
+};
+
+/**
+ * Dispose the geometry and material of the trail.
+ *
+ * @method dispose
+ */
+ParticleTrail.prototype.dispose = function()
+{
+	this.geometry.dispose();
+	this.material.dispose();
+};
+
+export {ParticleTrail};
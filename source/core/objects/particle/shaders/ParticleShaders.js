@@ -59,6 +59,56 @@ var ParticleShaders =
 		"    gl_FragColor = vec4(outgoingLight.xyz, rotatedTexture.w * vColor.w);",
 
 		ShaderChunk.fog_fragment,
+		"}"
+	].join("\n"),
+
+	trailVertex:
+	[
+		"uniform float width;",
+		"attribute vec3 direction;",
+		"attribute float side;",
+		"attribute vec4 trailColor;",
+		"varying vec4 vColor;",
+		"varying vec2 vUv;",
+
+		ShaderChunk.common,
+		ShaderChunk.logdepthbuf_pars_vertex,
+
+		"void main() {",
+		"    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);",
+		"    ",
+		"    // Extrude the ribbon perpendicular to the trail direction and to the view direction",
+		"    vec3 normal = cross((modelViewMatrix * vec4(direction, 0.0)).xyz, mvPosition.xyz);",
+		"    float normalLength = length(normal);",
+		"    if (normalLength > 0.0) {",
+		"        mvPosition.xyz += normal / normalLength * width * 0.5 * side;",
+		"    }",
+		"    ",
+		"    vColor = trailColor;",
+		"    vUv = uv;",
+		"    gl_Position = projectionMatrix * mvPosition;",
+
+		ShaderChunk.logdepthbuf_vertex,
+
+		"}"
+	].join("\n"),
+
+	trailFragment:
+	[
+		"uniform sampler2D textureSampler;",
+		"varying vec4 vColor;",
+		"varying vec2 vUv;",
+
+		ShaderChunk.common,
+		ShaderChunk.logdepthbuf_pars_fragment,
+
+		"void main() {",
+		"    // The profile of the particle texture is used across the ribbon",
+		"    vec4 textureColor = texture2D(textureSampler, vec2(0.5, vUv.y));",
+		"    gl_FragColor = vec4(vColor.xyz * textureColor.xyz, vColor.w * textureColor.w);",
+
+		ShaderChunk.logdepthbuf_fragment,
+
 		"}"
 	].join("\n")
 };
@@ -11,4 +11,5 @@ attribute vec4 params;
 attribute vec4 size;
 attribute vec4 angle;
 attribute vec4 color;
-attribute vec4 opacity;
\ No newline at end of file
+attribute vec4 opacity;
+attribute float collision;
\ No newline at end of file
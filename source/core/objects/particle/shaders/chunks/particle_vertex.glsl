@@ -11,9 +11,12 @@ highp float isAlive = when_gt(alive, 0.0);
 #endif
 
 // Forces
+// Forces restart from the position and velocity written when the particle collides
+highp float forceAge = max(age - collision, 0.0);
+
 // Get forces & position
-vec3 vel = getVelocity(age);
-vec3 accel = getAcceleration(age);
+vec3 vel = getVelocity(forceAge);
+vec3 accel = getAcceleration(forceAge);
 vec3 force = vec3(0.0);
 vec3 pos = vec3(position);
 
@@ -23,7 +26,7 @@ float drag = 1.0 - (positionInTime * 0.5) * acceleration.w;
 // Integrate forces
 force += vel;
 force *= drag;
-force += accel * age;
+force += accel * forceAge;
 pos += force;
 
 // Wiggly wiggly wiggle!
@@ -0,0 +1,405 @@
+import {Body, Vec3, PointToPointConstraint, HingeConstraint, LockConstraint, DistanceConstraint, Spring} from "cannon-es";
+import {Object3D, Vector3, Quaternion} from "three";
+
+/**
+ * Physics constraints are used to connect two physics objects (e.g. doors, ragdolls, vehicles).
+ *
+ * The objects are referenced by their uuid, if the second object is not set the first object is connected to a static point in the world.
+ *
+ * The world position of the constraint object is used as pivot point for point and hinge constraints, the hinge rotates around the local Y axis of the constraint object.
+ *
+ * Constraints are created when the scene is initialized, after all physics objects have been added to the world.
+ *
+ * @class PhysicsConstraint
+ * @extends {Object3D}
+ * @module Physics
+ */
+function PhysicsConstraint()
+{
+	Object3D.call(this);
+
+	this.name = "constraint";
+	this.type = "PhysicsConstraint";
+
+	/**
+	 * Type of constraint used to connect the objects.
+	 *
+	 * @property constraintType
+	 * @type {number}
+	 */
+	this.constraintType = PhysicsConstraint.POINT;
+
+	/**
+	 * UUID of the first physics object connected by the constraint.
+	 *
+	 * @property objectA
+	 * @type {string}
+	 */
+	this.objectA = null;
+
+	/**
+	 * UUID of the second physics object connected by the constraint.
+	 *
+	 * If null the first object is connected to the world.
+	 *
+	 * @property objectB
+	 * @type {string}
+	 */
+	this.objectB = null;
+
+	/**
+	 * Maximum force that can be applied by the constraint.
+	 *
+	 * @property maxForce
+	 * @type {number}
+	 */
+	this.maxForce = 1e6;
+
+	/**
+	 * Indicates if the connected objects can collide with each other.
+	 *
+	 * @property collideConnected
+	 * @type {boolean}
+	 */
+	this.collideConnected = true;
+
+	/**
+	 * Distance kept between the objects by distance constraints.
+	 *
+	 * If zero the distance between the objects when the constraint is created is used.
+	 *
+	 * @property distance
+	 * @type {number}
+	 */
+	this.distance = 0;
+
+	/**
+	 * Rest length of spring constraints.
+	 *
+	 * @property restLength
+	 * @type {number}
+	 */
+	this.restLength = 1;
+
+	/**
+	 * Stiffness of spring constraints.
+	 *
+	 * @property stiffness
+	 * @type {number}
+	 */
+	this.stiffness = 100;
+
+	/**
+	 * Damping of spring constraints.
+	 *
+	 * @property damping
+	 * @type {number}
+	 */
+	this.damping = 1;
+
+	/**
+	 * Cannon constraint created for the objects, runtime variable.
+	 *
+	 * For spring constraints this stores a Spring object that is not a cannon constraint.
+	 *
+	 * @attribute constraint
+	 * @type {Constraint}
+	 */
+	this.constraint = null;
+
+	/**
+	 * Reference to the physics world where the constraint was added, runtime variable.
+	 *
+	 * @attribute world
+	 * @type {World}
+	 */
+	this.world = null;
+
+	/**
+	 * Static body used when the constraint is connected to the world, runtime variable.
+	 *
+	 * @attribute anchor
+	 * @type {Body}
+	 */
+	this.anchor = null;
+
+	var self = this;
+
+	/**
+	 * Callback used to apply the spring force after each physics step.
+	 *
+	 * @attribute applySpring
+	 * @type {Function}
+	 */
+	this.applySpring = function()
+	{
+		self.constraint.applyForce();
+	};
+}
+
+PhysicsConstraint.prototype = Object.create(Object3D.prototype);
+
+/**
+ * Point to point constraint, the objects are connected at the constraint position and can rotate freely.
+ *
+ * @static
+ * @attribute POINT
+ * @type {number}
+ */
+PhysicsConstraint.POINT = 0;
+
+/**
+ * Hinge constraint, the objects are connected at the constraint position and rotate around the constraint Y axis.
+ *
+ * @static
+ * @attribute HINGE
+ * @type {number}
+ */
+PhysicsConstraint.HINGE = 1;
+
+/**
+ * Lock constraint, the relative position and rotation of the objects is kept.
+ *
+ * @static
+ * @attribute LOCK
+ * @type {number}
+ */
+PhysicsConstraint.LOCK = 2;
+
+/**
+ * Distance constraint, the distance between the center of the objects is kept.
+ *
+ * @static
+ * @attribute DISTANCE
+ * @type {number}
+ */
+PhysicsConstraint.DISTANCE = 3;
+
+/**
+ * Spring connecting the center of the objects.
+ *
+ * @static
+ * @attribute SPRING
+ * @type {number}
+ */
+PhysicsConstraint.SPRING = 4;
+
+/**
+ * Update the objects referenced by the constraints of an object hierarchy after the uuids of the objects were changed (e.g. when the objects are copied).
+ *
+ * References to objects that are not in the list are kept.
+ *
+ * @static
+ * @method updateReferences
+ * @param {Object3D} object Root object of the hierarchy.
+ * @param {Object} uuids New uuids of the objects indexed by their old uuid.
+ */
+PhysicsConstraint.updateReferences = function(object, uuids)
+{
+	object.traverse(function(child)
+	{
+		if (child instanceof PhysicsConstraint)
+		{
+			if (child.objectA !== null && uuids[child.objectA] !== undefined)
+			{
+				child.objectA = uuids[child.objectA];
+			}
+
+			if (child.objectB !== null && uuids[child.objectB] !== undefined)
+			{
+				child.objectB = uuids[child.objectB];
+			}
+		}
+	});
+};
+
+/**
+ * Create the cannon constraint and add it to the scene physics world.
+ *
+ * Called by the scene after all physics objects are initialized, the physics objects are searched by uuid in the scene.
+ *
+ * @method createConstraint
+ * @param {Scene} scene Scene where the constraint is placed.
+ */
+PhysicsConstraint.prototype.createConstraint = function(scene)
+{
+	if (this.constraint !== null || this.objectA === null)
+	{
+		return;
+	}
+
+	var objectA = scene.getObjectByProperty("uuid", this.objectA);
+	var objectB = this.objectB !== null ? scene.getObjectByProperty("uuid", this.objectB) : undefined;
+
+	if (objectA === undefined || objectA.body === undefined || objectB !== undefined && objectB.body === undefined)
+	{
+		console.warn("nunuStudio: PhysicsConstraint physics object not found.", this);
+		return;
+	}
+
+	this.world = scene.world;
+
+	var bodyA = objectA.body;
+	var bodyB;
+
+	if (objectB !== undefined)
+	{
+		bodyB = objectB.body;
+	}
+	else
+	{
+		var position = new Vector3();
+		this.getWorldPosition(position);
+
+		this.anchor = new Body({mass: 0});
+		this.anchor.type = Body.STATIC;
+		this.anchor.position.copy(position);
+		this.world.addBody(this.anchor);
+		bodyB = this.anchor;
+	}
+
+	if (this.constraintType === PhysicsConstraint.POINT)
+	{
+		this.constraint = new PointToPointConstraint(bodyA, this.getPivot(bodyA), bodyB, this.getPivot(bodyB), this.maxForce);
+	}
+	else if (this.constraintType === PhysicsConstraint.HINGE)
+	{
+		this.constraint = new HingeConstraint(bodyA, bodyB,
+			{
+				pivotA: this.getPivot(bodyA),
+				axisA: this.getAxis(bodyA),
+				pivotB: this.getPivot(bodyB),
+				axisB: this.getAxis(bodyB),
+				maxForce: this.maxForce
+			});
+	}
+	else if (this.constraintType === PhysicsConstraint.LOCK)
+	{
+		this.constraint = new LockConstraint(bodyA, bodyB, {maxForce: this.maxForce});
+	}
+	else if (this.constraintType === PhysicsConstraint.DISTANCE)
+	{
+		this.constraint = new DistanceConstraint(bodyA, bodyB, this.distance > 0 ? this.distance : undefined, this.maxForce);
+	}
+	else if (this.constraintType === PhysicsConstraint.SPRING)
+	{
+		this.constraint = new Spring(bodyA, bodyB,
+			{
+				restLength: this.restLength,
+				stiffness: this.stiffness,
+				damping: this.damping
+			});
+		this.world.addEventListener("postStep", this.applySpring);
+		return;
+	}
+
+	this.constraint.collideConnected = this.collideConnected;
+	this.world.addConstraint(this.constraint);
+};
+
+/**
+ * Get the constraint world position in the local space of a body.
+ *
+ * @method getPivot
+ * @param {Body} body Body to get the pivot for.
+ * @return {Vec3} Pivot in body local space.
+ */
+PhysicsConstraint.prototype.getPivot = function(body)
+{
+	var position = new Vector3();
+	this.getWorldPosition(position);
+	position.sub(body.position);
+
+	var quaternion = new Quaternion(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+	position.applyQuaternion(quaternion.inverse());
+
+	return new Vec3(position.x, position.y, position.z);
+};
+
+/**
+ * Get the constraint world Y axis in the local space of a body.
+ *
+ * @method getAxis
+ * @param {Body} body Body to get the axis for.
+ * @return {Vec3} Axis in body local space.
+ */
+PhysicsConstraint.prototype.getAxis = function(body)
+{
+	var quaternion = new Quaternion();
+	this.getWorldQuaternion(quaternion);
+
+	var axis = new Vector3(0, 1, 0);
+	axis.applyQuaternion(quaternion);
+
+	quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+	axis.applyQuaternion(quaternion.inverse());
+
+	return new Vec3(axis.x, axis.y, axis.z);
+};
+
+/**
+ * Remove the constraint from the physics world.
+ *
+ * @method dispose
+ */
+PhysicsConstraint.prototype.dispose = function()
+{
+	if (this.world !== null)
+	{
+		if (this.constraint instanceof Spring)
+		{
+			this.world.removeEventListener("postStep", this.applySpring);
+		}
+		else if (this.constraint !== null)
+		{
+			this.world.removeConstraint(this.constraint);
+		}
+
+		if (this.anchor !== null)
+		{
+			this.world.removeBody(this.anchor);
+			this.anchor = null;
+		}
+
+		this.constraint = null;
+		this.world = null;
+	}
+
+	Object3D.prototype.dispose.call(this);
+};
+
+PhysicsConstraint.prototype.toJSON = function(meta)
+{
+	var data = Object3D.prototype.toJSON.call(this, meta);
+
+	data.object.constraintType = this.constraintType;
+	data.object.objectA = this.objectA;
+	data.object.objectB = this.objectB;
+	data.object.maxForce = this.maxForce;
+	data.object.collideConnected = this.collideConnected;
+	data.object.distance = this.distance;
+	data.object.restLength = this.restLength;
+	data.object.stiffness = this.stiffness;
+	data.object.damping = this.damping;
+
+	return data;
+};
+
+PhysicsConstraint.fromJSON = function(data)
+{
+	var object = new PhysicsConstraint();
+
+	object.constraintType = data.constraintType;
+	object.objectA = data.objectA;
+	object.objectB = data.objectB;
+	object.maxForce = data.maxForce;
+	object.collideConnected = data.collideConnected;
+	object.distance = data.distance;
+	object.restLength = data.restLength;
+	object.stiffness = data.stiffness;
+	object.damping = data.damping;
+
+	return object;
+};
+
+export {PhysicsConstraint};
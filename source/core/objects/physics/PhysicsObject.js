@@ -56,6 +56,16 @@ function PhysicsObject()
 	 */
 	this.mode = PhysicsObject.LOCAL;
 
+	/**
+	 * If true the object is a trigger (sensor), it reports collisions to scripts without any physical response.
+	 *
+	 * Can be used for pickups, damage zones, etc.
+	 *
+	 * @attribute trigger
+	 * @type {boolean}
+	 */
+	this.trigger = false;
+
 	/**
 	 * Refenrece to the physics world.
 	 *
@@ -63,6 +73,16 @@ function PhysicsObject()
 	 * @type {World}
 	 */
 	this.world = null;
+
+	/**
+	 * Reference to the scene where the object is placed, runtime variable.
+	 *
+	 * Used to get the physics interpolation factor.
+	 *
+	 * @attribute scene
+	 * @type {Scene}
+	 */
+	this.scene = null;
 }
 
 PhysicsObject.prototype = Object.create(Group.prototype);
@@ -114,6 +134,11 @@ PhysicsObject.prototype.initialize = function()
 		this.body.quaternion.copy(quaternion);
 	}
 
+	this.body.collisionResponse = !this.trigger;
+	this.body.previousPosition.copy(this.body.position);
+	this.body.previousQuaternion.copy(this.body.quaternion);
+	this.body.aabbNeedsUpdate = true;
+
 	// Physics world
 	var node = this;
 	while (node.parent !== null)
@@ -121,46 +146,90 @@ PhysicsObject.prototype.initialize = function()
 		node = node.parent;
 		if (node instanceof Scene)
 		{
+			this.scene = node;
 			this.world = node.world;
 			this.world.addBody(this.body);
+			this.scene.physicsObjects.set(this.body.id, this);
 		}
 	}
 
 	Object3D.prototype.initialize.call(this);
 };
 
+/**
+ * Remove the body from the physics world and from the physics objects of the scene.
+ *
+ * @method dispose
+ */
+PhysicsObject.prototype.dispose = function()
+{
+	if (this.world !== null)
+	{
+		this.world.removeBody(this.body);
+		this.world = null;
+	}
+
+	if (this.scene !== null)
+	{
+		this.scene.physicsObjects.delete(this.body.id);
+		this.scene = null;
+	}
+
+	Object3D.prototype.dispose.call(this);
+};
+
+/**
+ * Get the body transform interpolated between the last two physics states.
+ *
+ * The interpolation factor is obtained from the scene, the physics world is stepped using a fixed time step that does not match the frame time.
+ *
+ * @method getInterpolatedTransform
+ * @param {Vector3} position Vector to store the interpolated position.
+ * @param {Quaternion} quaternion Quaternion to store the interpolated rotation.
+ */
+PhysicsObject.prototype.getInterpolatedTransform = function(position, quaternion)
+{
+	var alpha = this.scene !== null && this.scene.usePhysics ? this.scene.physicsAlpha : 1.0;
+
+	position.copy(this.body.previousPosition);
+	position.lerp(this.body.position, alpha);
+
+	var current = new Quaternion();
+	current.copy(this.body.quaternion);
+	quaternion.copy(this.body.previousQuaternion);
+	quaternion.slerp(current, alpha);
+};
+
 /**
  * Update object position and rotation based on cannon.js body.
  *
+ * The transform is interpolated between the last two physics states to avoid stuttering.
+ *
  * @method update
  */
 PhysicsObject.prototype.update = function(delta)
 {
+	var position = new Vector3();
+	var quaternion = new Quaternion();
+	this.getInterpolatedTransform(position, quaternion);
+
 	if (this.mode === PhysicsObject.LOCAL)
 	{
-		this.position.copy(this.body.position);
+		this.position.copy(position);
 		if (!this.body.fixedRotation)
 		{
-			this.quaternion.copy(this.body.quaternion);
+			this.quaternion.copy(quaternion);
 		}
 	}
 	else if (this.mode === PhysicsObject.WORLD)
 	{
-
 		// Physics transform matrix
 		var transform = new Matrix4();
-		if (this.body.fixedRotation)
-		{
-			transform.setPosition(this.body.position.x, this.body.position.y, this.body.position.z);
-		}
-		else
+		if (!this.body.fixedRotation)
 		{
-			var quaternion = new Quaternion();
-			quaternion.copy(this.body.quaternion);
 			transform.makeRotationFromQuaternion(quaternion);
-			transform.setPosition(this.body.position.x, this.body.position.y, this.body.position.z);
 		}
-
+		transform.setPosition(position.x, position.y, position.z);
 
 		// Get inverse of the world matrix
 		var inverse = new Matrix4();
@@ -194,6 +263,7 @@ PhysicsObject.prototype.toJSON = function(meta)
 	var data = Object3D.prototype.toJSON.call(this, meta);
 
 	data.object.mode = this.mode;
+	data.object.trigger = this.trigger;
 
 	// Body
 	data.object.body = {};
@@ -267,6 +337,11 @@ PhysicsObject.fromJSON = function(data)
 		object.mode = data.mode;
 	}
 
+	if (data.trigger !== undefined)
+	{
+		object.trigger = data.trigger;
+	}
+
 	// Body
 	object.body.type = data.body.type;
 	object.body.mass = data.body.mass;
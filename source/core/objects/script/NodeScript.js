@@ -1,5 +1,28 @@
 import {Group, Object3D} from "three";
 import {NodeGraph} from "escher.js/build/escher.module.js";
+import {Scene} from "../Scene.js";
+import {Program} from "../Program.js";
+import {BaseNode} from "./nodes/BaseNode.js";
+import {EventNode} from "./nodes/EventNode.js";
+import "./nodes/AnimationNode.js";
+import "./nodes/AudioEmitterNode.js";
+import "./nodes/BranchNode.js";
+import "./nodes/CompareNode.js";
+import "./nodes/FindObjectNode.js";
+import "./nodes/GamepadEventNode.js";
+import "./nodes/KeyboardEventNode.js";
+import "./nodes/MathNode.js";
+import "./nodes/MouseEventNode.js";
+import "./nodes/OperationNode.js";
+import "./nodes/PropertyNode.js";
+import "./nodes/SetPropertyNode.js";
+import "./nodes/SetTransformNode.js";
+import "./nodes/SplitVectorNode.js";
+import "./nodes/TimerNode.js";
+import "./nodes/TransformNode.js";
+import "./nodes/ValueNode.js";
+import "./nodes/VectorNode.js";
+import "./nodes/VectorOperationNode.js";
 
 /**
  * Node scripts are build using a graph composed of operations.
@@ -24,6 +47,32 @@ function NodeScript()
 	 * @type {NodeGraph}
 	 */
 	this.graph = new NodeGraph();
+
+	/**
+	 * List of nodes in the graph being executed, runtime variable.
+	 *
+	 * Its collected from the graph when the script is initialized.
+	 *
+	 * @attribute nodes
+	 * @type {Array}
+	 */
+	this.nodes = [];
+
+	/**
+	 * Reference to the program object.
+	 *
+	 * @property program
+	 * @type {Program}
+	 */
+	this.program = null;
+
+	/**
+	 * Reference to the scene where the script is placed.
+	 *
+	 * @property scene
+	 * @type {Scene}
+	 */
+	this.scene = null;
 }
 
 NodeScript.prototype = Object.create(Group.prototype);
@@ -39,28 +88,96 @@ NodeScript.prototype.addNode = function(node)
 	this.graph.addNode(node);
 };
 
+/**
+ * Dispatch an event to all the event nodes in the graph that listen to it.
+ *
+ * @method dispatch
+ * @param {string} event Name of the event.
+ * @param {Array} values Parameters of the event passed to the event nodes.
+ */
+NodeScript.prototype.dispatch = function(event, values)
+{
+	for (var i = 0; i < this.nodes.length; i++)
+	{
+		if (this.nodes[i] instanceof EventNode && this.nodes[i].event === event)
+		{
+			this.nodes[i].fire(values);
+		}
+	}
+};
+
 /**
  * Initialize script, automatically called by the runtime.
  *
- * Compiles the script code and calls the script initialize method if it exists after the code is compiled.
+ * Collects the nodes from the graph, initializes them and then fires the initialize event nodes.
  *
  * @method initialize
  */
 NodeScript.prototype.initialize = function()
 {
+	var node = this;
+	while (node.parent !== null)
+	{
+		node = node.parent;
+		if (node instanceof Scene)
+		{
+			this.scene = node;
+		}
+		else if (node instanceof Program)
+		{
+			this.program = node;
+		}
+	}
+
 	Object3D.prototype.initialize.call(this);
 
-	// TODO <ADD CODE HERE>
+	var nodes = [];
+	this.graph.traverse(function(child)
+	{
+		if (child instanceof BaseNode)
+		{
+			nodes.push(child);
+		}
+	});
+	this.nodes = nodes;
+
+	for (var i = 0; i < this.nodes.length; i++)
+	{
+		this.nodes[i].script = this;
+	}
+
+	this.program.profiler.beginScript(this, "initialize");
+
+	for (var i = 0; i < this.nodes.length; i++)
+	{
+		this.nodes[i].initialize();
+	}
+
+	this.dispatch(EventNode.INITIALIZE, []);
+
+	this.program.profiler.endScript(this, "initialize");
 };
 
 /**
  * Update node script state runs the update methods from the node graph.
  *
+ * Nodes are updated first and then the update event nodes are fired.
+ *
  * @method update
+ * @param {number} delta Time since last update call.
  */
 NodeScript.prototype.update = function(delta)
 {
-	// TODO <ADD CODE HERE>
+	this.program.profiler.beginScript(this, "update");
+
+	for (var i = 0; i < this.nodes.length; i++)
+	{
+		this.nodes[i].update(delta);
+	}
+
+	this.dispatch(EventNode.UPDATE, [delta]);
+
+	this.program.profiler.endScript(this, "update");
 
 	Object3D.prototype.update.call(this, delta);
 };
@@ -68,27 +185,53 @@ NodeScript.prototype.update = function(delta)
 /**
  * Disposes the script, can be used to clear resources when the program exits.
  *
- * Calls the script dispose method if it exists.
+ * Fires the dispose event nodes and then disposes all nodes in the graph.
  *
  * @method dispose
  */
 NodeScript.prototype.dispose = function()
 {
-	// TODO <ADD CODE HERE>
+	this.dispatch(EventNode.DISPOSE, []);
+
+	for (var i = 0; i < this.nodes.length; i++)
+	{
+		this.nodes[i].dispose();
+		this.nodes[i].script = null;
+	}
+
+	this.nodes = [];
 
 	Object3D.prototype.dispose.call(this);
 };
 
 /**
- * Call resize method if available.
+ * Resize all the nodes in the graph and fire the resize event nodes.
  *
- * The resize method receives width and height as arguments.
+ * The resize event receives width and height as parameters.
  *
  * @method resize
+ * @param {number} x Screen width.
+ * @param {number} y Screen height.
  */
 NodeScript.prototype.resize = function(x, y)
 {
-	// TODO <ADD CODE HERE>
+	for (var i = 0; i < this.nodes.length; i++)
+	{
+		this.nodes[i].resize(x, y);
+	}
+
+	this.dispatch(EventNode.RESIZE, [x, y]);
+};
+
+/**
+ * Fire the app data event nodes with the data received from the host webpage.
+ *
+ * @method appData
+ * @param {Object} data Data received.
+ */
+NodeScript.prototype.appData = function(data)
+{
+	this.dispatch(EventNode.APP_DATA, [data]);
 };
 
 NodeScript.prototype.toJSON = function(meta)
@@ -42,6 +42,14 @@ function PythonScript(code)
 	 *    - Receives width and height as parameters
 	 *  - onAppData(data, obj, scene, program, keyboard, mouse)
 	 *    - Called when receiving data sent by the host website
+	 *  - onCollisionEnter(object, other, obj, scene, program, keyboard, mouse)
+	 *    - Called when a physics object inside the script starts colliding with another physics object
+	 *  - onCollisionStay(object, other, obj, scene, program, keyboard, mouse)
+	 *    - Called every frame while a physics object inside the script is colliding with another physics object
+	 *  - onCollisionExit(object, other, obj, scene, program, keyboard, mouse)
+	 *    - Called when a physics object inside the script stops colliding with another physics object
+	 *  - onAnimationEvent(name, data, obj, scene, program, keyboard, mouse)
+	 *    - Called when the animation of an object inside the script crosses an animation event
 	 * 
 	 * @property code
 	 * @type {string}
@@ -117,7 +125,9 @@ PythonScript.prototype.initialize = function()
 
 	if (this.script.initialize !== undefined)
 	{
+		this.program.profiler.beginScript(this, "initialize");
 		this.script.initialize.call(this, this, this.scene, this.program, this.program.keyboard, this.program.mouse);
+		this.program.profiler.endScript(this, "initialize");
 	}
 };
 
@@ -130,18 +140,26 @@ PythonScript.prototype.initialize = function()
  */
 PythonScript.prototype.update = function(delta)
 {
+	var profiler = this.program.profiler;
+
 	if (this.script.onMouseOver !== undefined)
 	{
+		profiler.beginScript(this, "onMouseOver");
+
 		var intersections = this.scene.raycaster.intersectObjects(this.children, true);
 		if (intersections.length > 0)
 		{
 			this.script.onMouseOver.call(this, intersections);
 		}
+
+		profiler.endScript(this, "onMouseOver");
 	}
 
 	if (this.script.update !== undefined)
 	{
+		profiler.beginScript(this, "update");
 		this.script.update.call(this, delta, this, this.scene, this.program, this.program.keyboard, this.program.mouse);
+		profiler.endScript(this, "update");
 	}
 
 	Object3D.prototype.update.call(this, delta);
@@ -195,6 +213,66 @@ PythonScript.prototype.appData = function(data)
 	}
 };
 
+/**
+ * Call onCollisionEnter() from the script if available.
+ *
+ * @method collisionEnter
+ * @param {PhysicsObject} object Physics object inside the script.
+ * @param {PhysicsObject} other Other physics object involved in the collision.
+ */
+PythonScript.prototype.collisionEnter = function(object, other)
+{
+	if (this.script.onCollisionEnter !== undefined)
+	{
+		this.script.onCollisionEnter.call(this, object, other, this, this.scene, this.program, this.program.keyboard, this.program.mouse);
+	}
+};
+
+/**
+ * Call onCollisionStay() from the script if available.
+ *
+ * @method collisionStay
+ * @param {PhysicsObject} object Physics object inside the script.
+ * @param {PhysicsObject} other Other physics object involved in the collision.
+ */
+PythonScript.prototype.collisionStay = function(object, other)
+{
+	if (this.script.onCollisionStay !== undefined)
+	{
+		this.script.onCollisionStay.call(this, object, other, this, this.scene, this.program, this.program.keyboard, this.program.mouse);
+	}
+};
+
+/**
+ * Call onCollisionExit() from the script if available.
+ *
+ * @method collisionExit
+ * @param {PhysicsObject} object Physics object inside the script.
+ * @param {PhysicsObject} other Other physics object involved in the collision.
+ */
+PythonScript.prototype.collisionExit = function(object, other)
+{
+	if (this.script.onCollisionExit !== undefined)
+	{
+		this.script.onCollisionExit.call(this, object, other, this, this.scene, this.program, this.program.keyboard, this.program.mouse);
+	}
+};
+
+/**
+ * Call onAnimationEvent() from the script if available.
+ *
+ * @method animationEvent
+ * @param {string} name Name of the event.
+ * @param {Object} data Data of the event.
+ */
+PythonScript.prototype.animationEvent = function(name, data)
+{
+	if (this.script.onAnimationEvent !== undefined)
+	{
+		this.script.onAnimationEvent.call(this, name, data, this, this.scene, this.program, this.program.keyboard, this.program.mouse);
+	}
+};
+
 /**
  * Prepare the script code to be run. The script can be prepared using different methods depending on the include mode defined.
  * 
@@ -45,6 +45,16 @@ function Script(code, mode)
 	 *    - Receives width and height as parameters
 	 *  - onAppData(data)
 	 *    - Called when receiving data sent by the host website
+	 *  - onCollisionEnter(object, other)
+	 *    - Called when a physics object inside the script starts colliding with another physics object
+	 *    - Receives the physics object of the script and the other object involved as parameters.
+	 *  - onCollisionStay(object, other)
+	 *    - Called every frame while a physics object inside the script is colliding with another physics object
+	 *  - onCollisionExit(object, other)
+	 *    - Called when a physics object inside the script stops colliding with another physics object
+	 *  - onAnimationEvent(name, data)
+	 *    - Called when the animation of an object inside the script crosses an animation event
+	 *    - Receives the name and data of the event as parameters.
 	 *
 	 * Code written inside scripts have access to the following attributes:
 	 *  - scene
@@ -144,7 +154,7 @@ function update(delta) {
  * @attribute METHODS
  * @type {Array}
  */
-Script.METHODS = ["initialize", "update", "dispose", "onMouseOver", "onResize", "onAppData"];
+Script.METHODS = ["initialize", "update", "dispose", "onMouseOver", "onResize", "onAppData", "onCollisionEnter", "onCollisionStay", "onCollisionExit", "onAnimationEvent"];
 
 /**
  * Append libraries on initialization.
@@ -278,7 +288,9 @@ Script.prototype.initialize = function()
 	{
 		if (self.script.initialize !== undefined)
 		{
+			self.program.profiler.beginScript(self, "initialize");
 			self.script.initialize.call(self);
+			self.program.profiler.endScript(self, "initialize");
 		}
 	});
 };
@@ -292,18 +304,26 @@ Script.prototype.initialize = function()
  */
 Script.prototype.update = function(delta)
 {
+	var profiler = this.program.profiler;
+
 	if (this.script.onMouseOver !== undefined)
 	{
+		profiler.beginScript(this, "onMouseOver");
+
 		var intersections = this.scene.raycaster.intersectObjects(this.children, true);
 		if (intersections.length > 0)
 		{
 			this.script.onMouseOver.call(this, intersections);
 		}
+
+		profiler.endScript(this, "onMouseOver");
 	}
 
 	if (this.script.update !== undefined)
 	{
+		profiler.beginScript(this, "update");
 		this.script.update.call(this, delta);
+		profiler.endScript(this, "update");
 	}
 
 	Object3D.prototype.update.call(this, delta);
@@ -357,6 +377,74 @@ Script.prototype.appData = function(data)
 	}
 };
 
+/**
+ * Call onCollisionEnter() from the script if available.
+ *
+ * Called by the scene when a physics object inside the script starts colliding with another physics object.
+ *
+ * @method collisionEnter
+ * @param {PhysicsObject} object Physics object inside the script.
+ * @param {PhysicsObject} other Other physics object involved in the collision.
+ */
+Script.prototype.collisionEnter = function(object, other)
+{
+	if (this.script.onCollisionEnter !== undefined)
+	{
+		this.script.onCollisionEnter.call(this, object, other);
+	}
+};
+
+/**
+ * Call onCollisionStay() from the script if available.
+ *
+ * Called by the scene every frame while a physics object inside the script is colliding with another physics object.
+ *
+ * @method collisionStay
+ * @param {PhysicsObject} object Physics object inside the script.
+ * @param {PhysicsObject} other Other physics object involved in the collision.
+ */
+Script.prototype.collisionStay = function(object, other)
+{
+	if (this.script.onCollisionStay !== undefined)
+	{
+		this.script.onCollisionStay.call(this, object, other);
+	}
+};
+
+/**
+ * Call onCollisionExit() from the script if available.
+ *
+ * Called by the scene when a physics object inside the script stops colliding with another physics object.
+ *
+ * @method collisionExit
+ * @param {PhysicsObject} object Physics object inside the script.
+ * @param {PhysicsObject} other Other physics object involved in the collision.
+ */
+Script.prototype.collisionExit = function(object, other)
+{
+	if (this.script.onCollisionExit !== undefined)
+	{
+		this.script.onCollisionExit.call(this, object, other);
+	}
+};
+
+/**
+ * Call onAnimationEvent() from the script if available.
+ *
+ * Called by the animation mixer of an object inside the script when its animation crosses an animation event.
+ *
+ * @method animationEvent
+ * @param {string} name Name of the event.
+ * @param {Object} data Data of the event.
+ */
+Script.prototype.animationEvent = function(name, data)
+{
+	if (this.script.onAnimationEvent !== undefined)
+	{
+		this.script.onAnimationEvent.call(this, name, data);
+	}
+};
+
 /**
  * Prepare the script code to be run. The script can be prepared using different methods depending on the include mode defined.
  *
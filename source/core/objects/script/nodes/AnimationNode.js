@@ -0,0 +1,99 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Animation nodes play or stop the animations attached to an object when executed.
+ *
+ * If the object input is not connected the node script is used.
+ *
+ * @constructor
+ * @class AnimationNode
+ * @param {string} action Action performed by the node, PLAY or STOP.
+ */
+function AnimationNode(action)
+{
+	BaseNode.call(this);
+
+	this.type = "AnimationNode";
+
+	/**
+	 * Action performed on the object animations.
+	 *
+	 * @attribute action
+	 * @type {string}
+	 */
+	this.action = action !== undefined ? action : AnimationNode.PLAY;
+
+	this.box.set(new Vector2(-60, -35), new Vector2(60, 35));
+}
+
+AnimationNode.prototype = Object.create(BaseNode.prototype);
+
+/**
+ * Play the object animations.
+ *
+ * @static
+ * @attribute PLAY
+ * @type {string}
+ */
+AnimationNode.PLAY = "play";
+
+/**
+ * Stop the object animations.
+ *
+ * @static
+ * @attribute STOP
+ * @type {string}
+ */
+AnimationNode.STOP = "stop";
+
+AnimationNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.EVENT, "in");
+	this.addInput(BaseNode.OBJECT, "object");
+	this.addOutput(BaseNode.EVENT, "out");
+};
+
+AnimationNode.prototype.execute = function(socket)
+{
+	var object = this.getTargetObject(this.getInput("object"));
+
+	if (object !== null)
+	{
+		if (this.action === AnimationNode.PLAY)
+		{
+			object.playAnimation();
+		}
+		else if (this.action === AnimationNode.STOP)
+		{
+			object.stopAnimation();
+		}
+	}
+
+	this.trigger(this.getOutput("out"));
+};
+
+AnimationNode.prototype.getTitle = function()
+{
+	return this.action + " animation";
+};
+
+AnimationNode.prototype.serialize = function(recursive)
+{
+	var data = BaseNode.prototype.serialize.call(this, recursive);
+
+	data.action = this.action;
+
+	return data;
+};
+
+AnimationNode.prototype.parse = function(data, root)
+{
+	BaseNode.prototype.parse.call(this, data, root);
+
+	this.action = data.action;
+};
+
+Object2D.register(AnimationNode, "AnimationNode");
+
+export {AnimationNode};
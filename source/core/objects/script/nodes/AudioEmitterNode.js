@@ -0,0 +1,111 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {AudioEmitter} from "../../audio/AudioEmitter.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Audio nodes play, pause or stop an audio emitter when executed.
+ *
+ * @constructor
+ * @class AudioEmitterNode
+ * @param {string} action Action performed by the node, PLAY, PAUSE or STOP.
+ */
+function AudioEmitterNode(action)
+{
+	BaseNode.call(this);
+
+	this.type = "AudioEmitterNode";
+
+	/**
+	 * Action performed on the audio emitter.
+	 *
+	 * @attribute action
+	 * @type {string}
+	 */
+	this.action = action !== undefined ? action : AudioEmitterNode.PLAY;
+
+	this.box.set(new Vector2(-60, -35), new Vector2(60, 35));
+}
+
+AudioEmitterNode.prototype = Object.create(BaseNode.prototype);
+
+/**
+ * Play the audio.
+ *
+ * @static
+ * @attribute PLAY
+ * @type {string}
+ */
+AudioEmitterNode.PLAY = "play";
+
+/**
+ * Pause the audio.
+ *
+ * @static
+ * @attribute PAUSE
+ * @type {string}
+ */
+AudioEmitterNode.PAUSE = "pause";
+
+/**
+ * Stop the audio.
+ *
+ * @static
+ * @attribute STOP
+ * @type {string}
+ */
+AudioEmitterNode.STOP = "stop";
+
+AudioEmitterNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.EVENT, "in");
+	this.addInput(BaseNode.OBJECT, "audio");
+	this.addOutput(BaseNode.EVENT, "out");
+};
+
+AudioEmitterNode.prototype.execute = function(socket)
+{
+	var audio = this.getInputValue(this.getInput("audio"), null);
+
+	if (audio instanceof AudioEmitter)
+	{
+		if (this.action === AudioEmitterNode.PLAY)
+		{
+			audio.play();
+		}
+		else if (this.action === AudioEmitterNode.PAUSE)
+		{
+			audio.pause();
+		}
+		else if (this.action === AudioEmitterNode.STOP)
+		{
+			audio.stop();
+		}
+	}
+
+	this.trigger(this.getOutput("out"));
+};
+
+AudioEmitterNode.prototype.getTitle = function()
+{
+	return this.action + " audio";
+};
+
+AudioEmitterNode.prototype.serialize = function(recursive)
+{
+	var data = BaseNode.prototype.serialize.call(this, recursive);
+
+	data.action = this.action;
+
+	return data;
+};
+
+AudioEmitterNode.prototype.parse = function(data, root)
+{
+	BaseNode.prototype.parse.call(this, data, root);
+
+	this.action = data.action;
+};
+
+Object2D.register(AudioEmitterNode, "AudioEmitterNode");
+
+export {AudioEmitterNode};
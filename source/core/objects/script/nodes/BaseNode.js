@@ -1,4 +1,4 @@
-import {Circle, Node, ColorStyle} from "escher.js/build/escher.module.js";
+import {Circle, Node, Text, ColorStyle} from "escher.js/build/escher.module.js";
 import {DOMUtils} from "../../../../editor/utils/DOMUtils.js";
 
 /**
@@ -62,15 +62,296 @@ function BaseNode()
 	};
 
 	this.add(this.destroyButton);
+
+	/**
+	 * Title text displayed in the center of the node.
+	 *
+	 * The text is obtained from the getTitle() method every time the node is updated.
+	 *
+	 * @attribute title
+	 * @type {Text}
+	 */
+	this.title = new Text();
+	this.title.strokeStyle = new ColorStyle(DOMUtils.getCSSVariable("--color-light"));
+	this.title.serializable = false;
+	this.title.font = "16px Arial";
+	this.title.layer = 2;
+	this.add(this.title);
+
+	/**
+	 * Node script that is running this node, runtime variable.
+	 *
+	 * Its set by the node script before the node is initialized and can be used to access the program and scene.
+	 *
+	 * @attribute script
+	 * @type {NodeScript}
+	 */
+	this.script = null;
 }
 
 BaseNode.prototype = Object.create(Node.prototype);
 
+/**
+ * Socket category used for execution flow connections.
+ *
+ * Event sockets do not carry data, when an event output is triggered the nodes connected to it are executed.
+ *
+ * @static
+ * @attribute EVENT
+ * @type {string}
+ */
+BaseNode.EVENT = "event";
+
+/**
+ * Socket category used for numeric values.
+ *
+ * @static
+ * @attribute NUMBER
+ * @type {string}
+ */
+BaseNode.NUMBER = "number";
+
+/**
+ * Socket category used for boolean values.
+ *
+ * @static
+ * @attribute BOOLEAN
+ * @type {string}
+ */
+BaseNode.BOOLEAN = "boolean";
+
+/**
+ * Socket category used for string values.
+ *
+ * @static
+ * @attribute STRING
+ * @type {string}
+ */
+BaseNode.STRING = "string";
+
+/**
+ * Socket category used for object references.
+ *
+ * @static
+ * @attribute OBJECT
+ * @type {string}
+ */
+BaseNode.OBJECT = "object";
+
+/**
+ * Socket category used for vector values.
+ *
+ * @static
+ * @attribute VECTOR
+ * @type {string}
+ */
+BaseNode.VECTOR = "vector";
+
+/**
+ * List of node attributes that are serialized with the node and can be edited by the user.
+ *
+ * Attributes are edited by double clicking the node in the node editor.
+ *
+ * @attribute properties
+ * @type {Array}
+ */
+BaseNode.prototype.properties = [];
+
+/**
+ * Method used to compute the value of the data output sockets of the node.
+ *
+ * Receives the output socket as argument, if null the output sockets values have to be defined manually.
+ *
+ * @method getOutputValue
+ * @param {NodeSocket} socket Output socket.
+ * @return {*} Value of the output socket.
+ */
+BaseNode.prototype.getOutputValue = null;
+
+/**
+ * Get the title text displayed in the node.
+ *
+ * @method getTitle
+ * @return {string} Title of the node.
+ */
+BaseNode.prototype.getTitle = function()
+{
+	return "";
+};
+
+/**
+ * Add an output socket to the node, the socket value is bound to the getOutputValue() method.
+ *
+ * @method addOutput
+ * @param {string} category Category of the socket.
+ * @param {string} name Name of the socket.
+ * @return {NodeSocket} Socket created.
+ */
+BaseNode.prototype.addOutput = function(category, name)
+{
+	var socket = Node.prototype.addOutput.call(this, category, name);
+	this.bindOutput(socket);
+	return socket;
+};
+
+/**
+ * Bind the value of an output socket to the getOutputValue() method of the node.
+ *
+ * @method bindOutput
+ * @param {NodeSocket} socket Output socket.
+ */
+BaseNode.prototype.bindOutput = function(socket)
+{
+	if (this.getOutputValue !== null)
+	{
+		socket.getValue = () =>
+		{
+			return this.getOutputValue(socket);
+		};
+	}
+};
+
+/**
+ * Initialize the node, called by the node script when the program starts.
+ *
+ * The script attribute is already set when this method is called.
+ *
+ * @method initialize
+ */
+BaseNode.prototype.initialize = function() {};
+
+/**
+ * Update the node state, called by the node script every frame before events are dispatched.
+ *
+ * @method update
+ * @param {number} delta Time since last update call.
+ */
+BaseNode.prototype.update = function(delta) {};
+
+/**
+ * Called by the node script every time the window is resized.
+ *
+ * @method resize
+ * @param {number} x Screen width.
+ * @param {number} y Screen height.
+ */
+BaseNode.prototype.resize = function(x, y) {};
+
+/**
+ * Dispose the node, called by the node script when the program exits.
+ *
+ * @method dispose
+ */
+BaseNode.prototype.dispose = function() {};
+
+/**
+ * Execute the node logic, called when one of the event inputs of the node is triggered.
+ *
+ * @method execute
+ * @param {NodeSocket} socket Event input socket that was triggered.
+ */
+BaseNode.prototype.execute = function(socket) {};
+
+/**
+ * Trigger an event output socket, executes all nodes connected to the socket.
+ *
+ * @method trigger
+ * @param {NodeSocket} socket Event output socket to be triggered.
+ */
+BaseNode.prototype.trigger = function(socket)
+{
+	if (socket === null)
+	{
+		return;
+	}
+
+	for (var i = 0; i < socket.connectors.length; i++)
+	{
+		var input = socket.connectors[i].inputSocket;
+		if (input !== null && input.node instanceof BaseNode)
+		{
+			input.node.execute(input);
+		}
+	}
+};
+
+/**
+ * Get the value of a input socket, if the socket is not connected the default value is returned.
+ *
+ * @method getInputValue
+ * @param {NodeSocket} socket Input socket to read the value from.
+ * @param {*} value Default value returned if the socket has no value.
+ * @return {*} Value read from the socket.
+ */
+BaseNode.prototype.getInputValue = function(socket, value)
+{
+	if (socket !== null)
+	{
+		var result = socket.getValue();
+		if (result !== null && result !== undefined)
+		{
+			return result;
+		}
+	}
+
+	return value;
+};
+
+/**
+ * Get the object connected to an object input socket.
+ *
+ * If the socket is not connected the node script running the node is used as target.
+ *
+ * @method getTargetObject
+ * @param {NodeSocket} socket Object input socket.
+ * @return {Object3D} Target object, null if the socket is connected but no object is provided.
+ */
+BaseNode.prototype.getTargetObject = function(socket)
+{
+	if (socket === null || socket.connectors.length === 0)
+	{
+		return this.script;
+	}
+
+	return this.getInputValue(socket, null);
+};
+
 BaseNode.prototype.onUpdate = function()
 {
 	this.destroyButton.position.set(this.box.max.x, this.box.min.y);
+	this.title.text = this.getTitle();
 
 	Node.prototype.onUpdate.call(this);
 };
 
+BaseNode.prototype.serialize = function(recursive)
+{
+	var data = Node.prototype.serialize.call(this, recursive);
+
+	for (var i = 0; i < this.properties.length; i++)
+	{
+		data[this.properties[i]] = this[this.properties[i]];
+	}
+
+	return data;
+};
+
+BaseNode.prototype.parse = function(data, root)
+{
+	Node.prototype.parse.call(this, data, root);
+
+	for (var i = 0; i < this.properties.length; i++)
+	{
+		if (data[this.properties[i]] !== undefined)
+		{
+			this[this.properties[i]] = data[this.properties[i]];
+		}
+	}
+
+	for (var i = 0; i < this.outputs.length; i++)
+	{
+		this.bindOutput(this.outputs[i]);
+	}
+};
+
 export {BaseNode};
@@ -0,0 +1,50 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Branch nodes control the execution flow of the graph using a boolean condition.
+ *
+ * When executed the true output is triggered if the condition is true, otherwise the false output is triggered.
+ *
+ * @constructor
+ * @class BranchNode
+ */
+function BranchNode()
+{
+	BaseNode.call(this);
+
+	this.type = "BranchNode";
+
+	this.box.set(new Vector2(-50, -35), new Vector2(50, 35));
+}
+
+BranchNode.prototype = Object.create(BaseNode.prototype);
+
+BranchNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.EVENT, "in");
+	this.addInput(BaseNode.BOOLEAN, "condition");
+	this.addOutput(BaseNode.EVENT, "true");
+	this.addOutput(BaseNode.EVENT, "false");
+};
+
+BranchNode.prototype.execute = function(socket)
+{
+	if (this.getInputValue(this.getInput("condition"), false) === true)
+	{
+		this.trigger(this.getOutput("true"));
+	}
+	else
+	{
+		this.trigger(this.getOutput("false"));
+	}
+};
+
+BranchNode.prototype.getTitle = function()
+{
+	return "if";
+};
+
+Object2D.register(BranchNode, "BranchNode");
+
+export {BranchNode};
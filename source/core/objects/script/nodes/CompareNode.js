@@ -0,0 +1,94 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Compare nodes compare two numbers and output a boolean with the result.
+ *
+ * @constructor
+ * @class CompareNode
+ * @param {string} operation Comparison operator symbol (==, !=, <, <=, >, >=).
+ */
+function CompareNode(operation)
+{
+	BaseNode.call(this);
+
+	this.type = "CompareNode";
+
+	/**
+	 * Comparison operator used by this node.
+	 *
+	 * @attribute operation
+	 * @type {string}
+	 */
+	this.operation = operation !== undefined ? operation : "==";
+
+	this.box.set(new Vector2(-50, -35), new Vector2(50, 35));
+	this.title.font = "25px Arial";
+}
+
+CompareNode.prototype = Object.create(BaseNode.prototype);
+
+CompareNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.NUMBER, "a");
+	this.addInput(BaseNode.NUMBER, "b");
+	this.addOutput(BaseNode.BOOLEAN, "r");
+};
+
+CompareNode.prototype.getOutputValue = function(socket)
+{
+	var a = this.getInputValue(this.getInput("a"), 0);
+	var b = this.getInputValue(this.getInput("b"), 0);
+
+	if (this.operation === "==")
+	{
+		return a === b;
+	}
+	else if (this.operation === "!=")
+	{
+		return a !== b;
+	}
+	else if (this.operation === "<")
+	{
+		return a < b;
+	}
+	else if (this.operation === "<=")
+	{
+		return a <= b;
+	}
+	else if (this.operation === ">")
+	{
+		return a > b;
+	}
+	else if (this.operation === ">=")
+	{
+		return a >= b;
+	}
+
+	return false;
+};
+
+CompareNode.prototype.getTitle = function()
+{
+	return this.operation;
+};
+
+CompareNode.prototype.serialize = function(recursive)
+{
+	var data = BaseNode.prototype.serialize.call(this, recursive);
+
+	data.operation = this.operation;
+
+	return data;
+};
+
+CompareNode.prototype.parse = function(data, root)
+{
+	BaseNode.prototype.parse.call(this, data, root);
+
+	this.operation = data.operation;
+};
+
+Object2D.register(CompareNode, "CompareNode");
+
+export {CompareNode};
@@ -0,0 +1,206 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Event nodes are the entry points of a node graph, they are triggered by the node script on lifecycle events.
+ *
+ * When the event happens the event output is triggered and the event parameters are made available in the data outputs.
+ *
+ * @constructor
+ * @class EventNode
+ * @param {string} event Name of the event that triggers this node.
+ */
+function EventNode(event)
+{
+	BaseNode.call(this);
+
+	this.type = "EventNode";
+
+	/**
+	 * Name of the event that triggers this node.
+	 *
+	 * @attribute event
+	 * @type {string}
+	 */
+	this.event = event !== undefined ? event : EventNode.UPDATE;
+
+	this.box.set(new Vector2(-60, -35), new Vector2(60, 35));
+
+	/**
+	 * Event output socket triggered when the event happens.
+	 *
+	 * @attribute out
+	 * @type {NodeSocket}
+	 */
+	this.out = null;
+
+	/**
+	 * Data output sockets with the parameters of the event.
+	 *
+	 * @attribute parameters
+	 * @type {Array}
+	 */
+	this.parameters = [];
+
+	/**
+	 * Values received in the last time the event was fired, runtime variable.
+	 *
+	 * @attribute values
+	 * @type {Array}
+	 */
+	this.values = [];
+}
+
+EventNode.prototype = Object.create(BaseNode.prototype);
+
+/**
+ * Event fired once when the node script is initialized.
+ *
+ * @static
+ * @attribute INITIALIZE
+ * @type {string}
+ */
+EventNode.INITIALIZE = "initialize";
+
+/**
+ * Event fired every frame, receives the delta time as parameter.
+ *
+ * @static
+ * @attribute UPDATE
+ * @type {string}
+ */
+EventNode.UPDATE = "update";
+
+/**
+ * Event fired when the window is resized, receives width and height as parameters.
+ *
+ * @static
+ * @attribute RESIZE
+ * @type {string}
+ */
+EventNode.RESIZE = "resize";
+
+/**
+ * Event fired when the program exits.
+ *
+ * @static
+ * @attribute DISPOSE
+ * @type {string}
+ */
+EventNode.DISPOSE = "dispose";
+
+/**
+ * Event fired when the program receives data from the host webpage, receives the data as parameter.
+ *
+ * @static
+ * @attribute APP_DATA
+ * @type {string}
+ */
+EventNode.APP_DATA = "appData";
+
+/**
+ * Parameters (category and name) provided by each event type.
+ *
+ * @static
+ * @attribute PARAMETERS
+ * @type {Map}
+ */
+EventNode.PARAMETERS = new Map([
+	[EventNode.INITIALIZE, []],
+	[EventNode.UPDATE, [[BaseNode.NUMBER, "delta"]]],
+	[EventNode.RESIZE, [[BaseNode.NUMBER, "width"], [BaseNode.NUMBER, "height"]]],
+	[EventNode.DISPOSE, []],
+	[EventNode.APP_DATA, [[BaseNode.OBJECT, "data"]]]
+]);
+
+EventNode.prototype.registerSockets = function()
+{
+	if (this.out === null)
+	{
+		this.out = this.addOutput(BaseNode.EVENT, "out");
+	}
+
+	if (this.parameters.length === 0)
+	{
+		var parameters = EventNode.PARAMETERS.get(this.event);
+		if (parameters !== undefined)
+		{
+			for (var i = 0; i < parameters.length; i++)
+			{
+				var socket = this.addOutput(parameters[i][0], parameters[i][1]);
+				this.bindParameter(socket, i);
+				this.parameters.push(socket);
+			}
+		}
+	}
+};
+
+/**
+ * Bind a parameter output socket to the value stored in the values array.
+ *
+ * @method bindParameter
+ * @param {NodeSocket} socket Output socket.
+ * @param {number} index Index of the parameter.
+ */
+EventNode.prototype.bindParameter = function(socket, index)
+{
+	socket.getValue = () =>
+	{
+		return index < this.values.length ? this.values[index] : null;
+	};
+};
+
+/**
+ * Fire the event, stores the event parameters and triggers the event output.
+ *
+ * @method fire
+ * @param {Array} values Parameters of the event.
+ */
+EventNode.prototype.fire = function(values)
+{
+	this.values = values !== undefined ? values : [];
+	this.trigger(this.out);
+};
+
+EventNode.prototype.getTitle = function()
+{
+	return this.event;
+};
+
+EventNode.prototype.serialize = function(recursive)
+{
+	var data = BaseNode.prototype.serialize.call(this, recursive);
+
+	data.event = this.event;
+	data.out = this.out !== null ? this.out.uuid : null;
+	data.parameters = [];
+	for (var i = 0; i < this.parameters.length; i++)
+	{
+		data.parameters.push(this.parameters[i].uuid);
+	}
+
+	return data;
+};
+
+EventNode.prototype.parse = function(data, root)
+{
+	BaseNode.prototype.parse.call(this, data, root);
+
+	this.event = data.event;
+
+	if (data.out !== null)
+	{
+		this.out = root.getChildByUUID(data.out);
+	}
+
+	for (var i = 0; i < data.parameters.length; i++)
+	{
+		var socket = root.getChildByUUID(data.parameters[i]);
+		this.bindParameter(socket, i);
+		this.parameters.push(socket);
+	}
+};
+
+Object2D.register(EventNode, "EventNode");
+
+export {EventNode};
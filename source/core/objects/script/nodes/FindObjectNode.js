@@ -0,0 +1,72 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Find object nodes search for an object by its name.
+ *
+ * The object is searched in the scene where the script is placed and then in the whole program.
+ *
+ * The name can be provided by the name input, if it is not connected the objectName attribute is used.
+ *
+ * @constructor
+ * @class FindObjectNode
+ * @param {string} objectName Name of the object to search for.
+ */
+function FindObjectNode(objectName)
+{
+	BaseNode.call(this);
+
+	this.type = "FindObjectNode";
+
+	/**
+	 * Name of the object to search for, used if the name input is not connected.
+	 *
+	 * @attribute objectName
+	 * @type {string}
+	 */
+	this.objectName = objectName !== undefined ? objectName : "";
+
+	this.box.set(new Vector2(-60, -25), new Vector2(60, 25));
+}
+
+FindObjectNode.prototype = Object.create(BaseNode.prototype);
+
+FindObjectNode.prototype.properties = ["objectName"];
+
+FindObjectNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.STRING, "name");
+	this.addOutput(BaseNode.OBJECT, "object");
+};
+
+FindObjectNode.prototype.getOutputValue = function(socket)
+{
+	if (this.script === null)
+	{
+		return null;
+	}
+
+	var name = this.getInputValue(this.getInput("name"), this.objectName);
+	var object = null;
+
+	if (this.script.scene !== null)
+	{
+		object = this.script.scene.getObjectByName(name);
+	}
+
+	if ((object === null || object === undefined) && this.script.program !== null)
+	{
+		object = this.script.program.getObjectByName(name);
+	}
+
+	return object !== undefined ? object : null;
+};
+
+FindObjectNode.prototype.getTitle = function()
+{
+	return this.objectName.length > 0 ? this.objectName : "find";
+};
+
+Object2D.register(FindObjectNode, "FindObjectNode");
+
+export {FindObjectNode};
@@ -0,0 +1,103 @@
+import {Object2D} from "escher.js/build/escher.module.js";
+import {Gamepad} from "../../../input/Gamepad.js";
+import {BaseNode} from "./BaseNode.js";
+import {InputEventNode} from "./InputEventNode.js";
+
+/**
+ * Gamepad event nodes trigger an event when a gamepad button is pressed or released.
+ *
+ * The analogue value of the button is available in the value output.
+ *
+ * @constructor
+ * @class GamepadEventNode
+ * @extends {InputEventNode}
+ * @param {number} button Gamepad button (e.g. Gamepad.A).
+ * @param {string} action Action of the button that triggers the event.
+ */
+function GamepadEventNode(button, action)
+{
+	InputEventNode.call(this, action);
+
+	this.type = "GamepadEventNode";
+
+	/**
+	 * Gamepad button that triggers the event.
+	 *
+	 * @attribute button
+	 * @type {number}
+	 */
+	this.button = button !== undefined ? button : Gamepad.A;
+
+	/**
+	 * Gamepad used to read the button state, runtime variable.
+	 *
+	 * @attribute gamepad
+	 * @type {Gamepad}
+	 */
+	this.gamepad = null;
+}
+
+GamepadEventNode.prototype = Object.create(InputEventNode.prototype);
+
+GamepadEventNode.prototype.properties = ["button"];
+
+GamepadEventNode.prototype.registerSockets = function()
+{
+	InputEventNode.prototype.registerSockets.call(this);
+
+	this.addOutput(BaseNode.NUMBER, "value");
+};
+
+GamepadEventNode.prototype.initialize = function()
+{
+	this.gamepad = new Gamepad();
+};
+
+GamepadEventNode.prototype.update = function(delta)
+{
+	this.gamepad.update(delta);
+
+	InputEventNode.prototype.update.call(this, delta);
+};
+
+GamepadEventNode.prototype.dispose = function()
+{
+	this.gamepad = null;
+};
+
+GamepadEventNode.prototype.getOutputValue = function(socket)
+{
+	if (this.gamepad === null || !this.gamepad.buttonExists(this.button))
+	{
+		return 0;
+	}
+
+	return this.gamepad.getAnalogueButton(this.button);
+};
+
+GamepadEventNode.prototype.isActive = function()
+{
+	if (this.action === InputEventNode.PRESSED)
+	{
+		return this.gamepad.buttonPressed(this.button);
+	}
+	else if (this.action === InputEventNode.JUST_PRESSED)
+	{
+		return this.gamepad.buttonJustPressed(this.button);
+	}
+	else if (this.action === InputEventNode.JUST_RELEASED)
+	{
+		return this.gamepad.buttonJustReleased(this.button);
+	}
+
+	return false;
+};
+
+GamepadEventNode.prototype.getTitle = function()
+{
+	return "Gamepad " + this.button;
+};
+
+Object2D.register(GamepadEventNode, "GamepadEventNode");
+
+export {GamepadEventNode};
@@ -0,0 +1,101 @@
+import {Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Input event nodes are the base for nodes that trigger events from input devices.
+ *
+ * The input state is checked every frame and the event output is triggered when the input matches the node action.
+ *
+ * @constructor
+ * @class InputEventNode
+ * @param {string} action Action of the input that triggers the event.
+ */
+function InputEventNode(action)
+{
+	BaseNode.call(this);
+
+	/**
+	 * Input action that triggers the event.
+	 *
+	 * Can be PRESSED, JUST_PRESSED or JUST_RELEASED.
+	 *
+	 * @attribute action
+	 * @type {string}
+	 */
+	this.action = action !== undefined ? action : InputEventNode.JUST_PRESSED;
+
+	this.box.set(new Vector2(-60, -35), new Vector2(60, 35));
+}
+
+InputEventNode.prototype = Object.create(BaseNode.prototype);
+
+/**
+ * Event is triggered every frame while the input is pressed.
+ *
+ * @static
+ * @attribute PRESSED
+ * @type {string}
+ */
+InputEventNode.PRESSED = "pressed";
+
+/**
+ * Event is triggered in the frame where the input was pressed.
+ *
+ * @static
+ * @attribute JUST_PRESSED
+ * @type {string}
+ */
+InputEventNode.JUST_PRESSED = "justPressed";
+
+/**
+ * Event is triggered in the frame where the input was released.
+ *
+ * @static
+ * @attribute JUST_RELEASED
+ * @type {string}
+ */
+InputEventNode.JUST_RELEASED = "justReleased";
+
+InputEventNode.prototype.registerSockets = function()
+{
+	this.addOutput(BaseNode.EVENT, "out");
+};
+
+/**
+ * Check if the input state matches the action of the node.
+ *
+ * Should be implemented by each input event node.
+ *
+ * @method isActive
+ * @return {boolean} True if the event should be triggered.
+ */
+InputEventNode.prototype.isActive = function()
+{
+	return false;
+};
+
+InputEventNode.prototype.update = function(delta)
+{
+	if (this.isActive())
+	{
+		this.trigger(this.getOutput("out"));
+	}
+};
+
+InputEventNode.prototype.serialize = function(recursive)
+{
+	var data = BaseNode.prototype.serialize.call(this, recursive);
+
+	data.action = this.action;
+
+	return data;
+};
+
+InputEventNode.prototype.parse = function(data, root)
+{
+	BaseNode.prototype.parse.call(this, data, root);
+
+	this.action = data.action;
+};
+
+export {InputEventNode};
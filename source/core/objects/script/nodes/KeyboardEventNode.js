@@ -0,0 +1,60 @@
+import {Object2D} from "escher.js/build/escher.module.js";
+import {Keyboard} from "../../../input/Keyboard.js";
+import {InputEventNode} from "./InputEventNode.js";
+
+/**
+ * Keyboard event nodes trigger an event when a keyboard key is pressed or released.
+ *
+ * @constructor
+ * @class KeyboardEventNode
+ * @extends {InputEventNode}
+ * @param {number} key Code of the keyboard key (e.g. Keyboard.SPACEBAR).
+ * @param {string} action Action of the key that triggers the event.
+ */
+function KeyboardEventNode(key, action)
+{
+	InputEventNode.call(this, action);
+
+	this.type = "KeyboardEventNode";
+
+	/**
+	 * Code of the keyboard key that triggers the event.
+	 *
+	 * @attribute key
+	 * @type {number}
+	 */
+	this.key = key !== undefined ? key : Keyboard.SPACEBAR;
+}
+
+KeyboardEventNode.prototype = Object.create(InputEventNode.prototype);
+
+KeyboardEventNode.prototype.properties = ["key"];
+
+KeyboardEventNode.prototype.isActive = function()
+{
+	var keyboard = this.script.program.keyboard;
+
+	if (this.action === InputEventNode.PRESSED)
+	{
+		return keyboard.keyPressed(this.key);
+	}
+	else if (this.action === InputEventNode.JUST_PRESSED)
+	{
+		return keyboard.keyJustPressed(this.key);
+	}
+	else if (this.action === InputEventNode.JUST_RELEASED)
+	{
+		return keyboard.keyJustReleased(this.key);
+	}
+
+	return false;
+};
+
+KeyboardEventNode.prototype.getTitle = function()
+{
+	return "Key " + (this.key >= Keyboard.NUM0 && this.key <= Keyboard.Z ? String.fromCharCode(this.key) : this.key);
+};
+
+Object2D.register(KeyboardEventNode, "KeyboardEventNode");
+
+export {KeyboardEventNode};
@@ -0,0 +1,80 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Math nodes apply a single argument math function to a number (e.g. abs, sin, sqrt).
+ *
+ * @constructor
+ * @class MathNode
+ * @param {string} operation Name of the function from the Math object to be applied.
+ */
+function MathNode(operation)
+{
+	BaseNode.call(this);
+
+	this.type = "MathNode";
+
+	/**
+	 * Name of the math function applied by this node.
+	 *
+	 * Should be one of the values in MathNode.OPERATIONS.
+	 *
+	 * @attribute operation
+	 * @type {string}
+	 */
+	this.operation = operation !== undefined ? operation : "abs";
+
+	this.box.set(new Vector2(-50, -25), new Vector2(50, 25));
+}
+
+MathNode.prototype = Object.create(BaseNode.prototype);
+
+/**
+ * List of math functions supported by the node.
+ *
+ * @static
+ * @attribute OPERATIONS
+ * @type {Array}
+ */
+MathNode.OPERATIONS = ["abs", "floor", "ceil", "round", "sqrt", "sin", "cos", "tan", "sign"];
+
+MathNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.NUMBER, "a");
+	this.addOutput(BaseNode.NUMBER, "r");
+};
+
+MathNode.prototype.getOutputValue = function(socket)
+{
+	if (MathNode.OPERATIONS.indexOf(this.operation) === -1)
+	{
+		return null;
+	}
+
+	return Math[this.operation](this.getInputValue(this.getInput("a"), 0));
+};
+
+MathNode.prototype.getTitle = function()
+{
+	return this.operation;
+};
+
+MathNode.prototype.serialize = function(recursive)
+{
+	var data = BaseNode.prototype.serialize.call(this, recursive);
+
+	data.operation = this.operation;
+
+	return data;
+};
+
+MathNode.prototype.parse = function(data, root)
+{
+	BaseNode.prototype.parse.call(this, data, root);
+
+	this.operation = data.operation;
+};
+
+Object2D.register(MathNode, "MathNode");
+
+export {MathNode};
@@ -0,0 +1,81 @@
+import {Object2D} from "escher.js/build/escher.module.js";
+import {Mouse} from "../../../input/Mouse.js";
+import {BaseNode} from "./BaseNode.js";
+import {InputEventNode} from "./InputEventNode.js";
+
+/**
+ * Mouse event nodes trigger an event when a mouse button is pressed or released.
+ *
+ * The mouse position in the canvas is also available in the x and y outputs.
+ *
+ * @constructor
+ * @class MouseEventNode
+ * @extends {InputEventNode}
+ * @param {number} button Mouse button (e.g. Mouse.LEFT).
+ * @param {string} action Action of the button that triggers the event.
+ */
+function MouseEventNode(button, action)
+{
+	InputEventNode.call(this, action);
+
+	this.type = "MouseEventNode";
+
+	/**
+	 * Mouse button that triggers the event.
+	 *
+	 * @attribute button
+	 * @type {number}
+	 */
+	this.button = button !== undefined ? button : Mouse.LEFT;
+}
+
+MouseEventNode.prototype = Object.create(InputEventNode.prototype);
+
+MouseEventNode.prototype.properties = ["button"];
+
+MouseEventNode.prototype.registerSockets = function()
+{
+	InputEventNode.prototype.registerSockets.call(this);
+
+	this.addOutput(BaseNode.NUMBER, "x");
+	this.addOutput(BaseNode.NUMBER, "y");
+};
+
+MouseEventNode.prototype.getOutputValue = function(socket)
+{
+	if (this.script === null)
+	{
+		return null;
+	}
+
+	return this.script.program.mouse.position[socket.name];
+};
+
+MouseEventNode.prototype.isActive = function()
+{
+	var mouse = this.script.program.mouse;
+
+	if (this.action === InputEventNode.PRESSED)
+	{
+		return mouse.buttonPressed(this.button);
+	}
+	else if (this.action === InputEventNode.JUST_PRESSED)
+	{
+		return mouse.buttonJustPressed(this.button);
+	}
+	else if (this.action === InputEventNode.JUST_RELEASED)
+	{
+		return mouse.buttonJustReleased(this.button);
+	}
+
+	return false;
+};
+
+MouseEventNode.prototype.getTitle = function()
+{
+	return "Mouse " + this.button;
+};
+
+Object2D.register(MouseEventNode, "MouseEventNode");
+
+export {MouseEventNode};
@@ -1,5 +1,4 @@
-import {NodeSocket, Object2D, Text, Vector2, ColorStyle} from "escher.js/build/escher.module.js";
-import {DOMUtils} from "../../../../editor/utils/DOMUtils.js";
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
 import {BaseNode} from "./BaseNode.js";
 
 /**
@@ -49,12 +48,7 @@ function OperationNode(operation)
 	 */
 	this.r = null;
 
-	this.text = new Text();
-	this.text.strokeStyle = new ColorStyle(DOMUtils.getCSSVariable("--color-light"));
-	this.text.serializable = false;
-	this.text.font = "25px Arial";
-	this.text.layer = 2;
-	this.add(this.text);
+	this.title.font = "25px Arial";
 }
 
 OperationNode.prototype = Object.create(BaseNode.prototype);
@@ -63,29 +57,64 @@ OperationNode.prototype.registerSockets = function()
 {
 	if (this.a === null)
 	{
-		this.a = this.addInput("string", "a");
+		this.a = this.addInput(BaseNode.NUMBER, "a");
 	}
 
 	if (this.b === null)
 	{
-		this.b = this.addInput("string", "b");
+		this.b = this.addInput(BaseNode.NUMBER, "b");
 	}
 
 	if (this.r === null)
 	{
-		this.r = this.addOutput("string", "r");
+		this.r = this.addOutput(BaseNode.NUMBER, "r");
 		this.r.getValue = () =>
 		{
-			return "(" + this.a.getValue() + this.operation + this.b.getValue() + ")";
+			return this.getResult();
 		};
 	}
 };
 
-OperationNode.prototype.onUpdate = function()
+/**
+ * Compute the result of the operation using the values of the input sockets.
+ *
+ * Disconnected inputs are considered to be zero.
+ *
+ * @method getResult
+ * @return {number} Result of the operation.
+ */
+OperationNode.prototype.getResult = function()
 {
-	BaseNode.prototype.onUpdate.call(this);
+	var a = this.getInputValue(this.a, 0);
+	var b = this.getInputValue(this.b, 0);
+
+	if (this.operation === "+")
+	{
+		return a + b;
+	}
+	else if (this.operation === "-")
+	{
+		return a - b;
+	}
+	else if (this.operation === "*")
+	{
+		return a * b;
+	}
+	else if (this.operation === "/")
+	{
+		return a / b;
+	}
+	else if (this.operation === "%")
+	{
+		return a % b;
+	}
+
+	return null;
+};
 
-	this.text.text = this.operation;
+OperationNode.prototype.getTitle = function()
+{
+	return this.operation;
 };
 
 OperationNode.prototype.serialize = function(recursive)
@@ -121,7 +150,7 @@ OperationNode.prototype.parse = function(data, root)
 		this.r = root.getChildByUUID(data.r);
 		this.r.getValue = () =>
 		{
-			return "(" + this.a.getValue() + this.operation + this.b.getValue() + ")";
+			return this.getResult();
 		};
 	}
 };
@@ -0,0 +1,117 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Property nodes read the value of a property from an object.
+ *
+ * Nested properties can be accessed using a dot separated path (e.g. "material.opacity").
+ *
+ * If the object input is not connected the node script is used.
+ *
+ * @constructor
+ * @class PropertyNode
+ * @param {string} category Category of the property value.
+ * @param {string} property Path of the property.
+ */
+function PropertyNode(category, property)
+{
+	BaseNode.call(this);
+
+	this.type = "PropertyNode";
+
+	/**
+	 * Category of the property value.
+	 *
+	 * @attribute category
+	 * @type {string}
+	 */
+	this.category = category !== undefined ? category : BaseNode.NUMBER;
+
+	/**
+	 * Dot separated path of the property.
+	 *
+	 * @attribute property
+	 * @type {string}
+	 */
+	this.property = property !== undefined ? property : "visible";
+
+	this.box.set(new Vector2(-60, -35), new Vector2(60, 35));
+}
+
+PropertyNode.prototype = Object.create(BaseNode.prototype);
+
+PropertyNode.prototype.properties = ["property"];
+
+/**
+ * Resolve a dot separated property path in an object.
+ *
+ * @static
+ * @method resolve
+ * @param {Object} object Object where the property is read from.
+ * @param {string} path Dot separated path of the property.
+ * @return {Object} Object with the owner of the property (target) and the property name (key), null if the path is not valid.
+ */
+PropertyNode.resolve = function(object, path)
+{
+	var keys = path.split(".");
+
+	for (var i = 0; i < keys.length - 1; i++)
+	{
+		object = object[keys[i]];
+
+		if (object === null || object === undefined)
+		{
+			return null;
+		}
+	}
+
+	return {target: object, key: keys[keys.length - 1]};
+};
+
+PropertyNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.OBJECT, "object");
+	this.addOutput(this.category, "value");
+};
+
+PropertyNode.prototype.getOutputValue = function(socket)
+{
+	var object = this.getTargetObject(this.getInput("object"));
+	if (object === null)
+	{
+		return null;
+	}
+
+	var property = PropertyNode.resolve(object, this.property);
+	if (property === null)
+	{
+		return null;
+	}
+
+	return property.target[property.key];
+};
+
+PropertyNode.prototype.getTitle = function()
+{
+	return this.property;
+};
+
+PropertyNode.prototype.serialize = function(recursive)
+{
+	var data = BaseNode.prototype.serialize.call(this, recursive);
+
+	data.category = this.category;
+
+	return data;
+};
+
+PropertyNode.prototype.parse = function(data, root)
+{
+	BaseNode.prototype.parse.call(this, data, root);
+
+	this.category = data.category;
+};
+
+Object2D.register(PropertyNode, "PropertyNode");
+
+export {PropertyNode};
@@ -0,0 +1,94 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+import {PropertyNode} from "./PropertyNode.js";
+
+/**
+ * Set property nodes change the value of a property of an object when executed.
+ *
+ * Nested properties can be accessed using a dot separated path (e.g. "material.opacity").
+ *
+ * If the object input is not connected the node script is used.
+ *
+ * @constructor
+ * @class SetPropertyNode
+ * @param {string} category Category of the property value.
+ * @param {string} property Path of the property.
+ */
+function SetPropertyNode(category, property)
+{
+	BaseNode.call(this);
+
+	this.type = "SetPropertyNode";
+
+	/**
+	 * Category of the property value.
+	 *
+	 * @attribute category
+	 * @type {string}
+	 */
+	this.category = category !== undefined ? category : BaseNode.NUMBER;
+
+	/**
+	 * Dot separated path of the property.
+	 *
+	 * @attribute property
+	 * @type {string}
+	 */
+	this.property = property !== undefined ? property : "visible";
+
+	this.box.set(new Vector2(-60, -40), new Vector2(60, 40));
+}
+
+SetPropertyNode.prototype = Object.create(BaseNode.prototype);
+
+SetPropertyNode.prototype.properties = ["property"];
+
+SetPropertyNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.EVENT, "in");
+	this.addInput(BaseNode.OBJECT, "object");
+	this.addInput(this.category, "value");
+	this.addOutput(BaseNode.EVENT, "out");
+};
+
+SetPropertyNode.prototype.execute = function(socket)
+{
+	var object = this.getTargetObject(this.getInput("object"));
+	var value = this.getInputValue(this.getInput("value"), null);
+
+	if (object !== null && value !== null)
+	{
+		var property = PropertyNode.resolve(object, this.property);
+		if (property !== null)
+		{
+			property.target[property.key] = value;
+		}
+	}
+
+	this.trigger(this.getOutput("out"));
+};
+
+SetPropertyNode.prototype.getTitle = function()
+{
+	return "set " + this.property;
+};
+
+SetPropertyNode.prototype.serialize = function(recursive)
+{
+	var data = BaseNode.prototype.serialize.call(this, recursive);
+
+	data.category = this.category;
+
+	return data;
+};
+
+SetPropertyNode.prototype.parse = function(data, root)
+{
+	BaseNode.prototype.parse.call(this, data, root);
+
+	this.category = data.category;
+};
+
+Object2D.register(SetPropertyNode, "SetPropertyNode");
+
+export {SetPropertyNode};
@@ -0,0 +1,70 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Set transform nodes change the position, rotation and scale of an object when executed.
+ *
+ * Only the transform inputs that are connected are applied to the object.
+ *
+ * If the object input is not connected the node script is used.
+ *
+ * @constructor
+ * @class SetTransformNode
+ */
+function SetTransformNode()
+{
+	BaseNode.call(this);
+
+	this.type = "SetTransformNode";
+
+	this.box.set(new Vector2(-60, -50), new Vector2(60, 50));
+}
+
+SetTransformNode.prototype = Object.create(BaseNode.prototype);
+
+SetTransformNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.EVENT, "in");
+	this.addInput(BaseNode.OBJECT, "object");
+	this.addInput(BaseNode.VECTOR, "position");
+	this.addInput(BaseNode.VECTOR, "rotation");
+	this.addInput(BaseNode.VECTOR, "scale");
+	this.addOutput(BaseNode.EVENT, "out");
+};
+
+SetTransformNode.prototype.execute = function(socket)
+{
+	var object = this.getTargetObject(this.getInput("object"));
+
+	if (object !== null)
+	{
+		var position = this.getInputValue(this.getInput("position"), null);
+		if (position !== null)
+		{
+			object.position.copy(position);
+		}
+
+		var rotation = this.getInputValue(this.getInput("rotation"), null);
+		if (rotation !== null)
+		{
+			object.rotation.set(rotation.x, rotation.y, rotation.z);
+		}
+
+		var scale = this.getInputValue(this.getInput("scale"), null);
+		if (scale !== null)
+		{
+			object.scale.copy(scale);
+		}
+	}
+
+	this.trigger(this.getOutput("out"));
+};
+
+SetTransformNode.prototype.getTitle = function()
+{
+	return "set transform";
+};
+
+Object2D.register(SetTransformNode, "SetTransformNode");
+
+export {SetTransformNode};
@@ -0,0 +1,47 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Split vector nodes decompose a 3D vector into its x, y and z components.
+ *
+ * @constructor
+ * @class SplitVectorNode
+ */
+function SplitVectorNode()
+{
+	BaseNode.call(this);
+
+	this.type = "SplitVectorNode";
+
+	this.box.set(new Vector2(-40, -40), new Vector2(40, 40));
+}
+
+SplitVectorNode.prototype = Object.create(BaseNode.prototype);
+
+SplitVectorNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.VECTOR, "v");
+	this.addOutput(BaseNode.NUMBER, "x");
+	this.addOutput(BaseNode.NUMBER, "y");
+	this.addOutput(BaseNode.NUMBER, "z");
+};
+
+SplitVectorNode.prototype.getOutputValue = function(socket)
+{
+	var vector = this.getInputValue(this.getInput("v"), null);
+	if (vector === null)
+	{
+		return 0;
+	}
+
+	return vector[socket.name];
+};
+
+SplitVectorNode.prototype.getTitle = function()
+{
+	return "split";
+};
+
+Object2D.register(SplitVectorNode, "SplitVectorNode");
+
+export {SplitVectorNode};
@@ -0,0 +1,124 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Timer nodes trigger an event after some time has passed since the timer was started.
+ *
+ * If loop is enabled the timer restarts after triggering, and keeps triggering until it is stopped.
+ *
+ * @constructor
+ * @class TimerNode
+ * @param {number} time Time in seconds until the event is triggered.
+ * @param {boolean} loop If true the timer restarts after triggering.
+ */
+function TimerNode(time, loop)
+{
+	BaseNode.call(this);
+
+	this.type = "TimerNode";
+
+	/**
+	 * Time in seconds until the event is triggered, used if the time input is not connected.
+	 *
+	 * @attribute time
+	 * @type {number}
+	 */
+	this.time = time !== undefined ? time : 1.0;
+
+	/**
+	 * If true the timer restarts after triggering.
+	 *
+	 * @attribute loop
+	 * @type {boolean}
+	 */
+	this.loop = loop !== undefined ? loop : false;
+
+	/**
+	 * Time elapsed since the timer was started, runtime variable.
+	 *
+	 * @attribute elapsed
+	 * @type {number}
+	 */
+	this.elapsed = 0;
+
+	/**
+	 * Indicates if the timer is running, runtime variable.
+	 *
+	 * @attribute running
+	 * @type {boolean}
+	 */
+	this.running = false;
+
+	this.box.set(new Vector2(-50, -40), new Vector2(50, 40));
+}
+
+TimerNode.prototype = Object.create(BaseNode.prototype);
+
+TimerNode.prototype.properties = ["time", "loop"];
+
+TimerNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.EVENT, "start");
+	this.addInput(BaseNode.EVENT, "stop");
+	this.addInput(BaseNode.NUMBER, "time");
+	this.addOutput(BaseNode.EVENT, "out");
+	this.addOutput(BaseNode.NUMBER, "elapsed");
+};
+
+TimerNode.prototype.initialize = function()
+{
+	this.elapsed = 0;
+	this.running = false;
+};
+
+TimerNode.prototype.execute = function(socket)
+{
+	if (socket.name === "start")
+	{
+		this.elapsed = 0;
+		this.running = true;
+	}
+	else if (socket.name === "stop")
+	{
+		this.running = false;
+	}
+};
+
+TimerNode.prototype.update = function(delta)
+{
+	if (!this.running)
+	{
+		return;
+	}
+
+	this.elapsed += delta;
+
+	var time = this.getInputValue(this.getInput("time"), this.time);
+	if (this.elapsed >= time)
+	{
+		if (this.loop)
+		{
+			this.elapsed = time > 0 ? this.elapsed % time : 0;
+		}
+		else
+		{
+			this.running = false;
+		}
+
+		this.trigger(this.getOutput("out"));
+	}
+};
+
+TimerNode.prototype.getOutputValue = function(socket)
+{
+	return this.elapsed;
+};
+
+TimerNode.prototype.getTitle = function()
+{
+	return "timer " + this.time + "s";
+};
+
+Object2D.register(TimerNode, "TimerNode");
+
+export {TimerNode};
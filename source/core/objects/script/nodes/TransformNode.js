@@ -0,0 +1,57 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {Vector3} from "three";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Transform nodes read the position, rotation and scale of an object.
+ *
+ * Rotation is provided as a vector with the euler angles in radians.
+ *
+ * If the object input is not connected the node script is used.
+ *
+ * @constructor
+ * @class TransformNode
+ */
+function TransformNode()
+{
+	BaseNode.call(this);
+
+	this.type = "TransformNode";
+
+	this.box.set(new Vector2(-60, -40), new Vector2(60, 40));
+}
+
+TransformNode.prototype = Object.create(BaseNode.prototype);
+
+TransformNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.OBJECT, "object");
+	this.addOutput(BaseNode.VECTOR, "position");
+	this.addOutput(BaseNode.VECTOR, "rotation");
+	this.addOutput(BaseNode.VECTOR, "scale");
+};
+
+TransformNode.prototype.getOutputValue = function(socket)
+{
+	var object = this.getTargetObject(this.getInput("object"));
+	if (object === null)
+	{
+		return null;
+	}
+
+	if (socket.name === "rotation")
+	{
+		return new Vector3(object.rotation.x, object.rotation.y, object.rotation.z);
+	}
+
+	return object[socket.name].clone();
+};
+
+TransformNode.prototype.getTitle = function()
+{
+	return "transform";
+};
+
+Object2D.register(TransformNode, "TransformNode");
+
+export {TransformNode};
@@ -0,0 +1,98 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Value nodes provide a constant value to other nodes in the graph.
+ *
+ * The value can be a number, a boolean or a string, the value can be changed by the user in the node editor.
+ *
+ * @constructor
+ * @class ValueNode
+ * @param {string} category Category of the value (number, boolean or string).
+ * @param {*} value Initial value of the node.
+ */
+function ValueNode(category, value)
+{
+	BaseNode.call(this);
+
+	this.type = "ValueNode";
+
+	/**
+	 * Category of the value output socket.
+	 *
+	 * @attribute category
+	 * @type {string}
+	 */
+	this.category = category !== undefined ? category : BaseNode.NUMBER;
+
+	/**
+	 * Value provided by this node.
+	 *
+	 * @attribute value
+	 * @type {*}
+	 */
+	this.value = value !== undefined ? value : ValueNode.getDefault(this.category);
+
+	this.box.set(new Vector2(-50, -25), new Vector2(50, 25));
+}
+
+ValueNode.prototype = Object.create(BaseNode.prototype);
+
+ValueNode.prototype.properties = ["value"];
+
+/**
+ * Get the default value for a category of values.
+ *
+ * @static
+ * @method getDefault
+ * @param {string} category Category of the value.
+ * @return {*} Default value for the category.
+ */
+ValueNode.getDefault = function(category)
+{
+	if (category === BaseNode.BOOLEAN)
+	{
+		return false;
+	}
+	else if (category === BaseNode.STRING)
+	{
+		return "";
+	}
+
+	return 0;
+};
+
+ValueNode.prototype.registerSockets = function()
+{
+	this.addOutput(this.category, "value");
+};
+
+ValueNode.prototype.getOutputValue = function(socket)
+{
+	return this.value;
+};
+
+ValueNode.prototype.getTitle = function()
+{
+	return String(this.value);
+};
+
+ValueNode.prototype.serialize = function(recursive)
+{
+	var data = BaseNode.prototype.serialize.call(this, recursive);
+
+	data.category = this.category;
+
+	return data;
+};
+
+ValueNode.prototype.parse = function(data, root)
+{
+	BaseNode.prototype.parse.call(this, data, root);
+
+	this.category = data.category;
+};
+
+Object2D.register(ValueNode, "ValueNode");
+
+export {ValueNode};
@@ -0,0 +1,44 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {Vector3} from "three";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Vector nodes compose a 3D vector from its x, y and z components.
+ *
+ * Components that are not connected are considered to be zero.
+ *
+ * @constructor
+ * @class VectorNode
+ */
+function VectorNode()
+{
+	BaseNode.call(this);
+
+	this.type = "VectorNode";
+
+	this.box.set(new Vector2(-40, -40), new Vector2(40, 40));
+}
+
+VectorNode.prototype = Object.create(BaseNode.prototype);
+
+VectorNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.NUMBER, "x");
+	this.addInput(BaseNode.NUMBER, "y");
+	this.addInput(BaseNode.NUMBER, "z");
+	this.addOutput(BaseNode.VECTOR, "v");
+};
+
+VectorNode.prototype.getOutputValue = function(socket)
+{
+	return new Vector3(this.getInputValue(this.getInput("x"), 0), this.getInputValue(this.getInput("y"), 0), this.getInputValue(this.getInput("z"), 0));
+};
+
+VectorNode.prototype.getTitle = function()
+{
+	return "vec3";
+};
+
+Object2D.register(VectorNode, "VectorNode");
+
+export {VectorNode};
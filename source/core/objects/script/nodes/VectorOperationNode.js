@@ -0,0 +1,196 @@
+import {Object2D, Vector2} from "escher.js/build/escher.module.js";
+import {Vector3} from "three";
+import {BaseNode} from "./BaseNode.js";
+
+/**
+ * Vector operation nodes are used for math operations with 3D vectors.
+ *
+ * Depending on the operation the inputs and the result can be vectors or numbers.
+ *
+ * @constructor
+ * @class VectorOperationNode
+ * @param {string} operation Vector operation to be performed.
+ */
+function VectorOperationNode(operation)
+{
+	BaseNode.call(this);
+
+	this.type = "VectorOperationNode";
+
+	/**
+	 * Vector operation performed by this node.
+	 *
+	 * @attribute operation
+	 * @type {string}
+	 */
+	this.operation = operation !== undefined ? operation : VectorOperationNode.ADD;
+
+	this.box.set(new Vector2(-50, -35), new Vector2(50, 35));
+}
+
+VectorOperationNode.prototype = Object.create(BaseNode.prototype);
+
+/**
+ * Add two vectors, the result is a vector.
+ *
+ * @static
+ * @attribute ADD
+ * @type {string}
+ */
+VectorOperationNode.ADD = "add";
+
+/**
+ * Subtract two vectors, the result is a vector.
+ *
+ * @static
+ * @attribute SUBTRACT
+ * @type {string}
+ */
+VectorOperationNode.SUBTRACT = "subtract";
+
+/**
+ * Multiply a vector by a number, the result is a vector.
+ *
+ * @static
+ * @attribute SCALE
+ * @type {string}
+ */
+VectorOperationNode.SCALE = "scale";
+
+/**
+ * Cross product of two vectors, the result is a vector.
+ *
+ * @static
+ * @attribute CROSS
+ * @type {string}
+ */
+VectorOperationNode.CROSS = "cross";
+
+/**
+ * Dot product of two vectors, the result is a number.
+ *
+ * @static
+ * @attribute DOT
+ * @type {string}
+ */
+VectorOperationNode.DOT = "dot";
+
+/**
+ * Distance between two vectors, the result is a number.
+ *
+ * @static
+ * @attribute DISTANCE
+ * @type {string}
+ */
+VectorOperationNode.DISTANCE = "distance";
+
+/**
+ * Length of a vector, the result is a number.
+ *
+ * @static
+ * @attribute LENGTH
+ * @type {string}
+ */
+VectorOperationNode.LENGTH = "length";
+
+/**
+ * Normalize a vector, the result is a vector.
+ *
+ * @static
+ * @attribute NORMALIZE
+ * @type {string}
+ */
+VectorOperationNode.NORMALIZE = "normalize";
+
+VectorOperationNode.prototype.registerSockets = function()
+{
+	this.addInput(BaseNode.VECTOR, "a");
+
+	if (this.operation === VectorOperationNode.SCALE)
+	{
+		this.addInput(BaseNode.NUMBER, "b");
+	}
+	else if (this.operation !== VectorOperationNode.LENGTH && this.operation !== VectorOperationNode.NORMALIZE)
+	{
+		this.addInput(BaseNode.VECTOR, "b");
+	}
+
+	if (this.operation === VectorOperationNode.DOT || this.operation === VectorOperationNode.DISTANCE || this.operation === VectorOperationNode.LENGTH)
+	{
+		this.addOutput(BaseNode.NUMBER, "r");
+	}
+	else
+	{
+		this.addOutput(BaseNode.VECTOR, "r");
+	}
+};
+
+VectorOperationNode.prototype.getOutputValue = function(socket)
+{
+	var a = this.getInputValue(this.getInput("a"), null);
+	a = a !== null ? new Vector3().copy(a) : new Vector3();
+
+	if (this.operation === VectorOperationNode.LENGTH)
+	{
+		return a.length();
+	}
+	else if (this.operation === VectorOperationNode.NORMALIZE)
+	{
+		return a.normalize();
+	}
+	else if (this.operation === VectorOperationNode.SCALE)
+	{
+		return a.multiplyScalar(this.getInputValue(this.getInput("b"), 1));
+	}
+
+	var b = this.getInputValue(this.getInput("b"), null);
+	b = b !== null ? new Vector3().copy(b) : new Vector3();
+
+	if (this.operation === VectorOperationNode.ADD)
+	{
+		return a.add(b);
+	}
+	else if (this.operation === VectorOperationNode.SUBTRACT)
+	{
+		return a.sub(b);
+	}
+	else if (this.operation === VectorOperationNode.CROSS)
+	{
+		return a.cross(b);
+	}
+	else if (this.operation === VectorOperationNode.DOT)
+	{
+		return a.dot(b);
+	}
+	else if (this.operation === VectorOperationNode.DISTANCE)
+	{
+		return a.distanceTo(b);
+	}
+
+	return null;
+};
+
+VectorOperationNode.prototype.getTitle = function()
+{
+	return this.operation;
+};
+
+VectorOperationNode.prototype.serialize = function(recursive)
+{
+	var data = BaseNode.prototype.serialize.call(this, recursive);
+
+	data.operation = this.operation;
+
+	return data;
+};
+
+VectorOperationNode.prototype.parse = function(data, root)
+{
+	BaseNode.prototype.parse.call(this, data, root);
+
+	this.operation = data.operation;
+};
+
+Object2D.register(VectorOperationNode, "VectorOperationNode");
+
+export {VectorOperationNode};
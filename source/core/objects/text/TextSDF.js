@@ -1,16 +1,263 @@
 import {Text} from "troika-three-text";
+import {Object3D} from "three";
+import {ArraybufferUtils} from "../../utils/binary/ArraybufferUtils.js";
 
-function TextSDF() 
+/**
+ * Text rendered using signed distance fields generated from the font glyphs (troika-three-text).
+ *
+ * The text stays sharp at any distance and is lighter than geometry based text (TextMesh). The layout is processed asynchronously and updated automatically before rendering.
+ *
+ * Fonts are provided by Font resources (TTF, OTF and WOFF), if no font is provided the default font of troika is used.
+ *
+ * The text class is declared as ES6 class, so it is created using Reflect.construct to keep the prototype of the TextSDF object.
+ *
+ * @class TextSDF
+ * @extends {Text}
+ * @param {string} text Text to display.
+ * @param {Font} font Font resource used to draw the text.
+ */
+function TextSDF(text, font)
 {
-	Text.call(this);
-
-	this.text = "text";
-	this.fontSize = 0.1;
-	this.color = 0xFFFFFF;
-	this.anchorX = "center";
-	this.anchorY = "middle";
-	this.rotation.set(Math.PI, Math.PI, Math.PI);
-	this.sync();
+	var self = Reflect.construct(Text, [], TextSDF);
+
+	self.name = "text";
+	self.type = "TextSDF";
+
+	/**
+	 * Font resource used to draw the text, if null the default font is used.
+	 *
+	 * The font url used by the text is generated from the font resource data.
+	 *
+	 * @property fontResource
+	 * @type {Font}
+	 */
+	self.fontResource = null;
+
+	self.text = text !== undefined ? text : "text";
+	self.fontSize = 0.1;
+	self.color = 0xFFFFFF;
+	self.anchorX = TextSDF.CENTER;
+	self.anchorY = TextSDF.MIDDLE;
+
+	self.setFont(font !== undefined ? font : null);
+
+	return self;
 }
 
 TextSDF.prototype = Object.create(Text.prototype);
+TextSDF.prototype.constructor = TextSDF;
+
+/**
+ * Text aligned to the left.
+ *
+ * @static
+ * @attribute LEFT
+ * @type {string}
+ */
+TextSDF.LEFT = "left";
+
+/**
+ * Text aligned to the center.
+ *
+ * @static
+ * @attribute CENTER
+ * @type {string}
+ */
+TextSDF.CENTER = "center";
+
+/**
+ * Text aligned to the right.
+ *
+ * @static
+ * @attribute RIGHT
+ * @type {string}
+ */
+TextSDF.RIGHT = "right";
+
+/**
+ * Text lines stretched to fill the max width (only for the text align).
+ *
+ * @static
+ * @attribute JUSTIFY
+ * @type {string}
+ */
+TextSDF.JUSTIFY = "justify";
+
+/**
+ * Text anchored at the top.
+ *
+ * @static
+ * @attribute TOP
+ * @type {string}
+ */
+TextSDF.TOP = "top";
+
+/**
+ * Text anchored at the middle.
+ *
+ * @static
+ * @attribute MIDDLE
+ * @type {string}
+ */
+TextSDF.MIDDLE = "middle";
+
+/**
+ * Text anchored at the bottom.
+ *
+ * @static
+ * @attribute BOTTOM
+ * @type {string}
+ */
+TextSDF.BOTTOM = "bottom";
+
+/**
+ * Object URLs created for each font resource, indexed by the font resource.
+ *
+ * @static
+ * @attribute FONT_URLS
+ * @type {WeakMap}
+ */
+TextSDF.FONT_URLS = new WeakMap();
+
+/**
+ * Get an URL that can be used by troika to load a font resource.
+ *
+ * Only binary fonts are supported, JSON (typeface) fonts do not have the glyph data required to generate the SDF.
+ *
+ * @static
+ * @method getFontURL
+ * @param {Font} font Font resource.
+ * @return {string} Object URL of the font data, null if the font is not supported.
+ */
+TextSDF.getFontURL = function(font)
+{
+	if (TextSDF.FONT_URLS.has(font))
+	{
+		return TextSDF.FONT_URLS.get(font);
+	}
+
+	var data = font.data;
+	if (font.format === "base64")
+	{
+		data = ArraybufferUtils.fromBase64(data);
+	}
+	else if (font.format !== "arraybuffer")
+	{
+		console.warn("nunuStudio: TextSDF only supports binary fonts (TTF, OTF, WOFF).", font);
+		return null;
+	}
+
+	var url = URL.createObjectURL(new Blob([data]));
+	TextSDF.FONT_URLS.set(font, url);
+
+	return url;
+};
+
+/**
+ * Set the font resource used to draw the text.
+ *
+ * @method setFont
+ * @param {Font} font Font resource, null to use the default font.
+ */
+TextSDF.prototype.setFont = function(font)
+{
+	this.fontResource = font;
+	this.font = font !== null ? TextSDF.getFontURL(font) : null;
+};
+
+/**
+ * Set the text to be displayed.
+ *
+ * @method setText
+ * @param {string} text Text to display.
+ */
+TextSDF.prototype.setText = function(text)
+{
+	this.text = text;
+};
+
+TextSDF.prototype.copy = function(source)
+{
+	Text.prototype.copy.call(this, source);
+
+	this.setFont(source.fontResource);
+
+	this.outlineWidth = source.outlineWidth;
+	this.outlineColor = source.outlineColor;
+	this.outlineOpacity = source.outlineOpacity;
+	this.outlineBlur = source.outlineBlur;
+
+	return this;
+};
+
+TextSDF.prototype.toJSON = function(meta)
+{
+	var font = this.fontResource;
+
+	// The glyph geometry and derived material are generated by the text, they should not be stored as resources
+	var proxy = Object.create(this, {
+		geometry: {value: undefined},
+		material: {value: undefined}
+	});
+
+	var data = Object3D.prototype.toJSON.call(proxy, meta, function(meta, object)
+	{
+		if (font !== null)
+		{
+			font = font.toJSON(meta);
+		}
+	});
+
+	data.object.text = this.text;
+	data.object.font = font !== null ? font.uuid : null;
+	data.object.fontSize = this.fontSize;
+	data.object.color = this.color;
+	data.object.colorRanges = this.colorRanges;
+	data.object.maxWidth = this.maxWidth !== Infinity ? this.maxWidth : null;
+	data.object.whiteSpace = this.whiteSpace;
+	data.object.overflowWrap = this.overflowWrap;
+	data.object.textAlign = this.textAlign;
+	data.object.anchorX = this.anchorX;
+	data.object.anchorY = this.anchorY;
+	data.object.letterSpacing = this.letterSpacing;
+	data.object.lineHeight = this.lineHeight;
+	data.object.outlineWidth = this.outlineWidth;
+	data.object.outlineColor = this.outlineColor;
+	data.object.outlineOpacity = this.outlineOpacity;
+	data.object.outlineBlur = this.outlineBlur;
+
+	return data;
+};
+
+/**
+ * Create a text object from serialized data.
+ *
+ * @static
+ * @method fromJSON
+ * @param {Object} data Serialized object data.
+ * @param {Font} font Font resource used by the text.
+ * @return {TextSDF} Text object.
+ */
+TextSDF.fromJSON = function(data, font)
+{
+	var object = new TextSDF(data.text, font);
+	object.fontSize = data.fontSize;
+	object.color = data.color;
+	object.colorRanges = data.colorRanges;
+	object.maxWidth = data.maxWidth !== null ? data.maxWidth : Infinity;
+	object.whiteSpace = data.whiteSpace;
+	object.overflowWrap = data.overflowWrap;
+	object.textAlign = data.textAlign;
+	object.anchorX = data.anchorX;
+	object.anchorY = data.anchorY;
+	object.letterSpacing = data.letterSpacing;
+	object.lineHeight = data.lineHeight;
+	object.outlineWidth = data.outlineWidth;
+	object.outlineColor = data.outlineColor;
+	object.outlineOpacity = data.outlineOpacity;
+	object.outlineBlur = data.outlineBlur;
+
+	return object;
+};
+
+export {TextSDF};
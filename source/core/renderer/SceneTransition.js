@@ -0,0 +1,328 @@
+import {Color, Scene, Mesh, OrthographicCamera, PlaneBufferGeometry, MeshBasicMaterial, DataTexture, RGBFormat, LinearFilter, Vector2} from "three";
+
+/**
+ * Scene transitions are used to change between scenes with a visual effect, they are passed to the Program.setScene method.
+ *
+ * The transition is updated and rendered by the program, while the transition is running the effect is drawn over the scenes using a full screen overlay.
+ *
+ * Transitions are not applied while running in XR, in that case the scene is changed immediately.
+ *
+ * @class SceneTransition
+ * @module Rendering
+ * @param {number} type Type of transition (FADE or CROSSFADE).
+ * @param {number} duration Duration of the transition in seconds.
+ * @param {number} color Color used by the fade transition in hex RGB.
+ */
+function SceneTransition(type, duration, color)
+{
+	/**
+	 * Type of the transition.
+	 *
+	 * @property type
+	 * @type {number}
+	 */
+	this.type = type !== undefined ? type : SceneTransition.FADE;
+
+	/**
+	 * Duration of the transition in seconds.
+	 *
+	 * @property duration
+	 * @type {number}
+	 */
+	this.duration = duration !== undefined ? duration : 1.0;
+
+	/**
+	 * Color used by the fade transition.
+	 *
+	 * @property color
+	 * @type {Color}
+	 */
+	this.color = new Color(color !== undefined ? color : 0x000000);
+
+	/**
+	 * Time elapsed since the transition started.
+	 *
+	 * @property time
+	 * @type {number}
+	 */
+	this.time = 0;
+
+	/**
+	 * Program where the transition is running.
+	 *
+	 * @property program
+	 * @type {Program}
+	 */
+	this.program = null;
+
+	/**
+	 * Scene being replaced.
+	 *
+	 * @property from
+	 * @type {Scene}
+	 */
+	this.from = null;
+
+	/**
+	 * Scene that replaces the current scene.
+	 *
+	 * @property to
+	 * @type {Scene}
+	 */
+	this.to = null;
+
+	/**
+	 * Indicates if the program scene was already changed to the new scene.
+	 *
+	 * @property switched
+	 * @type {boolean}
+	 */
+	this.switched = false;
+
+	/**
+	 * Callback called when the transition ends, receives the new scene as argument.
+	 *
+	 * @property onEnd
+	 * @type {Function}
+	 */
+	this.onEnd = null;
+
+	/**
+	 * Texture where the previous scene is copied to for the crossfade transition.
+	 *
+	 * @property texture
+	 * @type {DataTexture}
+	 */
+	this.texture = null;
+
+	this.material = new MeshBasicMaterial({transparent: true, depthTest: false, depthWrite: false, toneMapped: false});
+
+	this.camera = new OrthographicCamera(-1, 1, 1, -1, 0, 1);
+	this.scene = new Scene();
+	this.scene.add(new Mesh(new PlaneBufferGeometry(2, 2), this.material));
+}
+
+/**
+ * The current scene fades out to a color and the new scene fades in from that color.
+ *
+ * The scene is changed in the middle of the transition.
+ *
+ * @static
+ * @attribute FADE
+ * @type {number}
+ */
+SceneTransition.FADE = 0;
+
+/**
+ * The new scene is blended over the previous scene.
+ *
+ * The scene is changed at the start of the transition, the previous scene is not updated during the transition.
+ *
+ * @static
+ * @attribute CROSSFADE
+ * @type {number}
+ */
+SceneTransition.CROSSFADE = 1;
+
+/**
+ * Start the transition between the current program scene and a new scene.
+ *
+ * @method start
+ * @param {Program} program Program where the scene is changed.
+ * @param {Scene} scene Scene that replaces the current scene.
+ * @param {Function} onEnd Callback called when the transition ends.
+ */
+SceneTransition.prototype.start = function(program, scene, onEnd)
+{
+	this.program = program;
+	this.from = program.scene;
+	this.to = scene;
+	this.time = 0;
+	this.switched = false;
+	this.onEnd = onEnd !== undefined ? onEnd : null;
+
+	if (this.type === SceneTransition.CROSSFADE)
+	{
+		this.switch();
+	}
+};
+
+/**
+ * Change the program scene to the new scene.
+ *
+ * @method switch
+ */
+SceneTransition.prototype.switch = function()
+{
+	this.program.replaceScene(this.to);
+	this.switched = true;
+
+	// The previous scene is still rendered by the crossfade
+	if (this.type === SceneTransition.FADE)
+	{
+		this.from.dispose();
+	}
+};
+
+/**
+ * Update the transition time, changes the scene and ends the transition when necessary.
+ *
+ * @method update
+ * @param {number} delta Time since the last update.
+ */
+SceneTransition.prototype.update = function(delta)
+{
+	this.time += delta;
+
+	if (!this.switched && this.time >= this.duration / 2)
+	{
+		this.switch();
+	}
+
+	if (this.time >= this.duration)
+	{
+		this.end();
+	}
+};
+
+/**
+ * End the transition.
+ *
+ * @method end
+ */
+SceneTransition.prototype.end = function()
+{
+	if (!this.switched)
+	{
+		this.switch();
+	}
+
+	if (this.type === SceneTransition.CROSSFADE)
+	{
+		this.from.dispose();
+	}
+
+	this.program.transition = null;
+	this.dispose();
+
+	if (this.onEnd !== null)
+	{
+		this.onEnd(this.to);
+	}
+};
+
+/**
+ * Stop the transition without changing the scene, used when the program is disposed.
+ *
+ * The onEnd callback is not called. The previous scene is disposed if it was already replaced, the program scene is disposed by the program.
+ *
+ * @method cancel
+ */
+SceneTransition.prototype.cancel = function()
+{
+	if (this.switched && this.type === SceneTransition.CROSSFADE)
+	{
+		this.from.dispose();
+	}
+
+	this.program.transition = null;
+	this.dispose();
+};
+
+/**
+ * Get the progress of the transition.
+ *
+ * @method getProgress
+ * @return {number} Progress of the transition between 0 and 1.
+ */
+SceneTransition.prototype.getProgress = function()
+{
+	return this.duration > 0 ? Math.min(this.time / this.duration, 1) : 1;
+};
+
+/**
+ * Render the program scenes with the transition effect.
+ *
+ * @method render
+ * @param {WebGLRenderer} renderer Renderer used to draw the program.
+ */
+SceneTransition.prototype.render = function(renderer)
+{
+	var progress = this.getProgress();
+
+	if (this.type === SceneTransition.FADE)
+	{
+		this.program.renderScenes(renderer);
+
+		if (this.material.map !== null)
+		{
+			this.material.map = null;
+			this.material.needsUpdate = true;
+		}
+		this.material.color.copy(this.color);
+		this.material.opacity = 1 - Math.abs(progress * 2 - 1);
+	}
+	else if (this.type === SceneTransition.CROSSFADE)
+	{
+		var resolution = renderer.getDrawingBufferSize(new Vector2());
+
+		if (this.texture === null || this.texture.image.width !== resolution.x || this.texture.image.height !== resolution.y)
+		{
+			if (this.texture !== null)
+			{
+				this.texture.dispose();
+			}
+
+			this.texture = new DataTexture(new Uint8Array(resolution.x * resolution.y * 3), resolution.x, resolution.y, RGBFormat);
+			this.texture.minFilter = LinearFilter;
+			this.texture.magFilter = LinearFilter;
+			this.texture.generateMipmaps = false;
+			this.texture.encoding = renderer.outputEncoding;
+		}
+
+		// Copy the previous scene image and draw the new scene
+		this.from.render(renderer);
+		renderer.copyFramebufferToTexture(new Vector2(), this.texture);
+		this.program.renderScenes(renderer);
+
+		if (this.material.map !== this.texture)
+		{
+			this.material.map = this.texture;
+			this.material.needsUpdate = true;
+		}
+		this.material.color.setRGB(1, 1, 1);
+		this.material.opacity = 1 - progress;
+	}
+
+	// Draw overlay over the whole canvas
+	var autoClear = renderer.autoClear;
+	var size = renderer.getSize(new Vector2());
+
+	renderer.autoClear = false;
+	renderer.setScissorTest(false);
+	renderer.setViewport(0, 0, size.x, size.y);
+	renderer.setRenderTarget(null);
+	renderer.render(this.scene, this.camera);
+	renderer.autoClear = autoClear;
+};
+
+/**
+ * Dispose the resources used by the transition, called when the transition ends or is canceled.
+ *
+ * The transition can be used again after being disposed.
+ *
+ * @method dispose
+ */
+SceneTransition.prototype.dispose = function()
+{
+	if (this.texture !== null)
+	{
+		this.texture.dispose();
+		this.texture = null;
+	}
+
+	this.material.dispose();
+	this.scene.children[0].geometry.dispose();
+};
+
+export {SceneTransition};
@@ -0,0 +1,507 @@
+import {FileSystem} from "../FileSystem.js";
+import {Resource} from "./Resource.js";
+
+/**
+ * Animation state machine resource describes how the animation clips of an object are played and blended.
+ *
+ * The state machine is composed of parameters and layers. Each layer has a set of states bound to animation clips (or blend trees of clips) and transitions between these states controlled by the parameters.
+ *
+ * Clips are referenced by name, so the same state machine can be shared by multiple objects that have animations with the same names.
+ *
+ * Layers are evaluated from the first to the last, override layers replace the result of the layers bellow for the bones in their mask and additive layers are added on top of it.
+ *
+ * The state machine only stores the description of the animation, it is played by the AnimationMixer using an AnimationStateMachinePlayer.
+ *
+ * @class AnimationStateMachine
+ * @extends {Resource}
+ * @module Resources
+ * @param {string} name Name of the state machine.
+ */
+function AnimationStateMachine(name)
+{
+	Resource.call(this, name !== undefined ? name : "state machine", "AnimationStateMachine");
+
+	this.format = "json";
+	this.encoding = "json";
+
+	/**
+	 * Parameters used to control the transitions and blend trees.
+	 *
+	 * Each parameter is stored as {name, type, value}, the value stored is the initial value of the parameter.
+	 *
+	 * @property parameters
+	 * @type {Array}
+	 */
+	this.parameters = [];
+
+	/**
+	 * Animation layers, each layer is stored as {name, weight, blending, mask, defaultState, states, transitions}.
+	 *
+	 * The mask contains the names of the bones (or objects) animated by the layer, the children of these bones are also included. If the mask is empty all bones are animated.
+	 *
+	 * @property layers
+	 * @type {Array}
+	 */
+	this.layers = [];
+
+	this.addLayer("base");
+}
+
+AnimationStateMachine.prototype = Object.create(Resource.prototype);
+
+/**
+ * Float parameter.
+ *
+ * @static
+ * @attribute FLOAT
+ * @type {string}
+ */
+AnimationStateMachine.FLOAT = "float";
+
+/**
+ * Integer parameter.
+ *
+ * @static
+ * @attribute INT
+ * @type {string}
+ */
+AnimationStateMachine.INT = "int";
+
+/**
+ * Boolean parameter.
+ *
+ * @static
+ * @attribute BOOL
+ * @type {string}
+ */
+AnimationStateMachine.BOOL = "bool";
+
+/**
+ * Trigger parameter, a boolean that is reset after being used by a transition.
+ *
+ * @static
+ * @attribute TRIGGER
+ * @type {string}
+ */
+AnimationStateMachine.TRIGGER = "trigger";
+
+/**
+ * State that plays a single animation clip.
+ *
+ * @static
+ * @attribute CLIP
+ * @type {string}
+ */
+AnimationStateMachine.CLIP = "clip";
+
+/**
+ * State that blends multiple clips using one parameter, each clip has a threshold value (x).
+ *
+ * @static
+ * @attribute BLEND_1D
+ * @type {string}
+ */
+AnimationStateMachine.BLEND_1D = "blend1d";
+
+/**
+ * State that blends multiple clips using two parameters, each clip has a position (x, y).
+ *
+ * @static
+ * @attribute BLEND_2D
+ * @type {string}
+ */
+AnimationStateMachine.BLEND_2D = "blend2d";
+
+/**
+ * Layer replaces the animation of the layers bellow.
+ *
+ * @static
+ * @attribute OVERRIDE
+ * @type {string}
+ */
+AnimationStateMachine.OVERRIDE = "override";
+
+/**
+ * Layer is added on top of the animation of the layers bellow, the clips are converted to additive relative to their first frame.
+ *
+ * @static
+ * @attribute ADDITIVE
+ * @type {string}
+ */
+AnimationStateMachine.ADDITIVE = "additive";
+
+/**
+ * Name used as origin state of transitions that can be triggered from any state.
+ *
+ * @static
+ * @attribute ANY
+ * @type {string}
+ */
+AnimationStateMachine.ANY = "*";
+
+/**
+ * Condition verified if the parameter is greater than the condition value.
+ *
+ * @static
+ * @attribute GREATER
+ * @type {string}
+ */
+AnimationStateMachine.GREATER = "greater";
+
+/**
+ * Condition verified if the parameter is less than the condition value.
+ *
+ * @static
+ * @attribute LESS
+ * @type {string}
+ */
+AnimationStateMachine.LESS = "less";
+
+/**
+ * Condition verified if the parameter is equal to the condition value.
+ *
+ * @static
+ * @attribute EQUALS
+ * @type {string}
+ */
+AnimationStateMachine.EQUALS = "equals";
+
+/**
+ * Condition verified if the parameter is not equal to the condition value.
+ *
+ * @static
+ * @attribute NOT_EQUALS
+ * @type {string}
+ */
+AnimationStateMachine.NOT_EQUALS = "notEquals";
+
+/**
+ * Condition verified if the boolean or trigger parameter is true.
+ *
+ * @static
+ * @attribute IF
+ * @type {string}
+ */
+AnimationStateMachine.IF = "if";
+
+/**
+ * Condition verified if the boolean or trigger parameter is false.
+ *
+ * @static
+ * @attribute IF_NOT
+ * @type {string}
+ */
+AnimationStateMachine.IF_NOT = "ifNot";
+
+/**
+ * Add a new parameter to the state machine.
+ *
+ * @method addParameter
+ * @param {string} name Name of the parameter, should be unique.
+ * @param {string} type Type of the parameter.
+ * @param {number | boolean} value Initial value of the parameter.
+ * @return {Object} The parameter created.
+ */
+AnimationStateMachine.prototype.addParameter = function(name, type, value)
+{
+	type = type !== undefined ? type : AnimationStateMachine.FLOAT;
+
+	if (value === undefined)
+	{
+		value = type === AnimationStateMachine.BOOL || type === AnimationStateMachine.TRIGGER ? false : 0;
+	}
+
+	var parameter = {name: name, type: type, value: value};
+	this.parameters.push(parameter);
+
+	return parameter;
+};
+
+/**
+ * Get a parameter by its name.
+ *
+ * @method getParameter
+ * @param {string} name Name of the parameter.
+ * @return {Object} The parameter, null if not found.
+ */
+AnimationStateMachine.prototype.getParameter = function(name)
+{
+	for (var i = 0; i < this.parameters.length; i++)
+	{
+		if (this.parameters[i].name === name)
+		{
+			return this.parameters[i];
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Add a new layer to the state machine.
+ *
+ * @method addLayer
+ * @param {string} name Name of the layer.
+ * @return {Object} The layer created.
+ */
+AnimationStateMachine.prototype.addLayer = function(name)
+{
+	var layer =
+	{
+		name: name,
+		weight: 1.0,
+		blending: AnimationStateMachine.OVERRIDE,
+		mask: [],
+		defaultState: null,
+		states: [],
+		transitions: []
+	};
+
+	this.layers.push(layer);
+
+	return layer;
+};
+
+/**
+ * Add a new state to a layer, the first state added to the layer is used as default state.
+ *
+ * @method addState
+ * @param {Object} layer Layer where the state is added.
+ * @param {string} name Name of the state, should be unique in the layer.
+ * @param {string} clip Name of the animation clip played by the state.
+ * @return {Object} The state created.
+ */
+AnimationStateMachine.prototype.addState = function(layer, name, clip)
+{
+	var state =
+	{
+		name: name,
+		type: AnimationStateMachine.CLIP,
+		clip: clip !== undefined ? clip : "",
+		parameterX: "",
+		parameterY: "",
+		children: [],
+		speed: 1.0,
+		loop: true
+	};
+
+	layer.states.push(state);
+
+	if (layer.defaultState === null)
+	{
+		layer.defaultState = name;
+	}
+
+	return state;
+};
+
+/**
+ * Add a clip to a blend tree state.
+ *
+ * @method addBlendChild
+ * @param {Object} state Blend tree state.
+ * @param {string} clip Name of the animation clip.
+ * @param {number} x Threshold of the clip for 1D blend trees, position in x for 2D blend trees.
+ * @param {number} y Position in y for 2D blend trees.
+ * @return {Object} The blend tree child created.
+ */
+AnimationStateMachine.prototype.addBlendChild = function(state, clip, x, y)
+{
+	var child = {clip: clip, x: x !== undefined ? x : 0, y: y !== undefined ? y : 0};
+	state.children.push(child);
+
+	return child;
+};
+
+/**
+ * Get a state from a layer by its name.
+ *
+ * @method getState
+ * @param {Object} layer Layer to search.
+ * @param {string} name Name of the state.
+ * @return {Object} The state, null if not found.
+ */
+AnimationStateMachine.prototype.getState = function(layer, name)
+{
+	for (var i = 0; i < layer.states.length; i++)
+	{
+		if (layer.states[i].name === name)
+		{
+			return layer.states[i];
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Add a transition between two states of a layer.
+ *
+ * Transitions without conditions are only triggered by exit time, if no exit time is defined they leave the state when it reaches its end.
+ *
+ * @method addTransition
+ * @param {Object} layer Layer of the states.
+ * @param {string} from Name of the origin state, or ANY to allow the transition from any state.
+ * @param {string} to Name of the destination state.
+ * @param {number} duration Crossfade duration in seconds.
+ * @return {Object} The transition created.
+ */
+AnimationStateMachine.prototype.addTransition = function(layer, from, to, duration)
+{
+	var transition =
+	{
+		from: from,
+		to: to,
+		duration: duration !== undefined ? duration : 0.25,
+		exitTime: null,
+		conditions: []
+	};
+
+	layer.transitions.push(transition);
+
+	return transition;
+};
+
+/**
+ * Add a condition to a transition, the transition is only triggered if all its conditions are verified.
+ *
+ * @method addCondition
+ * @param {Object} transition Transition where the condition is added.
+ * @param {string} parameter Name of the parameter.
+ * @param {string} mode Comparison mode.
+ * @param {number} value Value compared with the parameter.
+ * @return {Object} The condition created.
+ */
+AnimationStateMachine.prototype.addCondition = function(transition, parameter, mode, value)
+{
+	var condition = {parameter: parameter, mode: mode !== undefined ? mode : AnimationStateMachine.IF, value: value !== undefined ? value : 0};
+	transition.conditions.push(condition);
+
+	return condition;
+};
+
+/**
+ * Remove a state from a layer, transitions from or to the state are also removed.
+ *
+ * @method removeState
+ * @param {Object} layer Layer of the state.
+ * @param {Object} state State to be removed.
+ */
+AnimationStateMachine.prototype.removeState = function(layer, state)
+{
+	var index = layer.states.indexOf(state);
+	if (index !== -1)
+	{
+		layer.states.splice(index, 1);
+	}
+
+	layer.transitions = layer.transitions.filter(function(transition)
+	{
+		return transition.from !== state.name && transition.to !== state.name;
+	});
+
+	if (layer.defaultState === state.name)
+	{
+		layer.defaultState = layer.states.length > 0 ? layer.states[0].name : null;
+	}
+};
+
+/**
+ * Get the names of all clips used by the states of the state machine.
+ *
+ * @method getClips
+ * @return {Array} Names of the clips.
+ */
+AnimationStateMachine.prototype.getClips = function()
+{
+	var clips = [];
+
+	function add(clip)
+	{
+		if (clip !== "" && clips.indexOf(clip) === -1)
+		{
+			clips.push(clip);
+		}
+	}
+
+	for (var i = 0; i < this.layers.length; i++)
+	{
+		var states = this.layers[i].states;
+		for (var j = 0; j < states.length; j++)
+		{
+			if (states[j].type === AnimationStateMachine.CLIP)
+			{
+				add(states[j].clip);
+			}
+			else
+			{
+				for (var k = 0; k < states[j].children.length; k++)
+				{
+					add(states[j].children[k].clip);
+				}
+			}
+		}
+	}
+
+	return clips;
+};
+
+/**
+ * Export the state machine description to a JSON file.
+ *
+ * @method export
+ * @param {string} fname File name or file path.
+ */
+AnimationStateMachine.prototype.export = function(fname)
+{
+	FileSystem.writeFile(fname, JSON.stringify(this.toJSON()));
+};
+
+/**
+ * Serialize the state machine to JSON.
+ *
+ * @method toJSON
+ * @param {Object} meta
+ * @return {Object} data
+ */
+AnimationStateMachine.prototype.toJSON = function(meta)
+{
+	if (meta !== undefined && meta.resources[this.uuid] !== undefined)
+	{
+		return meta.resources[this.uuid];
+	}
+
+	var data = Resource.prototype.toJSON.call(this, meta);
+
+	data.format = this.format;
+	data.encoding = this.encoding;
+	data.parameters = JSON.parse(JSON.stringify(this.parameters));
+	data.layers = JSON.parse(JSON.stringify(this.layers));
+
+	if (meta !== undefined)
+	{
+		meta.resources[this.uuid] = data;
+	}
+
+	return data;
+};
+
+/**
+ * Create a state machine from serialized data.
+ *
+ * @static
+ * @method fromJSON
+ * @param {Object} data Serialized state machine.
+ * @return {AnimationStateMachine} State machine resource.
+ */
+AnimationStateMachine.fromJSON = function(data)
+{
+	var machine = new AnimationStateMachine(data.name);
+	machine.uuid = data.uuid;
+	machine.parameters = JSON.parse(JSON.stringify(data.parameters));
+	machine.layers = JSON.parse(JSON.stringify(data.layers));
+
+	return machine;
+};
+
+export {AnimationStateMachine};
@@ -0,0 +1,268 @@
+import {Vector2} from "three";
+import {FileSystem} from "../FileSystem.js";
+import {ParticleEmitter} from "../objects/particle/ParticleEmitter.js";
+import {ParticleGroup} from "../objects/particle/core/ParticleGroup.js";
+import {ParticleEmitterControl} from "../objects/particle/core/ParticleEmitterControl.js";
+import {Resource} from "./Resource.js";
+
+/**
+ * Particle preset resource stores the settings of a particle emitter, so that the same effect can be reused by multiple particle emitters.
+ *
+ * The preset stores the group, emitter, sub emitter and trail settings. The texture is not part of the preset, particle emitters keep their own texture when the preset is applied.
+ *
+ * Presets are stored as JSON files and can be exported and imported between projects.
+ *
+ * @class ParticlePreset
+ * @extends {Resource}
+ * @module Resources
+ * @param {string} name Name of the preset.
+ */
+function ParticlePreset(name)
+{
+	Resource.call(this, name !== undefined ? name : "particle", "ParticlePreset");
+
+	this.format = "json";
+	this.encoding = "json";
+
+	/**
+	 * Serialized particle group settings, without the texture.
+	 *
+	 * Attributes missing from the group use the defaults of the ParticleGroup.
+	 *
+	 * @property group
+	 * @type {Object}
+	 */
+	this.group = JSON.parse(JSON.stringify(ParticleEmitter.defaultGroup));
+	delete this.group.texture;
+
+	/**
+	 * Serialized particle emitter control settings.
+	 *
+	 * Attributes missing from the emitter use the defaults of the ParticleEmitterControl.
+	 *
+	 * @property emitter
+	 * @type {Object}
+	 */
+	this.emitter = JSON.parse(JSON.stringify(ParticleEmitter.defaultEmitter));
+
+	/**
+	 * Settings of the particle emitter object, stored for each attribute in ParticlePreset.attributes.
+	 *
+	 * @property settings
+	 * @type {Object}
+	 */
+	this.settings =
+	{
+		subEmitter: ParticleEmitter.SUB_EMITTER_NONE,
+		subEmitterCount: 10,
+		renderMode: ParticleEmitter.POINTS,
+		trailLength: 0.5,
+		trailSegments: 8,
+		trailWidth: 0.1
+	};
+}
+
+ParticlePreset.prototype = Object.create(Resource.prototype);
+
+/**
+ * Attributes of the particle emitter object stored in the preset settings.
+ *
+ * @static
+ * @attribute attributes
+ * @type {Array}
+ */
+ParticlePreset.attributes = ["subEmitter", "subEmitterCount", "renderMode", "trailLength", "trailSegments", "trailWidth"];
+
+/**
+ * Copy the settings of a particle emitter into the preset.
+ *
+ * @method copy
+ * @param {ParticleEmitter} particle Particle emitter to copy the settings from.
+ * @return {ParticlePreset} This preset.
+ */
+ParticlePreset.prototype.copy = function(particle)
+{
+	this.group = particle.group.toJSON();
+	delete this.group.texture.value;
+
+	this.emitter = particle.emitter.toJSON();
+	delete this.emitter.uuid;
+
+	this.settings = {};
+	for (var i = 0; i < ParticlePreset.attributes.length; i++)
+	{
+		var attribute = ParticlePreset.attributes[i];
+		this.settings[attribute] = particle[attribute];
+	}
+
+	return this;
+};
+
+/**
+ * Set the particle emitter settings of the preset, attributes missing from the settings object are not changed.
+ *
+ * @method setSettings
+ * @param {Object} settings Particle emitter settings.
+ */
+ParticlePreset.prototype.setSettings = function(settings)
+{
+	if (settings !== undefined)
+	{
+		for (var i = 0; i < ParticlePreset.attributes.length; i++)
+		{
+			var attribute = ParticlePreset.attributes[i];
+			if (settings[attribute] !== undefined)
+			{
+				this.settings[attribute] = settings[attribute];
+			}
+		}
+	}
+};
+
+/**
+ * Get the options used to create a particle group from the preset.
+ *
+ * @method getGroupOptions
+ * @param {Texture} texture Texture used by the particle group.
+ * @return {Object} Particle group options.
+ */
+ParticlePreset.prototype.getGroupOptions = function(texture)
+{
+	var group = JSON.parse(JSON.stringify(this.group));
+
+	if (group.texture === undefined)
+	{
+		group.texture = {};
+	}
+
+	group.texture.value = texture !== undefined ? texture : null;
+	group.texture.frames = new Vector2().fromArray(group.texture.frames || [1, 1]);
+
+	return group;
+};
+
+/**
+ * Get the options used to create a particle emitter control from the preset.
+ *
+ * @method getEmitterOptions
+ * @return {Object} Particle emitter control options.
+ */
+ParticlePreset.prototype.getEmitterOptions = function()
+{
+	return ParticleEmitter.parseEmitter(JSON.parse(JSON.stringify(this.emitter)));
+};
+
+/**
+ * Apply the preset to a particle emitter, the particle emitter keeps its texture.
+ *
+ * The group and emitter of the particle emitter are replaced.
+ *
+ * @method apply
+ * @param {ParticleEmitter} particle Particle emitter to apply the preset to.
+ */
+ParticlePreset.prototype.apply = function(particle)
+{
+	var texture = particle.group.texture;
+	particle.group.dispose();
+
+	particle.group = new ParticleGroup(this.getGroupOptions(texture));
+	particle.emitter = new ParticleEmitterControl(this.getEmitterOptions());
+	particle.group.addEmitter(particle.emitter);
+
+	for (var i in this.settings)
+	{
+		particle[i] = this.settings[i];
+	}
+
+	particle.updateRenderMode();
+};
+
+/**
+ * Create a new particle emitter from the preset.
+ *
+ * @method createParticle
+ * @param {Texture} texture Texture used by the particle emitter.
+ * @return {ParticleEmitter} Particle emitter created.
+ */
+ParticlePreset.prototype.createParticle = function(texture)
+{
+	var particle = new ParticleEmitter(this.getGroupOptions(texture), this.getEmitterOptions());
+	particle.name = this.name;
+
+	for (var i in this.settings)
+	{
+		particle[i] = this.settings[i];
+	}
+
+	particle.updateRenderMode();
+
+	return particle;
+};
+
+/**
+ * Export the preset to a JSON file.
+ *
+ * @method export
+ * @param {string} fname File name or file path.
+ */
+ParticlePreset.prototype.export = function(fname)
+{
+	FileSystem.writeFile(fname, JSON.stringify(this.toJSON()));
+};
+
+/**
+ * Serialize the preset to JSON.
+ *
+ * @method toJSON
+ * @param {Object} meta
+ * @return {Object} data
+ */
+ParticlePreset.prototype.toJSON = function(meta)
+{
+	if (meta !== undefined && meta.resources[this.uuid] !== undefined)
+	{
+		return meta.resources[this.uuid];
+	}
+
+	var data = Resource.prototype.toJSON.call(this, meta);
+
+	data.format = this.format;
+	data.encoding = this.encoding;
+	data.group = JSON.parse(JSON.stringify(this.group));
+	data.emitter = JSON.parse(JSON.stringify(this.emitter));
+	data.settings = JSON.parse(JSON.stringify(this.settings));
+
+	if (meta !== undefined)
+	{
+		meta.resources[this.uuid] = data;
+	}
+
+	return data;
+};
+
+/**
+ * Create a preset from serialized data.
+ *
+ * @static
+ * @method fromJSON
+ * @param {Object} data Serialized preset.
+ * @return {ParticlePreset} Particle preset resource.
+ */
+ParticlePreset.fromJSON = function(data)
+{
+	var preset = new ParticlePreset(data.name);
+
+	if (data.uuid !== undefined)
+	{
+		preset.uuid = data.uuid;
+	}
+
+	preset.group = JSON.parse(JSON.stringify(data.group));
+	preset.emitter = JSON.parse(JSON.stringify(data.emitter));
+
+	preset.setSettings(data.settings);
+
+	return preset;
+};
+
+export {ParticlePreset};
@@ -0,0 +1,723 @@
+import {Math as TMath} from "three";
+import {FileSystem} from "../FileSystem.js";
+import {ObjectLoader} from "../loaders/ObjectLoader.js";
+import {PhysicsConstraint} from "../objects/physics/PhysicsConstraint.js";
+import {ResourceContainer} from "./ResourceContainer.js";
+import {Resource} from "./Resource.js";
+
+/**
+ * Prefab resource stores an object hierarchy that can be reused as a template to create multiple instances of the same object.
+ *
+ * The root of each instance keeps a reference to the prefab and a list of the attributes that were changed in the instance (overrides). When the prefab changes its instances can be updated, overridden attributes keep the value of the instance.
+ *
+ * Objects of the hierarchy are identified by their prefabId, the root object of the prefab does not need an id. Instances of other prefabs placed inside of a prefab are handled as a single object, their children are always taken from the prefab data.
+ *
+ * Prefabs can be instantiated from scripts using program.instantiate().
+ *
+ * @class Prefab
+ * @extends {Resource}
+ * @module Resources
+ * @param {string} name Name of the prefab.
+ */
+function Prefab(name)
+{
+	Resource.call(this, name !== undefined ? name : "prefab", "Prefab");
+
+	this.format = "json";
+	this.encoding = "json";
+
+	/**
+	 * Object hierarchy serialized in the same format used by Object3D.toJSON().
+	 *
+	 * The resources used by the objects are stored in the program, the data only keeps their uuids in the references attribute (uuids indexed by library) and they are resolved from the program when the prefab is instantiated.
+	 *
+	 * The data is never changed in place, a new object is created every time the prefab is changed.
+	 *
+	 * @property data
+	 * @type {Object}
+	 */
+	this.data = null;
+}
+
+Prefab.prototype = Object.create(Resource.prototype);
+
+/**
+ * Attributes of the serialized objects that are not compared when looking for overrides.
+ *
+ * @static
+ * @attribute ignore
+ * @type {Array}
+ */
+Prefab.ignore = ["uuid", "children", "folded", "locked", "prefab", "prefabId", "prefabOverrides"];
+
+/**
+ * Attributes of the root object that belong to the instance and are never considered overrides.
+ *
+ * @static
+ * @attribute instanceAttributes
+ * @type {Array}
+ */
+Prefab.instanceAttributes = ["name", "position", "quaternion", "scale"];
+
+/**
+ * Libraries of resources stored in the data of the prefab, resources of the other libraries are referenced by uuid.
+ *
+ * Skeletons belong to the objects that use them.
+ *
+ * @static
+ * @attribute embeddedLibraries
+ * @type {Array}
+ */
+Prefab.embeddedLibraries = ["skeletons"];
+
+/**
+ * Set the object hierarchy stored in the prefab.
+ *
+ * Objects without a prefabId get one. The object becomes an instance of the prefab.
+ *
+ * @method setObject
+ * @param {Object3D} object Root object of the hierarchy.
+ */
+Prefab.prototype.setObject = function(object)
+{
+	this.data = this.serialize(object);
+
+	object.prefab = this;
+	object.prefabOverrides = [];
+};
+
+/**
+ * Serialize an object hierarchy into the format stored in the prefab data, used to create or change the prefab.
+ *
+ * Objects of the hierarchy without a prefabId (or with a repeated prefabId) get a new one. If the prefab already has data the transform of its root is kept.
+ *
+ * @method serialize
+ * @param {Object3D} object Root object of the hierarchy.
+ * @param {boolean} embed If true the resources used by the objects are stored in the data instead of their uuids, used to export the prefab.
+ * @return {Object} Serialized object data.
+ */
+Prefab.prototype.serialize = function(object, embed)
+{
+	var ids = {};
+
+	Prefab.traverse(object, function(child)
+	{
+		if (child.prefabId === null || ids[child.prefabId] !== undefined)
+		{
+			child.prefabId = TMath.generateUUID();
+		}
+
+		ids[child.prefabId] = true;
+	});
+
+	var data = object.toJSON();
+	var root = data.object;
+
+	delete root.prefab;
+	delete root.prefabId;
+	delete root.prefabOverrides;
+
+	if (this.data !== null)
+	{
+		for (var i = 0; i < Prefab.instanceAttributes.length; i++)
+		{
+			root[Prefab.instanceAttributes[i]] = this.data.object[Prefab.instanceAttributes[i]];
+		}
+	}
+
+	// The prefab is referenced by its own root
+	data.resources = data.resources.filter(function(resource)
+	{
+		return resource.uuid !== this.uuid;
+	}, this);
+
+	if (embed !== true)
+	{
+		data.references = {};
+
+		for (var k = 0; k < ResourceContainer.libraries.length; k++)
+		{
+			var library = ResourceContainer.libraries[k];
+
+			if (Prefab.embeddedLibraries.indexOf(library) === -1 && data[library] !== undefined)
+			{
+				if (data[library].length > 0)
+				{
+					data.references[library] = data[library].map(function(resource)
+					{
+						return resource.uuid;
+					});
+				}
+
+				delete data[library];
+			}
+		}
+	}
+
+	return data;
+};
+
+/**
+ * Get the uuids of the resources used by the prefab, these are stored in the program.
+ *
+ * @method getReferences
+ * @return {Object} Lists of uuids indexed by library.
+ */
+Prefab.prototype.getReferences = function()
+{
+	return this.data !== null && this.data.references !== undefined ? this.data.references : {};
+};
+
+/**
+ * Compare an instance of the prefab with the prefab data to get the attributes overridden in the instance.
+ *
+ * Each override is stored as {id, property}, the id is the prefabId of the object (null for the root object) and property is the name of the serialized attribute.
+ *
+ * @method getOverrides
+ * @param {Object3D} instance Root object of the instance.
+ * @return {Array} Overrides of the instance.
+ */
+Prefab.prototype.getOverrides = function(instance)
+{
+	var overrides = [];
+	var source = instance.toJSON().object;
+
+	var objects = Prefab.getObjects(source);
+	var prefabObjects = Prefab.getObjects(this.data.object);
+
+	// Objects referenced by the instance are compared using their uuid in the prefab
+	var uuids = {};
+	uuids[source.uuid] = this.data.object.uuid;
+
+	for (var id in objects)
+	{
+		if (prefabObjects[id] !== undefined)
+		{
+			uuids[objects[id].uuid] = prefabObjects[id].uuid;
+		}
+	}
+
+	Prefab.updateReferences(source, uuids);
+
+	Prefab.compare(this.data.object, source, null, overrides);
+
+	for (var id in prefabObjects)
+	{
+		if (objects[id] !== undefined)
+		{
+			Prefab.compare(prefabObjects[id], objects[id], id, overrides);
+		}
+	}
+
+	return overrides;
+};
+
+/**
+ * Update the list of overrides stored in an instance of the prefab.
+ *
+ * @method updateOverrides
+ * @param {Object3D} instance Root object of the instance.
+ */
+Prefab.prototype.updateOverrides = function(instance)
+{
+	instance.prefabOverrides = this.getOverrides(instance);
+};
+
+/**
+ * Create a new instance of the prefab.
+ *
+ * If an instance is passed the new object is an updated copy of it, it keeps the name, transform, uuids and overrides of the instance and the objects added to the instance. The instance passed is not changed, it can be replaced by the new object.
+ *
+ * The resources referenced by the prefab are taken from the container.
+ *
+ * @method instantiate
+ * @param {ResourceContainer} container Resource container (usually the program) with the resources used by the prefab.
+ * @param {Object3D} instance Instance of the prefab to be updated, optional.
+ * @param {Array} overrides Overrides kept from the instance, by default the overrides stored in the instance are used.
+ * @return {Object3D} Instance of the prefab.
+ */
+Prefab.prototype.instantiate = function(container, instance, overrides)
+{
+	var json = JSON.parse(JSON.stringify(this.data));
+	var prefabObjects = Prefab.getObjects(json.object);
+	var keep = {};
+	var uuids = {};
+
+	if (instance !== undefined)
+	{
+		var data = instance.toJSON();
+		var source = data.object;
+		var objects = Prefab.getObjects(source);
+
+		Prefab.mergeResources(json, data, this.uuid);
+
+		// Overrides
+		if (overrides === undefined)
+		{
+			overrides = instance.prefabOverrides !== null ? instance.prefabOverrides : [];
+		}
+
+		for (var i = 0; i < overrides.length; i++)
+		{
+			var target = overrides[i].id === null ? json.object : prefabObjects[overrides[i].id];
+			var value = overrides[i].id === null ? source : objects[overrides[i].id];
+
+			if (target !== undefined && value !== undefined)
+			{
+				if (value[overrides[i].property] !== undefined)
+				{
+					target[overrides[i].property] = value[overrides[i].property];
+				}
+				else
+				{
+					delete target[overrides[i].property];
+				}
+			}
+		}
+
+		for (var i = 0; i < Prefab.instanceAttributes.length; i++)
+		{
+			json.object[Prefab.instanceAttributes[i]] = source[Prefab.instanceAttributes[i]];
+		}
+
+		// Objects added to the instance
+		Prefab.traverseData(source, function(child, parent)
+		{
+			if (child.prefabId === undefined || prefabObjects[child.prefabId] === undefined)
+			{
+				var target = parent === source ? json.object : prefabObjects[parent.prefabId];
+
+				if (target !== undefined)
+				{
+					if (target.children === undefined)
+					{
+						target.children = [];
+					}
+
+					target.children.push(child);
+					keepObject(child);
+				}
+
+				return false;
+			}
+		});
+
+		Prefab.traverse(instance, function(child)
+		{
+			if (child.prefabId !== null)
+			{
+				uuids[child.prefabId] = child.uuid;
+			}
+		});
+	}
+
+	var object = Prefab.parse(json, container);
+
+	// Uuids of the objects in the prefab data, used to update the references to these objects
+	var previous = [];
+
+	object.traverse(function(child)
+	{
+		previous.push(child.uuid);
+
+		if (keep[child.uuid] !== true)
+		{
+			child.uuid = TMath.generateUUID();
+		}
+	});
+
+	Prefab.traverse(object, function(child)
+	{
+		if (uuids[child.prefabId] !== undefined)
+		{
+			child.uuid = uuids[child.prefabId];
+		}
+	});
+
+	if (instance !== undefined)
+	{
+		object.uuid = instance.uuid;
+		object.prefabId = instance.prefabId;
+	}
+
+	var references = {};
+	var index = 0;
+
+	object.traverse(function(child)
+	{
+		references[previous[index++]] = child.uuid;
+	});
+
+	PhysicsConstraint.updateReferences(object, references);
+
+	object.prefab = this;
+	object.prefabOverrides = overrides !== undefined ? overrides.slice() : [];
+
+	return object;
+
+	// Auxiliar function to keep the uuid of an object added to the instance and its children
+	function keepObject(data)
+	{
+		keep[data.uuid] = true;
+
+		if (data.children !== undefined)
+		{
+			for (var i = 0; i < data.children.length; i++)
+			{
+				keepObject(data.children[i]);
+			}
+		}
+	}
+};
+
+/**
+ * Export the prefab to a JSON file.
+ *
+ * The resources used by the prefab are stored in the file, so that it can be imported into other programs.
+ *
+ * @method export
+ * @param {string} fname File name or file path.
+ * @param {ResourceContainer} container Resource container (usually the program) with the resources used by the prefab.
+ */
+Prefab.prototype.export = function(fname, container)
+{
+	var data = this.toJSON();
+	data.data = this.serialize(this.instantiate(container), true);
+
+	FileSystem.writeFile(fname, JSON.stringify(data));
+};
+
+/**
+ * Serialize the prefab to JSON.
+ *
+ * @method toJSON
+ * @param {Object} meta
+ * @return {Object} data
+ */
+Prefab.prototype.toJSON = function(meta)
+{
+	if (meta !== undefined && meta.resources[this.uuid] !== undefined)
+	{
+		return meta.resources[this.uuid];
+	}
+
+	var data = Resource.prototype.toJSON.call(this, meta);
+
+	data.format = this.format;
+	data.encoding = this.encoding;
+	data.data = this.data;
+
+	if (meta !== undefined)
+	{
+		meta.resources[this.uuid] = data;
+	}
+
+	return data;
+};
+
+/**
+ * Create a prefab from serialized data.
+ *
+ * @static
+ * @method fromJSON
+ * @param {Object} data Serialized prefab.
+ * @return {Prefab} Prefab resource.
+ */
+Prefab.fromJSON = function(data)
+{
+	var prefab = new Prefab(data.name);
+
+	if (data.uuid !== undefined)
+	{
+		prefab.uuid = data.uuid;
+	}
+
+	prefab.data = data.data;
+
+	return prefab;
+};
+
+/**
+ * Get the root object of the prefab instance that contains an object.
+ *
+ * @static
+ * @method getInstance
+ * @param {Object3D} object Object to check.
+ * @return {Object3D} Root object of the closest instance, null if the object is not part of a prefab instance.
+ */
+Prefab.getInstance = function(object)
+{
+	while (object !== null)
+	{
+		if (object.prefab !== null && object.prefab !== undefined)
+		{
+			return object;
+		}
+
+		object = object.parent;
+	}
+
+	return null;
+};
+
+/**
+ * Traverse the descendants of an object that belong to the same prefab.
+ *
+ * The children of instances of other prefabs are not visited.
+ *
+ * @static
+ * @method traverse
+ * @param {Object3D} object Root object.
+ * @param {Function} callback Method called for each descendant.
+ */
+Prefab.traverse = function(object, callback)
+{
+	for (var i = 0; i < object.children.length; i++)
+	{
+		var child = object.children[i];
+
+		callback(child);
+
+		if (child.prefab === null)
+		{
+			Prefab.traverse(child, callback);
+		}
+	}
+};
+
+/**
+ * Traverse the descendants of a serialized object that belong to the same prefab.
+ *
+ * The callback receives (child, parent) and can return false to skip the children of the object.
+ *
+ * @static
+ * @method traverseData
+ * @param {Object} data Serialized root object.
+ * @param {Function} callback Method called for each descendant.
+ */
+Prefab.traverseData = function(data, callback)
+{
+	if (data.children !== undefined)
+	{
+		var children = data.children.slice();
+
+		for (var i = 0; i < children.length; i++)
+		{
+			if (callback(children[i], data) !== false && children[i].prefab === undefined)
+			{
+				Prefab.traverseData(children[i], callback);
+			}
+		}
+	}
+};
+
+/**
+ * Get the serialized objects of a prefab indexed by their prefabId.
+ *
+ * @static
+ * @method getObjects
+ * @param {Object} data Serialized root object.
+ * @return {Object} Serialized objects indexed by prefabId.
+ */
+Prefab.getObjects = function(data)
+{
+	var objects = {};
+
+	Prefab.traverseData(data, function(child)
+	{
+		if (child.prefabId !== undefined)
+		{
+			objects[child.prefabId] = child;
+		}
+	});
+
+	return objects;
+};
+
+/**
+ * Update the objects referenced by the serialized constraints of a prefab, the data is changed in place.
+ *
+ * @static
+ * @method updateReferences
+ * @param {Object} data Serialized root object.
+ * @param {Object} uuids New uuids of the objects indexed by their old uuid.
+ */
+Prefab.updateReferences = function(data, uuids)
+{
+	var objects = [data];
+
+	Prefab.traverseData(data, function(child)
+	{
+		objects.push(child);
+	});
+
+	for (var i = 0; i < objects.length; i++)
+	{
+		if (objects[i].type === "PhysicsConstraint")
+		{
+			if (uuids[objects[i].objectA] !== undefined)
+			{
+				objects[i].objectA = uuids[objects[i].objectA];
+			}
+
+			if (uuids[objects[i].objectB] !== undefined)
+			{
+				objects[i].objectB = uuids[objects[i].objectB];
+			}
+		}
+	}
+};
+
+/**
+ * Compare the attributes of two serialized objects, the attributes that are different are added to the list of overrides.
+ *
+ * @static
+ * @method compare
+ * @param {Object} a Serialized object from the prefab.
+ * @param {Object} b Serialized object from the instance.
+ * @param {string} id Identifier of the object, null for the root object.
+ * @param {Array} overrides List where the overrides are added.
+ */
+Prefab.compare = function(a, b, id, overrides)
+{
+	var keys = Object.keys(Object.assign({}, a, b));
+
+	for (var i = 0; i < keys.length; i++)
+	{
+		var key = keys[i];
+
+		if (Prefab.ignore.indexOf(key) !== -1 || id === null && Prefab.instanceAttributes.indexOf(key) !== -1)
+		{
+			continue;
+		}
+
+		if (!Prefab.equals(a[key], b[key]))
+		{
+			overrides.push({id: id, property: key});
+		}
+	}
+};
+
+/**
+ * Check if two serialized values are equal.
+ *
+ * Numbers are compared with a small tolerance and uuid attributes of nested objects are ignored.
+ *
+ * @static
+ * @method equals
+ * @param {Object} a First value.
+ * @param {Object} b Second value.
+ * @return {boolean} True if the values are equal.
+ */
+Prefab.equals = function(a, b)
+{
+	if (typeof a === "number" && typeof b === "number")
+	{
+		return a === b || Math.abs(a - b) < 1e-6;
+	}
+
+	if (a === null || b === null || typeof a !== "object" || typeof b !== "object")
+	{
+		return a === b;
+	}
+
+	if (Array.isArray(a) !== Array.isArray(b))
+	{
+		return false;
+	}
+
+	var keys = Object.keys(Object.assign({}, a, b));
+
+	for (var i = 0; i < keys.length; i++)
+	{
+		if (keys[i] !== "uuid" && !Prefab.equals(a[keys[i]], b[keys[i]]))
+		{
+			return false;
+		}
+	}
+
+	return true;
+};
+
+/**
+ * Add the resources of a serialized object that are missing from another one.
+ *
+ * @static
+ * @method mergeResources
+ * @param {Object} target Serialized data where the resources are added.
+ * @param {Object} source Serialized data to get the resources from.
+ * @param {string} exclude UUID of a resource that should not be added.
+ */
+Prefab.mergeResources = function(target, source, exclude)
+{
+	for (var k = 0; k < ResourceContainer.libraries.length; k++)
+	{
+		var library = ResourceContainer.libraries[k];
+
+		if (source[library] !== undefined)
+		{
+			if (target[library] === undefined)
+			{
+				target[library] = [];
+			}
+
+			var uuids = {};
+			for (var i = 0; i < target[library].length; i++)
+			{
+				uuids[target[library][i].uuid] = true;
+			}
+
+			for (var i = 0; i < source[library].length; i++)
+			{
+				var resource = source[library][i];
+
+				if (uuids[resource.uuid] === undefined && resource.uuid !== exclude)
+				{
+					target[library].push(resource);
+				}
+			}
+		}
+	}
+};
+
+/**
+ * Parse serialized object data, the resources that already exist in the container are reused instead of being parsed again.
+ *
+ * Resources referenced by uuid (see Prefab.data) have to exist in the container.
+ *
+ * @static
+ * @method parse
+ * @param {Object} json Serialized object data.
+ * @param {ResourceContainer} container Resource container with resources to reuse, optional.
+ * @return {Object3D} Object parsed.
+ */
+Prefab.parse = function(json, container)
+{
+	var loader = new ObjectLoader();
+
+	if (container !== undefined)
+	{
+		// Skeletons belong to the objects, they are always parsed
+		for (var k = 0; k < ResourceContainer.libraries.length; k++)
+		{
+			var library = ResourceContainer.libraries[k];
+
+			if (library !== "skeletons" && container[library] !== undefined)
+			{
+				Object.assign(loader[library], container[library]);
+
+				if (json[library] !== undefined)
+				{
+					json[library] = json[library].filter(function(data)
+					{
+						return loader[library][data.uuid] === undefined;
+					});
+				}
+			}
+		}
+	}
+
+	return loader.parse(json);
+};
+
+export {Prefab};
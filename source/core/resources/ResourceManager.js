@@ -437,10 +437,15 @@ ResourceManager.prototype.removeFont = function(font, defaultFont)
 		
 		this.traverse(function(child)
 		{
-			if (child.font !== undefined && child.font.uuid === font.uuid)
+			if (child.font instanceof Font && child.font.uuid === font.uuid)
 			{
 				child.setFont(defaultFont);
 			}
+			// Text SDF only supports binary fonts, uses its default font instead
+			else if (child.fontResource instanceof Font && child.fontResource.uuid === font.uuid)
+			{
+				child.setFont(null);
+			}
 		});
 	}
 };
@@ -5,6 +5,113 @@ THREE.AnimationClip.prototype.loop = LoopRepeat;
 THREE.AnimationClip.prototype.timeScale = 1;
 THREE.AnimationClip.prototype.weight = 1;
 
+/**
+ * If true the motion of the root bone is removed from the pose and applied to the animated object.
+ *
+ * @property rootMotion
+ * @type {boolean}
+ */
+THREE.AnimationClip.prototype.rootMotion = false;
+
+/**
+ * Name of the root bone used for root motion.
+ *
+ * If empty the first bone with position keyframes that is not inside of another bone is used.
+ *
+ * @property rootBone
+ * @type {string}
+ */
+THREE.AnimationClip.prototype.rootBone = "";
+
+/**
+ * Events (markers) of the animation clip, stored as {time, name, data} sorted by time.
+ *
+ * When the animation mixer crosses an event the onAnimationEvent(name, data) method is called on the scripts of the animated object.
+ *
+ * Null if the clip has no events.
+ *
+ * @property events
+ * @type {Array}
+ */
+THREE.AnimationClip.prototype.events = null;
+
+/**
+ * Add a new event to the animation clip.
+ *
+ * @method addEvent
+ * @param {number} time Time of the event in seconds.
+ * @param {string} name Name of the event.
+ * @param {Object} data Data passed to the event callback (must be serializable to JSON).
+ * @return {Object} The event created.
+ */
+THREE.AnimationClip.prototype.addEvent = function(time, name, data)
+{
+	if (this.events === null)
+	{
+		this.events = [];
+	}
+
+	var event = {time: time, name: name, data: data !== undefined ? data : null};
+	this.events.push(event);
+	this.sortEvents();
+
+	return event;
+};
+
+/**
+ * Remove an event from the animation clip.
+ *
+ * @method removeEvent
+ * @param {Object} event Event to be removed.
+ */
+THREE.AnimationClip.prototype.removeEvent = function(event)
+{
+	if (this.events !== null)
+	{
+		var index = this.events.indexOf(event);
+		if (index !== -1)
+		{
+			this.events.splice(index, 1);
+		}
+	}
+};
+
+/**
+ * Sort the events by time, should be called after changing the time of an event.
+ *
+ * @method sortEvents
+ */
+THREE.AnimationClip.prototype.sortEvents = function()
+{
+	if (this.events !== null)
+	{
+		this.events.sort(function(a, b)
+		{
+			return a.time - b.time;
+		});
+	}
+};
+
+THREE.AnimationClip.prototype._clone = THREE.AnimationClip.prototype.clone;
+THREE.AnimationClip.prototype.clone = function()
+{
+	var clip = this._clone();
+
+	clip.enabled = this.enabled;
+	clip.loop = this.loop;
+	clip.timeScale = this.timeScale;
+	clip.weight = this.weight;
+	clip.rootMotion = this.rootMotion;
+	clip.rootBone = this.rootBone;
+
+	if (this.events !== null)
+	{
+		clip.events = JSON.parse(JSON.stringify(this.events));
+	}
+
+	return clip;
+};
+
 THREE.AnimationClip._toJSON = THREE.AnimationClip.toJSON;
 THREE.AnimationClip.toJSON = function(clip)
 {
@@ -15,6 +122,17 @@ THREE.AnimationClip.toJSON = function(clip)
 	data.timeScale = clip.timeScale;
 	data.weight = clip.weight;
 
+	if (clip.rootMotion)
+	{
+		data.rootMotion = clip.rootMotion;
+		data.rootBone = clip.rootBone;
+	}
+
+	if (clip.events !== null && clip.events.length > 0)
+	{
+		data.events = JSON.parse(JSON.stringify(clip.events));
+	}
+
 	return data;
 };
 
@@ -31,5 +149,21 @@ THREE.AnimationClip.parse = function(json)
 		clip.weight = json.weight;
 	}
 
+	if (json.rootMotion !== undefined)
+	{
+		clip.rootMotion = json.rootMotion;
+		clip.rootBone = json.rootBone;
+	}
+
+	if (json.events !== undefined)
+	{
+		clip.events = JSON.parse(JSON.stringify(json.events));
+	}
+
+	for (var i = 0; i < clip.tracks.length; i++)
+	{
+		THREE.KeyframeTrack.parseAttributes(clip.tracks[i], json.tracks[i]);
+	}
+
 	return clip;
 };
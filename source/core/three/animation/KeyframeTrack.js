@@ -1,35 +1,310 @@
+import {BezierInterpolant} from "../../animation/BezierInterpolant.js";
+
 THREE.KeyframeTrack.prototype.color = "#FF0000";
 
+/**
+ * Tangent mode of each keyframe, only used by tracks with bezier interpolation.
+ *
+ * @property tangentModes
+ * @type {Array}
+ */
+THREE.KeyframeTrack.prototype.tangentModes = null;
+
+/**
+ * Slope of the curve arriving at each keyframe value, only used by tracks with bezier interpolation.
+ *
+ * @property inTangents
+ * @type {Float32Array}
+ */
+THREE.KeyframeTrack.prototype.inTangents = null;
+
+/**
+ * Slope of the curve leaving each keyframe value, only used by tracks with bezier interpolation.
+ *
+ * @property outTangents
+ * @type {Float32Array}
+ */
+THREE.KeyframeTrack.prototype.outTangents = null;
+
 THREE.KeyframeTrack.prototype.setColor = function(color)
 {
 	this.color = color;
 };
 
+THREE.KeyframeTrack.prototype.InterpolantFactoryMethodBezier = function(result)
+{
+	this.updateTangents();
+
+	var interpolant = new BezierInterpolant(this.times, this.values, this.getValueSize(), result, this.tangentModes, this.inTangents, this.outTangents);
+	interpolant.normalize = this.ValueTypeName === "quaternion";
+
+	return interpolant;
+};
+
+THREE.KeyframeTrack.prototype._setInterpolation = THREE.KeyframeTrack.prototype.setInterpolation;
+THREE.KeyframeTrack.prototype.setInterpolation = function(interpolation)
+{
+	// Bezier curves are only available for tracks that support linear interpolation (bool and string tracks are discrete)
+	if (interpolation === BezierInterpolant.InterpolateBezier && this.InterpolantFactoryMethodLinear !== undefined)
+	{
+		this.createInterpolant = this.InterpolantFactoryMethodBezier;
+		return this;
+	}
+
+	return this._setInterpolation(interpolation);
+};
+
+THREE.KeyframeTrack.prototype._getInterpolation = THREE.KeyframeTrack.prototype.getInterpolation;
+THREE.KeyframeTrack.prototype.getInterpolation = function()
+{
+	if (this.createInterpolant === this.InterpolantFactoryMethodBezier)
+	{
+		return BezierInterpolant.InterpolateBezier;
+	}
+
+	return this._getInterpolation();
+};
+
+/**
+ * Create the tangent arrays if necessary and recalculate the tangents of keyframes that are not edited by the user.
+ *
+ * If the number of keyframes changed without using the track methods new keyframes get AUTO tangents.
+ *
+ * @method updateTangents
+ */
+THREE.KeyframeTrack.prototype.updateTangents = function()
+{
+	var length = this.times.length;
+	var valueSize = this.getValueSize();
+
+	if (this.tangentModes === null || this.tangentModes.length !== length)
+	{
+		var modes = [];
+		var inTangents = new Float32Array(length * valueSize);
+		var outTangents = new Float32Array(length * valueSize);
+
+		for (var i = 0; i < length; i++)
+		{
+			modes.push(this.tangentModes !== null && i < this.tangentModes.length ? this.tangentModes[i] : BezierInterpolant.AUTO);
+		}
+
+		if (this.tangentModes !== null)
+		{
+			var copy = Math.min(inTangents.length, this.inTangents.length);
+			inTangents.set(this.inTangents.subarray(0, copy));
+			outTangents.set(this.outTangents.subarray(0, copy));
+		}
+
+		this.tangentModes = modes;
+		this.inTangents = inTangents;
+		this.outTangents = outTangents;
+	}
+
+	BezierInterpolant.computeTangents(this.times, this.values, valueSize, this.tangentModes, this.inTangents, this.outTangents);
+};
+
+/**
+ * Set the tangent mode of a keyframe, and recalculate the tangents.
+ *
+ * @method setTangentMode
+ * @param {number} index Index of the keyframe.
+ * @param {number} mode Tangent mode.
+ */
+THREE.KeyframeTrack.prototype.setTangentMode = function(index, mode)
+{
+	this.updateTangents();
+	this.tangentModes[index] = mode;
+	this.updateTangents();
+};
+
+/**
+ * Add a new keyframe to the track, the keyframes are sorted after adding the new keyframe.
+ *
+ * @method addKeyframe
+ * @param {number} time Time of the keyframe.
+ * @param {Array} value Value of the keyframe.
+ */
+THREE.KeyframeTrack.prototype.addKeyframe = function(time, value)
+{
+	var times = Array.prototype.slice.call(this.times);
+	times.push(time);
+
+	var values = Array.prototype.slice.call(this.values).concat(value);
+
+	if (this.tangentModes !== null)
+	{
+		var valueSize = this.getValueSize();
+
+		this.tangentModes = this.tangentModes.concat([BezierInterpolant.AUTO]);
+
+		var inTangents = new Float32Array(this.inTangents.length + valueSize);
+		inTangents.set(this.inTangents);
+		this.inTangents = inTangents;
+
+		var outTangents = new Float32Array(this.outTangents.length + valueSize);
+		outTangents.set(this.outTangents);
+		this.outTangents = outTangents;
+	}
+
+	this.times = THREE.AnimationUtils.convertArray(times, this.TimeBufferType);
+	this.values = THREE.AnimationUtils.convertArray(values, this.ValueBufferType);
+	this.sort();
+};
+
+/**
+ * Remove a keyframe from the track.
+ *
+ * @method removeKeyframe
+ * @param {number} index Index of the keyframe.
+ */
+THREE.KeyframeTrack.prototype.removeKeyframe = function(index)
+{
+	var valueSize = this.getValueSize();
+	var min = index * valueSize;
+	var max = min + valueSize;
+
+	function remove(array, min, max)
+	{
+		var result = new array.constructor(array.length - (max - min));
+
+		for (var i = 0, j = 0; i < array.length; i++)
+		{
+			if (i < min || i >= max)
+			{
+				result[j++] = array[i];
+			}
+		}
+
+		return result;
+	}
+
+	this.times = remove(this.times, index, index + 1);
+	this.values = remove(this.values, min, max);
+
+	if (this.tangentModes !== null)
+	{
+		this.tangentModes = remove(this.tangentModes, index, index + 1);
+		this.inTangents = remove(this.inTangents, min, max);
+		this.outTangents = remove(this.outTangents, min, max);
+	}
+};
+
+/**
+ * Sort the keyframes by time, keyframes with the same time keep their order.
+ *
+ * @method sort
+ * @return {Array} Previous index of each keyframe.
+ */
 THREE.KeyframeTrack.prototype.sort = function()
 {
-	for (var i = 0; i < this.times.length; i++)
+	var times = this.times;
+	var order = [];
+
+	for (var i = 0; i < times.length; i++)
+	{
+		order.push(i);
+	}
+
+	order.sort(function(a, b)
+	{
+		return times[a] !== times[b] ? times[a] - times[b] : a - b;
+	});
+
+	var valueSize = this.getValueSize();
+
+	function reorder(array, size)
 	{
-		for (var j = i + 1; j < this.times.length; j++)
+		var copy = array.slice();
+
+		for (var i = 0; i < order.length; i++)
 		{
-			if (this.times[i] > this.times[j])
+			for (var j = 0; j < size; j++)
 			{
-				var temp = this.times[j];
-				this.times[j] = this.times[i];
-				this.times[i] = temp;
-
-				var valueSize = this.getValueSize();
-				var k = j * valueSize;
-				var l = i * valueSize;
-
-				for (var m = 0; m < valueSize; m++)
-				{
-					var temp = this.values[k + m];
-					this.values[k + m] = this.values[l + m];
-					this.values[l + m] = temp;
-				}
+				array[i * size + j] = copy[order[i] * size + j];
 			}
 		}
 	}
+
+	reorder(this.times, 1);
+	reorder(this.values, valueSize);
+
+	if (this.tangentModes !== null && this.tangentModes.length === times.length)
+	{
+		reorder(this.tangentModes, 1);
+		reorder(this.inTangents, valueSize);
+		reorder(this.outTangents, valueSize);
+	}
+
+	return order;
+};
+
+THREE.KeyframeTrack.prototype._scale = THREE.KeyframeTrack.prototype.scale;
+THREE.KeyframeTrack.prototype.scale = function(timeScale)
+{
+	this._scale(timeScale);
+
+	// Tangents are slopes relative to time
+	if (this.tangentModes !== null && timeScale !== 0)
+	{
+		for (var i = 0; i < this.inTangents.length; i++)
+		{
+			this.inTangents[i] /= timeScale;
+			this.outTangents[i] /= timeScale;
+		}
+	}
+
+	return this;
+};
+
+THREE.KeyframeTrack.prototype._trim = THREE.KeyframeTrack.prototype.trim;
+THREE.KeyframeTrack.prototype.trim = function(startTime, endTime)
+{
+	var times = this.times;
+
+	this._trim(startTime, endTime);
+
+	// Keep the tangents of the keyframes that were not removed
+	if (this.tangentModes !== null && this.times !== times)
+	{
+		var valueSize = this.getValueSize();
+		var from = Array.prototype.indexOf.call(times, this.times[0]);
+		var to = from + this.times.length;
+
+		this.tangentModes = this.tangentModes.slice(from, to);
+		this.inTangents = this.inTangents.slice(from * valueSize, to * valueSize);
+		this.outTangents = this.outTangents.slice(from * valueSize, to * valueSize);
+	}
+
+	return this;
+};
+
+THREE.KeyframeTrack.prototype._optimize = THREE.KeyframeTrack.prototype.optimize;
+THREE.KeyframeTrack.prototype.optimize = function()
+{
+	// Keyframes of bezier curves are never redundant since their tangents change the shape of the curve
+	if (this.getInterpolation() === BezierInterpolant.InterpolateBezier)
+	{
+		return this;
+	}
+
+	return this._optimize();
+};
+
+THREE.KeyframeTrack.prototype._clone = THREE.KeyframeTrack.prototype.clone;
+THREE.KeyframeTrack.prototype.clone = function()
+{
+	var track = this._clone();
+
+	track.color = this.color;
+
+	if (this.tangentModes !== null)
+	{
+		track.tangentModes = this.tangentModes.slice();
+		track.inTangents = this.inTangents.slice();
+		track.outTangents = this.outTangents.slice();
+	}
+
+	return track;
 };
 
 THREE.KeyframeTrack._toJSON = THREE.KeyframeTrack.toJSON;
@@ -39,6 +314,15 @@ THREE.KeyframeTrack.toJSON = function(track)
 
 	data.color = track.color;
 
+	if (track.getInterpolation() === BezierInterpolant.InterpolateBezier)
+	{
+		track.updateTangents();
+
+		data.tangentModes = track.tangentModes.slice();
+		data.inTangents = Array.prototype.slice.call(track.inTangents);
+		data.outTangents = Array.prototype.slice.call(track.outTangents);
+	}
+
 	return data;
 };
 
@@ -47,10 +331,32 @@ THREE.KeyframeTrack.parse = function(json)
 {
 	var track = THREE.KeyframeTrack._parse.call(this, json);
 
+	THREE.KeyframeTrack.parseAttributes(track, json);
+
+	return track;
+};
+
+/**
+ * Read the attributes added to the keyframe track (color and tangents) from JSON data.
+ *
+ * Also used by AnimationClip.parse, since three.js parses the tracks of animation clips without calling KeyframeTrack.parse.
+ *
+ * @static
+ * @method parseAttributes
+ * @param {KeyframeTrack} track Track where the attributes are written.
+ * @param {Object} json Serialized track.
+ */
+THREE.KeyframeTrack.parseAttributes = function(track, json)
+{
 	if (json.color !== undefined)
 	{
 		track.color = json.color;
 	}
 
-	return track;
+	if (json.tangentModes !== undefined)
+	{
+		track.tangentModes = json.tangentModes.slice();
+		track.inTangents = new Float32Array(json.inTangents);
+		track.outTangents = new Float32Array(json.outTangents);
+	}
 };
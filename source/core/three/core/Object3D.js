@@ -20,6 +20,42 @@ THREE.Object3D.prototype.folded = false;
  */
 THREE.Object3D.prototype.locked = false;
 
+/**
+ * Animation state machine used to play the object animations.
+ *
+ * If null all the animations of the object are played at the same time.
+ *
+ * @property stateMachine
+ * @type {AnimationStateMachine}
+ */
+THREE.Object3D.prototype.stateMachine = null;
+
+/**
+ * Prefab used to create this object, only set on the root object of prefab instances.
+ *
+ * @property prefab
+ * @type {Prefab}
+ */
+THREE.Object3D.prototype.prefab = null;
+
+/**
+ * Identifier of the object inside of the prefab hierarchy, used to match the objects of an instance with the objects of the prefab.
+ *
+ * @property prefabId
+ * @type {string}
+ */
+THREE.Object3D.prototype.prefabId = null;
+
+/**
+ * Attributes overridden in this prefab instance, stored as {id, property}. Only used on the root object of prefab instances.
+ *
+ * Overridden attributes keep their value when the instance is updated from the prefab.
+ *
+ * @property prefabOverrides
+ * @type {Array}
+ */
+THREE.Object3D.prototype.prefabOverrides = null;
+
 /**
  * Check if this object contains a object.
  *
@@ -80,7 +116,16 @@ THREE.Object3D.prototype.initialize = function()
 	if (this.animations !== undefined)
 	{
 		this.mixer = new AnimationMixer(this);
-		this.mixer.createActions(this.animations);
+
+		if (this.stateMachine !== null)
+		{
+			this.mixer.setStateMachine(this.stateMachine);
+		}
+		else
+		{
+			this.mixer.createActions(this.animations);
+		}
+
 		this.mixer.play();
 	}
 };
@@ -381,6 +426,24 @@ THREE.Object3D.prototype.toJSON = function(meta, resourceAccess, recursive)
 		}
 	}
 
+	// Animation state machine
+	if (this.stateMachine !== null)
+	{
+		object.stateMachine = this.stateMachine.toJSON(meta).uuid;
+	}
+
+	// Prefab
+	if (this.prefab !== null)
+	{
+		object.prefab = this.prefab.toJSON(meta).uuid;
+		object.prefabOverrides = this.prefabOverrides !== null ? this.prefabOverrides : [];
+	}
+
+	if (this.prefabId !== null)
+	{
+		object.prefabId = this.prefabId;
+	}
+
 	// Store object in the output.
 	output.object = object;
 
@@ -0,0 +1,428 @@
+/**
+ * Profiler is used to measure the time spent in each phase of a frame.
+ *
+ * Time is accumulated for each phase during the frame and stored when a new frame begins, so the values read are always from the last complete frame.
+ *
+ * @class Profiler
+ */
+function Profiler()
+{
+	/**
+	 * If false the profiler does not measure anything, begin and end calls are ignored.
+	 *
+	 * @attribute enabled
+	 * @type {boolean}
+	 */
+	this.enabled = false;
+
+	/**
+	 * Time in milliseconds spent on each phase during the last complete frame.
+	 *
+	 * @attribute times
+	 * @type {Map}
+	 */
+	this.times = new Map();
+
+	/**
+	 * Time in milliseconds between the last two frames.
+	 *
+	 * @attribute frameTime
+	 * @type {number}
+	 */
+	this.frameTime = 0;
+
+	/**
+	 * Time accumulated for each phase in the current frame.
+	 *
+	 * @attribute current
+	 * @type {Map}
+	 */
+	this.current = new Map();
+
+	/**
+	 * Start time and nesting depth of the phases currently being measured.
+	 *
+	 * Nested begin calls of the same phase only increase the depth, the time is measured from the outermost begin to the matching end.
+	 *
+	 * @attribute starts
+	 * @type {Map}
+	 */
+	this.starts = new Map();
+
+	/**
+	 * Timestamp of the start of the current frame.
+	 *
+	 * @attribute frameStart
+	 * @type {number}
+	 */
+	this.frameStart = -1;
+
+	/**
+	 * If true the time spent in the methods of each script is measured.
+	 *
+	 * Script profiling is opt-in and independent from the frame profiling, it should be enabled before the program is initialized to measure the script initialization.
+	 *
+	 * @attribute profileScripts
+	 * @type {boolean}
+	 */
+	this.profileScripts = false;
+
+	/**
+	 * Time measured for each script indexed by the script UUID.
+	 *
+	 * Each record contains the uuid, name and type of the script, the time spent in initialize, the time spent in update and onMouseOver in the last frame and the average and max time per frame.
+	 *
+	 * @attribute scripts
+	 * @type {Map}
+	 */
+	this.scripts = new Map();
+}
+
+/**
+ * Total time of the frame update, includes all other update phases.
+ *
+ * @static
+ * @attribute UPDATE
+ * @type {string}
+ */
+Profiler.UPDATE = "update";
+
+/**
+ * Time spent updating scripts.
+ *
+ * @static
+ * @attribute SCRIPTS
+ * @type {string}
+ */
+Profiler.SCRIPTS = "scripts";
+
+/**
+ * Time spent stepping the physics world and dispatching collision events.
+ *
+ * @static
+ * @attribute PHYSICS
+ * @type {string}
+ */
+Profiler.PHYSICS = "physics";
+
+/**
+ * Time spent updating particle emitters.
+ *
+ * @static
+ * @attribute PARTICLES
+ * @type {string}
+ */
+Profiler.PARTICLES = "particles";
+
+/**
+ * Time spent rendering the frame.
+ *
+ * @static
+ * @attribute RENDER
+ * @type {string}
+ */
+Profiler.RENDER = "render";
+
+/**
+ * Phase used to measure the update of each type of object.
+ *
+ * @static
+ * @attribute OBJECT_PHASES
+ * @type {Object}
+ */
+Profiler.OBJECT_PHASES = {
+	Script: Profiler.SCRIPTS,
+	NodeScript: Profiler.SCRIPTS,
+	PythonScript: Profiler.SCRIPTS,
+	ParticleEmiter: Profiler.PARTICLES
+};
+
+/**
+ * Get the current timestamp in milliseconds.
+ *
+ * @static
+ * @method now
+ * @return {number} Timestamp in milliseconds.
+ */
+Profiler.now = function()
+{
+	return performance.now();
+};
+
+/**
+ * Get the phase used to measure the update of an object.
+ *
+ * @static
+ * @method getObjectPhase
+ * @param {Object3D} object Object to get the phase for.
+ * @return {string} Phase of the object, null if the object update is not measured.
+ */
+Profiler.getObjectPhase = function(object)
+{
+	var phase = Profiler.OBJECT_PHASES[object.type];
+
+	return phase !== undefined ? phase : null;
+};
+
+/**
+ * Start a new frame, the times measured in the previous frame are stored and the accumulated times are reset.
+ *
+ * @method frame
+ */
+Profiler.prototype.frame = function()
+{
+	if (this.profileScripts)
+	{
+		this.scripts.forEach(function(record)
+		{
+			if (!record.active)
+			{
+				return;
+			}
+
+			record.update = record.current.update;
+			record.onMouseOver = record.current.onMouseOver;
+			record.total = record.update + record.onMouseOver;
+			record.max = Math.max(record.max, record.total);
+			record.frames++;
+			record.average += (record.total - record.average) / record.frames;
+
+			record.current.update = 0;
+			record.current.onMouseOver = 0;
+			record.active = false;
+		});
+	}
+
+	if (!this.enabled)
+	{
+		return;
+	}
+
+	var now = Profiler.now();
+	if (this.frameStart >= 0)
+	{
+		this.frameTime = now - this.frameStart;
+	}
+	this.frameStart = now;
+
+	var times = this.times;
+	times.clear();
+
+	this.current.forEach(function(time, phase)
+	{
+		times.set(phase, time);
+	});
+	this.current.clear();
+};
+
+/**
+ * Start measuring a phase.
+ *
+ * @method begin
+ * @param {string} phase Name of the phase.
+ */
+Profiler.prototype.begin = function(phase)
+{
+	if (!this.enabled)
+	{
+		return;
+	}
+
+	var start = this.starts.get(phase);
+
+	if (start === undefined)
+	{
+		this.starts.set(phase, {time: Profiler.now(), depth: 1});
+	}
+	else
+	{
+		start.depth++;
+	}
+};
+
+/**
+ * Stop measuring a phase, the time elapsed since begin is added to the phase time in the current frame.
+ *
+ * When begin was called more than once for the phase only the end matching the outermost begin adds the time.
+ *
+ * @method end
+ * @param {string} phase Name of the phase.
+ */
+Profiler.prototype.end = function(phase)
+{
+	if (!this.enabled || !this.starts.has(phase))
+	{
+		return;
+	}
+
+	var start = this.starts.get(phase);
+
+	start.depth--;
+	if (start.depth > 0)
+	{
+		return;
+	}
+
+	var elapsed = Profiler.now() - start.time;
+	var time = this.current.get(phase);
+
+	this.current.set(phase, time !== undefined ? time + elapsed : elapsed);
+	this.starts.delete(phase);
+};
+
+/**
+ * Start measuring a method of a script.
+ *
+ * @method beginScript
+ * @param {Object3D} script Script being measured.
+ * @param {string} method Name of the script method (initialize, update or onMouseOver).
+ */
+Profiler.prototype.beginScript = function(script, method)
+{
+	if (this.profileScripts)
+	{
+		this.getScriptRecord(script).starts[method] = Profiler.now();
+	}
+};
+
+/**
+ * Stop measuring a method of a script.
+ *
+ * The time spent in initialize is stored directly, the other methods are accumulated during the frame.
+ *
+ * @method endScript
+ * @param {Object3D} script Script being measured.
+ * @param {string} method Name of the script method (initialize, update or onMouseOver).
+ */
+Profiler.prototype.endScript = function(script, method)
+{
+	if (!this.profileScripts)
+	{
+		return;
+	}
+
+	var record = this.getScriptRecord(script);
+	if (record.starts[method] === undefined)
+	{
+		return;
+	}
+
+	var elapsed = Profiler.now() - record.starts[method];
+	delete record.starts[method];
+
+	if (method === "initialize")
+	{
+		record.initialize += elapsed;
+	}
+	else
+	{
+		record.current[method] += elapsed;
+		record.active = true;
+	}
+};
+
+/**
+ * Get the record used to store the times of a script, the record is created if it does not exist.
+ *
+ * @method getScriptRecord
+ * @param {Object3D} script Script to get the record for.
+ * @return {Object} Script record.
+ */
+Profiler.prototype.getScriptRecord = function(script)
+{
+	var record = this.scripts.get(script.uuid);
+
+	if (record === undefined)
+	{
+		record = {
+			uuid: script.uuid,
+			name: script.name,
+			type: script.type,
+			initialize: 0,
+			update: 0,
+			onMouseOver: 0,
+			total: 0,
+			average: 0,
+			max: 0,
+			frames: 0,
+			active: false,
+			current: {update: 0, onMouseOver: 0},
+			starts: {}
+		};
+
+		this.scripts.set(script.uuid, record);
+	}
+
+	return record;
+};
+
+/**
+ * Get the times measured for all scripts as plain objects, can be used to export the results to JSON.
+ *
+ * @method getScripts
+ * @return {Array} Script times, each entry has the uuid, name, type, initialize, update, onMouseOver, total, average, max and frames values.
+ */
+Profiler.prototype.getScripts = function()
+{
+	var scripts = [];
+
+	this.scripts.forEach(function(record)
+	{
+		scripts.push({
+			uuid: record.uuid,
+			name: record.name,
+			type: record.type,
+			initialize: record.initialize,
+			update: record.update,
+			onMouseOver: record.onMouseOver,
+			total: record.total,
+			average: record.average,
+			max: record.max,
+			frames: record.frames
+		});
+	});
+
+	return scripts;
+};
+
+/**
+ * Get the time spent on a phase in the last complete frame.
+ *
+ * @method get
+ * @param {string} phase Name of the phase.
+ * @return {number} Time in milliseconds, zero if the phase was not measured.
+ */
+Profiler.prototype.get = function(phase)
+{
+	var time = this.times.get(phase);
+
+	return time !== undefined ? time : 0;
+};
+
+/**
+ * Clear all the values measured for the frame phases.
+ *
+ * Script times are kept, use resetScripts to clear them.
+ *
+ * @method reset
+ */
+Profiler.prototype.reset = function()
+{
+	this.times.clear();
+	this.current.clear();
+	this.starts.clear();
+	this.frameStart = -1;
+	this.frameTime = 0;
+};
+
+/**
+ * Clear all the values measured for scripts.
+ *
+ * @method resetScripts
+ */
+Profiler.prototype.resetScripts = function()
+{
+	this.scripts.clear();
+};
+
+export {Profiler};
@@ -11,22 +11,27 @@ import {Scene} from "../core/objects/Scene.js";
 import {Program} from "../core/objects/Program.js";
 import {Sky} from "../core/objects/misc/Sky.js";
 import {Mesh} from "../core/objects/mesh/Mesh.js";
+import {PhysicsConstraint} from "../core/objects/physics/PhysicsConstraint.js";
 import {Nunu} from "../core/Nunu.js";
 import {ObjectLoader} from "../core/loaders/ObjectLoader.js";
 import {Keyboard} from "../core/input/Keyboard.js";
 import {FileSystem} from "../core/FileSystem.js";
 import {ResourceContainer} from "../core/resources/ResourceContainer.js";
+import {Prefab} from "../core/resources/Prefab.js";
 import {AmbientLight} from "../core/objects/lights/AmbientLight";
 import {Locale} from "./locale/LocaleManager.js";
 import {VirtualClipboard} from "./utils/VirtualClipboard.js";
 import {Settings} from "./Settings.js";
 import {Loaders} from "./Loaders.js";
+import {Plugins} from "./Plugins.js";
+import {ResourceWatcher} from "./ResourceWatcher.js";
 import {ResourceCrawler} from "./history/ResourceCrawler.js";
 import {History} from "./history/History.js";
 import {RemoveResourceAction} from "./history/action/resources/RemoveResourceAction.js";
 import {AddResourceAction} from "./history/action/resources/AddResourceAction.js";
 import {RemoveAction} from "./history/action/objects/RemoveAction.js";
 import {AddAction} from "./history/action/objects/AddAction.js";
+import {SwapAction} from "./history/action/objects/SwapAction.js";
 import {ChangeAction} from "./history/action/ChangeAction.js";
 import {ActionBundle} from "./history/action/ActionBundle.js";
 import {Action} from "./history/action/Action.js";
@@ -66,6 +71,12 @@ Editor.initialize = function()
 	Editor.settings = new Settings();
 	Editor.settings.load();
 
+	// Load plugins from the settings folder
+	if (Nunu.runningOnDesktop())
+	{
+		Plugins.loadFolder(Editor.settings.general.pluginsPath);
+	}
+
 	// Register tern plugins
 	Editor.ternDefinitions = [];
 	Editor.ternDefinitions.push(JSON.parse(FileSystem.readFile(Global.FILE_PATH + "tern/threejs.json")));
@@ -508,6 +519,40 @@ Editor.addAction = function(action)
 	Editor.history.add(action);
 };
 
+/**
+ * Start a transaction in the editor history.
+ *
+ * All actions added until the transaction ends are stored as a single entry in the history.
+ *
+ * @method beginTransaction
+ * @param {string} name Name of the transaction displayed in the history, optional.
+ */
+Editor.beginTransaction = function(name)
+{
+	Editor.history.beginTransaction(name);
+};
+
+/**
+ * End the current transaction in the editor history.
+ *
+ * @method endTransaction
+ */
+Editor.endTransaction = function()
+{
+	Editor.history.endTransaction();
+};
+
+/**
+ * Cancel the current transaction, actions added to the transaction are reverted.
+ *
+ * @method cancelTransaction
+ */
+Editor.cancelTransaction = function()
+{
+	Editor.history.cancelTransaction();
+	Editor.updateObjectsViewsGUI();
+};
+
 /**
  * Get currently active scene in the editor.
  *
@@ -701,6 +746,92 @@ Editor.deleteObject = function(object)
 	}
 };
 
+/**
+ * Create a new prefab from an object, the prefab is added to the program resources.
+ *
+ * The object becomes an instance of the new prefab.
+ *
+ * @static
+ * @method createPrefab
+ * @param {Object3D} object Root object of the prefab.
+ */
+Editor.createPrefab = function(object)
+{
+	if (object.locked || object instanceof Program || object instanceof Scene)
+	{
+		return;
+	}
+
+	var previous = object.prefab;
+	var overrides = object.prefabOverrides;
+
+	var prefab = new Prefab(object.name);
+	prefab.setObject(object);
+
+	Editor.addAction(new ActionBundle(
+		[
+			new AddResourceAction(prefab, Editor.program, "resources"),
+			new ChangeAction(object, "prefab", prefab, previous),
+			new ChangeAction(object, "prefabOverrides", [], overrides)
+		]));
+};
+
+/**
+ * Apply the changes of a prefab instance to its prefab.
+ *
+ * All other instances of the prefab in the program are updated, their overrides are kept.
+ *
+ * @static
+ * @method applyPrefab
+ * @param {Object3D} instance Root object of the prefab instance.
+ */
+Editor.applyPrefab = function(instance)
+{
+	var prefab = instance.prefab;
+	var instances = [];
+
+	// Overrides of the other instances are taken from the current prefab data
+	Editor.program.traverse(function(child)
+	{
+		if (child !== instance && child.prefab !== null && child.prefab.uuid === prefab.uuid)
+		{
+			prefab.updateOverrides(child);
+			instances.push(child);
+		}
+	});
+
+	var data = prefab.serialize(instance);
+	var actions = [new ChangeAction(prefab, "data", data), new ChangeAction(instance, "prefabOverrides", [])];
+
+	// Create the updated instances from the new data
+	var previous = prefab.data;
+	prefab.data = data;
+
+	for (var i = 0; i < instances.length; i++)
+	{
+		actions.push(new SwapAction(instances[i], prefab.instantiate(Editor.program, instances[i]), false));
+	}
+
+	prefab.data = previous;
+
+	Editor.addAction(new ActionBundle(actions));
+};
+
+/**
+ * Revert the overrides of a prefab instance, the instance keeps its name, transform and the objects added to it.
+ *
+ * @static
+ * @method revertPrefab
+ * @param {Object3D} instance Root object of the prefab instance.
+ */
+Editor.revertPrefab = function(instance)
+{
+	var object = instance.prefab.instantiate(Editor.program, instance, []);
+
+	Editor.addAction(new SwapAction(instance, object, false));
+	Editor.selectObject(object);
+};
+
 /**
  * Copy selected object to the clipboard.
  *
@@ -790,10 +921,20 @@ Editor.pasteObject = function(target)
 		for (var i = 0; i < data.length; i++) 
 		{
 			var obj = new ObjectLoader().parse(data[i]);
+			var uuids = {};
 			obj.traverse(function(child) 
 			{
-				child.uuid = Math.generateUUID();
+				var uuid = Math.generateUUID();
+				uuids[child.uuid] = uuid;
+				child.uuid = uuid;
+
+				// Keep the link to the prefabs of the program
+				if (child.prefab !== null && Editor.program.resources[child.prefab.uuid] !== undefined)
+				{
+					child.prefab = Editor.program.resources[child.prefab.uuid];
+				}
 			});
+			PhysicsConstraint.updateReferences(obj, uuids);
 			objs.push(obj);
 		}
 
@@ -848,6 +989,21 @@ Editor.undo = function()
 	}
 };
 
+/**
+ * Undo or redo history actions until the history reaches a position.
+ *
+ * @method goToHistory
+ * @param {number} position Index of the last action applied, -1 to revert all actions.
+ */
+Editor.goToHistory = function(position)
+{
+	if (Editor.history.position !== position)
+	{
+		Editor.history.goTo(position);
+		Editor.updateObjectsViewsGUI();
+	}
+};
+
 /**
  * Create default resouces to be used when creating new objects.
  *
@@ -1035,6 +1191,8 @@ Editor.saveProgramPath = function(path)
 /**
  * Save program to file (.nsp or .isp).
  *
+ * The editor history is stored in the file, programs exported to be used by the runtime should be saved using ProjectExporters.saveProgram() instead.
+ *
  * @static
  * @method saveProgram
  * @param {string} fname
@@ -1056,14 +1214,14 @@ Editor.saveProgram = function(fname, binary, keepDirectory, suppressMessage)
 			fname = fname.replace(".isp", ".nsp");
 
 			var pson = new StaticPair();
-			var data = pson.toArrayBuffer(Editor.program.toJSON());
+			var data = pson.toArrayBuffer(Editor.getProgramJSON());
 			FileSystem.writeFileArrayBuffer(fname, data);
 		}
 		else
 		{
 			fname = fname.replace(".nsp", ".isp");
 
-			var json = JSON.stringify(Editor.program.toJSON(), null, "\t");
+			var json = JSON.stringify(Editor.getProgramJSON(), null, "\t");
 			FileSystem.writeFile(fname, json);
 		}
 
@@ -1084,6 +1242,22 @@ Editor.saveProgram = function(fname, binary, keepDirectory, suppressMessage)
 	}
 };
 
+/**
+ * Serialize the program being edited to be stored in a project file.
+ *
+ * The editor history is stored with the program so that changes can be undone after the project is loaded again.
+ *
+ * @static
+ * @method getProgramJSON
+ * @return {Object} Serialized program.
+ */
+Editor.getProgramJSON = function()
+{
+	var data = Editor.program.toJSON();
+	data.history = Editor.history.toJSON(Editor.program);
+	return data;
+};
+
 /**
  * Set a program to be edited, create new history object and clear editor windows.
  *
@@ -1109,6 +1283,9 @@ Editor.setProgram = function(program)
 		// History
 		Editor.history = new History(Editor.settings.general.historySize);
 
+		// Watch source files of the resources
+		ResourceWatcher.update();
+
 		// Clear tabs
 		Editor.gui.tab.clear();
 
@@ -1143,24 +1320,45 @@ Editor.loadProgram = function(file, binary)
 	{
 		try
 		{
+			// Load plugins stored with the project before parsing it, they may register object types
+			var path = typeof file === "string" ? file : file.path;
+			if (path !== undefined && path !== "")
+			{
+				Plugins.loadProjectFolder(path);
+			}
+
 			var loader = new ObjectLoader();
 
-			var program;
+			var data;
 
 			if (binary === true)
 			{
 				var pson = new StaticPair();
-				var data = pson.decode(reader.result);
-				program = loader.parse(data);
+				data = pson.decode(reader.result);
 			}
 			else
 			{
-				program = loader.parse(JSON.parse(reader.result));
+				data = JSON.parse(reader.result);
 			}
 
+			var program = loader.parse(data);
+
 			Editor.setOpenFile(file);
 			Editor.setProgram(program);
 
+			// Restore history stored with the project
+			if (data.history !== undefined)
+			{
+				try
+				{
+					Editor.history = History.fromJSON(data.history, program, Editor.settings.general.historySize);
+				}
+				catch (e)
+				{
+					console.warn("nunuStudio: Failed to restore editor history", e);
+				}
+			}
+
 			Editor.alert(Locale.projectLoaded);
 		}
 		catch (e)
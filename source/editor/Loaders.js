@@ -32,6 +32,9 @@ import {SpineAnimation} from "../core/objects/spine/SpineAnimation.js";
 import {Audio} from "../core/resources/Audio.js";
 import {Font} from "../core/resources/Font.js";
 import {Image} from "../core/resources/Image.js";
+import {ParticlePreset} from "../core/resources/ParticlePreset.js";
+import {Prefab} from "../core/resources/Prefab.js";
+import {ResourceContainer} from "../core/resources/ResourceContainer.js";
 import {TextFile} from "../core/resources/TextFile.js";
 import {Video} from "../core/resources/Video.js";
 import {CompressedTexture} from "../core/texture/CompressedTexture.js";
@@ -42,7 +45,11 @@ import {LoadingModal} from "./components/modal/LoadingModal.js";
 import {Editor} from "./Editor.js";
 import {Global} from "./Global.js";
 import {AddResourceAction} from "./history/action/resources/AddResourceAction.js";
+import {ActionBundle} from "./history/action/ActionBundle.js";
+import {ResourceCrawler} from "./history/ResourceCrawler.js";
 import {Locale} from "./locale/LocaleManager.js";
+import {Plugins} from "./Plugins.js";
+import {ResourceWatcher} from "./ResourceWatcher.js";
 import {AWDLoader} from "./loaders/AWDLoader";
 import {BabylonLoader} from "./loaders/BabylonLoader";
 
@@ -171,6 +178,7 @@ Loaders.loadTexture = function(file, onLoad)
 			var image = new Image(reader.result, extension);
 			var texture = new Texture(image);
 			texture.name = name;
+			ResourceWatcher.setSource(image, file.path);
 			Editor.addAction(new AddResourceAction(image, Editor.program, "images"));
 			Editor.addAction(new AddResourceAction(texture, Editor.program, "textures"));
 		}
@@ -339,6 +347,7 @@ Loaders.loadText = function(file)
 	{
 		var resource = new TextFile(reader.result, FileSystem.getFileExtension(name));
 		resource.name = name;
+		ResourceWatcher.setSource(resource, file.path);
 
 		Editor.addAction(new AddResourceAction(resource, Editor.program, "resources"));
 	};
@@ -346,16 +355,115 @@ Loaders.loadText = function(file)
 	reader.readAsText(file);
 };
 
+/**
+ * Load a particle preset exported to a JSON file and add it as a resource to the program.
+ *
+ * The preset gets a new UUID, so the same file can be imported multiple times.
+ *
+ * @static
+ * @method loadParticlePreset
+ * @param {File} file File to load.
+ */
+Loaders.loadParticlePreset = function(file)
+{
+	var reader = new FileReader();
+
+	reader.onload = function()
+	{
+		try
+		{
+			var data = JSON.parse(reader.result);
+			if (data.type !== "ParticlePreset")
+			{
+				throw new Error(Locale.unknownFileFormat);
+			}
+
+			delete data.uuid;
+
+			var preset = ParticlePreset.fromJSON(data);
+			Editor.addAction(new AddResourceAction(preset, Editor.program, "resources"));
+		}
+		catch (e)
+		{
+			Editor.alert(Locale.errorLoadingFile + "\n(" + e + ")");
+		}
+	};
+
+	reader.readAsText(file);
+};
+
+/**
+ * Load a prefab exported to a JSON file and add it as a resource to the program.
+ *
+ * The prefab gets a new UUID, so the same file can be imported multiple times. The resources stored in the file are added to the program.
+ *
+ * @static
+ * @method loadPrefab
+ * @param {File} file File to load.
+ */
+Loaders.loadPrefab = function(file)
+{
+	var reader = new FileReader();
+
+	reader.onload = function()
+	{
+		try
+		{
+			var data = JSON.parse(reader.result);
+			if (data.type !== "Prefab")
+			{
+				throw new Error(Locale.unknownFileFormat);
+			}
+
+			delete data.uuid;
+
+			var prefab = Prefab.fromJSON(data);
+			var object = prefab.instantiate(Editor.program);
+			var resources = ResourceCrawler.searchObject(object, Editor.program);
+
+			// The prefab references the resources added to the program
+			prefab.data = prefab.serialize(object);
+
+			var actions = [];
+
+			for (var i = 0; i < ResourceContainer.libraries.length; i++)
+			{
+				var library = ResourceContainer.libraries[i];
+
+				for (var uuid in resources[library])
+				{
+					if (resources[library][uuid] !== prefab)
+					{
+						actions.push(new AddResourceAction(resources[library][uuid], Editor.program, library));
+					}
+				}
+			}
+
+			actions.push(new AddResourceAction(prefab, Editor.program, "resources"));
+			Editor.addAction(new ActionBundle(actions));
+		}
+		catch (e)
+		{
+			Editor.alert(Locale.errorLoadingFile + "\n(" + e + ")");
+		}
+	};
+
+	reader.readAsText(file);
+};
+
 /**
  * Load a 3D file containing objects to be added to the scene.
  *
  * If no parent is specified it adds the objects to currently open scene.
+ *
+ * If a onLoad callback is specified the objects are passed to the callback instead of being added to the scene (the callback may be called multiple times for files with multiple objects).
  * 
  * @method loadModel
  * @param {File} file File to be read and parsed.
  * @param {Object3D} parent Object to add the objects.
+ * @param {Function} onLoad Callback that receives the objects loaded, optional.
  */
-Loaders.loadModel = function(file, parent)
+Loaders.loadModel = function(file, parent, onLoad)
 {
 	var name = file.name;
 	var extension = FileSystem.getFileExtension(name);
@@ -363,17 +471,42 @@ Loaders.loadModel = function(file, parent)
 	var modal = new LoadingModal(DocumentBody);
 	modal.show();
 
+	// Index of the next geometry of the model, used to identify the geometries when the file is reloaded
+	var geometries = 0;
+
+	function addObject(object)
+	{
+		if (onLoad !== undefined)
+		{
+			onLoad(object);
+			return;
+		}
+
+		if (file.path !== undefined)
+		{
+			geometries = ResourceWatcher.setModelSource(object, file.path, geometries);
+		}
+
+		Editor.addObject(object, parent);
+	}
+
 	try
 	{
+		// Loaders registered by plugins
+		if (Plugins.loaders[extension] !== undefined)
+		{
+			Plugins.loaders[extension](file, parent);
+			modal.destroy();
+		}
 		// GCode
-		if (extension === "gcode")
+		else if (extension === "gcode")
 		{
 			var reader = new FileReader();
 			reader.onload = function()
 			{
 				var loader = new GCodeLoader();
 				var obj = loader.parse(reader.result);
-				Editor.addObject(obj, parent);
+				addObject(obj);
 				modal.destroy();
 			};
 
@@ -420,7 +553,7 @@ Loaders.loadModel = function(file, parent)
 
 					var obj = loader.parse(reader.result);
 					obj.name = FileSystem.getFileName(name);
-					Editor.addObject(obj, parent);
+					addObject(obj);
 					modal.destroy();
 				}
 				catch (e)
@@ -443,7 +576,7 @@ Loaders.loadModel = function(file, parent)
 					var loader = new ThreeMFLoader();
 					loader.parse(reader.result, function(obj)
 					{
-						Editor.addObject(obj, parent);
+						addObject(obj);
 						modal.destroy();
 					});
 				}
@@ -497,7 +630,7 @@ Loaders.loadModel = function(file, parent)
 
 					}
 					
-					Editor.addObject(group, parent);
+					addObject(group);
 					modal.destroy();
 				}
 				catch (e)
@@ -519,7 +652,7 @@ Loaders.loadModel = function(file, parent)
 					var loader = new AWDLoader();
 					loader._baseDir = path;
 					var awd = loader.parse(reader.result);
-					Editor.addObject(awd, parent);
+					addObject(awd);
 					modal.destroy();
 				}
 				catch (e)
@@ -540,7 +673,7 @@ Loaders.loadModel = function(file, parent)
 				{
 					var loader = new AMFLoader();
 					var amf = loader.parse(reader.result);
-					Editor.addObject(amf, parent);
+					addObject(amf);
 					modal.destroy();
 				}
 				catch (e)
@@ -561,7 +694,7 @@ Loaders.loadModel = function(file, parent)
 				{
 					var loader = new AssimpLoader();
 					var assimp = loader.parse(reader.result, path);
-					Editor.addObject(assimp.object, parent);
+					addObject(assimp.object);
 					modal.destroy();
 				}
 				catch (e)
@@ -591,7 +724,7 @@ Loaders.loadModel = function(file, parent)
 							object.material = new MeshPhongMaterial();
 						}
 					});
-					Editor.addObject(babylon, parent);
+					addObject(babylon);
 					modal.destroy();
 				}
 				catch (e)
@@ -638,7 +771,7 @@ Loaders.loadModel = function(file, parent)
 					var loader = new TDSLoader();
 					loader.setPath(path);
 					var group = loader.parse(reader.result);
-					Editor.addObject(group, parent);
+					addObject(group);
 					modal.destroy();
 				}
 				catch (e)
@@ -674,7 +807,7 @@ Loaders.loadModel = function(file, parent)
 						});
 					}
 					
-					Editor.addObject(scene, parent);
+					addObject(scene);
 					modal.destroy();
 				}
 				catch (e)
@@ -710,7 +843,7 @@ Loaders.loadModel = function(file, parent)
 						}
 
 						var mesh = new Mesh(geometry, Editor.defaultMaterial);
-						Editor.addObject(mesh, parent);
+						addObject(mesh);
 						modal.destroy();
 					});
 				}
@@ -756,7 +889,7 @@ Loaders.loadModel = function(file, parent)
 							});
 						}
 
-						Editor.addObject(scene, parent);
+						addObject(scene);
 						modal.destroy();
 					});
 				}
@@ -784,7 +917,7 @@ Loaders.loadModel = function(file, parent)
 
 					var mesh = new Mesh(geometry, Editor.defaultMaterial);
 					mesh.name = modelName;
-					Editor.addObject(mesh, parent);
+					addObject(mesh);
 					modal.destroy();
 				}
 				catch (e)
@@ -810,7 +943,7 @@ Loaders.loadModel = function(file, parent)
 
 					var mesh = new Mesh(geometry, Editor.defaultMaterial);
 					mesh.name = modelName;
-					Editor.addObject(mesh, parent);
+					addObject(mesh);
 					modal.destroy();
 				}
 				catch (e)
@@ -837,7 +970,7 @@ Loaders.loadModel = function(file, parent)
 
 					var mesh = new Mesh(geometry, Editor.defaultMaterial);
 					mesh.name = modelName;
-					Editor.addObject(mesh, parent);
+					addObject(mesh);
 					modal.destroy();
 				}
 				catch (e)
@@ -862,7 +995,7 @@ Loaders.loadModel = function(file, parent)
 
 					for (var i = 0; i < scene.children.length; i++)
 					{
-						Editor.addObject(scene.children[i], parent);
+						addObject(scene.children[i]);
 					}
 
 					modal.destroy();
@@ -897,7 +1030,7 @@ Loaders.loadModel = function(file, parent)
 						});
 					}
 
-					Editor.addObject(object, parent);
+					addObject(object);
 					modal.destroy();
 				}
 				catch (e)
@@ -981,7 +1114,7 @@ Loaders.loadModel = function(file, parent)
 								}
 							}
 
-							Editor.addObject(model, parent);
+							addObject(model);
 						}
 						modal.destroy();
 					});
@@ -1006,7 +1139,7 @@ Loaders.loadModel = function(file, parent)
 					var pcd = loader.parse(reader.result, file.name);
 					pcd.material.name = "points";
 
-					Editor.addObject(pcd, parent);
+					addObject(pcd);
 					modal.destroy();
 				}
 				catch (e)
@@ -1047,7 +1180,7 @@ Loaders.loadModel = function(file, parent)
 						}
 					}
 
-					Editor.addObject(group, parent);
+					addObject(group);
 					modal.destroy();
 				}
 				catch (e)
@@ -1072,7 +1205,7 @@ Loaders.loadModel = function(file, parent)
 					var geometry = loader.parse(reader.result);
 					geometry.name = modelName;
 
-					Editor.addObject(new Mesh(geometry, Editor.defaultMaterial), parent);
+					addObject(new Mesh(geometry, Editor.defaultMaterial));
 					modal.destroy();
 				}
 				catch (e)
@@ -1122,7 +1255,7 @@ Loaders.loadModel = function(file, parent)
 						mesh = new Mesh(geometry, material);
 					}
 
-					Editor.addObject(mesh, parent);
+					addObject(mesh);
 					modal.destroy();
 				}
 				catch (e)
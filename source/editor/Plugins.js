@@ -0,0 +1,418 @@
+import * as THREE from "three";
+import * as Runtime from "../core/Main.js";
+import {FileSystem} from "../core/FileSystem.js";
+import {ObjectLoader} from "../core/loaders/ObjectLoader.js";
+import {Model} from "../core/resources/Model.js";
+import {Locale} from "./locale/LocaleManager.js";
+import {ChangeAction} from "./history/action/ChangeAction.js";
+import {ActionBundle} from "./history/action/ActionBundle.js";
+import {CallbackAction} from "./history/action/CallbackAction.js";
+import {Inspector} from "./gui/tab/inspector/Inspector.js";
+import {ObjectInspector} from "./gui/tab/inspector/objects/ObjectInspector.js";
+import {DrawableInspector} from "./gui/tab/inspector/objects/DrawableInspector.js";
+import {TabComponent} from "./components/tabs/TabComponent.js";
+import {TableForm} from "./components/TableForm.js";
+import {Text} from "./components/Text.js";
+import {TextBox} from "./components/input/TextBox.js";
+import {NumberBox} from "./components/input/NumberBox.js";
+import {CheckBox} from "./components/input/CheckBox.js";
+import {ColorChooser} from "./components/input/ColorChooser.js";
+import {Slider} from "./components/input/Slider.js";
+import {VectorBox} from "./components/input/VectorBox.js";
+import {DropdownList} from "./components/input/DropdownList.js";
+import {ButtonText} from "./components/buttons/ButtonText.js";
+import {Global} from "./Global.js";
+import {Editor} from "./Editor.js";
+
+/**
+ * Plugins are used to extend the editor with new object types, inspectors, tabs, menu options, file loaders and exporters.
+ *
+ * A plugin is a javascript file, the code is executed with access to the variables Plugins (this class), Nunu (runtime library), THREE, Editor and Modules (editor classes, see getModules()).
+ *
+ * Plugins are loaded from the folder configured in the editor settings. Plugins in the "plugins" folder placed next to a project file are only loaded when a project is loaded if the user allows them to run.
+ *
+ * @static
+ * @class Plugins
+ */
+function Plugins() {}
+
+/**
+ * Name of the folder where project plugins are stored, relative to the project file.
+ *
+ * @static
+ * @attribute FOLDER
+ * @type {string}
+ */
+Plugins.FOLDER = "plugins";
+
+/**
+ * Path of the plugin files already loaded, each file is only loaded once.
+ *
+ * @static
+ * @attribute loaded
+ * @type {Array}
+ */
+Plugins.loaded = [];
+
+/**
+ * Object types that can be added from the scene editor side bar.
+ *
+ * Each entry has a name, icon and create() method that returns the object to add.
+ *
+ * @static
+ * @attribute objects
+ * @type {Array}
+ */
+Plugins.objects = [];
+
+/**
+ * Inspector panels, each entry has the type of object inspected and the inspector constructor.
+ *
+ * @static
+ * @attribute inspectors
+ * @type {Array}
+ */
+Plugins.inspectors = [];
+
+/**
+ * Tabs that can be opened from the plugins menu, each entry has a name, icon and the tab constructor.
+ *
+ * @static
+ * @attribute tabs
+ * @type {Array}
+ */
+Plugins.tabs = [];
+
+/**
+ * Options of the plugins menu, each entry has a name, icon and the callback called when the option is clicked.
+ *
+ * @static
+ * @attribute options
+ * @type {Array}
+ */
+Plugins.options = [];
+
+/**
+ * File loaders indexed by file extension, loaders receive the file and the parent object where the loaded objects should be placed.
+ *
+ * @static
+ * @attribute loaders
+ * @type {Object}
+ */
+Plugins.loaders = {};
+
+/**
+ * Exporters placed in the export menu, each entry has a name and the callback called with the scene to export.
+ *
+ * @static
+ * @attribute exporters
+ * @type {Array}
+ */
+Plugins.exporters = [];
+
+/**
+ * Register a new object type.
+ *
+ * The parse method is used by the ObjectLoader to create objects of the type from their JSON data, other attributes (transform, children, etc) are parsed as usual.
+ *
+ * If a create method is provided the object type is added to the plugins button of the side bar.
+ *
+ * @static
+ * @method registerObject
+ * @param {string} type Object type, as stored in the JSON data of the object.
+ * @param {Object} options Object with the parse(data, loader) method, and optionally the name, icon and create() method used for the side bar.
+ */
+Plugins.registerObject = function(type, options)
+{
+	if (options.parse !== undefined)
+	{
+		ObjectLoader.types[type] = options.parse;
+	}
+
+	if (options.create !== undefined)
+	{
+		Plugins.objects.push({
+			type: type,
+			name: options.name !== undefined ? options.name : type,
+			icon: options.icon !== undefined ? options.icon : Global.FILE_PATH + "icons/misc/tool.png",
+			create: options.create
+		});
+	}
+};
+
+/**
+ * Register an inspector panel for a type of object.
+ *
+ * Inspectors registered by plugins are used before the ones from the editor, the last registered is used first.
+ *
+ * @static
+ * @method registerInspector
+ * @param {Function} type Constructor of the objects inspected.
+ * @param {Function} inspector Inspector constructor.
+ */
+Plugins.registerInspector = function(type, inspector)
+{
+	Plugins.inspectors.push({type: type, inspector: inspector});
+};
+
+/**
+ * Register a tab type, the tab can be opened from the plugins menu.
+ *
+ * @static
+ * @method registerTab
+ * @param {string} name Name displayed in the menu.
+ * @param {Function} tab Tab constructor, should extend TabComponent.
+ * @param {string} icon Icon URL, optional.
+ */
+Plugins.registerTab = function(name, tab, icon)
+{
+	Plugins.tabs.push({name: name, tab: tab, icon: icon !== undefined ? icon : Global.FILE_PATH + "icons/misc/tool.png"});
+};
+
+/**
+ * Register an option in the plugins menu.
+ *
+ * @static
+ * @method registerMenuOption
+ * @param {string} name Name displayed in the menu.
+ * @param {Function} callback Method called when the option is clicked.
+ * @param {string} icon Icon URL, optional.
+ */
+Plugins.registerMenuOption = function(name, callback, icon)
+{
+	Plugins.options.push({name: name, callback: callback, icon: icon !== undefined ? icon : Global.FILE_PATH + "icons/misc/tool.png"});
+};
+
+/**
+ * Register a file loader for some file extensions, files with these extensions are imported as models.
+ *
+ * @static
+ * @method registerLoader
+ * @param {Array} extensions List of file extensions (e.g. ["xyz"]).
+ * @param {Function} loader Method called with the file and parent object to load the file.
+ */
+Plugins.registerLoader = function(extensions, loader)
+{
+	for (var i = 0; i < extensions.length; i++)
+	{
+		var extension = extensions[i].toLowerCase();
+
+		Plugins.loaders[extension] = loader;
+
+		if (Model.extensions.indexOf(extension) === -1)
+		{
+			Model.extensions.push(extension);
+		}
+	}
+};
+
+/**
+ * Register an exporter, it is placed in the export menu.
+ *
+ * @static
+ * @method registerExporter
+ * @param {string} name Name displayed in the menu.
+ * @param {Function} callback Method called with the scene to export.
+ */
+Plugins.registerExporter = function(name, callback)
+{
+	Plugins.exporters.push({name: name, callback: callback});
+};
+
+/**
+ * Get the inspector registered for an object.
+ *
+ * @static
+ * @method getInspector
+ * @param {Object} object Object to be inspected.
+ * @return {Function} Inspector constructor, null if no inspector was registered for the object.
+ */
+Plugins.getInspector = function(object)
+{
+	for (var i = Plugins.inspectors.length - 1; i >= 0; i--)
+	{
+		if (object instanceof Plugins.inspectors[i].type)
+		{
+			return Plugins.inspectors[i].inspector;
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Get the editor classes available to plugins as the Modules variable.
+ *
+ * @static
+ * @method getModules
+ * @return {Object} Editor classes indexed by name.
+ */
+Plugins.getModules = function()
+{
+	return {
+		Locale: Locale,
+		Global: Global,
+		ChangeAction: ChangeAction,
+		ActionBundle: ActionBundle,
+		CallbackAction: CallbackAction,
+		Inspector: Inspector,
+		ObjectInspector: ObjectInspector,
+		DrawableInspector: DrawableInspector,
+		TabComponent: TabComponent,
+		TableForm: TableForm,
+		Text: Text,
+		TextBox: TextBox,
+		NumberBox: NumberBox,
+		CheckBox: CheckBox,
+		ColorChooser: ColorChooser,
+		Slider: Slider,
+		VectorBox: VectorBox,
+		DropdownList: DropdownList,
+		ButtonText: ButtonText
+	};
+};
+
+/**
+ * Run the code of a plugin.
+ *
+ * @static
+ * @method run
+ * @param {string} code Plugin code.
+ * @param {string} name Name of the plugin, used to identify the code when debugging.
+ */
+Plugins.run = function(code, name)
+{
+	var func = new Function("Plugins", "Nunu", "THREE", "Editor", "Modules", code + "\n//# sourceURL=" + name);
+	func(Plugins, Runtime, THREE, Editor, Plugins.getModules());
+};
+
+/**
+ * Load a plugin file, files already loaded are ignored.
+ *
+ * Only works when running inside NWJS.
+ *
+ * @static
+ * @method loadFile
+ * @param {string} path Path of the plugin file.
+ */
+Plugins.loadFile = function(path)
+{
+	if (Plugins.loaded.indexOf(path) !== -1)
+	{
+		return;
+	}
+
+	Plugins.loaded.push(path);
+
+	try
+	{
+		Plugins.run(FileSystem.readFile(path), path);
+	}
+	catch (e)
+	{
+		console.error("nunuStudio: Error loading plugin " + path, e);
+	}
+};
+
+/**
+ * Load all the plugin files (.js) in a folder and update the editor interface.
+ *
+ * Only works when running inside NWJS.
+ *
+ * @static
+ * @method loadFolder
+ * @param {string} path Path of the folder.
+ */
+Plugins.loadFolder = function(path)
+{
+	var files = Plugins.getFiles(path);
+
+	for (var i = 0; i < files.length; i++)
+	{
+		Plugins.loadFile(files[i]);
+	}
+
+	Plugins.updateInterface();
+};
+
+/**
+ * Load the plugins stored in the "plugins" folder next to a project file.
+ *
+ * Plugins run with full access to the system, the user is asked for confirmation before running plugins that were not loaded before.
+ *
+ * Only works when running inside NWJS.
+ *
+ * @static
+ * @method loadProjectFolder
+ * @param {string} path Path of the project file.
+ */
+Plugins.loadProjectFolder = function(path)
+{
+	var files = Plugins.getFiles(FileSystem.getFilePath(path) + Plugins.FOLDER).filter(function(file)
+	{
+		return Plugins.loaded.indexOf(file) === -1;
+	});
+
+	if (files.length === 0 || !Editor.confirm(Locale.runProjectPlugins + "\n\n" + files.join("\n")))
+	{
+		return;
+	}
+
+	for (var i = 0; i < files.length; i++)
+	{
+		Plugins.loadFile(files[i]);
+	}
+
+	Plugins.updateInterface();
+};
+
+/**
+ * Get the path of the plugin files (.js) in a folder.
+ *
+ * @static
+ * @method getFiles
+ * @param {string} path Path of the folder.
+ * @return {Array} Path of the plugin files sorted by name.
+ */
+Plugins.getFiles = function(path)
+{
+	if (path === undefined || path === "")
+	{
+		return [];
+	}
+
+	if (!path.endsWith("/") && !path.endsWith("\\"))
+	{
+		path += "/";
+	}
+
+	var files = FileSystem.getFilesDirectory(path).sort();
+	var plugins = [];
+
+	for (var i = 0; i < files.length; i++)
+	{
+		if (FileSystem.getFileExtension(files[i]) === "js")
+		{
+			plugins.push(path + files[i]);
+		}
+	}
+
+	return plugins;
+};
+
+/**
+ * Update the editor interface to show the elements registered by plugins.
+ *
+ * @static
+ * @method updateInterface
+ */
+Plugins.updateInterface = function()
+{
+	if (Editor.gui !== undefined && Editor.gui !== null)
+	{
+		Editor.gui.menuBar.updatePlugins();
+		Editor.updateSettings();
+	}
+};
+
+export {Plugins};
@@ -2,6 +2,8 @@ import {StaticPair} from "@as-com/pson";
 import JSZip from "jszip";
 import {Base64Utils} from "../core/utils/binary/Base64Utils.js";
 import {FileSystem} from "../core/FileSystem.js";
+import {ObjectLoader} from "../core/loaders/ObjectLoader.js";
+import {Locale} from "./locale/LocaleManager.js";
 import {Global} from "./Global.js";
 import {Editor} from "./Editor.js";
 
@@ -38,11 +40,13 @@ ProjectExporters.TEMP = "./temp";
  */
 ProjectExporters.exportCordovaProject = function(dir)
 {
+	ProjectExporters.checkPlugins();
+
 	FileSystem.makeDirectory(dir);
 	FileSystem.copyFile(Global.RUNTIME_PATH + "logo.png", dir + "/logo.png");
 	FileSystem.copyFile(Global.RUNTIME_PATH + "cordova.html", dir + "/index.html");
 	FileSystem.copyFile(Global.RUNTIME_PATH + "nunu.min.js", dir + "/nunu.min.js");
-	Editor.saveProgram(dir + "/app.nsp", true, true, true);
+	ProjectExporters.saveProgram(dir + "/app.nsp");
 };
 
 /**
@@ -53,9 +57,12 @@ ProjectExporters.exportCordovaProject = function(dir)
  * @static
  * @method exportWebProject
  * @param {string} dir Directory to export the project to.
+ * @param {boolean} streaming If true the scenes are stored in separate chunks loaded on demand.
  */
-ProjectExporters.exportWebProject = function(dir)
+ProjectExporters.exportWebProject = function(dir, streaming)
 {
+	ProjectExporters.checkPlugins();
+
 	FileSystem.makeDirectory(dir);
 	FileSystem.copyFile(Global.RUNTIME_PATH + "vr.png", dir + "/vr.png");
 	FileSystem.copyFile(Global.RUNTIME_PATH + "ar.png", dir + "/ar.png");
@@ -63,7 +70,86 @@ ProjectExporters.exportWebProject = function(dir)
 	FileSystem.copyFile(Global.RUNTIME_PATH + "logo.png", dir + "/logo.png");
 	FileSystem.copyFile(Global.RUNTIME_PATH + "index.html", dir + "/index.html");
 	FileSystem.copyFile(Global.RUNTIME_PATH + "nunu.min.js", dir + "/nunu.min.js");
-	Editor.saveProgram(dir + "/app.nsp", true, true, true);
+
+	if (streaming === true)
+	{
+		ProjectExporters.saveStreamingProgram(dir);
+	}
+	else
+	{
+		ProjectExporters.saveProgram(dir + "/app.nsp");
+	}
+};
+
+/**
+ * Check if the program can be exported, objects of types registered by plugins cannot be loaded by the runtime.
+ *
+ * @static
+ * @method checkPlugins
+ */
+ProjectExporters.checkPlugins = function()
+{
+	var types = [];
+
+	Editor.program.traverse(function(object)
+	{
+		if (ObjectLoader.types[object.type] !== undefined && types.indexOf(object.type) === -1)
+		{
+			types.push(object.type);
+		}
+	});
+
+	if (types.length > 0)
+	{
+		throw new Error(Locale.pluginObjectsExport + " " + types.join(", "));
+	}
+};
+
+/**
+ * Save the program to be used by the runtime as a binary file (.nsp).
+ *
+ * Only the program is stored, unlike Editor.saveProgram() the editor history is not included.
+ *
+ * @static
+ * @method saveProgram
+ * @param {string} fname Path of the file.
+ */
+ProjectExporters.saveProgram = function(fname)
+{
+	var pson = new StaticPair();
+	FileSystem.writeFileArrayBuffer(fname, pson.toArrayBuffer(Editor.program.toJSON()));
+};
+
+/**
+ * Save the program to a directory for progressive loading.
+ *
+ * The program is saved as "app.nsp" and each scene is stored with the resources used only by that scene in the "scenes" folder. Scenes are loaded by the runtime when they are used or preloaded.
+ *
+ * @static
+ * @method saveStreamingProgram
+ * @param {string} dir Directory to save the program to.
+ */
+ProjectExporters.saveStreamingProgram = function(dir)
+{
+	var pson = new StaticPair();
+	var data = Editor.program.toStreamingJSON();
+
+	if (data.program.object.chunks === undefined)
+	{
+		data.program.object.chunks = {};
+	}
+
+	FileSystem.makeDirectory(dir + "/scenes");
+
+	for (var uuid in data.scenes)
+	{
+		var chunk = "scenes/" + uuid + ".nsp";
+		data.program.object.chunks[uuid] = chunk;
+
+		FileSystem.writeFileArrayBuffer(dir + "/" + chunk, pson.toArrayBuffer(data.scenes[uuid]));
+	}
+
+	FileSystem.writeFileArrayBuffer(dir + "/app.nsp", pson.toArrayBuffer(data.program));
 };
 
 /**
@@ -77,6 +163,8 @@ ProjectExporters.exportWebProject = function(dir)
  */
 ProjectExporters.exportWebProjectZip = function(fname)
 {
+	ProjectExporters.checkPlugins();
+
 	var zip = new JSZip();
 	zip.file("index.html", FileSystem.readFile(Global.RUNTIME_PATH + "index.html"));
 	zip.file("nunu.min.js", FileSystem.readFile(Global.RUNTIME_PATH + "nunu.min.js"));
@@ -0,0 +1,404 @@
+import {BufferGeometry, Geometry} from "three";
+import {FileSystem} from "../core/FileSystem.js";
+import {Nunu} from "../core/Nunu.js";
+import {Image} from "../core/resources/Image.js";
+import {TextFile} from "../core/resources/TextFile.js";
+import {SwapResourceAction} from "./history/action/resources/SwapResourceAction.js";
+import {Locale} from "./locale/LocaleManager.js";
+import {Loaders} from "./Loaders.js";
+import {Editor} from "./Editor.js";
+
+/**
+ * Resource watcher reloads resources imported from files when these files change on disk.
+ *
+ * The path of the source file is stored in the asset metadata of the program (see Program.assetMetadata). Images, text files and geometries of models are supported, when the file changes a new resource is created with the same uuid and swapped using a SwapResourceAction so that every reference to the resource is preserved and the reload can be undone.
+ *
+ * Only works when running inside NWJS.
+ *
+ * @static
+ * @class ResourceWatcher
+ */
+function ResourceWatcher() {}
+
+/**
+ * File watchers indexed by the path of the file.
+ *
+ * @static
+ * @attribute watchers
+ * @type {Object}
+ */
+ResourceWatcher.watchers = {};
+
+/**
+ * Timeouts of the reloads waiting to run, indexed by the path of the file.
+ *
+ * @static
+ * @attribute timeouts
+ * @type {Object}
+ */
+ResourceWatcher.timeouts = {};
+
+/**
+ * Time to wait after a file changes before reloading it in milliseconds.
+ *
+ * Programs usually write files in multiple steps, the reload only runs when the file stops changing.
+ *
+ * @static
+ * @attribute delay
+ * @type {number}
+ */
+ResourceWatcher.delay = 500;
+
+/**
+ * Check if file watching is available.
+ *
+ * @static
+ * @method isAvailable
+ * @return {boolean} True if files can be watched.
+ */
+ResourceWatcher.isAvailable = function()
+{
+	return Nunu.runningOnDesktop() && FileSystem.fs !== null && FileSystem.fs.watch !== undefined;
+};
+
+/**
+ * Store the source file of a resource and start watching the file.
+ *
+ * @static
+ * @method setSource
+ * @param {Resource} resource Resource loaded from the file.
+ * @param {string} path Path of the file.
+ * @param {number} index Index of the resource in the file, used for the geometries of models.
+ */
+ResourceWatcher.setSource = function(resource, path, index)
+{
+	if (!ResourceWatcher.isAvailable() || path === undefined || path === "")
+	{
+		return;
+	}
+
+	var metadata = Editor.program.getAssetMetadata(resource);
+	metadata.source = path;
+
+	if (index !== undefined)
+	{
+		metadata.sourceIndex = index;
+	}
+
+	ResourceWatcher.watch(path);
+};
+
+/**
+ * Store the source file of the geometries of a model.
+ *
+ * Geometries are identified by their order in the model, the index of the first geometry is received and the index after the last geometry is returned, so that models with multiple objects can be numbered.
+ *
+ * @static
+ * @method setModelSource
+ * @param {Object3D} object Object loaded from the file.
+ * @param {string} path Path of the file.
+ * @param {number} index Index of the first geometry of the object.
+ * @return {number} Index after the last geometry of the object.
+ */
+ResourceWatcher.setModelSource = function(object, path, index)
+{
+	var geometries = ResourceWatcher.getGeometries(object);
+
+	for (var i = 0; i < geometries.length; i++)
+	{
+		ResourceWatcher.setSource(geometries[i], path, index + i);
+	}
+
+	return index + geometries.length;
+};
+
+/**
+ * Get the geometries of an object and its children, in the order they are found.
+ *
+ * @static
+ * @method getGeometries
+ * @param {Object3D} object Object to get the geometries from.
+ * @return {Array} Geometries of the object.
+ */
+ResourceWatcher.getGeometries = function(object)
+{
+	var geometries = [];
+
+	object.traverse(function(child)
+	{
+		if ((child.geometry instanceof BufferGeometry || child.geometry instanceof Geometry) && geometries.indexOf(child.geometry) === -1)
+		{
+			geometries.push(child.geometry);
+		}
+	});
+
+	return geometries;
+};
+
+/**
+ * Start watching a file, if the file is already watched nothing happens.
+ *
+ * @static
+ * @method watch
+ * @param {string} path Path of the file.
+ */
+ResourceWatcher.watch = function(path)
+{
+	if (ResourceWatcher.watchers[path] !== undefined || !FileSystem.fileExists(path))
+	{
+		return;
+	}
+
+	try
+	{
+		ResourceWatcher.watchers[path] = FileSystem.fs.watch(path, function()
+		{
+			clearTimeout(ResourceWatcher.timeouts[path]);
+			ResourceWatcher.timeouts[path] = setTimeout(function()
+			{
+				delete ResourceWatcher.timeouts[path];
+
+				// Files replaced when saved are no longer watched
+				ResourceWatcher.unwatch(path);
+				ResourceWatcher.watch(path);
+
+				if (FileSystem.fileExists(path))
+				{
+					ResourceWatcher.reload(path);
+				}
+			}, ResourceWatcher.delay);
+		});
+	}
+	catch (e)
+	{
+		console.warn("nunuStudio: Failed to watch file " + path, e);
+	}
+};
+
+/**
+ * Stop watching a file.
+ *
+ * @static
+ * @method unwatch
+ * @param {string} path Path of the file.
+ */
+ResourceWatcher.unwatch = function(path)
+{
+	if (ResourceWatcher.watchers[path] !== undefined)
+	{
+		ResourceWatcher.watchers[path].close();
+		delete ResourceWatcher.watchers[path];
+	}
+};
+
+/**
+ * Stop watching all files.
+ *
+ * @static
+ * @method dispose
+ */
+ResourceWatcher.dispose = function()
+{
+	for (var path in ResourceWatcher.watchers)
+	{
+		ResourceWatcher.unwatch(path);
+	}
+
+	for (var path in ResourceWatcher.timeouts)
+	{
+		clearTimeout(ResourceWatcher.timeouts[path]);
+	}
+
+	ResourceWatcher.timeouts = {};
+};
+
+/**
+ * Watch the source files of the resources of the program open in the editor.
+ *
+ * Should be called when the program is changed, files watched for the previous program are no longer watched.
+ *
+ * @static
+ * @method update
+ */
+ResourceWatcher.update = function()
+{
+	ResourceWatcher.dispose();
+
+	if (!ResourceWatcher.isAvailable() || Editor.program === null)
+	{
+		return;
+	}
+
+	var resources = ResourceWatcher.getSources();
+	for (var i = 0; i < resources.length; i++)
+	{
+		ResourceWatcher.watch(resources[i].metadata.source);
+	}
+};
+
+/**
+ * Get the resources of the program open in the editor that have a source file.
+ *
+ * @static
+ * @method getSources
+ * @param {string} path Path of the source file, if undefined the resources of all files are returned.
+ * @return {Array} List of {resource, category, metadata} entries.
+ */
+ResourceWatcher.getSources = function(path)
+{
+	var program = Editor.program;
+	var categories = ["images", "resources", "geometries"];
+	var resources = [];
+
+	for (var uuid in program.assetMetadata)
+	{
+		var metadata = program.assetMetadata[uuid];
+
+		if (metadata.source === undefined || path !== undefined && metadata.source !== path)
+		{
+			continue;
+		}
+
+		for (var i = 0; i < categories.length; i++)
+		{
+			if (program[categories[i]][uuid] !== undefined)
+			{
+				resources.push({resource: program[categories[i]][uuid], category: categories[i], metadata: metadata});
+			}
+		}
+	}
+
+	return resources;
+};
+
+/**
+ * Reload the resources that were loaded from a file.
+ *
+ * @static
+ * @method reload
+ * @param {string} path Path of the file.
+ */
+ResourceWatcher.reload = function(path)
+{
+	var resources = ResourceWatcher.getSources(path);
+	var geometries = {};
+	var model = false;
+
+	if (resources.length === 0)
+	{
+		return;
+	}
+
+	Editor.beginTransaction(Locale.reload + " " + FileSystem.getFileNameWithExtension(path));
+
+	try
+	{
+		for (var i = 0; i < resources.length; i++)
+		{
+			var entry = resources[i];
+
+			if (entry.category === "images")
+			{
+				ResourceWatcher.reloadImage(entry.resource, path);
+			}
+			else if (entry.category === "resources" && entry.resource instanceof TextFile)
+			{
+				ResourceWatcher.reloadText(entry.resource, path);
+			}
+			else if (entry.category === "geometries" && entry.metadata.sourceIndex !== undefined)
+			{
+				geometries[entry.metadata.sourceIndex] = entry.resource;
+				model = true;
+			}
+		}
+
+		if (model)
+		{
+			ResourceWatcher.reloadModel(geometries, path);
+		}
+	}
+	catch (e)
+	{
+		console.error("nunuStudio: Error reloading file " + path, e);
+	}
+
+	Editor.endTransaction();
+	Editor.updateObjectsViewsGUI();
+};
+
+/**
+ * Reload an image from its file, textures that use the image are updated.
+ *
+ * @static
+ * @method reloadImage
+ * @param {Image} image Image to reload.
+ * @param {string} path Path of the file.
+ */
+ResourceWatcher.reloadImage = function(image, path)
+{
+	var resource = new Image(FileSystem.readFileArrayBuffer(path), FileSystem.getFileExtension(path));
+	resource.uuid = image.uuid;
+	resource.name = image.name;
+
+	Editor.addAction(new SwapResourceAction(image, resource, Editor.program, "images"));
+};
+
+/**
+ * Reload a text file, text editors open with the file are updated.
+ *
+ * @static
+ * @method reloadText
+ * @param {TextFile} text Text file to reload.
+ * @param {string} path Path of the file.
+ */
+ResourceWatcher.reloadText = function(text, path)
+{
+	var resource = new TextFile(FileSystem.readFile(path), text.encoding);
+	resource.uuid = text.uuid;
+	resource.name = text.name;
+
+	Editor.addAction(new SwapResourceAction(text, resource, Editor.program, "resources"));
+};
+
+/**
+ * Reload the geometries of a model file.
+ *
+ * The file is parsed again using Loaders.loadModel(), geometries are matched by their order in the model.
+ *
+ * @static
+ * @method reloadModel
+ * @param {Object} geometries Geometries to reload indexed by their index in the model.
+ * @param {string} path Path of the file.
+ */
+ResourceWatcher.reloadModel = function(geometries, path)
+{
+	var file = new File([FileSystem.readFileArrayBuffer(path)], FileSystem.getFileNameWithExtension(path));
+	Object.defineProperty(file, "path", {value: path});
+
+	var index = 0;
+
+	Loaders.loadModel(file, undefined, function(object)
+	{
+		var loaded = ResourceWatcher.getGeometries(object);
+
+		Editor.beginTransaction(Locale.reload + " " + file.name);
+
+		for (var i = 0; i < loaded.length; i++, index++)
+		{
+			var geometry = geometries[index];
+
+			if (geometry !== undefined && Editor.program.geometries[geometry.uuid] === geometry)
+			{
+				loaded[i].uuid = geometry.uuid;
+				loaded[i].name = geometry.name;
+
+				Editor.addAction(new SwapResourceAction(geometry, loaded[i], Editor.program, "geometries"));
+			}
+		}
+
+		Editor.endTransaction();
+		Editor.updateObjectsViewsGUI();
+	});
+};
+
+export {ResourceWatcher};
@@ -74,8 +74,10 @@ Settings.prototype.loadDefault = function()
 		showUUID: true,
 		showType: true,
 		immediateMode: false,
+		profileScripts: false,
 		historySize: 20,
-		ignorePixelRatio: false
+		ignorePixelRatio: false,
+		pluginsPath: ""
 	};
 
 	// Units
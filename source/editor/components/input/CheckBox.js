@@ -40,6 +40,17 @@ function CheckBox(parent)
 	this.check.src = Global.FILE_PATH + "icons/misc/check.png";
 	this.element.appendChild(this.check);
 
+	this.dash = document.createElement("div");
+	this.dash.style.display = "none";
+	this.dash.style.pointerEvents = "none";
+	this.dash.style.position = "absolute";
+	this.dash.style.top = "45%";
+	this.dash.style.left = "25%";
+	this.dash.style.width = "50%";
+	this.dash.style.height = "10%";
+	this.dash.style.backgroundColor = "var(--color-light)";
+	this.element.appendChild(this.dash);
+
 	/**
 	 * Value stored in the checkbox.
 	 *
@@ -63,6 +74,14 @@ function CheckBox(parent)
 	 * @type {boolean}
 	 */
 	this.disabled = false;
+
+	/**
+	 * If the checkbox is indeterminate a dash is displayed instead of the value (e.g. when editing multiple objects with different values).
+	 *
+	 * @attribute indeterminate
+	 * @type {boolean}
+	 */
+	this.indeterminate = false;
 };
 
 CheckBox.prototype = Object.create(Component.prototype);
@@ -99,7 +118,27 @@ CheckBox.prototype.setDisabled = function(value)
 CheckBox.prototype.setValue = function(value)
 {
 	this.value = value;
-	this.check.style.visibility = this.value ? "visible" : "hidden";
+	this.setIndeterminate(false);
+};
+
+/**
+ * Set if the checkbox value is indeterminate.
+ *
+ * Clicking an indeterminate checkbox sets its value to true.
+ *
+ * @method setIndeterminate
+ * @param {boolean} indeterminate
+ */
+CheckBox.prototype.setIndeterminate = function(indeterminate)
+{
+	if (indeterminate && !this.indeterminate)
+	{
+		this.value = false;
+	}
+
+	this.indeterminate = indeterminate;
+	this.check.style.visibility = this.value && !this.indeterminate ? "visible" : "hidden";
+	this.dash.style.display = this.indeterminate ? "block" : "none";
 };
 
 /**
@@ -85,6 +85,19 @@ ColorChooser.prototype.setValueString = function(color)
 	this.element.value = color;
 };
 
+/**
+ * Set if the color is indeterminate (e.g. when editing multiple objects with different values).
+ *
+ * Indeterminate colors are displayed faded.
+ *
+ * @method setIndeterminate
+ * @param {boolean} indeterminate
+ */
+ColorChooser.prototype.setIndeterminate = function(indeterminate)
+{
+	this.element.style.opacity = indeterminate ? "0.3" : "1";
+};
+
 /**
  * Get color value HEX as string.
  *
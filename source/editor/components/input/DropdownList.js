@@ -84,9 +84,9 @@ DropdownList.prototype.addValue = function(text, value)
 DropdownList.prototype.clearValues = function()
 {
 	this.values = [];
-	for (var i = 0; i < this.select.children.length; i++)
+	while (this.select.firstChild !== null)
 	{
-		this.select.removeChild(this.select.children[i]);
+		this.select.removeChild(this.select.firstChild);
 	}
 };
 
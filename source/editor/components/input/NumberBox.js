@@ -102,6 +102,24 @@ NumberBox.prototype.setValue = function(value)
 	this.element.value = value;
 };
 
+/**
+ * Set if the value is indeterminate (e.g. when editing multiple objects with different values).
+ *
+ * Indeterminate values are displayed as an empty input with a dash placeholder.
+ *
+ * @method setIndeterminate
+ * @param {boolean} indeterminate
+ */
+NumberBox.prototype.setIndeterminate = function(indeterminate)
+{
+	this.element.placeholder = indeterminate ? "-" : "";
+
+	if (indeterminate)
+	{
+		this.element.value = "";
+	}
+};
+
 /**
  * Get value stored in the input element.
  *
@@ -240,6 +240,30 @@ Slider.prototype.setValue = function(value)
 	this.updateValue();
 };
 
+/**
+ * Set if the slider value is indeterminate (e.g. when editing multiple objects with different values).
+ *
+ * Indeterminate sliders are displayed without progress and with a faded scrubber.
+ *
+ * @method setIndeterminate
+ * @param {boolean} indeterminate
+ */
+Slider.prototype.setIndeterminate = function(indeterminate)
+{
+	this.updateValue();
+
+	if (indeterminate)
+	{
+		this.progress.style.width = "0%";
+		this.scrubber.style.opacity = "0.5";
+		this.textValue.data = "-";
+	}
+	else
+	{
+		this.scrubber.style.opacity = "1";
+	}
+};
+
 /**
  * Get Slider value.
  *
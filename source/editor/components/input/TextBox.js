@@ -156,6 +156,24 @@ TextBox.prototype.setText = function(text)
 	this.element.value = text;
 };
 
+/**
+ * Set if the text is indeterminate (e.g. when editing multiple objects with different values).
+ *
+ * Indeterminate text is displayed as an empty input with a dash placeholder.
+ *
+ * @method setIndeterminate
+ * @param {boolean} indeterminate
+ */
+TextBox.prototype.setIndeterminate = function(indeterminate)
+{
+	this.element.placeholder = indeterminate ? "-" : "";
+
+	if (indeterminate)
+	{
+		this.element.value = "";
+	}
+};
+
 /**
  * Get text stored in the input element.
  *
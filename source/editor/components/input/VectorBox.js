@@ -44,6 +44,7 @@ function VectorBox(parent)
 		input.style.MozAppearance = "textfield";
 		input.style.webkitAppearance = "caret";
 		input.style.appearance = "textfield";
+		input.indeterminateValue = null;
 		return input;
 	}
 
@@ -164,7 +165,7 @@ VectorBox.prototype.setRange = function(min, max)
  */
 VectorBox.prototype.getValue = function()
 {
-	var value = {x: parseFloat(this.x.value), y: parseFloat(this.y.value), z: parseFloat(this.z.value), w: parseFloat(this.w.value), order: this.order};
+	var value = {x: VectorBox.getInputValue(this.x), y: VectorBox.getInputValue(this.y), z: VectorBox.getInputValue(this.z), w: VectorBox.getInputValue(this.w), order: this.order};
 
 	if (this.isAngle)
 	{
@@ -264,6 +265,62 @@ VectorBox.prototype.setValue = function(x, y, z, w)
 	}
 };
 
+/**
+ * Set which components of the vector are indeterminate (e.g. when editing multiple objects with different values).
+ *
+ * Indeterminate components are displayed as empty inputs with a dash placeholder, if they are not edited getValue() keeps returning the value set before.
+ *
+ * @method setIndeterminate
+ * @param {boolean} x
+ * @param {boolean} y
+ * @param {boolean} z
+ * @param {boolean} w
+ */
+VectorBox.prototype.setIndeterminate = function(x, y, z, w)
+{
+	var inputs = [this.x, this.y, this.z, this.w];
+	var indeterminate = [x, y, z, w];
+
+	for (var i = 0; i < inputs.length; i++)
+	{
+		var input = inputs[i];
+
+		if (indeterminate[i] === true)
+		{
+			if (input.value !== "")
+			{
+				input.indeterminateValue = input.value;
+				input.value = "";
+			}
+
+			input.placeholder = "-";
+		}
+		else
+		{
+			if (input.value === "" && input.indeterminateValue !== null)
+			{
+				input.value = input.indeterminateValue;
+			}
+
+			input.indeterminateValue = null;
+			input.placeholder = "";
+		}
+	}
+};
+
+/**
+ * Get the numeric value of one of the inputs, indeterminate inputs return the value set before.
+ *
+ * @static
+ * @method getInputValue
+ * @param {Element} input Input element.
+ * @return {number} Value of the input.
+ */
+VectorBox.getInputValue = function(input)
+{
+	return parseFloat(input.value === "" && input.indeterminateValue !== null ? input.indeterminateValue : input.value);
+};
+
 /**
  * Set onchange callback, called after changes.
  *
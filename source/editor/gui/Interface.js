@@ -8,10 +8,13 @@ import {TabContainer} from "../components/tabs/splittable/TabContainer.js";
 import {DocumentBody} from "../components/DocumentBody.js";
 import {TreeView} from "./tab/tree-view/TreeView.js";
 import {ProfilingTab} from "./tab/profiling/ProfilingTab.js";
+import {ScriptProfilingTab} from "./tab/profiling/ScriptProfilingTab.js";
+import {HistoryTab} from "./tab/history/HistoryTab.js";
 import {InspectorContainer} from "./tab/inspector/InspectorContainer.js";
 import {ConsoleTab} from "./tab/console/ConsoleTab.js";
 import {AssetExplorer} from "./tab/asset/AssetExplorer.js";
 import {AnimationTab} from "./tab/animation/AnimationTab.js";
+import {AnimationStateMachineTab} from "./tab/animation/AnimationStateMachineTab.js";
 import {MainMenu} from "./MainMenu.js";
 
 /**
@@ -49,15 +52,23 @@ function Interface()
 
 	this.animation = leftBottom.addTab(AnimationTab, false);
 
+	this.stateMachine = leftBottom.addTab(AnimationStateMachineTab, false);
+
+	this.profiling = null;
+
 	if (DEVELOPMENT)
 	{
-		leftBottom.addTab(ProfilingTab, false);
+		this.profiling = leftBottom.addTab(ProfilingTab, false);
 	}
 
+	this.scriptProfiling = leftBottom.addTab(ScriptProfilingTab, false);
+
 	this.tree = rightTop.addTab(TreeView, false);
 
 	this.inspector = rightBottom.addTab(InspectorContainer, false);
 
+	this.history = rightBottom.addTab(HistoryTab, false);
+
 	this.menuBar = new MainMenu(DocumentBody);
 }
 
@@ -21,6 +21,7 @@ import {Component} from "../components/Component.js";
 import {ButtonText} from "../components/buttons/ButtonText.js";
 import {BSP} from "../../core/bsp/BSP.js";
 import {Exporters} from "../Exporters.js";
+import {Plugins} from "../Plugins.js";
 import {AboutTab} from "./tab/about/AboutTab.js";
 import {SettingsTab} from "./tab/settings/SettingsTab.js";
 
@@ -153,6 +154,23 @@ function MainMenu(parent)
 			}, "", Editor.program.name);
 		}, Global.FILE_PATH + "icons/platform/web.png");
 
+		// Publish web with scenes loaded on demand
+		publish.addOption(Locale.webStreaming, function()
+		{
+			FileSystem.chooseFile(function(files)
+			{
+				try
+				{
+					ProjectExporters.exportWebProject(files[0].path, true);
+					Editor.alert(Locale.projectExported);
+				}
+				catch (e)
+				{
+					Editor.alert(Locale.errorExportingProject + "\n(" + e + ")");
+				}
+			}, "", Editor.program.name);
+		}, Global.FILE_PATH + "icons/platform/web.png");
+
 		// Android
 		if (DEVELOPMENT)
 		{
@@ -319,6 +337,22 @@ function MainMenu(parent)
 	// Export menu
 	var exportMenu = fileMenu.addMenu(Locale.export, Global.FILE_PATH + "icons/misc/export.png");
 
+	/**
+	 * Export menu, exporters registered by plugins are added to this menu.
+	 *
+	 * @attribute exportMenu
+	 * @type {DropdownMenu}
+	 */
+	this.exportMenu = exportMenu;
+
+	/**
+	 * Number of plugin exporters already added to the export menu.
+	 *
+	 * @attribute pluginExporters
+	 * @type {number}
+	 */
+	this.pluginExporters = 0;
+
 	// Export OBJ
 	exportMenu.addOption("OBJ", function()
 	{	
@@ -744,6 +778,19 @@ function MainMenu(parent)
 	{
 		Editor.runProject();
 	});
+
+	/**
+	 * Plugins menu, contains the tabs and options registered by plugins, hidden if there are none.
+	 *
+	 * @attribute pluginsMenu
+	 * @type {DropdownMenu}
+	 */
+	this.pluginsMenu = new DropdownMenu(this);
+	this.pluginsMenu.setText(Locale.plugins);
+	this.pluginsMenu.size.set(100, this.size.y);
+	this.pluginsMenu.position.set(520, 0);
+	this.pluginsMenu.setVisibility(false);
+	this.pluginsMenu.updateInterface();
 }
 
 MainMenu.prototype = Object.create(Component.prototype);
@@ -753,4 +800,61 @@ MainMenu.prototype.updateInterface = function()
 	this.updateVisibility();
 };
 
+/**
+ * Update the menu options registered by plugins.
+ *
+ * @method updatePlugins
+ */
+MainMenu.prototype.updatePlugins = function()
+{
+	function addExporter(menu, exporter)
+	{
+		menu.addOption(exporter.name, function()
+		{
+			exporter.callback(Editor.getScene());
+		}, Global.FILE_PATH + "icons/misc/scene.png");
+	}
+
+	function addTab(menu, plugin)
+	{
+		menu.addOption(plugin.name, function()
+		{
+			var tab = Editor.gui.tab.getTab(plugin.tab);
+			if (tab === null)
+			{
+				tab = Editor.gui.tab.addTab(plugin.tab, true);
+			}
+			tab.select();
+		}, plugin.icon);
+	}
+
+	// Exporters
+	while (this.pluginExporters < Plugins.exporters.length)
+	{
+		addExporter(this.exportMenu, Plugins.exporters[this.pluginExporters]);
+		this.pluginExporters++;
+	}
+
+	this.exportMenu.updateInterface();
+
+	// Tabs and options
+	while (this.pluginsMenu.options.length > 0)
+	{
+		this.pluginsMenu.removeOption(0);
+	}
+
+	for (var i = 0; i < Plugins.tabs.length; i++)
+	{
+		addTab(this.pluginsMenu, Plugins.tabs[i]);
+	}
+
+	for (var i = 0; i < Plugins.options.length; i++)
+	{
+		this.pluginsMenu.addOption(Plugins.options[i].name, Plugins.options[i].callback, Plugins.options[i].icon);
+	}
+
+	this.pluginsMenu.setVisibility(this.pluginsMenu.options.length > 0);
+	this.pluginsMenu.updateInterface();
+};
+
 export {MainMenu};
@@ -0,0 +1,123 @@
+import {Box3, Vector3} from "three";
+import {PerspectiveCamera} from "../../../core/objects/cameras/PerspectiveCamera.js";
+import {Editor} from "../../Editor.js";
+import {PreviewRenderer} from "./PreviewRenderer.js";
+
+/**
+ * The particle renderer is used to generate preview thumbnails of particle presets.
+ *
+ * A particle emitter is created from the preset using the default particle texture, the particles are simulated for a while and the camera is placed to fit the particles alive.
+ *
+ * @class ParticleRenderer
+ * @extends {PreviewRenderer}
+ */
+function ParticleRenderer()
+{
+	PreviewRenderer.call(this);
+
+	this.camera = new PerspectiveCamera(60, 1);
+}
+
+ParticleRenderer.prototype = Object.create(PreviewRenderer.prototype);
+
+/**
+ * Time step used to simulate the particles before rendering the preview.
+ *
+ * @static
+ * @attribute step
+ * @type {number}
+ */
+ParticleRenderer.step = 1 / 30;
+
+/**
+ * Maximum time simulated before rendering the preview in seconds.
+ *
+ * @static
+ * @attribute maxTime
+ * @type {number}
+ */
+ParticleRenderer.maxTime = 4;
+
+/**
+ * Create a DOM element with the particle preset preview render.
+ *
+ * @static
+ * @method generateElement
+ * @param {ParticlePreset} preset Particle preset to preview.
+ */
+ParticleRenderer.generateElement = function(preset)
+{
+	var preview = document.createElement("img");
+	ParticleRenderer.render(preset, function(url)
+	{
+		preview.src = url;
+	});
+
+	return preview;
+};
+
+ParticleRenderer.render = function(preset, onRender)
+{
+	if (ParticleRenderer.instance === undefined)
+	{
+		ParticleRenderer.instance = new ParticleRenderer();
+	}
+
+	ParticleRenderer.instance.render(preset, onRender);
+};
+
+ParticleRenderer.prototype.render = function(preset, onRender)
+{
+	var particle = preset.createParticle(Editor.defaultTextureParticle);
+	var emitter = particle.emitter;
+	emitter.setCollisionMatrix(particle.matrixWorld);
+
+	// Simulate the particles until they fill the effect
+	var time = Math.min(emitter.maxAge.value + emitter.maxAge.spread, ParticleRenderer.maxTime);
+	for (var t = 0; t < time; t += ParticleRenderer.step)
+	{
+		particle.group.tick(ParticleRenderer.step);
+	}
+
+	// Fit the camera to the particles alive
+	var box = new Box3();
+	var point = new Vector3();
+	var params = particle.group.attributes.params.typedArray.array;
+
+	for (var i = emitter.attributeOffset; i < emitter.attributeOffset + emitter.particleCount; i++)
+	{
+		if (params[i * 4] !== 0.0)
+		{
+			box.expandByPoint(emitter.getParticlePosition(i, params[i * 4 + 1], point));
+		}
+	}
+
+	var center = new Vector3();
+	var size = 2;
+
+	if (!box.isEmpty())
+	{
+		box.getCenter(center);
+		size = Math.max(box.max.x - box.min.x, box.max.y - box.min.y, box.max.z - box.min.z, 0.5);
+	}
+
+	var distance = size / (2 * Math.tan(this.camera.fov * Math.PI / 360)) + size / 2;
+	this.camera.position.set(center.x, center.y + distance * 0.3, center.z + distance);
+	this.camera.lookAt(center);
+	this.camera.updateProjectionMatrix();
+
+	// Trail geometry is drawn from the previous update
+	if (particle.trail !== null)
+	{
+		particle.trail.update(particle.trailLength, particle.trailWidth);
+	}
+
+	this.scene.add(particle);
+	this.renderer.render(this.scene, this.camera);
+	this.scene.remove(particle);
+	particle.dispose();
+
+	onRender(this.canvas.toDataURL());
+};
+
+export {ParticleRenderer};
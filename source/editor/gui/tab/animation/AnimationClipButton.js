@@ -45,6 +45,15 @@ function AnimationClipButton(parent, editor, animation)
 				self.updateAnimation();
 			}
 		});
+		context.addOption(Locale.rootBone, function()
+		{
+			var value = Editor.prompt(Locale.rootBone, animation.rootBone);
+			if (value !== null)
+			{
+				Editor.addAction(new ChangeAction(animation, "rootBone", value));
+				self.editor.createAnimationMixer(true);
+			}
+		});
 		context.addOption("Add track", function()
 		{
 			var attribute = Editor.prompt(Locale.attribute);
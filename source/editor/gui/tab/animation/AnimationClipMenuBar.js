@@ -94,6 +94,22 @@ function AnimationClipMenuBar(parent, editor, animation)
 		self.editor.createAnimationMixer(true);
 	});
 
+	var text = new Text(this);
+	text.position.set(480, 5);
+	text.size.set(100, 20);
+	text.setText(Locale.rootMotion);
+	text.updateInterface();
+
+	this.rootMotion = new CheckBox(this);
+	this.rootMotion.position.set(565, 5);
+	this.rootMotion.size.set(18, 18);
+	this.rootMotion.updateInterface();
+	this.rootMotion.setOnChange(function()
+	{
+		self.animation.rootMotion = self.rootMotion.getValue();
+		self.editor.createAnimationMixer(true);
+	});
+
 	this.updateAnimation();
 }
 
@@ -105,6 +121,7 @@ AnimationClipMenuBar.prototype.updateAnimation = function()
 	this.timeScale.setValue(this.animation.timeScale);
 	this.duration.setValue(this.animation.duration);
 	this.enabled.setValue(this.animation.enabled);
+	this.rootMotion.setValue(this.animation.rootMotion);
 };
 
 AnimationClipMenuBar.prototype.updateInterface = function() {};
@@ -5,11 +5,13 @@ import {AnimationTrackButton} from "./AnimationTrackButton.js";
 import {AnimationTrack} from "./AnimationTrack.js";
 import {AnimationClipMenuBar} from "./AnimationClipMenuBar.js";
 import {AnimationClipButton} from "./AnimationClipButton.js";
+import {AnimationEventTrack} from "./AnimationEventTrack.js";
+import {AnimationEventButton} from "./AnimationEventButton.js";
 
 /**
  * Animation clip track contains all the elements of an animation track.
  *
- * Creates the animation clip button and option bar and all the tracks buttons and timegrids.
+ * Creates the animation clip button and option bar, the events track and all the tracks buttons and timegrids.
  *
  * @class AnimationClipTrack
  */
@@ -21,7 +23,7 @@ function AnimationClipTrack(editor, animation)
 	var tracks = animation.tracks;
 
 	var width = this.editor.zoom * animation.duration;
-	var height = 30 * tracks.length;
+	var height = 30 * (tracks.length + 1);
 
 	var self = this;
 
@@ -117,16 +119,30 @@ function AnimationClipTrack(editor, animation)
 		self.manager.destroy();
 	});
 
+	/**
+	 * Track where the events of the animation clip are displayed.
+	 *
+	 * @attribute events
+	 * @type {AnimationEventTrack}
+	 */
+	this.events = new AnimationEventTrack(this.timeline, this.editor, animation);
+	this.events.position.set(0, 0);
+	this.events.size.set(width, 30);
+	this.events.updateInterface();
+
+	var button = new AnimationEventButton(this.editor.info, this.editor, animation, this.events);
+	button.updateInterface();
+
 	// Tracks
 	for (var j = 0; j < tracks.length; j++)
 	{
 		var track = new AnimationTrack(this.timeline, this.editor, tracks[j]);
-		track.position.set(0, j * 30);
+		track.position.set(0, (j + 1) * 30);
 		track.size.set(width, 30);
 		track.updateInterface();
 		
 		var button = new AnimationTrackButton(this.editor.info, this.editor, animation, tracks[j], track);
-		button.position.set(0, j * 30);
+		button.position.set(0, (j + 1) * 30);
 		button.size.set(0, 30);
 		button.updateInterface();
 	}
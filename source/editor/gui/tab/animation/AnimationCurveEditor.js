@@ -0,0 +1,1035 @@
+import {EventManager} from "../../../../core/utils/EventManager.js";
+import {BezierInterpolant} from "../../../../core/animation/BezierInterpolant.js";
+import {Locale} from "../../../locale/LocaleManager.js";
+import {Editor} from "../../../Editor.js";
+import {DOMUtils} from "../../../utils/DOMUtils.js";
+import {ContextMenu} from "../../../components/dropdown/ContextMenu.js";
+import {DocumentBody} from "../../../components/DocumentBody.js";
+import {Canvas} from "../../../components/Canvas.js";
+import {Component} from "../../../components/Component.js";
+
+/**
+ * Animation curve editor displays the values of a keyframe track as curves.
+ *
+ * Keyframes can be selected (individually or using a selection box), moved and scaled. The tangents of tracks with bezier interpolation can be edited using handles.
+ *
+ * The horizontal scale is the zoom of the animation tab.
+ *
+ * @class AnimationCurveEditor
+ * @extends {Component}
+ * @param {Component} parent Parent element.
+ * @param {AnimationTab} editor Animation tab where the curve editor is placed.
+ */
+function AnimationCurveEditor(parent, editor)
+{
+	Component.call(this, parent, "div");
+
+	this.element.style.overflow = "hidden";
+	this.element.style.backgroundColor = "var(--panel-color)";
+
+	var self = this;
+
+	/**
+	 * Animation tab where the curve editor is placed.
+	 *
+	 * @property editor
+	 * @type {AnimationTab}
+	 */
+	this.editor = editor;
+
+	/**
+	 * Animation clip that contains the track being edited.
+	 *
+	 * @property clip
+	 * @type {AnimationClip}
+	 */
+	this.clip = null;
+
+	/**
+	 * Keyframe track being edited.
+	 *
+	 * @property track
+	 * @type {KeyframeTrack}
+	 */
+	this.track = null;
+
+	/**
+	 * Time displayed on the left side of the editor in seconds.
+	 *
+	 * @property start
+	 * @type {number}
+	 */
+	this.start = 0;
+
+	/**
+	 * Value displayed in the vertical center of the editor.
+	 *
+	 * @property center
+	 * @type {number}
+	 */
+	this.center = 0;
+
+	/**
+	 * Vertical scale in pixels per value unit.
+	 *
+	 * @property scale
+	 * @type {number}
+	 */
+	this.scale = 100;
+
+	/**
+	 * Keyframe values selected, stored as {index, component} pairs.
+	 *
+	 * @property selected
+	 * @type {Array}
+	 */
+	this.selected = [];
+
+	/**
+	 * Action being performed with the pointer.
+	 *
+	 * @property action
+	 * @type {number}
+	 */
+	this.action = AnimationCurveEditor.NONE;
+
+	/**
+	 * Tangent handle being dragged, stored as {index, component, out}.
+	 *
+	 * @property handle
+	 * @type {Object}
+	 */
+	this.handle = null;
+
+	/**
+	 * Copy of the track data when the action started.
+	 *
+	 * @property initial
+	 * @type {Object}
+	 */
+	this.initial = null;
+
+	// Pointer position when the action started and current position
+	this.mouse = {x: 0, y: 0};
+	this.pointer = {x: 0, y: 0};
+
+	/**
+	 * Canvas where the curves are drawn.
+	 *
+	 * @property canvas
+	 * @type {Canvas}
+	 */
+	this.canvas = new Canvas(this);
+	this.canvas.element.onmousedown = function(event)
+	{
+		self.onPointerDown(event);
+	};
+	this.canvas.element.onwheel = function(event)
+	{
+		self.onWheel(event);
+	};
+	this.canvas.element.oncontextmenu = function(event)
+	{
+		self.createContextMenu(event);
+	};
+
+	/**
+	 * Seekbar that shows the time of the animation.
+	 *
+	 * @property seek
+	 * @type {Element}
+	 */
+	this.seek = document.createElement("div");
+	this.seek.style.position = "absolute";
+	this.seek.style.backgroundColor = "var(--color-light)";
+	this.seek.style.pointerEvents = "none";
+	this.seek.style.top = "0px";
+	this.seek.style.width = "2px";
+	this.seek.style.height = "100%";
+	this.element.appendChild(this.seek);
+
+	/**
+	 * Event manager used while dragging.
+	 *
+	 * @property manager
+	 * @type {EventManager}
+	 */
+	this.manager = new EventManager();
+	this.manager.add(window, "mousemove", function(event)
+	{
+		self.onPointerMove(event);
+	});
+	this.manager.add(window, "mouseup", function(event)
+	{
+		self.onPointerUp(event);
+		self.manager.destroy();
+	});
+}
+
+AnimationCurveEditor.prototype = Object.create(Component.prototype);
+
+/**
+ * No action is being performed.
+ *
+ * @static
+ * @attribute NONE
+ * @type {number}
+ */
+AnimationCurveEditor.NONE = 0;
+
+/**
+ * Selected keyframes are being moved.
+ *
+ * @static
+ * @attribute MOVE
+ * @type {number}
+ */
+AnimationCurveEditor.MOVE = 1;
+
+/**
+ * Selected keyframes are being scaled, relative to the first keyframe in time and the average value.
+ *
+ * @static
+ * @attribute SCALE
+ * @type {number}
+ */
+AnimationCurveEditor.SCALE = 2;
+
+/**
+ * A tangent handle is being dragged.
+ *
+ * @static
+ * @attribute TANGENT
+ * @type {number}
+ */
+AnimationCurveEditor.TANGENT = 3;
+
+/**
+ * Selection box is being drawn.
+ *
+ * @static
+ * @attribute SELECT
+ * @type {number}
+ */
+AnimationCurveEditor.SELECT = 4;
+
+/**
+ * View is being moved.
+ *
+ * @static
+ * @attribute PAN
+ * @type {number}
+ */
+AnimationCurveEditor.PAN = 5;
+
+/**
+ * Length of the tangent handles in pixels.
+ *
+ * @static
+ * @attribute HANDLE_LENGTH
+ * @type {number}
+ */
+AnimationCurveEditor.HANDLE_LENGTH = 40;
+
+/**
+ * Colors used to draw each component of the track values.
+ *
+ * @static
+ * @attribute COLORS
+ * @type {Array}
+ */
+AnimationCurveEditor.COLORS = ["#FF4444", "#44FF44", "#4488FF", "#FFFF44"];
+
+/**
+ * Attach a keyframe track to the curve editor.
+ *
+ * Bool and string tracks cannot be edited as curves and are ignored.
+ *
+ * @method attach
+ * @param {AnimationClip} clip Animation clip of the track.
+ * @param {KeyframeTrack} track Track to be edited.
+ */
+AnimationCurveEditor.prototype.attach = function(clip, track)
+{
+	if (track !== null && track.InterpolantFactoryMethodLinear === undefined)
+	{
+		track = null;
+	}
+
+	this.clip = track !== null ? clip : null;
+	this.track = track;
+	this.selected = [];
+	this.action = AnimationCurveEditor.NONE;
+
+	this.frame();
+};
+
+/**
+ * Adjust the view to show all the values of the track.
+ *
+ * @method frame
+ */
+AnimationCurveEditor.prototype.frame = function()
+{
+	this.start = 0;
+
+	if (this.track !== null)
+	{
+		var values = this.track.values;
+		var min = Infinity, max = -Infinity;
+
+		for (var i = 0; i < values.length; i++)
+		{
+			min = Math.min(min, values[i]);
+			max = Math.max(max, values[i]);
+		}
+
+		var range = max - min > 1e-5 ? max - min : 1;
+
+		this.center = (min + max) / 2;
+		this.scale = Math.max(this.size.y - 60, 40) / range;
+	}
+
+	this.draw();
+};
+
+/**
+ * Check if the bezier tangents of the track can be edited.
+ *
+ * @method isBezier
+ * @return {boolean} True if the track uses bezier interpolation.
+ */
+AnimationCurveEditor.prototype.isBezier = function()
+{
+	return this.track !== null && this.track.getInterpolation() === BezierInterpolant.InterpolateBezier;
+};
+
+AnimationCurveEditor.prototype.timeToX = function(time)
+{
+	return (time - this.start) * this.editor.zoom;
+};
+
+AnimationCurveEditor.prototype.xToTime = function(x)
+{
+	return x / this.editor.zoom + this.start;
+};
+
+AnimationCurveEditor.prototype.valueToY = function(value)
+{
+	return this.size.y / 2 - (value - this.center) * this.scale;
+};
+
+AnimationCurveEditor.prototype.yToValue = function(y)
+{
+	return (this.size.y / 2 - y) / this.scale + this.center;
+};
+
+/**
+ * Get the pointer position relative to the canvas.
+ *
+ * @method getPointer
+ * @param {Event} event Mouse event.
+ * @return {Object} Position as {x, y}.
+ */
+AnimationCurveEditor.prototype.getPointer = function(event)
+{
+	var rect = this.canvas.element.getBoundingClientRect();
+
+	return {x: event.clientX - rect.left, y: event.clientY - rect.top};
+};
+
+/**
+ * Check if a keyframe value is selected.
+ *
+ * @method isSelected
+ * @param {number} index Index of the keyframe.
+ * @param {number} component Component of the value.
+ * @return {boolean} True if selected.
+ */
+AnimationCurveEditor.prototype.isSelected = function(index, component)
+{
+	for (var i = 0; i < this.selected.length; i++)
+	{
+		if (this.selected[i].index === index && this.selected[i].component === component)
+		{
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Get the index of all keyframes that have at least one value selected.
+ *
+ * @method getSelectedKeyframes
+ * @return {Array} Indexes of the keyframes.
+ */
+AnimationCurveEditor.prototype.getSelectedKeyframes = function()
+{
+	var keyframes = [];
+
+	for (var i = 0; i < this.selected.length; i++)
+	{
+		if (keyframes.indexOf(this.selected[i].index) === -1)
+		{
+			keyframes.push(this.selected[i].index);
+		}
+	}
+
+	return keyframes;
+};
+
+/**
+ * Get the keyframe value drawn at a position.
+ *
+ * @method getKeyframeAt
+ * @param {number} x Position in the canvas.
+ * @param {number} y Position in the canvas.
+ * @return {Object} Keyframe value as {index, component}, null if there is none.
+ */
+AnimationCurveEditor.prototype.getKeyframeAt = function(x, y)
+{
+	var valueSize = this.track.getValueSize();
+
+	for (var i = this.track.times.length - 1; i >= 0; i--)
+	{
+		var kx = this.timeToX(this.track.times[i]);
+
+		for (var j = 0; j < valueSize; j++)
+		{
+			var ky = this.valueToY(this.track.values[i * valueSize + j]);
+
+			if (Math.abs(kx - x) <= 5 && Math.abs(ky - y) <= 5)
+			{
+				return {index: i, component: j};
+			}
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Get the position of the tangent handles of a keyframe value.
+ *
+ * @method getHandles
+ * @param {number} index Index of the keyframe.
+ * @param {number} component Component of the value.
+ * @return {Object} Handles positions as {x, y, inX, inY, outX, outY}.
+ */
+AnimationCurveEditor.prototype.getHandles = function(index, component)
+{
+	var self = this;
+	var offset = index * this.track.getValueSize() + component;
+
+	var x = this.timeToX(this.track.times[index]);
+	var y = this.valueToY(this.track.values[offset]);
+
+	function handle(slope, direction)
+	{
+		var dx = 1;
+		var dy = -slope * self.scale / self.editor.zoom;
+		var length = Math.sqrt(dx * dx + dy * dy);
+
+		return {x: x + direction * dx / length * AnimationCurveEditor.HANDLE_LENGTH, y: y + direction * dy / length * AnimationCurveEditor.HANDLE_LENGTH};
+	}
+
+	var tangentIn = handle(this.track.inTangents[offset], -1);
+	var tangentOut = handle(this.track.outTangents[offset], 1);
+
+	return {x: x, y: y, inX: tangentIn.x, inY: tangentIn.y, outX: tangentOut.x, outY: tangentOut.y};
+};
+
+/**
+ * Get the tangent handle of the selected keyframes at a position.
+ *
+ * @method getHandleAt
+ * @param {number} x Position in the canvas.
+ * @param {number} y Position in the canvas.
+ * @return {Object} Handle as {index, component, out}, null if there is none.
+ */
+AnimationCurveEditor.prototype.getHandleAt = function(x, y)
+{
+	if (!this.isBezier())
+	{
+		return null;
+	}
+
+	this.track.updateTangents();
+
+	for (var i = 0; i < this.selected.length; i++)
+	{
+		var selected = this.selected[i];
+		var handles = this.getHandles(selected.index, selected.component);
+
+		if (Math.abs(handles.inX - x) <= 4 && Math.abs(handles.inY - y) <= 4)
+		{
+			return {index: selected.index, component: selected.component, out: false};
+		}
+		if (Math.abs(handles.outX - x) <= 4 && Math.abs(handles.outY - y) <= 4)
+		{
+			return {index: selected.index, component: selected.component, out: true};
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Store a copy of the track data used as reference while moving or scaling keyframes.
+ *
+ * @method storeInitial
+ */
+AnimationCurveEditor.prototype.storeInitial = function()
+{
+	if (this.isBezier())
+	{
+		this.track.updateTangents();
+	}
+
+	var keyframes = this.getSelectedKeyframes();
+	var valueSize = this.track.getValueSize();
+
+	var time = Infinity, value = 0;
+	for (var i = 0; i < keyframes.length; i++)
+	{
+		time = Math.min(time, this.track.times[keyframes[i]]);
+	}
+	for (var i = 0; i < this.selected.length; i++)
+	{
+		value += this.track.values[this.selected[i].index * valueSize + this.selected[i].component] / this.selected.length;
+	}
+
+	this.initial =
+	{
+		times: this.track.times.slice(),
+		values: this.track.values.slice(),
+		inTangents: this.track.inTangents !== null ? this.track.inTangents.slice() : null,
+		outTangents: this.track.outTangents !== null ? this.track.outTangents.slice() : null,
+		time: time,
+		value: value
+	};
+};
+
+AnimationCurveEditor.prototype.onPointerDown = function(event)
+{
+	if (this.track === null)
+	{
+		return;
+	}
+
+	this.mouse = this.getPointer(event);
+	this.pointer = this.mouse;
+
+	if (event.button === 1)
+	{
+		this.action = AnimationCurveEditor.PAN;
+		this.initial = {start: this.start, center: this.center};
+	}
+	else if (event.button === 0)
+	{
+		var handle = this.getHandleAt(this.mouse.x, this.mouse.y);
+
+		if (handle !== null)
+		{
+			this.action = AnimationCurveEditor.TANGENT;
+			this.handle = handle;
+			this.track.setTangentMode(handle.index, BezierInterpolant.BEZIER);
+		}
+		else
+		{
+			var keyframe = this.getKeyframeAt(this.mouse.x, this.mouse.y);
+
+			if (!event.shiftKey && (keyframe === null || !this.isSelected(keyframe.index, keyframe.component)))
+			{
+				this.selected = [];
+			}
+
+			if (keyframe !== null)
+			{
+				if (!this.isSelected(keyframe.index, keyframe.component))
+				{
+					this.selected.push(keyframe);
+				}
+
+				this.action = event.altKey ? AnimationCurveEditor.SCALE : AnimationCurveEditor.MOVE;
+				this.storeInitial();
+			}
+			else
+			{
+				this.action = AnimationCurveEditor.SELECT;
+			}
+		}
+	}
+	else
+	{
+		return;
+	}
+
+	this.manager.create();
+	this.draw();
+};
+
+AnimationCurveEditor.prototype.onPointerMove = function(event)
+{
+	this.pointer = this.getPointer(event);
+
+	var track = this.track;
+	var valueSize = track.getValueSize();
+	var deltaX = this.pointer.x - this.mouse.x;
+	var deltaY = this.pointer.y - this.mouse.y;
+
+	if (this.action === AnimationCurveEditor.PAN)
+	{
+		this.start = this.initial.start - deltaX / this.editor.zoom;
+		this.center = this.initial.center + deltaY / this.scale;
+	}
+	else if (this.action === AnimationCurveEditor.MOVE)
+	{
+		var keyframes = this.getSelectedKeyframes();
+		for (var i = 0; i < keyframes.length; i++)
+		{
+			track.times[keyframes[i]] = Math.max(this.initial.times[keyframes[i]] + deltaX / this.editor.zoom, 0);
+		}
+
+		for (var i = 0; i < this.selected.length; i++)
+		{
+			var offset = this.selected[i].index * valueSize + this.selected[i].component;
+			track.values[offset] = this.initial.values[offset] - deltaY / this.scale;
+		}
+	}
+	else if (this.action === AnimationCurveEditor.SCALE)
+	{
+		var timeScale = Math.max(1 + deltaX / 100, 0);
+		var valueScale = 1 - deltaY / 100;
+
+		var keyframes = this.getSelectedKeyframes();
+		for (var i = 0; i < keyframes.length; i++)
+		{
+			var index = keyframes[i];
+			track.times[index] = this.initial.time + (this.initial.times[index] - this.initial.time) * timeScale;
+
+			// Tangents are slopes, scale them with the keyframes
+			if (this.initial.inTangents !== null && timeScale > 0)
+			{
+				for (var j = 0; j < valueSize; j++)
+				{
+					var offset = index * valueSize + j;
+					var scale = (this.isSelected(index, j) ? valueScale : 1) / timeScale;
+
+					track.inTangents[offset] = this.initial.inTangents[offset] * scale;
+					track.outTangents[offset] = this.initial.outTangents[offset] * scale;
+				}
+			}
+		}
+
+		for (var i = 0; i < this.selected.length; i++)
+		{
+			var offset = this.selected[i].index * valueSize + this.selected[i].component;
+			track.values[offset] = this.initial.value + (this.initial.values[offset] - this.initial.value) * valueScale;
+		}
+	}
+	else if (this.action === AnimationCurveEditor.TANGENT)
+	{
+		var handle = this.handle;
+		var offset = handle.index * valueSize + handle.component;
+
+		var time = this.xToTime(this.pointer.x) - track.times[handle.index];
+		var value = this.yToValue(this.pointer.y) - track.values[offset];
+
+		// Avoid vertical tangents
+		if (Math.abs(time * this.editor.zoom) < 1)
+		{
+			time = (handle.out ? 1 : -1) / this.editor.zoom;
+		}
+
+		var slope = value / time;
+
+		// Hold shift to break the tangents
+		if (handle.out || !event.shiftKey)
+		{
+			track.outTangents[offset] = slope;
+		}
+		if (!handle.out || !event.shiftKey)
+		{
+			track.inTangents[offset] = slope;
+		}
+	}
+
+	if (this.isBezier() && this.action !== AnimationCurveEditor.PAN && this.action !== AnimationCurveEditor.SELECT)
+	{
+		track.updateTangents();
+	}
+
+	this.draw();
+};
+
+AnimationCurveEditor.prototype.onPointerUp = function(event)
+{
+	if (this.action === AnimationCurveEditor.SELECT)
+	{
+		var valueSize = this.track.getValueSize();
+
+		var minX = Math.min(this.mouse.x, this.pointer.x);
+		var maxX = Math.max(this.mouse.x, this.pointer.x);
+		var minY = Math.min(this.mouse.y, this.pointer.y);
+		var maxY = Math.max(this.mouse.y, this.pointer.y);
+
+		for (var i = 0; i < this.track.times.length; i++)
+		{
+			var x = this.timeToX(this.track.times[i]);
+
+			for (var j = 0; j < valueSize; j++)
+			{
+				var y = this.valueToY(this.track.values[i * valueSize + j]);
+
+				if (x >= minX && x <= maxX && y >= minY && y <= maxY && !this.isSelected(i, j))
+				{
+					this.selected.push({index: i, component: j});
+				}
+			}
+		}
+	}
+	else if (this.action === AnimationCurveEditor.MOVE || this.action === AnimationCurveEditor.SCALE)
+	{
+		if (this.pointer.x !== this.mouse.x || this.pointer.y !== this.mouse.y)
+		{
+			// Keep the selection after sorting the keyframes
+			var order = this.track.sort();
+			for (var i = 0; i < this.selected.length; i++)
+			{
+				this.selected[i].index = order.indexOf(this.selected[i].index);
+			}
+
+			this.onChange();
+		}
+	}
+	else if (this.action === AnimationCurveEditor.TANGENT)
+	{
+		this.onChange();
+	}
+
+	this.action = AnimationCurveEditor.NONE;
+	this.handle = null;
+	this.initial = null;
+	this.draw();
+};
+
+AnimationCurveEditor.prototype.onWheel = function(event)
+{
+	if (this.track === null)
+	{
+		return;
+	}
+
+	// Keep the value under the pointer in place
+	var pointer = this.getPointer(event);
+	var value = this.yToValue(pointer.y);
+
+	this.scale *= event.deltaY < 0 ? 1.1 : 1 / 1.1;
+	this.center = value - (this.size.y / 2 - pointer.y) / this.scale;
+
+	event.preventDefault();
+	this.draw();
+};
+
+/**
+ * Create the context menu with the options for the selected keyframes.
+ *
+ * @method createContextMenu
+ * @param {Event} event Mouse event.
+ */
+AnimationCurveEditor.prototype.createContextMenu = function(event)
+{
+	if (this.track === null)
+	{
+		return;
+	}
+
+	var self = this;
+
+	var context = new ContextMenu(DocumentBody);
+	context.size.set(150, 20);
+	context.position.set(event.clientX, event.clientY);
+
+	if (this.selected.length > 0)
+	{
+		var tangents = context.addMenu(Locale.tangents);
+		tangents.addOption(Locale.auto, function()
+		{
+			self.setTangentMode(BezierInterpolant.AUTO);
+		});
+		tangents.addOption(Locale.bezier, function()
+		{
+			self.setTangentMode(BezierInterpolant.BEZIER);
+		});
+		tangents.addOption(Locale.flat, function()
+		{
+			self.setTangentMode(BezierInterpolant.FLAT);
+		});
+		tangents.addOption(Locale.stepped, function()
+		{
+			self.setTangentMode(BezierInterpolant.STEPPED);
+		});
+
+		context.addOption(Locale.delete, function()
+		{
+			self.deleteKeyframes();
+		});
+	}
+
+	context.addOption(Locale.frame, function()
+	{
+		self.frame();
+	});
+
+	context.updateInterface();
+};
+
+/**
+ * Set the tangent mode of the selected keyframes.
+ *
+ * Tracks that do not use bezier interpolation are changed to bezier interpolation.
+ *
+ * @method setTangentMode
+ * @param {number} mode Tangent mode.
+ */
+AnimationCurveEditor.prototype.setTangentMode = function(mode)
+{
+	if (!this.isBezier())
+	{
+		this.track.setInterpolation(BezierInterpolant.InterpolateBezier);
+	}
+
+	var keyframes = this.getSelectedKeyframes();
+	for (var i = 0; i < keyframes.length; i++)
+	{
+		this.track.setTangentMode(keyframes[i], mode);
+	}
+
+	this.onChange();
+	this.draw();
+};
+
+/**
+ * Delete the selected keyframes, the track needs to keep at least one keyframe.
+ *
+ * @method deleteKeyframes
+ */
+AnimationCurveEditor.prototype.deleteKeyframes = function()
+{
+	var keyframes = this.getSelectedKeyframes();
+
+	if (keyframes.length >= this.track.times.length)
+	{
+		Editor.alert("Track needs to have at least one keyframe!");
+		return;
+	}
+
+	keyframes.sort(function(a, b)
+	{
+		return b - a;
+	});
+
+	for (var i = 0; i < keyframes.length; i++)
+	{
+		this.track.removeKeyframe(keyframes[i]);
+	}
+
+	this.selected = [];
+	this.onChange();
+	this.draw();
+};
+
+/**
+ * Called after the track is changed, recreates the animation mixer to apply the changes.
+ *
+ * @method onChange
+ */
+AnimationCurveEditor.prototype.onChange = function()
+{
+	this.editor.createAnimationMixer(true);
+};
+
+/**
+ * Update the position of the seekbar, using the time of the clip action.
+ *
+ * @method updateSeek
+ */
+AnimationCurveEditor.prototype.updateSeek = function()
+{
+	var time = null;
+
+	if (this.clip !== null && this.editor.mixer !== null)
+	{
+		var actions = this.editor.mixer._actions;
+
+		for (var i = 0; i < actions.length; i++)
+		{
+			if (actions[i].getClip() === this.clip)
+			{
+				time = actions[i].time;
+				break;
+			}
+		}
+	}
+
+	this.seek.style.display = time !== null ? "block" : "none";
+
+	if (time !== null)
+	{
+		this.seek.style.left = this.timeToX(time) + "px";
+	}
+};
+
+/**
+ * Draw the grid, curves, keyframes and tangent handles.
+ *
+ * @method draw
+ */
+AnimationCurveEditor.prototype.draw = function()
+{
+	var width = this.size.x;
+	var height = this.size.y;
+	var ratio = Editor.getPixelRatio();
+
+	var context = this.canvas.getContext("2d");
+	context.setTransform(ratio, 0, 0, ratio, 0, 0);
+	context.clearRect(0, 0, width, height);
+
+	var light = DOMUtils.getCSSVariable("--color-light");
+	var grid = DOMUtils.getCSSVariable("--bar-color");
+
+	context.font = "10px Arial";
+	context.textBaseline = "middle";
+
+	if (this.track === null)
+	{
+		context.fillStyle = light;
+		context.textAlign = "center";
+		context.fillText(Locale.selectTrackEditCurve, width / 2, height / 2);
+		return;
+	}
+
+	// Time grid (each line is 0.1 seconds)
+	context.fillStyle = grid;
+	for (var time = Math.floor(this.start * 10) / 10; this.timeToX(time) < width; time += 0.1)
+	{
+		context.fillRect(Math.round(this.timeToX(time)), 0, 1, height);
+	}
+
+	// Value grid
+	var step = Math.pow(10, Math.ceil(Math.log10(40 / this.scale)));
+	context.textAlign = "left";
+	for (var value = Math.floor(this.yToValue(height) / step) * step; this.valueToY(value) > 0; value += step)
+	{
+		var y = Math.round(this.valueToY(value));
+
+		context.fillStyle = grid;
+		context.fillRect(0, y, width, 1);
+		context.fillStyle = light;
+		context.fillText(Number(value.toFixed(5)).toString(), 3, y - 6);
+	}
+
+	// Clip end
+	if (this.clip !== null)
+	{
+		context.fillStyle = light;
+		context.fillRect(Math.round(this.timeToX(this.clip.duration)), 0, 1, height);
+	}
+
+	var track = this.track;
+	var valueSize = track.getValueSize();
+	var interpolant = track.createInterpolant(new Float32Array(valueSize));
+	var bezier = this.isBezier();
+
+	function getColor(component)
+	{
+		return valueSize === 1 ? track.color : AnimationCurveEditor.COLORS[component % AnimationCurveEditor.COLORS.length];
+	}
+
+	// Curves
+	for (var j = 0; j < valueSize; j++)
+	{
+		context.strokeStyle = getColor(j);
+		context.lineWidth = 1;
+		context.beginPath();
+
+		for (var x = 0; x <= width; x += 2)
+		{
+			var result = interpolant.evaluate(this.xToTime(x));
+
+			if (x === 0)
+			{
+				context.moveTo(x, this.valueToY(result[j]));
+			}
+			else
+			{
+				context.lineTo(x, this.valueToY(result[j]));
+			}
+		}
+
+		context.stroke();
+	}
+
+	// Tangent handles
+	if (bezier)
+	{
+		context.strokeStyle = light;
+
+		for (var i = 0; i < this.selected.length; i++)
+		{
+			var handles = this.getHandles(this.selected[i].index, this.selected[i].component);
+
+			context.beginPath();
+			context.moveTo(handles.inX, handles.inY);
+			context.lineTo(handles.x, handles.y);
+			context.lineTo(handles.outX, handles.outY);
+			context.stroke();
+
+			context.fillStyle = light;
+			context.beginPath();
+			context.arc(handles.inX, handles.inY, 3, 0, Math.PI * 2);
+			context.arc(handles.outX, handles.outY, 3, 0, Math.PI * 2);
+			context.fill();
+		}
+	}
+
+	// Keyframes
+	for (var i = 0; i < track.times.length; i++)
+	{
+		var x = this.timeToX(track.times[i]);
+
+		for (var j = 0; j < valueSize; j++)
+		{
+			context.fillStyle = this.isSelected(i, j) ? "#FFFFFF" : getColor(j);
+			context.fillRect(x - 3, this.valueToY(track.values[i * valueSize + j]) - 3, 6, 6);
+		}
+	}
+
+	// Selection box
+	if (this.action === AnimationCurveEditor.SELECT)
+	{
+		context.strokeStyle = light;
+		context.strokeRect(this.mouse.x, this.mouse.y, this.pointer.x - this.mouse.x, this.pointer.y - this.mouse.y);
+	}
+
+	// Hint
+	context.fillStyle = light;
+	context.textAlign = "left";
+	context.fillText(Locale.hintCurveEditor, 3, height - 8);
+};
+
+AnimationCurveEditor.prototype.updateSize = function()
+{
+	Component.prototype.updateSize.call(this);
+
+	this.canvas.size.copy(this.size);
+	this.canvas.updateInterface();
+
+	this.updateSeek();
+	this.draw();
+};
+
+export {AnimationCurveEditor};
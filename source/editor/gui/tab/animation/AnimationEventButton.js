@@ -0,0 +1,54 @@
+import {Locale} from "../../../locale/LocaleManager.js";
+import {Global} from "../../../Global.js";
+import {Component} from "../../../components/Component.js";
+
+/**
+ * Button displayed on the left side of the events track of an animation clip.
+ *
+ * @class AnimationEventButton
+ * @extends {Component}
+ */
+function AnimationEventButton(parent, editor, animation, eventTrack)
+{
+	Component.call(this, parent, "div");
+
+	this.element.style.position = "relative";
+	this.element.style.backgroundColor = "var(--bar-color)";
+	this.element.style.width = "100%";
+	this.element.style.height = "30px";
+
+	this.editor = editor;
+	this.animation = animation;
+	this.eventTrack = eventTrack;
+
+	var self = this;
+
+	var name = document.createElement("div");
+	name.style.position = "absolute";
+	name.style.top = "25%";
+	name.style.width = "100%";
+	name.style.pointerEvents = "none";
+	name.appendChild(document.createTextNode(Locale.events));
+	this.element.appendChild(name);
+
+	var add = document.createElement("img");
+	add.style.position = "absolute";
+	add.style.right = "4px";
+	add.style.top = "7px";
+	add.style.width = "12px";
+	add.style.height = "12px";
+	add.style.cursor = "pointer";
+	add.src = Global.FILE_PATH + "icons/misc/add.png";
+	add.onclick = function()
+	{
+		self.eventTrack.addEvent(self.editor.mixer.time);
+	};
+	this.element.appendChild(add);
+}
+
+AnimationEventButton.prototype = Object.create(Component.prototype);
+
+AnimationEventButton.prototype.updateInterface = function()
+{};
+
+export {AnimationEventButton};
@@ -0,0 +1,119 @@
+import {Locale} from "../../../locale/LocaleManager.js";
+import {Editor} from "../../../Editor.js";
+import {ContextMenu} from "../../../components/dropdown/ContextMenu.js";
+import {DocumentBody} from "../../../components/DocumentBody.js";
+import {Component} from "../../../components/Component.js";
+
+/**
+ * Animation event marker represents an event of an animation clip in the events track.
+ *
+ * Events can be renamed, moved, deleted and have data attached to them.
+ *
+ * @class AnimationEventMarker
+ * @extends {Component}
+ */
+function AnimationEventMarker(parent, editor, eventTrack, animation, event)
+{
+	Component.call(this, parent, "div");
+
+	this.element.style.overflow = "visible";
+	this.element.style.cursor = "pointer";
+	this.element.style.backgroundColor = "#FFAA00";
+
+	this.editor = editor;
+	this.eventTrack = eventTrack;
+	this.animation = animation;
+	this.event = event;
+
+	var self = this;
+
+	/**
+	 * Name of the event displayed next to the marker.
+	 *
+	 * @attribute name
+	 * @type {Element}
+	 */
+	this.name = document.createElement("div");
+	this.name.style.position = "absolute";
+	this.name.style.whiteSpace = "nowrap";
+	this.name.style.pointerEvents = "none";
+	this.name.style.fontSize = "11px";
+	this.name.style.left = "7px";
+	this.name.style.top = "8px";
+	this.name.appendChild(document.createTextNode(event.name));
+	this.element.appendChild(this.name);
+
+	this.element.ondblclick = function()
+	{
+		self.editor.mixer.setTime(self.event.time);
+	};
+
+	this.element.oncontextmenu = function(event)
+	{
+		var context = new ContextMenu(DocumentBody);
+		context.size.set(150, 20);
+		context.position.set(event.clientX, event.clientY);
+
+		context.addOption(Locale.rename, function()
+		{
+			var name = Editor.prompt(Locale.eventName, self.event.name);
+			if (name !== null && name !== "")
+			{
+				self.event.name = name;
+				self.eventTrack.updateMarkers();
+			}
+		});
+
+		context.addOption(Locale.eventData, function()
+		{
+			var data = Editor.prompt(Locale.eventData, JSON.stringify(self.event.data));
+			if (data === null)
+			{
+				return;
+			}
+
+			try
+			{
+				self.event.data = data !== "" ? JSON.parse(data) : null;
+			}
+			catch (e)
+			{
+				Editor.alert(Locale.invalidEventData);
+			}
+		});
+
+		context.addOption(Locale.move, function()
+		{
+			var time = Number.parseFloat(Editor.prompt(Locale.eventTime, self.event.time));
+
+			if (isNaN(time) || time < 0)
+			{
+				Editor.alert(Locale.invalidTime);
+				return;
+			}
+
+			self.event.time = time;
+			self.animation.sortEvents();
+			self.eventTrack.updateMarkers();
+		});
+
+		context.addOption(Locale.delete, function()
+		{
+			if (!Editor.confirm(Locale.deleteEvent))
+			{
+				return;
+			}
+
+			self.animation.removeEvent(self.event);
+			self.eventTrack.updateMarkers();
+		});
+
+		context.updateInterface();
+	};
+
+	this.setAltText(event.name);
+}
+
+AnimationEventMarker.prototype = Object.create(Component.prototype);
+
+export {AnimationEventMarker};
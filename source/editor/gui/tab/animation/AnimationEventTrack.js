@@ -0,0 +1,91 @@
+import {Locale} from "../../../locale/LocaleManager.js";
+import {Editor} from "../../../Editor.js";
+import {ContextMenu} from "../../../components/dropdown/ContextMenu.js";
+import {DocumentBody} from "../../../components/DocumentBody.js";
+import {Component} from "../../../components/Component.js";
+import {AnimationEventMarker} from "./AnimationEventMarker.js";
+
+/**
+ * Animation event track displays the events of an animation clip in the timeline.
+ *
+ * @class AnimationEventTrack
+ * @extends {Component}
+ */
+function AnimationEventTrack(parent, editor, animation)
+{
+	Component.call(this, parent, "div");
+
+	this.element.style.backgroundColor = "rgba(0, 0, 0, 0.2)";
+
+	this.editor = editor;
+	this.animation = animation;
+
+	var self = this;
+
+	this.element.oncontextmenu = function(event)
+	{
+		if (event.target !== self.element)
+		{
+			return;
+		}
+
+		var time = (event.clientX - self.element.getBoundingClientRect().left) / self.editor.zoom;
+
+		var context = new ContextMenu(DocumentBody);
+		context.size.set(150, 20);
+		context.position.set(event.clientX, event.clientY);
+		context.addOption(Locale.addEvent, function()
+		{
+			self.addEvent(time);
+		});
+		context.updateInterface();
+	};
+
+	this.createMarkers();
+}
+
+AnimationEventTrack.prototype = Object.create(Component.prototype);
+
+/**
+ * Add a new event to the animation clip, the name of the event is asked to the user.
+ *
+ * @method addEvent
+ * @param {number} time Time of the event.
+ */
+AnimationEventTrack.prototype.addEvent = function(time)
+{
+	var name = Editor.prompt(Locale.eventName);
+	if (name === null || name === "")
+	{
+		return;
+	}
+
+	this.animation.addEvent(Math.max(0, Math.min(time, this.animation.duration)), name, null);
+	this.updateMarkers();
+};
+
+AnimationEventTrack.prototype.updateMarkers = function()
+{
+	this.removeAllChildren();
+	this.createMarkers();
+};
+
+AnimationEventTrack.prototype.createMarkers = function()
+{
+	var events = this.animation.events;
+
+	if (events === null)
+	{
+		return;
+	}
+
+	for (var i = 0; i < events.length; i++)
+	{
+		var marker = new AnimationEventMarker(this, this.editor, this, this.animation, events[i]);
+		marker.size.set(5, 30);
+		marker.position.set(this.editor.zoom * events[i].time, 0);
+		marker.updateInterface();
+	}
+};
+
+export {AnimationEventTrack};
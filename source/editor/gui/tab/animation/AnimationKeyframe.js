@@ -53,30 +53,7 @@ function AnimationKeyframe(parent, editor, trackEditor, track, index)
 				return;
 			}
 			
-			var times = [];
-			for (var i = 0; i < self.track.times.length; i++)
-			{
-				if (i !== self.index)
-				{
-					times.push(self.track.times[i]);
-				}
-			}
-
-			var values = [];
-			var valueSize = self.track.getValueSize();
-			var min = self.index * valueSize;
-			var max = min + valueSize - 1;
-
-			for (var i = 0; i < self.track.values.length; i++)
-			{
-				if (i < min || i > max)
-				{
-					values.push(self.track.values[i]);
-				}
-			}
-
-			self.track.times = new Float32Array(times);
-			self.track.values = new Float32Array(values);
+			self.track.removeKeyframe(self.index);
 
 			self.trackEditor.updateKeyframes();
 			self.editor.createAnimationMixer();
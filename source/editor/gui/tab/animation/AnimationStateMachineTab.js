@@ -0,0 +1,1114 @@
+import {Clock, Object3D} from "three";
+import {Locale} from "../../../locale/LocaleManager.js";
+import {AnimationMixer} from "../../../../core/animation/AnimationMixer.js";
+import {AnimationStateMachine} from "../../../../core/resources/AnimationStateMachine.js";
+import {ChangeAction} from "../../../history/action/ChangeAction.js";
+import {AddResourceAction} from "../../../history/action/resources/AddResourceAction.js";
+import {Global} from "../../../Global.js";
+import {Editor} from "../../../Editor.js";
+import {Text} from "../../../components/Text.js";
+import {TabComponent} from "../../../components/tabs/TabComponent.js";
+import {Component} from "../../../components/Component.js";
+import {TableForm} from "../../../components/TableForm.js";
+import {ButtonText} from "../../../components/buttons/ButtonText.js";
+import {TextBox} from "../../../components/input/TextBox.js";
+import {NumberBox} from "../../../components/input/NumberBox.js";
+import {DropdownList} from "../../../components/input/DropdownList.js";
+import {CheckBox} from "../../../components/input/CheckBox.js";
+import {Slider} from "../../../components/input/Slider.js";
+
+/**
+ * The animation state machine tab is used to edit animation state machine resources.
+ *
+ * It is attached to the selected object (or to the state machine resource selected in the asset explorer), the state machine of the object can be previewed in the editor.
+ *
+ * The tab displays the parameters of the state machine and the states and transitions of the selected layer.
+ *
+ * @class AnimationStateMachineTab
+ * @extends {TabComponent}
+ * @param {Component} parent
+ */
+function AnimationStateMachineTab(parent, closeable, container, index)
+{
+	TabComponent.call(this, parent, closeable, container, index, Locale.stateMachine, Global.FILE_PATH + "icons/misc/nodes.png");
+
+	var self = this;
+
+	/**
+	 * Object attached to the tab, used to select the state machine, list the clips and preview the animation.
+	 *
+	 * @attribute object
+	 * @type {Object3D}
+	 */
+	this.object = null;
+
+	/**
+	 * State machine being edited.
+	 *
+	 * @attribute machine
+	 * @type {AnimationStateMachine}
+	 */
+	this.machine = null;
+
+	/**
+	 * Index of the layer being edited.
+	 *
+	 * @attribute layer
+	 * @type {number}
+	 */
+	this.layer = 0;
+
+	/**
+	 * Mixer used to preview the state machine in the attached object.
+	 *
+	 * @attribute mixer
+	 * @type {AnimationMixer}
+	 */
+	this.mixer = null;
+	this.clock = new Clock();
+
+	/**
+	 * Menu bar with the state machine selection and preview controls.
+	 *
+	 * @attribute bar
+	 * @type {Component}
+	 */
+	this.bar = new Component(this, "div");
+	this.bar.size.set(0, 25);
+	this.bar.element.style.position = "absolute";
+	this.bar.element.style.height = "25px";
+	this.bar.element.style.width = "100%";
+	this.bar.element.style.backgroundColor = "var(--bar-color)";
+
+	this.create = new ButtonText(this.bar);
+	this.create.position.set(0, 0);
+	this.create.size.set(100, this.bar.size.y);
+	this.create.setText(Locale.create);
+	this.create.updateInterface();
+	this.create.setOnClick(function()
+	{
+		if (self.object === null)
+		{
+			Editor.alert(Locale.selectObjectEditStateMachine);
+			return;
+		}
+
+		var machine = new AnimationStateMachine(self.object.name);
+		var layer = machine.layers[0];
+		for (var i = 0; i < self.object.animations.length; i++)
+		{
+			machine.addState(layer, self.object.animations[i].name, self.object.animations[i].name);
+		}
+
+		Editor.beginTransaction(Locale.create + " " + Locale.stateMachine);
+		Editor.addAction(new AddResourceAction(machine, Editor.program, "resources"));
+		Editor.addAction(new ChangeAction(self.object, "stateMachine", machine));
+		Editor.endTransaction();
+	});
+
+	/**
+	 * Dropdown to select the state machine used by the attached object.
+	 *
+	 * @attribute machines
+	 * @type {DropdownList}
+	 */
+	this.machines = new DropdownList(this.bar);
+	this.machines.position.set(105, 3);
+	this.machines.size.set(150, 18);
+	this.machines.updateInterface();
+	this.machines.setOnChange(function()
+	{
+		if (self.object !== null)
+		{
+			Editor.addAction(new ChangeAction(self.object, "stateMachine", self.machines.getValue()));
+		}
+	});
+
+	this.play = new ButtonText(this.bar);
+	this.play.position.set(260, 0);
+	this.play.size.set(100, this.bar.size.y);
+	this.play.setText(Locale.play);
+	this.play.updateInterface();
+	this.play.setOnClick(function()
+	{
+		if (self.mixer === null)
+		{
+			self.createPreview();
+		}
+
+		if (self.mixer === null)
+		{
+			Editor.alert(Locale.selectObjectEditStateMachine);
+			return;
+		}
+
+		if (self.mixer.playing)
+		{
+			self.mixer.pause();
+			self.play.setText(Locale.play);
+		}
+		else
+		{
+			self.clock.getDelta();
+			self.mixer.play();
+			self.play.setText(Locale.pause);
+		}
+	});
+
+	this.stop = new ButtonText(this.bar);
+	this.stop.position.set(360, 0);
+	this.stop.size.set(100, this.bar.size.y);
+	this.stop.setText(Locale.stop);
+	this.stop.updateInterface();
+	this.stop.setOnClick(function()
+	{
+		self.clearPreview();
+	});
+
+	/**
+	 * Text displaying the current state of each layer while previewing.
+	 *
+	 * @attribute status
+	 * @type {Text}
+	 */
+	this.status = new Text(this.bar);
+	this.status.setAlignment(Text.LEFT);
+	this.status.setTextColor("var(--color-light)");
+	this.status.position.set(470, 0);
+	this.status.size.set(400, this.bar.size.y);
+	this.status.updateInterface();
+
+	/**
+	 * Scrollable division where the form is placed.
+	 *
+	 * @attribute content
+	 * @type {Component}
+	 */
+	this.content = new Component(this, "div");
+	this.content.element.style.overflow = "auto";
+
+	/**
+	 * Form with the parameters, layers, states and transitions of the state machine.
+	 *
+	 * @attribute form
+	 * @type {TableForm}
+	 */
+	this.form = new TableForm(this.content);
+	this.form.defaultTextWidth = 90;
+	this.form.setAutoSize(false);
+	this.form.position.set(5, 5);
+
+	/**
+	 * Text shown when there is no state machine to edit.
+	 *
+	 * @attribute emptyText
+	 * @type {Text}
+	 */
+	this.emptyText = new Text(this);
+	this.emptyText.allowWordBreak(true);
+	this.emptyText.setTextSize(12);
+	this.emptyText.setTextColor("var(--color-light)");
+	this.emptyText.setText(Locale.selectObjectEditStateMachine);
+}
+
+AnimationStateMachineTab.prototype = Object.create(TabComponent.prototype);
+
+/**
+ * Attach an object or a state machine resource to the tab.
+ *
+ * @method attach
+ * @param {Object3D | AnimationStateMachine} object Object with animations or state machine resource.
+ */
+AnimationStateMachineTab.prototype.attach = function(object)
+{
+	this.clearPreview();
+
+	if (object instanceof AnimationStateMachine)
+	{
+		this.object = null;
+		this.machine = object;
+	}
+	else if (object instanceof Object3D && object.animations !== undefined && object.animations.length > 0)
+	{
+		this.object = object;
+		this.machine = object.stateMachine;
+	}
+	else
+	{
+		this.object = null;
+		this.machine = null;
+	}
+
+	if (this.machine === null || this.layer >= this.machine.layers.length)
+	{
+		this.layer = 0;
+	}
+
+	this.updateMachines();
+	this.createForm();
+};
+
+AnimationStateMachineTab.prototype.activate = function()
+{
+	TabComponent.prototype.activate.call(this);
+
+	this.updateSelection();
+};
+
+AnimationStateMachineTab.prototype.deactivate = function()
+{
+	TabComponent.prototype.deactivate.call(this);
+
+	this.clearPreview();
+};
+
+AnimationStateMachineTab.prototype.updateSelection = function()
+{
+	this.attach(Editor.selection.length > 0 ? Editor.selection[0] : null);
+};
+
+AnimationStateMachineTab.prototype.updateObjectsView = function()
+{
+	if (this.object !== null && this.object.stateMachine !== this.machine)
+	{
+		this.attach(this.object);
+		return;
+	}
+
+	// Restart the preview to use the changes
+	if (this.mixer !== null)
+	{
+		this.clearPreview();
+	}
+
+	this.updateMachines();
+	this.createForm();
+};
+
+/**
+ * Fill the dropdown with the state machines available in the program.
+ *
+ * @method updateMachines
+ */
+AnimationStateMachineTab.prototype.updateMachines = function()
+{
+	this.machines.clearValues();
+	this.machines.addValue(Locale.none, null);
+
+	var resources = Editor.program.resources;
+	for (var i in resources)
+	{
+		if (resources[i] instanceof AnimationStateMachine)
+		{
+			this.machines.addValue(resources[i].name, resources[i]);
+		}
+	}
+
+	this.machines.setValue(this.machine);
+	this.machines.setDisabled(this.object === null);
+};
+
+/**
+ * Create a mixer to preview the state machine in the attached object.
+ *
+ * @method createPreview
+ */
+AnimationStateMachineTab.prototype.createPreview = function()
+{
+	if (this.object !== null && this.machine !== null)
+	{
+		this.mixer = new AnimationMixer(this.object);
+		this.mixer.rootMotion.applyMotion = false;
+		this.mixer.setStateMachine(this.machine);
+	}
+};
+
+/**
+ * Stop the preview and restore the original state of the object.
+ *
+ * @method clearPreview
+ */
+AnimationStateMachineTab.prototype.clearPreview = function()
+{
+	if (this.mixer !== null)
+	{
+		this.mixer.dispose();
+		this.mixer = null;
+	}
+
+	this.play.setText(Locale.play);
+	this.status.setText("");
+};
+
+AnimationStateMachineTab.prototype.update = function()
+{
+	var delta = this.clock.getDelta();
+
+	if (this.mixer !== null && this.mixer.playing)
+	{
+		this.mixer.update(delta);
+
+		var states = [];
+		for (var i = 0; i < this.machine.layers.length; i++)
+		{
+			states.push(this.machine.layers[i].name + ": " + this.mixer.getCurrentState(i));
+		}
+		this.status.setText(states.join(", "));
+
+		Editor.gui.inspector.updateValues();
+	}
+};
+
+/**
+ * Add a change to the history.
+ *
+ * @method change
+ * @param {Object} object Object to be changed.
+ * @param {string} attribute Attribute to be changed.
+ * @param {Object} value New value.
+ */
+AnimationStateMachineTab.prototype.change = function(object, attribute, value)
+{
+	Editor.addAction(new ChangeAction(object, attribute, value));
+};
+
+/**
+ * Add a text box to the form.
+ *
+ * @method addTextBox
+ * @param {string} text Initial text.
+ * @param {number} width Width of the text box.
+ * @param {Function} onChange Callback receives the text.
+ * @return {TextBox} Text box created.
+ */
+AnimationStateMachineTab.prototype.addTextBox = function(text, width, onChange)
+{
+	var box = new TextBox(this.form);
+	box.size.set(width, 18);
+	box.setText(text);
+	box.setOnChange(function()
+	{
+		onChange(box.getText());
+	});
+	this.form.add(box);
+
+	return box;
+};
+
+/**
+ * Add a number box to the form.
+ *
+ * @method addNumberBox
+ * @param {number} value Initial value.
+ * @param {number} step Step of the number box.
+ * @param {Function} onChange Callback receives the value.
+ * @return {NumberBox} Number box created.
+ */
+AnimationStateMachineTab.prototype.addNumberBox = function(value, step, onChange)
+{
+	var box = new NumberBox(this.form);
+	box.size.set(50, 18);
+	box.setStep(step);
+	box.setValue(value);
+	box.setOnChange(function()
+	{
+		onChange(box.getValue());
+	});
+	this.form.add(box);
+
+	return box;
+};
+
+/**
+ * Add a dropdown list to the form.
+ *
+ * @method addDropdown
+ * @param {Array} options Options of the dropdown, each option is a [label, value] pair.
+ * @param {Object} value Initial value.
+ * @param {number} width Width of the dropdown.
+ * @param {Function} onChange Callback receives the value.
+ * @return {DropdownList} Dropdown created.
+ */
+AnimationStateMachineTab.prototype.addDropdown = function(options, value, width, onChange)
+{
+	var dropdown = new DropdownList(this.form);
+	dropdown.size.set(width, 18);
+	for (var i = 0; i < options.length; i++)
+	{
+		dropdown.addValue(options[i][0], options[i][1]);
+	}
+	dropdown.setValue(value);
+	dropdown.setOnChange(function()
+	{
+		onChange(dropdown.getValue());
+	});
+	this.form.add(dropdown);
+
+	return dropdown;
+};
+
+/**
+ * Add a button to the form.
+ *
+ * @method addButton
+ * @param {string} text Text of the button.
+ * @param {Function} onClick Callback called when the button is clicked.
+ * @return {ButtonText} Button created.
+ */
+AnimationStateMachineTab.prototype.addButton = function(text, onClick)
+{
+	var button = new ButtonText(this.form);
+	button.size.set(70, 18);
+	button.setText(text);
+	button.setOnClick(onClick);
+	this.form.add(button);
+
+	return button;
+};
+
+/**
+ * Get the options for dropdowns used to select an animation clip.
+ *
+ * Clips are listed from the attached object, the clips used by the state machine are also included.
+ *
+ * @method getClipOptions
+ * @return {Array} Options as [label, value] pairs.
+ */
+AnimationStateMachineTab.prototype.getClipOptions = function()
+{
+	var clips = this.machine.getClips();
+
+	if (this.object !== null)
+	{
+		for (var i = 0; i < this.object.animations.length; i++)
+		{
+			if (clips.indexOf(this.object.animations[i].name) === -1)
+			{
+				clips.push(this.object.animations[i].name);
+			}
+		}
+	}
+
+	var options = [[Locale.none, ""]];
+	for (var i = 0; i < clips.length; i++)
+	{
+		options.push([clips[i], clips[i]]);
+	}
+
+	return options;
+};
+
+/**
+ * Get the options for dropdowns used to select a parameter.
+ *
+ * @method getParameterOptions
+ * @return {Array} Options as [label, value] pairs.
+ */
+AnimationStateMachineTab.prototype.getParameterOptions = function()
+{
+	var options = [[Locale.none, ""]];
+	for (var i = 0; i < this.machine.parameters.length; i++)
+	{
+		options.push([this.machine.parameters[i].name, this.machine.parameters[i].name]);
+	}
+
+	return options;
+};
+
+/**
+ * Rename a state, transitions and the default state of the layer are updated to use the new name.
+ *
+ * @method renameState
+ * @param {Object} layer Layer of the state.
+ * @param {Object} state State to be renamed.
+ * @param {string} name New name.
+ */
+AnimationStateMachineTab.prototype.renameState = function(layer, state, name)
+{
+	Editor.beginTransaction(Locale.rename + " " + state.name);
+
+	for (var i = 0; i < layer.transitions.length; i++)
+	{
+		if (layer.transitions[i].from === state.name)
+		{
+			this.change(layer.transitions[i], "from", name);
+		}
+		if (layer.transitions[i].to === state.name)
+		{
+			this.change(layer.transitions[i], "to", name);
+		}
+	}
+
+	if (layer.defaultState === state.name)
+	{
+		this.change(layer, "defaultState", name);
+	}
+
+	this.change(state, "name", name);
+
+	Editor.endTransaction();
+};
+
+/**
+ * Rename a parameter, blend trees and conditions are updated to use the new name.
+ *
+ * @method renameParameter
+ * @param {Object} parameter Parameter to be renamed.
+ * @param {string} name New name.
+ */
+AnimationStateMachineTab.prototype.renameParameter = function(parameter, name)
+{
+	Editor.beginTransaction(Locale.rename + " " + parameter.name);
+
+	for (var i = 0; i < this.machine.layers.length; i++)
+	{
+		var layer = this.machine.layers[i];
+
+		for (var j = 0; j < layer.states.length; j++)
+		{
+			if (layer.states[j].parameterX === parameter.name)
+			{
+				this.change(layer.states[j], "parameterX", name);
+			}
+			if (layer.states[j].parameterY === parameter.name)
+			{
+				this.change(layer.states[j], "parameterY", name);
+			}
+		}
+
+		for (var j = 0; j < layer.transitions.length; j++)
+		{
+			var conditions = layer.transitions[j].conditions;
+			for (var k = 0; k < conditions.length; k++)
+			{
+				if (conditions[k].parameter === parameter.name)
+				{
+					this.change(conditions[k], "parameter", name);
+				}
+			}
+		}
+	}
+
+	this.change(parameter, "name", name);
+
+	Editor.endTransaction();
+};
+
+/**
+ * Create the form to edit the state machine, the old form elements are removed.
+ *
+ * @method createForm
+ */
+AnimationStateMachineTab.prototype.createForm = function()
+{
+	this.form.removeAll();
+
+	this.emptyText.setVisibility(this.machine === null);
+
+	if (this.machine !== null)
+	{
+		if (this.layer >= this.machine.layers.length)
+		{
+			this.layer = 0;
+		}
+
+		this.createParametersForm();
+		this.createLayerForm();
+		this.createStatesForm();
+		this.createTransitionsForm();
+	}
+
+	this.updateInterface();
+};
+
+/**
+ * Create the form elements to edit the parameters.
+ *
+ * @method createParametersForm
+ */
+AnimationStateMachineTab.prototype.createParametersForm = function()
+{
+	var self = this;
+	var machine = this.machine;
+
+	this.form.addText(Locale.parameters);
+	this.addButton(Locale.add, function()
+	{
+		var parameters = machine.parameters.slice();
+		parameters.push({name: "parameter" + parameters.length, type: AnimationStateMachine.FLOAT, value: 0});
+		self.change(machine, "parameters", parameters);
+	});
+	this.form.nextRow();
+
+	var types = [[Locale.float, AnimationStateMachine.FLOAT], [Locale.integer, AnimationStateMachine.INT], [Locale.boolean, AnimationStateMachine.BOOL], [Locale.trigger, AnimationStateMachine.TRIGGER]];
+
+	machine.parameters.forEach(function(parameter)
+	{
+		self.form.addText("");
+		self.addTextBox(parameter.name, 100, function(name)
+		{
+			self.renameParameter(parameter, name);
+		});
+		self.addDropdown(types, parameter.type, 70, function(type)
+		{
+			var value = type === AnimationStateMachine.BOOL || type === AnimationStateMachine.TRIGGER ? false : 0;
+
+			Editor.beginTransaction(Locale.type);
+			self.change(parameter, "type", type);
+			self.change(parameter, "value", value);
+			Editor.endTransaction();
+		});
+
+		// Value, changed also in the preview
+		var setValue = function(value)
+		{
+			if (self.mixer !== null)
+			{
+				self.mixer.setParameter(parameter.name, value);
+			}
+			else
+			{
+				self.change(parameter, "value", value);
+			}
+		};
+
+		if (parameter.type === AnimationStateMachine.BOOL || parameter.type === AnimationStateMachine.TRIGGER)
+		{
+			var check = new CheckBox(self.form);
+			check.size.set(18, 18);
+			check.setValue(parameter.value);
+			check.setOnChange(function()
+			{
+				setValue(check.getValue());
+			});
+			self.form.add(check);
+		}
+		else
+		{
+			self.addNumberBox(parameter.value, parameter.type === AnimationStateMachine.INT ? 1 : 0.01, function(value)
+			{
+				setValue(parameter.type === AnimationStateMachine.INT ? Math.round(value) : value);
+			});
+		}
+
+		self.addButton(Locale.delete, function()
+		{
+			self.change(machine, "parameters", machine.parameters.filter(function(value)
+			{
+				return value !== parameter;
+			}));
+		});
+		self.form.nextRow();
+	});
+};
+
+/**
+ * Create the form elements to select and edit the layer.
+ *
+ * @method createLayerForm
+ */
+AnimationStateMachineTab.prototype.createLayerForm = function()
+{
+	var self = this;
+	var machine = this.machine;
+	var layer = machine.layers[this.layer];
+
+	// Layer selection
+	this.form.addText(Locale.layer);
+	var options = [];
+	for (var i = 0; i < machine.layers.length; i++)
+	{
+		options.push([machine.layers[i].name, i]);
+	}
+	this.addDropdown(options, this.layer, 100, function(index)
+	{
+		self.layer = index;
+		self.createForm();
+	});
+	this.addButton(Locale.add, function()
+	{
+		var layer =
+		{
+			name: "layer" + machine.layers.length,
+			weight: 1.0,
+			blending: AnimationStateMachine.OVERRIDE,
+			mask: [],
+			defaultState: null,
+			states: [],
+			transitions: []
+		};
+
+		var layers = machine.layers.concat([layer]);
+
+		self.layer = layers.length - 1;
+		self.change(machine, "layers", layers);
+	});
+	if (machine.layers.length > 1)
+	{
+		this.addButton(Locale.delete, function()
+		{
+			var layers = machine.layers.filter(function(value)
+			{
+				return value !== layer;
+			});
+
+			self.layer = 0;
+			self.change(machine, "layers", layers);
+		});
+	}
+	this.form.nextRow();
+
+	// Name
+	this.form.addText(Locale.name);
+	this.addTextBox(layer.name, 100, function(name)
+	{
+		self.change(layer, "name", name);
+	});
+	this.form.nextRow();
+
+	// Weight
+	this.form.addText(Locale.weight);
+	var weight = new Slider(this.form);
+	weight.size.set(160, 18);
+	weight.setRange(0, 1);
+	weight.setStep(0.01);
+	weight.setValue(layer.weight);
+	weight.setOnChange(function()
+	{
+		self.change(layer, "weight", weight.getValue());
+	});
+	this.form.add(weight);
+	this.form.nextRow();
+
+	// Blending
+	this.form.addText(Locale.blending);
+	this.addDropdown([[Locale.override, AnimationStateMachine.OVERRIDE], [Locale.additive, AnimationStateMachine.ADDITIVE]], layer.blending, 100, function(blending)
+	{
+		self.change(layer, "blending", blending);
+	});
+	this.form.nextRow();
+
+	// Mask
+	this.form.addText(Locale.mask).setAltText(Locale.hintMask);
+	this.addTextBox(layer.mask.join(", "), 200, function(text)
+	{
+		var mask = text.split(",").map(function(name)
+		{
+			return name.trim();
+		}).filter(function(name)
+		{
+			return name !== "";
+		});
+
+		self.change(layer, "mask", mask);
+	});
+	this.form.nextRow();
+
+	// Default state
+	this.form.addText(Locale.defaultState);
+	var states = [];
+	for (var i = 0; i < layer.states.length; i++)
+	{
+		states.push([layer.states[i].name, layer.states[i].name]);
+	}
+	this.addDropdown(states, layer.defaultState, 100, function(state)
+	{
+		self.change(layer, "defaultState", state);
+	});
+	this.form.nextRow();
+};
+
+/**
+ * Create the form elements to edit the states of the layer.
+ *
+ * @method createStatesForm
+ */
+AnimationStateMachineTab.prototype.createStatesForm = function()
+{
+	var self = this;
+	var machine = this.machine;
+	var layer = machine.layers[this.layer];
+	var clips = this.getClipOptions();
+	var parameters = this.getParameterOptions();
+	var types = [[Locale.clip, AnimationStateMachine.CLIP], [Locale.blend1D, AnimationStateMachine.BLEND_1D], [Locale.blend2D, AnimationStateMachine.BLEND_2D]];
+
+	this.form.addText(Locale.states);
+	this.addButton(Locale.add, function()
+	{
+		var state =
+		{
+			name: "state" + layer.states.length,
+			type: AnimationStateMachine.CLIP,
+			clip: "",
+			parameterX: "",
+			parameterY: "",
+			children: [],
+			speed: 1.0,
+			loop: true
+		};
+
+		Editor.beginTransaction(Locale.add + " " + state.name);
+		self.change(layer, "states", layer.states.concat([state]));
+		if (layer.defaultState === null)
+		{
+			self.change(layer, "defaultState", state.name);
+		}
+		Editor.endTransaction();
+	});
+	this.form.nextRow();
+
+	layer.states.forEach(function(state)
+	{
+		// Name and type
+		self.form.addText("");
+		self.addTextBox(state.name, 100, function(name)
+		{
+			self.renameState(layer, state, name);
+		});
+		self.addDropdown(types, state.type, 80, function(type)
+		{
+			self.change(state, "type", type);
+		});
+		self.addButton(Locale.delete, function()
+		{
+			Editor.beginTransaction(Locale.delete + " " + state.name);
+			self.change(layer, "states", layer.states.filter(function(value)
+			{
+				return value !== state;
+			}));
+			self.change(layer, "transitions", layer.transitions.filter(function(transition)
+			{
+				return transition.from !== state.name && transition.to !== state.name;
+			}));
+			if (layer.defaultState === state.name)
+			{
+				self.change(layer, "defaultState", layer.states.length > 0 ? layer.states[0].name : null);
+			}
+			Editor.endTransaction();
+		});
+		self.form.nextRow();
+
+		// Speed and loop
+		self.form.addText("");
+		self.form.addText(Locale.speed, true);
+		self.addNumberBox(state.speed, 0.1, function(value)
+		{
+			self.change(state, "speed", value);
+		});
+		self.form.addText(Locale.loop, true);
+		var loop = new CheckBox(self.form);
+		loop.size.set(18, 18);
+		loop.setValue(state.loop);
+		loop.setOnChange(function()
+		{
+			self.change(state, "loop", loop.getValue());
+		});
+		self.form.add(loop);
+		self.form.nextRow();
+
+		// Clip
+		if (state.type === AnimationStateMachine.CLIP)
+		{
+			self.form.addText("");
+			self.form.addText(Locale.clip, true);
+			self.addDropdown(clips, state.clip, 120, function(clip)
+			{
+				self.change(state, "clip", clip);
+			});
+			self.form.nextRow();
+			return;
+		}
+
+		// Blend tree parameters
+		self.form.addText("");
+		self.form.addText(Locale.parameters, true);
+		self.addDropdown(parameters, state.parameterX, 80, function(parameter)
+		{
+			self.change(state, "parameterX", parameter);
+		});
+		if (state.type === AnimationStateMachine.BLEND_2D)
+		{
+			self.addDropdown(parameters, state.parameterY, 80, function(parameter)
+			{
+				self.change(state, "parameterY", parameter);
+			});
+		}
+		self.addButton(Locale.add, function()
+		{
+			self.change(state, "children", state.children.concat([{clip: "", x: 0, y: 0}]));
+		});
+		self.form.nextRow();
+
+		// Blend tree clips
+		state.children.forEach(function(child)
+		{
+			self.form.addText("");
+			self.addDropdown(clips, child.clip, 120, function(clip)
+			{
+				self.change(child, "clip", clip);
+			});
+			self.addNumberBox(child.x, 0.1, function(value)
+			{
+				self.change(child, "x", value);
+			});
+			if (state.type === AnimationStateMachine.BLEND_2D)
+			{
+				self.addNumberBox(child.y, 0.1, function(value)
+				{
+					self.change(child, "y", value);
+				});
+			}
+			self.addButton(Locale.delete, function()
+			{
+				self.change(state, "children", state.children.filter(function(value)
+				{
+					return value !== child;
+				}));
+			});
+			self.form.nextRow();
+		});
+	});
+};
+
+/**
+ * Create the form elements to edit the transitions of the layer.
+ *
+ * @method createTransitionsForm
+ */
+AnimationStateMachineTab.prototype.createTransitionsForm = function()
+{
+	var self = this;
+	var machine = this.machine;
+	var layer = machine.layers[this.layer];
+	var parameters = this.getParameterOptions();
+	var modes = [[Locale.greater, AnimationStateMachine.GREATER], [Locale.less, AnimationStateMachine.LESS], [Locale.equal, AnimationStateMachine.EQUALS], [Locale.notEqual, AnimationStateMachine.NOT_EQUALS], [Locale.isTrue, AnimationStateMachine.IF], [Locale.isFalse, AnimationStateMachine.IF_NOT]];
+
+	var states = [];
+	for (var i = 0; i < layer.states.length; i++)
+	{
+		states.push([layer.states[i].name, layer.states[i].name]);
+	}
+
+	this.form.addText(Locale.transitions);
+	this.addButton(Locale.add, function()
+	{
+		if (layer.states.length === 0)
+		{
+			return;
+		}
+
+		var transition =
+		{
+			from: AnimationStateMachine.ANY,
+			to: layer.states[0].name,
+			duration: 0.25,
+			exitTime: null,
+			conditions: []
+		};
+
+		self.change(layer, "transitions", layer.transitions.concat([transition]));
+	});
+	this.form.nextRow();
+
+	layer.transitions.forEach(function(transition)
+	{
+		// States
+		self.form.addText("");
+		self.addDropdown([[Locale.anyState, AnimationStateMachine.ANY]].concat(states), transition.from, 100, function(state)
+		{
+			self.change(transition, "from", state);
+		});
+		self.form.addText("->", true);
+		self.addDropdown(states, transition.to, 100, function(state)
+		{
+			self.change(transition, "to", state);
+		});
+		self.addButton(Locale.delete, function()
+		{
+			self.change(layer, "transitions", layer.transitions.filter(function(value)
+			{
+				return value !== transition;
+			}));
+		});
+		self.form.nextRow();
+
+		// Duration and exit time
+		self.form.addText("");
+		self.form.addText(Locale.duration, true);
+		var duration = self.addNumberBox(transition.duration, 0.05, function(value)
+		{
+			self.change(transition, "duration", value);
+		});
+		duration.setRange(0, Number.MAX_SAFE_INTEGER);
+		self.form.addText(Locale.exitTime, true).setAltText(Locale.hintExitTime);
+		self.addNumberBox(transition.exitTime !== null ? transition.exitTime : 0, 0.05, function(value)
+		{
+			self.change(transition, "exitTime", value > 0 ? value : null);
+		});
+		self.addButton(Locale.add, function()
+		{
+			var parameter = machine.parameters.length > 0 ? machine.parameters[0] : null;
+			var mode = parameter !== null && parameter.type !== AnimationStateMachine.FLOAT && parameter.type !== AnimationStateMachine.INT ? AnimationStateMachine.IF : AnimationStateMachine.GREATER;
+
+			self.change(transition, "conditions", transition.conditions.concat([{parameter: parameter !== null ? parameter.name : "", mode: mode, value: 0}]));
+		});
+		self.form.nextRow();
+
+		// Conditions
+		transition.conditions.forEach(function(condition)
+		{
+			self.form.addText("");
+			self.addDropdown(parameters, condition.parameter, 100, function(parameter)
+			{
+				self.change(condition, "parameter", parameter);
+			});
+			self.addDropdown(modes, condition.mode, 80, function(mode)
+			{
+				self.change(condition, "mode", mode);
+			});
+			if (condition.mode !== AnimationStateMachine.IF && condition.mode !== AnimationStateMachine.IF_NOT)
+			{
+				self.addNumberBox(condition.value, 0.01, function(value)
+				{
+					self.change(condition, "value", value);
+				});
+			}
+			self.addButton(Locale.delete, function()
+			{
+				self.change(transition, "conditions", transition.conditions.filter(function(value)
+				{
+					return value !== condition;
+				}));
+			});
+			self.form.nextRow();
+		});
+	});
+};
+
+AnimationStateMachineTab.prototype.updateInterface = function()
+{
+	if (this.visible)
+	{
+		this.content.position.set(0, this.bar.size.y);
+		this.content.size.set(this.size.x, this.size.y - this.bar.size.y);
+		this.content.updateInterface();
+
+		this.form.updateInterface();
+
+		this.emptyText.position.set(0, 0);
+		this.emptyText.size.set(this.size.x, this.size.y);
+		this.emptyText.updateInterface();
+
+		this.element.style.display = "block";
+		this.element.style.top = this.position.y + "px";
+		this.element.style.left = this.position.x + "px";
+		this.element.style.width = this.size.x + "px";
+		this.element.style.height = this.size.y + "px";
+	}
+	else
+	{
+		this.element.style.display = "none";
+	}
+};
+
+export {AnimationStateMachineTab};
@@ -11,6 +11,7 @@ import {Division} from "../../../components/Division.js";
 import {Component} from "../../../components/Component.js";
 import {ButtonText} from "../../../components/buttons/ButtonText.js";
 import {AnimationClipTrack} from "./AnimationClipTrack.js";
+import {AnimationCurveEditor} from "./AnimationCurveEditor.js";
 
 /**
  * The animation tab is used to display and edit object animations timelines.
@@ -36,6 +37,14 @@ function AnimationTab(parent, closeable, container, index)
 	this.zoom = 120.0; // Pixels/sec
 	this.animations = [];
 
+	/**
+	 * If true the curve editor is displayed instead of the keyframe tracks.
+	 *
+	 * @property curveMode
+	 * @type {boolean}
+	 */
+	this.curveMode = false;
+
 	/**
 	 * Menu bar where the options to create animation clip, and play the animation controls are located.
 	 *
@@ -162,6 +171,22 @@ function AnimationTab(parent, closeable, container, index)
 		self.mixer.stop();
 	});
 
+	/**
+	 * Button to change between the keyframe tracks and the curve editor.
+	 *
+	 * @attribute curves
+	 * @type {ButtonText}
+	 */
+	this.curves = new ButtonText(this.bar);
+	this.curves.position.set(300, 0);
+	this.curves.size.set(100, this.bar.size.y);
+	this.curves.setText(Locale.curves);
+	this.curves.updateInterface();
+	this.curves.setOnClick(function()
+	{
+		self.setCurveMode(!self.curveMode);
+	});
+
 	this.zoomSlider = new Slider(this.bar);
 	this.zoomSlider.size.set(100, 15);
 	this.zoomSlider.position.set(30, 0);
@@ -174,6 +199,7 @@ function AnimationTab(parent, closeable, container, index)
 	{
 		self.zoom = self.zoomSlider.getValue();
 		self.createTimeline();
+		self.curve.draw();
 	});
 	this.zoomSlider.text.style.right = "5px";
 
@@ -212,6 +238,15 @@ function AnimationTab(parent, closeable, container, index)
 	 */
 	this.tracks = new Division(this.timeline);
 
+	/**
+	 * Curve editor, displayed in place of the tracks section in curve mode.
+	 *
+	 * @property curve
+	 * @type {AnimationCurveEditor}
+	 */
+	this.curve = new AnimationCurveEditor(this, this);
+	this.curve.setVisibility(false);
+
 	/**
 	 * Text shown when there is no object selected to display animation timeline.
 	 *
@@ -283,6 +318,8 @@ AnimationTab.prototype.attach = function(object)
 	{
 		this.clearAnimationMixer();
 		this.clearTimeline();
+		this.curve.attach(null, null);
+		this.updateInterface();
 	}
 
 	this.emptyText.setVisibility(this.object === null);
@@ -311,6 +348,39 @@ AnimationTab.prototype.updateSelection = function()
 	this.attach(Editor.selection.length > 0 ? Editor.selection[0] : null);
 };
 
+/**
+ * Select a track to be edited in the curve editor.
+ *
+ * @method selectTrack
+ * @param {AnimationClip} clip Animation clip of the track.
+ * @param {KeyframeTrack} track Track to be edited.
+ */
+AnimationTab.prototype.selectTrack = function(clip, track)
+{
+	this.curve.attach(clip, track);
+};
+
+/**
+ * Change between the keyframe tracks and the curve editor.
+ *
+ * The tracks are recreated when leaving the curve editor to show the keyframes changed in the curves.
+ *
+ * @method setCurveMode
+ * @param {boolean} curveMode If true the curve editor is displayed.
+ */
+AnimationTab.prototype.setCurveMode = function(curveMode)
+{
+	this.curveMode = curveMode;
+	this.curves.setText(curveMode ? Locale.timeline : Locale.curves);
+
+	if (!curveMode)
+	{
+		this.createTimeline();
+	}
+
+	this.updateInterface();
+};
+
 /**
  * Clear animation mixer object.
  *
@@ -353,6 +423,7 @@ AnimationTab.prototype.createAnimationMixer = function(keepTime)
 	if (this.object !== null && this.object.animations !== undefined)
 	{
 		this.mixer = new AnimationMixer(this.object);
+		this.mixer.rootMotion.applyMotion = false;
 		this.mixer.createActions(this.object.animations);
 		this.mixer.setTime(time);
 	}
@@ -367,6 +438,11 @@ AnimationTab.prototype.update = function()
 			this.animations[i].seek.style.left = this.mixer._actions[i].time * this.zoom + "px";
 		}
 
+		if (this.curveMode)
+		{
+			this.curve.updateSeek();
+		}
+
 		this.mixer.update(this.clock.getDelta());
 
 		// Update object panel when playing
@@ -398,6 +474,8 @@ AnimationTab.prototype.createTimeline = function()
 	this.clearTimeline();
 	this.animations = [];
 
+	var found = false;
+
 	if (this.object !== null && this.object.animations !== undefined)
 	{
 		var animations = this.object.animations;
@@ -405,9 +483,20 @@ AnimationTab.prototype.createTimeline = function()
 		for (var i = 0; i < animations.length; i++)
 		{
 			this.animations.push(new AnimationClipTrack(this, animations[i]));
+
+			if (animations[i] === this.curve.clip && animations[i].tracks.indexOf(this.curve.track) !== -1)
+			{
+				found = true;
+			}
 		}
 	}
 
+	// Track edited in the curve editor was removed
+	if (!found && this.curve.track !== null)
+	{
+		this.curve.attach(null, null);
+	}
+
 	this.updateInterface();
 };
 
@@ -461,24 +550,7 @@ AnimationTab.prototype.addKeyFrame = function(track, value)
 	// Add new keyframe to track
 	else
 	{
-		var times = [];
-		for (var i = 0; i < track.times.length; i++)
-		{
-			times.push(track.times[i]);
-		}
-		times.push(this.mixer.time);
-
-		var values = [];
-		for (var i = 0; i < track.values.length; i++)
-		{
-			values.push(track.values[i]);
-		}
-		values = values.concat(value);
-
-		track.times = new Float32Array(times);
-		track.values = new Float32Array(values);
-
-		track.sort();
+		track.addKeyframe(this.mixer.time, value);
 	}
 };
 
@@ -501,7 +573,14 @@ AnimationTab.prototype.updateInterface = function()
 		// Tracks
 		this.tracks.position.set(this.tab.position + 5, 0);
 		this.tracks.size.set(this.size.x - this.tracks.position.x, this.size.y - this.bar.size.y);
+		this.tracks.setVisibility(!this.curveMode);
 		this.tracks.updateInterface();
+
+		// Curve editor
+		this.curve.position.set(this.tracks.position.x, this.bar.size.y);
+		this.curve.size.set(this.tracks.size.x, this.tracks.size.y);
+		this.curve.setVisibility(this.curveMode && this.object !== null);
+		this.curve.updateInterface();
 		
 		// Empty text
 		this.emptyText.position.set(0, 0);
@@ -1,4 +1,5 @@
 import {InterpolateLinear, InterpolateSmooth, InterpolateDiscrete} from "three";
+import {BezierInterpolant} from "../../../../core/animation/BezierInterpolant.js";
 import {Locale} from "../../../locale/LocaleManager.js";
 import {Global} from "../../../Global.js";
 import {Editor} from "../../../Editor.js";
@@ -40,6 +41,12 @@ function AnimationTrackButton(parent, editor, animation, track, trackTimeline)
 		this.style.backgroundColor = "var(--bar-color)";
 	};
 
+	// Select track to edit in the curve editor
+	this.element.onclick = function()
+	{
+		self.editor.selectTrack(self.animation, self.track);
+	};
+
 	this.element.oncontextmenu = function(event)
 	{
 		var track = self.track;
@@ -56,6 +63,12 @@ function AnimationTrackButton(parent, editor, animation, track, trackTimeline)
 			self.trackTimeline.updateKeyframes();
 		});
 
+		context.addOption(Locale.curves, function()
+		{
+			self.editor.selectTrack(animation, track);
+			self.editor.setCurveMode(true);
+		});
+
 		context.addOption(Locale.delete, function()
 		{
 			if (!Editor.confirm("Delete track?"))
@@ -156,11 +169,13 @@ function AnimationTrackButton(parent, editor, animation, track, trackTimeline)
 	this.interpolation.updateSize();
 	this.interpolation.addValue(Locale.linear, InterpolateLinear);
 	this.interpolation.addValue(Locale.smooth, InterpolateSmooth);
-	this.interpolation.addValue("Discrete", InterpolateDiscrete);
+	this.interpolation.addValue(Locale.discrete, InterpolateDiscrete);
+	this.interpolation.addValue(Locale.bezier, BezierInterpolant.InterpolateBezier);
 	this.interpolation.setOnChange(function()
 	{
 		self.track.setInterpolation(self.interpolation.getValue());
 		self.editor.createAnimationMixer();
+		self.editor.curve.draw();
 	});
 
 	this.color = new ColorChooser(this);
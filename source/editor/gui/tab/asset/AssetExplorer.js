@@ -1,9 +1,19 @@
+import {Object3D, Material, Texture, BufferGeometry, Geometry} from "three";
 import {Video} from "../../../../core/resources/Video.js";
 import {ResourceManager} from "../../../../core/resources/ResourceManager.js";
 import {Image} from "../../../../core/resources/Image.js";
 import {Font} from "../../../../core/resources/Font.js";
 import {Audio} from "../../../../core/resources/Audio.js";
+import {AnimationStateMachine} from "../../../../core/resources/AnimationStateMachine.js";
+import {ParticlePreset} from "../../../../core/resources/ParticlePreset.js";
+import {Prefab} from "../../../../core/resources/Prefab.js";
 import {Loaders} from "../../../Loaders.js";
+import {Locale} from "../../../locale/LocaleManager.js";
+import {ResourceCrawler} from "../../../history/ResourceCrawler.js";
+import {ChangeAction} from "../../../history/action/ChangeAction.js";
+import {ActionBundle} from "../../../history/action/ActionBundle.js";
+import {RemoveResourceAction} from "../../../history/action/resources/RemoveResourceAction.js";
+import {DragBuffer} from "../../DragBuffer.js";
 import {Global} from "../../../Global.js";
 import {Editor} from "../../../Editor.js";
 import {TabComponent} from "../../../components/tabs/TabComponent.js";
@@ -17,6 +27,10 @@ import {ImageAsset} from "./asset/ImageAsset.js";
 import {GeometryAsset} from "./asset/GeometryAsset.js";
 import {FontAsset} from "./asset/FontAsset.js";
 import {FileAsset} from "./asset/FileAsset.js";
+import {AnimationStateMachineAsset} from "./asset/AnimationStateMachineAsset.js";
+import {ParticlePresetAsset} from "./asset/ParticlePresetAsset.js";
+import {PrefabAsset} from "./asset/PrefabAsset.js";
+import {FolderAsset} from "./asset/FolderAsset.js";
 import {AudioAsset} from "./asset/AudioAsset.js";
 import {Asset} from "./asset/Asset.js";
 
@@ -35,6 +49,14 @@ function AssetExplorer(parent, closeable, container, index)
 	// Drop event
 	this.element.ondrop = function(event)
 	{
+		// Object dragged from the tree creates a prefab
+		var object = DragBuffer.get(event.dataTransfer.getData("uuid"));
+		if (object instanceof Object3D)
+		{
+			Editor.createPrefab(object);
+			return;
+		}
+
 		// Dragged file into explorer
 		for (var i = 0; i < event.dataTransfer.files.length; i++)
 		{
@@ -82,6 +104,40 @@ function AssetExplorer(parent, closeable, container, index)
 		self.filterByName(self.search.search.getText());
 	});
 
+	/**
+	 * Text used to filter the assets by name or tag.
+	 *
+	 * While filtering the assets of all folders are shown.
+	 *
+	 * @property filter
+	 * @type {string}
+	 */
+	this.filter = "";
+
+	/**
+	 * Path of the folder being displayed, empty for the root folder.
+	 *
+	 * @property folder
+	 * @type {string}
+	 */
+	this.folder = "";
+
+	/**
+	 * Folder assets displayed in the explorer.
+	 *
+	 * @property folders
+	 * @type {Array}
+	 */
+	this.folders = [];
+
+	/**
+	 * Order used to display the assets (NAME, TYPE, SIZE or DATE).
+	 *
+	 * @property sortMode
+	 * @type {number}
+	 */
+	this.sortMode = AssetExplorer.NAME;
+
 	/**
 	 * Assets in explorer.
 	 *
@@ -102,21 +158,383 @@ function AssetExplorer(parent, closeable, container, index)
 AssetExplorer.prototype = Object.create(TabComponent.prototype);
 
 /**
- * Filter assets by their name.
+ * Assets sorted by name.
+ *
+ * @static
+ * @attribute NAME
+ * @type {number}
+ */
+AssetExplorer.NAME = 0;
+
+/**
+ * Assets sorted by type, assets of the same type are sorted by name.
  *
- * Only assets that contain the name will be shown.
+ * @static
+ * @attribute TYPE
+ * @type {number}
+ */
+AssetExplorer.TYPE = 1;
+
+/**
+ * Assets sorted by size, larger assets first.
+ *
+ * @static
+ * @attribute SIZE
+ * @type {number}
+ */
+AssetExplorer.SIZE = 2;
+
+/**
+ * Assets sorted by the date they were added to the program, newer assets first.
+ *
+ * @static
+ * @attribute DATE
+ * @type {number}
+ */
+AssetExplorer.DATE = 3;
+
+/**
+ * Metadata used for resources without metadata stored in the program.
+ *
+ * @static
+ * @attribute defaultMetadata
+ * @type {Object}
+ */
+AssetExplorer.defaultMetadata = {folder: "", tags: [], date: 0};
+
+/**
+ * Get the name of the type of a resource, used to sort the assets by type.
+ *
+ * @static
+ * @method getType
+ * @param {Object} resource Resource to get the type.
+ * @return {string} Name of the type.
+ */
+AssetExplorer.getType = function(resource)
+{
+	if (resource instanceof Material)
+	{
+		return "Material";
+	}
+	else if (resource instanceof Texture)
+	{
+		return "Texture";
+	}
+	else if (resource instanceof BufferGeometry || resource instanceof Geometry)
+	{
+		return "Geometry";
+	}
+
+	return resource.type !== undefined ? String(resource.type) : "";
+};
+
+/**
+ * Filter assets by their name or tags.
+ *
+ * Only assets that contain the text in their name or in one of their tags will be shown, the assets of all folders are considered.
  *
  * @method filterByName
- * @param {string} name String with portion of the name to be found and filtered.
+ * @param {string} search String with portion of the name or tag to be found and filtered.
  */
 AssetExplorer.prototype.filterByName = function(search)
 {
-	search = search.toLowerCase();
+	this.filter = search.toLowerCase();
+	this.updateView();
+};
+
+/**
+ * Set the order used to display the assets.
+ *
+ * @method setSortMode
+ * @param {number} mode Sort mode (NAME, TYPE, SIZE or DATE).
+ */
+AssetExplorer.prototype.setSortMode = function(mode)
+{
+	this.sortMode = mode;
+	this.updateView();
+};
+
+/**
+ * Open a folder and display its assets.
+ *
+ * @method setFolder
+ * @param {string} path Path of the folder, empty for the root folder.
+ */
+AssetExplorer.prototype.setFolder = function(path)
+{
+	this.folder = path;
+	this.updateFolders();
+	this.updateView();
+};
+
+/**
+ * Get the editor metadata (folder, tags and date) of a resource.
+ *
+ * The metadata returned should not be changed directly, changes are made with actions using the methods of the explorer.
+ *
+ * @method getMetadata
+ * @param {Object} resource Resource to get the metadata.
+ * @return {Object} Metadata of the resource.
+ */
+AssetExplorer.prototype.getMetadata = function(resource)
+{
+	if (this.manager !== null && this.manager.assetMetadata !== undefined && this.manager.assetMetadata[resource.uuid] !== undefined)
+	{
+		return this.manager.assetMetadata[resource.uuid];
+	}
+
+	return AssetExplorer.defaultMetadata;
+};
+
+/**
+ * Get the list of folders of the resource manager.
+ *
+ * @method getFolders
+ * @return {Array} Paths of the folders.
+ */
+AssetExplorer.prototype.getFolders = function()
+{
+	return this.manager !== null && this.manager.assetFolders !== undefined ? this.manager.assetFolders : [];
+};
+
+/**
+ * Get the folder where a resource is displayed.
+ *
+ * Resources placed in folders that no longer exist are displayed in the root folder.
+ *
+ * @method getFolder
+ * @param {Object} resource Resource to get the folder.
+ * @return {string} Path of the folder.
+ */
+AssetExplorer.prototype.getFolder = function(resource)
+{
+	var folder = this.getMetadata(resource).folder;
+
+	return this.getFolders().indexOf(folder) !== -1 ? folder : "";
+};
+
+/**
+ * Get the resources moved when a resource is dragged.
+ *
+ * If the resource is selected all the selected resources are moved together.
+ *
+ * @method getMoved
+ * @param {Object} resource Resource being dragged.
+ * @return {Array} Resources to be moved.
+ */
+AssetExplorer.prototype.getMoved = function(resource)
+{
+	var resources = [];
 
 	for (var i = 0; i < this.files.length; i++)
 	{
-		var text = this.files[i].name.data.toLowerCase();
-		this.files[i].setVisibility(text.search(search) !== -1);
+		var asset = this.files[i].asset;
+
+		if (asset === resource || Editor.isSelected(resource) && Editor.isSelected(asset))
+		{
+			resources.push(asset);
+		}
+	}
+
+	return resources;
+};
+
+/**
+ * Change the metadata of the resources using an action.
+ *
+ * All the metadata is replaced by a changed copy, so that the explorer is only updated once.
+ *
+ * @method changeMetadata
+ * @param {Function} callback Method called with the copy of the metadata to be changed.
+ * @return {ChangeAction} Action that changes the metadata.
+ */
+AssetExplorer.prototype.changeMetadata = function(callback)
+{
+	var metadata = JSON.parse(JSON.stringify(this.manager.assetMetadata));
+
+	callback(metadata);
+
+	return new ChangeAction(this.manager, "assetMetadata", metadata);
+};
+
+/**
+ * Create a new folder inside of the folder being displayed.
+ *
+ * @method createFolder
+ * @param {string} name Name of the folder.
+ */
+AssetExplorer.prototype.createFolder = function(name)
+{
+	name = name.replace(/\//g, "").trim();
+
+	var path = this.folder !== "" ? this.folder + "/" + name : name;
+	var folders = this.getFolders();
+
+	if (name === "" || folders.indexOf(path) !== -1)
+	{
+		return;
+	}
+
+	Editor.addAction(new ChangeAction(this.manager, "assetFolders", folders.concat([path])));
+};
+
+/**
+ * Rename a folder, the folders inside of it and the resources are updated.
+ *
+ * @method renameFolder
+ * @param {string} path Path of the folder.
+ * @param {string} name New name of the folder.
+ */
+AssetExplorer.prototype.renameFolder = function(path, name)
+{
+	name = name.replace(/\//g, "").trim();
+
+	var parent = FolderAsset.getParent(path);
+	var target = parent !== "" ? parent + "/" + name : name;
+	var folders = this.getFolders();
+
+	if (name === "" || folders.indexOf(target) !== -1)
+	{
+		return;
+	}
+
+	function rename(folder)
+	{
+		if (folder === path)
+		{
+			return target;
+		}
+		else if (folder.startsWith(path + "/"))
+		{
+			return target + folder.substring(path.length);
+		}
+
+		return folder;
+	}
+
+	var action = this.changeMetadata(function(metadata)
+	{
+		for (var uuid in metadata)
+		{
+			metadata[uuid].folder = rename(metadata[uuid].folder);
+		}
+	});
+
+	Editor.addAction(new ActionBundle([new ChangeAction(this.manager, "assetFolders", folders.map(rename)), action]));
+};
+
+/**
+ * Remove a folder and the folders inside of it, the resources of these folders are moved to the parent folder.
+ *
+ * @method removeFolder
+ * @param {string} path Path of the folder.
+ */
+AssetExplorer.prototype.removeFolder = function(path)
+{
+	var parent = FolderAsset.getParent(path);
+
+	function removed(folder)
+	{
+		return folder === path || folder.startsWith(path + "/");
+	}
+
+	var action = this.changeMetadata(function(metadata)
+	{
+		for (var uuid in metadata)
+		{
+			if (removed(metadata[uuid].folder))
+			{
+				metadata[uuid].folder = parent;
+			}
+		}
+	});
+
+	var folders = this.getFolders().filter(function(folder)
+	{
+		return !removed(folder);
+	});
+
+	if (removed(this.folder))
+	{
+		this.folder = parent;
+	}
+
+	Editor.addAction(new ActionBundle([new ChangeAction(this.manager, "assetFolders", folders), action]));
+};
+
+/**
+ * Move resources into a folder.
+ *
+ * @method moveToFolder
+ * @param {Array} resources Resources to be moved.
+ * @param {string} folder Path of the folder.
+ */
+AssetExplorer.prototype.moveToFolder = function(resources, folder)
+{
+	var self = this;
+
+	Editor.addAction(this.changeMetadata(function(metadata)
+	{
+		for (var i = 0; i < resources.length; i++)
+		{
+			var uuid = resources[i].uuid;
+			if (metadata[uuid] === undefined)
+			{
+				metadata[uuid] = {folder: "", tags: [], date: self.getMetadata(resources[i]).date};
+			}
+
+			metadata[uuid].folder = folder;
+		}
+	}));
+};
+
+/**
+ * Set the tags of a resource.
+ *
+ * @method setTags
+ * @param {Object} resource Resource to change.
+ * @param {Array} tags List of tags.
+ */
+AssetExplorer.prototype.setTags = function(resource, tags)
+{
+	Editor.addAction(this.changeMetadata(function(metadata)
+	{
+		if (metadata[resource.uuid] === undefined)
+		{
+			metadata[resource.uuid] = {folder: "", tags: [], date: 0};
+		}
+
+		metadata[resource.uuid].tags = tags;
+	}));
+};
+
+/**
+ * Remove all the resources that are not used by any object of the program.
+ *
+ * The user is asked for confirmation before removing the resources.
+ *
+ * @method removeUnused
+ */
+AssetExplorer.prototype.removeUnused = function()
+{
+	var unused = ResourceCrawler.getUnused(this.manager);
+	var actions = [];
+
+	for (var category in unused)
+	{
+		for (var uuid in unused[category])
+		{
+			actions.push(new RemoveResourceAction(unused[category][uuid], this.manager, category));
+		}
+	}
+
+	if (actions.length === 0)
+	{
+		Editor.alert(Locale.noUnusedResources);
+	}
+	else if (Editor.confirm(Locale.removeUnused + " (" + actions.length + ")"))
+	{
+		Editor.addAction(new ActionBundle(actions, Locale.removeUnused));
 	}
 };
 
@@ -126,6 +544,11 @@ AssetExplorer.prototype.updateSettings = function()
 	{
 		this.files[i].setSize(Editor.settings.general.filePreviewSize);
 	}
+
+	for (var i = 0; i < this.folders.length; i++)
+	{
+		this.folders[i].setSize(Editor.settings.general.filePreviewSize);
+	}
 };
 
 /**
@@ -168,6 +591,11 @@ AssetExplorer.prototype.updateObjectsView = function()
 
 	this.clear();
 
+	if (this.folder !== "" && this.getFolders().indexOf(this.folder) === -1)
+	{
+		this.folder = "";
+	}
+
 	// Materials
 	var materials = this.manager.materials;
 	for (var i in materials)
@@ -235,10 +663,156 @@ AssetExplorer.prototype.updateObjectsView = function()
 	{
 		var resource = resources[i];
 
-		var file = new FileAsset(this.assets);
+		var file;
+		if (resource instanceof AnimationStateMachine)
+		{
+			file = new AnimationStateMachineAsset(this.assets);
+		}
+		else if (resource instanceof ParticlePreset)
+		{
+			file = new ParticlePresetAsset(this.assets);
+		}
+		else if (resource instanceof Prefab)
+		{
+			file = new PrefabAsset(this.assets);
+		}
+		else
+		{
+			file = new FileAsset(this.assets);
+		}
+
 		file.attach(resource);
 		this.add(file);
 	}
+
+	this.updateFolders();
+	this.updateView();
+};
+
+/**
+ * Create the folder assets for the folders inside of the folder being displayed.
+ *
+ * @method updateFolders
+ */
+AssetExplorer.prototype.updateFolders = function()
+{
+	while (this.folders.length > 0)
+	{
+		this.folders.pop().destroy();
+	}
+
+	if (this.folder !== "")
+	{
+		this.folders.push(new FolderAsset(this.assets, this, FolderAsset.getParent(this.folder), true));
+	}
+
+	var folders = this.getFolders().slice().sort();
+	for (var i = 0; i < folders.length; i++)
+	{
+		if (FolderAsset.getParent(folders[i]) === this.folder)
+		{
+			this.folders.push(new FolderAsset(this.assets, this, folders[i]));
+		}
+	}
+
+	for (var i = 0; i < this.folders.length; i++)
+	{
+		this.folders[i].setSize(Editor.settings.general.filePreviewSize);
+	}
+};
+
+/**
+ * Sort the assets and update their visibility.
+ *
+ * Only the assets of the folder being displayed are visible, while filtering the assets of all folders that match the filter are visible.
+ *
+ * @method updateView
+ */
+AssetExplorer.prototype.updateView = function()
+{
+	var self = this;
+
+	var files = this.files.slice();
+	files.sort(function(a, b)
+	{
+		return self.compare(a.asset, b.asset);
+	});
+
+	for (var i = 0; i < this.folders.length; i++)
+	{
+		this.folders[i].setVisibility(this.filter === "");
+		this.assets.element.appendChild(this.folders[i].element);
+	}
+
+	for (var i = 0; i < files.length; i++)
+	{
+		var resource = files[i].asset;
+
+		if (this.filter !== "")
+		{
+			files[i].setVisibility(this.matchesFilter(resource));
+		}
+		else
+		{
+			files[i].setVisibility(this.getFolder(resource) === this.folder);
+		}
+
+		this.assets.element.appendChild(files[i].element);
+	}
+};
+
+/**
+ * Check if a resource name or one of its tags contains the filter text.
+ *
+ * @method matchesFilter
+ * @param {Object} resource Resource to check.
+ * @return {boolean} True if the resource matches the filter.
+ */
+AssetExplorer.prototype.matchesFilter = function(resource)
+{
+	if (String(resource.name).toLowerCase().indexOf(this.filter) !== -1)
+	{
+		return true;
+	}
+
+	var tags = this.getMetadata(resource).tags;
+	for (var i = 0; i < tags.length; i++)
+	{
+		if (tags[i].toLowerCase().indexOf(this.filter) !== -1)
+		{
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Compare two resources using the sort mode of the explorer.
+ *
+ * @method compare
+ * @param {Object} a First resource.
+ * @param {Object} b Second resource.
+ * @return {number} Negative if a is displayed before b, positive if a is displayed after b.
+ */
+AssetExplorer.prototype.compare = function(a, b)
+{
+	var order = 0;
+
+	if (this.sortMode === AssetExplorer.TYPE)
+	{
+		order = AssetExplorer.getType(a).localeCompare(AssetExplorer.getType(b));
+	}
+	else if (this.sortMode === AssetExplorer.SIZE)
+	{
+		order = ResourceCrawler.getSize(b) - ResourceCrawler.getSize(a);
+	}
+	else if (this.sortMode === AssetExplorer.DATE)
+	{
+		order = this.getMetadata(b).date - this.getMetadata(a).date;
+	}
+
+	return order !== 0 ? order : String(a.name).localeCompare(String(b.name));
 };
 
 /** 
@@ -252,6 +826,11 @@ AssetExplorer.prototype.clear = function()
 	{
 		this.files.pop().destroy();
 	}
+
+	while (this.folders.length > 0)
+	{
+		this.folders.pop().destroy();
+	}
 };
 
 AssetExplorer.prototype.updateSize = function()
@@ -14,6 +14,7 @@ import {Global} from "../../../Global.js";
 import {Editor} from "../../../Editor.js";
 import {DropdownMenu} from "../../../components/dropdown/DropdownMenu.js";
 import {Component} from "../../../components/Component.js";
+import {AssetExplorer} from "./AssetExplorer.js";
 
 
 function AssetExplorerMenu(parent)
@@ -76,6 +77,30 @@ function AssetExplorerMenu(parent)
 			}
 		}, "audio/*");
 	}, Global.FILE_PATH + "icons/misc/audio.png");
+
+	// Particle preset
+	menu.addOption(Locale.particlePreset, function()
+	{
+		FileSystem.chooseFile(function(files)
+		{
+			for (var i = 0; i < files.length; i++)
+			{
+				Loaders.loadParticlePreset(files[i]);
+			}
+		}, ".json");
+	}, Global.FILE_PATH + "icons/misc/particles.png");
+
+	// Prefab
+	menu.addOption(Locale.prefab, function()
+	{
+		FileSystem.chooseFile(function(files)
+		{
+			for (var i = 0; i < files.length; i++)
+			{
+				Loaders.loadPrefab(files[i]);
+			}
+		}, ".json");
+	}, Global.FILE_PATH + "icons/misc/hierarchy.png");
 	
 	// Spine Animation
 	if (Nunu.runningOnDesktop())
@@ -331,6 +356,50 @@ function AssetExplorerMenu(parent)
 	}, Global.FILE_PATH + "icons/script/script.png");
 
 	create.updateInterface();
+
+	// Organize menu
+	var organize = new DropdownMenu(this);
+	organize.setText(Locale.organize);
+	organize.size.set(100, 25);
+	organize.position.set(400, 0);
+
+	organize.addOption(Locale.newFolder, function()
+	{
+		var name = Editor.prompt(Locale.newFolder, "folder");
+		if (name !== null)
+		{
+			parent.createFolder(name);
+		}
+	}, Global.FILE_PATH + "icons/misc/folder.png");
+
+	var sort = organize.addMenu(Locale.sortBy, Global.FILE_PATH + "icons/misc/menu.png");
+
+	sort.addOption(Locale.name, function()
+	{
+		parent.setSortMode(AssetExplorer.NAME);
+	});
+
+	sort.addOption(Locale.type, function()
+	{
+		parent.setSortMode(AssetExplorer.TYPE);
+	});
+
+	sort.addOption(Locale.size, function()
+	{
+		parent.setSortMode(AssetExplorer.SIZE);
+	});
+
+	sort.addOption(Locale.date, function()
+	{
+		parent.setSortMode(AssetExplorer.DATE);
+	});
+
+	organize.addOption(Locale.removeUnused, function()
+	{
+		parent.removeUnused();
+	}, Global.FILE_PATH + "icons/misc/delete.png");
+
+	organize.updateInterface();
 }
 
 AssetExplorerMenu.prototype = Object.create(Component.prototype);
@@ -0,0 +1,146 @@
+import {Locale} from "../../../locale/LocaleManager.js";
+import {ResourceCrawler} from "../../../history/ResourceCrawler.js";
+import {Global} from "../../../Global.js";
+import {Editor} from "../../../Editor.js";
+import {TabComponent} from "../../../components/tabs/TabComponent.js";
+
+/**
+ * Resource usages tab lists the objects of the program that use a resource.
+ *
+ * Usages are found using ResourceCrawler.getUsages(), clicking an entry selects the object.
+ *
+ * @constructor
+ * @class ResourceUsagesTab
+ * @extends {TabComponent}
+ * @param parent
+ * @param closeable
+ * @param container
+ * @param index
+ */
+function ResourceUsagesTab(parent, closeable, container, index)
+{
+	TabComponent.call(this, parent, closeable, container, index, Locale.usages, Global.FILE_PATH + "icons/misc/search.png");
+
+	/**
+	 * Resource whose usages are listed.
+	 *
+	 * @attribute resource
+	 * @type {Object}
+	 */
+	this.resource = null;
+
+	/**
+	 * Division where the usage entries are placed.
+	 *
+	 * @attribute content
+	 * @type {Element}
+	 */
+	this.content = document.createElement("div");
+	this.content.style.position = "absolute";
+	this.content.style.overflow = "auto";
+	this.content.style.top = "0px";
+	this.content.style.left = "0px";
+	this.content.style.color = "var(--color-light)";
+	this.element.appendChild(this.content);
+}
+
+ResourceUsagesTab.prototype = Object.create(TabComponent.prototype);
+
+/**
+ * Create an entry of the usages list.
+ *
+ * @method addEntry
+ * @param {string} name Text of the entry.
+ * @param {Object3D} object Object selected when the entry is clicked, optional.
+ */
+ResourceUsagesTab.prototype.addEntry = function(name, object)
+{
+	var entry = document.createElement("div");
+	entry.style.padding = "3px 5px";
+	entry.style.whiteSpace = "nowrap";
+	entry.style.overflow = "hidden";
+	entry.style.textOverflow = "ellipsis";
+	entry.appendChild(document.createTextNode(name));
+
+	if (object !== undefined)
+	{
+		entry.style.cursor = "pointer";
+		entry.onclick = function()
+		{
+			Editor.selectObject(object);
+		};
+
+		if (Editor.isSelected(object))
+		{
+			entry.style.backgroundColor = "var(--bar-color)";
+		}
+	}
+	else
+	{
+		entry.style.opacity = 0.5;
+	}
+
+	this.content.appendChild(entry);
+};
+
+/**
+ * Rebuild the list with the objects that use the resource.
+ *
+ * @method refresh
+ */
+ResourceUsagesTab.prototype.refresh = function()
+{
+	this.content.innerHTML = "";
+
+	if (this.resource === null || Editor.program === null)
+	{
+		return;
+	}
+
+	var objects = ResourceCrawler.getUsages(Editor.program, this.resource);
+
+	this.addEntry(Locale.usages + ": " + objects.length);
+
+	for (var i = 0; i < objects.length; i++)
+	{
+		var scene = objects[i];
+		while (scene.parent !== null && scene.parent !== Editor.program)
+		{
+			scene = scene.parent;
+		}
+
+		this.addEntry(scene !== objects[i] ? scene.name + " / " + objects[i].name : objects[i].name, objects[i]);
+	}
+};
+
+ResourceUsagesTab.prototype.isAttached = function(resource)
+{
+	return this.resource === resource;
+};
+
+ResourceUsagesTab.prototype.attach = function(resource)
+{
+	this.resource = resource;
+	this.setName(Locale.usages + " " + resource.name);
+	this.refresh();
+};
+
+ResourceUsagesTab.prototype.updateObjectsView = function()
+{
+	this.refresh();
+};
+
+ResourceUsagesTab.prototype.updateSelection = function()
+{
+	this.refresh();
+};
+
+ResourceUsagesTab.prototype.updateSize = function()
+{
+	TabComponent.prototype.updateSize.call(this);
+
+	this.content.style.width = this.size.x + "px";
+	this.content.style.height = this.size.y + "px";
+};
+
+export {ResourceUsagesTab};
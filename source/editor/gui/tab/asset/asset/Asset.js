@@ -1,7 +1,10 @@
 import {Vector2} from "three";
 import {Resource} from "../../../../../core/resources/Resource.js";
+import {Locale} from "../../../../locale/LocaleManager.js";
+import {Global} from "../../../../Global.js";
 import {Editor} from "../../../../Editor.js";
 import {Component} from "../../../../components/Component.js";
+import {ResourceUsagesTab} from "../ResourceUsagesTab.js";
 
 
 /**
@@ -159,6 +162,63 @@ Asset.prototype.setText = function(text)
 	this.name.data = text;
 };
 
+/**
+ * Add the options used to organize the asset (tags, folder and usages) to the context menu of the asset.
+ *
+ * @method addOrganizeOptions
+ * @param {ContextMenu} context Context menu of the asset.
+ */
+Asset.prototype.addOrganizeOptions = function(context)
+{
+	var self = this;
+	var explorer = Editor.gui.assetExplorer;
+
+	context.addOption(Locale.tags, function()
+	{
+		var tags = Editor.prompt(Locale.tags, explorer.getMetadata(self.asset).tags.join(", "));
+		if (tags !== null)
+		{
+			tags = tags.split(",").map(function(tag)
+			{
+				return tag.trim();
+			});
+
+			explorer.setTags(self.asset, tags.filter(function(tag)
+			{
+				return tag !== "";
+			}));
+		}
+	});
+
+	var menu = context.addMenu(Locale.moveTo);
+	var folders = [""].concat(explorer.getFolders().slice().sort());
+
+	for (var i = 0; i < folders.length; i++)
+	{
+		addFolder(folders[i]);
+	}
+
+	function addFolder(folder)
+	{
+		menu.addOption("/" + folder, function()
+		{
+			explorer.moveToFolder(explorer.getMoved(self.asset), folder);
+		}, Global.FILE_PATH + "icons/misc/folder.png");
+	}
+
+	context.addOption(Locale.findUsages, function()
+	{
+		var tab = Editor.gui.tab.getTab(ResourceUsagesTab, self.asset);
+		if (tab === null)
+		{
+			tab = Editor.gui.tab.addTab(ResourceUsagesTab, true);
+			tab.attach(self.asset);
+		}
+
+		tab.select();
+	});
+};
+
 Asset.prototype.updateMetadata = function()
 {
 	this.setText(this.asset.name);
@@ -105,6 +105,8 @@ function AudioAsset(parent)
 			Editor.addAction(new RemoveResourceAction(self.asset, Editor.program, "audio"));
 		});
 
+		self.addOrganizeOptions(context);
+
 		context.updateInterface();
 	};
 
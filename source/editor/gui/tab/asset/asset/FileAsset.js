@@ -79,6 +79,8 @@ function FileAsset(parent)
 			Editor.addAction(new RemoveResourceAction(self.asset, Editor.program, "resources"));
 		});
 
+		self.addOrganizeOptions(context);
+
 		context.updateInterface();
 	};
 
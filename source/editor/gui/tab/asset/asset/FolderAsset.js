@@ -0,0 +1,150 @@
+import {Locale} from "../../../../locale/LocaleManager.js";
+import {DragBuffer} from "../../../DragBuffer.js";
+import {Global} from "../../../../Global.js";
+import {Editor} from "../../../../Editor.js";
+import {ContextMenu} from "../../../../components/dropdown/ContextMenu.js";
+import {DocumentBody} from "../../../../components/DocumentBody.js";
+import {Asset} from "./Asset.js";
+
+/**
+ * Folder asset represents a virtual folder of the asset explorer.
+ *
+ * Double click opens the folder, assets dropped into the folder are moved into it.
+ *
+ * @class FolderAsset
+ * @extends {Asset}
+ * @param {Component} parent Parent element.
+ * @param {AssetExplorer} explorer Asset explorer where the folder is displayed.
+ * @param {string} path Path of the folder.
+ * @param {boolean} up If true the folder is displayed as the link to the parent folder.
+ */
+function FolderAsset(parent, explorer, path, up)
+{
+	Asset.call(this, parent);
+
+	var self = this;
+
+	/**
+	 * Asset explorer where the folder is displayed.
+	 *
+	 * @property explorer
+	 * @type {AssetExplorer}
+	 */
+	this.explorer = explorer;
+
+	/**
+	 * Path of the folder.
+	 *
+	 * @property path
+	 * @type {string}
+	 */
+	this.path = path;
+
+	this.setText(up === true ? ".." : FolderAsset.getName(path));
+
+	// Image
+	this.image = document.createElement("img");
+	this.image.src = Global.FILE_PATH + "icons/misc/folder.png";
+	this.image.style.position = "absolute";
+	this.image.style.top = "5%";
+	this.image.style.left = "17%";
+	this.image.style.width = "66%";
+	this.image.style.height = "66%";
+	this.element.appendChild(this.image);
+
+	this.element.onclick = null;
+
+	this.element.onmouseleave = function()
+	{
+		this.style.backgroundColor = null;
+	};
+
+	// Open folder
+	this.element.ondblclick = function()
+	{
+		self.explorer.setFolder(self.path);
+	};
+
+	// Context menu event
+	if (up !== true)
+	{
+		this.element.oncontextmenu = function(event)
+		{
+			var context = new ContextMenu(DocumentBody);
+			context.size.set(130, 20);
+			context.position.set(event.clientX, event.clientY);
+
+			context.addOption(Locale.rename, function()
+			{
+				var name = Editor.prompt(Locale.rename + " " + Locale.folder, FolderAsset.getName(self.path));
+				if (name !== null && name !== "")
+				{
+					self.explorer.renameFolder(self.path, name);
+				}
+			});
+
+			context.addOption(Locale.delete, function()
+			{
+				if (Editor.confirm(Locale.delete + " " + Locale.folder))
+				{
+					self.explorer.removeFolder(self.path);
+				}
+			});
+
+			context.updateInterface();
+		};
+	}
+
+	// Drag over
+	this.element.ondragover = function(event)
+	{
+		event.preventDefault();
+	};
+
+	// Drop assets into the folder
+	this.element.ondrop = function(event)
+	{
+		event.preventDefault();
+		event.stopPropagation();
+
+		var resource = DragBuffer.get(event.dataTransfer.getData("uuid"));
+		if (resource !== null && resource !== undefined)
+		{
+			self.explorer.moveToFolder(self.explorer.getMoved(resource), self.path);
+		}
+	};
+}
+
+FolderAsset.prototype = Object.create(Asset.prototype);
+
+/**
+ * Get the name of a folder from its path.
+ *
+ * @static
+ * @method getName
+ * @param {string} path Path of the folder.
+ * @return {string} Name of the folder.
+ */
+FolderAsset.getName = function(path)
+{
+	return path.substring(path.lastIndexOf("/") + 1);
+};
+
+/**
+ * Get the path of the parent folder.
+ *
+ * @static
+ * @method getParent
+ * @param {string} path Path of the folder.
+ * @return {string} Path of the parent folder, empty for folders in the root.
+ */
+FolderAsset.getParent = function(path)
+{
+	var index = path.lastIndexOf("/");
+
+	return index !== -1 ? path.substring(0, index) : "";
+};
+
+FolderAsset.prototype.updateMetadata = function() {};
+
+export {FolderAsset};
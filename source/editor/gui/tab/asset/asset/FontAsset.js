@@ -67,6 +67,8 @@ function FontAsset(parent)
 			Editor.addAction(new RemoveResourceAction(self.asset, Editor.program, "fonts"));
 		});
 
+		self.addOrganizeOptions(context);
+
 		context.updateInterface();
 	};
 
@@ -58,6 +58,8 @@ function GeometryAsset(parent)
 			}
 		});
 
+		self.addOrganizeOptions(context);
+
 		context.updateInterface();
 	};
 
@@ -84,6 +84,8 @@ function ImageAsset(parent)
 			Editor.addAction(new RemoveResourceAction(self.asset, Editor.program, "images"));
 		});
 
+		self.addOrganizeOptions(context);
+
 		context.updateInterface();
 	};
 
@@ -204,6 +204,8 @@ function MaterialAsset(parent)
 			}
 		});
 
+		self.addOrganizeOptions(context);
+
 		context.updateInterface();
 	};
 
@@ -0,0 +1,118 @@
+import {Locale} from "../../../../locale/LocaleManager.js";
+import {Nunu} from "../../../../../core/Nunu.js";
+import {FileSystem} from "../../../../../core/FileSystem.js";
+import {RemoveResourceAction} from "../../../../history/action/resources/RemoveResourceAction.js";
+import {ChangeAction} from "../../../../history/action/ChangeAction.js";
+import {ParticleRenderer} from "../../../preview/ParticleRenderer.js";
+import {DragBuffer} from "../../../DragBuffer.js";
+import {Global} from "../../../../Global.js";
+import {Editor} from "../../../../Editor.js";
+import {ContextMenu} from "../../../../components/dropdown/ContextMenu.js";
+import {DocumentBody} from "../../../../components/DocumentBody.js";
+import {Asset} from "./Asset.js";
+
+/**
+ * Particle preset asset, can be dragged onto particle emitters to apply the preset.
+ *
+ * @class ParticlePresetAsset
+ * @extends {Asset}
+ * @param {Component} parent Parent element.
+ */
+function ParticlePresetAsset(parent)
+{
+	Asset.call(this, parent);
+
+	this.setIcon(Global.FILE_PATH + "icons/misc/particles.png");
+
+	var self = this;
+
+	// Image
+	this.image = document.createElement("img");
+	this.image.style.position = "absolute";
+	this.image.style.top = "5%";
+	this.image.style.left = "17%";
+	this.image.style.width = "66%";
+	this.image.style.height = "66%";
+	this.element.appendChild(this.image);
+
+	// Context menu event
+	this.element.oncontextmenu = function(event)
+	{
+		var context = new ContextMenu(DocumentBody);
+		context.size.set(130, 20);
+		context.position.set(event.clientX, event.clientY);
+
+		context.addOption(Locale.rename, function()
+		{
+			Editor.addAction(new ChangeAction(self.asset, "name", Editor.prompt(Locale.rename + " " + Locale.particlePreset, self.asset.name)));
+		});
+
+		context.addOption(Locale.delete, function()
+		{
+			if (Editor.confirm(Locale.delete + " " + Locale.particlePreset))
+			{
+				Editor.addAction(new RemoveResourceAction(self.asset, Editor.program, "resources"));
+			}
+		});
+
+		context.addOption(Locale.export, function()
+		{
+			if (Nunu.runningOnDesktop())
+			{
+				FileSystem.chooseFile(function(files)
+				{
+					if (files.length > 0)
+					{
+						self.asset.export(files[0].path);
+					}
+				}, ".json", true);
+			}
+			else
+			{
+				FileSystem.chooseFileName(function(file)
+				{
+					self.asset.export(file);
+				}, ".json");
+			}
+		});
+
+		self.addOrganizeOptions(context);
+
+		context.updateInterface();
+	};
+
+	// Drag start
+	this.element.ondragstart = function(event)
+	{
+		if (self.asset !== null)
+		{
+			event.dataTransfer.setData("uuid", self.asset.uuid);
+			DragBuffer.push(self.asset);
+		}
+	};
+
+	// Drag end (called after of ondrop)
+	this.element.ondragend = function()
+	{
+		DragBuffer.pop(self.asset.uuid);
+	};
+}
+
+ParticlePresetAsset.prototype = Object.create(Asset.prototype);
+
+ParticlePresetAsset.prototype.updateMetadata = function()
+{
+	if (this.asset !== null)
+	{
+		var image = this.image;
+
+		ParticleRenderer.render(this.asset, function(url)
+		{
+			image.src = url;
+		});
+
+		this.setText(this.asset.name);
+	}
+};
+
+export {ParticlePresetAsset};
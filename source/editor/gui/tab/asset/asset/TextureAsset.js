@@ -138,6 +138,8 @@ function TextureAsset(parent)
 				Editor.alert("Texture duplication failed.\n" + e.stack);
 			}
 		});
+		self.addOrganizeOptions(context);
+
 		context.updateInterface();
 	};
 
@@ -81,6 +81,8 @@ function VideoAsset(parent)
 			}
 		});
 		
+		self.addOrganizeOptions(context);
+
 		context.updateInterface();
 	};
 
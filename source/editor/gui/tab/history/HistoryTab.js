@@ -0,0 +1,129 @@
+import {Locale} from "../../../locale/LocaleManager.js";
+import {Global} from "../../../Global.js";
+import {Editor} from "../../../Editor.js";
+import {TabComponent} from "../../../components/tabs/TabComponent.js";
+
+/**
+ * History tab lists the actions stored in the editor history.
+ *
+ * Clicking an entry undoes or redoes actions until the history reaches that entry. Actions that were undone are displayed dimmed and can be redone.
+ *
+ * @constructor
+ * @class HistoryTab
+ * @extends {TabComponent}
+ * @param parent
+ * @param closeable
+ * @param container
+ * @param index
+ */
+function HistoryTab(parent, closeable, container, index)
+{
+	TabComponent.call(this, parent, closeable, container, index, Locale.history, Global.FILE_PATH + "icons/misc/undo.png");
+
+	/**
+	 * History displayed in the tab.
+	 *
+	 * @attribute history
+	 * @type {History}
+	 */
+	this.history = null;
+
+	/**
+	 * Version of the history when the list was last built, used to check if the list needs to be updated.
+	 *
+	 * @attribute version
+	 * @type {number}
+	 */
+	this.version = -1;
+
+	/**
+	 * Division where the history entries are placed.
+	 *
+	 * @attribute content
+	 * @type {Element}
+	 */
+	this.content = document.createElement("div");
+	this.content.style.position = "absolute";
+	this.content.style.overflow = "auto";
+	this.content.style.top = "0px";
+	this.content.style.left = "0px";
+	this.content.style.color = "var(--color-light)";
+	this.element.appendChild(this.content);
+}
+
+HistoryTab.prototype = Object.create(TabComponent.prototype);
+
+/**
+ * Create an entry of the history list.
+ *
+ * @method addEntry
+ * @param {string} name Name of the entry.
+ * @param {number} position Position of the history represented by the entry.
+ */
+HistoryTab.prototype.addEntry = function(name, position)
+{
+	var entry = document.createElement("div");
+	entry.style.cursor = "pointer";
+	entry.style.padding = "3px 5px";
+	entry.style.whiteSpace = "nowrap";
+	entry.style.overflow = "hidden";
+	entry.style.textOverflow = "ellipsis";
+	entry.appendChild(document.createTextNode(name));
+	entry.onclick = function()
+	{
+		Editor.goToHistory(position);
+	};
+
+	if (position === this.history.position)
+	{
+		entry.style.backgroundColor = "var(--bar-color)";
+	}
+	else if (position > this.history.position)
+	{
+		entry.style.opacity = 0.5;
+	}
+
+	this.content.appendChild(entry);
+};
+
+/**
+ * Rebuild the list with the actions of the history.
+ *
+ * @method refresh
+ */
+HistoryTab.prototype.refresh = function()
+{
+	this.content.innerHTML = "";
+
+	if (this.history === null)
+	{
+		return;
+	}
+
+	this.addEntry(Locale.initialState, -1);
+
+	for (var i = 0; i < this.history.actions.length; i++)
+	{
+		this.addEntry(this.history.actions[i].getName(), i);
+	}
+};
+
+HistoryTab.prototype.update = function()
+{
+	if (Editor.history !== this.history || Editor.history.version !== this.version)
+	{
+		this.history = Editor.history;
+		this.version = this.history !== null ? this.history.version : -1;
+		this.refresh();
+	}
+};
+
+HistoryTab.prototype.updateSize = function()
+{
+	TabComponent.prototype.updateSize.call(this);
+
+	this.content.style.width = this.size.x + "px";
+	this.content.style.height = this.size.y + "px";
+};
+
+export {HistoryTab};
@@ -1,3 +1,8 @@
+import {ChangeAction} from "../../../history/action/ChangeAction.js";
+import {CallbackAction} from "../../../history/action/CallbackAction.js";
+import {ActionBundle} from "../../../history/action/ActionBundle.js";
+import {Editor} from "../../../Editor.js";
+import {VectorBox} from "../../../components/input/VectorBox.js";
 import {TableForm} from "../../../components/TableForm.js";
 import {Component} from "../../../components/Component.js";
 
@@ -6,6 +11,8 @@ import {Component} from "../../../components/Component.js";
  *
  * The panel has a form element that should be used to place the object attribute editing GUI.
  *
+ * Multiple objects of the same type can be attached to the panel. The values displayed are read from the first object and changes should be added using the addAction() method of the inspector to be applied to all of them.
+ *
  * @constructor
  * @class Inspector
  * @extends {Component}
@@ -26,6 +33,14 @@ function Inspector(parent, object)
 	 * @type {Object3D}
 	 */ 
 	this.object = null;
+
+	/**
+	 * List of objects attached to this panel, the first object is the one displayed.
+	 *
+	 * @property objects
+	 * @type {Array}
+	 */
+	this.objects = [];
 	this.attach(object);
 
 	/**
@@ -45,10 +60,211 @@ Inspector.prototype = Object.create(Component.prototype);
  *
  * @method attach
  * @param {Object3D} object
+ * @param {Array} objects List of objects edited with the panel, if not specified only the object is edited.
  */
-Inspector.prototype.attach = function(object)
+Inspector.prototype.attach = function(object, objects)
 {
 	this.object = object;
+	this.objects = objects !== undefined ? objects : [object];
+};
+
+/**
+ * Add an action to the editor history.
+ *
+ * If multiple objects are attached, the action is copied for each one of them and all actions are added as a single bundle so they can be reverted together.
+ *
+ * @method addAction
+ * @param {Action} action Action created for the object displayed.
+ */
+Inspector.prototype.addAction = function(action)
+{
+	if (this.objects.length > 1)
+	{
+		var actions = [action];
+
+		for (var i = 0; i < this.objects.length; i++)
+		{
+			if (this.objects[i] !== this.object)
+			{
+				var copy = this.copyAction(action, this.objects[i]);
+				if (copy !== null)
+				{
+					actions.push(copy);
+				}
+			}
+		}
+
+		if (actions.length > 1)
+		{
+			action = new ActionBundle(actions);
+		}
+	}
+
+	Editor.addAction(action);
+};
+
+/**
+ * Copy an action created for the object displayed to be applied to another object.
+ *
+ * Changes to attributes not reachable from the objects (e.g. the program) are not copied. Inside of bundles only the values that were changed are copied, so editing one component of a vector keeps the others.
+ *
+ * @method copyAction
+ * @param {Action} action Action to copy.
+ * @param {Object} object Object to apply the action to.
+ * @return {Action} Copy of the action, null if the action cannot be applied to the object.
+ */
+Inspector.prototype.copyAction = function(action, object)
+{
+	if (action instanceof ChangeAction)
+	{
+		var path = this.getPath(action.object);
+		if (path === null)
+		{
+			return null;
+		}
+
+		var target = object;
+		for (var i = 0; i < path.length; i++)
+		{
+			target = target[path[i]];
+
+			if (target === null || typeof target !== "object")
+			{
+				return null;
+			}
+		}
+
+		var value = action.newValue;
+		if (value instanceof Array)
+		{
+			value = value.slice();
+		}
+		else if (value !== null && typeof value === "object" && value.isColor === true)
+		{
+			value = value.clone();
+		}
+
+		return new ChangeAction(target, action.attribute, value);
+	}
+	else if (action instanceof ActionBundle)
+	{
+		var actions = [];
+
+		for (var i = 0; i < action.actions.length; i++)
+		{
+			var child = action.actions[i];
+			if (child instanceof ChangeAction && Inspector.equals(child.newValue, child.oldValue))
+			{
+				continue;
+			}
+
+			var copy = this.copyAction(child, object);
+			if (copy !== null)
+			{
+				actions.push(copy);
+			}
+		}
+
+		return actions.length > 0 ? new ActionBundle(actions) : null;
+	}
+	else if (action instanceof CallbackAction)
+	{
+		var copy = this.copyAction(action.action, object);
+		if (copy === null)
+		{
+			return null;
+		}
+
+		// Callbacks are declared for the object displayed, swap it while the callback runs
+		var self = this;
+		var callback = action.callback;
+
+		return new CallbackAction(copy, function()
+		{
+			var displayed = self.object;
+			self.object = object;
+			callback();
+			self.object = displayed;
+		});
+	}
+
+	return null;
+};
+
+/**
+ * Get the path of attribute names from the object displayed to one of its inner objects (e.g. ["position"] or ["sun", "shadow", "camera"]).
+ *
+ * @method getPath
+ * @param {Object} target Object to look for.
+ * @return {Array} List of attribute names, null if the target was not found.
+ */
+Inspector.prototype.getPath = function(target)
+{
+	for (var depth = 0; depth <= Inspector.pathDepth; depth++)
+	{
+		var path = Inspector.findPath(this.object, target, depth);
+		if (path !== null)
+		{
+			return path;
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Check if an attribute has different values in the objects attached.
+ *
+ * @method isMixed
+ * @param {string} attribute Name of the attribute.
+ * @param {string} axis Component of the attribute to compare (e.g. "x" for vectors), optional.
+ * @return {boolean} True if the objects have different values.
+ */
+Inspector.prototype.isMixed = function(attribute, axis)
+{
+	var value = Inspector.getValue(this.object, attribute, axis);
+
+	for (var i = 0; i < this.objects.length; i++)
+	{
+		if (!Inspector.equals(value, Inspector.getValue(this.objects[i], attribute, axis)))
+		{
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Show the input elements with mixed values between the objects attached as indeterminate.
+ *
+ * Input elements stored in the inspector with the same name as the object attribute they edit are updated automatically, other elements should be updated by overriding this method.
+ *
+ * Called after the inspector values are updated.
+ *
+ * @method updateIndeterminate
+ */
+Inspector.prototype.updateIndeterminate = function()
+{
+	var names = Object.keys(this);
+
+	for (var i = 0; i < names.length; i++)
+	{
+		var name = names[i];
+		var element = this[name];
+
+		if (element instanceof Component && element.setIndeterminate !== undefined && this.object[name] !== undefined)
+		{
+			if (element instanceof VectorBox)
+			{
+				element.setIndeterminate(this.isMixed(name, "x"), this.isMixed(name, "y"), this.isMixed(name, "z"), this.isMixed(name, "w"));
+			}
+			else
+			{
+				element.setIndeterminate(this.isMixed(name));
+			}
+		}
+	}
 };
 
 /**
@@ -58,6 +274,103 @@ Inspector.prototype.attach = function(object)
  */
 Inspector.prototype.updateInspector = function() {};
 
+/**
+ * Maximum depth searched when looking for the path to the inner objects changed by actions.
+ *
+ * @static
+ * @attribute pathDepth
+ * @type {number}
+ */
+Inspector.pathDepth = 3;
+
+/**
+ * Look for a path of attribute names from an object to one of its inner objects.
+ *
+ * Typed arrays and the parent and children attributes of objects are not searched.
+ *
+ * @static
+ * @method findPath
+ * @param {Object} object Object to search.
+ * @param {Object} target Object to look for.
+ * @param {number} depth Number of attributes in the path.
+ * @return {Array} List of attribute names, null if the target was not found.
+ */
+Inspector.findPath = function(object, target, depth)
+{
+	if (depth === 0)
+	{
+		return object === target ? [] : null;
+	}
+
+	if (object === null || typeof object !== "object" || ArrayBuffer.isView(object))
+	{
+		return null;
+	}
+
+	var names = Object.keys(object);
+
+	for (var i = 0; i < names.length; i++)
+	{
+		if (names[i] !== "parent" && names[i] !== "children")
+		{
+			var path = Inspector.findPath(object[names[i]], target, depth - 1);
+			if (path !== null)
+			{
+				path.unshift(names[i]);
+				return path;
+			}
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Get the value of an object attribute, or of one component of the attribute.
+ *
+ * @static
+ * @method getValue
+ * @param {Object} object Object to read the value from.
+ * @param {string} attribute Name of the attribute.
+ * @param {string} axis Component of the attribute, optional.
+ * @return {Object} Value of the attribute.
+ */
+Inspector.getValue = function(object, attribute, axis)
+{
+	var value = object[attribute];
+
+	if (axis !== undefined)
+	{
+		return value !== null && typeof value === "object" ? value[axis] : undefined;
+	}
+
+	return value;
+};
+
+/**
+ * Compare two attribute values, objects with a equals() method (e.g. colors and vectors) are compared by value.
+ *
+ * @static
+ * @method equals
+ * @param {Object} a Value to compare.
+ * @param {Object} b Value to compare.
+ * @return {boolean} True if the values are equal.
+ */
+Inspector.equals = function(a, b)
+{
+	if (a === b)
+	{
+		return true;
+	}
+
+	if (a !== null && b !== null && typeof a === "object" && typeof b === "object" && typeof a.equals === "function" && a.constructor === b.constructor)
+	{
+		return a.equals(b);
+	}
+
+	return false;
+};
+
 Inspector.prototype.updateSize = function()
 {
 	Component.prototype.updateSize.call(this);
@@ -6,19 +6,24 @@ import {Image} from "../../../../core/resources/Image.js";
 import {TextSprite} from "../../../../core/objects/text/TextSprite.js";
 import {TextMesh} from "../../../../core/objects/text/TextMesh.js";
 import {TextBitmap} from "../../../../core/objects/text/TextBitmap.js";
+import {TextSDF} from "../../../../core/objects/text/TextSDF.js";
 import {SpineAnimation} from "../../../../core/objects/spine/SpineAnimation.js";
 import {Script} from "../../../../core/objects/script/Script.js";
 import {Scene} from "../../../../core/objects/Scene.js";
 import {Program} from "../../../../core/objects/Program.js";
 import {PhysicsObject} from "../../../../core/objects/physics/PhysicsObject.js";
+import {PhysicsConstraint} from "../../../../core/objects/physics/PhysicsConstraint.js";
 import {ParticleEmitter} from "../../../../core/objects/particle/ParticleEmitter.js";
 import {Sky} from "../../../../core/objects/misc/Sky.js";
+import {DirectionalLightCSM} from "../../../../core/objects/lights/DirectionalLightCSM.js";
 import {InstancedMesh} from "../../../../core/objects/mesh/InstancedMesh.js";
 import {OrbitControls} from "../../../../core/objects/controls/OrbitControls.js";
 import {FirstPersonControls} from "../../../../core/objects/controls/FirstPersonControls.js";
+import {CharacterController} from "../../../../core/objects/controls/CharacterController.js";
 import {PerspectiveCamera} from "../../../../core/objects/cameras/PerspectiveCamera.js";
 import {OrthographicCamera} from "../../../../core/objects/cameras/OrthographicCamera.js";
 import {CubeCamera} from "../../../../core/objects/cameras/CubeCamera.js";
+import {Plugins} from "../../../Plugins.js";
 import {Global} from "../../../Global.js";
 import {Editor} from "../../../Editor.js";
 import {Text} from "../../../components/Text.js";
@@ -32,11 +37,13 @@ import {AudioInspector} from "./resources/AudioInspector.js";
 import {TextSpriteInspector} from "./objects/text/TextSpriteInspector.js";
 import {TextMeshInspector} from "./objects/text/TextMeshInspector.js";
 import {TextBitmapInspector} from "./objects/text/TextBitmapInspector.js";
+import {TextSDFInspector} from "./objects/text/TextSDFInspector.js";
 import {SpineInspector} from "./objects/spine/SpineInspector.js";
 import {ScriptInspector} from "./objects/ScriptInspector.js";
 import {SceneInspector} from "./objects/SceneInspector.js";
 import {ProgramInspector} from "./objects/ProgramInspector.js";
 import {PhysicsInspector} from "./objects/physics/PhysicsInspector.js";
+import {PhysicsConstraintInspector} from "./objects/physics/PhysicsConstraintInspector.js";
 import {ObjectInspector} from "./objects/ObjectInspector.js";
 import {SkyInspector} from "./objects/misc/SkyInspector.js";
 import {ParticleEmitterInspector} from "./objects/misc/ParticleEmitterInspector.js";
@@ -50,9 +57,11 @@ import {PointLightInspector} from "./objects/lights/PointLightInspector.js";
 import {LightProbeInspector} from "./objects/lights/LightProbeInspector.js";
 import {HemisphereLightInspector} from "./objects/lights/HemisphereLightInspector.js";
 import {DirectionalLightInspector} from "./objects/lights/DirectionalLightInspector.js";
+import {DirectionalLightCSMInspector} from "./objects/lights/DirectionalLightCSMInspector.js";
 import {AmbientLightInspector} from "./objects/lights/AmbientLightInspector.js";
 import {OrbitControlsInspector} from "./objects/controls/OrbitControlsInspector.js";
 import {FirstPersonControlsInspector} from "./objects/controls/FirstPersonControlsInspector.js";
+import {CharacterControllerInspector} from "./objects/controls/CharacterControllerInspector.js";
 import {PerspectiveCameraInspector} from "./objects/cameras/PerspectiveCameraInspector.js";
 import {OrthographicCameraInspector} from "./objects/cameras/OrthographicCameraInspector.js";
 import {AudioEmitterInspector} from "./objects/audio/AudioEmitterInspector.js";
@@ -101,12 +110,13 @@ InspectorContainer.prototype.destroyInspector = function()
 	this.emptyText.setVisibility(true);
 };
 
-InspectorContainer.prototype.attach = function(object)
+InspectorContainer.prototype.attach = function(object, objects)
 {
 	if (this.panel !== null)
 	{
-		this.panel.attach(object);
+		this.panel.attach(object, objects);
 		this.panel.updateInspector();
+		this.panel.updateIndeterminate();
 	}
 };
 
@@ -139,172 +149,256 @@ InspectorContainer.prototype.updateObjectsView = function()
 InspectorContainer.prototype.updateSelection = function()
 {	
 	var object = Editor.hasObjectSelected() ? Editor.selection[0] : null;
-	
-	if (this.panel !== null && this.panel.object === object)
+	var Constructor = InspectorContainer.getInspector(object);
+
+	// Objects selected that use the same inspector are edited together
+	var objects = [object];
+	if (Constructor !== null && object.isObject3D === true)
+	{
+		for (var i = 1; i < Editor.selection.length; i++)
+		{
+			if (InspectorContainer.getInspector(Editor.selection[i]) === Constructor)
+			{
+				objects.push(Editor.selection[i]);
+			}
+		}
+	}
+
+	if (this.panel !== null && this.panel.object === object && InspectorContainer.sameObjects(this.panel.objects, objects))
 	{
 		return;
 	}
 
 	this.destroyInspector();
 
+	if (Constructor !== null)
+	{
+		this.panel = new Constructor(this, object);
+		this.panel.attach(object, objects);
+
+		this.emptyText.setVisibility(false);
+		
+		this.panel.updateInspector();
+		this.panel.updateIndeterminate();
+		this.panel.size.copy(this.size);
+		this.panel.updateInterface();
+	}
+};
+
+/**
+ * Get the inspector panel constructor used to edit an object.
+ *
+ * @static
+ * @method getInspector
+ * @param {Object} object Object to be edited.
+ * @return {Function} Inspector constructor, null if there is no inspector for the object.
+ */
+InspectorContainer.getInspector = function(object)
+{
+	// Inspectors registered by plugins
+	if (object !== null && object.locked !== true)
+	{
+		var inspector = Plugins.getInspector(object);
+		if (inspector !== null)
+		{
+			return inspector;
+		}
+	}
+
 	if (object instanceof Object3D)
 	{
 		if (object.locked)
 		{
-			this.panel = new LockedInspector(this, object);
+			return LockedInspector;
 		}
 		else if (object instanceof ParticleEmitter)
 		{
-			this.panel = new ParticleEmitterInspector(this, object);
+			return ParticleEmitterInspector;
 		}
 		else if (object instanceof SpineAnimation)
 		{
-			this.panel = new SpineInspector(this, object);
+			return SpineInspector;
 		}
 		else if (object instanceof InstancedMesh)
 		{
-			this.panel = new InstancedMeshInspector(this, object);
+			return InstancedMeshInspector;
 		}
 		else if (object instanceof SkinnedMesh)
 		{
-			this.panel = new MeshInspector(this, object);
+			return MeshInspector;
 		}
 		else if (object instanceof TextSprite)
 		{
-			this.panel = new TextSpriteInspector(this, object);
+			return TextSpriteInspector;
 		}
 		else if (object instanceof TextBitmap)
 		{
-			this.panel = new TextBitmapInspector(this, object);
+			return TextBitmapInspector;
+		}
+		else if (object instanceof TextSDF)
+		{
+			return TextSDFInspector;
 		}
 		else if (object instanceof TextMesh)
 		{
-			this.panel = new TextMeshInspector(this, object);
+			return TextMeshInspector;
 		}
 		else if (object instanceof Mesh || object instanceof Points || object instanceof Line)
 		{
-			this.panel = new MeshInspector(this, object);
+			return MeshInspector;
 		}
 		else if (object instanceof Light)
 		{
 			if (object instanceof PointLight)
 			{
-				this.panel = new PointLightInspector(this, object);
+				return PointLightInspector;
 			}
 			else if (object instanceof RectAreaLight)
 			{
-				this.panel = new RectAreaLightInspector(this, object);
+				return RectAreaLightInspector;
 			}
 			else if (object instanceof SpotLight)
 			{
-				this.panel = new SpotLightInspector(this, object);
+				return SpotLightInspector;
 			}
 			else if (object instanceof DirectionalLight)
 			{
-				this.panel = new DirectionalLightInspector(this, object);
+				return DirectionalLightInspector;
 			}
 			else if (object instanceof HemisphereLight)
 			{
-				this.panel = new HemisphereLightInspector(this, object);
+				return HemisphereLightInspector;
 			}
 			else if (object instanceof LightProbe)
 			{
-				this.panel = new LightProbeInspector(this, object);
+				return LightProbeInspector;
 			}
 			else
 			{
-				this.panel = new AmbientLightInspector(this, object);
+				return AmbientLightInspector;
 			}
 		}
 		else if (object instanceof Sky)
 		{
-			this.panel = new SkyInspector(this, object);
+			return SkyInspector;
+		}
+		else if (object instanceof DirectionalLightCSM)
+		{
+			return DirectionalLightCSMInspector;
 		}
 		else if (object instanceof PerspectiveCamera)
 		{
-			this.panel = new PerspectiveCameraInspector(this, object);
+			return PerspectiveCameraInspector;
 		}
 		else if (object instanceof OrthographicCamera)
 		{
-			this.panel = new OrthographicCameraInspector(this, object);
+			return OrthographicCameraInspector;
 		}
 		else if (object instanceof CubeCamera)
 		{
-			this.panel = new CubeCameraInspector(this, object);
+			return CubeCameraInspector;
 		}
 		else if (object instanceof Audio)
 		{
-			this.panel = new AudioEmitterInspector(this, object);
+			return AudioEmitterInspector;
 		}
 		else if (object instanceof Scene)
 		{
-			this.panel = new SceneInspector(this, object);
+			return SceneInspector;
 		}
 		else if (object instanceof Script)
 		{
-			this.panel = new ScriptInspector(this, object);
+			return ScriptInspector;
 		}
 		else if (object instanceof Program)
 		{
-			this.panel = new ProgramInspector(this, object);
+			return ProgramInspector;
 		}
 		else if (object instanceof PhysicsObject)
 		{
-			this.panel = new PhysicsInspector(this, object);
+			return PhysicsInspector;
+		}
+		else if (object instanceof PhysicsConstraint)
+		{
+			return PhysicsConstraintInspector;
 		}
 		else if (object instanceof OrbitControls)
 		{
-			this.panel = new OrbitControlsInspector(this, object);
+			return OrbitControlsInspector;
 		}
 		else if (object instanceof FirstPersonControls)
 		{
-			this.panel = new FirstPersonControlsInspector(this, object);
+			return FirstPersonControlsInspector;
+		}
+		else if (object instanceof CharacterController)
+		{
+			return CharacterControllerInspector;
 		}
 		else
 		{
-			this.panel = new ObjectInspector(this, object);
+			return ObjectInspector;
 		}
 	}
 	else if (object instanceof Geometry || object instanceof BufferGeometry)
 	{
-		this.panel = new GeometryInspector(this, object);
+		return GeometryInspector;
 	}
 	else if (object instanceof Resource)
 	{
 		if (object instanceof Audio)
 		{
-			this.panel = new AudioInspector(this, object);
+			return AudioInspector;
 		}
 		else if (object instanceof Image)
 		{
-			this.panel = new ImageInspector(this, object);
+			return ImageInspector;
 		}
 		else if (object instanceof Video)
 		{
-			this.panel = new VideoInspector(this, object);
+			return VideoInspector;
 		}
 		else
 		{
-			this.panel = new ResourceInspector(this, object);
+			return ResourceInspector;
 		}
 	}
 	else if (object instanceof Material)
 	{
-		this.panel = new MaterialInspector(this, object);
+		return MaterialInspector;
 	}
 	else if (object instanceof Texture)
 	{
-		this.panel = new TextureInspector(this, object);
+		return TextureInspector;
 	}
 
-	if (this.panel !== null)
+	return null;
+};
+
+/**
+ * Check if two lists contain the same objects in the same order.
+ *
+ * @static
+ * @method sameObjects
+ * @param {Array} a List of objects.
+ * @param {Array} b List of objects.
+ * @return {boolean} True if the lists are equal.
+ */
+InspectorContainer.sameObjects = function(a, b)
+{
+	if (a.length !== b.length)
 	{
-		this.emptyText.setVisibility(false);
-		
-		this.panel.updateInspector();
-		this.panel.size.copy(this.size);
-		this.panel.updateInterface();
+		return false;
 	}
+
+	for (var i = 0; i < a.length; i++)
+	{
+		if (a[i] !== b[i])
+		{
+			return false;
+		}
+	}
+
+	return true;
 };
 
 InspectorContainer.prototype.updateValues = function()
@@ -312,6 +406,7 @@ InspectorContainer.prototype.updateValues = function()
 	if (this.panel !== null)
 	{
 		this.panel.updateInspector();
+		this.panel.updateIndeterminate();
 	}
 };
 
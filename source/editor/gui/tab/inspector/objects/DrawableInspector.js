@@ -16,7 +16,7 @@ function DrawableInspector(parent, object)
 	this.castShadow.size.set(18, 18);
 	this.castShadow.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
+		self.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
 	});
 	this.form.add(this.castShadow);
 	this.form.nextRow();
@@ -27,7 +27,7 @@ function DrawableInspector(parent, object)
 	this.receiveShadow.size.set(18, 18);
 	this.receiveShadow.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "receiveShadow", self.receiveShadow.getValue()));
+		self.addAction(new ChangeAction(self.object, "receiveShadow", self.receiveShadow.getValue()));
 	});
 	this.form.add(this.receiveShadow);
 	this.form.nextRow();
@@ -38,7 +38,7 @@ function DrawableInspector(parent, object)
 	this.frustumCulled.size.set(18, 18);
 	this.frustumCulled.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "frustumCulled", self.frustumCulled.getValue()));
+		self.addAction(new ChangeAction(self.object, "frustumCulled", self.frustumCulled.getValue()));
 	});
 	this.form.add(this.frustumCulled);
 	this.form.nextRow();
@@ -1,3 +1,4 @@
+import {Prefab} from "../../../../../core/resources/Prefab.js";
 import {Locale} from "../../../../locale/LocaleManager.js";
 import {ChangeAction} from "../../../../history/action/ChangeAction.js";
 import {ActionBundle} from "../../../../history/action/ActionBundle.js";
@@ -7,6 +8,7 @@ import {VectorBox} from "../../../../components/input/VectorBox.js";
 import {TextBox} from "../../../../components/input/TextBox.js";
 import {NumberBox} from "../../../../components/input/NumberBox.js";
 import {CheckBox} from "../../../../components/input/CheckBox.js";
+import {ButtonText} from "../../../../components/buttons/ButtonText.js";
 import {Component} from "../../../../components/Component.js";
 
 function ObjectInspector(parent, object)
@@ -21,7 +23,7 @@ function ObjectInspector(parent, object)
 	this.name.size.set(0, 18);
 	this.name.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "name", self.name.getText()));
+		self.addAction(new ChangeAction(self.object, "name", self.name.getText()));
 		Editor.updateObjectsViewsGUI();
 	});
 	this.form.add(this.name);
@@ -43,6 +45,50 @@ function ObjectInspector(parent, object)
 		this.form.nextRow();
 	}
 
+	// Prefab
+	this.prefabText = this.form.addText(Locale.prefab);
+	this.prefabName = this.form.addText("");
+	this.form.nextRow();
+
+	this.prefabSpacing = this.form.addText("");
+
+	this.applyPrefab = new ButtonText(this.form);
+	this.applyPrefab.setText(Locale.applyToPrefab);
+	this.applyPrefab.size.set(100, 18);
+	this.applyPrefab.setOnClick(function()
+	{
+		Editor.applyPrefab(Prefab.getInstance(self.object));
+	});
+	this.form.add(this.applyPrefab);
+
+	this.revertPrefab = new ButtonText(this.form);
+	this.revertPrefab.setText(Locale.revert);
+	this.revertPrefab.size.set(60, 18);
+	this.revertPrefab.setOnClick(function()
+	{
+		Editor.revertPrefab(Prefab.getInstance(self.object));
+	});
+	this.form.add(this.revertPrefab);
+	this.form.nextRow();
+
+	/**
+	 * Prefab instance used to calculate the overrides displayed.
+	 *
+	 * @property prefabInstance
+	 * @type {Object3D}
+	 */
+	this.prefabInstance = null;
+
+	/**
+	 * Version of the history when the overrides were calculated.
+	 *
+	 * The inspector is updated every frame while objects are transformed, the overrides are only calculated again after the history changes.
+	 *
+	 * @property prefabVersion
+	 * @type {number}
+	 */
+	this.prefabVersion = -1;
+
 	// Position
 	this.form.addText(Locale.position);
 	this.position = new VectorBox(this.form);
@@ -53,7 +99,7 @@ function ObjectInspector(parent, object)
 		var position = self.position.getValue();
 		var object = self.object.position;
 
-		Editor.addAction(new ActionBundle(
+		self.addAction(new ActionBundle(
 			[
 				new ChangeAction(object, "x", position.x),
 				new ChangeAction(object, "y", position.y),
@@ -105,7 +151,7 @@ function ObjectInspector(parent, object)
 			self.scale.setValue(scale.x, scale.y, scale.z);
 		}
 
-		Editor.addAction(new ActionBundle(
+		self.addAction(new ActionBundle(
 			[
 				new ChangeAction(object, "x", scale.x),
 				new ChangeAction(object, "y", scale.y),
@@ -126,7 +172,7 @@ function ObjectInspector(parent, object)
 		var rotation = self.rotation.getValue();
 		var object = self.object.rotation;
 
-		Editor.addAction(new ActionBundle(
+		self.addAction(new ActionBundle(
 			[
 				new ChangeAction(object, "x", rotation.x),
 				new ChangeAction(object, "y", rotation.y),
@@ -142,7 +188,7 @@ function ObjectInspector(parent, object)
 	this.visible.size.set(18, 18);
 	this.visible.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "visible", self.visible.getValue()));
+		self.addAction(new ChangeAction(self.object, "visible", self.visible.getValue()));
 	});
 	this.form.add(this.visible);
 	this.form.nextRow();
@@ -155,7 +201,7 @@ function ObjectInspector(parent, object)
 	this.renderOrder.setStep(1);
 	this.renderOrder.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "renderOrder", self.renderOrder.getValue()));
+		self.addAction(new ChangeAction(self.object, "renderOrder", self.renderOrder.getValue()));
 	});
 	this.form.add(this.renderOrder);
 	this.form.nextRow();
@@ -166,7 +212,7 @@ function ObjectInspector(parent, object)
 	this.static.size.set(18, 18);
 	this.static.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "matrixAutoUpdate", !self.static.getValue()));
+		self.addAction(new ChangeAction(self.object, "matrixAutoUpdate", !self.static.getValue()));
 	});
 	this.form.add(this.static);
 	this.form.nextRow();
@@ -194,5 +240,49 @@ ObjectInspector.prototype.updateInspector = function()
 	this.visible.setValue(this.object.visible);
 	this.renderOrder.setValue(this.object.renderOrder);
 	this.static.setValue(!this.object.matrixAutoUpdate);
+
+	this.updatePrefab();
+};
+
+ObjectInspector.prototype.updateIndeterminate = function()
+{
+	Inspector.prototype.updateIndeterminate.call(this);
+
+	this.static.setIndeterminate(this.isMixed("matrixAutoUpdate"));
+};
+
+/**
+ * Update the prefab instance information, only visible if the object is part of a prefab instance.
+ *
+ * @method updatePrefab
+ */
+ObjectInspector.prototype.updatePrefab = function()
+{
+	var instance = Prefab.getInstance(this.object);
+	var visible = instance !== null;
+
+	if (this.prefabName.visible !== visible)
+	{
+		var elements = [this.prefabText, this.prefabName, this.prefabSpacing, this.applyPrefab, this.revertPrefab];
+		for (var i = 0; i < elements.length; i++)
+		{
+			elements[i].setVisibility(visible);
+		}
+
+		this.form.updateInterface();
+	}
+
+	if (instance !== null)
+	{
+		if (this.prefabInstance !== instance || this.prefabVersion !== Editor.history.version)
+		{
+			instance.prefab.updateOverrides(instance);
+
+			this.prefabInstance = instance;
+			this.prefabVersion = Editor.history.version;
+		}
+
+		this.prefabName.setText(instance.prefab.name + " (" + instance.prefabOverrides.length + " " + Locale.overrides + ")");
+	}
 };
 export {ObjectInspector};
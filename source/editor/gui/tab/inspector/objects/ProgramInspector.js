@@ -25,7 +25,7 @@ function ProgramInspector(parent, object)
 	this.author.updateInterface();
 	this.author.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "author", self.author.getText()));
+		self.addAction(new ChangeAction(self.object, "author", self.author.getText()));
 	});
 	this.form.add(this.author);
 	this.form.nextRow();
@@ -36,7 +36,7 @@ function ProgramInspector(parent, object)
 	this.version.size.set(100, 18);
 	this.version.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "version", self.version.getText()));
+		self.addAction(new ChangeAction(self.object, "version", self.version.getText()));
 	});
 	this.form.add(this.version);
 	this.form.nextRow();
@@ -47,7 +47,7 @@ function ProgramInspector(parent, object)
 	this.lockPointer.size.set(18, 18);
 	this.lockPointer.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "lockPointer", self.lockPointer.getValue()));
+		self.addAction(new ChangeAction(self.object, "lockPointer", self.lockPointer.getValue()));
 	});
 	this.form.add(this.lockPointer);
 	this.form.nextRow();
@@ -58,7 +58,7 @@ function ProgramInspector(parent, object)
 	this.handlePixelRatio.size.set(18, 18);
 	this.handlePixelRatio.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "handlePixelRatio", self.handlePixelRatio.getValue()));
+		self.addAction(new ChangeAction(self.object, "handlePixelRatio", self.handlePixelRatio.getValue()));
 	});
 	this.form.add(this.handlePixelRatio);
 	this.form.nextRow();
@@ -72,7 +72,7 @@ function ProgramInspector(parent, object)
 	this.ar.size.set(18, 18);
 	this.ar.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "ar", self.ar.getValue()));
+		self.addAction(new ChangeAction(self.object, "ar", self.ar.getValue()));
 	});
 	this.form.add(this.ar);
 	this.form.nextRow();
@@ -87,7 +87,7 @@ function ProgramInspector(parent, object)
 	this.vr.size.set(18, 18);
 	this.vr.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "vr", self.vr.getValue()));
+		self.addAction(new ChangeAction(self.object, "vr", self.vr.getValue()));
 	});
 	this.form.add(this.vr);
 	this.form.nextRow();
@@ -100,7 +100,7 @@ function ProgramInspector(parent, object)
 	this.vrScale.setStep(0.05);
 	this.vrScale.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "vrScale", self.vrScale.getValue()));
+		self.addAction(new ChangeAction(self.object, "vrScale", self.vrScale.getValue()));
 	});
 	this.form.add(this.vrScale);
 	this.form.nextRow();
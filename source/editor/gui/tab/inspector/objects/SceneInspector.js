@@ -32,11 +32,11 @@ function SceneInspector(parent, object)
 
 			if (self.default.getValue())
 			{
-				Editor.addAction(new ChangeAction(program, "defaultScene", self.object.uuid));
+				self.addAction(new ChangeAction(program, "defaultScene", self.object.uuid));
 			}
 			else
 			{
-				Editor.addAction(new ChangeAction(program, "defaultScene", null));
+				self.addAction(new ChangeAction(program, "defaultScene", null));
 			}
 		}
 	});
@@ -50,7 +50,7 @@ function SceneInspector(parent, object)
 	this.background.setValue(0, 0, 0);
 	this.background.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "background", new Color(self.background.getValueHex())));
+		self.addAction(new ChangeAction(self.object, "background", new Color(self.background.getValueHex())));
 	});
 	this.form.add(this.background);
 	this.form.nextRow();
@@ -62,7 +62,7 @@ function SceneInspector(parent, object)
 	this.backgroundTexture.size.set(0, 100);
 	this.backgroundTexture.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "background", self.backgroundTexture.getValue()));
+		self.addAction(new ChangeAction(self.object, "background", self.backgroundTexture.getValue()));
 	});
 	this.form.add(this.backgroundTexture);
 	this.form.nextRow();
@@ -74,7 +74,7 @@ function SceneInspector(parent, object)
 	this.alpha.setRange(0.0, 1.0);
 	this.alpha.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "alpha", self.alpha.getValue()));
+		self.addAction(new ChangeAction(self.object, "alpha", self.alpha.getValue()));
 	});
 	this.form.add(this.alpha);
 	this.form.nextRow();
@@ -85,7 +85,7 @@ function SceneInspector(parent, object)
 	this.backgroundTransparent.size.set(100, 18);
 	this.backgroundTransparent.setOnClick(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "background", null));
+		self.addAction(new ChangeAction(self.object, "background", null));
 	});
 	this.form.add(this.backgroundTransparent);
 	this.form.nextRow();
@@ -96,7 +96,7 @@ function SceneInspector(parent, object)
 	this.environment.size.set(0, 100);
 	this.environment.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "environment", self.environment.getValue()));
+		self.addAction(new ChangeAction(self.object, "environment", self.environment.getValue()));
 	});
 	this.form.add(this.environment);
 	this.form.nextRow();
@@ -139,7 +139,7 @@ function SceneInspector(parent, object)
 	this.fogNear.size.set(60, 18);
 	this.fogNear.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.fog, "near", self.fogNear.getValue()));
+		self.addAction(new ChangeAction(self.object.fog, "near", self.fogNear.getValue()));
 	});
 	this.fogLinearForm.add(this.fogNear);
 	this.fogLinearForm.nextRow();
@@ -150,7 +150,7 @@ function SceneInspector(parent, object)
 	this.fogFar.size.set(60, 18);
 	this.fogFar.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.fog, "far", self.fogFar.getValue()));
+		self.addAction(new ChangeAction(self.object.fog, "far", self.fogFar.getValue()));
 	});
 	this.fogLinearForm.add(this.fogFar);
 	this.fogLinearForm.updateInterface();
@@ -183,7 +183,7 @@ function SceneInspector(parent, object)
 	this.fogDensity.setStep(0.0001);
 	this.fogDensity.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.fog, "density", self.fogDensity.getValue()));
+		self.addAction(new ChangeAction(self.object.fog, "density", self.fogDensity.getValue()));
 	});
 	this.fogExponentialForm.add(this.fogDensity);
 	this.fogExponentialForm.updateInterface();
@@ -202,7 +202,7 @@ function SceneInspector(parent, object)
 	this.usePhysics.size.set(18, 18);
 	this.usePhysics.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "usePhysics", self.usePhysics.getValue()));
+		self.addAction(new ChangeAction(self.object, "usePhysics", self.usePhysics.getValue()));
 	});
 	this.form.add(this.usePhysics);
 	this.form.nextRow();
@@ -225,7 +225,7 @@ function SceneInspector(parent, object)
 	this.tolerance.setStep(0.01);
 	this.tolerance.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.world.solver, "tolerance", self.tolerance.getValue()));
+		self.addAction(new ChangeAction(self.object.world.solver, "tolerance", self.tolerance.getValue()));
 	});
 	this.form.add(this.tolerance);
 	this.form.nextRow();
@@ -237,10 +237,36 @@ function SceneInspector(parent, object)
 	this.iterations.setStep(1);
 	this.iterations.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.world.solver, "iterations", self.iterations.getValue()));
+		self.addAction(new ChangeAction(self.object.world.solver, "iterations", self.iterations.getValue()));
 	});
 	this.form.add(this.iterations);
 	this.form.nextRow();
+
+	// Physics time step
+	this.form.addText(Locale.timeStep);
+	this.physicsStep = new NumberBox(this.form);
+	this.physicsStep.size.set(50, 18);
+	this.physicsStep.setRange(0.001, 1);
+	this.physicsStep.setStep(0.001);
+	this.physicsStep.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "physicsStep", self.physicsStep.getValue()));
+	});
+	this.form.add(this.physicsStep);
+	this.form.nextRow();
+
+	// Physics max sub steps
+	this.form.addText(Locale.maxSubSteps);
+	this.physicsMaxSubSteps = new NumberBox(this.form);
+	this.physicsMaxSubSteps.size.set(50, 18);
+	this.physicsMaxSubSteps.setRange(1, 100);
+	this.physicsMaxSubSteps.setStep(1);
+	this.physicsMaxSubSteps.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "physicsMaxSubSteps", self.physicsMaxSubSteps.getValue()));
+	});
+	this.form.add(this.physicsMaxSubSteps);
+	this.form.nextRow();
 }
 
 // Super prototypes
@@ -296,6 +322,8 @@ SceneInspector.prototype.updateInspector = function()
 	this.gravity.setValue(this.object.world.gravity.x, this.object.world.gravity.y, this.object.world.gravity.z);
 	this.tolerance.setValue(this.object.world.solver.tolerance);
 	this.iterations.setValue(this.object.world.solver.iterations);
+	this.physicsStep.setValue(this.object.physicsStep);
+	this.physicsMaxSubSteps.setValue(this.object.physicsMaxSubSteps);
 };
 
 // Update wich forms should be visible in the panel
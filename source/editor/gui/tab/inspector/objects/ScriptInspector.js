@@ -16,7 +16,7 @@ function ScriptInspector(parent, object)
 	this.mode.size.set(100, 18);
 	this.mode.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "mode", self.mode.getValue()));
+		self.addAction(new ChangeAction(self.object, "mode", self.mode.getValue()));
 	});
 	this.mode.addValue(Locale.evaluate, Script.EVALUATE);
 	this.mode.addValue(Locale.append, Script.APPEND);
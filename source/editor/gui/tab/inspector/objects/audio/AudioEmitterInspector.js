@@ -28,7 +28,7 @@ function AudioEmitterInspector(parent, object)
 	this.volume.setStep(0.01);
 	this.volume.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "volume", self.volume.getValue()));
+		self.addAction(new ChangeAction(self.object, "volume", self.volume.getValue()));
 	});
 	this.form.add(this.volume);
 	this.form.nextRow();
@@ -41,7 +41,7 @@ function AudioEmitterInspector(parent, object)
 	this.playbackRate.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.playbackRate.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "playbackRate", self.playbackRate.getValue()));
+		self.addAction(new ChangeAction(self.object, "playbackRate", self.playbackRate.getValue()));
 	});
 	this.form.add(this.playbackRate);
 	this.form.nextRow();
@@ -52,7 +52,7 @@ function AudioEmitterInspector(parent, object)
 	this.autoplay.size.set(18, 18);
 	this.autoplay.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "autoplay", self.autoplay.getValue()));
+		self.addAction(new ChangeAction(self.object, "autoplay", self.autoplay.getValue()));
 	});
 	this.form.add(this.autoplay);
 	this.form.nextRow();
@@ -63,7 +63,7 @@ function AudioEmitterInspector(parent, object)
 	this.loop.size.set(18, 18);
 	this.loop.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "loop", self.loop.getValue()));
+		self.addAction(new ChangeAction(self.object, "loop", self.loop.getValue()));
 	});
 	this.form.add(this.loop);
 	this.form.nextRow();
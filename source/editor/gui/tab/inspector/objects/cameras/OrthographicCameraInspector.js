@@ -20,7 +20,7 @@ function OrthographicCameraInspector(parent, object)
 	this.sizeBox.size.set(80, 18);
 	this.sizeBox.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "size", self.sizeBox.getValue()));
+		self.addAction(new ChangeAction(self.object, "size", self.sizeBox.getValue()));
 		self.object.updateProjectionMatrix();
 	});
 	this.form.add(this.sizeBox);
@@ -34,7 +34,7 @@ function OrthographicCameraInspector(parent, object)
 	this.mode.addValue(Locale.vertical, OrthographicCamera.RESIZE_VERTICAL);
 	this.mode.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "mode", self.mode.getSelectedIndex()));
+		self.addAction(new ChangeAction(self.object, "mode", self.mode.getSelectedIndex()));
 	});
 	this.form.add(this.mode);
 	this.form.nextRow();
@@ -70,7 +70,7 @@ function OrthographicCameraInspector(parent, object)
 	this.near.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.near.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "near", self.near.getValue()));
+		self.addAction(new ChangeAction(self.object, "near", self.near.getValue()));
 	});
 	this.form.add(this.near);
 	this.form.nextRow();
@@ -82,7 +82,7 @@ function OrthographicCameraInspector(parent, object)
 	this.far.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.far.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "far", self.far.getValue()));
+		self.addAction(new ChangeAction(self.object, "far", self.far.getValue()));
 	});
 	this.form.add(this.far);
 	this.form.nextRow();
@@ -100,7 +100,7 @@ function OrthographicCameraInspector(parent, object)
 	this.order.setStep(1);
 	this.order.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "order", self.order.getValue()));
+		self.addAction(new ChangeAction(self.object, "order", self.order.getValue()));
 
 		var scene = self.object.getScene();
 		scene.updateCameraOrder();
@@ -114,7 +114,7 @@ function OrthographicCameraInspector(parent, object)
 	this.clearColor.size.set(18, 18);
 	this.clearColor.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "clearColor", self.clearColor.getValue()));
+		self.addAction(new ChangeAction(self.object, "clearColor", self.clearColor.getValue()));
 	});
 	this.form.add(this.clearColor);
 	this.form.nextRow();
@@ -125,7 +125,7 @@ function OrthographicCameraInspector(parent, object)
 	this.clearDepth.size.set(18, 18);
 	this.clearDepth.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "clearDepth", self.clearDepth.getValue()));
+		self.addAction(new ChangeAction(self.object, "clearDepth", self.clearDepth.getValue()));
 	});
 	this.form.add(this.clearDepth);
 	this.form.nextRow();
@@ -136,7 +136,7 @@ function OrthographicCameraInspector(parent, object)
 	this.clearStencil.size.set(18, 18);
 	this.clearStencil.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "clearStencil", self.clearStencil.getValue()));
+		self.addAction(new ChangeAction(self.object, "clearStencil", self.clearStencil.getValue()));
 	});
 	this.form.add(this.clearStencil);
 	this.form.nextRow();
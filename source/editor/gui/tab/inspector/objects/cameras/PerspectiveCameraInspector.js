@@ -39,7 +39,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.fov.setRange(1, 180);
 	this.fov.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "fov", self.fov.getValue()));
+		self.addAction(new ChangeAction(self.object, "fov", self.fov.getValue()));
 		self.object.updateProjectionMatrix();
 	});
 	this.form.add(this.fov);
@@ -51,7 +51,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.filmGauge.size.set(160, 18);
 	this.filmGauge.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "filmGauge", self.filmGauge.getValue()));
+		self.addAction(new ChangeAction(self.object, "filmGauge", self.filmGauge.getValue()));
 		self.object.updateProjectionMatrix();
 	});
 	this.form.add(this.filmGauge);
@@ -63,7 +63,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.filmOffset.size.set(160, 18);
 	this.filmOffset.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "filmOffset", self.filmOffset.getValue()));
+		self.addAction(new ChangeAction(self.object, "filmOffset", self.filmOffset.getValue()));
 		self.object.updateProjectionMatrix();
 	});
 	this.form.add(this.filmOffset);
@@ -75,7 +75,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.zoom.size.set(160, 18);
 	this.zoom.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "zoom", self.zoom.getValue()));
+		self.addAction(new ChangeAction(self.object, "zoom", self.zoom.getValue()));
 		self.object.updateProjectionMatrix();
 	});
 	this.form.add(this.zoom);
@@ -87,7 +87,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.focus.size.set(160, 18);
 	this.focus.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "focus", self.focus.getValue()));
+		self.addAction(new ChangeAction(self.object, "focus", self.focus.getValue()));
 		self.object.updateProjectionMatrix();
 	});
 	this.form.add(this.focus);
@@ -105,7 +105,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.near.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.near.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "near", self.near.getValue()));
+		self.addAction(new ChangeAction(self.object, "near", self.near.getValue()));
 	});
 	this.form.add(this.near);
 	this.form.nextRow();
@@ -117,7 +117,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.far.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.far.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "far", self.far.getValue()));
+		self.addAction(new ChangeAction(self.object, "far", self.far.getValue()));
 	});
 	this.form.add(this.far);
 	this.form.nextRow();
@@ -135,7 +135,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.order.setStep(1);
 	this.order.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "order", self.order.getValue()));
+		self.addAction(new ChangeAction(self.object, "order", self.order.getValue()));
 		var scene = self.object.getScene();
 		scene.updateCameraOrder();
 	});
@@ -148,7 +148,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.clearColor.size.set(18, 18);
 	this.clearColor.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "clearColor", self.clearColor.getValue()));
+		self.addAction(new ChangeAction(self.object, "clearColor", self.clearColor.getValue()));
 	});
 	this.form.add(this.clearColor);
 	this.form.nextRow();
@@ -159,7 +159,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.clearDepth.size.set(18, 18);
 	this.clearDepth.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "clearDepth", self.clearDepth.getValue()));
+		self.addAction(new ChangeAction(self.object, "clearDepth", self.clearDepth.getValue()));
 	});
 	this.form.add(this.clearDepth);
 	this.form.nextRow();
@@ -170,7 +170,7 @@ function PerspectiveCameraInspector(parent, object)
 	this.clearStencil.size.set(18, 18);
 	this.clearStencil.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "clearStencil", self.clearStencil.getValue()));
+		self.addAction(new ChangeAction(self.object, "clearStencil", self.clearStencil.getValue()));
 	});
 	this.form.add(this.clearStencil);
 	this.form.nextRow();
@@ -0,0 +1,173 @@
+import {Locale} from "../../../../../locale/LocaleManager.js";
+import {ChangeAction} from "../../../../../history/action/ChangeAction.js";
+import {ObjectInspector} from "../ObjectInspector.js";
+import {Editor} from "../../../../../Editor.js";
+import {Slider} from "../../../../../components/input/Slider.js";
+import {NumberBox} from "../../../../../components/input/NumberBox.js";
+import {CheckBox} from "../../../../../components/input/CheckBox.js";
+
+function CharacterControllerInspector(parent, object)
+{
+	ObjectInspector.call(this, parent, object);
+
+	var self = this;
+
+	// Radius
+	this.form.addText(Locale.radius);
+	this.radius = new NumberBox(this.form);
+	this.radius.size.set(50, 18);
+	this.radius.setStep(0.01);
+	this.radius.setRange(0.01, Number.MAX_SAFE_INTEGER);
+	this.radius.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "radius", self.radius.getValue()));
+	});
+	this.form.add(this.radius);
+	this.form.nextRow();
+
+	// Height
+	this.form.addText(Locale.height);
+	this.height = new NumberBox(this.form);
+	this.height.size.set(50, 18);
+	this.height.setStep(0.01);
+	this.height.setRange(0.01, Number.MAX_SAFE_INTEGER);
+	this.height.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "height", self.height.getValue()));
+	});
+	this.form.add(this.height);
+	this.form.nextRow();
+
+	// Step height
+	this.form.addText(Locale.stepHeight);
+	this.stepHeight = new NumberBox(this.form);
+	this.stepHeight.size.set(50, 18);
+	this.stepHeight.setStep(0.01);
+	this.stepHeight.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.stepHeight.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "stepHeight", self.stepHeight.getValue()));
+	});
+	this.form.add(this.stepHeight);
+	this.form.nextRow();
+
+	// Max slope
+	this.form.addText(Locale.maxSlope);
+	this.maxSlope = new Slider(this.form);
+	this.maxSlope.size.set(140, 18);
+	this.maxSlope.setStep(0.01);
+	this.maxSlope.setRange(0, 1.57);
+	this.maxSlope.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "maxSlope", self.maxSlope.getValue()));
+	});
+	this.form.add(this.maxSlope);
+	this.form.nextRow();
+
+	// Move speed
+	this.form.addText(Locale.moveSpeed);
+	this.moveSpeed = new NumberBox(this.form);
+	this.moveSpeed.size.set(50, 18);
+	this.moveSpeed.setStep(0.1);
+	this.moveSpeed.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.moveSpeed.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "moveSpeed", self.moveSpeed.getValue()));
+	});
+	this.form.add(this.moveSpeed);
+	this.form.nextRow();
+
+	// Jump speed
+	this.form.addText(Locale.jumpSpeed);
+	this.jumpSpeed = new NumberBox(this.form);
+	this.jumpSpeed.size.set(50, 18);
+	this.jumpSpeed.setStep(0.1);
+	this.jumpSpeed.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.jumpSpeed.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "jumpSpeed", self.jumpSpeed.getValue()));
+	});
+	this.form.add(this.jumpSpeed);
+	this.form.nextRow();
+
+	// Gravity scale
+	this.form.addText(Locale.gravityScale);
+	this.gravityScale = new NumberBox(this.form);
+	this.gravityScale.size.set(50, 18);
+	this.gravityScale.setStep(0.1);
+	this.gravityScale.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "gravityScale", self.gravityScale.getValue()));
+	});
+	this.form.add(this.gravityScale);
+	this.form.nextRow();
+
+	// Needs button pressed
+	this.form.addText(Locale.requireButton);
+	this.needsButtonPressed = new CheckBox(this.form);
+	this.needsButtonPressed.size.set(18, 18);
+	this.needsButtonPressed.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "needsButtonPressed", self.needsButtonPressed.getValue()));
+	});
+	this.form.add(this.needsButtonPressed);
+	this.form.nextRow();
+
+	// Sensitivity
+	this.form.addText(Locale.sensitivity);
+	this.sensitivity = new Slider(this.form);
+	this.sensitivity.size.set(140, 18);
+	this.sensitivity.setStep(0.0001);
+	this.sensitivity.setRange(0, 0.05);
+	this.sensitivity.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "sensitivity", self.sensitivity.getValue()));
+	});
+	this.form.add(this.sensitivity);
+	this.form.nextRow();
+
+	// Use gamepad
+	this.form.addText(Locale.useGamepad);
+	this.useGamepad = new CheckBox(this.form);
+	this.useGamepad.size.set(18, 18);
+	this.useGamepad.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "useGamepad", self.useGamepad.getValue()));
+	});
+	this.form.add(this.useGamepad);
+	this.form.nextRow();
+
+	// Gamepad sensitivity
+	this.form.addText(Locale.gamepadSensitivity);
+	this.gamepadSensitivity = new NumberBox(this.form);
+	this.gamepadSensitivity.size.set(50, 18);
+	this.gamepadSensitivity.setStep(0.1);
+	this.gamepadSensitivity.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.gamepadSensitivity.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "gamepadSensitivity", self.gamepadSensitivity.getValue()));
+	});
+	this.form.add(this.gamepadSensitivity);
+	this.form.nextRow();
+}
+
+CharacterControllerInspector.prototype = Object.create(ObjectInspector.prototype);
+
+CharacterControllerInspector.prototype.updateInspector = function()
+{
+	ObjectInspector.prototype.updateInspector.call(this);
+
+	this.radius.setValue(this.object.radius);
+	this.height.setValue(this.object.height);
+	this.stepHeight.setValue(this.object.stepHeight);
+	this.maxSlope.setValue(this.object.maxSlope);
+	this.moveSpeed.setValue(this.object.moveSpeed);
+	this.jumpSpeed.setValue(this.object.jumpSpeed);
+	this.gravityScale.setValue(this.object.gravityScale);
+	this.needsButtonPressed.setValue(this.object.needsButtonPressed);
+	this.sensitivity.setValue(this.object.sensitivity);
+	this.useGamepad.setValue(this.object.useGamepad);
+	this.gamepadSensitivity.setValue(this.object.gamepadSensitivity);
+};
+
+export {CharacterControllerInspector};
@@ -17,7 +17,7 @@ function FirstPersonControlsInspector(parent, object)
 	this.needsButtonPressed.size.set(18, 18);
 	this.needsButtonPressed.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "needsButtonPressed", self.needsButtonPressed.getValue()));
+		self.addAction(new ChangeAction(self.object, "needsButtonPressed", self.needsButtonPressed.getValue()));
 	});
 	this.form.add(this.needsButtonPressed);
 	this.form.nextRow();
@@ -30,7 +30,7 @@ function FirstPersonControlsInspector(parent, object)
 	this.sensitivity.setRange(0, 0.05);
 	this.sensitivity.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "sensitivity", self.sensitivity.getValue()));
+		self.addAction(new ChangeAction(self.object, "sensitivity", self.sensitivity.getValue()));
 	});
 	this.form.add(this.sensitivity);
 	this.form.nextRow();
@@ -41,7 +41,7 @@ function FirstPersonControlsInspector(parent, object)
 	this.movementEnabled.size.set(18, 18);
 	this.movementEnabled.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "movementEnabled", self.movementEnabled.getValue()));
+		self.addAction(new ChangeAction(self.object, "movementEnabled", self.movementEnabled.getValue()));
 	});
 	this.form.add(this.movementEnabled);
 	this.form.nextRow();
@@ -54,7 +54,7 @@ function FirstPersonControlsInspector(parent, object)
 	this.moveSpeed.setRange(0, 0.5);
 	this.moveSpeed.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "moveSpeed", self.moveSpeed.getValue()));
+		self.addAction(new ChangeAction(self.object, "moveSpeed", self.moveSpeed.getValue()));
 	});
 	this.form.add(this.moveSpeed);
 	this.form.nextRow();
@@ -65,7 +65,7 @@ function FirstPersonControlsInspector(parent, object)
 	this.moveOnPlane.size.set(18, 18);
 	this.moveOnPlane.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "moveOnPlane", self.moveOnPlane.getValue()));
+		self.addAction(new ChangeAction(self.object, "moveOnPlane", self.moveOnPlane.getValue()));
 	});
 	this.form.add(this.moveOnPlane);
 	this.form.nextRow();
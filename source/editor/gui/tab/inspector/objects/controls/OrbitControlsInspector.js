@@ -22,7 +22,7 @@ function OrbitControlsInspector(parent, object)
 	this.distance.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.distance.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "distance", self.distance.getValue()));
+		self.addAction(new ChangeAction(self.object, "distance", self.distance.getValue()));
 	});
 	this.form.add(this.distance);
 	this.form.nextRow();
@@ -34,7 +34,7 @@ function OrbitControlsInspector(parent, object)
 	this.maxDistance.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.maxDistance.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "maxDistance", self.maxDistance.getValue()));
+		self.addAction(new ChangeAction(self.object, "maxDistance", self.maxDistance.getValue()));
 	});
 	this.form.add(this.maxDistance);
 	this.form.nextRow();
@@ -46,7 +46,7 @@ function OrbitControlsInspector(parent, object)
 	this.minDistance.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.minDistance.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "minDistance", self.minDistance.getValue()));
+		self.addAction(new ChangeAction(self.object, "minDistance", self.minDistance.getValue()));
 	});
 	this.form.add(this.minDistance);
 	this.form.nextRow();
@@ -57,7 +57,7 @@ function OrbitControlsInspector(parent, object)
 	this.needsButtonPressed.size.set(18, 18);
 	this.needsButtonPressed.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "needsButtonPressed", self.needsButtonPressed.getValue()));
+		self.addAction(new ChangeAction(self.object, "needsButtonPressed", self.needsButtonPressed.getValue()));
 	});
 	this.form.add(this.needsButtonPressed);
 	this.form.nextRow();
@@ -68,7 +68,7 @@ function OrbitControlsInspector(parent, object)
 	this.movementEnabled.size.set(18, 18);
 	this.movementEnabled.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "movementEnabled", self.movementEnabled.getValue()));
+		self.addAction(new ChangeAction(self.object, "movementEnabled", self.movementEnabled.getValue()));
 	});
 	this.form.add(this.movementEnabled);
 	this.form.nextRow();
@@ -81,7 +81,7 @@ function OrbitControlsInspector(parent, object)
 	this.sensitivity.setRange(0, 0.05);
 	this.sensitivity.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "sensitivity", self.sensitivity.getValue()));
+		self.addAction(new ChangeAction(self.object, "sensitivity", self.sensitivity.getValue()));
 	});
 	this.form.add(this.sensitivity);
 	this.form.nextRow();
@@ -94,7 +94,7 @@ function OrbitControlsInspector(parent, object)
 	this.limitUp.setRange(-Math.PI, Math.PI);
 	this.limitUp.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "limitUp", self.limitUp.getValue()));
+		self.addAction(new ChangeAction(self.object, "limitUp", self.limitUp.getValue()));
 	});
 	this.form.add(this.limitUp);
 	this.form.nextRow();
@@ -107,7 +107,7 @@ function OrbitControlsInspector(parent, object)
 	this.limitDown.setRange(-Math.PI, Math.PI);
 	this.limitDown.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "limitDown", self.limitDown.getValue()));
+		self.addAction(new ChangeAction(self.object, "limitDown", self.limitDown.getValue()));
 	});
 	this.form.add(this.limitDown);
 	this.form.nextRow();
@@ -118,7 +118,7 @@ function OrbitControlsInspector(parent, object)
 	this.zoomEnabled.size.set(18, 18);
 	this.zoomEnabled.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "zoomEnabled", self.zoomEnabled.getValue()));
+		self.addAction(new ChangeAction(self.object, "zoomEnabled", self.zoomEnabled.getValue()));
 	});
 	this.form.add(this.zoomEnabled);
 	this.form.nextRow();
@@ -131,7 +131,7 @@ function OrbitControlsInspector(parent, object)
 	this.zoomSensitivity.setRange(0, 0.05);
 	this.zoomSensitivity.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "zoomSensitivity", self.zoomSensitivity.getValue()));
+		self.addAction(new ChangeAction(self.object, "zoomSensitivity", self.zoomSensitivity.getValue()));
 	});
 	this.form.add(this.zoomSensitivity);
 	this.form.nextRow();
@@ -142,7 +142,7 @@ function OrbitControlsInspector(parent, object)
 	this.smooth.size.set(18, 18);
 	this.smooth.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "smooth", self.smooth.getValue()));
+		self.addAction(new ChangeAction(self.object, "smooth", self.smooth.getValue()));
 	});
 	this.form.add(this.smooth);
 	this.form.nextRow();
@@ -155,7 +155,7 @@ function OrbitControlsInspector(parent, object)
 	this.speed.setRange(0, 1);
 	this.speed.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "speed", self.speed.getValue()));
+		self.addAction(new ChangeAction(self.object, "speed", self.speed.getValue()));
 	});
 	this.form.add(this.speed);
 	this.form.nextRow();
@@ -168,7 +168,7 @@ function OrbitControlsInspector(parent, object)
 	this.friction.setRange(0, 1);
 	this.friction.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "friction", self.friction.getValue()));
+		self.addAction(new ChangeAction(self.object, "friction", self.friction.getValue()));
 	});
 	this.form.add(this.friction);
 	this.form.nextRow();
@@ -179,7 +179,7 @@ function OrbitControlsInspector(parent, object)
 	this.invertNavigation.size.set(18, 18);
 	this.invertNavigation.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "invertNavigation", self.invertNavigation.getValue()));
+		self.addAction(new ChangeAction(self.object, "invertNavigation", self.invertNavigation.getValue()));
 	});
 	this.form.add(this.invertNavigation);
 	this.form.nextRow();
@@ -194,7 +194,7 @@ function OrbitControlsInspector(parent, object)
 		var center = self.center.getValue();
 		var object = self.object.center;
 
-		Editor.addAction(new ActionBundle(
+		self.addAction(new ActionBundle(
 			[
 				new ChangeAction(object, "x", center.x),
 				new ChangeAction(object, "y", center.y),
@@ -214,7 +214,7 @@ function OrbitControlsInspector(parent, object)
 		var vector = self.vector.getValue();
 		var object = self.object.vector;
 
-		Editor.addAction(new ActionBundle(
+		self.addAction(new ActionBundle(
 			[
 				new ChangeAction(object, "x", vector.x),
 				new ChangeAction(object, "y", vector.y)
@@ -17,7 +17,7 @@ function AmbientLightInspector(parent, object)
 	this.color.size.set(80, 18);
 	this.color.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
+		self.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
 	});
 	this.form.add(this.color);
 	this.form.nextRow();
@@ -0,0 +1,156 @@
+import {Color} from "three";
+import {Locale} from "../../../../../locale/LocaleManager.js";
+import {ChangeAction} from "../../../../../history/action/ChangeAction.js";
+import {ObjectInspector} from "../ObjectInspector.js";
+import {Editor} from "../../../../../Editor.js";
+import {DirectionalLightCSM} from "../../../../../../core/objects/lights/DirectionalLightCSM.js";
+import {ColorChooser} from "../../../../../components/input/ColorChooser.js";
+import {CheckBox} from "../../../../../components/input/CheckBox.js";
+import {NumberBox} from "../../../../../components/input/NumberBox.js";
+import {DropdownList} from "../../../../../components/input/DropdownList.js";
+import {Slider} from "../../../../../components/input/Slider.js";
+
+function DirectionalLightCSMInspector(parent, object)
+{
+	ObjectInspector.call(this, parent, object);
+
+	var self = this;
+
+	// Color
+	this.form.addText(Locale.color);
+	this.color = new ColorChooser(this.form);
+	this.color.size.set(80, 18);
+	this.color.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
+	});
+	this.form.add(this.color);
+	this.form.nextRow();
+
+	// Intensity
+	this.form.addText(Locale.intensity);
+	this.intensity = new Slider(this.form);
+	this.intensity.size.set(160, 18);
+	this.intensity.setStep(0.01);
+	this.intensity.setRange(0, 5);
+	this.intensity.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "intensity", self.intensity.getValue()));
+	});
+	this.form.add(this.intensity);
+	this.form.nextRow();
+
+	// Shadow map
+	this.form.addText(Locale.shadows);
+	this.form.nextRow();
+
+	// Cast shadow
+	this.form.addText(Locale.castShadows);
+	this.castShadow = new CheckBox(this.form);
+	this.castShadow.size.set(18, 18);
+	this.castShadow.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
+	});
+	this.form.add(this.castShadow);
+	this.form.nextRow();
+
+	// Cascades
+	this.form.addText(Locale.cascades);
+	this.cascades = new NumberBox(this.form);
+	this.cascades.size.set(60, 18);
+	this.cascades.setStep(1);
+	this.cascades.setRange(1, 8);
+	this.cascades.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "cascades", Math.round(self.cascades.getValue())));
+	});
+	this.form.add(this.cascades);
+	this.form.nextRow();
+
+	// Mode
+	this.form.addText(Locale.mode);
+	this.mode = new DropdownList(this.form);
+	this.mode.size.set(100, 18);
+	this.mode.addValue(Locale.uniform, DirectionalLightCSM.UNIFORM);
+	this.mode.addValue(Locale.logarithmic, DirectionalLightCSM.LOGARITHMIC);
+	this.mode.addValue(Locale.practical, DirectionalLightCSM.PRACTICAL);
+	this.mode.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "mode", self.mode.getValue()));
+	});
+	this.form.add(this.mode);
+	this.form.nextRow();
+
+	// Max far
+	this.form.addText(Locale.maxFar);
+	this.maxFar = new NumberBox(this.form);
+	this.maxFar.size.set(60, 18);
+	this.maxFar.setStep(10);
+	this.maxFar.setRange(1, Number.MAX_SAFE_INTEGER);
+	this.maxFar.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "maxFar", self.maxFar.getValue()));
+	});
+	this.form.add(this.maxFar);
+	this.form.nextRow();
+
+	// Fade
+	this.form.addText(Locale.fade);
+	this.fade = new CheckBox(this.form);
+	this.fade.size.set(18, 18);
+	this.fade.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "fade", self.fade.getValue()));
+	});
+	this.form.add(this.fade);
+	this.form.nextRow();
+
+	// Resolution
+	this.form.addText(Locale.resolution);
+	this.shadowMapSize = new DropdownList(this.form);
+	this.shadowMapSize.size.set(60, 18);
+	this.shadowMapSize.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "shadowMapSize", self.shadowMapSize.getValue()));
+	});
+	this.form.add(this.shadowMapSize);
+	this.form.nextRow();
+
+	for (var i = 5; i < 14; i++)
+	{
+		var size = Math.pow(2, i);
+		this.shadowMapSize.addValue(size.toString(), size);
+	}
+
+	// Bias
+	this.form.addText(Locale.bias).setAltText(Locale.hintShadowBias);
+	this.shadowBias = new NumberBox(this.form);
+	this.shadowBias.size.set(60, 18);
+	this.shadowBias.setStep(0.0001);
+	this.shadowBias.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "shadowBias", self.shadowBias.getValue()));
+	});
+	this.form.add(this.shadowBias);
+	this.form.nextRow();
+}
+
+DirectionalLightCSMInspector.prototype = Object.create(ObjectInspector.prototype);
+
+DirectionalLightCSMInspector.prototype.updateInspector = function()
+{
+	ObjectInspector.prototype.updateInspector.call(this);
+
+	this.color.setValue(this.object.color.r, this.object.color.g, this.object.color.b);
+	this.intensity.setValue(this.object.intensity);
+	this.castShadow.setValue(this.object.castShadow);
+	this.cascades.setValue(this.object.cascades);
+	this.mode.setValue(this.object.mode);
+	this.maxFar.setValue(this.object.maxFar);
+	this.fade.setValue(this.object.fade);
+	this.shadowMapSize.setValue(this.object.shadowMapSize);
+	this.shadowBias.setValue(this.object.shadowBias);
+};
+
+export {DirectionalLightCSMInspector};
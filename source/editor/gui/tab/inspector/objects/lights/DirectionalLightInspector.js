@@ -19,7 +19,7 @@ function DirectionalLightInspector(parent, object)
 	this.color.size.set(80, 18);
 	this.color.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
+		self.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
 	});
 	this.form.add(this.color);
 	this.form.nextRow();
@@ -36,7 +36,7 @@ function DirectionalLightInspector(parent, object)
 	this.castShadow.updateInterface();
 	this.castShadow.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
+		self.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
 	});
 	this.form.add(this.castShadow);
 	this.form.nextRow();
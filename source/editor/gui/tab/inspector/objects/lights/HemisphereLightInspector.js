@@ -17,7 +17,7 @@ function HemisphereLightInspector(parent, object)
 	this.color.size.set(80, 18);
 	this.color.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
+		self.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
 	});
 	this.form.add(this.color);
 	this.form.nextRow();
@@ -28,7 +28,7 @@ function HemisphereLightInspector(parent, object)
 	this.groundColor.size.set(80, 18);
 	this.groundColor.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "groundColor", new Color(self.groundColor.getValueHex())));
+		self.addAction(new ChangeAction(self.object, "groundColor", new Color(self.groundColor.getValueHex())));
 	});
 	this.form.add(this.groundColor);
 	this.form.nextRow();
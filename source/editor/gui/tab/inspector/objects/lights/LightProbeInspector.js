@@ -19,7 +19,7 @@ function LightProbeInspector(parent, object)
 	this.intensity.setRange(0, 10);
 	this.intensity.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "intensity", self.intensity.getValue()));
+		self.addAction(new ChangeAction(self.object, "intensity", self.intensity.getValue()));
 	});
 	this.form.add(this.intensity);
 	this.form.nextRow();	
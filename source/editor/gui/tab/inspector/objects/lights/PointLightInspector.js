@@ -21,7 +21,7 @@ function PointLightInspector(parent, object)
 	this.color.size.set(80, 18);
 	this.color.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
+		self.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
 	});
 	this.form.add(this.color);
 	this.form.nextRow();
@@ -34,7 +34,7 @@ function PointLightInspector(parent, object)
 	this.distance.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.distance.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "distance", self.distance.getValue()));
+		self.addAction(new ChangeAction(self.object, "distance", self.distance.getValue()));
 	});
 	this.form.add(this.distance);
 	this.form.nextRow();
@@ -47,7 +47,7 @@ function PointLightInspector(parent, object)
 	this.intensity.setRange(0, 10);
 	this.intensity.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "intensity", self.intensity.getValue()));
+		self.addAction(new ChangeAction(self.object, "intensity", self.intensity.getValue()));
 	});
 	this.form.add(this.intensity);
 	this.form.nextRow();
@@ -64,7 +64,7 @@ function PointLightInspector(parent, object)
 	this.castShadow.updateInterface();
 	this.castShadow.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
+		self.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
 	});
 	this.form.add(this.castShadow);
 	this.form.nextRow();
@@ -19,7 +19,7 @@ function RectAreaLightInspector(parent, object)
 	this.color.size.set(80, 18);
 	this.color.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
+		self.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
 	});
 	this.form.add(this.color);
 	this.form.nextRow();
@@ -32,7 +32,7 @@ function RectAreaLightInspector(parent, object)
 	this.intensity.setRange(0, 500);
 	this.intensity.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "intensity", self.intensity.getValue()));
+		self.addAction(new ChangeAction(self.object, "intensity", self.intensity.getValue()));
 	});
 	this.form.add(this.intensity);
 	this.form.nextRow();
@@ -44,7 +44,7 @@ function RectAreaLightInspector(parent, object)
 	this.width.setStep(0.1);
 	this.width.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "width", self.width.getValue()));
+		self.addAction(new ChangeAction(self.object, "width", self.width.getValue()));
 	});
 	this.form.add(this.width);
 	this.form.nextRow();
@@ -56,7 +56,7 @@ function RectAreaLightInspector(parent, object)
 	this.height.setStep(0.1);
 	this.height.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "height", self.height.getValue()));
+		self.addAction(new ChangeAction(self.object, "height", self.height.getValue()));
 	});
 	this.form.add(this.height);
 	this.form.nextRow();
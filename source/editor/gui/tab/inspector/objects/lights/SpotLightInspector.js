@@ -20,7 +20,7 @@ function SpotLightInspector(parent, object)
 	this.color.size.set(80, 18);
 	this.color.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
+		self.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
 	});
 	this.form.add(this.color);
 	this.form.nextRow();
@@ -35,7 +35,7 @@ function SpotLightInspector(parent, object)
 	this.penumbra.updateInterface();
 	this.penumbra.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "penumbra", self.penumbra.getValue()));
+		self.addAction(new ChangeAction(self.object, "penumbra", self.penumbra.getValue()));
 	});
 	this.form.add(this.penumbra);
 	this.form.nextRow();
@@ -48,7 +48,7 @@ function SpotLightInspector(parent, object)
 	this.angle.setStep(0.01);
 	this.angle.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "angle", self.angle.getValue()));
+		self.addAction(new ChangeAction(self.object, "angle", self.angle.getValue()));
 	});
 	this.form.add(this.angle);
 	this.form.nextRow();
@@ -65,7 +65,7 @@ function SpotLightInspector(parent, object)
 	this.castShadow.updateInterface();
 	this.castShadow.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
+		self.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
 	});
 	this.form.add(this.castShadow);
 	this.form.nextRow();
@@ -17,7 +17,7 @@ function InstancedMeshInspector(parent, object)
 	this.count.setStep(1);
 	this.count.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "count", self.count.getValue()));
+		self.addAction(new ChangeAction(self.object, "count", self.count.getValue()));
 	});
 	this.form.add(this.count);
 	this.form.nextRow();
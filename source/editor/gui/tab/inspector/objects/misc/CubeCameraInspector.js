@@ -20,7 +20,7 @@ function CubeCameraInspector(parent, object)
 	this.autoUpdate.updateInterface();
 	this.autoUpdate.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "autoUpdate", self.autoUpdate.getValue()));
+		self.addAction(new ChangeAction(self.object, "autoUpdate", self.autoUpdate.getValue()));
 	});
 	this.form.add(this.autoUpdate);
 	this.form.nextRow();
@@ -31,7 +31,7 @@ function CubeCameraInspector(parent, object)
 	this.resolution.size.set(60, 18);
 	this.resolution.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "resolution", self.resolution.getValue()));
+		self.addAction(new ChangeAction(self.object, "resolution", self.resolution.getValue()));
 	});
 	this.form.add(this.resolution);
 	this.form.nextRow();
@@ -50,7 +50,7 @@ function CubeCameraInspector(parent, object)
 	this.near.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.near.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "near", self.near.getValue()));
+		self.addAction(new ChangeAction(self.object, "near", self.near.getValue()));
 	});
 	this.form.add(this.near);
 	this.form.nextRow();
@@ -62,7 +62,7 @@ function CubeCameraInspector(parent, object)
 	this.far.setRange(0, Number.MAX_SAFE_INTEGER);
 	this.far.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "far", self.far.getValue()));
+		self.addAction(new ChangeAction(self.object, "far", self.far.getValue()));
 	});
 	this.form.add(this.far);
 	this.form.nextRow();
@@ -16,7 +16,7 @@ function ParticleEmitterInspector(parent, object)
 	this.dynamicEmitter.size.set(18, 18);
 	this.dynamicEmitter.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "dynamicEmitter", self.dynamicEmitter.getValue()));
+		self.addAction(new ChangeAction(self.object, "dynamicEmitter", self.dynamicEmitter.getValue()));
 	});
 	this.form.add(this.dynamicEmitter);
 	this.form.nextRow();
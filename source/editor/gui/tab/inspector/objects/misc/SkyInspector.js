@@ -31,7 +31,7 @@ function SkyInspector(parent, object)
 	this.colorTop.size.set(190, 18);
 	this.colorTop.setOnChange(function(color, index)
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object.colorTop, index, color.clone()), updateSky));
+		self.addAction(new CallbackAction(new ChangeAction(self.object.colorTop, index, color.clone()), updateSky));
 	});
 	this.form.add(this.colorTop);
 	this.form.nextRow();
@@ -42,7 +42,7 @@ function SkyInspector(parent, object)
 	this.colorBottom.size.set(190, 18);
 	this.colorBottom.setOnChange(function(color, index)
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object.colorBottom, index, color.clone()), updateSky));
+		self.addAction(new CallbackAction(new ChangeAction(self.object.colorBottom, index, color.clone()), updateSky));
 	});
 	this.form.add(this.colorBottom);
 	this.form.nextRow();
@@ -53,7 +53,7 @@ function SkyInspector(parent, object)
 	this.sunColor.size.set(80, 18);
 	this.sunColor.setOnChange(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "sunColor", self.sunColor.getValueHex()), updateSky));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "sunColor", self.sunColor.getValueHex()), updateSky));
 	});
 	this.form.add(this.sunColor);
 	this.form.nextRow();
@@ -64,7 +64,7 @@ function SkyInspector(parent, object)
 	this.moonColor.size.set(80, 18);
 	this.moonColor.setOnChange(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "moonColor", self.moonColor.getValueHex()), updateSky));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "moonColor", self.moonColor.getValueHex()), updateSky));
 	});
 	this.form.add(this.moonColor);
 	this.form.nextRow();
@@ -77,7 +77,7 @@ function SkyInspector(parent, object)
 	this.intensity.setRange(0, 1);
 	this.intensity.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "intensity", self.intensity.getValue()));
+		self.addAction(new ChangeAction(self.object, "intensity", self.intensity.getValue()));
 	});
 	this.form.add(this.intensity);
 	this.form.nextRow();
@@ -92,7 +92,7 @@ function SkyInspector(parent, object)
 	this.autoUpdate.size.set(18, 18);
 	this.autoUpdate.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "autoUpdate", self.autoUpdate.getValue()));
+		self.addAction(new ChangeAction(self.object, "autoUpdate", self.autoUpdate.getValue()));
 	});
 	this.form.add(this.autoUpdate);
 	this.form.nextRow();
@@ -111,12 +111,12 @@ function SkyInspector(parent, object)
 			dayTime = 0;
 			self.dayTime.setValue(dayTime);
 		}
-		Editor.addAction(new ChangeAction(self.object, "dayTime", dayTime));
+		self.addAction(new ChangeAction(self.object, "dayTime", dayTime));
 
 		// Check actual time
 		if (self.object.time > dayTime)
 		{
-			Editor.addAction(new ChangeAction(self.object, "time", dayTime));
+			self.addAction(new ChangeAction(self.object, "time", dayTime));
 			self.time.setValue(dayTime);
 		}
 
@@ -147,7 +147,7 @@ function SkyInspector(parent, object)
 			self.time.setValue(time);
 		}
 
-		Editor.addAction(new ChangeAction(self.object, "time", time));
+		self.addAction(new ChangeAction(self.object, "time", time));
 		self.object.updateSky();
 	});
 	this.form.add(this.time);
@@ -161,7 +161,7 @@ function SkyInspector(parent, object)
 	this.sunDistance.setStep(10);
 	this.sunDistance.setOnChange(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "sunDistance", self.sunDistance.getValue()), updateSky));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "sunDistance", self.sunDistance.getValue()), updateSky));
 	});
 	this.form.add(this.sunDistance);
 	this.form.nextRow();
@@ -178,7 +178,7 @@ function SkyInspector(parent, object)
 	this.castShadow.updateInterface();
 	this.castShadow.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.sun, "castShadow", self.castShadow.getValue()));
+		self.addAction(new ChangeAction(self.object.sun, "castShadow", self.castShadow.getValue()));
 	});
 	this.form.add(this.castShadow);
 	this.form.nextRow();
@@ -189,7 +189,7 @@ function SkyInspector(parent, object)
 	this.shadowWidth.size.set(60, 18);
 	this.shadowWidth.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.sun.shadow.mapSize, "width", self.shadowWidth.getValue()));
+		self.addAction(new ChangeAction(self.object.sun.shadow.mapSize, "width", self.shadowWidth.getValue()));
 		self.object.sun.updateShadowMap();
 	});
 	this.form.add(this.shadowWidth);
@@ -198,7 +198,7 @@ function SkyInspector(parent, object)
 	this.shadowHeight.size.set(60, 18);
 	this.shadowHeight.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.sun.shadow.mapSize, "height", self.shadowHeight.getValue()));
+		self.addAction(new ChangeAction(self.object.sun.shadow.mapSize, "height", self.shadowHeight.getValue()));
 		self.object.sun.updateShadowMap();
 	});
 	this.form.add(this.shadowHeight);
@@ -218,7 +218,7 @@ function SkyInspector(parent, object)
 	this.shadowNear.setStep(0.1);
 	this.shadowNear.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.sun.shadow.camera, "near", self.shadowNear.getValue()));
+		self.addAction(new ChangeAction(self.object.sun.shadow.camera, "near", self.shadowNear.getValue()));
 		self.object.sun.updateShadowMap();
 	});
 	this.form.add(this.shadowNear);
@@ -231,7 +231,7 @@ function SkyInspector(parent, object)
 	this.shadowFar.setStep(0.1);
 	this.shadowFar.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.sun.shadow.camera, "far", self.shadowFar.getValue()));
+		self.addAction(new ChangeAction(self.object.sun.shadow.camera, "far", self.shadowFar.getValue()));
 		self.object.sun.updateShadowMap();
 	});
 	this.form.add(this.shadowFar);
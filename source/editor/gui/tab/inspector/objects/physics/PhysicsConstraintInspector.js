@@ -0,0 +1,184 @@
+import {Locale} from "../../../../../locale/LocaleManager.js";
+import {PhysicsConstraint} from "../../../../../../core/objects/physics/PhysicsConstraint.js";
+import {PhysicsObject} from "../../../../../../core/objects/physics/PhysicsObject.js";
+import {Scene} from "../../../../../../core/objects/Scene.js";
+import {ChangeAction} from "../../../../../history/action/ChangeAction.js";
+import {ObjectInspector} from "../ObjectInspector.js";
+import {Editor} from "../../../../../Editor.js";
+import {NumberBox} from "../../../../../components/input/NumberBox.js";
+import {DropdownList} from "../../../../../components/input/DropdownList.js";
+import {CheckBox} from "../../../../../components/input/CheckBox.js";
+
+function PhysicsConstraintInspector(parent, object)
+{
+	ObjectInspector.call(this, parent, object);
+
+	var self = this;
+
+	this.form.addText(Locale.constraint);
+	this.form.nextRow();
+
+	// Constraint type
+	this.form.addText(Locale.type);
+	this.constraintType = new DropdownList(this.form);
+	this.constraintType.size.set(100, 18);
+	this.constraintType.addValue(Locale.pointToPoint, PhysicsConstraint.POINT);
+	this.constraintType.addValue(Locale.hinge, PhysicsConstraint.HINGE);
+	this.constraintType.addValue(Locale.lock, PhysicsConstraint.LOCK);
+	this.constraintType.addValue(Locale.distance, PhysicsConstraint.DISTANCE);
+	this.constraintType.addValue(Locale.spring, PhysicsConstraint.SPRING);
+	this.constraintType.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "constraintType", self.constraintType.getValue()));
+	});
+	this.form.add(this.constraintType);
+	this.form.nextRow();
+
+	// Object A
+	this.form.addText(Locale.objectA);
+	this.objectA = new DropdownList(this.form);
+	this.objectA.size.set(100, 18);
+	this.objectA.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "objectA", self.objectA.getValue()));
+	});
+	this.form.add(this.objectA);
+	this.form.nextRow();
+
+	// Object B
+	this.form.addText(Locale.objectB);
+	this.objectB = new DropdownList(this.form);
+	this.objectB.size.set(100, 18);
+	this.objectB.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "objectB", self.objectB.getValue()));
+	});
+	this.form.add(this.objectB);
+	this.form.nextRow();
+
+	// Max force
+	this.form.addText(Locale.maxForce);
+	this.maxForce = new NumberBox(this.form);
+	this.maxForce.size.set(80, 18);
+	this.maxForce.setStep(1);
+	this.maxForce.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.maxForce.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "maxForce", self.maxForce.getValue()));
+	});
+	this.form.add(this.maxForce);
+	this.form.nextRow();
+
+	// Collide connected
+	this.form.addText(Locale.collideConnected);
+	this.collideConnected = new CheckBox(this.form);
+	this.collideConnected.size.set(18, 18);
+	this.collideConnected.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "collideConnected", self.collideConnected.getValue()));
+	});
+	this.form.add(this.collideConnected);
+	this.form.nextRow();
+
+	// Distance
+	this.form.addText(Locale.distance);
+	this.distance = new NumberBox(this.form);
+	this.distance.size.set(50, 18);
+	this.distance.setStep(0.1);
+	this.distance.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.distance.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "distance", self.distance.getValue()));
+	});
+	this.form.add(this.distance);
+	this.form.nextRow();
+
+	// Spring rest length
+	this.form.addText(Locale.restLength);
+	this.restLength = new NumberBox(this.form);
+	this.restLength.size.set(50, 18);
+	this.restLength.setStep(0.1);
+	this.restLength.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.restLength.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "restLength", self.restLength.getValue()));
+	});
+	this.form.add(this.restLength);
+	this.form.nextRow();
+
+	// Spring stiffness
+	this.form.addText(Locale.stiffness);
+	this.stiffness = new NumberBox(this.form);
+	this.stiffness.size.set(50, 18);
+	this.stiffness.setStep(1);
+	this.stiffness.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.stiffness.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "stiffness", self.stiffness.getValue()));
+	});
+	this.form.add(this.stiffness);
+	this.form.nextRow();
+
+	// Spring damping
+	this.form.addText(Locale.damping);
+	this.damping = new NumberBox(this.form);
+	this.damping.size.set(50, 18);
+	this.damping.setStep(0.1);
+	this.damping.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.damping.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "damping", self.damping.getValue()));
+	});
+	this.form.add(this.damping);
+	this.form.nextRow();
+}
+
+PhysicsConstraintInspector.prototype = Object.create(ObjectInspector.prototype);
+
+/**
+ * Fill the object dropdowns with the physics objects available in the scene of the constraint.
+ *
+ * @method updateObjects
+ */
+PhysicsConstraintInspector.prototype.updateObjects = function()
+{
+	this.objectA.clearValues();
+	this.objectB.clearValues();
+	this.objectA.addValue(Locale.none, null);
+	this.objectB.addValue(Locale.world, null);
+
+	var scene = this.object;
+	while (scene.parent !== null && !(scene instanceof Scene))
+	{
+		scene = scene.parent;
+	}
+
+	var self = this;
+	scene.traverse(function(child)
+	{
+		if (child instanceof PhysicsObject)
+		{
+			self.objectA.addValue(child.name, child.uuid);
+			self.objectB.addValue(child.name, child.uuid);
+		}
+	});
+};
+
+PhysicsConstraintInspector.prototype.updateInspector = function()
+{
+	ObjectInspector.prototype.updateInspector.call(this);
+
+	this.updateObjects();
+
+	this.constraintType.setValue(this.object.constraintType);
+	this.objectA.setValue(this.object.objectA);
+	this.objectB.setValue(this.object.objectB);
+	this.maxForce.setValue(this.object.maxForce);
+	this.collideConnected.setValue(this.object.collideConnected);
+	this.distance.setValue(this.object.distance);
+	this.restLength.setValue(this.object.restLength);
+	this.stiffness.setValue(this.object.stiffness);
+	this.damping.setValue(this.object.damping);
+};
+
+export {PhysicsConstraintInspector};
@@ -55,7 +55,7 @@ function PhysicsInspector(parent, object)
 	this.mode.addValue(Locale.world, PhysicsObject.WORLD);
 	this.mode.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "mode", self.mode.getValue()));
+		self.addAction(new ChangeAction(self.object, "mode", self.mode.getValue()));
 	});
 	this.form.add(this.mode);
 	this.form.nextRow();
@@ -70,7 +70,7 @@ function PhysicsInspector(parent, object)
 	this.bodyType.addValue(Locale.kinematic, Body.KINEMATIC);
 	this.bodyType.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.body, "type", self.bodyType.getValue()));
+		self.addAction(new ChangeAction(self.object.body, "type", self.bodyType.getValue()));
 	});
 	this.form.add(this.bodyType);
 	this.form.nextRow();
@@ -82,7 +82,7 @@ function PhysicsInspector(parent, object)
 	this.mass.setStep(0.1);
 	this.mass.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.body, "mass", self.mass.getValue()));
+		self.addAction(new ChangeAction(self.object.body, "mass", self.mass.getValue()));
 	});
 	this.form.add(this.mass);
 	this.form.nextRow();
@@ -95,7 +95,7 @@ function PhysicsInspector(parent, object)
 	this.linearDamping.setRange(0, 1);
 	this.linearDamping.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.body, "linearDamping", self.linearDamping.getValue()));
+		self.addAction(new ChangeAction(self.object.body, "linearDamping", self.linearDamping.getValue()));
 	});
 	this.form.add(this.linearDamping);
 	this.form.nextRow();
@@ -108,7 +108,7 @@ function PhysicsInspector(parent, object)
 	this.angularDamping.setRange(0, 1);
 	this.angularDamping.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.body, "angularDamping", self.angularDamping.getValue()));
+		self.addAction(new ChangeAction(self.object.body, "angularDamping", self.angularDamping.getValue()));
 	});
 	this.form.add(this.angularDamping);
 	this.form.nextRow();
@@ -119,11 +119,22 @@ function PhysicsInspector(parent, object)
 	this.fixedRotation.size.set(18, 18);
 	this.fixedRotation.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.body, "fixedRotation", self.fixedRotation.getValue()));
+		self.addAction(new ChangeAction(self.object.body, "fixedRotation", self.fixedRotation.getValue()));
 	});
 	this.form.add(this.fixedRotation);
 	this.form.nextRow();
 
+	// Trigger
+	this.form.addText(Locale.trigger);
+	this.trigger = new CheckBox(this.form);
+	this.trigger.size.set(18, 18);
+	this.trigger.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "trigger", self.trigger.getValue()));
+	});
+	this.form.add(this.trigger);
+	this.form.nextRow();
+
 	// Collising group
 	this.form.addText(Locale.physicsGroup);
 	this.collisionFilterGroup = new NumberBox(this.form);
@@ -131,7 +142,7 @@ function PhysicsInspector(parent, object)
 	this.collisionFilterGroup.setStep(1);
 	this.collisionFilterGroup.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.body, "collisionFilterGroup", self.collisionFilterGroup.getValue()));
+		self.addAction(new ChangeAction(self.object.body, "collisionFilterGroup", self.collisionFilterGroup.getValue()));
 	});
 	this.form.add(this.collisionFilterGroup);
 	this.form.nextRow();
@@ -142,7 +153,7 @@ function PhysicsInspector(parent, object)
 	this.allowSleep.size.set(18, 18);
 	this.allowSleep.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.body, "allowSleep", self.allowSleep.getValue()));
+		self.addAction(new ChangeAction(self.object.body, "allowSleep", self.allowSleep.getValue()));
 	});
 	this.form.add(this.allowSleep);
 	this.form.nextRow();
@@ -154,7 +165,7 @@ function PhysicsInspector(parent, object)
 	this.sleepSpeedLimit.setStep(0.01);
 	this.sleepSpeedLimit.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.body, "sleepSpeedLimit", self.sleepSpeedLimit.getValue()));
+		self.addAction(new ChangeAction(self.object.body, "sleepSpeedLimit", self.sleepSpeedLimit.getValue()));
 	});
 	this.form.add(this.sleepSpeedLimit);
 	this.form.nextRow();
@@ -166,7 +177,7 @@ function PhysicsInspector(parent, object)
 	this.sleepTimeLimit.setStep(0.01);
 	this.sleepTimeLimit.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object.body, "sleepTimeLimit", self.sleepTimeLimit.getValue()));
+		self.addAction(new ChangeAction(self.object.body, "sleepTimeLimit", self.sleepTimeLimit.getValue()));
 	});
 	this.form.add(this.sleepTimeLimit);
 	this.form.nextRow();
@@ -187,6 +198,7 @@ PhysicsInspector.prototype.updateInspector = function()
 	this.sleepTimeLimit.setValue(this.object.body.sleepTimeLimit);
 	this.sleepSpeedLimit.setValue(this.object.body.sleepSpeedLimit);
 	this.fixedRotation.setValue(this.object.body.fixedRotation);
+	this.trigger.setValue(this.object.trigger);
 	this.collisionFilterGroup.setValue(this.object.body.collisionFilterGroup);
 };
 
@@ -39,7 +39,7 @@ function SpineInspector(parent, object)
 	this.castShadow.size.set(18, 18);
 	this.castShadow.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
+		self.addAction(new ChangeAction(self.object, "castShadow", self.castShadow.getValue()));
 	});
 	this.form.add(this.castShadow);
 	this.form.nextRow();
@@ -50,7 +50,7 @@ function SpineInspector(parent, object)
 	this.receiveShadow.size.set(18, 18);
 	this.receiveShadow.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "receiveShadow", self.receiveShadow.getValue()));
+		self.addAction(new ChangeAction(self.object, "receiveShadow", self.receiveShadow.getValue()));
 	});
 	this.form.add(this.receiveShadow);
 	this.form.nextRow();
@@ -22,7 +22,7 @@ function TextBitmapInspector(parent, object)
 	this.text.size.set(0, 55);
 	this.text.setOnInput(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "text", self.text.getText()));
+		self.addAction(new ChangeAction(self.object, "text", self.text.getText()));
 	}, 500);
 	this.form.add(this.text);
 	this.form.nextRow();
@@ -34,7 +34,7 @@ function TextBitmapInspector(parent, object)
 	this.color.setValue(0, 0, 0);
 	this.color.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
+		self.addAction(new ChangeAction(self.object, "color", new Color(self.color.getValueHex())));
 	});
 	this.form.add(this.color);
 	this.form.nextRow();
@@ -48,7 +48,7 @@ function TextBitmapInspector(parent, object)
 	this.shader.addValue("Bitmap", TextBitmap.BITMAP);
 	this.shader.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "shader", self.shader.getValue()));
+		self.addAction(new ChangeAction(self.object, "shader", self.shader.getValue()));
 	});
 	this.form.add(this.shader);
 	this.form.nextRow();
@@ -62,7 +62,7 @@ function TextBitmapInspector(parent, object)
 	this.align.addValue(Locale.center, TextBitmap.CENTER);
 	this.align.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "align", self.align.getValue()));
+		self.addAction(new ChangeAction(self.object, "align", self.align.getValue()));
 	});
 	this.form.add(this.align);
 	this.form.nextRow();
@@ -75,7 +75,7 @@ function TextBitmapInspector(parent, object)
 	this.lineHeight.setStep(0.1);
 	this.lineHeight.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "lineHeight", self.lineHeight.getValue()));
+		self.addAction(new ChangeAction(self.object, "lineHeight", self.lineHeight.getValue()));
 	});
 	this.form.add(this.lineHeight);
 	this.form.nextRow();
@@ -88,7 +88,7 @@ function TextBitmapInspector(parent, object)
 	this.letterSpacing.setStep(0.1);
 	this.letterSpacing.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "letterSpacing", self.letterSpacing.getValue()));
+		self.addAction(new ChangeAction(self.object, "letterSpacing", self.letterSpacing.getValue()));
 	});
 	this.form.add(this.letterSpacing);
 	this.form.nextRow();
@@ -101,7 +101,7 @@ function TextBitmapInspector(parent, object)
 	this.width.setStep(0.1);
 	this.width.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "width", self.width.getValue()));
+		self.addAction(new ChangeAction(self.object, "width", self.width.getValue()));
 	});
 	this.form.add(this.width);
 	this.form.nextRow();
@@ -114,7 +114,7 @@ function TextBitmapInspector(parent, object)
 	this.threshold.setStep(0.01);
 	this.threshold.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "threshold", self.threshold.getValue()));
+		self.addAction(new ChangeAction(self.object, "threshold", self.threshold.getValue()));
 	});
 	this.form.add(this.threshold);
 	this.form.nextRow();
@@ -127,7 +127,7 @@ function TextBitmapInspector(parent, object)
 	this.smoothing.setStep(0.01);
 	this.smoothing.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "smoothing", self.smoothing.getValue()));
+		self.addAction(new ChangeAction(self.object, "smoothing", self.smoothing.getValue()));
 	});
 	this.form.add(this.smoothing);
 	this.form.nextRow();
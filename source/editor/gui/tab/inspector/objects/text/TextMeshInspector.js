@@ -24,7 +24,7 @@ function TextMeshInspector(parent, object)
 	this.text.size.set(190, 55);
 	this.text.setOnInput(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "text", self.text.getText()), updateGeometry));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "text", self.text.getText()), updateGeometry));
 	}, 500);
 	this.form.add(this.text);
 	this.form.nextRow();
@@ -37,7 +37,7 @@ function TextMeshInspector(parent, object)
 	this.textSize.setStep(0.1);
 	this.textSize.setOnChange(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "size", self.textSize.getValue()), updateGeometry));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "size", self.textSize.getValue()), updateGeometry));
 	});
 	this.form.add(this.textSize);
 	this.form.nextRow();
@@ -48,7 +48,7 @@ function TextMeshInspector(parent, object)
 	this.extruded.size.set(18, 18);
 	this.extruded.setOnChange(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "extruded", self.extruded.getValue()), updateGeometry));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "extruded", self.extruded.getValue()), updateGeometry));
 	});
 	this.form.add(this.extruded);
 	this.form.nextRow();
@@ -61,7 +61,7 @@ function TextMeshInspector(parent, object)
 	this.height.setStep(0.1);
 	this.height.setOnChange(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "height", self.height.getValue()), updateGeometry));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "height", self.height.getValue()), updateGeometry));
 	});
 	this.form.add(this.height);
 	this.form.nextRow();
@@ -74,7 +74,7 @@ function TextMeshInspector(parent, object)
 	this.curveSegments.setStep(1.0);
 	this.curveSegments.setOnChange(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "curveSegments", self.curveSegments.getValue()), updateGeometry));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "curveSegments", self.curveSegments.getValue()), updateGeometry));
 	});
 	this.form.add(this.curveSegments);
 	this.form.nextRow();
@@ -85,7 +85,7 @@ function TextMeshInspector(parent, object)
 	this.bevel.size.set(18, 18);
 	this.bevel.setOnChange(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "bevel", self.bevel.getValue()), updateGeometry));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "bevel", self.bevel.getValue()), updateGeometry));
 	});
 	this.form.add(this.bevel);
 	this.form.nextRow();
@@ -98,7 +98,7 @@ function TextMeshInspector(parent, object)
 	this.bevelThickness.setStep(0.1);
 	this.bevelThickness.setOnChange(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "bevelThickness", self.bevelThickness.getValue()), updateGeometry));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "bevelThickness", self.bevelThickness.getValue()), updateGeometry));
 	});
 	this.form.add(this.bevelThickness);
 	this.form.nextRow();
@@ -111,7 +111,7 @@ function TextMeshInspector(parent, object)
 	this.bevelSize.setStep(0.1);
 	this.bevelSize.setOnChange(function()
 	{
-		Editor.addAction(new CallbackAction(new ChangeAction(self.object, "bevelSize", self.bevelSize.getValue()), updateGeometry));
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "bevelSize", self.bevelSize.getValue()), updateGeometry));
 	});
 	this.form.add(this.bevelSize);
 	this.form.nextRow();
@@ -0,0 +1,321 @@
+import {Color} from "three";
+import {Locale} from "../../../../../locale/LocaleManager.js";
+import {ChangeAction} from "../../../../../history/action/ChangeAction.js";
+import {CallbackAction} from "../../../../../history/action/CallbackAction.js";
+import {DrawableInspector} from "../DrawableInspector.js";
+import {Editor} from "../../../../../Editor.js";
+import {TextSDF} from "../../../../../../core/objects/text/TextSDF.js";
+import {TextArea} from "../../../../../components/input/TextArea.js";
+import {TextBox} from "../../../../../components/input/TextBox.js";
+import {NumberBox} from "../../../../../components/input/NumberBox.js";
+import {DropdownList} from "../../../../../components/input/DropdownList.js";
+import {ColorChooser} from "../../../../../components/input/ColorChooser.js";
+import {Slider} from "../../../../../components/input/Slider.js";
+
+function TextSDFInspector(parent, object)
+{
+	DrawableInspector.call(this, parent, object);
+
+	var self = this;
+
+	// Text
+	this.form.addText(Locale.text);
+	this.text = new TextArea(this.form);
+	this.text.size.set(190, 55);
+	this.text.setOnInput(function()
+	{
+		self.addAction(new ChangeAction(self.object, "text", self.text.getText()));
+	}, 500);
+	this.form.add(this.text);
+	this.form.nextRow();
+
+	// Font
+	this.form.addText(Locale.font);
+	this.font = new DropdownList(this.form);
+	this.font.size.set(0, 18);
+	this.font.setOnChange(function()
+	{
+		self.addAction(new CallbackAction(new ChangeAction(self.object, "fontResource", self.font.getValue()), function()
+		{
+			self.object.setFont(self.object.fontResource);
+		}));
+	});
+	this.form.add(this.font);
+	this.form.nextRow();
+
+	// Size
+	this.form.addText(Locale.size);
+	this.fontSize = new NumberBox(this.form);
+	this.fontSize.size.set(60, 18);
+	this.fontSize.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.fontSize.setStep(0.01);
+	this.fontSize.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "fontSize", self.fontSize.getValue()));
+	});
+	this.form.add(this.fontSize);
+	this.form.nextRow();
+
+	// Color
+	this.form.addText(Locale.color);
+	this.color = new ColorChooser(this.form);
+	this.color.size.set(80, 18);
+	this.color.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "color", self.color.getValueHex()));
+	});
+	this.form.add(this.color);
+	this.form.nextRow();
+
+	// Color ranges
+	this.form.addText(Locale.colorRanges).setAltText(Locale.hintColorRanges);
+	this.colorRanges = new TextBox(this.form);
+	this.colorRanges.size.set(190, 18);
+	this.colorRanges.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "colorRanges", TextSDFInspector.parseColorRanges(self.colorRanges.getText())));
+	});
+	this.form.add(this.colorRanges);
+	this.form.nextRow();
+
+	// Max width
+	this.form.addText(Locale.maxWidth).setAltText(Locale.hintMaxWidth);
+	this.maxWidth = new NumberBox(this.form);
+	this.maxWidth.size.set(60, 18);
+	this.maxWidth.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.maxWidth.setStep(0.1);
+	this.maxWidth.setOnChange(function()
+	{
+		var width = self.maxWidth.getValue();
+		self.addAction(new ChangeAction(self.object, "maxWidth", width > 0 ? width : Infinity));
+	});
+	this.form.add(this.maxWidth);
+	this.form.nextRow();
+
+	// Wrap
+	this.form.addText(Locale.wrap);
+	this.overflowWrap = new DropdownList(this.form);
+	this.overflowWrap.size.set(100, 18);
+	this.overflowWrap.addValue(Locale.none, "nowrap");
+	this.overflowWrap.addValue(Locale.normal, "normal");
+	this.overflowWrap.addValue(Locale.breakWord, "break-word");
+	this.overflowWrap.setOnChange(function()
+	{
+		var value = self.overflowWrap.getValue();
+
+		var actions = [new ChangeAction(self.object, "whiteSpace", value === "nowrap" ? "nowrap" : "normal")];
+		if (value !== "nowrap")
+		{
+			actions.push(new ChangeAction(self.object, "overflowWrap", value));
+		}
+
+		Editor.beginTransaction(Locale.wrap);
+		for (var i = 0; i < actions.length; i++)
+		{
+			self.addAction(actions[i]);
+		}
+		Editor.endTransaction();
+	});
+	this.form.add(this.overflowWrap);
+	this.form.nextRow();
+
+	// Text align
+	this.form.addText(Locale.align);
+	this.textAlign = new DropdownList(this.form);
+	this.textAlign.size.set(100, 18);
+	this.textAlign.addValue(Locale.left, TextSDF.LEFT);
+	this.textAlign.addValue(Locale.center, TextSDF.CENTER);
+	this.textAlign.addValue(Locale.right, TextSDF.RIGHT);
+	this.textAlign.addValue(Locale.justify, TextSDF.JUSTIFY);
+	this.textAlign.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "textAlign", self.textAlign.getValue()));
+	});
+	this.form.add(this.textAlign);
+	this.form.nextRow();
+
+	// Anchor
+	this.form.addText(Locale.anchor);
+	this.anchorX = new DropdownList(this.form);
+	this.anchorX.size.set(70, 18);
+	this.anchorX.addValue(Locale.left, TextSDF.LEFT);
+	this.anchorX.addValue(Locale.center, TextSDF.CENTER);
+	this.anchorX.addValue(Locale.right, TextSDF.RIGHT);
+	this.anchorX.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "anchorX", self.anchorX.getValue()));
+	});
+	this.form.add(this.anchorX);
+	this.anchorY = new DropdownList(this.form);
+	this.anchorY.size.set(70, 18);
+	this.anchorY.addValue(Locale.top, TextSDF.TOP);
+	this.anchorY.addValue(Locale.middle, TextSDF.MIDDLE);
+	this.anchorY.addValue(Locale.bottom, TextSDF.BOTTOM);
+	this.anchorY.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "anchorY", self.anchorY.getValue()));
+	});
+	this.form.add(this.anchorY);
+	this.form.nextRow();
+
+	// Letter spacing
+	this.form.addText(Locale.letterSpacing);
+	this.letterSpacing = new NumberBox(this.form);
+	this.letterSpacing.size.set(60, 18);
+	this.letterSpacing.setStep(0.01);
+	this.letterSpacing.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "letterSpacing", self.letterSpacing.getValue()));
+	});
+	this.form.add(this.letterSpacing);
+	this.form.nextRow();
+
+	// Outline
+	this.form.addText(Locale.outline);
+	this.form.nextRow();
+
+	// Outline width
+	this.form.addText(Locale.outlineWidth);
+	this.outlineWidth = new NumberBox(this.form);
+	this.outlineWidth.size.set(60, 18);
+	this.outlineWidth.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.outlineWidth.setStep(0.001);
+	this.outlineWidth.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "outlineWidth", self.outlineWidth.getValue()));
+	});
+	this.form.add(this.outlineWidth);
+	this.form.nextRow();
+
+	// Outline color
+	this.form.addText(Locale.outlineColor);
+	this.outlineColor = new ColorChooser(this.form);
+	this.outlineColor.size.set(80, 18);
+	this.outlineColor.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "outlineColor", self.outlineColor.getValueHex()));
+	});
+	this.form.add(this.outlineColor);
+	this.form.nextRow();
+
+	// Outline opacity
+	this.form.addText(Locale.opacity);
+	this.outlineOpacity = new Slider(this.form);
+	this.outlineOpacity.size.set(160, 18);
+	this.outlineOpacity.setStep(0.01);
+	this.outlineOpacity.setRange(0, 1);
+	this.outlineOpacity.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "outlineOpacity", self.outlineOpacity.getValue()));
+	});
+	this.form.add(this.outlineOpacity);
+	this.form.nextRow();
+
+	// Outline blur
+	this.form.addText(Locale.blur);
+	this.outlineBlur = new NumberBox(this.form);
+	this.outlineBlur.size.set(60, 18);
+	this.outlineBlur.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.outlineBlur.setStep(0.001);
+	this.outlineBlur.setOnChange(function()
+	{
+		self.addAction(new ChangeAction(self.object, "outlineBlur", self.outlineBlur.getValue()));
+	});
+	this.form.add(this.outlineBlur);
+	this.form.nextRow();
+}
+
+TextSDFInspector.prototype = Object.create(DrawableInspector.prototype);
+
+/**
+ * Parse color ranges written as a list of "index: color" pairs separated by commas (e.g. "0: #FFFFFF, 5: #FF0000").
+ *
+ * @static
+ * @method parseColorRanges
+ * @param {string} text Color ranges text.
+ * @return {Object} Color ranges indexed by the start character, null if there are no ranges.
+ */
+TextSDFInspector.parseColorRanges = function(text)
+{
+	var ranges = null;
+	var entries = text.split(",");
+
+	for (var i = 0; i < entries.length; i++)
+	{
+		var entry = entries[i].split(":");
+		if (entry.length !== 2)
+		{
+			continue;
+		}
+
+		var index = parseInt(entry[0].trim(), 10);
+		if (isNaN(index))
+		{
+			continue;
+		}
+
+		if (ranges === null)
+		{
+			ranges = {};
+		}
+
+		ranges[index] = new Color(entry[1].trim()).getHex();
+	}
+
+	return ranges;
+};
+
+/**
+ * Write color ranges as text in the format read by parseColorRanges.
+ *
+ * @static
+ * @method colorRangesToText
+ * @param {Object} ranges Color ranges indexed by the start character.
+ * @return {string} Color ranges text.
+ */
+TextSDFInspector.colorRangesToText = function(ranges)
+{
+	if (ranges === null || ranges === undefined)
+	{
+		return "";
+	}
+
+	var entries = [];
+	for (var index in ranges)
+	{
+		entries.push(index + ": #" + new Color(ranges[index]).getHexString().toUpperCase());
+	}
+
+	return entries.join(", ");
+};
+
+TextSDFInspector.prototype.updateInspector = function()
+{
+	DrawableInspector.prototype.updateInspector.call(this);
+
+	this.font.clearValues();
+	this.font.addValue(Locale.default, null);
+	for (var uuid in Editor.program.fonts)
+	{
+		var font = Editor.program.fonts[uuid];
+		this.font.addValue(font.name, font);
+	}
+
+	this.text.setText(this.object.text);
+	this.font.setValue(this.object.fontResource);
+	this.fontSize.setValue(this.object.fontSize);
+	this.color.setValueHex(this.object.color);
+	this.colorRanges.setText(TextSDFInspector.colorRangesToText(this.object.colorRanges));
+	this.maxWidth.setValue(this.object.maxWidth !== Infinity ? this.object.maxWidth : 0);
+	this.overflowWrap.setValue(this.object.whiteSpace === "nowrap" ? "nowrap" : this.object.overflowWrap);
+	this.textAlign.setValue(this.object.textAlign);
+	this.anchorX.setValue(this.object.anchorX);
+	this.anchorY.setValue(this.object.anchorY);
+	this.letterSpacing.setValue(this.object.letterSpacing);
+	this.outlineWidth.setValue(this.object.outlineWidth);
+	this.outlineColor.setValueHex(this.object.outlineColor);
+	this.outlineOpacity.setValue(this.object.outlineOpacity);
+	this.outlineBlur.setValue(this.object.outlineBlur);
+};
+
+export {TextSDFInspector};
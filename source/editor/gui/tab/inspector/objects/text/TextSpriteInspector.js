@@ -21,7 +21,7 @@ function TextSpriteInspector(parent, object)
 	this.text.size.set(0, 55);
 	this.text.setOnInput(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "text", self.text.getText()));
+		self.addAction(new ChangeAction(self.object, "text", self.text.getText()));
 	}, 500);
 	this.form.add(this.text);
 	this.form.nextRow();
@@ -33,7 +33,7 @@ function TextSpriteInspector(parent, object)
 	this.color.setValue(0, 0, 0);
 	this.color.setOnChange(function()
 	{	
-		Editor.addAction(new ChangeAction(self.object, "color", self.color.getValueString()));
+		self.addAction(new ChangeAction(self.object, "color", self.color.getValueString()));
 	});
 	this.form.add(this.color);
 	this.form.nextRow();
@@ -47,7 +47,7 @@ function TextSpriteInspector(parent, object)
 	this.align.addValue(Locale.center, TextSprite.CENTER);
 	this.align.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "align", self.align.getValue()));
+		self.addAction(new ChangeAction(self.object, "align", self.align.getValue()));
 	});
 	this.form.add(this.align);
 	this.form.nextRow();
@@ -60,7 +60,7 @@ function TextSpriteInspector(parent, object)
 	this.resolution.setStep(0.1);
 	this.resolution.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "resolution", self.resolution.getValue()));
+		self.addAction(new ChangeAction(self.object, "resolution", self.resolution.getValue()));
 	});
 	this.form.add(this.resolution);
 	this.form.nextRow();
@@ -80,7 +80,7 @@ function TextSpriteInspector(parent, object)
 	}
 	this.font.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "font", self.font.getValue()));
+		self.addAction(new ChangeAction(self.object, "font", self.font.getValue()));
 	});
 	this.form.add(this.font);
 	this.form.nextRow();
@@ -91,7 +91,7 @@ function TextSpriteInspector(parent, object)
 	this.outline.size.set(18, 18);
 	this.outline.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "outline", self.outline.getValue()));
+		self.addAction(new ChangeAction(self.object, "outline", self.outline.getValue()));
 	});
 	this.form.add(this.outline);
 	this.form.nextRow();
@@ -104,7 +104,7 @@ function TextSpriteInspector(parent, object)
 	this.outlineWidth.setStep(0.1);
 	this.outlineWidth.setOnChange(function()
 	{
-		Editor.addAction(new ChangeAction(self.object, "outlineWidth", self.outlineWidth.getValue()));
+		self.addAction(new ChangeAction(self.object, "outlineWidth", self.outlineWidth.getValue()));
 	});
 	this.form.add(this.outlineWidth);
 	this.form.nextRow();
@@ -116,7 +116,7 @@ function TextSpriteInspector(parent, object)
 	this.outlineColor.setValue(0, 0, 0);
 	this.outlineColor.setOnChange(function()
 	{	
-		Editor.addAction(new ChangeAction(self.object, "outlineColor", self.outlineColor.getValueString()));
+		self.addAction(new ChangeAction(self.object, "outlineColor", self.outlineColor.getValueString()));
 	});
 	this.form.add(this.outlineColor);
 	this.form.nextRow();
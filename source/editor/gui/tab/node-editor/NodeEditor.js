@@ -1,4 +1,6 @@
 import {Renderer, Viewport, ViewportControls} from "escher.js/build/escher.module.js";
+import {BaseNode} from "../../../../core/objects/script/nodes/BaseNode.js";
+import {Editor} from "../../../Editor.js";
 import {Canvas} from "../../../components/Canvas.js";
 import {Global} from "../../../Global.js";
 import {Locale} from "../../../locale/LocaleManager.js";
@@ -75,6 +77,86 @@ NodeEditor.prototype.attach = function(node)
 {
 	this.node = node;
 	this.updateMetadata();
+
+	var self = this;
+
+	if (this.node.graph !== null)
+	{
+		this.node.graph.traverse(function(child)
+		{
+			self.bindNode(child);
+		});
+	}
+};
+
+/**
+ * Add a node to the graph being edited.
+ *
+ * @method addNode
+ * @param {Node} node Node to be added into the graph.
+ */
+NodeEditor.prototype.addNode = function(node)
+{
+	this.bindNode(node);
+	this.node.graph.addNode(node);
+};
+
+/**
+ * Bind the double click of a node to edit its properties.
+ *
+ * @method bindNode
+ * @param {Node} node Node of the graph.
+ */
+NodeEditor.prototype.bindNode = function(node)
+{
+	if (node instanceof BaseNode && node.properties.length > 0)
+	{
+		var self = this;
+
+		node.onDoubleClick = function(pointer, viewport)
+		{
+			self.editProperties(node);
+		};
+	}
+};
+
+/**
+ * Edit the properties of a node using prompt dialogs.
+ *
+ * Values are converted to the type of the current value of each property.
+ *
+ * @method editProperties
+ * @param {BaseNode} node Node to be edited.
+ */
+NodeEditor.prototype.editProperties = function(node)
+{
+	for (var i = 0; i < node.properties.length; i++)
+	{
+		var name = node.properties[i];
+		var value = Editor.prompt(name, node[name]);
+
+		if (value === null)
+		{
+			return;
+		}
+
+		if (typeof node[name] === "number")
+		{
+			value = Number.parseFloat(value);
+			if (!Number.isNaN(value))
+			{
+				node[name] = value;
+			}
+		}
+		else if (typeof node[name] === "boolean")
+		{
+			node[name] = value === "true";
+		}
+		else
+		{
+			node[name] = value;
+		}
+	}
 };
 
 NodeEditor.prototype.isAttached = function(node)
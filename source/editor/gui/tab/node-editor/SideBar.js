@@ -2,7 +2,31 @@ import {ButtonDrawer} from "../../../components/buttons/ButtonDrawer.js";
 import {Component} from "../../../components/Component.js";
 import {Global} from "../../../Global.js";
 import {Locale} from "../../../locale/LocaleManager.js";
+import {Keyboard} from "../../../../core/input/Keyboard.js";
+import {Mouse} from "../../../../core/input/Mouse.js";
+import {Gamepad} from "../../../../core/input/Gamepad.js";
+import {BaseNode} from "../../../../core/objects/script/nodes/BaseNode.js";
+import {EventNode} from "../../../../core/objects/script/nodes/EventNode.js";
+import {InputEventNode} from "../../../../core/objects/script/nodes/InputEventNode.js";
+import {KeyboardEventNode} from "../../../../core/objects/script/nodes/KeyboardEventNode.js";
+import {MouseEventNode} from "../../../../core/objects/script/nodes/MouseEventNode.js";
+import {GamepadEventNode} from "../../../../core/objects/script/nodes/GamepadEventNode.js";
+import {ValueNode} from "../../../../core/objects/script/nodes/ValueNode.js";
+import {VectorNode} from "../../../../core/objects/script/nodes/VectorNode.js";
+import {SplitVectorNode} from "../../../../core/objects/script/nodes/SplitVectorNode.js";
 import {OperationNode} from "../../../../core/objects/script/nodes/OperationNode.js";
+import {MathNode} from "../../../../core/objects/script/nodes/MathNode.js";
+import {VectorOperationNode} from "../../../../core/objects/script/nodes/VectorOperationNode.js";
+import {CompareNode} from "../../../../core/objects/script/nodes/CompareNode.js";
+import {BranchNode} from "../../../../core/objects/script/nodes/BranchNode.js";
+import {TimerNode} from "../../../../core/objects/script/nodes/TimerNode.js";
+import {FindObjectNode} from "../../../../core/objects/script/nodes/FindObjectNode.js";
+import {TransformNode} from "../../../../core/objects/script/nodes/TransformNode.js";
+import {SetTransformNode} from "../../../../core/objects/script/nodes/SetTransformNode.js";
+import {PropertyNode} from "../../../../core/objects/script/nodes/PropertyNode.js";
+import {SetPropertyNode} from "../../../../core/objects/script/nodes/SetPropertyNode.js";
+import {AnimationNode} from "../../../../core/objects/script/nodes/AnimationNode.js";
+import {AudioEmitterNode} from "../../../../core/objects/script/nodes/AudioEmitterNode.js";
 import {Text} from "../../../components/Text.js";
 
 /**
@@ -59,58 +83,238 @@ SideBar.prototype.createObject = function()
 {
 	var self = this;
 
+	// Add a option to a button drawer that creates a node and adds it to the graph
+	function addNode(drawer, icon, label, create)
+	{
+		drawer.addOption(Global.FILE_PATH + icon, function()
+		{
+			self.parent.addNode(create());
+		}, label);
+	}
+
+	// Create nodes that receive the operation as argument
+	function createMathNode(operation)
+	{
+		return new MathNode(operation);
+	}
+
+	function createVectorOperationNode(operation)
+	{
+		return new VectorOperationNode(operation);
+	}
+
+	function createCompareNode(operation)
+	{
+		return new CompareNode(operation);
+	}
+
 	// Events
 	var events = new ButtonDrawer(this);
-	events.setImage(Global.FILE_PATH + "icons/models/models.png");
+	events.setImage(Global.FILE_PATH + "icons/misc/play.png");
 	this.buttons.push(events);
 
-	// Initialization
-	events.addOption(Global.FILE_PATH + "icons/models/cube.png", function()
+	addNode(events, "icons/misc/play.png", Locale.initialization, function()
 	{
-		// TODO <ADD CODE HERE>
-	}, Locale.initialization);
-    
-	// Update
-	events.addOption(Global.FILE_PATH + "icons/models/cube.png", function()
+		return new EventNode(EventNode.INITIALIZE);
+	});
+	addNode(events, "icons/misc/speedometer.png", Locale.update, function()
 	{
-		// TODO <ADD CODE HERE>
-	}, Locale.update);
-    
-	// Resize
-	events.addOption(Global.FILE_PATH + "icons/models/cube.png", function()
+		return new EventNode(EventNode.UPDATE);
+	});
+	addNode(events, "icons/misc/fullscreen.png", Locale.resize, function()
 	{
-		// TODO <ADD CODE HERE>
-	}, Locale.resize);
-	
+		return new EventNode(EventNode.RESIZE);
+	});
+	addNode(events, "icons/misc/exit.png", Locale.dispose, function()
+	{
+		return new EventNode(EventNode.DISPOSE);
+	});
+	addNode(events, "icons/misc/web.png", Locale.appData, function()
+	{
+		return new EventNode(EventNode.APP_DATA);
+	});
 	events.updateOptions();
 
+	// Input
+	var input = new ButtonDrawer(this);
+	input.setImage(Global.FILE_PATH + "icons/misc/controller.png");
+	this.buttons.push(input);
+
+	addNode(input, "icons/misc/controller.png", Locale.keyboard, function()
+	{
+		return new KeyboardEventNode(Keyboard.SPACEBAR, InputEventNode.JUST_PRESSED);
+	});
+	addNode(input, "icons/misc/crosshair.png", Locale.mouse, function()
+	{
+		return new MouseEventNode(Mouse.LEFT, InputEventNode.JUST_PRESSED);
+	});
+	addNode(input, "icons/misc/controller.png", Locale.gamepad, function()
+	{
+		return new GamepadEventNode(Gamepad.A, InputEventNode.JUST_PRESSED);
+	});
+	input.updateOptions();
+
+	// Values
+	var values = new ButtonDrawer(this);
+	values.setImage(Global.FILE_PATH + "icons/misc/ruler.png");
+	this.buttons.push(values);
+
+	addNode(values, "icons/misc/ruler.png", Locale.number, function()
+	{
+		return new ValueNode(BaseNode.NUMBER, 0);
+	});
+	addNode(values, "icons/misc/check.png", Locale.boolean, function()
+	{
+		return new ValueNode(BaseNode.BOOLEAN, false);
+	});
+	addNode(values, "icons/misc/file.png", Locale.string, function()
+	{
+		return new ValueNode(BaseNode.STRING, "");
+	});
+	addNode(values, "icons/misc/3d.png", Locale.vector, function()
+	{
+		return new VectorNode();
+	});
+	addNode(values, "icons/misc/3d.png", Locale.splitVector, function()
+	{
+		return new SplitVectorNode();
+	});
+	values.updateOptions();
+
 	// Operations
 	var methods = new ButtonDrawer(this);
-	methods.setImage(Global.FILE_PATH + "icons/models/models.png");
+	methods.setImage(Global.FILE_PATH + "icons/math/plus.png");
 	this.buttons.push(methods);
 
-	methods.addOption(Global.FILE_PATH + "icons/math/plus.png", function()
+	addNode(methods, "icons/math/plus.png", Locale.add, function()
 	{
-		self.parent.node.graph.addNode(new OperationNode("+"));
-	}, Locale.add);
-
-	methods.addOption(Global.FILE_PATH + "icons/math/subtract.png", function()
+		return new OperationNode("+");
+	});
+	addNode(methods, "icons/math/subtract.png", Locale.subtract, function()
+	{
+		return new OperationNode("-");
+	});
+	addNode(methods, "icons/math/multiply.png", Locale.multiply, function()
+	{
+		return new OperationNode("*");
+	});
+	addNode(methods, "icons/math/divide.png", Locale.divide, function()
+	{
+		return new OperationNode("/");
+	});
+	addNode(methods, "icons/math/percent.png", Locale.modulo, function()
 	{
-		self.parent.node.graph.addNode(new OperationNode("-"));
-	}, Locale.subtract);
+		return new OperationNode("%");
+	});
+	for (var i = 0; i < MathNode.OPERATIONS.length; i++)
+	{
+		addNode(methods, "icons/misc/tool.png", MathNode.OPERATIONS[i], createMathNode.bind(null, MathNode.OPERATIONS[i]));
+	}
+	methods.updateOptions();
 
-	methods.addOption(Global.FILE_PATH + "icons/math/multiply.png", function()
+	// Vector operations
+	var vectors = new ButtonDrawer(this);
+	vectors.setImage(Global.FILE_PATH + "icons/misc/3d.png");
+	this.buttons.push(vectors);
+
+	var operations = [
+		[VectorOperationNode.ADD, "icons/math/plus.png", Locale.add],
+		[VectorOperationNode.SUBTRACT, "icons/math/subtract.png", Locale.subtract],
+		[VectorOperationNode.SCALE, "icons/math/multiply.png", Locale.scale],
+		[VectorOperationNode.CROSS, "icons/misc/3d.png", Locale.cross],
+		[VectorOperationNode.DOT, "icons/misc/3d.png", Locale.dot],
+		[VectorOperationNode.DISTANCE, "icons/misc/ruler.png", Locale.distance],
+		[VectorOperationNode.LENGTH, "icons/misc/ruler.png", Locale.length],
+		[VectorOperationNode.NORMALIZE, "icons/misc/3d.png", Locale.normalize]
+	];
+	for (var i = 0; i < operations.length; i++)
 	{
-		self.parent.node.graph.addNode(new OperationNode("*"));
-	}, Locale.multiply);
+		addNode(vectors, operations[i][1], operations[i][2], createVectorOperationNode.bind(null, operations[i][0]));
+	}
+	vectors.updateOptions();
 
+	// Logic
+	var logic = new ButtonDrawer(this);
+	logic.setImage(Global.FILE_PATH + "icons/misc/nodes.png");
+	this.buttons.push(logic);
 
-	methods.addOption(Global.FILE_PATH + "icons/math/divide.png", function()
+	var comparisons = [["==", Locale.equal], ["!=", Locale.notEqual], ["<", Locale.less], ["<=", Locale.lessOrEqual], [">", Locale.greater], [">=", Locale.greaterOrEqual]];
+	for (var i = 0; i < comparisons.length; i++)
+	{
+		addNode(logic, "icons/misc/nodes.png", comparisons[i][1], createCompareNode.bind(null, comparisons[i][0]));
+	}
+	addNode(logic, "icons/misc/hierarchy.png", Locale.branch, function()
 	{
-		self.parent.node.graph.addNode(new OperationNode("/"));
-	}, Locale.divide);
+		return new BranchNode();
+	});
+	addNode(logic, "icons/misc/speedometer.png", Locale.timer, function()
+	{
+		return new TimerNode(1.0, false);
+	});
+	logic.updateOptions();
 
-	methods.updateOptions();
+	// Objects
+	var objects = new ButtonDrawer(this);
+	objects.setImage(Global.FILE_PATH + "icons/misc/cube.png");
+	this.buttons.push(objects);
+
+	addNode(objects, "icons/misc/search.png", Locale.findObject, function()
+	{
+		return new FindObjectNode("");
+	});
+	addNode(objects, "icons/tools/move.png", Locale.transform, function()
+	{
+		return new TransformNode();
+	});
+	addNode(objects, "icons/tools/move.png", Locale.setTransform, function()
+	{
+		return new SetTransformNode();
+	});
+	addNode(objects, "icons/misc/cube.png", Locale.getProperty + " (" + Locale.number + ")", function()
+	{
+		return new PropertyNode(BaseNode.NUMBER, "position.x");
+	});
+	addNode(objects, "icons/misc/cube.png", Locale.getProperty + " (" + Locale.boolean + ")", function()
+	{
+		return new PropertyNode(BaseNode.BOOLEAN, "visible");
+	});
+	addNode(objects, "icons/misc/cube.png", Locale.getProperty + " (" + Locale.string + ")", function()
+	{
+		return new PropertyNode(BaseNode.STRING, "name");
+	});
+	addNode(objects, "icons/misc/cube.png", Locale.setProperty + " (" + Locale.number + ")", function()
+	{
+		return new SetPropertyNode(BaseNode.NUMBER, "position.x");
+	});
+	addNode(objects, "icons/misc/cube.png", Locale.setProperty + " (" + Locale.boolean + ")", function()
+	{
+		return new SetPropertyNode(BaseNode.BOOLEAN, "visible");
+	});
+	addNode(objects, "icons/misc/cube.png", Locale.setProperty + " (" + Locale.string + ")", function()
+	{
+		return new SetPropertyNode(BaseNode.STRING, "name");
+	});
+	addNode(objects, "icons/misc/animation.png", Locale.playAnimation, function()
+	{
+		return new AnimationNode(AnimationNode.PLAY);
+	});
+	addNode(objects, "icons/misc/animation.png", Locale.stopAnimation, function()
+	{
+		return new AnimationNode(AnimationNode.STOP);
+	});
+	addNode(objects, "icons/misc/audio.png", Locale.playAudio, function()
+	{
+		return new AudioEmitterNode(AudioEmitterNode.PLAY);
+	});
+	addNode(objects, "icons/misc/audio.png", Locale.pauseAudio, function()
+	{
+		return new AudioEmitterNode(AudioEmitterNode.PAUSE);
+	});
+	addNode(objects, "icons/misc/audio.png", Locale.stopAudio, function()
+	{
+		return new AudioEmitterNode(AudioEmitterNode.STOP);
+	});
+	objects.updateOptions();
 };
 
 SideBar.prototype.updateSize = function()
@@ -2,13 +2,24 @@ import {Scene, GridHelper, AxesHelper, Vector2, NoBlending, NormalBlending, Addi
 import {Locale} from "../../../locale/LocaleManager.js";
 import {PerspectiveCamera} from "../../../../core/objects/cameras/PerspectiveCamera.js";
 import {ParticleDistributions} from "../../../../core/objects/particle/ParticleDistributions.js";
+import {ParticleEmitter} from "../../../../core/objects/particle/ParticleEmitter.js";
+import {ParticleEmitterControl} from "../../../../core/objects/particle/core/ParticleEmitterControl.js";
+import {ParticleGroup} from "../../../../core/objects/particle/core/ParticleGroup.js";
+import {ParticlePreset} from "../../../../core/resources/ParticlePreset.js";
 import {Mouse} from "../../../../core/input/Mouse.js";
 import {DOMUtils} from "../../../utils/DOMUtils.js";
 import {ChangeAction} from "../../../history/action/ChangeAction.js";
 import {CallbackAction} from "../../../history/action/CallbackAction.js";
+import {ActionBundle} from "../../../history/action/ActionBundle.js";
+import {AddResourceAction} from "../../../history/action/resources/AddResourceAction.js";
+import {ParticleRenderer} from "../../preview/ParticleRenderer.js";
+import {DragBuffer} from "../../DragBuffer.js";
 import {Global} from "../../../Global.js";
 import {Editor} from "../../../Editor.js";
 import {TabComponent} from "../../../components/tabs/TabComponent.js";
+import {Component} from "../../../components/Component.js";
+import {ButtonIcon} from "../../../components/buttons/ButtonIcon.js";
+import {ButtonText} from "../../../components/buttons/ButtonText.js";
 import {TableForm} from "../../../components/TableForm.js";
 import {RendererCanvas} from "../../../components/RendererCanvas.js";
 import {VectorBox} from "../../../components/input/VectorBox.js";
@@ -20,6 +31,7 @@ import {Graph} from "../../../components/input/Graph.js";
 import {DropdownList} from "../../../components/input/DropdownList.js";
 import {ColorGradientChooser} from "../../../components/input/ColorGradientChooser.js";
 import {DualContainer} from "../../../components/containers/DualContainer.js";
+import {ParticlePresetLibrary} from "./ParticlePresetLibrary.js";
 
 /**
  * Particle editor is used to edit particle emitter objects visually.
@@ -40,6 +52,19 @@ function ParticleEditor(parent, closeable, container, index)
 		self.camera.updateProjectionMatrix();
 	});
 
+	// Drop particle presets
+	this.canvas.element.ondragover = Component.preventDefault;
+	this.canvas.element.ondrop = function(event)
+	{
+		event.preventDefault();
+
+		var preset = DragBuffer.get(event.dataTransfer.getData("uuid"));
+		if (preset instanceof ParticlePreset && self.particle !== null)
+		{
+			ParticleEditor.applyPreset(self.particle, preset);
+		}
+	};
+
 	// Mouse
 	this.mouse = new Mouse(window, true);
 	this.mouse.setCanvas(this.canvas.element);
@@ -83,6 +108,35 @@ function ParticleEditor(parent, closeable, container, index)
 	this.form.add(this.name);
 	this.form.nextRow();
 
+	// Built-in presets
+	this.form.addText(Locale.presets);
+	this.presets = new Component(this.form, "div");
+
+	var names = ParticlePresetLibrary.getNames();
+	this.presets.size.set(names.length * 42, 40);
+
+	for (var i = 0; i < names.length; i++)
+	{
+		this.addPresetButton(names[i], i);
+	}
+
+	this.form.add(this.presets);
+	this.form.nextRow();
+
+	// Save preset
+	this.form.addText("");
+	this.savePreset = new ButtonText(this.form);
+	this.savePreset.setText(Locale.savePreset);
+	this.savePreset.size.set(100, 18);
+	this.savePreset.setOnClick(function()
+	{
+		var preset = new ParticlePreset(self.particle.name);
+		preset.copy(self.particle);
+		Editor.addAction(new AddResourceAction(preset, Editor.program, "resources"));
+	});
+	this.form.add(this.savePreset);
+	this.form.nextRow();
+
 	// Texture map
 	this.form.addText(Locale.texture);
 	this.texture = new TextureChooser(this.form);
@@ -441,10 +495,205 @@ function ParticleEditor(parent, closeable, container, index)
 	});
 	this.form.add(this.colorSpread);
 	this.form.nextRow();
+
+	// Collision
+	this.form.addText(Locale.collision);
+	this.collisionMode = new DropdownList(this.form);
+	this.collisionMode.size.set(100, 18);
+	this.collisionMode.addValue(Locale.none, ParticleEmitterControl.COLLISION_NONE);
+	this.collisionMode.addValue(Locale.plane, ParticleEmitterControl.COLLISION_PLANE);
+	this.collisionMode.setOnChange(function()
+	{
+		Editor.addAction(new ChangeAction(self.particle.emitter.collision, "mode", self.collisionMode.getValue()));
+	});
+	this.form.add(this.collisionMode);
+	this.form.nextRow();
+
+	this.form.addText(Locale.response);
+	this.collisionResponse = new DropdownList(this.form);
+	this.collisionResponse.size.set(100, 18);
+	this.collisionResponse.addValue(Locale.bounce, ParticleEmitterControl.BOUNCE);
+	this.collisionResponse.addValue(Locale.kill, ParticleEmitterControl.KILL);
+	this.collisionResponse.setOnChange(function()
+	{
+		Editor.addAction(new ChangeAction(self.particle.emitter.collision, "response", self.collisionResponse.getValue()));
+	});
+	this.form.add(this.collisionResponse);
+	this.form.nextRow();
+
+	this.form.addText(Locale.normal);
+	this.collisionNormal = new VectorBox(this.form);
+	this.collisionNormal.size.set(0, 18);
+	this.collisionNormal.setOnChange(function()
+	{
+		self.particle.emitter.collision.normal.copy(self.collisionNormal.getValue());
+	});
+	this.form.add(this.collisionNormal);
+	this.form.nextRow();
+
+	this.form.addText(Locale.distance);
+	this.collisionConstant = new NumberBox(this.form);
+	this.collisionConstant.size.set(50, 18);
+	this.collisionConstant.setOnChange(function()
+	{
+		Editor.addAction(new ChangeAction(self.particle.emitter.collision, "constant", self.collisionConstant.getValue()));
+	});
+	this.form.add(this.collisionConstant);
+	this.form.nextRow();
+
+	this.form.addText(Locale.bounce);
+	this.collisionBounce = new NumberBox(this.form);
+	this.collisionBounce.size.set(50, 18);
+	this.collisionBounce.setRange(0, 1);
+	this.collisionBounce.setStep(0.05);
+	this.collisionBounce.setOnChange(function()
+	{
+		Editor.addAction(new ChangeAction(self.particle.emitter.collision, "bounce", self.collisionBounce.getValue()));
+	});
+	this.form.add(this.collisionBounce);
+	this.form.nextRow();
+
+	// Sub emitter
+	this.form.addText(Locale.subEmitter);
+	this.subEmitter = new DropdownList(this.form);
+	this.subEmitter.size.set(100, 18);
+	this.subEmitter.addValue(Locale.none, ParticleEmitter.SUB_EMITTER_NONE);
+	this.subEmitter.addValue(Locale.birth, ParticleEmitter.SUB_EMITTER_BIRTH);
+	this.subEmitter.addValue(Locale.death, ParticleEmitter.SUB_EMITTER_DEATH);
+	this.subEmitter.setOnChange(function()
+	{
+		Editor.addAction(new ChangeAction(self.particle, "subEmitter", self.subEmitter.getValue()));
+		self.particle.reload();
+	});
+	this.form.add(this.subEmitter);
+	this.form.nextRow();
+
+	this.form.addText(Locale.count);
+	this.subEmitterCount = new NumberBox(this.form);
+	this.subEmitterCount.size.set(50, 18);
+	this.subEmitterCount.setStep(1);
+	this.subEmitterCount.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.subEmitterCount.setOnChange(function()
+	{
+		Editor.addAction(new ChangeAction(self.particle, "subEmitterCount", self.subEmitterCount.getValue()));
+	});
+	this.form.add(this.subEmitterCount);
+	this.form.nextRow();
+
+	// Render mode
+	this.form.addText(Locale.renderMode);
+	this.renderMode = new DropdownList(this.form);
+	this.renderMode.size.set(100, 18);
+	this.renderMode.addValue(Locale.points, ParticleEmitter.POINTS);
+	this.renderMode.addValue(Locale.trail, ParticleEmitter.TRAIL);
+	this.renderMode.setOnChange(function()
+	{
+		Editor.addAction(new ChangeAction(self.particle, "renderMode", self.renderMode.getValue()));
+		self.particle.reload();
+	});
+	this.form.add(this.renderMode);
+	this.form.nextRow();
+
+	this.form.addText(Locale.length);
+	this.trailLength = new NumberBox(this.form);
+	this.trailLength.size.set(50, 18);
+	this.trailLength.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.trailLength.setOnChange(function()
+	{
+		Editor.addAction(new ChangeAction(self.particle, "trailLength", self.trailLength.getValue()));
+	});
+	this.form.add(this.trailLength);
+	this.form.nextRow();
+
+	this.form.addText(Locale.segments);
+	this.trailSegments = new NumberBox(this.form);
+	this.trailSegments.size.set(50, 18);
+	this.trailSegments.setStep(1);
+	this.trailSegments.setRange(1, 64);
+	this.trailSegments.setOnChange(function()
+	{
+		Editor.addAction(new ChangeAction(self.particle, "trailSegments", self.trailSegments.getValue()));
+		self.particle.reload();
+	});
+	this.form.add(this.trailSegments);
+	this.form.nextRow();
+
+	this.form.addText(Locale.width);
+	this.trailWidth = new NumberBox(this.form);
+	this.trailWidth.size.set(50, 18);
+	this.trailWidth.setRange(0, Number.MAX_SAFE_INTEGER);
+	this.trailWidth.setOnChange(function()
+	{
+		Editor.addAction(new ChangeAction(self.particle, "trailWidth", self.trailWidth.getValue()));
+	});
+	this.form.add(this.trailWidth);
+	this.form.nextRow();
 }
 
 ParticleEditor.prototype = Object.create(TabComponent.prototype);
 
+/**
+ * Apply a particle preset to a particle emitter, the texture of the particle emitter is kept.
+ *
+ * The group and emitter of the particle are replaced using a single action that can be undone.
+ *
+ * @static
+ * @method applyPreset
+ * @param {ParticleEmitter} particle Particle emitter to apply the preset to.
+ * @param {ParticlePreset} preset Preset to be applied.
+ */
+ParticleEditor.applyPreset = function(particle, preset)
+{
+	var group = new ParticleGroup(preset.getGroupOptions(particle.group.texture));
+	var emitter = new ParticleEmitterControl(preset.getEmitterOptions());
+	group.addEmitter(emitter);
+
+	var actions = [new ChangeAction(particle, "group", group), new ChangeAction(particle, "emitter", emitter)];
+	for (var i in preset.settings)
+	{
+		actions.push(new ChangeAction(particle, i, preset.settings[i]));
+	}
+
+	Editor.addAction(new CallbackAction(new ActionBundle(actions), function()
+	{
+		particle.updateRenderMode();
+
+		var tab = Editor.gui.tab.getTab(ParticleEditor, particle);
+		if (tab !== null)
+		{
+			tab.attach(particle);
+		}
+	}));
+};
+
+/**
+ * Add a button to apply a built-in preset, the button shows a preview of the preset.
+ *
+ * @method addPresetButton
+ * @param {string} name Name of the preset in the library.
+ * @param {number} index Index of the button in the presets row.
+ */
+ParticleEditor.prototype.addPresetButton = function(name, index)
+{
+	var self = this;
+
+	var button = new ButtonIcon(this.presets);
+	button.size.set(40, 40);
+	button.position.set(index * 42, 0);
+	button.setImageScale(1, 1);
+	button.setAltText(Locale[name]);
+	button.setOnClick(function()
+	{
+		ParticleEditor.applyPreset(self.particle, ParticlePresetLibrary.get(name));
+	});
+	button.updateInterface();
+
+	ParticleRenderer.render(ParticlePresetLibrary.get(name), function(url)
+	{
+		button.setImage(url);
+	});
+};
+
 // Update object data
 ParticleEditor.prototype.updateMetadata = function()
 {
@@ -537,6 +786,20 @@ ParticleEditor.prototype.attach = function(particle)
 	}
 	this.colorSpread.setValue(colorSpread);
 
+	this.collisionMode.setValue(particle.emitter.collision.mode);
+	this.collisionResponse.setValue(particle.emitter.collision.response);
+	this.collisionNormal.setValue(particle.emitter.collision.normal);
+	this.collisionConstant.setValue(particle.emitter.collision.constant);
+	this.collisionBounce.setValue(particle.emitter.collision.bounce);
+
+	this.subEmitter.setValue(particle.subEmitter);
+	this.subEmitterCount.setValue(particle.subEmitterCount);
+
+	this.renderMode.setValue(particle.renderMode);
+	this.trailLength.setValue(particle.trailLength);
+	this.trailSegments.setValue(particle.trailSegments);
+	this.trailWidth.setValue(particle.trailWidth);
+
 	// Create runtime particle to preview particle
 	this.particle.reload();
 };
@@ -612,12 +875,23 @@ ParticleEditor.prototype.update = function()
 		this.updateCamera();
 	}
 	
-	this.particle.matrixWorld.getInverse(this.scene.matrixWorld);
+	// Sub emitters are previewed with their parent
+	var particle = this.particle;
+	while (particle.isSubEmitter())
+	{
+		particle = particle.parent;
+	}
+
+	particle.matrixWorld.getInverse(this.scene.matrixWorld);
+	for (var i = 0; i < particle.children.length; i++)
+	{
+		particle.children[i].updateMatrixWorld(true);
+	}
 
 	// Render grid and axis
 	this.canvas.renderer.clear(true, true, true);
 	this.canvas.renderer.render(this.scene, this.camera);
-	this.canvas.renderer.render(this.particle, this.camera);
+	this.canvas.renderer.render(particle, this.camera);
 };
 
 ParticleEditor.prototype.updateSize = function()
@@ -0,0 +1,162 @@
+import {AdditiveBlending, NormalBlending} from "three";
+import {ParticlePreset} from "../../../../core/resources/ParticlePreset.js";
+import {ParticleEmitter} from "../../../../core/objects/particle/ParticleEmitter.js";
+import {ParticleEmitterControl} from "../../../../core/objects/particle/core/ParticleEmitterControl.js";
+import {ParticleDistributions} from "../../../../core/objects/particle/ParticleDistributions.js";
+import {Locale} from "../../../locale/LocaleManager.js";
+
+/**
+ * Library of built-in particle presets available in the particle editor.
+ *
+ * Presets are described in the same format used to serialize ParticlePreset resources, identified by their locale key.
+ *
+ * @static
+ * @class ParticlePresetLibrary
+ */
+var ParticlePresetLibrary = {};
+
+/**
+ * Serialized data of the built-in presets, indexed by locale key.
+ *
+ * @attribute presets
+ * @type {Object}
+ */
+ParticlePresetLibrary.presets =
+{
+	fire:
+	{
+		group: {maxParticleCount: 300, blending: AdditiveBlending},
+		emitter:
+		{
+			particleCount: 300,
+			maxAge: {value: 1.2, spread: 0.4},
+			position: {value: [0, 0, 0], spread: [0.6, 0, 0.6]},
+			velocity: {value: [0, 2, 0], spread: [0.4, 0.6, 0.4]},
+			acceleration: {value: [0, 0.5, 0], spread: [0, 0, 0]},
+			wiggle: {value: 0.2, spread: 0},
+			opacity: {value: [0.8, 1.0, 0.6, 0.0], spread: 0},
+			size: {value: [1.2, 1.0, 0.6, 0.2], spread: 0.2},
+			color: {value: [0xFFDD55, 0xFF8800, 0xFF3300, 0x331100], spread: [[0, 0, 0], [0.1, 0.1, 0], [0.1, 0, 0], [0, 0, 0]]}
+		}
+	},
+	smoke:
+	{
+		group: {maxParticleCount: 120, blending: NormalBlending},
+		emitter:
+		{
+			particleCount: 120,
+			maxAge: {value: 4, spread: 1},
+			position: {value: [0, 0, 0], spread: [0.5, 0, 0.5]},
+			velocity: {value: [0, 1, 0], spread: [0.3, 0.2, 0.3]},
+			acceleration: {value: [0.2, 0.1, 0], spread: [0.1, 0, 0.1]},
+			opacity: {value: [0.0, 0.5, 0.3, 0.0], spread: 0},
+			size: {value: [1, 2, 3, 4], spread: 0.5},
+			angle: {value: [0, 1], spread: 0.5},
+			color: {value: [0x666666, 0x777777, 0x888888, 0x999999]}
+		}
+	},
+	sparks:
+	{
+		group: {maxParticleCount: 150, blending: AdditiveBlending},
+		emitter:
+		{
+			particleCount: 150,
+			maxAge: {value: 1, spread: 0.3},
+			position: {value: [0, 0.1, 0], spread: [0.1, 0, 0.1]},
+			velocity: {value: [0, 4, 0], spread: [4, 3, 4]},
+			acceleration: {value: [0, -9.8, 0], spread: [0, 0, 0]},
+			opacity: {value: [1.0, 1.0, 0.8, 0.0], spread: 0},
+			size: {value: [0.2, 0.15, 0.1, 0.05], spread: 0},
+			color: {value: [0xFFFFAA, 0xFFCC44, 0xFF8800, 0xFF4400]},
+			collision: {mode: ParticleEmitterControl.COLLISION_PLANE, response: ParticleEmitterControl.BOUNCE, normal: [0, 1, 0], constant: 0, bounce: 0.4}
+		},
+		settings: {renderMode: ParticleEmitter.TRAIL, trailLength: 0.1, trailSegments: 4, trailWidth: 0.05}
+	},
+	rain:
+	{
+		group: {maxParticleCount: 600, blending: AdditiveBlending},
+		emitter:
+		{
+			particleCount: 600,
+			maxAge: {value: 1.5, spread: 0},
+			position: {value: [0, 10, 0], spread: [20, 0, 20]},
+			velocity: {value: [0, -12, 0], spread: [0.5, 1, 0.5]},
+			acceleration: {value: [0, 0, 0], spread: [0, 0, 0]},
+			opacity: {value: [0.6, 0.6, 0.6, 0.6], spread: 0},
+			size: {value: 0.1, spread: 0},
+			color: {value: [0xAACCFF]},
+			collision: {mode: ParticleEmitterControl.COLLISION_PLANE, response: ParticleEmitterControl.KILL, normal: [0, 1, 0], constant: 0, bounce: 0}
+		},
+		settings: {renderMode: ParticleEmitter.TRAIL, trailLength: 0.08, trailSegments: 1, trailWidth: 0.02}
+	},
+	snow:
+	{
+		group: {maxParticleCount: 400, blending: NormalBlending},
+		emitter:
+		{
+			particleCount: 400,
+			maxAge: {value: 8, spread: 2},
+			position: {value: [0, 8, 0], spread: [20, 0, 20]},
+			velocity: {value: [0, -1, 0], spread: [0.3, 0.2, 0.3]},
+			acceleration: {value: [0, 0, 0], spread: [0, 0, 0]},
+			wiggle: {value: 1.5, spread: 0.5},
+			opacity: {value: [0.0, 1.0, 1.0, 0.0], spread: 0},
+			size: {value: 0.3, spread: 0.15},
+			color: {value: [0xFFFFFF]}
+		}
+	},
+	magic:
+	{
+		group: {maxParticleCount: 300, blending: AdditiveBlending},
+		emitter:
+		{
+			particleCount: 300,
+			type: ParticleDistributions.SPHERE,
+			maxAge: {value: 2, spread: 0.5},
+			position: {value: [0, 1, 0], spread: [0, 0, 0], radius: 1},
+			velocity: {value: [0, 0, 0], spread: [1, 1, 1]},
+			acceleration: {value: [0, 0.5, 0], spread: [0, 0, 0]},
+			wiggle: {value: 0.5, spread: 0.2},
+			opacity: {value: [0.0, 1.0, 0.8, 0.0], spread: 0},
+			size: {value: [0.1, 0.4, 0.3, 0.0], spread: 0.1},
+			angle: {value: [0, 3], spread: 1},
+			color: {value: [0x88CCFF, 0xAA66FF, 0xFF66CC, 0x6644FF]}
+		}
+	}
+};
+
+/**
+ * Get the names (locale keys) of the built-in presets.
+ *
+ * @method getNames
+ * @return {Array} Names of the presets.
+ */
+ParticlePresetLibrary.getNames = function()
+{
+	return Object.keys(ParticlePresetLibrary.presets);
+};
+
+/**
+ * Create a new particle preset resource from a built-in preset.
+ *
+ * @method get
+ * @param {string} name Name (locale key) of the preset.
+ * @return {ParticlePreset} Particle preset created, null if there is no preset with the name.
+ */
+ParticlePresetLibrary.get = function(name)
+{
+	var data = ParticlePresetLibrary.presets[name];
+	if (data === undefined)
+	{
+		return null;
+	}
+
+	var preset = new ParticlePreset(Locale[name]);
+	preset.group = JSON.parse(JSON.stringify(data.group));
+	preset.emitter = JSON.parse(JSON.stringify(data.emitter));
+	preset.setSettings(data.settings);
+
+	return preset;
+};
+
+export {ParticlePresetLibrary};
@@ -1,14 +1,19 @@
-import {Object2D, Viewport, Renderer, ViewportControls, Box, Circle} from "escher.js/build/escher.module.js";
+import {Profiler} from "../../../../core/utils/timer/Profiler.js";
 import {Locale} from "../../../locale/LocaleManager.js";
 import {Global} from "../../../Global.js";
 import {Editor} from "../../../Editor.js";
+import {DOMUtils} from "../../../utils/DOMUtils.js";
 import {TabComponent} from "../../../components/tabs/TabComponent.js";
 import {Canvas} from "../../../components/Canvas.js";
+import {SceneEditor} from "../scene-editor/SceneEditor.js";
+import {RunProject} from "../run/RunProject.js";
 
 /**
  * Profiling tab is used to measure the performance of the application booth in the editor and while it is running.
  *
- * Can measure FPS, CPU usage, memory etc, some metrics may only be available when the editor is running in desktop.
+ * Displays live graphs for frame, render and memory metrics and for the time spent in each phase of the frame.
+ *
+ * Metrics are collected from the active scene editor or run tab, some metrics (e.g. JS heap) may not be available in all browsers.
  *
  * @constructor
  * @class ProfilingTab
@@ -24,56 +29,343 @@ function ProfilingTab(parent, closeable, container, index)
 
 	/**
 	 * Canvas used to draw the profilling graphs.
-	 * 
+	 *
 	 * @attribute canvas
 	 * @type {Canvas}
 	 */
 	this.canvas = new Canvas(this);
-	this.canvas.watchPointer();
 
-	this.group = new Object2D();
+	/**
+	 * Drawing context of the canvas.
+	 *
+	 * @attribute context
+	 * @type {CanvasRenderingContext2D}
+	 */
+	this.context = this.canvas.getContext("2d");
 
-	this.viewport = new Viewport(this.canvas.element);
+	/**
+	 * Number of samples stored for each metric.
+	 *
+	 * @attribute samples
+	 * @type {number}
+	 */
+	this.samples = 120;
 
-	this.renderer = new Renderer(this.canvas.element);
+	/**
+	 * Tab from where the metrics are being collected.
+	 *
+	 * Can be a SceneEditor or a RunProject tab.
+	 *
+	 * @attribute target
+	 * @type {TabComponent}
+	 */
+	this.target = null;
 
-	this.controls = new ViewportControls(this.viewport);
+	/**
+	 * Profiler of the target tab.
+	 *
+	 * @attribute profiler
+	 * @type {Profiler}
+	 */
+	this.profiler = null;
 
-	var box = new Box();
-	box.position.set(-100, 0);
-	this.group.add(box);
+	/**
+	 * Metrics displayed in the tab.
+	 *
+	 * Each metric has a name, unit, color, a sample method and the list of values collected.
+	 *
+	 * @attribute metrics
+	 * @type {Array}
+	 */
+	this.metrics = [];
 
-	var circle = new Circle();
-	circle.position.set(100, 0);
-	circle.radius = 50;
-	this.group.add(circle);
+	this.addMetric(Locale.fps, "", "#00FF00", function(profiler)
+	{
+		return profiler.frameTime > 0 ? 1000 / profiler.frameTime : 0;
+	});
+	this.addMetric(Locale.frameTime, "ms", "#FFFF00", function(profiler)
+	{
+		return profiler.frameTime;
+	});
+	this.addMetric(Locale.update, "ms", "#FF8800", function(profiler)
+	{
+		return profiler.get(Profiler.UPDATE);
+	});
+	this.addMetric(Locale.scripts, "ms", "#FF00FF", function(profiler)
+	{
+		return profiler.get(Profiler.SCRIPTS);
+	});
+	this.addMetric(Locale.physics, "ms", "#00FFFF", function(profiler)
+	{
+		return profiler.get(Profiler.PHYSICS);
+	});
+	this.addMetric(Locale.particles, "ms", "#FF5555", function(profiler)
+	{
+		return profiler.get(Profiler.PARTICLES);
+	});
+	this.addMetric(Locale.render, "ms", "#5588FF", function(profiler)
+	{
+		return profiler.get(Profiler.RENDER);
+	});
+	this.addMetric(Locale.drawCalls, "", "#FFFFFF", function(profiler, renderer)
+	{
+		return renderer !== null ? renderer.info.render.calls : null;
+	});
+	this.addMetric(Locale.triangles, "", "#AAAAFF", function(profiler, renderer)
+	{
+		return renderer !== null ? renderer.info.render.triangles : null;
+	});
+	this.addMetric(Locale.geometries, "", "#88FF88", function(profiler, renderer)
+	{
+		return renderer !== null ? renderer.info.memory.geometries : null;
+	});
+	this.addMetric(Locale.textures, "", "#FFAA88", function(profiler, renderer)
+	{
+		return renderer !== null ? renderer.info.memory.textures : null;
+	});
+	this.addMetric(Locale.jsHeap, "MB", "#FF88FF", function()
+	{
+		return performance.memory !== undefined ? performance.memory.usedJSHeapSize / 1048576 : null;
+	});
 }
 
 ProfilingTab.prototype = Object.create(TabComponent.prototype);
 
-ProfilingTab.prototype.update = function()
+/**
+ * Add a new metric to be displayed in the tab.
+ *
+ * @method addMetric
+ * @param {string} name Name of the metric.
+ * @param {string} unit Unit of the metric values.
+ * @param {string} color CSS color of the graph.
+ * @param {Function} sample Method to get the current value of the metric, receives the profiler and renderer of the target tab. Should return null if the value is not available.
+ */
+ProfilingTab.prototype.addMetric = function(name, unit, color, sample)
 {
-	// Renderer info
+	this.metrics.push({
+		name: name,
+		unit: unit,
+		color: color,
+		sample: sample,
+		values: []
+	});
+};
+
+/**
+ * Get the tab to collect metrics from, running programs have priority over scene editors.
+ *
+ * @method getTarget
+ * @return {TabComponent} Tab to collect metrics from, null if there is no tab available.
+ */
+ProfilingTab.prototype.getTarget = function()
+{
+	var target = null;
 	var tabs = Editor.gui.tab.getActiveTab();
+
 	for (var i = 0; i < tabs.length; i++)
 	{
-		var tab = tabs[i];
-		var renderer = tab.renderer || (tab.canvas ? tab.canvas.renderer : undefined);
-		if (renderer !== undefined)
+		if (tabs[i] instanceof RunProject && tabs[i].program !== null)
+		{
+			return tabs[i];
+		}
+		else if (tabs[i] instanceof SceneEditor && target === null)
+		{
+			target = tabs[i];
+		}
+	}
+
+	return target;
+};
+
+/**
+ * Set the profiler used to collect metrics, the previous profiler is disabled and the metric values are cleared.
+ *
+ * @method setProfiler
+ * @param {Profiler} profiler Profiler to be used.
+ */
+ProfilingTab.prototype.setProfiler = function(profiler)
+{
+	if (this.profiler === profiler)
+	{
+		return;
+	}
+
+	if (this.profiler !== null)
+	{
+		this.profiler.enabled = false;
+	}
+
+	this.profiler = profiler;
+
+	if (this.profiler !== null)
+	{
+		this.profiler.reset();
+		this.profiler.enabled = true;
+	}
+
+	for (var i = 0; i < this.metrics.length; i++)
+	{
+		this.metrics[i].values = [];
+	}
+};
+
+ProfilingTab.prototype.deactivate = function()
+{
+	TabComponent.prototype.deactivate.call(this);
+
+	this.setProfiler(null);
+	this.target = null;
+};
+
+ProfilingTab.prototype.update = function()
+{
+	this.target = this.getTarget();
+
+	if (this.target === null)
+	{
+		this.setProfiler(null);
+	}
+	else if (this.target instanceof RunProject)
+	{
+		this.setProfiler(this.target.program.profiler);
+	}
+	else
+	{
+		this.setProfiler(this.target.profiler);
+	}
+
+	if (this.profiler !== null)
+	{
+		var renderer = this.target.canvas.renderer;
+
+		for (var i = 0; i < this.metrics.length; i++)
 		{
-			// TODO <CHANGE THIS>
-			// console.log(renderer.info);
+			var metric = this.metrics[i];
+
+			metric.values.push(metric.sample(this.profiler, renderer));
+			if (metric.values.length > this.samples)
+			{
+				metric.values.shift();
+			}
 		}
 	}
 
-	if (this.canvas.pointerInside)
+	this.draw();
+};
+
+/**
+ * Draw the graphs of all metrics into the canvas.
+ *
+ * The graphs are organized in a grid and the vertical scale of each graph is adjusted to the maximum value collected.
+ *
+ * @method draw
+ */
+ProfilingTab.prototype.draw = function()
+{
+	var context = this.context;
+	var pixelRatio = Editor.getPixelRatio();
+	var width = this.size.x;
+	var height = this.size.y;
+
+	context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+	context.clearRect(0, 0, width, height);
+	context.font = DOMUtils.getCSSVariable("--font-main-size") + " " + DOMUtils.getCSSVariable("--font-main-family");
+	context.textBaseline = "top";
+
+	if (this.profiler === null)
 	{
-		this.controls.update(this.renderer.pointer);
+		context.fillStyle = DOMUtils.getCSSVariable("--color-light");
+		context.fillText(Locale.noProfilingData, 10, 10);
+		return;
 	}
-	this.renderer.update(this.group, this.viewport);
 
-	// System metrics
-	// TODO <ADD CODE HERE>
+	var columns = Math.max(1, Math.floor(width / 200));
+	var rows = Math.ceil(this.metrics.length / columns);
+	var graphWidth = width / columns;
+	var graphHeight = height / rows;
+	var margin = 3;
+
+	for (var i = 0; i < this.metrics.length; i++)
+	{
+		var metric = this.metrics[i];
+		var x = i % columns * graphWidth + margin;
+		var y = Math.floor(i / columns) * graphHeight + margin;
+		var w = graphWidth - margin * 2;
+		var h = graphHeight - margin * 2;
+
+		context.fillStyle = DOMUtils.getCSSVariable("--bar-color");
+		context.fillRect(x, y, w, h);
+
+		var max = 0;
+		for (var j = 0; j < metric.values.length; j++)
+		{
+			if (metric.values[j] !== null && metric.values[j] > max)
+			{
+				max = metric.values[j];
+			}
+		}
+
+		// Graph line
+		if (max > 0)
+		{
+			var step = w / (this.samples - 1);
+			var offset = this.samples - metric.values.length;
+			var drawing = false;
+
+			context.strokeStyle = metric.color;
+			context.lineWidth = 1;
+			context.beginPath();
+
+			for (var j = 0; j < metric.values.length; j++)
+			{
+				if (metric.values[j] === null)
+				{
+					drawing = false;
+					continue;
+				}
+
+				var px = x + (offset + j) * step;
+				var py = y + h - metric.values[j] / max * (h - 20);
+
+				if (drawing)
+				{
+					context.lineTo(px, py);
+				}
+				else
+				{
+					context.moveTo(px, py);
+					drawing = true;
+				}
+			}
+
+			context.stroke();
+		}
+
+		// Current value
+		var value = metric.values.length > 0 ? metric.values[metric.values.length - 1] : null;
+		var text = metric.name + ": " + (value !== null ? ProfilingTab.formatValue(value) + " " + metric.unit : Locale.notAvailable);
+
+		context.fillStyle = metric.color;
+		context.fillText(text, x + 4, y + 4);
+
+		context.fillStyle = DOMUtils.getCSSVariable("--color-gray-light");
+		context.textAlign = "right";
+		context.fillText(ProfilingTab.formatValue(max), x + w - 4, y + 4);
+		context.textAlign = "left";
+	}
+};
+
+/**
+ * Format a metric value to be displayed, large values are rounded and small values are displayed with two decimal places.
+ *
+ * @static
+ * @method formatValue
+ * @param {number} value Value to be formatted.
+ * @return {string} Formatted value.
+ */
+ProfilingTab.formatValue = function(value)
+{
+	return value >= 100 ? Math.round(value).toString() : value.toFixed(2);
 };
 
 ProfilingTab.prototype.updateSize = function()
@@ -0,0 +1,326 @@
+import {FileSystem} from "../../../../core/FileSystem.js";
+import {Locale} from "../../../locale/LocaleManager.js";
+import {Global} from "../../../Global.js";
+import {Editor} from "../../../Editor.js";
+import {TabComponent} from "../../../components/tabs/TabComponent.js";
+import {Component} from "../../../components/Component.js";
+import {ButtonText} from "../../../components/buttons/ButtonText.js";
+import {RunProject} from "../run/RunProject.js";
+
+/**
+ * Script profiling tab displays the time spent in each script of the running program.
+ *
+ * Scripts are only measured if script profiling is enabled in the editor settings before running the project.
+ *
+ * Results are displayed in a table that can be sorted by any column and exported to a JSON file.
+ *
+ * @constructor
+ * @class ScriptProfilingTab
+ * @extends {TabComponent}
+ * @param parent
+ * @param closeable
+ * @param container
+ * @param index
+ */
+function ScriptProfilingTab(parent, closeable, container, index)
+{
+	TabComponent.call(this, parent, closeable, container, index, Locale.scriptProfiler, Global.FILE_PATH + "icons/misc/js.png");
+
+	var self = this;
+
+	/**
+	 * Profiler of the program being measured.
+	 *
+	 * The last profiler is kept after the program stops running so that the results can still be exported.
+	 *
+	 * @attribute profiler
+	 * @type {Profiler}
+	 */
+	this.profiler = null;
+
+	/**
+	 * Key of the column used to sort the table.
+	 *
+	 * @attribute sortColumn
+	 * @type {string}
+	 */
+	this.sortColumn = "total";
+
+	/**
+	 * If true the table is sorted in ascending order.
+	 *
+	 * @attribute sortAscending
+	 * @type {boolean}
+	 */
+	this.sortAscending = false;
+
+	/**
+	 * Timestamp of the last table refresh, the table is refreshed periodically to keep the values readable.
+	 *
+	 * @attribute lastRefresh
+	 * @type {number}
+	 */
+	this.lastRefresh = 0;
+
+	/**
+	 * Menu bar with the export and reset options.
+	 *
+	 * @attribute bar
+	 * @type {Component}
+	 */
+	this.bar = new Component(this, "div");
+	this.bar.size.set(0, 25);
+	this.bar.element.style.position = "absolute";
+	this.bar.element.style.height = "25px";
+	this.bar.element.style.width = "100%";
+	this.bar.element.style.backgroundColor = "var(--bar-color)";
+
+	var exportJSON = new ButtonText(this.bar);
+	exportJSON.position.set(0, 0);
+	exportJSON.size.set(100, this.bar.size.y);
+	exportJSON.setText(Locale.export);
+	exportJSON.updateInterface();
+	exportJSON.setOnClick(function()
+	{
+		self.exportJSON();
+	});
+
+	var reset = new ButtonText(this.bar);
+	reset.position.set(100, 0);
+	reset.size.set(100, this.bar.size.y);
+	reset.setText(Locale.reset);
+	reset.updateInterface();
+	reset.setOnClick(function()
+	{
+		if (self.profiler !== null)
+		{
+			self.profiler.resetScripts();
+			self.refresh();
+		}
+	});
+
+	/**
+	 * Division where the results table is placed.
+	 *
+	 * @attribute content
+	 * @type {Element}
+	 */
+	this.content = document.createElement("div");
+	this.content.style.position = "absolute";
+	this.content.style.overflow = "auto";
+	this.content.style.top = "25px";
+	this.content.style.left = "0px";
+	this.content.style.color = "var(--color-light)";
+	this.element.appendChild(this.content);
+}
+
+ScriptProfilingTab.prototype = Object.create(TabComponent.prototype);
+
+/**
+ * Columns displayed in the table, each column has the key of the value in the script record, the label and if the values are times.
+ *
+ * @static
+ * @attribute COLUMNS
+ * @type {Array}
+ */
+ScriptProfilingTab.COLUMNS = [
+	{key: "name", label: "name", time: false},
+	{key: "type", label: "type", time: false},
+	{key: "initialize", label: "initialize", time: true},
+	{key: "update", label: "update", time: true},
+	{key: "onMouseOver", label: "mouseOver", time: true},
+	{key: "total", label: "total", time: true},
+	{key: "average", label: "average", time: true},
+	{key: "max", label: "max", time: true}
+];
+
+/**
+ * Get the profiler of the running program, if no program is running the last profiler is returned.
+ *
+ * @method getProfiler
+ * @return {Profiler} Profiler with script times, null if no program was run.
+ */
+ScriptProfilingTab.prototype.getProfiler = function()
+{
+	var tabs = Editor.gui.tab.getActiveTab();
+
+	for (var i = 0; i < tabs.length; i++)
+	{
+		if (tabs[i] instanceof RunProject && tabs[i].program !== null && tabs[i].program.profiler.profileScripts)
+		{
+			return tabs[i].program.profiler;
+		}
+	}
+
+	return this.profiler;
+};
+
+/**
+ * Set the column used to sort the table, if the column is already being used the sort order is inverted.
+ *
+ * @method sortBy
+ * @param {string} column Key of the column.
+ */
+ScriptProfilingTab.prototype.sortBy = function(column)
+{
+	if (this.sortColumn === column)
+	{
+		this.sortAscending = !this.sortAscending;
+	}
+	else
+	{
+		this.sortColumn = column;
+		this.sortAscending = column === "name" || column === "type";
+	}
+
+	this.refresh();
+};
+
+/**
+ * Get the script times sorted by the selected column.
+ *
+ * @method getScripts
+ * @return {Array} Script times sorted.
+ */
+ScriptProfilingTab.prototype.getScripts = function()
+{
+	var scripts = this.profiler !== null ? this.profiler.getScripts() : [];
+	var column = this.sortColumn;
+	var order = this.sortAscending ? 1 : -1;
+
+	scripts.sort(function(a, b)
+	{
+		if (a[column] < b[column])
+		{
+			return -order;
+		}
+		else if (a[column] > b[column])
+		{
+			return order;
+		}
+
+		return 0;
+	});
+
+	return scripts;
+};
+
+/**
+ * Export the script times to a JSON file.
+ *
+ * @method exportJSON
+ */
+ScriptProfilingTab.prototype.exportJSON = function()
+{
+	if (this.profiler === null)
+	{
+		Editor.alert(Locale.hintProfileScripts);
+		return;
+	}
+
+	var data = JSON.stringify(this.getScripts(), null, "\t");
+
+	FileSystem.chooseFileWrite(function(fname)
+	{
+		FileSystem.writeFile(fname, data);
+	}, ".json");
+};
+
+/**
+ * Rebuild the results table with the current values of the profiler.
+ *
+ * @method refresh
+ */
+ScriptProfilingTab.prototype.refresh = function()
+{
+	var self = this;
+
+	this.content.innerHTML = "";
+
+	if (this.profiler === null)
+	{
+		this.content.appendChild(document.createTextNode(Locale.hintProfileScripts));
+		return;
+	}
+
+	var table = document.createElement("table");
+	table.style.width = "100%";
+	table.style.borderCollapse = "collapse";
+
+	// Header
+	var header = table.insertRow(0);
+	for (var i = 0; i < ScriptProfilingTab.COLUMNS.length; i++)
+	{
+		var column = ScriptProfilingTab.COLUMNS[i];
+		var label = Locale[column.label] + (column.time ? " (ms)" : "");
+
+		if (column.key === this.sortColumn)
+		{
+			label += this.sortAscending ? " ▲" : " ▼";
+		}
+
+		var cell = header.insertCell(i);
+		cell.style.cursor = "pointer";
+		cell.style.fontWeight = "bold";
+		cell.style.backgroundColor = "var(--bar-color)";
+		cell.style.padding = "3px";
+		cell.appendChild(document.createTextNode(label));
+		cell.key = column.key;
+		cell.onclick = function()
+		{
+			self.sortBy(this.key);
+		};
+	}
+
+	// Scripts
+	var scripts = this.getScripts();
+	for (var i = 0; i < scripts.length; i++)
+	{
+		var row = table.insertRow(i + 1);
+
+		for (var j = 0; j < ScriptProfilingTab.COLUMNS.length; j++)
+		{
+			var column = ScriptProfilingTab.COLUMNS[j];
+			var value = scripts[i][column.key];
+
+			var cell = row.insertCell(j);
+			cell.style.padding = "3px";
+			cell.appendChild(document.createTextNode(column.time ? value.toFixed(3) : value));
+		}
+	}
+
+	this.content.appendChild(table);
+};
+
+ScriptProfilingTab.prototype.activate = function()
+{
+	TabComponent.prototype.activate.call(this);
+
+	this.refresh();
+};
+
+ScriptProfilingTab.prototype.update = function()
+{
+	var profiler = this.getProfiler();
+	var now = performance.now();
+
+	if (profiler !== this.profiler || now - this.lastRefresh > 500)
+	{
+		this.profiler = profiler;
+		this.lastRefresh = now;
+		this.refresh();
+	}
+};
+
+ScriptProfilingTab.prototype.updateSize = function()
+{
+	TabComponent.prototype.updateSize.call(this);
+
+	this.bar.size.x = this.size.x;
+	this.bar.updateInterface();
+
+	this.content.style.width = this.size.x + "px";
+	this.content.style.height = this.size.y - 25 + "px";
+};
+
+export {ScriptProfilingTab};
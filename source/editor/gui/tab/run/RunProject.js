@@ -241,6 +241,7 @@ RunProject.prototype.runProgram = function()
 
 		// Set runtime variables
 		this.program.setRenderer(this.canvas.renderer);
+		this.program.profiler.profileScripts = Editor.settings.general.profileScripts;
 		this.program.initialize();
 		this.program.resize(this.canvas.canvas.width, this.canvas.canvas.height);
 	}
@@ -315,6 +316,10 @@ RunProject.prototype.runProgram = function()
 
 		try
 		{
+			// Renderer info is reset once per frame to measure all the cameras and effects
+			self.canvas.renderer.info.autoReset = false;
+			self.canvas.renderer.info.reset();
+
 			self.program.render(self.canvas.renderer);
 		}
 		catch (error)
@@ -18,6 +18,8 @@ import {Group} from "../../../../core/objects/misc/Group.js";
 import {Image} from "../../../../core/resources/Image.js";
 import {Keyboard} from "../../../../core/input/Keyboard.js";
 import {LensFlare} from "../../../../core/objects/misc/LensFlare.js";
+import {DirectionalLightCSM} from "../../../../core/objects/lights/DirectionalLightCSM.js";
+import {TextSDF} from "../../../../core/objects/text/TextSDF.js";
 import {Loaders} from "../../../Loaders.js";
 import {Locale} from "../../../locale/LocaleManager.js";
 import {Model} from "../../../../core/resources/Model.js";
@@ -25,8 +27,13 @@ import {Mouse} from "../../../../core/input/Mouse.js";
 import {Nunu} from "../../../../core/Nunu.js";
 import {ObjectIcons} from "../../../utils/ObjectIcons.js";
 import {OrthographicCamera} from "../../../../core/objects/cameras/OrthographicCamera.js";
+import {ParticleEmitter} from "../../../../core/objects/particle/ParticleEmitter.js";
+import {ParticlePreset} from "../../../../core/resources/ParticlePreset.js";
+import {Prefab} from "../../../../core/resources/Prefab.js";
 import {PerspectiveCamera} from "../../../../core/objects/cameras/PerspectiveCamera.js";
 import {PhysicsObject} from "../../../../core/objects/physics/PhysicsObject.js";
+import {PhysicsConstraint} from "../../../../core/objects/physics/PhysicsConstraint.js";
+import {Profiler} from "../../../../core/utils/timer/Profiler.js";
 import {RendererCanvas} from "../../../components/RendererCanvas.js";
 import {Settings} from "../../../Settings.js";
 import {SpineAnimation} from "../../../../core/objects/spine/SpineAnimation.js";
@@ -35,6 +42,7 @@ import {TabComponent} from "../../../components/tabs/TabComponent.js";
 import {Video} from "../../../../core/resources/Video.js";
 import {VideoTexture} from "../../../../core/texture/VideoTexture.js";
 import {Viewport} from "../../../../core/objects/cameras/Viewport.js";
+import {ParticleEditor} from "../particle-editor/ParticleEditor.js";
 import {TransformControls} from "./transform/TransformControls.js";
 import {ToolBar} from "./toolbar/ToolBar.js";
 import {SkeletonHelper} from "./helpers/SkeletonHelper.js";
@@ -42,6 +50,7 @@ import {SideBar} from "./sidebar/SideBar.js";
 import {RectAreaLightHelper} from "./helpers/RectAreaLightHelper.js";
 import {PointsHelper} from "./helpers/PointsHelper.js";
 import {PhysicsObjectHelper} from "./helpers/PhysicsObjectHelper.js";
+import {PhysicsConstraintHelper} from "./helpers/PhysicsConstraintHelper.js";
 import {OrientationCube} from "./utils/OrientationCube.js";
 import {ObjectIconHelper} from "./helpers/ObjectIconHelper.js";
 import {LineHelper} from "./helpers/LineHelper.js";
@@ -262,6 +271,14 @@ function SceneEditor(parent, closeable, container, index)
 							Editor.addAction(new ChangeAction(object, "geometry", draggedObject));
 						}
 					}
+					// Particle preset
+					else if (draggedObject instanceof ParticlePreset)
+					{
+						if (object instanceof ParticleEmitter)
+						{
+							ParticleEditor.applyPreset(object, draggedObject);
+						}
+					}
 				}
 
 				// Create audio emitter
@@ -271,6 +288,16 @@ function SceneEditor(parent, closeable, container, index)
 					audio.name = draggedObject.name;
 					Editor.addObject(audio);
 				}
+				// Create prefab instance
+				else if (draggedObject instanceof Prefab)
+				{
+					var instance = draggedObject.instantiate(Editor.program);
+					if (intersections.length > 0)
+					{
+						instance.position.copy(intersections[0].point);
+					}
+					Editor.addObject(instance);
+				}
 			}
 			// Dragged file
 			else if (event.dataTransfer.files.length > 0)
@@ -344,6 +371,14 @@ function SceneEditor(parent, closeable, container, index)
 	 */
 	this.mouse = new Mouse(window, true);
 
+	/**
+	 * Profiler used to measure the time spent updating and rendering the editor scene.
+	 *
+	 * @attribute profiler
+	 * @type {Profiler}
+	 */
+	this.profiler = new Profiler();
+
 	/** 
 	 * Raycaster object used for object picking.
 	 *
@@ -370,6 +405,14 @@ function SceneEditor(parent, closeable, container, index)
 	 */
 	this.scene = null;
 
+	/**
+	 * Cascaded shadow lights of the scene, their cascades are updated for the editor camera before rendering.
+	 *
+	 * @attribute lightsCSM
+	 * @type {Array}
+	 */
+	this.lightsCSM = [];
+
 	/** 
 	 * The tool bar contains the selector for the transform tools and object placing icons.
 	 *
@@ -788,6 +831,9 @@ SceneEditor.prototype.updateSettings = function()
 	this.transform.snap = Editor.settings.editor.snap;
 	this.transform.translationSnap = Editor.settings.editor.gridSpacing;
 	this.transform.rotationSnap = Editor.settings.editor.snapAngle;
+
+	// Plugins
+	this.sideBar.updatePlugins();
 };
 
 SceneEditor.prototype.destroy = function()
@@ -807,6 +853,7 @@ SceneEditor.prototype.attach = function(scene)
 {
 	this.scene = scene;
 	this.updateMetadata();
+	this.updateObjectsView();
 
 	if (this.camera !== null)
 	{
@@ -814,6 +861,34 @@ SceneEditor.prototype.attach = function(scene)
 	}
 };
 
+/**
+ * Get the cascaded shadow lights of the scene and patch the materials of the scene to use them.
+ *
+ * @method updateObjectsView
+ */
+SceneEditor.prototype.updateObjectsView = function()
+{
+	var lights = [];
+
+	if (this.scene !== null)
+	{
+		this.scene.traverse(function(child)
+		{
+			if (child instanceof DirectionalLightCSM)
+			{
+				lights.push(child);
+			}
+		});
+
+		for (var i = 0; i < lights.length; i++)
+		{
+			lights[i].updateMaterials(this.scene);
+		}
+	}
+
+	this.lightsCSM = lights;
+};
+
 /**
  * Check if a scene or object is attached to the editor.
  *
@@ -849,6 +924,9 @@ SceneEditor.prototype.focusObject = function()
  */
 SceneEditor.prototype.update = function()
 {
+	this.profiler.frame();
+	this.profiler.begin(Profiler.UPDATE);
+
 	this.mouse.update();
 	this.keyboard.update();
 
@@ -921,8 +999,11 @@ SceneEditor.prototype.update = function()
 		});
 	}
 
-	this.render();
+	this.profiler.end(Profiler.UPDATE);
 
+	this.profiler.begin(Profiler.RENDER);
+	this.render();
+	this.profiler.end(Profiler.RENDER);
 };
 
 /**
@@ -945,6 +1026,10 @@ SceneEditor.prototype.render = function()
 	var canvas = this.canvas.canvas;
 	var renderer = this.canvas.renderer;
 
+	// Renderer info is reset once per frame to measure all the render calls
+	renderer.info.autoReset = false;
+	renderer.info.reset();
+
 	renderer.autoClear = false;
 	renderer.setViewport(0, 0, width, height);
 	renderer.setScissor(0, 0, width, height);
@@ -954,6 +1039,11 @@ SceneEditor.prototype.render = function()
 	renderer.clear(true, true, true);
 
 	// Render scene
+	for (var i = 0; i < this.lightsCSM.length; i++)
+	{
+		this.lightsCSM[i].updateCascades(this.camera);
+	}
+
 	renderer.render(this.scene, this.camera);
 
 	if (this.canvas.cssRenderer !== null)
@@ -1269,6 +1359,17 @@ SceneEditor.prototype.updateSelection = function()
 		{
 			this.objectHelper.add(new PhysicsObjectHelper(object));
 		}
+		// Physics constraint
+		else if (object instanceof PhysicsConstraint)
+		{
+			this.objectHelper.add(new PhysicsConstraintHelper(object));
+			this.objectHelper.add(new ObjectIconHelper(object, ObjectIcons.get(object.type)));
+		}
+		// Directional light CSM
+		else if (object instanceof DirectionalLightCSM)
+		{
+			this.objectHelper.add(new ObjectIconHelper(object, ObjectIcons.get(object.type)));
+		}
 		// LensFlare
 		else if (object instanceof LensFlare)
 		{
@@ -1286,6 +1387,11 @@ SceneEditor.prototype.updateSelection = function()
 			this.objectHelper.add(new SkeletonHelper(object.parent));
 			this.objectHelper.add(new ObjectIconHelper(object, ObjectIcons.get(object.type)));
 		}
+		// Text SDF
+		else if (object instanceof TextSDF)
+		{
+			this.objectHelper.add(new BoxHelper(object, 0xFFFF00));
+		}
 		// Mesh
 		else if (object instanceof Mesh)
 		{
@@ -0,0 +1,69 @@
+import {LineSegments, LineBasicMaterial, BufferGeometry, BufferAttribute, Vector3} from "three";
+
+/**
+ * Helper to preview physics constraints on the editor.
+ *
+ * Draws a line from the constraint pivot to each one of the physics objects connected.
+ *
+ * @class PhysicsConstraintHelper
+ * @param {PhysicsConstraint} object
+ * @param {number} hex Helper color in hexadecimal.
+ */
+function PhysicsConstraintHelper(object, hex)
+{
+	var geometry = new BufferGeometry();
+	geometry.setAttribute("position", new BufferAttribute(new Float32Array(12), 3));
+
+	LineSegments.call(this, geometry, new LineBasicMaterial({color: hex !== undefined ? hex : 0x00FF00, depthTest: false}));
+
+	/**
+	 * Constraint attached to the helper.
+	 *
+	 * @attribute object
+	 * @type {PhysicsConstraint}
+	 */
+	this.object = object;
+
+	this.matrixAutoUpdate = false;
+	this.update();
+}
+
+PhysicsConstraintHelper.prototype = Object.create(LineSegments.prototype);
+
+/**
+ * Update the helper lines from the constraint and connected objects positions.
+ *
+ * @method update
+ */
+PhysicsConstraintHelper.prototype.update = function()
+{
+	var root = this.object;
+	while (root.parent !== null)
+	{
+		root = root.parent;
+	}
+
+	var pivot = new Vector3();
+	this.object.getWorldPosition(pivot);
+
+	var position = this.geometry.getAttribute("position");
+	var uuids = [this.object.objectA, this.object.objectB];
+
+	for (var i = 0; i < uuids.length; i++)
+	{
+		var target = uuids[i] !== null ? root.getObjectByProperty("uuid", uuids[i]) : undefined;
+		var point = pivot.clone();
+		if (target !== undefined)
+		{
+			target.getWorldPosition(point);
+		}
+
+		position.setXYZ(i * 2, pivot.x, pivot.y, pivot.z);
+		position.setXYZ(i * 2 + 1, point.x, point.y, point.z);
+	}
+
+	position.needsUpdate = true;
+	this.geometry.computeBoundingSphere();
+};
+
+export {PhysicsConstraintHelper};
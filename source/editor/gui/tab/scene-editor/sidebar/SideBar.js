@@ -5,10 +5,12 @@ import {Texture} from "../../../../../core/texture/Texture.js";
 import {TextSprite} from "../../../../../core/objects/text/TextSprite.js";
 import {TextMesh} from "../../../../../core/objects/text/TextMesh.js";
 import {TextBitmap} from "../../../../../core/objects/text/TextBitmap.js";
+import {TextSDF} from "../../../../../core/objects/text/TextSDF.js";
 import {Sprite} from "../../../../../core/objects/sprite/Sprite.js";
 import {Script} from "../../../../../core/objects/script/Script.js";
 import {NodeScript} from "../../../../../core/objects/script/NodeScript.js";
 import {PhysicsObject} from "../../../../../core/objects/physics/PhysicsObject.js";
+import {PhysicsConstraint} from "../../../../../core/objects/physics/PhysicsConstraint.js";
 import {ParticleEmitter} from "../../../../../core/objects/particle/ParticleEmitter.js";
 import {Sky} from "../../../../../core/objects/misc/Sky.js";
 import {LensFlare} from "../../../../../core/objects/misc/LensFlare.js";
@@ -22,9 +24,11 @@ import {PointLight} from "../../../../../core/objects/lights/PointLight.js";
 import {LightProbe} from "../../../../../core/objects/lights/LightProbe.js";
 import {HemisphereLight} from "../../../../../core/objects/lights/HemisphereLight.js";
 import {DirectionalLight} from "../../../../../core/objects/lights/DirectionalLight.js";
+import {DirectionalLightCSM} from "../../../../../core/objects/lights/DirectionalLightCSM.js";
 import {AmbientLight} from "../../../../../core/objects/lights/AmbientLight.js";
 import {OrbitControls} from "../../../../../core/objects/controls/OrbitControls.js";
 import {FirstPersonControls} from "../../../../../core/objects/controls/FirstPersonControls.js";
+import {CharacterController} from "../../../../../core/objects/controls/CharacterController.js";
 import {PerspectiveCamera} from "../../../../../core/objects/cameras/PerspectiveCamera.js";
 import {OrthographicCamera} from "../../../../../core/objects/cameras/OrthographicCamera.js";
 import {CubeCamera} from "../../../../../core/objects/cameras/CubeCamera.js";
@@ -37,6 +41,7 @@ import {CapsuleBufferGeometry} from "../../../../../core/geometries/CapsuleBuffe
 import {FileSystem} from "../../../../../core/FileSystem.js";
 import {AddResourceAction} from "../../../../history/action/resources/AddResourceAction.js";
 import {SceneEditor} from "../SceneEditor.js";
+import {Plugins} from "../../../../Plugins.js";
 import {Global} from "../../../../Global.js";
 import {Editor} from "../../../../Editor.js";
 import {Text} from "../../../../components/Text.js";
@@ -75,6 +80,14 @@ function SideBar(parent)
 	 */
 	this.buttons = [];
 
+	/**
+	 * Button with the object types registered by plugins, only created if there are plugin object types.
+	 *
+	 * @attribute plugins
+	 * @type {ButtonDrawer}
+	 */
+	this.plugins = null;
+
 	this.createObject();
 
 	this.addText = new Text(this);
@@ -410,6 +423,11 @@ return target.set(x, y, z);`;
 		Editor.addObject(new TextSprite("text"), self.editor.scene);
 	}, Locale.textSprite);
 
+	text.addOption(Global.FILE_PATH + "icons/text/text.png", function()
+	{
+		Editor.addObject(new TextSDF("text"), self.editor.scene);
+	}, Locale.textSDF);
+
 	text.updateOptions();
 
 	// Add lights
@@ -441,6 +459,12 @@ return target.set(x, y, z);`;
 		Editor.addObject(new DirectionalLight(0x444444), self.editor.scene);
 	}, Locale.directionalLight);
 
+	// Directional Light CSM
+	lights.addOption(Global.FILE_PATH + "icons/lights/directional.png", function()
+	{
+		Editor.addObject(new DirectionalLightCSM(0x444444), self.editor.scene);
+	}, Locale.directionalLightCSM);
+
 	// Hemisphere Light
 	lights.addOption(Global.FILE_PATH + "icons/lights/hemisphere.png", function()
 	{
@@ -643,6 +667,12 @@ return target.set(x, y, z);`;
 		Editor.addObject(object, self.editor.scene);
 	}, Locale.particle);
 
+	// Physics constraint
+	physics.addOption(Global.FILE_PATH + "icons/misc/connection.png", function()
+	{
+		Editor.addObject(new PhysicsConstraint(), self.editor.scene);
+	}, Locale.constraint);
+
 	physics.updateOptions();
 
 	// Add device
@@ -662,7 +692,63 @@ return target.set(x, y, z);`;
 		Editor.addObject(new FirstPersonControls(), self.editor.scene);
 	}, Locale.firstPersonControls);
 
+	// Character controller
+	controls.addOption(Global.FILE_PATH + "icons/misc/freemove.png", function()
+	{
+		var object = new CharacterController();
+		var camera = new PerspectiveCamera(60, 1);
+		camera.position.set(0, 1.6, 0);
+		object.add(camera);
+		Editor.addObject(object, self.editor.scene);
+	}, Locale.characterController);
+
 	controls.updateOptions();
 };
 
+/**
+ * Update the button with the object types registered by plugins.
+ *
+ * @method updatePlugins
+ */
+SideBar.prototype.updatePlugins = function()
+{
+	if (Plugins.objects.length === 0)
+	{
+		return;
+	}
+
+	var self = this;
+
+	if (this.plugins === null)
+	{
+		this.plugins = new ButtonDrawer(this);
+		this.plugins.setImage(Global.FILE_PATH + "icons/misc/tool.png");
+		this.buttons.push(this.plugins);
+	}
+
+	function addOption(object)
+	{
+		self.plugins.addOption(object.icon, function()
+		{
+			var instance = object.create();
+			if (instance.name === "")
+			{
+				instance.name = object.name;
+			}
+
+			Editor.addObject(instance, self.editor.scene);
+		}, object.name);
+	}
+
+	this.plugins.clear();
+
+	for (var i = 0; i < Plugins.objects.length; i++)
+	{
+		addOption(Plugins.objects[i]);
+	}
+
+	this.plugins.updateOptions();
+	this.updateInterface();
+};
+
 export {SideBar};
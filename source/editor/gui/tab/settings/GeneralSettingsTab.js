@@ -1,10 +1,13 @@
 import {Locale} from "../../../locale/LocaleManager.js";
 import {Nunu} from "../../../../core/Nunu.js";
+import {FileSystem} from "../../../../core/FileSystem.js";
 import {ThemeManager} from "../../../theme/ThemeManager.js";
 import {Global} from "../../../Global.js";
 import {Editor} from "../../../Editor.js";
+import {Plugins} from "../../../Plugins.js";
 import {TabComponent} from "../../../components/tabs/TabComponent.js";
 import {TableForm} from "../../../components/TableForm.js";
+import {TextBox} from "../../../components/input/TextBox.js";
 import {NumberBox} from "../../../components/input/NumberBox.js";
 import {DropdownList} from "../../../components/input/DropdownList.js";
 import {CheckBox} from "../../../components/input/CheckBox.js";
@@ -106,6 +109,35 @@ function GeneralSettingsTab(parent, closeable, container, index)
 		this.form.add(this.autoUpdate);
 		this.form.nextRow();	
 	}
+
+	// Plugins folder
+	if (Nunu.runningOnDesktop())
+	{
+		this.form.addText(Locale.pluginsFolder).setAltText(Locale.hintPlugins);
+		this.pluginsPath = new TextBox(this.form);
+		this.pluginsPath.size.set(150, 18);
+		this.pluginsPath.setOnChange(function()
+		{
+			Editor.settings.general.pluginsPath = self.pluginsPath.getText();
+			Plugins.loadFolder(Editor.settings.general.pluginsPath);
+		});
+		this.form.add(this.pluginsPath);
+
+		this.choosePluginsPath = new ButtonText(this.form);
+		this.choosePluginsPath.setText("...");
+		this.choosePluginsPath.size.set(30, 18);
+		this.choosePluginsPath.setOnClick(function()
+		{
+			FileSystem.chooseDirectory().then(function(path)
+			{
+				self.pluginsPath.setText(path);
+				Editor.settings.general.pluginsPath = path;
+				Plugins.loadFolder(path);
+			});
+		});
+		this.form.add(this.choosePluginsPath);
+		this.form.nextRow();
+	}
 	
 	// Blank Space
 	this.form.addText("");
@@ -125,6 +157,17 @@ function GeneralSettingsTab(parent, closeable, container, index)
 	});
 	this.form.add(this.immediateMode);
 	this.form.nextRow();
+
+	// Profile scripts
+	this.form.addText(Locale.profileScripts).setAltText("If checked the time spent in each script is measured while testing the project, results are displayed in the script profiler tab.");
+	this.profileScripts = new CheckBox(this.form);
+	this.profileScripts.size.set(18, 18);
+	this.profileScripts.setOnChange(function()
+	{
+		Editor.settings.general.profileScripts = self.profileScripts.getValue();
+	});
+	this.form.add(this.profileScripts);
+	this.form.nextRow();
 }
 
 GeneralSettingsTab.prototype = Object.create(TabComponent.prototype);
@@ -136,9 +179,14 @@ GeneralSettingsTab.prototype.activate = function()
 	{
 		this.autoUpdate.setValue(Editor.settings.general.autoUpdate);
 	}
+	if (this.pluginsPath !== undefined)
+	{
+		this.pluginsPath.setText(Editor.settings.general.pluginsPath);
+	}
 	this.historySize.setValue(Editor.settings.general.historySize);
 	this.ignorePixelRatio.setValue(Editor.settings.general.ignorePixelRatio);
 	this.immediateMode.setValue(Editor.settings.general.immediateMode);
+	this.profileScripts.setValue(Editor.settings.general.profileScripts);
 };
 
 GeneralSettingsTab.prototype.updateSize = function()
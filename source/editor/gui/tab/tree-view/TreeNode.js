@@ -5,11 +5,14 @@ import {Locale} from "../../../locale/LocaleManager.js";
 import {PhysicsGenerator} from "../../../../core/utils/PhysicsGenerator.js";
 import {ObjectUtils} from "../../../../core/utils/ObjectUtils.js";
 import {Model} from "../../../../core/resources/Model.js";
+import {ParticlePreset} from "../../../../core/resources/ParticlePreset.js";
+import {Prefab} from "../../../../core/resources/Prefab.js";
 import {Script} from "../../../../core/objects/script/Script.js";
 import {PythonScript} from "../../../../core/objects/script/PythonScript.js";
 import {Scene} from "../../../../core/objects/Scene.js";
 import {Program} from "../../../../core/objects/Program.js";
 import {PhysicsObject} from "../../../../core/objects/physics/PhysicsObject.js";
+import {PhysicsConstraint} from "../../../../core/objects/physics/PhysicsConstraint.js";
 import {ParticleEmitter} from "../../../../core/objects/particle/ParticleEmitter.js";
 import {Group} from "../../../../core/objects/misc/Group.js";
 import {LightProbe} from "../../../../core/objects/lights/LightProbe.js";
@@ -441,14 +444,30 @@ function TreeNode(container)
 					Editor.addAction(new ActionBundle(cast.concat(receive)));
 				});
 
+				// Create prefab from object
+				context.addOption(Locale.createPrefab, function()
+				{
+					Editor.createPrefab(self.object);
+				});
+
 				// Duplicate object
 				context.addOption(Locale.duplicate, function()
 				{
 					var object = new ObjectLoader().parse(self.object.toJSON());
+					var uuids = {};
 					object.traverse(function(child)
 					{
-						child.uuid = Math.generateUUID();
+						var uuid = Math.generateUUID();
+						uuids[child.uuid] = uuid;
+						child.uuid = uuid;
+
+						// Keep the link to the prefabs of the program
+						if (child.prefab !== null && Editor.program.resources[child.prefab.uuid] !== undefined)
+						{
+							child.prefab = Editor.program.resources[child.prefab.uuid];
+						}
 					});
+					PhysicsConstraint.updateReferences(object, uuids);
 					Editor.addAction(new AddAction(object, self.object.parent));
 				});
 
@@ -595,6 +614,22 @@ function TreeNode(container)
 				Editor.addAction(new ActionBundle(actions));
 			}
 		}
+		// Particle preset
+		else if (object instanceof ParticlePreset)
+		{
+			if (self.object instanceof ParticleEmitter)
+			{
+				ParticleEditor.applyPreset(self.object, object);
+			}
+		}
+		// Prefab
+		else if (object instanceof Prefab)
+		{
+			if (!(self.object instanceof Program))
+			{
+				Editor.addObject(object.instantiate(Editor.program), self.object);
+			}
+		}
 		// Dragged file
 		else if (event.dataTransfer.files.length > 0)
 		{
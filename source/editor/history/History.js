@@ -1,8 +1,16 @@
-import {Action} from "./action/Action.js";
+import {ActionBundle} from "./action/ActionBundle.js";
+import {ChangeAction} from "./action/ChangeAction.js";
+import {AddAction} from "./action/objects/AddAction.js";
+import {RemoveAction} from "./action/objects/RemoveAction.js";
+import {MoveAction} from "./action/objects/MoveAction.js";
 
 /**
  * Manages the history state of multiple objects.
  *
+ * Consecutive changes to the same object attribute are merged if done within a short time window, multiple actions can be grouped using transactions.
+ *
+ * The history can be serialized to be stored with the project, objects are referenced by their UUID in the scene graph.
+ *
  * @class History
  * @param {number} limit Maximum actions stored in the object.
  */
@@ -12,8 +20,47 @@ function History(limit)
 
 	this.position = -1;
 	this.limit = limit !== undefined ? limit : 50;
+
+	/**
+	 * Maximum time in milliseconds between two actions for them to be merged, if zero actions are never merged.
+	 *
+	 * @attribute mergeTime
+	 * @type {number}
+	 */
+	this.mergeTime = 1000;
+
+	/**
+	 * Stack of transactions currently open, each transaction has a name and the list of actions added to it.
+	 *
+	 * @attribute transactions
+	 * @type {Array}
+	 */
+	this.transactions = [];
+
+	/**
+	 * Incremented every time the history changes, can be used by the interface to check if it needs to be updated.
+	 *
+	 * @attribute version
+	 * @type {number}
+	 */
+	this.version = 0;
 }
 
+/**
+ * Action types that can be restored from serialized data.
+ *
+ * @static
+ * @attribute TYPES
+ * @type {Object}
+ */
+History.TYPES = {
+	ActionBundle: ActionBundle,
+	ChangeAction: ChangeAction,
+	AddAction: AddAction,
+	RemoveAction: RemoveAction,
+	MoveAction: MoveAction
+};
+
 /**
  * Get action from its id.
  * 
@@ -37,12 +84,49 @@ History.prototype.getAction = function(id)
 /**
  * Add an Action to the history.
  *
+ * If a transaction is open the action is added to the transaction. If possible the action is merged with the last action in the history.
+ *
  * @method add
  * @param {Actions} action Actions that represent the change.
  * @param {EditorScreen} editor Editor instance for the action to update status of.
  */
 History.prototype.add = function(action, editor)
-{	
+{
+	if (this.transactions.length > 0)
+	{
+		this.transactions[this.transactions.length - 1].actions.push(action);
+		action.apply(editor, true);
+		return;
+	}
+
+	// Merge with the last action if possible
+	if (this.mergeTime > 0 && this.position >= 0 && this.position === this.actions.length - 1)
+	{
+		var last = this.actions[this.position];
+		if (action.time - last.time <= this.mergeTime && last.merge(action))
+		{
+			this.version++;
+			last.apply(editor, true);
+			return;
+		}
+	}
+
+	this.push(action);
+
+	// Apply action
+	action.apply(editor, true);
+};
+
+/**
+ * Store an already applied action in the history.
+ *
+ * More recent changes are removed and the size of the history is limited.
+ *
+ * @method push
+ * @param {Action} action Action to store.
+ */
+History.prototype.push = function(action)
+{
 	// If there are more recent changes remove them
 	while (this.actions.length > this.position + 1)
 	{
@@ -53,15 +137,86 @@ History.prototype.add = function(action, editor)
 	this.actions.push(action);
 	this.position++;
 
-	// Apply action
-	action.apply(editor, true);
-
 	// Limit actions size
 	while (this.actions.length > this.limit)
 	{
 		this.actions.splice(0, 1);
 		this.position = this.actions.length - 1;
 	}
+
+	this.version++;
+};
+
+/**
+ * Start a transaction, all the actions added until the transaction ends are stored as a single action bundle.
+ *
+ * Transactions can be nested, inner transactions are stored inside of the outer transaction.
+ *
+ * @method beginTransaction
+ * @param {string} name Name of the transaction displayed in the history, optional.
+ */
+History.prototype.beginTransaction = function(name)
+{
+	this.transactions.push({
+		name: name,
+		actions: []
+	});
+};
+
+/**
+ * End the current transaction and store its actions as a bundle in the history.
+ *
+ * The actions were already applied when added so the bundle is not applied again.
+ *
+ * @method endTransaction
+ * @return {ActionBundle} Bundle created, null if the transaction had no actions.
+ */
+History.prototype.endTransaction = function()
+{
+	if (this.transactions.length === 0)
+	{
+		throw new Error("No transaction is open.");
+	}
+
+	var transaction = this.transactions.pop();
+	if (transaction.actions.length === 0)
+	{
+		return null;
+	}
+
+	var bundle = new ActionBundle(transaction.actions, transaction.name);
+
+	if (this.transactions.length > 0)
+	{
+		this.transactions[this.transactions.length - 1].actions.push(bundle);
+	}
+	else
+	{
+		this.push(bundle);
+	}
+
+	return bundle;
+};
+
+/**
+ * Cancel the current transaction, all the actions added to the transaction are reverted.
+ *
+ * @method cancelTransaction
+ * @param {EditorScreen} editor Editor instance for the action to update status of.
+ */
+History.prototype.cancelTransaction = function(editor)
+{
+	if (this.transactions.length === 0)
+	{
+		throw new Error("No transaction is open.");
+	}
+
+	var transaction = this.transactions.pop();
+
+	for (var i = transaction.actions.length - 1; i >= 0; i--)
+	{
+		transaction.actions[i].revert(editor, true);
+	}
 };
 
 /**
@@ -75,10 +230,12 @@ History.prototype.undo = function(editor)
 	if (this.actions.length > 0 && this.position >= 0)
 	{
 		var action = this.actions[this.position];
-		action.revert(editor, true);
 
 		this.position--;
-		
+		this.version++;
+
+		action.revert(editor, true);
+
 		return action;
 	}
 
@@ -96,6 +253,7 @@ History.prototype.redo = function(editor)
 	if (this.position < this.actions.length - 1)
 	{
 		this.position++;
+		this.version++;
 
 		var action = this.actions[this.position];
 		action.apply(editor, true);
@@ -106,4 +264,153 @@ History.prototype.redo = function(editor)
 	return null;
 };
 
+/**
+ * Undo or redo actions until the history reaches a position.
+ *
+ * @method goTo
+ * @param {number} position Index of the last action applied, -1 to revert all actions.
+ * @param {EditorScreen} editor Editor instance for the action to update status of.
+ */
+History.prototype.goTo = function(position, editor)
+{
+	position = Math.max(-1, Math.min(position, this.actions.length - 1));
+
+	while (this.position > position)
+	{
+		this.undo(editor);
+	}
+
+	while (this.position < position)
+	{
+		this.redo(editor);
+	}
+};
+
+/**
+ * Serialize the history to be stored with the project.
+ *
+ * Only the actions that can be serialized around the current position are stored, actions before an action that cannot be serialized are discarded.
+ *
+ * @method toJSON
+ * @param {Program} program Program where the objects changed by the actions are stored.
+ * @return {Object} Serialized history.
+ */
+History.prototype.toJSON = function(program)
+{
+	var actions = [];
+	for (var i = 0; i < this.actions.length; i++)
+	{
+		actions.push(this.actions[i].toJSON(program));
+	}
+
+	var range = History.getValidRange(actions, this.position);
+
+	return {
+		position: this.position - range.start,
+		actions: actions.slice(range.start, range.end)
+	};
+};
+
+/**
+ * Create a history object from serialized data.
+ *
+ * Objects referenced by the actions are searched in the program, if an action cannot be restored the actions that depend on it are discarded.
+ *
+ * @static
+ * @method fromJSON
+ * @param {Object} data Serialized history.
+ * @param {Program} program Program where the objects changed by the actions are stored.
+ * @param {number} limit Maximum actions stored in the history.
+ * @return {History} History restored.
+ */
+History.fromJSON = function(data, program, limit)
+{
+	var objects = new Map();
+	var actions = [];
+
+	for (var i = 0; i < data.actions.length; i++)
+	{
+		actions.push(History.parseAction(data.actions[i], program, objects));
+	}
+
+	var range = History.getValidRange(actions, data.position);
+
+	var history = new History(limit);
+	history.actions = actions.slice(range.start, range.end);
+	history.position = data.position - range.start;
+
+	while (history.actions.length > history.limit && history.position >= 0)
+	{
+		history.actions.splice(0, 1);
+		history.position--;
+	}
+
+	return history;
+};
+
+/**
+ * Create an action from its serialized data.
+ *
+ * @static
+ * @method parseAction
+ * @param {Object} data Serialized action.
+ * @param {Program} program Program where the objects changed by the action are stored.
+ * @param {Map} objects Objects recreated while parsing the history.
+ * @return {Action} Action created, null if the action could not be restored.
+ */
+History.parseAction = function(data, program, objects)
+{
+	var type = History.TYPES[data.type];
+	if (type === undefined)
+	{
+		return null;
+	}
+
+	try
+	{
+		return type.fromJSON(data, program, objects, History.parseAction);
+	}
+	catch (e)
+	{
+		console.warn("nunuStudio: Failed to restore history action.", e);
+		return null;
+	}
+};
+
+/**
+ * Get the range of valid (not null) values around a position in a list of actions.
+ *
+ * Actions before an invalid action cannot be undone and actions after an invalid action cannot be redone.
+ *
+ * @static
+ * @method getValidRange
+ * @param {Array} actions List of actions or serialized actions.
+ * @param {number} position Index of the last action applied.
+ * @return {Object} Object with the start (inclusive) and end (exclusive) of the range.
+ */
+History.getValidRange = function(actions, position)
+{
+	var start = 0;
+	for (var i = position; i >= 0; i--)
+	{
+		if (actions[i] === null)
+		{
+			start = i + 1;
+			break;
+		}
+	}
+
+	var end = actions.length;
+	for (var i = position + 1; i < actions.length; i++)
+	{
+		if (actions[i] === null)
+		{
+			end = i;
+			break;
+		}
+	}
+
+	return {start: start, end: end};
+};
+
 export {History};
@@ -6,6 +6,8 @@ import {Resource} from "../../core/resources/Resource.js";
 import {Image} from "../../core/resources/Image.js";
 import {Font} from "../../core/resources/Font.js";
 import {Audio} from "../../core/resources/Audio.js";
+import {AnimationStateMachine} from "../../core/resources/AnimationStateMachine.js";
+import {Prefab} from "../../core/resources/Prefab.js";
 import {TextSprite} from "../../core/objects/text/TextSprite.js";
 import {TextBitmap} from "../../core/objects/text/TextBitmap.js";
 import {SpineAnimation} from "../../core/objects/spine/SpineAnimation.js";
@@ -28,28 +30,38 @@ function ResourceCrawler() {}
  * Is called recursively for every Array or Object found, the callback receives the (value, parent, attribute) as parameters.
  *
  * If the callback method returns false it does not traverse the object.
+ *
+ * Each object is only traversed once (objects reference each other, e.g. children and parent), typed arrays and DOM elements are not traversed.
  * 
  * @static
  * @method traverseDeep
  * @param {Object} object Object to be traversed.
  * @param {Function} callback Callback to process every attribute from the object.
+ * @param {WeakMap} visited Objects already traversed, used internally.
  */
-ResourceCrawler.traverseDeep = function(object, callback)
+ResourceCrawler.traverseDeep = function(object, callback, visited)
 {
 	if (callback === undefined)
 	{
 		return;
 	}
 
+	if (visited === undefined)
+	{
+		visited = new WeakMap();
+	}
+
+	visited.set(object, true);
+
 	for (var i in object)
 	{
 		var value = object[i];
 
 		if (typeof value === "object")
 		{
-			if (callback(value, object, i) !== false)
+			if (callback(value, object, i) !== false && value !== null && !visited.has(value) && !ArrayBuffer.isView(value) && !(value instanceof ArrayBuffer) && value.nodeType === undefined)
 			{
-				ResourceCrawler.traverseDeep(value, callback);
+				ResourceCrawler.traverseDeep(value, callback, visited);
 			}
 		}
 		else
@@ -86,7 +98,15 @@ ResourceCrawler.swapResource = function(manager, category, oldResource, newResou
 	{
 		if (value === oldResource)
 		{
-			object[attribute] = newResource;
+			// Objects that generate data from the font resource (TextSDF) have to update it
+			if (attribute === "fontResource" && object.setFont !== undefined)
+			{
+				object.setFont(newResource);
+			}
+			else
+			{
+				object[attribute] = newResource;
+			}
 			return false;
 		}
 
@@ -134,6 +154,16 @@ ResourceCrawler.removeDuplicated = function(object)
 ResourceCrawler.addResource = function(manager, resource, category)
 {
 	manager[category][resource.uuid] = resource;
+
+	// Date used to sort assets in the explorer
+	if (manager.getAssetMetadata !== undefined)
+	{
+		var metadata = manager.getAssetMetadata(resource);
+		if (metadata.date === 0)
+		{
+			metadata.date = Date.now();
+		}
+	}
 };
 
 /**
@@ -211,9 +241,10 @@ ResourceCrawler.getResourceByName = function(manager, name)
  * @param {Object3D} object Object to search for resources.
  * @param {ResourceManager} manager Resource manager object.
  * @param {ResourceContainer} target Optional resource container object that can be used to store the found resources.
+ * @param {boolean} recursive If false only the object is searched, its children are ignored, by default is true.
  * @return {ResourceContainer} Object with the new resources found in the object.
  */
-ResourceCrawler.searchObject = function(object, manager, target)
+ResourceCrawler.searchObject = function(object, manager, target, recursive)
 {
 	var resources;
 
@@ -226,7 +257,7 @@ ResourceCrawler.searchObject = function(object, manager, target)
 		resources = new ResourceContainer();
 	}
 	
-	object.traverse(function(child)
+	function searchChild(child)
 	{
 		if (child.locked)
 		{
@@ -241,6 +272,31 @@ ResourceCrawler.searchObject = function(object, manager, target)
 				resources.fonts[child.font.uuid] = child.font;
 			}
 		}
+		if (child.fontResource instanceof Font)
+		{
+			if (manager.fonts[child.fontResource.uuid] === undefined)
+			{
+				resources.fonts[child.fontResource.uuid] = child.fontResource;
+			}
+		}
+
+		// Animation state machine
+		if (child.stateMachine instanceof AnimationStateMachine)
+		{
+			if (manager.resources[child.stateMachine.uuid] === undefined)
+			{
+				resources.resources[child.stateMachine.uuid] = child.stateMachine;
+			}
+		}
+
+		// Prefab
+		if (child.prefab instanceof Prefab)
+		{
+			if (manager.resources[child.prefab.uuid] === undefined)
+			{
+				resources.resources[child.prefab.uuid] = child.prefab;
+			}
+		}
 
 		// Audio
 		if (child.audio instanceof Audio)
@@ -306,7 +362,33 @@ ResourceCrawler.searchObject = function(object, manager, target)
 				addTexture(child.elements[i].texture);
 			}
 		}
-	});
+		if (child instanceof SpineAnimation)
+		{
+			for (var i = 0; i < child.textures.length; i++)
+			{
+				addTexture(child.textures[i].texture);
+			}
+		}
+
+		// Scene background and environment
+		if (child.background instanceof Texture)
+		{
+			addTexture(child.background);
+		}
+		if (child.environment instanceof Texture)
+		{
+			addTexture(child.environment);
+		}
+	}
+
+	if (recursive !== false)
+	{
+		object.traverse(searchChild);
+	}
+	else
+	{
+		searchChild(object);
+	}
 
 	function addMaterial(material)
 	{
@@ -390,4 +472,157 @@ ResourceCrawler.searchObject = function(object, manager, target)
 
 	return resources;
 };
+
+/**
+ * Get the objects that use a resource directly.
+ *
+ * Objects are searched using searchObject(), resources used by other resources (e.g. textures used by a material) are reported for the objects that use the parent resource.
+ *
+ * @static
+ * @method getUsages
+ * @param {ResourceManager} manager Resource manager where the objects are searched.
+ * @param {Resource} resource Resource to look for.
+ * @return {Array} Objects that use the resource.
+ */
+ResourceCrawler.getUsages = function(manager, resource)
+{
+	var objects = [];
+
+	manager.traverse(function(child)
+	{
+		var resources = ResourceCrawler.searchObject(child, new ResourceContainer(), undefined, false);
+
+		for (var category in resources)
+		{
+			if (resources[category][resource.uuid] !== undefined)
+			{
+				objects.push(child);
+				return;
+			}
+		}
+	});
+
+	return objects;
+};
+
+/**
+ * Libraries checked for unused resources.
+ *
+ * Generic resources (files, prefabs, presets, etc) are not checked, these can be accessed from scripts by their name.
+ *
+ * @static
+ * @attribute unusedLibraries
+ * @type {Array}
+ */
+ResourceCrawler.unusedLibraries = ["materials", "textures", "geometries", "fonts", "audio", "images", "videos"];
+
+/**
+ * Get the resources of the manager that are not used by any object.
+ *
+ * Resources only used by other unused resources (e.g. textures of unused materials) are also considered unused. Resources referenced by prefabs are used.
+ *
+ * @static
+ * @method getUnused
+ * @param {ResourceManager} manager Resource manager to check.
+ * @return {ResourceContainer} Container with the unused resources.
+ */
+ResourceCrawler.getUnused = function(manager)
+{
+	var used = ResourceCrawler.searchObject(manager, new ResourceContainer());
+	var unused = new ResourceContainer();
+
+	for (var uuid in manager.resources)
+	{
+		if (manager.resources[uuid] instanceof Prefab)
+		{
+			var references = manager.resources[uuid].getReferences();
+
+			for (var library in references)
+			{
+				for (var i = 0; i < references[library].length; i++)
+				{
+					used[library][references[library][i]] = true;
+				}
+			}
+		}
+	}
+
+	for (var i = 0; i < ResourceCrawler.unusedLibraries.length; i++)
+	{
+		var category = ResourceCrawler.unusedLibraries[i];
+
+		for (var uuid in manager[category])
+		{
+			if (used[category][uuid] === undefined)
+			{
+				unused[category][uuid] = manager[category][uuid];
+			}
+		}
+	}
+
+	return unused;
+};
+
+/**
+ * Estimate the size of the data stored by a resource in bytes.
+ *
+ * Textures include the size of their images and videos, geometries the size of their attributes. Resources without data have size 0.
+ *
+ * @static
+ * @method getSize
+ * @param {Object} resource Resource to measure.
+ * @return {number} Size of the resource in bytes.
+ */
+ResourceCrawler.getSize = function(resource)
+{
+	if (resource instanceof Texture)
+	{
+		var size = 0;
+
+		if (resource.source instanceof Resource)
+		{
+			size += ResourceCrawler.getSize(resource.source);
+		}
+		if (resource.video instanceof Resource)
+		{
+			size += ResourceCrawler.getSize(resource.video);
+		}
+		if (resource.images !== undefined)
+		{
+			for (var i = 0; i < resource.images.length; i++)
+			{
+				size += ResourceCrawler.getSize(resource.images[i]);
+			}
+		}
+
+		return size;
+	}
+	else if (resource instanceof BufferGeometry)
+	{
+		var size = resource.index !== null ? resource.index.array.byteLength : 0;
+
+		for (var i in resource.attributes)
+		{
+			size += resource.attributes[i].array.byteLength;
+		}
+
+		return size;
+	}
+	else if (resource instanceof Resource)
+	{
+		var data = resource.arraybuffer !== undefined ? resource.arraybuffer : resource.data;
+
+		if (data instanceof ArrayBuffer)
+		{
+			return data.byteLength;
+		}
+		else if (typeof data === "string")
+		{
+			return resource.format === "base64" ? Math.floor(data.length * 3 / 4) : data.length;
+		}
+	}
+
+	return 0;
+};
+
 export {ResourceCrawler};
@@ -1,3 +1,6 @@
+import {ResourceContainer} from "../../../core/resources/ResourceContainer.js";
+import {ObjectLoader} from "../../../core/loaders/ObjectLoader.js";
+
 /**
  * Action defines the interface to apply and revert a history state.
  *
@@ -8,6 +11,14 @@
 function Action()
 {
 	this.id = Action._id++;
+
+	/**
+	 * Timestamp of the action creation, used to check if consecutive actions can be merged.
+	 *
+	 * @attribute time
+	 * @type {number}
+	 */
+	this.time = Date.now();
 }
 
 Action._id = 1;
@@ -30,4 +41,202 @@ Action.prototype.apply = function() {};
  */
 Action.prototype.revert = function() {};
 
+/**
+ * Try to merge a newer action into this one.
+ *
+ * If merged the newer action is not added to the history, this action is applied again instead.
+ *
+ * @method merge
+ * @param {Action} action Action added after this one.
+ * @return {boolean} True if the action was merged.
+ */
+Action.prototype.merge = function()
+{
+	return false;
+};
+
+/**
+ * Get a readable name for the action, displayed in the history tab.
+ *
+ * @method getName
+ * @return {string} Name of the action.
+ */
+Action.prototype.getName = function()
+{
+	return "Action";
+};
+
+/**
+ * Serialize the action to be stored with the project.
+ *
+ * Objects and resources are referenced by their UUID, the action is restored using the fromJSON method of its type.
+ *
+ * @method toJSON
+ * @param {Program} program Program where the action objects are stored.
+ * @return {Object} Serialized action, null if the action cannot be serialized.
+ */
+Action.prototype.toJSON = function()
+{
+	return null;
+};
+
+/**
+ * Get an object or resource from a program by its UUID.
+ *
+ * @static
+ * @method getObjectByUUID
+ * @param {Program} program Program to search the object in.
+ * @param {string} uuid UUID of the object.
+ * @return {Object} Object or resource found, null if not found.
+ */
+Action.getObjectByUUID = function(program, uuid)
+{
+	var object = program.getObjectByProperty("uuid", uuid);
+	if (object !== undefined)
+	{
+		return object;
+	}
+
+	for (var i = 0; i < ResourceContainer.libraries.length; i++)
+	{
+		var library = program[ResourceContainer.libraries[i]];
+		if (library !== undefined && library[uuid] !== undefined)
+		{
+			return library[uuid];
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Get a reference to an object that can be serialized.
+ *
+ * Objects with UUID in the program are referenced directly, other objects (e.g. the position vector of an object) are referenced by the UUID of their owner and the name of the property.
+ *
+ * @static
+ * @method getReference
+ * @param {Program} program Program where the object is stored.
+ * @param {Object} object Object to get the reference for.
+ * @return {Object} Reference with the uuid and optionally the property of the object, null if the object is not in the program.
+ */
+Action.getReference = function(program, object)
+{
+	if (object.uuid !== undefined && Action.getObjectByUUID(program, object.uuid) === object)
+	{
+		return {uuid: object.uuid};
+	}
+
+	var reference = null;
+
+	function search(owner)
+	{
+		for (var property in owner)
+		{
+			if (owner.hasOwnProperty(property) && owner[property] === object)
+			{
+				reference = {uuid: owner.uuid, property: property};
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	program.traverse(function(child)
+	{
+		if (reference === null)
+		{
+			search(child);
+		}
+	});
+
+	for (var i = 0; i < ResourceContainer.libraries.length && reference === null; i++)
+	{
+		var library = program[ResourceContainer.libraries[i]];
+		for (var uuid in library)
+		{
+			if (search(library[uuid]))
+			{
+				break;
+			}
+		}
+	}
+
+	return reference;
+};
+
+/**
+ * Get an object from a reference created with getReference.
+ *
+ * @static
+ * @method resolveReference
+ * @param {Program} program Program where the object is stored.
+ * @param {Object} reference Reference of the object.
+ * @return {Object} Object referenced, null if not found.
+ */
+Action.resolveReference = function(program, reference)
+{
+	var object = Action.getObjectByUUID(program, reference.uuid);
+
+	if (object !== null && reference.property !== undefined)
+	{
+		object = object[reference.property] !== undefined ? object[reference.property] : null;
+	}
+
+	return object;
+};
+
+/**
+ * Serialize an object that can be attached or detached from the program by actions (e.g. add and remove actions).
+ *
+ * If the object is not attached to the program its full data is stored so it can be recreated.
+ *
+ * @static
+ * @method serializeObject
+ * @param {Program} program Program where the object is stored.
+ * @param {Object3D} object Object to serialize.
+ * @return {Object} Serialized object.
+ */
+Action.serializeObject = function(program, object)
+{
+	var data = {uuid: object.uuid};
+
+	if (Action.getObjectByUUID(program, object.uuid) !== object)
+	{
+		data.data = object.toJSON();
+	}
+
+	return data;
+};
+
+/**
+ * Get an object serialized with serializeObject.
+ *
+ * Objects recreated from their data are stored in the objects map, so that all actions referencing them use the same instance.
+ *
+ * @static
+ * @method parseObject
+ * @param {Program} program Program where the object is stored.
+ * @param {Object} data Serialized object.
+ * @param {Map} objects Objects recreated while parsing the history indexed by UUID.
+ * @return {Object3D} Object, null if not found.
+ */
+Action.parseObject = function(program, data, objects)
+{
+	var object = Action.getObjectByUUID(program, data.uuid);
+
+	if (object === null && objects.has(data.uuid))
+	{
+		object = objects.get(data.uuid);
+	}
+	else if (object === null && data.data !== undefined)
+	{
+		object = new ObjectLoader().parse(data.data);
+		objects.set(data.uuid, object);
+	}
+
+	return object;
+};
+
 export {Action};
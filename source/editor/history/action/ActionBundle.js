@@ -8,14 +8,25 @@ import {Action} from "./Action.js";
  * @class ActionBundle
  * @extends {Action}
  * @param {Array} actions Array of actions to create the bundle.
+ * @param {string} name Name of the bundle, optional.
  */
-function ActionBundle(actions)
+function ActionBundle(actions, name)
 {
 	Action.call(this);
 
 	this.actions = actions;
+
+	/**
+	 * Name of the bundle displayed in the history, if not defined the name of the first action is used.
+	 *
+	 * @attribute name
+	 * @type {string}
+	 */
+	this.name = name !== undefined ? name : null;
 }
 
+ActionBundle.prototype = Object.create(Action.prototype);
+
 ActionBundle.prototype.apply = function()
 {
 	for (var i = 0; i < this.actions.length; i++)
@@ -26,10 +37,130 @@ ActionBundle.prototype.apply = function()
 
 ActionBundle.prototype.revert = function()
 {
-	for (var i = 0; i < this.actions.length; i++)
+	for (var i = this.actions.length - 1; i >= 0; i--)
 	{
 		this.actions[i].revert();
 	}
 };
 
+/**
+ * Bundles can be merged if all of their actions can be merged in order (e.g. changing a vector multiple times).
+ *
+ * @method merge
+ * @param {Action} action Action added after this one.
+ * @return {boolean} True if the action was merged.
+ */
+ActionBundle.prototype.merge = function(action)
+{
+	if (!this.canMerge(action))
+	{
+		return false;
+	}
+
+	for (var i = 0; i < this.actions.length; i++)
+	{
+		this.actions[i].merge(action.actions[i]);
+	}
+
+	this.time = action.time;
+	return true;
+};
+
+/**
+ * Check if a bundle has the same structure as this one and all of its actions can be merged in order.
+ *
+ * Used to merge bundles nested inside other bundles (e.g. the same change applied to multiple objects).
+ *
+ * @method canMerge
+ * @param {Action} action Action to check.
+ * @return {boolean} True if the action can be merged.
+ */
+ActionBundle.prototype.canMerge = function(action)
+{
+	if (!(action instanceof ActionBundle) || action.actions.length !== this.actions.length || action.actions.length === 0)
+	{
+		return false;
+	}
+
+	for (var i = 0; i < this.actions.length; i++)
+	{
+		if (this.actions[i].canMerge === undefined || !this.actions[i].canMerge(action.actions[i]))
+		{
+			return false;
+		}
+	}
+
+	return true;
+};
+
+ActionBundle.prototype.getName = function()
+{
+	if (this.name !== null)
+	{
+		return this.name;
+	}
+
+	if (this.actions.length === 0)
+	{
+		return "";
+	}
+
+	var name = this.actions[0].getName();
+	return this.actions.length > 1 ? name + " (+" + (this.actions.length - 1) + ")" : name;
+};
+
+ActionBundle.prototype.toJSON = function(program)
+{
+	var actions = [];
+
+	for (var i = 0; i < this.actions.length; i++)
+	{
+		var data = this.actions[i].toJSON(program);
+		if (data === null)
+		{
+			return null;
+		}
+
+		actions.push(data);
+	}
+
+	return {
+		type: "ActionBundle",
+		time: this.time,
+		name: this.name,
+		actions: actions
+	};
+};
+
+/**
+ * Create an action bundle from its serialized data.
+ *
+ * @static
+ * @method fromJSON
+ * @param {Object} data Serialized action.
+ * @param {Program} program Program where the action objects are stored.
+ * @param {Map} objects Objects recreated while parsing the history.
+ * @param {Function} parseAction Method used to parse the actions of the bundle.
+ * @return {ActionBundle} Action created, null if any of the actions could not be parsed.
+ */
+ActionBundle.fromJSON = function(data, program, objects, parseAction)
+{
+	var actions = [];
+
+	for (var i = 0; i < data.actions.length; i++)
+	{
+		var action = parseAction(data.actions[i], program, objects);
+		if (action === null)
+		{
+			return null;
+		}
+
+		actions.push(action);
+	}
+
+	var bundle = new ActionBundle(actions, data.name !== null ? data.name : undefined);
+	bundle.time = data.time;
+	return bundle;
+};
+
 export {ActionBundle};
@@ -17,6 +17,8 @@ function CallbackAction(action, callback)
 	this.callback = callback;
 }
 
+CallbackAction.prototype = Object.create(Action.prototype);
+
 CallbackAction.prototype.apply = function()
 {
 	this.action.apply();
@@ -29,4 +31,9 @@ CallbackAction.prototype.revert = function()
 	this.callback();
 };
 
+CallbackAction.prototype.getName = function()
+{
+	return this.action.getName();
+};
+
 export {CallbackAction};
@@ -1,4 +1,4 @@
-import {Material, Texture, Quaternion} from "three";
+import {Material, Texture, Quaternion, Vector2, Vector3, Vector4, Euler, Matrix3, Matrix4, Color} from "three";
 import {Editor} from "../../Editor.js";
 import {Action} from "./Action.js";
 
@@ -22,6 +22,8 @@ function ChangeAction(object, attribute, newValue, oldValue)
 	this.oldValue = oldValue !== undefined ? oldValue : ChangeAction.isVetorial(object[attribute]) ? object[attribute].clone() : object[attribute];
 }
 
+ChangeAction.prototype = Object.create(Action.prototype);
+
 ChangeAction.prototype.apply = function()
 {
 	if (ChangeAction.isVetorial(this.object[this.attribute]))
@@ -38,7 +40,12 @@ ChangeAction.prototype.apply = function()
 
 ChangeAction.prototype.revert = function()
 {
-	if (ChangeAction.isVetorial(this.object[this.attribute]))
+	// The attribute did not exist before the change
+	if (this.oldValue === undefined)
+	{
+		delete this.object[this.attribute];
+	}
+	else if (ChangeAction.isVetorial(this.object[this.attribute]))
 	{
 		this.object[this.attribute].copy(this.oldValue);
 	}
@@ -50,6 +57,199 @@ ChangeAction.prototype.revert = function()
 	ChangeAction.updateGUI(this.object, this.attribute, this.oldValue);
 };
 
+/**
+ * Consecutive changes to the same attribute of the same object can be merged.
+ *
+ * The merged action keeps the original old value and takes the new value of the newer action.
+ *
+ * @method merge
+ * @param {Action} action Action added after this one.
+ * @return {boolean} True if the action was merged.
+ */
+ChangeAction.prototype.merge = function(action)
+{
+	if (!this.canMerge(action))
+	{
+		return false;
+	}
+
+	this.newValue = action.newValue;
+	this.time = action.time;
+	return true;
+};
+
+/**
+ * Check if an action changes the same attribute of the same object as this one.
+ *
+ * @method canMerge
+ * @param {Action} action Action to check.
+ * @return {boolean} True if the action can be merged.
+ */
+ChangeAction.prototype.canMerge = function(action)
+{
+	return action instanceof ChangeAction && action.object === this.object && action.attribute === this.attribute;
+};
+
+ChangeAction.prototype.getName = function()
+{
+	var name = this.object.name !== undefined && this.object.name !== "" ? this.object.name : this.object.type;
+
+	return name !== undefined ? name + "." + this.attribute : this.attribute;
+};
+
+ChangeAction.prototype.toJSON = function(program)
+{
+	var object = Action.getReference(program, this.object);
+	var newValue = ChangeAction.serializeValue(program, this.newValue);
+	var oldValue = ChangeAction.serializeValue(program, this.oldValue);
+
+	if (object === null || newValue === null || oldValue === null)
+	{
+		return null;
+	}
+
+	return {
+		type: "ChangeAction",
+		time: this.time,
+		object: object,
+		attribute: this.attribute,
+		newValue: newValue,
+		oldValue: oldValue
+	};
+};
+
+/**
+ * Create a change action from its serialized data.
+ *
+ * @static
+ * @method fromJSON
+ * @param {Object} data Serialized action.
+ * @param {Program} program Program where the action objects are stored.
+ * @return {ChangeAction} Action created, null if the object changed was not found.
+ */
+ChangeAction.fromJSON = function(data, program)
+{
+	var object = Action.resolveReference(program, data.object);
+	if (object === null)
+	{
+		return null;
+	}
+
+	var action = new ChangeAction(object, data.attribute, ChangeAction.parseValue(program, data.newValue));
+
+	// Set directly, the constructor replaces an undefined old value by the current value
+	action.oldValue = ChangeAction.parseValue(program, data.oldValue);
+	action.time = data.time;
+	return action;
+};
+
+/**
+ * Serialize an attribute value.
+ *
+ * Primitive values are stored directly, vectorial and color values are stored as arrays and objects are stored as references.
+ *
+ * @static
+ * @method serializeValue
+ * @param {Program} program Program where the action objects are stored.
+ * @param {Object} value Value to serialize.
+ * @return {Object} Serialized value, null if the value cannot be serialized.
+ */
+ChangeAction.serializeValue = function(program, value)
+{
+	if (value === undefined)
+	{
+		return {undefined: true};
+	}
+	else if (value === null || typeof value === "number" || typeof value === "string" || typeof value === "boolean")
+	{
+		return {value: value};
+	}
+	else if (value instanceof Array)
+	{
+		for (var i = 0; i < value.length; i++)
+		{
+			if (value[i] !== null && typeof value[i] === "object")
+			{
+				return null;
+			}
+		}
+
+		return {value: value.slice()};
+	}
+	else if (value.isColor === true)
+	{
+		return {color: value.getHex()};
+	}
+	else if (ChangeAction.isVetorial(value))
+	{
+		for (var type in ChangeAction.VECTORIAL)
+		{
+			if (value instanceof ChangeAction.VECTORIAL[type])
+			{
+				return {vector: type, array: value.toArray()};
+			}
+		}
+	}
+	else if (typeof value === "object")
+	{
+		var reference = Action.getReference(program, value);
+		if (reference !== null)
+		{
+			return {reference: reference};
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Get an attribute value from its serialized data.
+ *
+ * @static
+ * @method parseValue
+ * @param {Program} program Program where the action objects are stored.
+ * @param {Object} data Serialized value.
+ * @return {Object} Value.
+ */
+ChangeAction.parseValue = function(program, data)
+{
+	if (data.undefined === true)
+	{
+		return undefined;
+	}
+	else if (data.color !== undefined)
+	{
+		return new Color(data.color);
+	}
+	else if (data.vector !== undefined)
+	{
+		return new ChangeAction.VECTORIAL[data.vector]().fromArray(data.array);
+	}
+	else if (data.reference !== undefined)
+	{
+		return Action.resolveReference(program, data.reference);
+	}
+
+	return data.value;
+};
+
+/**
+ * Vectorial types that can be serialized, indexed by their type name.
+ *
+ * @static
+ * @attribute VECTORIAL
+ * @type {Object}
+ */
+ChangeAction.VECTORIAL = {
+	Vector2: Vector2,
+	Vector3: Vector3,
+	Vector4: Vector4,
+	Euler: Euler,
+	Quaternion: Quaternion,
+	Matrix3: Matrix3,
+	Matrix4: Matrix4
+};
+
 ChangeAction.updateGUI = function(object, attribute, newValue)
 {
 	if (object instanceof Material)
@@ -1,6 +1,7 @@
 import {Object3D} from "three";
 import {Action} from "../Action.js";
 import {Editor} from "../../../Editor.js";
+import {Locale} from "../../../locale/LocaleManager.js";
 import {RemoveAction} from "./RemoveAction.js";
 
 /**
@@ -24,6 +25,8 @@ function AddAction(object, parent, index)
 	this.parent = parent;
 }
 
+AddAction.prototype = Object.create(Action.prototype);
+
 AddAction.prototype.apply = function()
 {
 	if (this.index !== -1)
@@ -47,6 +50,52 @@ AddAction.prototype.revert = function()
 	RemoveAction.updateGUI(this.object, this.parent);
 };
 
+AddAction.prototype.getName = function()
+{
+	return Locale.add + " " + this.object.name;
+};
+
+AddAction.prototype.toJSON = function(program)
+{
+	var parent = Action.getReference(program, this.parent);
+	if (parent === null)
+	{
+		return null;
+	}
+
+	return {
+		type: "AddAction",
+		time: this.time,
+		object: Action.serializeObject(program, this.object),
+		parent: parent,
+		index: this.index
+	};
+};
+
+/**
+ * Create an add action from its serialized data.
+ *
+ * @static
+ * @method fromJSON
+ * @param {Object} data Serialized action.
+ * @param {Program} program Program where the action objects are stored.
+ * @param {Map} objects Objects recreated while parsing the history.
+ * @return {AddAction} Action created, null if the objects were not found.
+ */
+AddAction.fromJSON = function(data, program, objects)
+{
+	var object = Action.parseObject(program, data.object, objects);
+	var parent = Action.resolveReference(program, data.parent);
+	if (object === null || parent === null)
+	{
+		return null;
+	}
+
+	var action = new AddAction(object, parent, data.index);
+	action.time = data.time;
+	return action;
+};
+
 AddAction.updateGUI = function(object, parent, index)
 {
 	Editor.gui.tree.addObject(object, parent, index);
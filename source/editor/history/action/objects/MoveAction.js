@@ -1,6 +1,7 @@
 import {Object3D, Matrix4} from "three";
 import {Action} from "../Action.js";
 import {Editor} from "../../../Editor.js";
+import {Locale} from "../../../locale/LocaleManager.js";
 
 /**
  * Action to represent a object move in the children tree.
@@ -30,6 +31,8 @@ function MoveAction(object, newParent, newIndex, keepGlobalPose)
 	this.keepGlobalPose = keepGlobalPose !== undefined ? keepGlobalPose : Editor.settings.editor.keepTransformMove;
 }
 
+MoveAction.prototype = Object.create(Action.prototype);
+
 MoveAction.prototype.apply = function()
 {
 	this.oldParent.remove(this.object);
@@ -88,6 +91,64 @@ MoveAction.prototype.inverseTransform = function(oldParent, newParent)
 	matrix.decompose(this.object.position, this.object.quaternion, this.object.scale);
 };
 
+MoveAction.prototype.getName = function()
+{
+	return Locale.move + " " + this.object.name;
+};
+
+MoveAction.prototype.toJSON = function(program)
+{
+	var object = Action.getReference(program, this.object);
+	var oldParent = Action.getReference(program, this.oldParent);
+	var newParent = Action.getReference(program, this.newParent);
+	if (object === null || oldParent === null || newParent === null)
+	{
+		return null;
+	}
+
+	return {
+		type: "MoveAction",
+		time: this.time,
+		object: object,
+		oldParent: oldParent,
+		oldIndex: this.oldIndex,
+		newParent: newParent,
+		newIndex: this.newIndex,
+		keepGlobalPose: this.keepGlobalPose
+	};
+};
+
+/**
+ * Create a move action from its serialized data.
+ *
+ * @static
+ * @method fromJSON
+ * @param {Object} data Serialized action.
+ * @param {Program} program Program where the action objects are stored.
+ * @return {MoveAction} Action created, null if the objects were not found.
+ */
+MoveAction.fromJSON = function(data, program)
+{
+	var object = Action.resolveReference(program, data.object);
+	var oldParent = Action.resolveReference(program, data.oldParent);
+	var newParent = Action.resolveReference(program, data.newParent);
+	if (object === null || oldParent === null || newParent === null)
+	{
+		return null;
+	}
+
+	var action = Object.create(MoveAction.prototype);
+	Action.call(action);
+	action.object = object;
+	action.oldParent = oldParent;
+	action.oldIndex = data.oldIndex;
+	action.newParent = newParent;
+	action.newIndex = data.newIndex;
+	action.keepGlobalPose = data.keepGlobalPose;
+	action.time = data.time;
+	return action;
+};
+
 MoveAction.updateGUI = function(object, oldParent, newParent, newIndex)
 {
 	if (this.keepGlobalPose)
@@ -1,6 +1,7 @@
 import {Object3D, Camera} from "three";
 import {Action} from "../Action.js";
 import {Editor} from "../../../Editor.js";
+import {Locale} from "../../../locale/LocaleManager.js";
 import {AddAction} from "./AddAction.js";
 
 /**
@@ -21,6 +22,8 @@ function RemoveAction(object, parent)
 	this.index = -1;
 }
 
+RemoveAction.prototype = Object.create(Action.prototype);
+
 RemoveAction.prototype.apply = function()
 {
 	if (this.object instanceof Camera)
@@ -53,6 +56,53 @@ RemoveAction.prototype.revert = function()
 	AddAction.updateGUI(this.object, this.parent, this.index);
 };
 
+RemoveAction.prototype.getName = function()
+{
+	return Locale.delete + " " + this.object.name;
+};
+
+RemoveAction.prototype.toJSON = function(program)
+{
+	var parent = Action.getReference(program, this.parent);
+	if (parent === null)
+	{
+		return null;
+	}
+
+	return {
+		type: "RemoveAction",
+		time: this.time,
+		object: Action.serializeObject(program, this.object),
+		parent: parent,
+		index: this.index
+	};
+};
+
+/**
+ * Create a remove action from its serialized data.
+ *
+ * @static
+ * @method fromJSON
+ * @param {Object} data Serialized action.
+ * @param {Program} program Program where the action objects are stored.
+ * @param {Map} objects Objects recreated while parsing the history.
+ * @return {RemoveAction} Action created, null if the objects were not found.
+ */
+RemoveAction.fromJSON = function(data, program, objects)
+{
+	var object = Action.parseObject(program, data.object, objects);
+	var parent = Action.resolveReference(program, data.parent);
+	if (object === null || parent === null)
+	{
+		return null;
+	}
+
+	var action = new RemoveAction(object, parent);
+	action.index = data.index;
+	action.time = data.time;
+	return action;
+};
+
 RemoveAction.updateGUI = function(object, parent)
 {
 	if (Editor.isSelected(object))
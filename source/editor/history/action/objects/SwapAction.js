@@ -1,4 +1,5 @@
 import {Object3D} from "three";
+import {Locale} from "../../../locale/LocaleManager.js";
 import {Action} from "../Action.js";
 import {RemoveAction} from "./RemoveAction.js";
 import {AddAction} from "./AddAction.js";
@@ -27,6 +28,8 @@ function SwapAction(originalObject, newObject, moveChildren)
 	this.moveChildren = moveChildren !== undefined ? moveChildren : true;
 }
 
+SwapAction.prototype = Object.create(Action.prototype);
+
 SwapAction.prototype.apply = function()
 {	
 	// Check the index
@@ -76,4 +79,9 @@ SwapAction.prototype.revert = function()
 	RemoveAction.updateGUI(this.newObject, this.parent);
 	AddAction.updateGUI(this.originalObject, this.parent, this.index);
 };
+SwapAction.prototype.getName = function()
+{
+	return Locale.replace + " " + this.originalObject.name;
+};
+
 export {SwapAction};
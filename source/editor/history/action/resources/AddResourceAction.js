@@ -3,6 +3,7 @@ import {Resource} from "../../../../core/resources/Resource.js";
 import {ResourceCrawler} from "../../ResourceCrawler.js";
 import {Action} from "../Action.js";
 import {Editor} from "../../../Editor.js";
+import {Locale} from "../../../locale/LocaleManager.js";
 import {RemoveResourceAction} from "./RemoveResourceAction.js";
 
 /**
@@ -22,6 +23,8 @@ function AddResourceAction(resource, manager, category)
 	this.category = category;
 }
 
+AddResourceAction.prototype = Object.create(Action.prototype);
+
 AddResourceAction.prototype.apply = function()
 {
 	ResourceCrawler.addResource(this.manager, this.resource, this.category);
@@ -41,6 +44,11 @@ AddResourceAction.prototype.revert = function()
 	RemoveResourceAction.updateGUI();
 };
 
+AddResourceAction.prototype.getName = function()
+{
+	return Locale.add + " " + this.resource.name;
+};
+
 AddResourceAction.updateGUI = function()
 {
 	Editor.updateObjectsViewsGUI();
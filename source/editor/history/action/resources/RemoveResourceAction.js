@@ -3,6 +3,7 @@ import {Resource} from "../../../../core/resources/Resource.js";
 import {ResourceCrawler} from "../../ResourceCrawler.js";
 import {Action} from "../Action.js";
 import {Editor} from "../../../Editor.js";
+import {Locale} from "../../../locale/LocaleManager.js";
 import {AddResourceAction} from "./AddResourceAction.js";
 
 /**
@@ -24,6 +25,8 @@ function RemoveResourceAction(resource, manager, category)
 	this.manager = manager;
 }
 
+RemoveResourceAction.prototype = Object.create(Action.prototype);
+
 RemoveResourceAction.prototype.apply = function()
 {
 	ResourceCrawler.removeResource(this.manager, this.resource, this.category);
@@ -43,6 +46,11 @@ RemoveResourceAction.prototype.revert = function()
 	AddResourceAction.updateGUI();
 };
 
+RemoveResourceAction.prototype.getName = function()
+{
+	return Locale.delete + " " + this.resource.name;
+};
+
 RemoveResourceAction.updateGUI = function()
 {
 	Editor.updateObjectsViewsGUI();
@@ -1,14 +1,19 @@
 import {ResourceManager} from "../../../../core/resources/ResourceManager.js";
 import {Resource} from "../../../../core/resources/Resource.js";
+import {TextFile} from "../../../../core/resources/TextFile.js";
 import {ResourceCrawler} from "../../ResourceCrawler.js";
 import {Action} from "../Action.js";
 import {Editor} from "../../../Editor.js";
+import {Locale} from "../../../locale/LocaleManager.js";
+import {TextEditor} from "../../../gui/tab/code/TextEditor.js";
 
 /**
  * Swap resource in the resource manager. The new resource is used to replace the old one.
  *
  * Usages of the old resource are replaced with the new one as well.
  *
+ * Nunu resources (images, files, etc) replaced are not disposed, their data is required to revert the action. Three.js resources are disposed, their GPU data is uploaded again when used.
+ *
  * @class SwapResourceAction
  * @param {Resource} oldResource Resource to remove.
  * @param {Resource} newResource Resource to add.
@@ -25,15 +30,18 @@ function SwapResourceAction(oldResource, newResource, manager, category)
 	this.category = category;
 }
 
+SwapResourceAction.prototype = Object.create(Action.prototype);
+
 SwapResourceAction.prototype.apply = function()
 {
 	ResourceCrawler.swapResource(this.manager, this.category, this.oldResource, this.newResource);
 	
-	if (this.oldResource.dispose !== undefined)
+	if (!(this.oldResource instanceof Resource) && this.oldResource.dispose !== undefined)
 	{
 		this.oldResource.dispose();
 	}
 
+	SwapResourceAction.updateResources(this.manager, this.oldResource, this.newResource);
 	SwapResourceAction.updateGUI();
 };
 
@@ -41,14 +49,56 @@ SwapResourceAction.prototype.revert = function()
 {
 	ResourceCrawler.swapResource(this.manager, this.category, this.newResource, this.oldResource);
 
-	if (this.newResource.dispose !== undefined)
+	if (!(this.newResource instanceof Resource) && this.newResource.dispose !== undefined)
 	{
 		this.newResource.dispose();
 	}
 
+	SwapResourceAction.updateResources(this.manager, this.newResource, this.oldResource);
 	SwapResourceAction.updateGUI();
 };
 
+SwapResourceAction.prototype.getName = function()
+{
+	return Locale.replace + " " + this.oldResource.name;
+};
+
+/**
+ * Update the data derived from a resource after it was swapped.
+ *
+ * Textures that use a swapped image are updated and text editors open with a swapped file are attached to the new file.
+ *
+ * @static
+ * @method updateResources
+ * @param {ResourceManager} manager Manager where the resource was swapped.
+ * @param {Resource} oldResource Resource removed.
+ * @param {Resource} newResource Resource used instead.
+ */
+SwapResourceAction.updateResources = function(manager, oldResource, newResource)
+{
+	var textures = manager.textures;
+	for (var i in textures)
+	{
+		if (textures[i].source === newResource)
+		{
+			textures[i].updateSource();
+		}
+		else if (textures[i].images !== undefined && textures[i].images.indexOf(newResource) !== -1)
+		{
+			textures[i].updateImages();
+		}
+	}
+
+	if (newResource instanceof TextFile)
+	{
+		var tab = Editor.gui.tab.getTab(TextEditor, oldResource);
+		if (tab !== null)
+		{
+			tab.attach(newResource);
+		}
+	}
+};
+
 SwapResourceAction.updateGUI = function()
 {
 	Editor.updateObjectsViewsGUI();
@@ -61,6 +61,7 @@ var LocaleEN = {
 	pointLight: "Point Light",
 	spotLight: "Spot Light",
 	directionalLight: "Directional Light",
+	directionalLightCSM: "Directional Light CSM",
 	hemisphereLight: "Hemisphere Light",
 	rectAreaLight: "Rectarea Light",
 	lighProbe: "Light Probe",
@@ -78,6 +79,7 @@ var LocaleEN = {
 	htmlView: "HTML View",
 	orbitControls: "Orbit Controls",
 	firstPersonControls: "First Person Controls",
+	characterController: "Character Controller",
 	particle: "Particle",
 	ground: "Ground",
 	spineAnimation: "Spine Animation",
@@ -85,6 +87,7 @@ var LocaleEN = {
 	textMesh: "Text Mesh",
 	textBitmap: "Text Bitmap",
 	textSprite: "Text Sprite",
+	textSDF: "Text SDF",
 
 	// Geometries
 	parametric: "Parametric",
@@ -139,12 +142,41 @@ var LocaleEN = {
 	particleRate: "Particle Rate",
 	particleCount: "Particle Count",
 	animation: "Animation",
+	stateMachine: "State Machine",
+	parameters: "Parameters",
+	layer: "Layer",
+	states: "States",
+	transitions: "Transitions",
+	conditions: "Conditions",
+	from: "From",
+	to: "To",
+	anyState: "Any State",
+	defaultState: "Default State",
+	exitTime: "Exit Time",
+	blending: "Blending",
+	override: "Override",
+	mask: "Mask",
+	weight: "Weight",
+	value: "Value",
+	clip: "Clip",
+	blend1D: "Blend 1D",
+	blend2D: "Blend 2D",
+	float: "Float",
+	integer: "Integer",
+	isTrue: "Is True",
+	isFalse: "Is False",
 	stacks: "Stacks",
 	slices: "Slices",
 	lockPointer: "Lock Pointer",
 	roomScale: "Room Scale",
 	moveSpeed: "Move Speed",
 	movePlane: "Move Plane",
+	stepHeight: "Step Height",
+	maxSlope: "Max. Slope",
+	jumpSpeed: "Jump Speed",
+	gravityScale: "Gravity Scale",
+	useGamepad: "Use Gamepad",
+	gamepadSensitivity: "Gamepad Sensitivity",
 	kernelRadius: "Kernel Radius",
 	kernelSize: "Kernel Size",
 	speed: "Speed",
@@ -182,14 +214,50 @@ var LocaleEN = {
 	minDistance: "Min. Distance",
 	emitterType: "Emitter Type",
 	dynamicEmitter: "Dynamic Emitter",
+	subEmitter: "Sub Emitter",
+	birth: "Birth",
+	death: "Death",
+	collision: "Collision",
+	response: "Response",
+	bounce: "Bounce",
+	kill: "Kill",
+	renderMode: "Render Mode",
+	points: "Points",
+	trail: "Trail",
+	presets: "Presets",
+	particlePreset: "Particle Preset",
+	savePreset: "Save Preset",
+	fire: "Fire",
+	smoke: "Smoke",
+	sparks: "Sparks",
+	rain: "Rain",
+	snow: "Snow",
+	magic: "Magic",
+	prefab: "Prefab",
+	createPrefab: "Create Prefab",
+	applyToPrefab: "Apply to Prefab",
+	revert: "Revert",
+	overrides: "overrides",
 	linearDamping: "Linear Damping",
 	angularDamping: "Angular Damping",
 	lockRotation: "Lock Rotation",
+	trigger: "Trigger",
 	physicsGroup: "Physics Group",
 	allowSleep: "Allow Sleep",
 	sleepSpeedLimit: "Sleep Speed Limit",
 	sleepTimeLimit: "Sleep Time Limit",
 	mass: "Mass",
+	constraint: "Constraint",
+	pointToPoint: "Point to point",
+	hinge: "Hinge",
+	lock: "Lock",
+	spring: "Spring",
+	objectA: "Object A",
+	objectB: "Object B",
+	maxForce: "Max. Force",
+	collideConnected: "Collide Connected",
+	restLength: "Rest Length",
+	stiffness: "Stiffness",
 	duration: "Duration",
 	backward: "Backward",
 	forward: "Forward",
@@ -274,6 +342,8 @@ var LocaleEN = {
 	clippingPlanes: "Clipping planes",
 	iterations: "Iterations",
 	tolerance: "Tolerance",
+	timeStep: "Time step",
+	maxSubSteps: "Max sub steps",
 	gravity: "Gravity",
 	usePhysics: "Use physics",
 	defaultScene: "Default scene",
@@ -304,6 +374,12 @@ var LocaleEN = {
 	sky: "Sky",
 	castShadows: "Cast Shadows",
 	receiveShadows: "Receive Shadows",
+	cascades: "Cascades",
+	maxFar: "Max Far",
+	fade: "Fade",
+	uniform: "Uniform",
+	logarithmic: "Logarithmic",
+	practical: "Practical",
 	sunDistance: "Sun Distance",
 	autoUpdate: "Auto Update",
 	skyColor: "Sky Color",
@@ -319,6 +395,12 @@ var LocaleEN = {
 	lineHeight: "Line Height",
 	letterSpacing: "Letter Spacing",
 	align: "Align",
+	justify: "Justify",
+	middle: "Middle",
+	maxWidth: "Max. Width",
+	wrap: "Wrap",
+	breakWord: "Break Word",
+	colorRanges: "Color Ranges",
 	smoothing: "Smoothing",
 	threshold: "Threshold",
 	shader: "Shader",
@@ -327,6 +409,7 @@ var LocaleEN = {
 	outline: "Outline",
 	outlineColor: "Outline color",
 	outlineWidth: "Outline Width",
+	blur: "Blur",
 	polygonOffset: "Polygon Offset",
 	polygonOffsetFactor: "Polygon Offset Factor",
 	polygonOffsetUnits: "Polygon Offset Units",
@@ -434,6 +517,24 @@ var LocaleEN = {
 	vertical: "Vertical",
 	smooth: "Smooth",
 	flat: "Flat",
+	bezier: "Bezier",
+	auto: "Auto",
+	stepped: "Stepped",
+	discrete: "Discrete",
+	tangents: "Tangents",
+	curves: "Curves",
+	timeline: "Timeline",
+	frame: "Frame",
+	events: "Events",
+	addEvent: "Add event",
+	eventName: "Event name",
+	eventData: "Event data",
+	eventTime: "Event time",
+	deleteEvent: "Delete event?",
+	invalidEventData: "Invalid event data, it has to be valid JSON!",
+	invalidTime: "Invalid time value!",
+	rootMotion: "Root motion",
+	rootBone: "Root bone",
 	width: "Width",
 	height: "Height",
 	depth: "Depth",
@@ -457,6 +558,32 @@ var LocaleEN = {
 	initialization: "Initialization",
 	update: "Update",
 	resize: "Resize",
+	dispose: "Dispose",
+	appData: "App Data",
+	keyboard: "Keyboard",
+	mouse: "Mouse",
+	gamepad: "Gamepad",
+	number: "Number",
+	boolean: "Boolean",
+	string: "String",
+	splitVector: "Split Vector",
+	findObject: "Find Object",
+	transform: "Transform",
+	setTransform: "Set Transform",
+	getProperty: "Get Property",
+	setProperty: "Set Property",
+	playAnimation: "Play Animation",
+	stopAnimation: "Stop Animation",
+	playAudio: "Play Audio",
+	pauseAudio: "Pause Audio",
+	stopAudio: "Stop Audio",
+	timer: "Timer",
+	branch: "Branch",
+	modulo: "Modulo",
+	equal: "Equal",
+	dot: "Dot",
+	length: "Length",
+	normalize: "Normalize",
 	attribute: "Attribute",
 	console: "Console",
 	custom: "Custom",
@@ -484,6 +611,7 @@ var LocaleEN = {
 	load: "Load",
 	settings: "Settings",
 	publish: "Publish",
+	webStreaming: "Web (Streaming)",
 	import: "Import",
 	export: "Export",
 	exit: "Exit",
@@ -495,6 +623,7 @@ var LocaleEN = {
 	rotate: "Rotate",
 	replace: "Replace",
 	replaceAll: "Replace All",
+	reload: "Reload",
 	clear: "Clear",
 	cameraNavigation: "Camera Navigation Mode",
 	cameraMode: "Change Camera Mode",
@@ -502,6 +631,7 @@ var LocaleEN = {
 	scene: "Scene",
 	move: "Move",
 	play: "Play",
+	pause: "Pause",
 	selectObjects: "Select Objects",
 	calculateProbe: "Calculate Light",
 	codeEditor: "Code Editor",
@@ -515,6 +645,24 @@ var LocaleEN = {
 	theme: "Theme",
 	historySize: "History size",
 	hintHistory: "How many changes are stored in the history.",
+	plugins: "Plugins",
+	pluginsFolder: "Plugins folder",
+	hintPlugins: "Folder with plugin files (.js) loaded when the editor starts. Plugins in the \"plugins\" folder next to a project file can be loaded with the project.",
+	pluginObjectsExport: "The project contains objects registered by plugins, these cannot be loaded by the runtime:",
+	runProjectPlugins: "This project contains plugins, plugins can run any code on this computer. Only run plugins from projects you trust. Run the plugins?",
+
+	// Asset explorer
+	organize: "Organize",
+	folder: "Folder",
+	newFolder: "New folder",
+	moveTo: "Move to",
+	tags: "Tags",
+	sortBy: "Sort by",
+	date: "Date",
+	findUsages: "Find usages",
+	usages: "Usages",
+	removeUnused: "Remove unused resources",
+	noUnusedResources: "There are no unused resources.",
 
 	// Resources
 	image: "Image",
@@ -530,6 +678,30 @@ var LocaleEN = {
 	toggleAR: "Toggle Augmented Reality",
 	toggleFullscreen: "Toggle Fullscreen",
 
+	// Profiling
+	fps: "FPS",
+	frameTime: "Frame time",
+	drawCalls: "Draw calls",
+	triangles: "Triangles",
+	geometries: "Geometries",
+	textures: "Textures",
+	jsHeap: "JS Heap",
+	scripts: "Scripts",
+	particles: "Particles",
+	notAvailable: "N/A",
+	noProfilingData: "Open a scene editor or run the project to collect profiling data.",
+	scriptProfiler: "Script Profiler",
+	initialize: "Initialize",
+	mouseOver: "Mouse over",
+	total: "Total",
+	average: "Average",
+	profileScripts: "Profile scripts",
+	hintProfileScripts: "Enable script profiling in the settings and run the project to measure the time spent in each script.",
+
+	// History
+	history: "History",
+	initialState: "Initial state",
+
 	// Messages
 	projectSaved: "Project saved.",
 	projectLoaded: "Project loaded",
@@ -554,6 +726,8 @@ var LocaleEN = {
 	needsTwoObjectGeometry: "Operation needs two objects with geometries",
 	needsTwoObjects: "Operation needs two objects.",
 	selectObjectEditAnimation: "Select an object to edit animation.",
+	selectTrackEditCurve: "Select a numeric track to edit its curve.",
+	selectObjectEditStateMachine: "Select an object with animations or a state machine to edit.",
 	nothingToShow: "Select an object to view its properties.",
 	selectObjectFirst: "Need to select an object first before performing this operation.",
 
@@ -589,6 +763,11 @@ var LocaleEN = {
 	hintAutoClearStencil: "Defines whether the renderer should clear the stencil buffer.",
 	hintPhysicallyCorrectLights: "Whether to use physically correct lighting mode.",
 	hintIgnorePixelRatio: "Ignore the device pixel ratio rendering image. May be required in some devices for correct image display.",
+	hintMaxWidth: "Maximum width of the text lines before wrapping, zero for no limit.",
+	hintColorRanges: "Colors applied from a character index, written as \"index: color\" pairs separated by commas (e.g. \"0: #FFFFFF, 5: #FF0000\").",
+	hintMask: "Names of the bones animated by the layer separated by commas, children of these bones are also included. Empty to animate all bones.",
+	hintCurveEditor: "Drag keyframes to move them, hold alt to scale and shift to add to the selection. Drag the empty space to select keyframes and use the middle button to pan.",
+	hintExitTime: "Normalized time of the state after which the transition can be triggered, disabled if zero or negative.",
 	hintShadowBias: "How much to add or subtract from the normalized shadow depth. May help reduce artefacts",
 	hintPhysicsMode: "Indicates how coordinates from the physics engine are transformed into object coordinates.",
 	hintPhysicsType: "Defines how the physics object is update, static do not move, kinematic have constant velocity and dynamic are fully updated.",
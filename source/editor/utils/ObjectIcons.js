@@ -29,6 +29,7 @@ ObjectIcons.icons = new Map([
 	["PointLight", ObjectIcons.path + "lights/point.png"],
 	["HemisphereLight", ObjectIcons.path + "lights/hemisphere.png"],
 	["DirectionalLight", ObjectIcons.path + "lights/directional.png"],
+	["DirectionalLightCSM", ObjectIcons.path + "lights/directional.png"],
 	["AmbientLight", ObjectIcons.path + "lights/ambient.png"],
 	["RectAreaLight", ObjectIcons.path + "lights/rectarea.png"],
 	["LightProbe", ObjectIcons.path + "misc/probe.png"],
@@ -56,6 +57,7 @@ ObjectIcons.icons = new Map([
 	["TextMesh", ObjectIcons.path + "text/textmesh.png"],
 	["TextBitmap", ObjectIcons.path + "text/text.png"],
 	["TextSprite", ObjectIcons.path + "text/textcanvas.png"],
+	["TextSDF", ObjectIcons.path + "text/text.png"],
 
 	// Program
 	["Program", ObjectIcons.path + "script/script.png"],
@@ -67,6 +69,7 @@ ObjectIcons.icons = new Map([
 
 	// Physics
 	["Physics", ObjectIcons.path + "misc/physics.png"],
+	["PhysicsConstraint", ObjectIcons.path + "misc/connection.png"],
 
 	// Others
 	["Object3D", ObjectIcons.path + "misc/scene.png"],
@@ -76,7 +79,8 @@ ObjectIcons.icons = new Map([
 	["BillboardGroup", ObjectIcons.path + "misc/rotate.png"],
 	["LensFlare", ObjectIcons.path + "misc/flare.png"],
 	["OrbitControls", ObjectIcons.path + "misc/orbit.png"],
-	["FirstPersonControls", ObjectIcons.path + "misc/crosshair.png"]
+	["FirstPersonControls", ObjectIcons.path + "misc/crosshair.png"],
+	["CharacterController", ObjectIcons.path + "misc/freemove.png"]
 ]);
 
 /**